@@ -7,7 +7,11 @@ const { validationResult } = require('express-validator');
 const { StatusCodes } = require('http-status-codes');
 const geoService = require('../services/locationService');
 const bookingService = require('../services/bookingService'); // kept for future use
+const bookingLedger = require('../services/bookingLedgerService');
+const paymentService = require('../services/paymentService');
+const cancellationService = require('../services/cancellationService');
 const activityService = require('../services/activityService');
+const moderationService = require('../services/moderationService');
 const { cacheService } = require('../services/cacheService');
 const { ApiError } = require('../utils/ApiError');
 const ApiResponse = require('../utils/ApiResponse');
@@ -583,37 +587,51 @@ async function bookActivity(req, res) {
     if (!activity.isActive) {
       throw ApiError.badRequest('Activity is not available for booking');
     }
+    if (paymentMethod) paymentService.assertAvailable();
 
     const bookingReference = `ACT${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
-
-    const booking = {
-      userId: req.user?.id || 'guest',
-      activityId: id,
-      type: 'activity',
-      date: new Date(date),
-      timeSlot,
-      participants: {
-        adults: participants?.adults || 1,
-        children: participants?.children || 0,
-        total: participants?.total || 1
-      },
-      contactInfo,
-      specialRequests,
-      status: 'confirmed',
-      bookingReference,
-      metadata: {
-        activityName: activity.name,
+    const total = participants?.total || 1;
+    const pricing = activity.pricing || {};
+    const unit = (pricing.basePrice || 0) + (pricing.taxes || 0) + (pricing.fees || 0);
+
+    // Held until payment is captured; see bookingLedgerService
+    const held = await bookingLedger.createFromCheckout({
+      kind: 'activity',
+      userId: req.user?.id,
+      itemId: activity._id,
+      title: activity.name,
+      startDate: date,
+      guests: total,
+      reference: bookingReference,
+      quote: { price: { totalAmount: unit * total, currency: pricing.currency } },
+      payment: paymentMethod ? { method: paymentMethod } : undefined,
+      cancellationPolicy: cancellationService.policyForItem('activity', activity),
+      details: {
+        timeSlot,
+        participants: {
+          adults: participants?.adults || 1,
+          children: participants?.children || 0,
+          total
+        },
+        contactInfo,
+        specialRequests,
         location: activity.location,
         category: activity.category
-      },
-      _id: Date.now().toString(),
-      createdAt: new Date()
-    };
+      }
+    });
+    const booking = paymentMethod
+      ? await paymentService.payForBooking(held, {
+        method: paymentMethod,
+        idempotencyKey: req.get('Idempotency-Key'),
+        userId: req.user?.id
+      })
+      : held;
 
     return res.status(StatusCodes.CREATED).json(
-      ApiResponse.success(booking, { message: 'Activity booked successfully' })
+      ApiResponse.success(booking, { message: 'Activity booking created' })
     );
   } catch (error) {
+    if (error instanceof ApiError) throw error;
     throw new ApiError('Error booking activity', {
       status: StatusCodes.INTERNAL_SERVER_ERROR,
       code: 'BOOKING_FAILED',
@@ -622,6 +640,33 @@ async function bookActivity(req, res) {
   }
 }
 
+// GET /api/v1/activities/bookings/:bookingId/refund-preview
+async function getRefundPreview(req, res) {
+  const preview = await cancellationService.previewCancellation(req.params.bookingId, {
+    userId: req.user?.id,
+    kind: 'activity'
+  });
+  if (!preview) {
+    throw ApiError.notFound('Activity booking not found');
+  }
+  return res.status(StatusCodes.OK).json(ApiResponse.success(preview));
+}
+
+// POST /api/v1/activities/bookings/:bookingId/cancel
+async function cancelBooking(req, res) {
+  const result = await cancellationService.cancelBooking(req.params.bookingId, {
+    userId: req.user?.id,
+    kind: 'activity',
+    reason: req.body?.reason || 'user_cancelled'
+  });
+  if (!result) {
+    throw ApiError.notFound('Activity booking not found');
+  }
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.success(result, { message: 'Activity booking cancelled' })
+  );
+}
+
 // POST /api/v1/activities/:id/reviews
 async function addReview(req, res) {
   const { id } = req.params;
@@ -648,6 +693,7 @@ async function addReview(req, res) {
     });
 
     await review.save();
+    await moderationService.submit('review', review).catch((e) => console.error('Moderation submit error:', e));
 
     const populated = await Review.findById(review._id)
       .populate('userId', 'name avatar')
@@ -713,6 +759,8 @@ module.exports = {
   getActivityById,
   getAvailability,
   bookActivity,
+  getRefundPreview,
+  cancelBooking,
   addReview,
   getPhotos,
 };
@@ -0,0 +1,132 @@
+// backend/controllers/aiController.js
+
+const { StatusCodes } = require('http-status-codes');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+
+const aiService = require('../services/aiService'); // providers, grounding, structured outputs
+
+// GET query strings carry history as JSON
+function historyFromQuery(raw) {
+  if (raw === undefined) return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    throw ApiError.badRequest('history must be a JSON array of { role, content }');
+  }
+}
+
+// GET /api/traveos.ai/health
+exports.health = asyncHandler(async (req, res) => {
+  return res.status(StatusCodes.OK).json(ApiResponse.success(aiService.health()));
+});
+
+// GET /api/traveos.ai/models
+exports.listModels = asyncHandler(async (req, res) => {
+  return res.status(StatusCodes.OK).json(ApiResponse.page(aiService.listModels()));
+});
+
+// POST /api/traveos.ai/chat
+// Body: { message, history?: [{ role: 'user'|'assistant', content }], region?, lat?, lng? }
+exports.chat = asyncHandler(async (req, res) => {
+  const { message, history, region, lat, lng } = req.body || {};
+  const reply = await aiService.chat({ message, history, region, lat, lng, locale: req.locale });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(reply));
+});
+
+// GET /api/traveos.ai/chat/stream?message=&history=<json>&region=&lat=&lng=
+// Server-Sent Events: `token` { text } per chunk, then `done` with the chat payload (or `error`)
+exports.chatStream = asyncHandler(async (req, res) => {
+  const { message, history, region, lat, lng } = req.query;
+  const abort = new AbortController();
+  const session = await aiService.openChatStream(
+    { message, history: historyFromQuery(history), region, lat, lng, locale: req.locale },
+    { signal: abort.signal }
+  );
+
+  res.status(StatusCodes.OK).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression from buffering events
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.on('close', () => {
+    if (!res.writableEnded) abort.abort();
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  let text = '';
+  try {
+    for await (const token of session.tokens) {
+      if (abort.signal.aborted) break;
+      text += token;
+      send('token', { text: token });
+    }
+    if (!abort.signal.aborted) send('done', session.finish(text));
+  } catch (err) {
+    if (!abort.signal.aborted) {
+      console.error('AI chat stream error:', err);
+      send('error', { message: 'The assistant could not finish this answer' });
+    }
+  }
+  return res.end();
+});
+
+// POST /api/traveos.ai/trip-ideas
+// Body: { destination, days?, interests?: string[], pace?: relaxed|balanced|packed, lat?, lng? }
+exports.tripIdeas = asyncHandler(async (req, res) => {
+  const result = await aiService.tripIdeas({ ...(req.body || {}), locale: req.locale });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result));
+});
+
+// POST /api/traveos.ai/day-plan
+// Body: { destination, date?: YYYY-MM-DD, start?: HH:MM, end?: HH:MM, interests?, pace?, lat?, lng? }
+exports.dayPlan = asyncHandler(async (req, res) => {
+  const result = await aiService.dayPlan({ ...(req.body || {}), locale: req.locale });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result));
+});
+
+// POST /api/traveos.ai/packing-list
+// Body: { destination, startDate, endDate?, activities?: string[], travellers? }
+exports.packingList = asyncHandler(async (req, res) => {
+  const result = await aiService.packingList({ ...(req.body || {}), locale: req.locale });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result));
+});
+
+// POST /api/traveos.ai/translate
+// Body: { text, to, from? } — ISO 639-1 codes from LANGUAGES.SUPPORTED
+exports.translate = asyncHandler(async (req, res) => {
+  const { text, to, from } = req.body || {};
+  const result = await aiService.translate({ text, to, from });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result));
+});
+
+// POST /api/traveos.ai/rewrite
+// Body: { text, tone?: neutral|friendly|formal|concise, maxLength? }
+exports.rewrite = asyncHandler(async (req, res) => {
+  const { text, tone, maxLength } = req.body || {};
+  const result = await aiService.rewrite({ text, tone, maxLength });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result));
+});
+
+// POST /api/traveos.ai/summarize
+// Body: { text, maxSentences? }
+exports.summarize = asyncHandler(async (req, res) => {
+  const { text, maxSentences } = req.body || {};
+  const result = await aiService.summarize({ text, maxSentences });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result));
+});
+
+// POST /api/traveos.ai/extract
+// Body: { text }
+exports.extractEntities = asyncHandler(async (req, res) => {
+  const { text } = req.body || {};
+  const result = await aiService.extractEntities({ text, locale: req.locale });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result));
+});
@@ -1,18 +1,109 @@
 // backend/controllers/booking/bookingController.js
-const Booking = require('../../models/booking/Booking');
+const bookingLedger = require('../../services/bookingLedgerService');
+const cancellationService = require('../../services/cancellationService');
+const { BOOKING_STATUS } = require('../../utils/constants');
+
+// Ledger errors (invalid transition, bad input) carry their own status
+function sendError(res, err, label) {
+  if (err && err.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message, details: err.details });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
 
 /**
- * GET /api/journey/bookings/mine
- * Returns the authenticated user's bookings, newest first.
+ * GET /api/journey/bookings/mine?kind=&status=&page=&limit=
+ * Returns the authenticated user's bookings of every kind, newest first.
  */
 exports.myBookings = async (req, res) => {
   try {
-    const items = await Booking.find({ userId: req.user._id })
-      .sort({ createdAt: -1 });
+    const { kind, status, page, limit } = req.query || {};
+    const result = await bookingLedger.listForUser(req.user._id, { kind, status, page, limit });
+
+    res.json({
+      success: true,
+      data: result.items,
+      pagination: {
+        current: result.page,
+        total: Math.ceil(result.total / result.limit),
+        hasNext: result.hasMore,
+        hasPrev: result.page > 1
+      }
+    });
+  } catch (err) {
+    sendError(res, err, 'My bookings');
+  }
+};
+
+/**
+ * GET /api/journey/bookings/:id
+ * Single booking (owner only) including its audit trail.
+ */
+exports.getBooking = async (req, res) => {
+  try {
+    const booking = await bookingLedger.getForUser(req.params.id, req.user._id);
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    res.json({ success: true, data: booking });
+  } catch (err) {
+    sendError(res, err, 'Get booking');
+  }
+};
+
+/**
+ * GET /api/journey/bookings/:id/refund-preview
+ * What cancelling now would refund under the booking's cancellation policy.
+ */
+exports.refundPreview = async (req, res) => {
+  try {
+    const preview = await cancellationService.previewCancellation(req.params.id, { userId: req.user._id });
+    if (!preview) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    res.json({ success: true, data: preview });
+  } catch (err) {
+    sendError(res, err, 'Refund preview');
+  }
+};
+
+/**
+ * POST /api/journey/bookings/:id/cancel
+ * Body: { reason? } — cancels and refunds per the booking's policy
+ */
+exports.cancelBooking = async (req, res) => {
+  try {
+    const result = await cancellationService.cancelBooking(req.params.id, {
+      actorId: req.user._id,
+      userId: req.user._id,
+      reason: req.body?.reason || 'user_cancelled'
+    });
+    if (!result) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    res.json({ success: true, data: result.booking, refund: result.refund });
+  } catch (err) {
+    sendError(res, err, 'Cancel booking');
+  }
+};
+
+/**
+ * PATCH /api/journey/bookings/:id/status (admin)
+ * Body: { status, reason? } — moves a booking along the lifecycle (e.g. completed, refunded)
+ */
+exports.updateStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body || {};
+    if (!BOOKING_STATUS.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${BOOKING_STATUS.join(', ')}` });
+    }
+
+    const booking = await bookingLedger.transition(req.params.id, status, {
+      actorId: req.user._id,
+      reason: reason || 'admin_update'
+    });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
 
-    res.json({ success: true, data: items });
+    res.json({ success: true, data: booking });
   } catch (err) {
-    console.error('My bookings error:', err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    sendError(res, err, 'Update booking status');
   }
 };
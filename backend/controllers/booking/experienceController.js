@@ -1,5 +1,6 @@
 // backend/controllers/booking/experienceController.js
 const Experience = require('../../models/booking/Experience');
+const cancellationService = require('../../services/cancellationService');
 
 /**
  * GET /api/journey/experiences?type=&regionId=&placeId=&limit=
@@ -28,3 +29,49 @@ exports.list = async (req, res) => {
     res.status(500).json({ success: false, message: 'Server error' });
   }
 };
+
+// Cancellation errors (already cancelled, refund rejected) carry their own status
+function sendError(res, err, label) {
+  if (err && err.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message, details: err.details });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
+
+/**
+ * GET /api/journey/experiences/bookings/:bookingId/refund-preview
+ * Refund the experience's cancellation policy allows right now (owner only).
+ */
+exports.refundPreview = async (req, res) => {
+  try {
+    const preview = await cancellationService.previewCancellation(req.params.bookingId, {
+      userId: req.user._id,
+      kind: 'experience'
+    });
+    if (!preview) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    res.json({ success: true, data: preview });
+  } catch (err) {
+    sendError(res, err, 'Experience refund preview');
+  }
+};
+
+/**
+ * POST /api/journey/experiences/bookings/:bookingId/cancel
+ * Body: { reason? }
+ */
+exports.cancelBooking = async (req, res) => {
+  try {
+    const result = await cancellationService.cancelBooking(req.params.bookingId, {
+      userId: req.user._id,
+      kind: 'experience',
+      reason: req.body?.reason || 'user_cancelled'
+    });
+    if (!result) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    res.json({ success: true, data: result.booking, refund: result.refund });
+  } catch (err) {
+    sendError(res, err, 'Experience cancel');
+  }
+};
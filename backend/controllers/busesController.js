@@ -2,15 +2,16 @@
 
 const { StatusCodes } = require('http-status-codes');
 const { ApiError } = require('../utils/ApiError');
-const { ApiResponse } = require('../utils/ApiResponse');
-const { asyncHandler } = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
 
 // Models
 const Bus = require('../models/Bus');
 const BusStop = require('../models/BusStop');
 
 // Services
-const busService = require('../services/busService');               // search, pricing, seatmap, live
+const busService = require('../services/busService');               // search, pricing, seatmap
+const liveStatusService = require('../services/liveStatusService'); // live position, delays, expected times
 const locationService = require('../services/locationService');     // distance calc
 const mapService = require('../services/mapService');               // shapes/geojson helpers
 const cacheService = require('../services/cacheService');           // optional Redis cache
@@ -45,7 +46,7 @@ exports.searchBuses = asyncHandler(async (req, res) => {
   } = req.body || {};
 
   if (!from || !to || !date) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'from, to and date are required for bus search');
+    throw ApiError.badRequest('from, to and date are required for bus search');
   }
 
   const page = clamp(parseInt(paging.page || 1), 1, 200);
@@ -80,12 +81,12 @@ exports.searchBuses = asyncHandler(async (req, res) => {
   });
 
   return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Bus search completed', {
+    ApiResponse.success({
       trips: enrichedTrips,
       pagination: result.pagination || { page, limit, total: enrichedTrips.length, totalPages: 1 },
       facets: result.facets || {},
       generatedAt: toISO()
-    })
+    }, { message: 'Bus search completed' })
   );
 });
 
@@ -104,7 +105,7 @@ exports.getBusById = asyncHandler(async (req, res) => {
     .lean();
 
   if (!trip) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Bus trip not found');
+    throw ApiError.notFound('Bus trip not found');
   }
 
   // Populate stop metadata
@@ -163,7 +164,7 @@ exports.getBusById = asyncHandler(async (req, res) => {
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Bus trip fetched', response));
+    .json(ApiResponse.success(response, { message: 'Bus trip fetched' }));
 });
 
 /**
@@ -176,7 +177,7 @@ exports.getBusRoute = asyncHandler(async (req, res) => {
   // Load bus with shape and stops
   const bus = await Bus.findById(id).select('id name number routeShape coordinatesGeoJSON stops').lean();
   if (!bus) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Bus trip not found');
+    throw ApiError.notFound('Bus trip not found');
   }
 
   // Build LineString geojson from stored coords or via mapService
@@ -243,22 +244,23 @@ exports.getBusRoute = asyncHandler(async (req, res) => {
 });
 
 /**
- * GET /api/v1/buses/live/:id
+ * GET /api/v1/buses/live/:id?date=YYYY-MM-DD
  * Returns live vehicle position (if available) for tracking overlays and ETAs.
  */
 exports.getLiveStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const live = await busService.getLiveStatus(id); // { lat,lng,speedKph,heading,lastUpdatedISO, nextStopRefId, etaToNextISO }
+  const live = await liveStatusService.tripStatus('bus', { id }, { date: req.query.date });
+  // { status, delayMin, position, currentStop, nextStop:{ etaMin }, stops:[{ expectedArr, expectedDep, ... }], lastReport }
   if (!live) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Live status not available');
+    throw ApiError.notFound('Live status not available');
   }
 
   return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Live status fetched', {
+    ApiResponse.success({
       ...live,
       generatedAt: toISO()
-    })
+    }, { message: 'Live status fetched' })
   );
 });
 
@@ -270,7 +272,7 @@ exports.getOperators = asyncHandler(async (req, res) => {
   const cacheKey = 'bus_operators_v1';
   const cached = await cacheService?.get?.(cacheKey);
   if (cached) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Operators fetched (cache)', cached));
+    return res.status(StatusCodes.OK).json(ApiResponse.success(cached, { message: 'Operators fetched (cache)' }));
   }
 
   const agg = await Bus.aggregate([
@@ -296,7 +298,28 @@ exports.getOperators = asyncHandler(async (req, res) => {
 
   const payload = { operators: agg, generatedAt: toISO() };
   await cacheService?.set?.(cacheKey, payload, 3600);
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Operators fetched', payload));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(payload, { message: 'Operators fetched' }));
+});
+
+/**
+ * GET /api/v1/buses/trending?region=&limit=
+ * Most popular active buses.
+ */
+exports.getTrending = asyncHandler(async (req, res) => {
+  const { region, limit } = req.query;
+  const items = await busService.getTrending({ region, limit });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ items, generatedAt: toISO() }, { message: 'Trending buses fetched' }));
+});
+
+/**
+ * GET /api/v1/buses/geojson?operator=&limit=
+ * Returns RFC 7946 FeatureCollection of bus route lines for map overlays
+ */
+exports.getBusesGeoJSON = asyncHandler(async (req, res) => {
+  const { operator, limit } = req.query;
+  const fc = await busService.getBusesGeoJSON({ operator, limit });
+  res.setHeader('Content-Type', 'application/geo+json');
+  return res.status(StatusCodes.OK).json(fc);
 });
 
 /**
@@ -308,35 +331,37 @@ exports.getSeatMap = asyncHandler(async (req, res) => {
   const { fromStopId, toStopId, date } = req.query;
 
   if (!fromStopId || !toStopId || !date) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'fromStopId, toStopId and date are required');
+    throw ApiError.badRequest('fromStopId, toStopId and date are required');
   }
 
   const seatmap = await busService.getSeatMap({
     busId: id,
     fromStopId,
     toStopId,
-    date
-  }); // { layout, availableSeats[], blockedSeats[], pricingRules }
+    date,
+    classCode: req.query.class
+  }); // { classCode, date, rows, cols, layout[][{ seat, state, available }], counts }
 
   if (!seatmap) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Seat map not available');
+    throw ApiError.notFound('Seat map not available');
   }
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Seat map fetched', { ...seatmap, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...seatmap, generatedAt: toISO() }, { message: 'Seat map fetched' }));
 });
 
 /**
  * POST /api/v1/buses/quote
- * Body: { busId, fromStopId, toStopId, date, passengers, class, addons }
- * Returns fare quote with currency and hold expiry for checkout.
+ * Body: { busId, fromStopId, toStopId, date, passengers, travelClass, currency?, seats? }
+ * passengers: count, { adult, child, infant, senior, student, disabled } or [{ category?, age? }]
+ * Returns an itemized fare quote (segment fare, concessions, fees, taxes) with hold expiry for checkout.
  */
 exports.getFareQuote = asyncHandler(async (req, res) => {
-  const { busId, fromStopId, toStopId, date, passengers, travelClass, addons } = req.body || {};
+  const { busId, fromStopId, toStopId, date, passengers, travelClass, currency, seats } = req.body || {};
 
   if (!busId || !fromStopId || !toStopId || !date || !passengers) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'busId, fromStopId, toStopId, date, passengers are required');
+    throw ApiError.badRequest('busId, fromStopId, toStopId, date, passengers are required');
   }
 
   const quote = await busService.getFareQuote({
@@ -345,17 +370,62 @@ exports.getFareQuote = asyncHandler(async (req, res) => {
     toStopId,
     date,
     passengers,
-    travelClass,
-    addons
-  }); // { currency, base, taxes, fees, total, expiresAtISO }
+    classCode: travelClass,
+    currency,
+    seats,
+    userId: req.user?._id
+  }); // { classCode, segment, passengers, passengerMix, price: { currency, unitAmount, totalAmount, breakdown }, holdId, holdExpiryISO }
 
   if (!quote) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Fare quote not available');
+    throw ApiError.notFound('Fare quote not available');
   }
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Fare quote generated', { ...quote, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...quote, generatedAt: toISO() }, { message: 'Fare quote generated' }));
+});
+
+/**
+ * DELETE /api/v1/buses/holds/:holdId
+ * Releases a quote's seat hold before it expires (e.g., checkout abandoned).
+ */
+exports.releaseSeatHold = asyncHandler(async (req, res) => {
+  const { holdId } = req.params;
+
+  const released = await busService.releaseSeatHold(holdId, { userId: req.user?._id });
+  if (!released) {
+    throw ApiError.notFound('Seat hold not found or already expired');
+  }
+
+  return res
+    .status(StatusCodes.OK)
+    .json(ApiResponse.success({ holdId, generatedAt: toISO() }, { message: 'Seat hold released' }));
+});
+
+/**
+ * POST /api/v1/buses/:id/book
+ * Body: { quote, contact, passengers, payment? }
+ * Prices the quote again (409 with the new quote if the fare changed), commits its
+ * seat hold (only the user who placed it can) and records the booking.
+ */
+exports.bookSeat = asyncHandler(async (req, res) => {
+  const { quote, contact, passengers, payment } = req.body || {};
+  if (!quote) {
+    throw ApiError.badRequest('quote is required');
+  }
+
+  const booking = await busService.bookBus(req.params.id, {
+    quote,
+    contact,
+    passengers,
+    payment,
+    userId: req.user?._id
+  });
+  if (!booking) {
+    throw ApiError.notFound('Bus trip not found');
+  }
+
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(booking, { message: 'Bus booked' }));
 });
 
 /**
@@ -365,7 +435,7 @@ exports.getFareQuote = asyncHandler(async (req, res) => {
 exports.suggest = asyncHandler(async (req, res) => {
   const { q = '', limit = 8 } = req.query;
   if (!q || String(q).trim().length < 2) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Suggestions fetched', { suggestions: [] }));
+    return res.status(StatusCodes.OK).json(ApiResponse.success({ suggestions: [] }, { message: 'Suggestions fetched' }));
   }
 
   const lmt = clamp(parseInt(limit), 1, 20);
@@ -388,5 +458,5 @@ exports.suggest = asyncHandler(async (req, res) => {
     to: b.stops?.[b.stops.length - 1]?.name || null
   }));
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Suggestions fetched', { suggestions: mapped }));
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ suggestions: mapped }, { message: 'Suggestions fetched' }));
 });
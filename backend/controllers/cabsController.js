@@ -2,15 +2,14 @@
 
 const { StatusCodes } = require('http-status-codes');
 const { ApiError } = require('../utils/ApiError');
-const { ApiResponse } = require('../utils/ApiResponse');
-const { asyncHandler } = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
 
 // Services (as planned in upgrade)
 const cabService = require('../services/cabService');                 // quotes, booking, live, providers, classes
 const locationService = require('../services/locationService');       // distance calc, haversine
 const mapService = require('../services/mapService');                 // RFC 7946 GeoJSON helpers
 const cacheService = require('../services/cacheService');             // optional redis
-const directionsService = require('../services/directionsService');   // routing/eta if available
 
 // Helpers
 const toISO = (d = new Date()) => d.toISOString(); // ISO 8601
@@ -20,40 +19,39 @@ const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
 
 function validateCoords(obj, prefix = '') {
   if (!obj || !isNum(parseFloat(obj.lat)) || !isNum(parseFloat(obj.lng))) {
-    throw new ApiError(
-      StatusCodes.BAD_REQUEST,
-      `${prefix} coordinates (lat,lng) are required and must be numbers`
-    );
+    throw ApiError.badRequest(`${prefix} coordinates (lat,lng) are required and must be numbers`);
   }
 }
 
-// POST /api/v1/cabs/quote
-// Body: { pickup:{lat,lng}, drop:{lat,lng}, whenISO, classCode, passengers, promoCode }
-exports.getQuote = asyncHandler(async (req, res) => {
-  const { pickup, drop, whenISO, classCode, passengers = 1, promoCode } = req.body || {};
+// Rides are only visible to the rider who requested them
+async function findOwnRide(rideId, userId) {
+  const ride = await cabService.getRideById(rideId);
+  if (!ride || String(ride.userId) !== String(userId)) throw ApiError.notFound('Ride not found');
+  return ride;
+}
 
-  validateCoords(pickup, 'pickup');
-  validateCoords(drop, 'drop');
+// GET /api/v1/cabs/ride-types?lat=&lng=
+// Ride products with availability near the coordinate
+exports.getRideTypes = asyncHandler(async (req, res) => {
+  const { lat, lng } = req.query;
+  if (parseNum(lat) === null || parseNum(lng) === null) {
+    throw ApiError.badRequest('Latitude and longitude are required');
+  }
 
-  const quote = await cabService.getQuote({
-    pickup: { lat: parseFloat(pickup.lat), lng: parseFloat(pickup.lng) },
-    drop: { lat: parseFloat(drop.lat), lng: parseFloat(drop.lng) },
-    whenISO: whenISO || toISO(),
-    classCode,
-    passengers,
-    promoCode
-  }); // { currency, base, distanceKm, durationMin, surge, total, breakdown, provider, classCode, etaMin, expiresAtISO }
+  const items = await cabService.getRideTypes({ lat, lng });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ items, generatedAt: toISO() }, { message: 'Ride types fetched' }));
+});
 
-  if (!quote) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Quote not available for the specified route/time');
-  }
+// POST /api/v1/cabs/estimates
+// Body: { pickup:{location:{lat,lng}}, drop:{location:{lat,lng}}, classCode? }
+exports.getEstimates = asyncHandler(async (req, res) => {
+  const { pickup, drop, classCode } = req.body || {};
+  validateCoords(pickup?.location, 'pickup');
+  validateCoords(drop?.location, 'drop');
 
-  return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Cab quote generated', {
-      ...quote,
-      generatedAt: toISO()
-    })
-  );
+  const estimates = await cabService.getEstimates({ pickup, drop, classCode });
+  // { items:[{ classCode, currency, distanceKm, durationMin, fareMin, surge }], quotedAtISO, holdExpiryISO }
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...estimates, generatedAt: toISO() }, { message: 'Estimates generated' }));
 });
 
 // GET /api/v1/cabs/nearby?lat=&lng=&radius=&limit=&class=
@@ -61,7 +59,7 @@ exports.getQuote = asyncHandler(async (req, res) => {
 exports.getNearbyVehicles = asyncHandler(async (req, res) => {
   const { lat, lng, radius = 5, limit = 30, class: classCode } = req.query;
   if (!lat || !lng) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'Latitude and longitude are required');
+    throw ApiError.badRequest('Latitude and longitude are required');
   }
 
   const cacheKey = `cabs:nearby:${lat}:${lng}:${radius}:${limit}:${classCode || 'all'}`;
@@ -69,7 +67,7 @@ exports.getNearbyVehicles = asyncHandler(async (req, res) => {
   if (cached) {
     return res
       .status(StatusCodes.OK)
-      .json(new ApiResponse(StatusCodes.OK, 'Nearby vehicles fetched (cache)', cached));
+      .json(ApiResponse.success(cached, { message: 'Nearby vehicles fetched (cache)' }));
   }
 
   const vehicles = await cabService.findNearbyVehicles({
@@ -96,74 +94,47 @@ exports.getNearbyVehicles = asyncHandler(async (req, res) => {
   };
 
   await cacheService?.set?.(cacheKey, payload, 30); // 30 seconds
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Nearby vehicles fetched', payload));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(payload, { message: 'Nearby vehicles fetched' }));
 });
 
-// POST /api/v1/cabs/book
-// Body: { pickup:{lat,lng,address}, drop:{lat,lng,address}, whenISO, classCode, passengers, paymentMethod, preferences, quoteId }
-exports.bookRide = asyncHandler(async (req, res) => {
-  const {
-    pickup,
-    drop,
-    whenISO,
-    classCode,
-    passengers = 1,
-    paymentMethod,
-    preferences,
-    quoteId
-  } = req.body || {};
-
-  validateCoords(pickup, 'pickup');
-  validateCoords(drop, 'drop');
+// POST /api/v1/cabs/requests
+// Body: { provider?, classCode, pickup:{address,location:{lat,lng},whenISO?}, drop:{address,location:{lat,lng}}, waypoints? }
+// The fare is quoted on the server; pay for it with POST /requests/:id/pay
+exports.createRide = asyncHandler(async (req, res) => {
+  const { provider, classCode, pickup, drop, waypoints } = req.body || {};
+  validateCoords(pickup?.location, 'pickup');
+  validateCoords(drop?.location, 'drop');
 
   const ride = await cabService.createRide({
+    userId: req.user.id,
+    provider,
+    classCode,
     pickup,
     drop,
-    whenISO: whenISO || toISO(),
-    classCode,
-    passengers,
-    paymentMethod,
-    preferences,
-    quoteId,
-    userId: req.user?.id
-  }); // { rideId, status, provider, classCode, driver, vehicle, etaMin, payment: { paymentUrl?, expiresAtISO? } }
-
-  if (!ride) {
-    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Failed to create ride');
-  }
+    waypoints: Array.isArray(waypoints) ? waypoints : []
+  });
 
   return res.status(StatusCodes.CREATED).json(
-    new ApiResponse(StatusCodes.CREATED, 'Ride created', {
+    ApiResponse.success({
       ...ride,
       generatedAt: toISO()
-    })
+    }, { message: 'Ride created' })
   );
 });
 
-// GET /api/v1/cabs/rides/:id
-// Returns live ride status for tracking screen
-exports.getRideStatus = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
-  const status = await cabService.getRideStatus(id); 
-  // { rideId, status, stage, pickup, drop, driver, vehicle, current:{lat,lng,heading,speedKph,lastUpdatedISO}, 
-  //   etaToPickupMin, etaToDropMin, distanceRemainingKm, route: { coordinates:[ [lng,lat], ... ] } }
-
-  if (!status) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Ride not found');
-  }
-
-  const enriched = { ...status };
-  if (status?.current?.lat && status?.current?.lng) {
-    enriched.current.geoUri = `geo:${status.current.lat},${status.current.lng}`;
-  }
+// GET /api/v1/cabs/requests/:id
+exports.getRideById = asyncHandler(async (req, res) => {
+  const ride = await findOwnRide(req.params.id, req.user.id);
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...ride, generatedAt: toISO() }, { message: 'Ride fetched' }));
+});
 
-  return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Ride status fetched', {
-      ...enriched,
-      generatedAt: toISO()
-    })
-  );
+// GET /api/v1/cabs/requests/:id/live
+// Latest driver position for the tracking screen
+exports.getLiveStatus = asyncHandler(async (req, res) => {
+  await findOwnRide(req.params.id, req.user.id);
+  const live = await cabService.getLiveStatus(req.params.id);
+  // { rideId, state, position, heading, speedKph, lastUpdatedISO }
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...live, generatedAt: toISO() }, { message: 'Live status fetched' }));
 });
 
 // POST /api/v1/cabs/rides/:id/cancel
@@ -174,12 +145,49 @@ exports.cancelRide = asyncHandler(async (req, res) => {
 
   const result = await cabService.cancelRide({ rideId: id, reasonCode, note, userId: req.user?.id });
   if (!result?.success) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, result?.message || 'Unable to cancel ride at this stage');
+    throw ApiError.badRequest(result?.message || 'Unable to cancel ride at this stage');
+  }
+
+  return res
+    .status(StatusCodes.OK)
+    .json(ApiResponse.success({ rideId: id, ...result, generatedAt: toISO() }, { message: 'Ride cancelled' }));
+});
+
+// POST /api/v1/cabs/requests/:id/pay
+// Body: { method } ; header Idempotency-Key recommended for retries
+// Charges the ride's quoted fare through the server's payment gateway
+exports.payForRide = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { method } = req.body || {};
+  if (typeof method !== 'string' || !method.trim()) throw ApiError.badRequest('method is required');
+
+  const result = await cabService.payForRide(id, {
+    method,
+    idempotencyKey: req.get('Idempotency-Key'),
+    userId: req.user?.id
+  }); // { ride, payment: { status: captured|failed, ... } }
+  if (!result) throw ApiError.notFound('Ride not found');
+  if (result.payment?.status !== 'captured') {
+    throw new ApiError('Payment failed', {
+      status: StatusCodes.PAYMENT_REQUIRED,
+      code: 'PAYMENT_FAILED',
+      details: { paymentId: String(result.payment._id), status: result.payment.status, failureReason: result.payment.failureReason || null }
+    });
   }
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Ride cancelled', { rideId: id, ...result, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...result, generatedAt: toISO() }, { message: 'Ride paid' }));
+});
+
+// POST /api/v1/cabs/webhooks/:provider
+// Signed provider callbacks (x-webhook-signature: t=<ts>,v1=<hmac>)
+exports.webhook = asyncHandler(async (req, res) => {
+  const result = await cabService.handleWebhook(req.params.provider, req.body, {
+    rawBody: req.rawBody,
+    signature: req.get('x-webhook-signature')
+  });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result, { message: 'Webhook processed' }));
 });
 
 // GET /api/v1/cabs/providers
@@ -187,13 +195,13 @@ exports.getProviders = asyncHandler(async (_req, res) => {
   const cacheKey = 'cabs:providers';
   const cached = await cacheService?.get?.(cacheKey);
   if (cached) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Providers fetched (cache)', cached));
+    return res.status(StatusCodes.OK).json(ApiResponse.success(cached, { message: 'Providers fetched (cache)' }));
   }
 
   const providers = await cabService.getProviders(); // [{ code, name, logo, regions }]
   const payload = { providers, generatedAt: toISO() };
   await cacheService?.set?.(cacheKey, payload, 3600);
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Providers fetched', payload));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(payload, { message: 'Providers fetched' }));
 });
 
 // GET /api/v1/cabs/classes
@@ -201,13 +209,13 @@ exports.getVehicleClasses = asyncHandler(async (_req, res) => {
   const cacheKey = 'cabs:classes';
   const cached = await cacheService?.get?.(cacheKey);
   if (cached) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Classes fetched (cache)', cached));
+    return res.status(StatusCodes.OK).json(ApiResponse.success(cached, { message: 'Classes fetched (cache)' }));
   }
 
   const classes = await cabService.getVehicleClasses();
   const payload = { classes, generatedAt: toISO() };
   await cacheService?.set?.(cacheKey, payload, 3600);
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Classes fetched', payload));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(payload, { message: 'Classes fetched' }));
 });
 
 // GET /api/v1/cabs/eta?fromLat=&fromLng=&toLat=&toLng=&whenISO=
@@ -215,7 +223,7 @@ exports.getEta = asyncHandler(async (req, res) => {
   const { fromLat, fromLng, toLat, toLng, whenISO } = req.query;
 
   if (![fromLat, fromLng, toLat, toLng].every((v) => v !== undefined)) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'fromLat, fromLng, toLat, toLng are required');
+    throw ApiError.badRequest('fromLat, fromLng, toLat, toLng are required');
   }
 
   const eta = await cabService.getEta({
@@ -225,59 +233,23 @@ exports.getEta = asyncHandler(async (req, res) => {
   }); // { distanceKm, durationMin, route: { coordinates:[ [lng,lat], ... ] } }
 
   if (!eta) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'ETA not available');
+    throw ApiError.notFound('ETA not available');
   }
 
   return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'ETA computed', {
+    ApiResponse.success({
       ...eta,
       generatedAt: toISO()
-    })
+    }, { message: 'ETA computed' })
   );
 });
 
-// GET /api/v1/cabs/rides/:id/geojson
-// Returns RFC 7946 FeatureCollection with LineString route and current position point
-exports.getRideGeoJSON = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
-  const status = await cabService.getRideStatus(id);
-  if (!status?.route?.coordinates || !Array.isArray(status.route.coordinates)) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Route not available for this ride');
-  }
-
-  const features = [];
-
-  // Route LineString (must be [lng,lat] per RFC 7946)
-  features.push({
-    type: 'Feature',
-    geometry: {
-      type: 'LineString',
-      coordinates: status.route.coordinates
-    },
-    properties: { kind: 'cab_route', rideId: id }
-  });
-
-  // Current position as Point
-  if (status?.current?.lat && status?.current?.lng) {
-    features.push({
-      type: 'Feature',
-      geometry: {
-        type: 'Point',
-        coordinates: [status.current.lng, status.current.lat]
-      },
-      properties: {
-        kind: 'vehicle_position',
-        rideId: id,
-        heading: status.current.heading || null,
-        speedKph: status.current.speedKph || null,
-        lastUpdatedISO: status.current.lastUpdatedISO || toISO(),
-        geo: `geo:${status.current.lat},${status.current.lng}`
-      }
-    });
-  }
+// GET /api/v1/cabs/requests/:id/route
+// RFC 7946 FeatureCollection with the ride's route
+exports.getRideRoute = asyncHandler(async (req, res) => {
+  await findOwnRide(req.params.id, req.user.id);
+  const fc = await cabService.getRideRoute(req.params.id);
 
-  const fc = { type: 'FeatureCollection', features, generatedAt: toISO() };
   res.setHeader('Content-Type', 'application/geo+json');
-  return res.status(StatusCodes.OK).json(fc);
+  return res.status(StatusCodes.OK).json({ ...fc, generatedAt: toISO() });
 });
@@ -1,15 +1,20 @@
 // backend/controllers/discoveryController.js
 const Place = require('../models/place');
 const Region = require('../models/region');
+const recommendationService = require('../services/recommendationService');
+const { localizeAll } = require('../utils/i18n');
 
 /**
- * GET /api/discovery/home?regionId=&limit=
+ * GET /api/discovery/home?regionId=&limit=&lat=&lng=
  * Returns home sections for Explore:
  * - hero (first featured)
  * - categories/emotions chips
  * - sections: featured, latest, top_rated
+ * - signed in: personalized sections first ("Because you saved X", "Popular near you",
+ *   "Matches your preferences"), each item with recommendation.reasons
  *
  * If regionId is provided, results include the region and all its descendants.
+ * lat/lng (optional) centre "Popular near you"; otherwise the last place the user touched is used.
  */
 exports.getHome = async (req, res) => {
   try {
@@ -40,6 +45,17 @@ exports.getHome = async (req, res) => {
       Place.find(baseFilter).sort({ rating: -1, reviewCount: -1, createdAt: -1 }).limit(lim)
     ]);
 
+    // Personalization never blocks the generic home
+    let personalized = [];
+    if (req.user) {
+      personalized = await recommendationService
+        .homeSections(req.user, { lat: req.query.lat, lng: req.query.lng, baseFilter, limit: lim })
+        .catch((e) => {
+          console.error('Personalized sections error:', e);
+          return [];
+        });
+    }
+
     // Static chips for MVP (aligned with enums in Place)
     const categories = ['Temples', 'Peaceful', 'Adventure', 'Heritage', 'Nature', 'Stay Places'];
     const emotions = ['Spiritual', 'Peaceful', 'Adventure', 'Nature', 'Heritage'];
@@ -47,13 +63,14 @@ exports.getHome = async (req, res) => {
     res.json({
       success: true,
       data: {
-        hero: featured.slice(0, 1),
+        hero: localizeAll(featured.slice(0, 1), req.locale),
         categories,
         emotions,
         sections: [
-          { key: 'featured', title: 'Featured', items: featured },
-          { key: 'latest', title: 'New & Noted', items: latest },
-          { key: 'top_rated', title: 'Top Rated', items: topRated }
+          ...personalized.map((s) => ({ ...s, items: localizeAll(s.items, req.locale) })),
+          { key: 'featured', title: 'Featured', items: localizeAll(featured, req.locale) },
+          { key: 'latest', title: 'New & Noted', items: localizeAll(latest, req.locale) },
+          { key: 'top_rated', title: 'Top Rated', items: localizeAll(topRated, req.locale) }
         ]
       }
     });
@@ -0,0 +1,56 @@
+// backend/controllers/disruptionsController.js
+
+const { StatusCodes } = require('http-status-codes');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const { SERVICE_CALENDAR } = require('../utils/constants');
+
+const calendarService = require('../services/serviceCalendarService'); // notices + trip calendar exceptions
+
+// GET /api/transport/disruptions?mode=train|bus&effect=&tripId=&stationId=&date=YYYY-MM-DD&status=published|withdrawn|all&page=&limit=
+exports.list = asyncHandler(async (req, res) => {
+  const { mode, effect, tripId, stationId, date, status, page, limit } = req.query;
+  if (mode && !SERVICE_CALENDAR.NOTICE_MODES.includes(mode)) {
+    throw ApiError.badRequest(`mode must be one of: ${SERVICE_CALENDAR.NOTICE_MODES.join(', ')}`);
+  }
+  if (status && status !== 'all' && !SERVICE_CALENDAR.NOTICE_STATUS.includes(status)) {
+    throw ApiError.badRequest(`status must be one of: ${SERVICE_CALENDAR.NOTICE_STATUS.join(', ')}, all`);
+  }
+
+  const result = await calendarService.listNotices({ mode, effect, tripId, stationId, date, status, page, limit });
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.page(result.items, {
+      total: result.total,
+      page: result.page,
+      pageSize: result.limit,
+      hasMore: result.page * result.limit < result.total
+    })
+  );
+});
+
+// GET /api/transport/disruptions/:id
+exports.getOne = asyncHandler(async (req, res) => {
+  const notice = await calendarService.getNotice(req.params.id);
+  if (!notice) throw ApiError.notFound('Notice not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.success(notice));
+});
+
+// POST /api/transport/disruptions
+// Body: { mode, effect: cancellation|retiming|special_service|advisory, title, message?, severity?,
+//         tripIds?, stationIds?, dates? | from?/to?, shiftMin? (retiming), fromSeq? }
+exports.publish = asyncHandler(async (req, res) => {
+  const notice = await calendarService.publishNotice(req.body || {}, { actorId: req.user._id });
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(notice, { message: 'Notice published' }));
+});
+
+// POST /api/transport/disruptions/:id/withdraw
+// Body: { reason? }
+exports.withdraw = asyncHandler(async (req, res) => {
+  const notice = await calendarService.withdrawNotice(req.params.id, {
+    actorId: req.user._id,
+    reason: req.body?.reason
+  });
+  if (!notice) throw ApiError.notFound('Notice not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.success(notice, { message: 'Notice withdrawn' }));
+});
@@ -0,0 +1,31 @@
+// backend/controllers/exchangeRatesController.js
+
+const { StatusCodes } = require('http-status-codes');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+
+const currencyService = require('../services/currencyService'); // local FX table for group budgets
+
+// GET /api/v1/planning/fx-rates
+exports.listRates = asyncHandler(async (req, res) => {
+  const { pivot, items } = await currencyService.listRates();
+  return res.status(StatusCodes.OK).json(ApiResponse.page(items, { pivot }));
+});
+
+// PUT /api/v1/planning/fx-rates/:code
+// Body: { rateToPivot, source? } — value of one unit of :code in the pivot currency
+exports.upsertRate = asyncHandler(async (req, res) => {
+  const { rateToPivot, source } = req.body || {};
+  if (rateToPivot === undefined) throw ApiError.badRequest('rateToPivot is required');
+
+  const rate = await currencyService.upsertRate(req.params.code, { rateToPivot, source, actorId: req.user._id });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(rate, { message: 'Rate saved' }));
+});
+
+// DELETE /api/v1/planning/fx-rates/:code
+exports.removeRate = asyncHandler(async (req, res) => {
+  const removed = await currencyService.removeRate(req.params.code);
+  if (!removed) throw ApiError.notFound('No rate override for this currency');
+  return res.status(StatusCodes.OK).json(ApiResponse.ok('Rate removed', { code: String(req.params.code).toUpperCase() }));
+});
@@ -2,8 +2,8 @@
 
 const { StatusCodes } = require('http-status-codes');
 const { ApiError } = require('../utils/ApiError');
-const { ApiResponse } = require('../utils/ApiResponse');
-const { asyncHandler } = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
 
 // Models
 const Flight = require('../models/Flight');          // priced itineraries (optional cache/store)
@@ -11,77 +11,76 @@ const Airport = require('../models/Airport');        // airport meta for map/sel
 
 // Services (per upgrade plan)
 const flightsService = require('../services/flightService');        // search, price, quote, booking, status
+const liveStatusService = require('../services/liveStatusService'); // reported/interpolated position and delays
 const cacheService = require('../services/cacheService');           // optional Redis
 const mapService = require('../services/mapService');               // RFC 7946 helpers (lines, features)
 const locationService = require('../services/locationService');     // distance/haversine if needed
 
 // Helpers
 const toISO = (d = new Date()) => d.toISOString(); // ISO 8601 UTC
-const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
 const isStr = (v) => typeof v === 'string' && v.trim().length > 0;
 
+// GET /api/v1/flights/health
+exports.health = asyncHandler(async (req, res) => {
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ service: 'flights', status: 'ok', generatedAt: toISO() }));
+});
+
 // POST /api/v1/flights/search
-// Body: { origin, destination, departDate, returnDate?, cabinClass?, pax:{adults,children,infants}, nonStop?, maxStops?, airlines?, sortBy?, sortOrder?, page?, limit? }
-// origin/destination can be IATA (preferred) or ICAO; service will resolve via Airport catalog.
+// Body: { tripType?, slices: [{ origin:{iata}, destination:{iata}, departureISO }], pax?, cabin?, maxStops?, sort? }
+// Shorthand: { origin, destination, departDate, returnDate? } (IATA codes) builds a one-way or round-trip search
 exports.searchFlights = asyncHandler(async (req, res) => {
-  const {
-    origin,
-    destination,
-    departDate,
-    returnDate,
-    cabinClass = 'ECONOMY',
-    pax = { adults: 1, children: 0, infants: 0 },
-    nonStop,
-    maxStops,
-    airlines = [],
-    sortBy = 'price',
-    sortOrder = 'asc',
-    page = 1,
-    limit = 20
-  } = req.body || {};
-
-  if (!isStr(origin) || !isStr(destination) || !isStr(departDate)) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'origin, destination and departDate are required'); 
-  }
+  const { tripType, slices, origin, destination, departDate, returnDate, pax, cabin, maxStops, sort = 'price' } = req.body || {};
 
-  const p = clamp(parseInt(page || 1), 1, 100);
-  const l = clamp(parseInt(limit || 20), 1, 100);
+  let legs = Array.isArray(slices) ? slices : [];
+  if (!legs.length && isStr(origin) && isStr(destination) && isStr(departDate)) {
+    legs = [{ origin: { iata: origin }, destination: { iata: destination }, departureISO: departDate }];
+    if (isStr(returnDate)) legs.push({ origin: { iata: destination }, destination: { iata: origin }, departureISO: returnDate });
+  }
+  if (!legs.length) {
+    throw ApiError.badRequest('slices (or origin, destination and departDate) are required');
+  }
 
-  const result = await flightsService.search({
-    origin,
-    destination,
-    departDate,
-    returnDate,
-    cabinClass,
+  const result = await flightsService.searchFlights({
+    tripType: tripType || (legs.length === 2 && !slices ? 'ROUND_TRIP' : legs.length > 1 ? 'MULTI_CITY' : 'ONE_WAY'),
+    slices: legs,
     pax,
-    nonStop,
+    cabin,
     maxStops,
-    airlines,
-    sortBy,
-    sortOrder,
-    page: p,
-    limit: l
-  }); // { itineraries:[], pagination:{page,limit,total,totalPages}, facets:{}, processingTimeMs }
+    sort
+  }); // { trips:[{ sliceIndex, items, itineraries }] }
 
   return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Flight search completed', {
+    ApiResponse.success({
       ...result,
       generatedAt: toISO()
-    })
+    }, { message: 'Flight search completed' })
   );
 });
 
+// GET /api/v1/flights/suggest?q=&types=airport,airline,route&limit=
+exports.suggest = asyncHandler(async (req, res) => {
+  const { q, types, limit } = req.query;
+  const suggestions = await flightsService.suggest({ q, types, limit });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...suggestions, generatedAt: toISO() }, { message: 'Suggestions fetched' }));
+});
+
+// GET /api/v1/flights/airlines
+exports.getAirlines = asyncHandler(async (req, res) => {
+  const items = await flightsService.getAirlines();
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ items, generatedAt: toISO() }, { message: 'Airlines fetched' }));
+});
+
 // GET /api/v1/flights/:id
 // Full itinerary details: segments, legs, fare rules, baggage, and mapped airports (IATA/ICAO aware)
 exports.getFlightById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Prefer pulling from provider via service; fall back to DB cache if present
-  const itinerary = await flightsService.getById(id);
+  const itinerary = await flightsService.getFlightById(id);
   if (!itinerary) {
     const cached = await Flight.findById(id).lean();
-    if (!cached) throw new ApiError(StatusCodes.NOT_FOUND, 'Flight not found');
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Flight fetched', { itinerary: cached, generatedAt: toISO() }));
+    if (!cached) throw ApiError.notFound('Flight not found');
+    return res.status(StatusCodes.OK).json(ApiResponse.success({ itinerary: cached, generatedAt: toISO() }, { message: 'Flight fetched' }));
   }
 
   // Enrich airports (map + selector)
@@ -124,43 +123,49 @@ exports.getFlightById = asyncHandler(async (req, res) => {
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Flight fetched', { itinerary, generatedAt: toISO() }));
+    .json(ApiResponse.success({ itinerary, generatedAt: toISO() }, { message: 'Flight fetched' }));
 });
 
 // POST /api/v1/flights/quote
-// Body: { itineraryId or pricedOffer, ancillaries?, coupon? } -> returns priced breakdown with currency and expiry (ISO)
-exports.getFareQuote = asyncHandler(async (req, res) => {
-  const { itineraryId, pricedOffer, ancillaries, coupon } = req.body || {};
-  if (!itineraryId && !pricedOffer) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'itineraryId or pricedOffer is required');
-  }
+// Body: { offerId, travelers[] } -> returns the offer priced for the travelers, with hold expiry (ISO)
+exports.getQuote = asyncHandler(async (req, res) => {
+  const { offerId, travelers } = req.body || {};
+  if (!offerId) throw ApiError.badRequest('offerId is required');
 
-  const quote = await flightsService.getFareQuote({ itineraryId, pricedOffer, ancillaries, coupon }); 
-  // { currency, base, taxes, fees, total, fareFamily, rules, expiresAtISO }
+  const quote = await flightsService.getQuote({ offerId, travelers: Array.isArray(travelers) ? travelers : [] });
+  // { offerId, carrier, number, cabin, price:{currency,unitAmount,totalAmount}, holdExpiryISO }
 
-  if (!quote) throw new ApiError(StatusCodes.NOT_FOUND, 'Quote not available');
+  if (!quote.carrier && !quote.price.unitAmount) throw ApiError.notFound('Quote not available');
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Fare quote generated', { ...quote, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...quote, generatedAt: toISO() }, { message: 'Fare quote generated' }));
 });
 
 // POST /api/v1/flights/book
 // Body: { quoteId or pricedOffer, travelers[], contact, paymentMethod, seats? } -> returns booking record and payment info
+// The offer is re-priced on the server; a pricedOffer's price is only checked against it (409 when it changed)
 exports.bookFlight = asyncHandler(async (req, res) => {
   const { quoteId, pricedOffer, travelers, contact, paymentMethod, seats } = req.body || {};
   if (!quoteId && !pricedOffer) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'quoteId or pricedOffer is required');
+    throw ApiError.badRequest('quoteId or pricedOffer is required');
   }
 
-  const booking = await flightsService.createBooking({ quoteId, pricedOffer, travelers, contact, paymentMethod, seats, userId: req.user?.id }); 
-  // { bookingId, pnr, status, payment:{paymentUrl?,expiresAtISO?}, itinerary }
+  const booking = await flightsService.bookFlight({
+    offerId: quoteId || pricedOffer?.offerId || pricedOffer?._id,
+    travelers,
+    contact,
+    payment: paymentMethod ? { method: paymentMethod, idempotencyKey: req.get('Idempotency-Key') } : undefined,
+    userId: req.user?.id,
+    expectedQuote: pricedOffer
+  });
+  // Ledger booking: status held | pending_payment until payment is captured
 
-  if (!booking) throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Failed to create booking');
+  if (!booking) throw ApiError.internal('Failed to create booking');
 
   return res
     .status(StatusCodes.CREATED)
-    .json(new ApiResponse(StatusCodes.CREATED, 'Flight booked', { ...booking, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...booking, generatedAt: toISO() }, { message: 'Flight booked' }));
 });
 
 // GET /api/v1/flights/status?flightNumber=XX123&date=YYYY-MM-DD
@@ -168,96 +173,38 @@ exports.bookFlight = asyncHandler(async (req, res) => {
 exports.getFlightStatus = asyncHandler(async (req, res) => {
   const { flightNumber, date } = req.query;
   if (!isStr(flightNumber) || !isStr(date)) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'flightNumber and date are required');
+    throw ApiError.badRequest('flightNumber and date are required');
   }
 
   const status = await flightsService.getStatus({ flightNumber, date }); 
   // { flightNumber, date, status, departure:{schedISO,estISO,gate,terminal}, arrival:{schedISO,estISO,gate,terminal}, aircraft, operational }
 
-  if (!status) throw new ApiError(StatusCodes.NOT_FOUND, 'Status not available');
+  if (!status) throw ApiError.notFound('Status not available');
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Flight status fetched', { ...status, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...status, generatedAt: toISO() }, { message: 'Flight status fetched' }));
 });
 
-// GET /api/v1/flights/:id/route
-// Returns RFC 7946 FeatureCollection: LineString path (if available) plus origin/destination points for the flight route map.
-exports.getFlightRoute = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
-  const itinerary = await flightsService.getById(id);
-  if (!itinerary || !Array.isArray(itinerary.segments) || itinerary.segments.length === 0) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Itinerary not found');
-  }
+// GET /api/v1/flights/status/:carrier/:number?date=YYYY-MM-DD
+// Live departure/arrival estimates, delay and position from real-time reports
+exports.getLiveStatus = asyncHandler(async (req, res) => {
+  const { carrier, number } = req.params;
+  const live = await liveStatusService.flightStatus({ carrier, number, date: req.query.date });
 
-  // Build points per segment and an approximate polyline if provided by provider
-  const features = [];
-
-  // Add origin/destination airport points
-  for (const seg of itinerary.segments) {
-    const originMeta = await Airport.findOne({
-      $or: [{ iata: seg.origin?.iata }, { icao: seg.origin?.icao }]
-    }).select('name iata icao city country tz location').lean();
-
-    const destMeta = await Airport.findOne({
-      $or: [{ iata: seg.destination?.iata }, { icao: seg.destination?.icao }]
-    }).select('name iata icao city country tz location').lean();
-
-    if (originMeta?.location?.coordinates) {
-      features.push({
-        type: 'Feature',
-        geometry: { type: 'Point', coordinates: originMeta.location.coordinates },
-        properties: {
-          kind: 'airport_origin',
-          name: originMeta.name,
-          iata: originMeta.iata || null,
-          icao: originMeta.icao || null,
-          city: originMeta.city || null,
-          country: originMeta.country || null,
-          tz: originMeta.tz || null,
-          geo: `geo:${originMeta.location.coordinates},${originMeta.location.coordinates}`
-        }
-      });
-    }
-    if (destMeta?.location?.coordinates) {
-      features.push({
-        type: 'Feature',
-        geometry: { type: 'Point', coordinates: destMeta.location.coordinates },
-        properties: {
-          kind: 'airport_destination',
-          name: destMeta.name,
-          iata: destMeta.iata || null,
-          icao: destMeta.icao || null,
-          city: destMeta.city || null,
-          country: destMeta.country || null,
-          tz: destMeta.tz || null,
-          geo: `geo:${destMeta.location.coordinates},${destMeta.location.coordinates}`
-        }
-      });
-    }
+  return res
+    .status(StatusCodes.OK)
+    .json(ApiResponse.success({ ...live, generatedAt: toISO() }, { message: 'Live status fetched' }));
+});
 
-    // If provider supplies flight path polyline coords ([lng,lat] array), add LineString
-    if (Array.isArray(seg.path?.coordinates) && seg.path.coordinates.length > 1) {
-      features.push({
-        type: 'Feature',
-        geometry: {
-          type: 'LineString',
-          coordinates: seg.path.coordinates // must be [lng,lat]
-        },
-        properties: {
-          kind: 'flight_path',
-          flightNumber: seg.flightNumber,
-          carrier: seg.carrier,
-          segmentId: seg.id
-        }
-      });
-    }
-  }
+// GET /api/v1/flights/:id/route
+// RFC 7946 FeatureCollection for the flight route map: the stored route geometry, else a line between the airports
+exports.getFlightRoute = asyncHandler(async (req, res) => {
+  const fc = await flightsService.getFlightRoute(req.params.id);
+  if (!fc) throw ApiError.notFound('Flight not found');
 
-  const fc = { type: 'FeatureCollection', features, generatedAt: toISO() };
   res.setHeader('Content-Type', 'application/geo+json');
-  return res.status(StatusCodes.OK).json(fc);
+  return res.status(StatusCodes.OK).json({ ...fc, generatedAt: toISO() });
 });
 
 // POST /api/v1/flights/price-watch
@@ -265,7 +212,7 @@ exports.getFlightRoute = asyncHandler(async (req, res) => {
 exports.createPriceWatch = asyncHandler(async (req, res) => {
   const { origin, destination, departDate, returnDate, cabinClass, thresholdTotal, email } = req.body || {};
   if (!isStr(origin) || !isStr(destination) || !isStr(departDate) || !thresholdTotal) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'origin, destination, departDate and thresholdTotal are required');
+    throw ApiError.badRequest('origin, destination, departDate and thresholdTotal are required');
   }
 
   const watch = await flightsService.createPriceWatch({
@@ -281,5 +228,5 @@ exports.createPriceWatch = asyncHandler(async (req, res) => {
 
   return res
     .status(StatusCodes.CREATED)
-    .json(new ApiResponse(StatusCodes.CREATED, 'Price watch created', { ...watch, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...watch, generatedAt: toISO() }, { message: 'Price watch created' }));
 });
@@ -2,17 +2,18 @@
 
 const { StatusCodes } = require('http-status-codes');
 const { ApiError } = require('../utils/ApiError');
-const { ApiResponse } = require('../utils/ApiResponse');
-const { asyncHandler } = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
 
 // Models
 const Hotel = require('../models/Hotel');
-const Review = require('../models/Review');
+const Review = require('../models/review');
 const Booking = require('../models/booking/Booking');
 
 // Services
 const hotelService = require('../services/hotelService');           // search, availability, pricing, booking
 const bookingService = require('../services/bookingService');       // generic booking orchestrator
+const cancellationService = require('../services/cancellationService'); // refund policy + cancel
 const cacheService = require('../services/cacheService');           // optional Redis
 const locationService = require('../services/locationService');     // distance calc
 const mapService = require('../services/mapService');               // geojson helpers
@@ -108,6 +109,11 @@ function buildHotelFilter(q) {
   return filter;
 }
 
+// GET /api/v1/hotels/health
+exports.health = asyncHandler(async (req, res) => {
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ service: 'hotels', status: 'ok', generatedAt: toISO() }));
+});
+
 // GET /api/v1/hotels
 exports.getHotels = asyncHandler(async (req, res) => {
   const {
@@ -181,7 +187,7 @@ exports.getHotels = asyncHandler(async (req, res) => {
   const totalPages = Math.ceil(total / l);
 
   return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Hotels fetched successfully', {
+    ApiResponse.success({
       hotels: items,
       pagination: {
         currentPage: p,
@@ -192,19 +198,19 @@ exports.getHotels = asyncHandler(async (req, res) => {
         hasPrevPage: p > 1
       },
       generatedAt: toISO()
-    })
+    }, { message: 'Hotels fetched successfully' })
   );
 });
 
 // GET /api/v1/hotels/nearby?lat=&lng=&radius=&limit=&stars=&amenities=
 exports.getNearbyHotels = asyncHandler(async (req, res) => {
   const { lat, lng, radius = 10, limit = 24, stars, amenities } = req.query;
-  if (!lat || !lng) throw new ApiError(StatusCodes.BAD_REQUEST, 'Latitude and longitude are required');
+  if (!lat || !lng) throw ApiError.badRequest('Latitude and longitude are required');
 
   const cacheKey = `nearby_hotels:${lat}:${lng}:${radius}:${limit}:${stars || 'all'}:${amenities || 'all'}`;
   const cached = await cacheService?.get?.(cacheKey);
   if (cached) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Nearby hotels fetched (cache)', cached));
+    return res.status(StatusCodes.OK).json(ApiResponse.success(cached, { message: 'Nearby hotels fetched (cache)' }));
   }
 
   const filter = buildHotelFilter({ lat, lng, radius, stars, amenities });
@@ -233,14 +239,14 @@ exports.getNearbyHotels = asyncHandler(async (req, res) => {
   };
 
   await cacheService?.set?.(cacheKey, payload, 600);
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Nearby hotels fetched', payload));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(payload, { message: 'Nearby hotels fetched' }));
 });
 
 // GET /api/v1/hotels/suggest?q=&city=&limit=
 exports.suggestHotels = asyncHandler(async (req, res) => {
   const { q = '', city = '', limit = 8 } = req.query;
   if (!q || String(q).trim().length < 2) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Suggestions fetched', { suggestions: [] }));
+    return res.status(StatusCodes.OK).json(ApiResponse.success({ suggestions: [] }, { message: 'Suggestions fetched' }));
   }
 
   const lmt = Math.min(parseInt(limit), 20);
@@ -276,7 +282,7 @@ exports.suggestHotels = asyncHandler(async (req, res) => {
     };
   });
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Suggestions fetched', { suggestions: mapped }));
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ suggestions: mapped }, { message: 'Suggestions fetched' }));
 });
 
 // GET /api/v1/hotels/:id
@@ -288,7 +294,7 @@ exports.getHotelById = asyncHandler(async (req, res) => {
     .select('-__v')
     .lean();
 
-  if (!hotel) throw new ApiError(StatusCodes.NOT_FOUND, 'Hotel not found');
+  if (!hotel) throw ApiError.notFound('Hotel not found');
 
   if (hotel?.location?.coordinates) {
     const [lngH, latH] = hotel.location.coordinates;
@@ -312,7 +318,7 @@ exports.getHotelById = asyncHandler(async (req, res) => {
 
   await Hotel.findByIdAndUpdate(id, { $inc: { viewCount: 1 } }).catch(() => {});
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Hotel fetched', hotel));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(hotel, { message: 'Hotel fetched' }));
 });
 
 // GET /api/v1/hotels/:id/availability?checkIn=&checkOut=&rooms=&adults=&children=&currency=
@@ -321,46 +327,120 @@ exports.getAvailability = asyncHandler(async (req, res) => {
   const { checkIn, checkOut, rooms = 1, adults = 2, children = 0, currency } = req.query;
 
   if (!checkIn || !checkOut) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'checkIn and checkOut are required');
+    throw ApiError.badRequest('checkIn and checkOut are required');
   }
 
   const availability = await hotelService.getAvailability({
-    hotelId: id,
+    idOrSlug: id,
     checkIn,
     checkOut,
     rooms: parseInt(rooms),
-    pax: { adults: parseInt(adults), children: parseInt(children) },
+    adults: parseInt(adults),
+    children: parseInt(children),
     currency
   });
   // { rooms:[{roomId, name, beds, amenities, rates:[{rateId, price, currency, refundable, breakfastIncluded}]}], policies, fees, taxes }
 
   if (!availability) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Availability not available for the selected dates');
+    throw ApiError.notFound('Availability not available for the selected dates');
   }
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Availability fetched', { ...availability, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...availability, generatedAt: toISO() }, { message: 'Availability fetched' }));
+});
+
+// GET /api/v1/hotels/:id/rooms?checkIn=&checkOut=&adults=&children=
+exports.getRooms = asyncHandler(async (req, res) => {
+  const { checkIn, checkOut, adults = 2, children = 0 } = req.query;
+  if (!checkIn || !checkOut) throw ApiError.badRequest('checkIn and checkOut are required');
+
+  const result = await hotelService.getRooms({
+    idOrSlug: req.params.id,
+    checkIn,
+    checkOut,
+    adults: parseInt(adults),
+    children: parseInt(children)
+  });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...result, generatedAt: toISO() }, { message: 'Rooms fetched' }));
+});
+
+// POST /api/v1/hotels/:id/quote
+// Body: { checkIn, checkOut, rateId?, roomId? | roomCodes?, quantities?, currency? }
+exports.getQuote = asyncHandler(async (req, res) => {
+  const payload = req.body || {};
+  if (!payload.checkIn || !payload.checkOut) throw ApiError.badRequest('checkIn and checkOut are required');
+
+  const quote = await hotelService.getQuote({
+    idOrSlug: req.params.id,
+    checkIn: payload.checkIn,
+    checkOut: payload.checkOut,
+    ratePlanId: payload.rateId || payload.ratePlanId,
+    roomCodes: payload.roomId ? [payload.roomId] : parseCSV(payload.roomCodes),
+    quantities: payload.quantities || {},
+    currency: payload.currency
+  });
+  if (!quote) throw ApiError.notFound('Hotel not found');
+  if (quote.error) throw ApiError.badRequest(quote.error);
+
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...quote, generatedAt: toISO() }, { message: 'Quote generated' }));
 });
 
 // POST /api/v1/hotels/:id/book
-// Body: { checkIn, checkOut, rooms, pax, roomId, rateId, guest, contact, paymentMethod, specialRequests, coupon }
+// Body: { checkIn, checkOut, rooms, pax, roomId, rateId, guest, contact, paymentMethod, specialRequests, coupon, quote? }
+// The stay is re-priced on the server; `quote` is only checked against it (409 when the price changed)
 exports.bookHotel = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const payload = req.body || {};
 
-  const booking = await hotelService.createBooking({
-    hotelId: id,
-    ...payload,
+  const booking = await hotelService.bookHotel({
+    idOrSlug: id,
+    checkIn: payload.checkIn,
+    checkOut: payload.checkOut,
+    ratePlanId: payload.rateId,
+    roomCodes: payload.roomId ? [payload.roomId] : [],
+    guests: payload.pax,
+    expectedQuote: payload.quote,
+    contact: payload.contact || payload.guest,
+    payment: payload.paymentMethod ? { method: payload.paymentMethod, idempotencyKey: req.get('Idempotency-Key') } : undefined,
     userId: req.user?.id
   });
-  // { bookingId, status, payment:{paymentUrl?,expiresAtISO?}, orderSummary, voucher }
+  // Ledger booking: status held | pending_payment until payment is captured
 
-  if (!booking) throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Failed to create hotel booking');
+  if (!booking) throw ApiError.notFound('Hotel not found');
 
   return res
     .status(StatusCodes.CREATED)
-    .json(new ApiResponse(StatusCodes.CREATED, 'Hotel booked', { ...booking, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...booking, generatedAt: toISO() }, { message: 'Hotel booked' }));
+});
+
+// GET /api/v1/hotels/bookings/:bookingId/refund-preview
+// Refund the rate plan's cancellation policy allows right now
+exports.getRefundPreview = asyncHandler(async (req, res) => {
+  const preview = await cancellationService.previewCancellation(req.params.bookingId, {
+    userId: req.user?.id,
+    kind: 'hotel'
+  });
+  if (!preview) throw ApiError.notFound('Hotel booking not found');
+
+  return res
+    .status(StatusCodes.OK)
+    .json(ApiResponse.success({ ...preview, generatedAt: toISO() }, { message: 'Refund preview' }));
+});
+
+// POST /api/v1/hotels/bookings/:bookingId/cancel
+// Body: { reason? }
+exports.cancelBooking = asyncHandler(async (req, res) => {
+  const result = await cancellationService.cancelBooking(req.params.bookingId, {
+    userId: req.user?.id,
+    kind: 'hotel',
+    reason: req.body?.reason || 'user_cancelled'
+  });
+  if (!result) throw ApiError.notFound('Hotel booking not found');
+
+  return res
+    .status(StatusCodes.OK)
+    .json(ApiResponse.success({ ...result, generatedAt: toISO() }, { message: 'Hotel booking cancelled' }));
 });
 
 // GET /api/v1/hotels/trending?city=&country=&limit=
@@ -370,7 +450,7 @@ exports.getTrending = asyncHandler(async (req, res) => {
   const cacheKey = `hotels:trending:${city || 'all'}:${country || 'all'}:${limit}`;
   const cached = await cacheService?.get?.(cacheKey);
   if (cached) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Trending hotels fetched (cache)', cached));
+    return res.status(StatusCodes.OK).json(ApiResponse.success(cached, { message: 'Trending hotels fetched (cache)' }));
   }
 
   const match = { isActive: { $ne: false } };
@@ -412,7 +492,7 @@ exports.getTrending = asyncHandler(async (req, res) => {
 
   const payload = { hotels: rows, generatedAt: toISO() };
   await cacheService?.set?.(cacheKey, payload, 1800);
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Trending hotels fetched', payload));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(payload, { message: 'Trending hotels fetched' }));
 });
 
 // POST /api/v1/hotels/:id/reviews
@@ -421,11 +501,11 @@ exports.addReview = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { rating, title, comment, photos = [] } = req.body || {};
 
-  if (!rating) throw new ApiError(StatusCodes.BAD_REQUEST, 'rating is required');
+  if (!rating) throw ApiError.badRequest('rating is required');
 
   // Allow review only if user completed booking
-  const completed = await Booking.findOne({ userId: req.user?.id, hotelId: id, status: 'completed' }).lean();
-  if (!completed) throw new ApiError(StatusCodes.FORBIDDEN, 'Review allowed only after completed stay');
+  const completed = await Booking.findOne({ userId: req.user?.id, kind: 'hotel', itemId: id, status: 'completed' }).lean();
+  if (!completed) throw ApiError.forbidden('Review allowed only after completed stay');
 
   const review = await Review.create({
     userId: req.user?.id,
@@ -442,7 +522,7 @@ exports.addReview = asyncHandler(async (req, res) => {
 
   const populated = await Review.findById(review._id).populate('userId', 'name avatar').lean();
 
-  return res.status(StatusCodes.CREATED).json(new ApiResponse(StatusCodes.CREATED, 'Review added', populated));
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(populated, { message: 'Review added' }));
 });
 
 // GET /api/v1/hotels/facets?city=&country=
@@ -482,12 +562,12 @@ exports.getFacets = asyncHandler(async (req, res) => {
   ]);
 
   return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Facets fetched', {
+    ApiResponse.success({
       stars,
       amenities,
       priceBands,
       generatedAt: toISO()
-    })
+    }, { message: 'Facets fetched' })
   );
 });
 
@@ -497,7 +577,7 @@ exports.getPhotos = asyncHandler(async (req, res) => {
   const { limit = 20, offset = 0 } = req.query;
 
   const hotel = await Hotel.findById(id).select('photos gallery').lean();
-  if (!hotel) throw new ApiError(StatusCodes.NOT_FOUND, 'Hotel not found');
+  if (!hotel) throw ApiError.notFound('Hotel not found');
 
   const recentReviewPhotos = await Review.find({ hotelId: id, photos: { $exists: true, $not: { $size: 0 } } })
     .select('photos userId createdAt')
@@ -517,7 +597,18 @@ exports.getPhotos = asyncHandler(async (req, res) => {
       recentReviewPhotos.length
   };
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Photos fetched', data));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(data, { message: 'Photos fetched' }));
+});
+
+// GET /api/v1/hotels/bbox?minLng=&minLat=&maxLng=&maxLat=&limit=
+exports.getByBBox = asyncHandler(async (req, res) => {
+  const { minLng, minLat, maxLng, maxLat, limit } = req.query;
+  if ([minLng, minLat, maxLng, maxLat].some((v) => parseNum(v) === null)) {
+    throw ApiError.badRequest('minLng, minLat, maxLng and maxLat are required');
+  }
+
+  const items = await hotelService.getByBBox({ minLng, minLat, maxLng, maxLat, limit });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ items, generatedAt: toISO() }, { message: 'Hotels in viewport fetched' }));
 });
 
 // GET /api/v1/hotels/geojson?city=&country=&lat=&lng=&radius=&limit=
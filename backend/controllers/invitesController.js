@@ -0,0 +1,54 @@
+// backend/controllers/invitesController.js
+
+const mongoose = require('mongoose');
+const { StatusCodes } = require('http-status-codes');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+
+const planningService = require('../services/planningService'); // invite lifecycle lives with the groups
+
+const isObjectId = (v) => mongoose.Types.ObjectId.isValid(v);
+
+// POST /api/v1/planning/groups/:groupId/invites
+// Body: { emails: [ ... ], role?: 'member'|'admin'|'viewer', message? }
+// Invites are emailed; the response also carries their tokens so the inviter can share the link
+exports.createInvites = asyncHandler(async (req, res) => {
+  const { emails, role, message } = req.body || {};
+  if (!isObjectId(req.params.groupId)) throw ApiError.notFound('Group not found');
+
+  const result = await planningService.createInvites(req.params.groupId, req.user._id, { emails, role, message });
+  if (!result) throw ApiError.notFound('Group not found');
+
+  return res.status(StatusCodes.CREATED).json(
+    ApiResponse.success(result, { message: `${result.created.length} invite(s) created` })
+  );
+});
+
+// GET /api/v1/planning/groups/:groupId/invites?status=pending,accepted
+exports.listInvites = asyncHandler(async (req, res) => {
+  const items = await planningService.listInvites(req.params.groupId, req.user._id, { status: req.query.status });
+  if (!items) throw ApiError.notFound('Group not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.page(items));
+});
+
+// POST /api/v1/planning/invites/:inviteId/revoke
+exports.revokeInvite = asyncHandler(async (req, res) => {
+  const invite = await planningService.revokeInvite(req.params.inviteId, req.user._id);
+  if (!invite) throw ApiError.notFound('Invite not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.success(invite, { message: 'Invite revoked' }));
+});
+
+// POST /api/v1/planning/invites/accept
+// Body: { token } — the invitee must be signed in with the invited, verified email
+exports.acceptInvite = asyncHandler(async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) throw ApiError.badRequest('token is required');
+
+  const result = await planningService.acceptInvite({ token, userId: req.user._id, email: req.user.email });
+  if (!result) throw ApiError.notFound('Invite not found');
+
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.success(result, { message: result.alreadyAccepted ? 'Invite already accepted' : 'Joined group' })
+  );
+});
@@ -2,6 +2,7 @@
 const mongoose = require('mongoose');
 const Journey = require('../models/journey');
 const Place = require('../models/place');
+const journeyPlanner = require('../services/journeyPlannerService');
 
 // The AI service will be added in backend/services/aiService.js
 // It must export a function: generateJourneySuggestions(user, queryText, options?)
@@ -211,3 +212,43 @@ exports.getJourneyById = async (req, res) => {
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 };
+
+/**
+ * @desc POST plan door-to-door journeys across trains, buses and flights
+ * Body: { origin, destination, departAfter?, departBefore?, modes?, maxTransfers?, sort?, limit? }
+ * origin/destination: { lat, lng } or a LocationMaster slug/id
+ */
+exports.planJourney = async (req, res) => {
+  try {
+    const {
+      origin,
+      destination,
+      departAfter,
+      departBefore,
+      modes,
+      maxTransfers,
+      sort,
+      limit
+    } = req.body || {};
+
+    const data = await journeyPlanner.planJourney({
+      origin,
+      destination,
+      departAfter,
+      departBefore,
+      modes: modes || undefined,
+      maxTransfers: maxTransfers ?? 1,
+      sort: sort || 'duration',
+      limit: limit || 10
+    });
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    // Validation/not-found errors from the planner carry their own status
+    if (err && err.status && err.status < 500) {
+      return res.status(err.status).json({ success: false, message: err.message, details: err.details });
+    }
+    console.error('Plan journey error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
@@ -0,0 +1,100 @@
+// backend/controllers/liveController.js
+
+const { StatusCodes } = require('http-status-codes');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+
+const liveStatusService = require('../services/liveStatusService'); // reports, delay propagation, simulator
+
+const GROUND_MODES = ['train', 'bus'];
+
+function groundMode(mode) {
+  const m = String(mode || '').toLowerCase();
+  if (!GROUND_MODES.includes(m)) throw ApiError.badRequest('mode must be train or bus');
+  return m;
+}
+
+// GET /api/transport/live/trips/:mode/:id?date=YYYY-MM-DD&at=ISO
+exports.tripStatus = asyncHandler(async (req, res) => {
+  const mode = groundMode(req.params.mode);
+  const status = await liveStatusService.tripStatus(mode, { id: req.params.id }, {
+    date: req.query.date,
+    at: req.query.at
+  });
+  if (!status) throw ApiError.notFound(`${mode === 'train' ? 'Train' : 'Bus'} not found`);
+  return res.status(StatusCodes.OK).json(ApiResponse.success(status));
+});
+
+// GET /api/transport/live/flights/:carrier/:number?date=YYYY-MM-DD&at=ISO
+exports.flightStatus = asyncHandler(async (req, res) => {
+  const status = await liveStatusService.flightStatus({
+    carrier: req.params.carrier,
+    number: req.params.number,
+    date: req.query.date,
+    at: req.query.at
+  });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(status));
+});
+
+// Station/stop boards share their query: ?at=ISO&windowMin=&limit=&cursor=&platform=&operator=
+// stationId may be an id or a station/stop code
+function boardQuery(req, kind) {
+  const { at, windowMin, limit, cursor, platform, operator } = req.query;
+  return { kind, at, windowMin, limit, cursor, platform, operator };
+}
+
+async function sendBoard(kind, req, res) {
+  const mode = groundMode(req.params.mode);
+  const board = await liveStatusService.stationBoard(mode, req.params.stationId, boardQuery(req, kind));
+  if (!board) throw ApiError.notFound(mode === 'train' ? 'Station not found' : 'Stop not found');
+  const { items, hasMore, nextCursor, ...meta } = board;
+  return res.status(StatusCodes.OK).json(ApiResponse.page(items, { hasMore, nextCursor, ...meta }));
+}
+
+async function sendBoardGeoJSON(kind, req, res) {
+  const mode = groundMode(req.params.mode);
+  const fc = await liveStatusService.stationBoardGeoJSON(mode, req.params.stationId, boardQuery(req, kind));
+  if (!fc) throw ApiError.notFound(mode === 'train' ? 'Station not found' : 'Stop not found');
+  res.setHeader('Content-Type', 'application/geo+json');
+  return res.status(StatusCodes.OK).json(fc);
+}
+
+// GET /api/transport/live/stations/:mode/:stationId — every call (arrivals and departures)
+exports.stationBoard = asyncHandler(async (req, res) => sendBoard('calls', req, res));
+
+// GET /api/transport/live/stations/:mode/:stationId/departures
+exports.departures = asyncHandler(async (req, res) => sendBoard('departures', req, res));
+
+// GET /api/transport/live/stations/:mode/:stationId/arrivals
+exports.arrivals = asyncHandler(async (req, res) => sendBoard('arrivals', req, res));
+
+// GET /api/transport/live/stations/:mode/:stationId/departures/geojson — map pins of upcoming services
+exports.departuresGeoJSON = asyncHandler(async (req, res) => sendBoardGeoJSON('departures', req, res));
+
+// GET /api/transport/live/stations/:mode/:stationId/arrivals/geojson
+exports.arrivalsGeoJSON = asyncHandler(async (req, res) => sendBoardGeoJSON('arrivals', req, res));
+
+// POST /api/transport/live/webhooks/:feed
+// Signed feed callbacks (x-webhook-signature: t=<ts>,v1=<hmac>); body is one report or { reports: [...] }
+exports.feedWebhook = asyncHandler(async (req, res) => {
+  const result = await liveStatusService.handleFeedWebhook(req.params.feed, req.body, {
+    rawBody: req.rawBody,
+    signature: req.get('x-webhook-signature')
+  });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result, { message: 'Reports processed' }));
+});
+
+// POST /api/transport/live/reports
+// Body: one report or { reports: [...] } entered by operations staff
+exports.createReports = asyncHandler(async (req, res) => {
+  const result = await liveStatusService.ingestReports(req.body, { source: 'manual' });
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(result, { message: 'Reports recorded' }));
+});
+
+// POST /api/transport/live/simulate
+// Body: { at? } — one schedule simulator pass
+exports.simulate = asyncHandler(async (req, res) => {
+  const result = await liveStatusService.simulateTick({ at: req.body?.at });
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result, { message: 'Simulator pass complete' }));
+});
@@ -0,0 +1,69 @@
+// backend/controllers/moderationController.js
+
+const { StatusCodes } = require('http-status-codes');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+const { MODERATION } = require('../utils/constants');
+
+const moderationService = require('../services/moderationService'); // queue, decisions, history
+
+function assertContentType(type) {
+  if (!MODERATION.CONTENT_TYPES.includes(type)) {
+    throw ApiError.badRequest(`type must be one of: ${MODERATION.CONTENT_TYPES.join(', ')}`);
+  }
+}
+
+// GET /api/moderation/queue?type=&status=pending|approved|rejected|changes_requested|all&flag=<code>|any&authorId=&page=&limit=
+exports.listQueue = asyncHandler(async (req, res) => {
+  const { type, status, flag, authorId, page, limit } = req.query;
+  if (type) assertContentType(type);
+  if (status && status !== 'all' && !MODERATION.STATUS.includes(status)) {
+    throw ApiError.badRequest(`status must be one of: ${MODERATION.STATUS.join(', ')}, all`);
+  }
+  if (flag && flag !== 'any' && !MODERATION.FLAGS.includes(flag)) {
+    throw ApiError.badRequest(`flag must be one of: ${MODERATION.FLAGS.join(', ')}, any`);
+  }
+
+  const result = await moderationService.listQueue({ contentType: type, status, flag, authorId, page, limit });
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.page(result.items, {
+      total: result.total,
+      page: result.page,
+      pageSize: result.limit,
+      hasMore: result.page * result.limit < result.total
+    })
+  );
+});
+
+// GET /api/moderation/:type/:id — case with decision history, plus the content
+exports.getCase = asyncHandler(async (req, res) => {
+  assertContentType(req.params.type);
+  const result = await moderationService.getCase(req.params.type, req.params.id);
+  if (!result) throw ApiError.notFound('Content not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result));
+});
+
+// POST /api/moderation/:type/:id/decision
+// Body: { decision: 'approve'|'reject'|'request_changes', reason? (required unless approving) }
+exports.decide = asyncHandler(async (req, res) => {
+  assertContentType(req.params.type);
+  const { decision, reason } = req.body || {};
+  const result = await moderationService.decide(req.params.type, req.params.id, {
+    decision,
+    reason,
+    actorId: req.user._id
+  });
+  if (!result) throw ApiError.notFound('Content not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.success(result, { message: `Marked ${result.case.status}` }));
+});
+
+// POST /api/moderation/bulk
+// Body: { items: [{ contentType, contentId }], decision, reason? }
+exports.bulkDecide = asyncHandler(async (req, res) => {
+  const { items, decision, reason } = req.body || {};
+  const result = await moderationService.bulkDecide(items, { decision, reason, actorId: req.user._id });
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.success(result, { message: `${result.succeeded} updated, ${result.failed} failed` })
+  );
+});
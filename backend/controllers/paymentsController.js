@@ -0,0 +1,106 @@
+// backend/controllers/paymentsController.js
+const paymentService = require('../services/paymentService');
+const bookingLedger = require('../services/bookingLedgerService');
+
+// Service errors (declines, invalid state, bad signature) carry their own status
+function sendError(res, err, label) {
+  if (err && err.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message, details: err.details });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
+
+/**
+ * POST /api/payments/bookings/:bookingId/pay
+ * Body: { method } ; header Idempotency-Key (optional, recommended)
+ * The gateway is the server's PAYMENT_PROVIDER, never chosen by the client.
+ */
+exports.payBooking = async (req, res) => {
+  try {
+    const { method } = req.body || {};
+    if (!method) return res.status(400).json({ success: false, message: 'method is required' });
+
+    const booking = await bookingLedger.getForUser(req.params.bookingId, req.user._id);
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const data = await paymentService.payForBooking(booking, {
+      method,
+      idempotencyKey: req.get('Idempotency-Key'),
+      userId: req.user._id
+    });
+    const paid = data.lastPayment?.status === 'captured';
+    res.status(paid ? 200 : 402).json({ success: paid, data, message: paid ? undefined : 'Payment failed' });
+  } catch (err) {
+    sendError(res, err, 'Pay booking');
+  }
+};
+
+/**
+ * GET /api/payments/:id
+ * Payment detail (payer only).
+ */
+exports.getPayment = async (req, res) => {
+  try {
+    const payment = await paymentService.getPayment(req.params.id, { userId: req.user._id });
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+
+    res.json({ success: true, data: payment });
+  } catch (err) {
+    sendError(res, err, 'Get payment');
+  }
+};
+
+/**
+ * POST /api/payments/:id/capture (admin)
+ * Body: { amount? } — captures an authorized payment and confirms its booking
+ */
+exports.capturePayment = async (req, res) => {
+  try {
+    const payment = await paymentService.capturePayment(req.params.id, {
+      amount: req.body?.amount,
+      actorId: req.user._id
+    });
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+
+    res.json({ success: true, data: payment });
+  } catch (err) {
+    sendError(res, err, 'Capture payment');
+  }
+};
+
+/**
+ * POST /api/payments/:id/refund (admin)
+ * Body: { amount?, reason? } ; header Idempotency-Key (required)
+ */
+exports.refundPayment = async (req, res) => {
+  try {
+    const payment = await paymentService.refundPayment(req.params.id, {
+      amount: req.body?.amount,
+      reason: req.body?.reason,
+      idempotencyKey: req.get('Idempotency-Key'),
+      actorId: req.user._id
+    });
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+
+    res.json({ success: true, data: payment });
+  } catch (err) {
+    sendError(res, err, 'Refund payment');
+  }
+};
+
+/**
+ * POST /api/payments/webhooks/:provider
+ * Signed provider events; verified against the raw request body.
+ */
+exports.webhook = async (req, res) => {
+  try {
+    const result = await paymentService.handleWebhook(req.params.provider, {
+      rawBody: req.rawBody || JSON.stringify(req.body || {}),
+      headers: req.headers
+    });
+    res.json({ success: true, data: result });
+  } catch (err) {
+    sendError(res, err, 'Payment webhook');
+  }
+};
@@ -2,6 +2,9 @@
 const mongoose = require('mongoose');
 const Place = require('../models/place');
 const Wishlist = require('../models/wishlist');
+const moderationService = require('../services/moderationService');
+const searchService = require('../services/searchService');
+const { localize, localizeAll } = require('../utils/i18n');
 
 // Will be available after we create models/region.js in next step
 let Region;
@@ -122,7 +125,7 @@ exports.getPlaces = async (req, res) => {
     const total = await Place.countDocuments(filter);
 
     // Enrich with isWishlisted without N+1 queries
-    let results = places.map(p => p.toObject());
+    let results = localizeAll(places, req.locale);
 
     if (req.user && results.length > 0) {
       const ids = results.map(r => r._id);
@@ -163,9 +166,15 @@ exports.getPlaceById = async (req, res) => {
       .populate('createdBy', 'name')
       .populate('comments.userId', 'name profileImage');
 
+    if (place && !place.isActive && place.mergedInto) {
+      return res
+        .status(301)
+        .location(`/api/places/${place.mergedInto}`)
+        .json({ success: false, message: 'Place was merged into another place', mergedInto: place.mergedInto });
+    }
     if (!place || !place.isActive) return res.status(404).json({ success: false, message: 'Place not found' });
 
-    place = place.toObject();
+    place = localize(place, req.locale);
 
     if (req.user) {
       const isInWishlist = await Wishlist.isInWishlist(req.user._id, place._id);
@@ -195,6 +204,9 @@ exports.createPlace = async (req, res) => {
       isApproved
     });
 
+    // Queue for review and attach automatic flags; creation stands even if this fails
+    await moderationService.submit('place', place).catch((e) => console.error('Moderation submit error:', e));
+    searchService.invalidate();
     await place.populate('createdBy', 'name');
 
     res.status(201).json({ success: true, message: 'Place created successfully', data: place });
@@ -222,6 +234,14 @@ exports.updatePlace = async (req, res) => {
       { new: true, runValidators: true }
     ).populate('createdBy', 'name');
 
+    // Author edits are re-checked; content edits and answers to "request changes" re-queue the place
+    if (req.user.role !== 'admin') {
+      await moderationService
+        .submit('place', updated, { changed: Object.keys(req.body || {}) })
+        .catch((e) => console.error('Moderation submit error:', e));
+    }
+    searchService.invalidate();
+
     res.json({ success: true, message: 'Place updated', data: updated });
   } catch (err) {
     console.error('Update place error:', err);
@@ -242,6 +262,7 @@ exports.deletePlace = async (req, res) => {
     }
 
     await Place.findByIdAndDelete(req.params.id);
+    searchService.invalidate();
     res.json({ success: true, message: 'Place deleted' });
   } catch (err) {
     console.error('Delete place error:', err);
@@ -281,7 +302,7 @@ exports.addComment = async (req, res) => {
 exports.getPlacesByCategory = async (req, res) => {
   try {
     const places = await Place.findByCategory(req.params.category);
-    let results = places.map(p => p.toObject());
+    let results = localizeAll(places, req.locale);
 
     if (req.user && results.length > 0) {
       const ids = results.map(r => r._id);
@@ -306,7 +327,7 @@ exports.getPlacesByCategory = async (req, res) => {
 exports.getPlacesByEmotion = async (req, res) => {
   try {
     const places = await Place.findByEmotion(req.params.emotion);
-    let results = places.map(p => p.toObject());
+    let results = localizeAll(places, req.locale);
 
     if (req.user && results.length > 0) {
       const ids = results.map(r => r._id);
@@ -332,7 +353,7 @@ exports.searchPlaces = async (req, res) => {
   try {
     const { q } = req.query;
     const places = await Place.search(q);
-    let results = places.map(p => p.toObject());
+    let results = localizeAll(places, req.locale);
 
     if (req.user && results.length > 0) {
       const ids = results.map(r => r._id);
@@ -353,28 +374,24 @@ exports.searchPlaces = async (req, res) => {
 
 /**
  * @desc Approve/reject place (with audit fields)
+ * Kept for existing clients; goes through the moderation queue so the
+ * decision lands in the place's review history.
  */
 exports.approvePlace = async (req, res) => {
   try {
-    const update = {
-      isApproved: req.body.isApproved,
-      moderationNotes: req.body.moderationNotes || undefined,
-      approvedAt: req.body.isApproved ? new Date() : undefined,
-      approvedBy: req.body.isApproved ? req.user._id : undefined
-    };
-
-    Object.keys(update).forEach(k => update[k] === undefined && delete update[k]);
-
-    const place = await Place.findByIdAndUpdate(
-      req.params.id,
-      update,
-      { new: true }
-    ).populate('createdBy', 'name');
-
-    if (!place) return res.status(404).json({ success: false, message: 'Place not found' });
+    const result = await moderationService.decide('place', req.params.id, {
+      decision: req.body.isApproved ? 'approve' : 'reject',
+      reason: req.body.moderationNotes || (req.body.isApproved ? undefined : 'Not approved'),
+      actorId: req.user._id
+    });
+    if (!result) return res.status(404).json({ success: false, message: 'Place not found' });
 
+    const place = await Place.findById(req.params.id).populate('createdBy', 'name');
     res.json({ success: true, message: 'Approval status updated', data: place });
   } catch (err) {
+    if (err && err.status && err.status < 500) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('Approve error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -0,0 +1,90 @@
+// backend/controllers/placeDuplicatesController.js
+const placeDedupe = require('../services/placeDedupeService');
+
+/**
+ * Service errors carry an HTTP status; anything else is a 500
+ */
+const sendServiceError = (res, err, label) => {
+  if (err && err.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ success: false, message: 'Server error' });
+};
+
+/**
+ * @desc List suspected duplicate pairs (admin review queue)
+ */
+exports.listDuplicates = async (req, res) => {
+  try {
+    const { items, total, page, limit } = await placeDedupe.listDuplicates(req.query);
+    res.json({
+      success: true,
+      data: items,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: (page - 1) * limit + items.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    sendServiceError(res, err, 'List duplicates');
+  }
+};
+
+/**
+ * @desc Score every active place against its neighbours and record suspected pairs
+ */
+exports.scanDuplicates = async (req, res) => {
+  try {
+    const result = await placeDedupe.scanAll();
+    res.json({ success: true, message: 'Duplicate scan complete', data: result });
+  } catch (err) {
+    sendServiceError(res, err, 'Scan duplicates');
+  }
+};
+
+/**
+ * @desc Likely duplicates of a single place, best match first
+ */
+exports.getPlaceCandidates = async (req, res) => {
+  try {
+    const candidates = await placeDedupe.findCandidates(req.params.id);
+    if (!candidates) return res.status(404).json({ success: false, message: 'Place not found' });
+    res.json({ success: true, data: candidates });
+  } catch (err) {
+    sendServiceError(res, err, 'Place duplicate candidates');
+  }
+};
+
+/**
+ * @desc Mark a suspected pair as not a duplicate
+ */
+exports.dismissDuplicate = async (req, res) => {
+  try {
+    const pair = await placeDedupe.dismissDuplicate(req.params.pairId, { actorId: req.user._id, note: req.body.note });
+    if (!pair) return res.status(404).json({ success: false, message: 'Duplicate pair not found' });
+    res.json({ success: true, message: 'Duplicate pair dismissed', data: pair });
+  } catch (err) {
+    sendServiceError(res, err, 'Dismiss duplicate');
+  }
+};
+
+/**
+ * @desc Fold a duplicate place into the surviving one
+ */
+exports.mergePlaces = async (req, res) => {
+  try {
+    const result = await placeDedupe.mergePlaces({
+      survivorId: req.body.survivorId,
+      duplicateId: req.body.duplicateId,
+      pairId: req.body.pairId,
+      actorId: req.user._id
+    });
+    if (!result) return res.status(404).json({ success: false, message: 'Place not found' });
+    res.json({ success: true, message: 'Places merged', data: result });
+  } catch (err) {
+    sendServiceError(res, err, 'Merge places');
+  }
+};
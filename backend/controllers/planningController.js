@@ -8,7 +8,7 @@ const { asyncHandler } = require('../utils/asyncHandler');
 // Models
 const TripGroup = require('../models/TripGroup');               // { name, cover, ownerId, members[], roles, itinerary[], budget{}, checklist[], documents[], invites[], settings{} }
 const PlanningTemplate = require('../models/PlanningTemplate'); // { name, description, days[], tags[], cover, authorId, isPublic }
-const Invite = require('../models/Invite');                     // { groupId, inviterId, inviteeEmail, token, role, status, expiresAt }
+const Invite = require('../models/Invite');                     // { groupId, inviterId, inviteeEmail, tokenHash, role, status, expiresAt }
 const Place = require('../models/Place');
 const Hotel = require('../models/Hotel');
 const Activity = require('../models/Activity');
@@ -0,0 +1,89 @@
+// backend/controllers/planningTemplatesController.js
+
+const { StatusCodes } = require('http-status-codes');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+
+const planningService = require('../services/planningService'); // template browse/CRUD/apply
+
+// GET /api/v1/planning/templates?q=&destination=&tags=&themes=&cursor=&limit=
+exports.listTemplates = asyncHandler(async (req, res) => {
+  const { q, destination, tags, themes, cursor, limit } = req.query;
+  const result = await planningService.listTemplates({
+    userId: req.user?._id,
+    q,
+    destination,
+    tags,
+    themes,
+    cursor,
+    limit
+  });
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.page(result.items, { hasMore: result.hasMore, nextCursor: result.nextCursor })
+  );
+});
+
+// GET /api/v1/planning/templates/trending?limit=
+exports.getTrendingTemplates = asyncHandler(async (req, res) => {
+  const items = await planningService.getTrendingTemplates({ limit: req.query.limit });
+  return res.status(StatusCodes.OK).json(ApiResponse.page(items));
+});
+
+// GET /api/v1/planning/templates/:templateId
+exports.getTemplateById = asyncHandler(async (req, res) => {
+  const template = await planningService.getTemplateById(req.params.templateId, req.user?._id);
+  if (!template) throw ApiError.notFound('Template not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.success(template));
+});
+
+// GET /api/v1/planning/templates/:templateId/geojson
+exports.getTemplateGeoJSON = asyncHandler(async (req, res) => {
+  const fc = await planningService.getTemplateGeoJSON(req.params.templateId, req.user?._id);
+  if (!fc) throw ApiError.notFound('Template not found');
+  res.set('Content-Type', 'application/geo+json');
+  return res.status(StatusCodes.OK).send(JSON.stringify(fc));
+});
+
+// POST /api/v1/planning/templates
+// Body: { name, description?, cover?, destination?, tags?, themes?, days:[{ dayNumber, title?, items:[...] }], isPublic? }
+exports.createTemplate = asyncHandler(async (req, res) => {
+  const payload = req.body || {};
+  if (payload.days !== undefined && !Array.isArray(payload.days)) throw ApiError.badRequest('days must be an array');
+
+  const template = await planningService.createTemplate(req.user._id, payload);
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(template, { message: 'Template created' }));
+});
+
+// PATCH /api/v1/planning/templates/:templateId
+exports.updateTemplate = asyncHandler(async (req, res) => {
+  const patch = req.body || {};
+  if (patch.days !== undefined && !Array.isArray(patch.days)) throw ApiError.badRequest('days must be an array');
+
+  const template = await planningService.updateTemplate(req.params.templateId, req.user._id, patch);
+  if (!template) throw ApiError.notFound('Template not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.success(template, { message: 'Template updated' }));
+});
+
+// DELETE /api/v1/planning/templates/:templateId
+exports.deleteTemplate = asyncHandler(async (req, res) => {
+  const result = await planningService.deleteTemplate(req.params.templateId, req.user._id);
+  if (!result) throw ApiError.notFound('Template not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.ok('Template deleted', { id: result.id }));
+});
+
+// POST /api/v1/planning/templates/:templateId/apply
+// Body: { groupId? (if omitted, create new), options?: { mergeStrategy:'append'|'replace', startDate? } }
+exports.applyTemplateToGroup = asyncHandler(async (req, res) => {
+  const { groupId, options = {} } = req.body || {};
+  const result = await planningService.applyTemplate(req.params.templateId, req.user._id, {
+    groupId,
+    mergeStrategy: options.mergeStrategy,
+    startDate: options.startDate
+  });
+  if (!result) throw ApiError.notFound(groupId ? 'Template or group not found' : 'Template not found');
+
+  return res.status(result.createdGroup ? StatusCodes.CREATED : StatusCodes.OK).json(
+    ApiResponse.success(result, { message: `Template applied (${result.added} items)` })
+  );
+});
@@ -2,6 +2,7 @@
 const mongoose = require('mongoose');
 const Region = require('../models/region');
 const { REGION_TYPES, PAGINATION } = require('../utils/constants');
+const { localize, localizeAll } = require('../utils/i18n');
 
 /**
  * Safely coerce query parameters
@@ -81,7 +82,7 @@ exports.getRegions = async (req, res) => {
 
     res.json({
       success: true,
-      data: results,
+      data: localizeAll(results, req.locale),
       pagination: {
         current: page,
         total: Math.ceil(total / limit),
@@ -130,7 +131,7 @@ exports.getRegionById = async (req, res) => {
       result = { ...region, stats };
     }
 
-    res.json({ success: true, data: result });
+    res.json({ success: true, data: localize(result, req.locale) });
   } catch (error) {
     console.error('Get region error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -156,7 +157,7 @@ exports.getRegionBreadcrumb = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Region not found' });
     }
 
-    res.json({ success: true, data: breadcrumb });
+    res.json({ success: true, data: localizeAll(breadcrumb, req.locale) });
   } catch (error) {
     console.error('Get breadcrumb error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -195,7 +196,7 @@ exports.getRegionChildren = async (req, res) => {
       );
     }
 
-    res.json({ success: true, data: children });
+    res.json({ success: true, data: localizeAll(children, req.locale) });
   } catch (error) {
     console.error('Get children error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -234,7 +235,7 @@ exports.getRegionDescendants = async (req, res) => {
       );
     }
 
-    res.json({ success: true, data: descendants });
+    res.json({ success: true, data: localizeAll(descendants, req.locale) });
   } catch (error) {
     console.error('Get descendants error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -264,7 +265,7 @@ exports.searchRegions = async (req, res) => {
       .limit(searchLimit)
       .lean();
 
-    res.json({ success: true, data: results });
+    res.json({ success: true, data: localizeAll(results, req.locale) });
   } catch (error) {
     console.error('Search regions error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -327,7 +328,7 @@ exports.findContainingRegions = async (req, res) => {
     const regionType = type && REGION_TYPES.includes(type) ? type : null;
     const regions = await Region.findContaining(longitude, latitude, regionType).lean();
 
-    res.json({ success: true, data: regions });
+    res.json({ success: true, data: localizeAll(regions, req.locale) });
   } catch (error) {
     console.error('Find containing regions error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -2,12 +2,12 @@
 
 const { StatusCodes } = require('http-status-codes');
 const { ApiError } = require('../utils/ApiError');
-const { ApiResponse } = require('../utils/ApiResponse');
-const { asyncHandler } = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
 
 // Models
 const Restaurant = require('../models/Restaurant');
-const Review = require('../models/Review');
+const Review = require('../models/review');
 const Booking = require('../models/booking/Booking');
 
 // Services
@@ -111,6 +111,11 @@ function buildRestaurantFilter(q) {
   return filter;
 }
 
+// GET /api/v1/restaurants/health
+exports.health = asyncHandler(async (req, res) => {
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ service: 'restaurants', status: 'ok', generatedAt: toISO() }));
+});
+
 // GET /api/v1/restaurants
 // Query with filters, pagination, sorting, optional distance enrichment
 exports.getRestaurants = asyncHandler(async (req, res) => {
@@ -184,7 +189,7 @@ exports.getRestaurants = asyncHandler(async (req, res) => {
   const totalPages = Math.ceil(total / l);
 
   return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Restaurants fetched successfully', {
+    ApiResponse.success({
       restaurants: items,
       pagination: {
         currentPage: p,
@@ -195,19 +200,19 @@ exports.getRestaurants = asyncHandler(async (req, res) => {
         hasPrevPage: p > 1
       },
       generatedAt: toISO()
-    })
+    }, { message: 'Restaurants fetched successfully' })
   );
 });
 
 // GET /api/v1/restaurants/nearby?lat=&lng=&radius=&limit=&cuisines=
 exports.getNearbyRestaurants = asyncHandler(async (req, res) => {
   const { lat, lng, radius = 5, limit = 24, cuisines } = req.query;
-  if (!lat || !lng) throw new ApiError(StatusCodes.BAD_REQUEST, 'Latitude and longitude are required');
+  if (!lat || !lng) throw ApiError.badRequest('Latitude and longitude are required');
 
   const cacheKey = `nearby_restaurants:${lat}:${lng}:${radius}:${limit}:${cuisines || 'all'}`;
   const cached = await cacheService?.get?.(cacheKey);
   if (cached) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Nearby restaurants fetched (cache)', cached));
+    return res.status(StatusCodes.OK).json(ApiResponse.success(cached, { message: 'Nearby restaurants fetched (cache)' }));
   }
 
   const filter = buildRestaurantFilter({ lat, lng, radius, cuisines });
@@ -236,7 +241,7 @@ exports.getNearbyRestaurants = asyncHandler(async (req, res) => {
   };
 
   await cacheService?.set?.(cacheKey, payload, 600);
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Nearby restaurants fetched', payload));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(payload, { message: 'Nearby restaurants fetched' }));
 });
 
 // GET /api/v1/restaurants/suggest?q=&city=&limit=
@@ -244,7 +249,7 @@ exports.suggestRestaurants = asyncHandler(async (req, res) => {
   const { q = '', city = '', limit = 8 } = req.query;
 
   if (!q || String(q).trim().length < 2) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Suggestions fetched', { suggestions: [] }));
+    return res.status(StatusCodes.OK).json(ApiResponse.success({ suggestions: [] }, { message: 'Suggestions fetched' }));
   }
 
   const lmt = Math.min(parseInt(limit), 20);
@@ -280,7 +285,7 @@ exports.suggestRestaurants = asyncHandler(async (req, res) => {
     };
   });
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Suggestions fetched', { suggestions: mapped }));
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ suggestions: mapped }, { message: 'Suggestions fetched' }));
 });
 
 // GET /api/v1/restaurants/:id
@@ -289,7 +294,7 @@ exports.getRestaurantById = asyncHandler(async (req, res) => {
   const { userLat, userLng, includeReviews = 'true' } = req.query;
 
   const restaurant = await Restaurant.findById(id).select('-__v').lean();
-  if (!restaurant) throw new ApiError(StatusCodes.NOT_FOUND, 'Restaurant not found');
+  if (!restaurant) throw ApiError.notFound('Restaurant not found');
 
   if (restaurant?.location?.coordinates) {
     const [lngR, latR] = restaurant.location.coordinates;
@@ -312,50 +317,51 @@ exports.getRestaurantById = asyncHandler(async (req, res) => {
 
   await Restaurant.findByIdAndUpdate(id, { $inc: { viewCount: 1 } }).catch(() => {});
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Restaurant fetched', restaurant));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(restaurant, { message: 'Restaurant fetched' }));
 });
 
 // GET /api/v1/restaurants/:id/availability?date=&time=&partySize=&durationMin=
 exports.getAvailability = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { date, time, partySize = 2, durationMin = 90 } = req.query;
+  const { date, time, partySize = 2 } = req.query;
 
   if (!date || !time) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'date and time are required');
+    throw ApiError.badRequest('date and time are required');
   }
 
-  const available = await restaurantService.getAvailability({
-    restaurantId: id,
+  const available = await restaurantService.getAvailability(id, {
     date,
     time,
-    partySize: parseInt(partySize),
-    durationMin: parseInt(durationMin)
+    partySize: parseInt(partySize)
   }); // { slots:[{timeISO, capacity}], policies, minSpend, notes }
 
-  if (!available) throw new ApiError(StatusCodes.NOT_FOUND, 'Availability not available');
+  if (!available) throw ApiError.notFound('Availability not available');
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Availability fetched', { ...available, generatedAt: toISO() }));
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...available, generatedAt: toISO() }, { message: 'Availability fetched' }));
 });
 
 // POST /api/v1/restaurants/:id/book
-// Body: { date, time, partySize, contact:{name,phone,email}, preferences?, specialRequests?, paymentMethod? }
+// Body: { date, time, partySize, contact:{name,phone,email}, preferences?, specialRequests? }
 exports.bookTable = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const payload = req.body || {};
 
   if (!payload.date || !payload.time || !payload.partySize || !payload.contact) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'date, time, partySize, contact are required');
+    throw ApiError.badRequest('date, time, partySize, contact are required');
   }
 
-  const booking = await restaurantService.createReservation({
-    restaurantId: id,
-    ...payload,
+  const result = await restaurantService.bookTable(id, {
+    date: payload.date,
+    time: payload.time,
+    partySize: payload.partySize,
+    contact: payload.contact,
+    notes: payload.specialRequests,
     userId: req.user?.id
-  }); // { bookingId, status, holdExpiresAtISO?, payment:{paymentUrl?,expiresAtISO?} }
+  }); // { ok, reservation } -> confirmed ledger booking
 
-  if (!booking) throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Failed to create reservation');
+  if (!result?.ok) throw ApiError.notFound('Restaurant not found');
 
-  return res.status(StatusCodes.CREATED).json(new ApiResponse(StatusCodes.CREATED, 'Reservation created', { ...booking, generatedAt: toISO() }));
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success({ ...result.reservation, generatedAt: toISO() }, { message: 'Reservation created' }));
 });
 
 // POST /api/v1/restaurants/:id/reviews
@@ -363,11 +369,11 @@ exports.bookTable = asyncHandler(async (req, res) => {
 exports.addReview = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { rating, title, comment, photos = [] } = req.body || {};
-  if (!rating) throw new ApiError(StatusCodes.BAD_REQUEST, 'rating is required');
+  if (!rating) throw ApiError.badRequest('rating is required');
 
   // Optionally enforce completed reservation
-  const completed = await Booking.findOne({ userId: req.user?.id, restaurantId: id, status: 'completed' }).lean();
-  if (!completed) throw new ApiError(StatusCodes.FORBIDDEN, 'Review allowed only after completed visit');
+  const completed = await Booking.findOne({ userId: req.user?.id, kind: 'restaurant', itemId: id, status: 'completed' }).lean();
+  if (!completed) throw ApiError.forbidden('Review allowed only after completed visit');
 
   const review = await Review.create({
     userId: req.user?.id,
@@ -382,7 +388,7 @@ exports.addReview = asyncHandler(async (req, res) => {
   await restaurantService.updateRestaurantRating(id).catch(() => {});
 
   const populated = await Review.findById(review._id).populate('userId', 'name avatar').lean();
-  return res.status(StatusCodes.CREATED).json(new ApiResponse(StatusCodes.CREATED, 'Review added', populated));
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(populated, { message: 'Review added' }));
 });
 
 // GET /api/v1/restaurants/trending?city=&country=&limit=
@@ -392,7 +398,7 @@ exports.getTrending = asyncHandler(async (req, res) => {
   const cacheKey = `restaurants:trending:${city || 'all'}:${country || 'all'}:${limit}`;
   const cached = await cacheService?.get?.(cacheKey);
   if (cached) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Trending restaurants fetched (cache)', cached));
+    return res.status(StatusCodes.OK).json(ApiResponse.success(cached, { message: 'Trending restaurants fetched (cache)' }));
   }
 
   const match = { isActive: { $ne: false } };
@@ -433,7 +439,7 @@ exports.getTrending = asyncHandler(async (req, res) => {
 
   const payload = { restaurants: rows, generatedAt: toISO() };
   await cacheService?.set?.(cacheKey, payload, 1800);
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Trending restaurants fetched', payload));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(payload, { message: 'Trending restaurants fetched' }));
 });
 
 // GET /api/v1/restaurants/facets?city=&country=
@@ -478,13 +484,13 @@ exports.getFacets = asyncHandler(async (req, res) => {
   ]);
 
   return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Facets fetched', {
+    ApiResponse.success({
       cuisines,
       priceLevels,
       dietary,
       features,
       generatedAt: toISO()
-    })
+    }, { message: 'Facets fetched' })
   );
 });
 
@@ -499,9 +505,9 @@ exports.getMenu = asyncHandler(async (req, res) => {
     limit: clamp(parseInt(limit), 1, 500)
   }); // { categories:[], items:[{id,name,desc,price,currency,tags,dietary,photo}] }
 
-  if (!menu) throw new ApiError(StatusCodes.NOT_FOUND, 'Menu not available');
+  if (!menu) throw ApiError.notFound('Menu not available');
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Menu fetched', { ...menu, generatedAt: toISO() }));
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...menu, generatedAt: toISO() }, { message: 'Menu fetched' }));
 });
 
 // GET /api/v1/restaurants/:id/photos?limit=&offset=
@@ -510,7 +516,7 @@ exports.getPhotos = asyncHandler(async (req, res) => {
   const { limit = 20, offset = 0 } = req.query;
 
   const r = await Restaurant.findById(id).select('photos gallery').lean();
-  if (!r) throw new ApiError(StatusCodes.NOT_FOUND, 'Restaurant not found');
+  if (!r) throw ApiError.notFound('Restaurant not found');
 
   const reviewPhotos = await Review.find({
     restaurantId: id,
@@ -530,7 +536,18 @@ exports.getPhotos = asyncHandler(async (req, res) => {
     total: (r.photos?.length || 0) + (r.gallery?.length || 0) + reviewPhotos.length
   };
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Photos fetched', data));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(data, { message: 'Photos fetched' }));
+});
+
+// GET /api/v1/restaurants/bbox?minLng=&minLat=&maxLng=&maxLat=&limit=
+exports.getByBBox = asyncHandler(async (req, res) => {
+  const { minLng, minLat, maxLng, maxLat, limit } = req.query;
+  if ([minLng, minLat, maxLng, maxLat].some((v) => parseNum(v) === null)) {
+    throw ApiError.badRequest('minLng, minLat, maxLng and maxLat are required');
+  }
+
+  const items = await restaurantService.getByBBox({ minLng, minLat, maxLng, maxLat, limit });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ items, generatedAt: toISO() }, { message: 'Restaurants in viewport fetched' }));
 });
 
 // GET /api/v1/restaurants/geojson?city=&country=&lat=&lng=&radius=&limit=
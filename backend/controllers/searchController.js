@@ -1,14 +1,16 @@
 // backend/controllers/searchController.js
-const Place = require('../models/place');
-const Region = require('../models/region');
+const searchService = require('../services/searchService');
 
 /**
- * GET /api/search?q=&limit=&types=places,regions&category=&emotion=&regionId=
- * - q: required (min 2 chars)
- * - limit: default 10, max 25
- * - types: comma list (default: places,regions)
+ * GET /api/search?q=&types=&category=&emotion=&regionId=&lat=&lng=&page=&limit=
+ * - q: required (min 2 chars); typos and a partly typed last word are tolerated
+ * - types: comma list of places,regions,hotels,restaurants,activities,trails,airports,stations (default: all)
  * - category/emotion: optional filters (apply to places)
- * - regionId: scope places to region + descendants
+ * - regionId: scope places and regions to a region and its descendants
+ * - lat/lng: rank nearby results higher
+ * - q may be in any Indian script; names come back in the request language (Accept-Language or ?lang=)
+ * - limit: default 10, max 25
+ * Results are one ranked list; facets.types counts matches per type before the types filter.
  */
 exports.search = async (req, res) => {
   try {
@@ -17,78 +19,51 @@ exports.search = async (req, res) => {
       return res.status(400).json({ success: false, message: 'q must be at least 2 characters' });
     }
 
-    const limit = Math.min(parseInt(req.query.limit || '10', 10), 25);
-    const types = (req.query.types || 'places,regions')
-      .split(',')
-      .map(s => s.trim().toLowerCase())
-      .filter(Boolean);
-
-    const category = req.query.category;
-    const emotion = req.query.emotion;
-    const regionId = req.query.regionId;
-
-    const tasks = [];
-
-    // Build place filter
-    if (types.includes('places')) {
-      const placeFilter = {
-        isActive: true,
-        isApproved: true,
-        $or: [
-          { name: { $regex: qRaw, $options: 'i' } },
-          { description: { $regex: qRaw, $options: 'i' } },
-          { category: { $regex: qRaw, $options: 'i' } },
-          { emotion: { $regex: qRaw, $options: 'i' } },
-          { tags: { $in: [new RegExp(qRaw, 'i')] } }
-        ]
-      };
-
-      if (category) placeFilter.category = category;
-      if (emotion) placeFilter.emotion = emotion;
-
-      if (regionId) {
-        // Scope to region + descendants for places
-        tasks.push((async () => {
-          const descendants = await Region.getDescendants(regionId);
-          const all = [regionId, ...descendants.map(d => d._id)];
-          const scoped = {
-            ...placeFilter,
-            $or: [
-              ...(placeFilter.$or || []),
-              { 'regionRef.country': { $in: all } },
-              { 'regionRef.state': { $in: all } },
-              { 'regionRef.district': { $in: all } },
-              { 'regionRef.taluk': { $in: all } },
-              { 'regionRef.town': { $in: all } },
-              { 'regionRef.village': { $in: all } }
-            ]
-          };
-          const places = await Place.find(scoped).limit(limit);
-          return { key: 'places', value: places };
-        })());
-      } else {
-        tasks.push((async () => {
-          const places = await Place.find(placeFilter).limit(limit);
-          return { key: 'places', value: places };
-        })());
+    const { items, total, page, limit, facets } = await searchService.search({ ...req.query, q: qRaw, locale: req.locale });
+    return res.json({
+      success: true,
+      data: { query: qRaw, results: items, facets },
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
       }
-    }
+    });
+  } catch (err) {
+    console.error('Search error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
 
-    // Regions text search
-    if (types.includes('regions')) {
-      tasks.push((async () => {
-        const regions = await Region.search(qRaw).limit(limit);
-        return { key: 'regions', value: regions };
-      })());
-    }
+/**
+ * GET /api/search/suggest?q=&types=&lat=&lng=&limit=
+ * Autocomplete names for a partly typed query.
+ */
+exports.suggest = async (req, res) => {
+  try {
+    const qRaw = (req.query.q || '').trim();
+    if (!qRaw) return res.json({ success: true, data: [] });
 
-    const results = await Promise.all(tasks);
-    const out = {};
-    results.forEach(({ key, value }) => { out[key] = value; });
+    const suggestions = await searchService.suggest({ ...req.query, q: qRaw, locale: req.locale });
+    return res.json({ success: true, data: suggestions });
+  } catch (err) {
+    console.error('Suggest error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
 
-    return res.json({ success: true, data: out });
+/**
+ * POST /api/search/reindex (admin)
+ * Rebuild the search index now instead of waiting for it to expire.
+ */
+exports.reindex = async (req, res) => {
+  try {
+    const stats = await searchService.reindex();
+    return res.json({ success: true, message: 'Search index rebuilt', data: stats });
   } catch (err) {
-    console.error('Search error:', err);
+    console.error('Reindex error:', err);
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 };
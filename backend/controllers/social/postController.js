@@ -2,6 +2,7 @@
 const Post = require('../../models/social/Post');
 const Reaction = require('../../models/social/Reaction');
 const Comment = require('../../models/social/Comment');
+const moderationService = require('../../services/moderationService');
 
 /**
  * POST /api/trail/posts
@@ -30,7 +31,18 @@ exports.create = async (req, res) => {
       visibility: body.visibility || 'public'
     });
 
-    res.status(201).json({ success: true, data: post.toFeedJSON ? post.toFeedJSON() : post });
+    // Flagged posts are held for review instead of going live
+    const moderation = await moderationService.submit('post', post).catch((err) => {
+      console.error('Moderation submit error:', err);
+      return null;
+    });
+    const held = Boolean(moderation && !moderation.published);
+
+    res.status(201).json({
+      success: true,
+      message: held ? 'Post submitted for review' : undefined,
+      data: { ...(post.toFeedJSON ? post.toFeedJSON() : post.toObject()), isApproved: !held }
+    });
   } catch (e) {
     console.error('Create post error:', e); // basic controller logging pattern [1]
     res.status(500).json({ success: false, message: 'Server error' });
@@ -128,9 +140,19 @@ exports.addComment = async (req, res) => {
       images: Array.isArray(images) ? images : []
     });
 
+    const moderation = await moderationService.submit('comment', c).catch((err) => {
+      console.error('Moderation submit error:', err);
+      return null;
+    });
+    const held = Boolean(moderation && !moderation.published);
+
     await Post.findByIdAndUpdate(id, { $inc: { 'metrics.comments': 1 } });
 
-    res.status(201).json({ success: true, data: c });
+    res.status(201).json({
+      success: true,
+      message: held ? 'Comment submitted for review' : undefined,
+      data: { ...c.toObject(), isApproved: !held }
+    });
   } catch (e) {
     console.error('Add comment error:', e); // controller diagnostic [1]
     res.status(500).json({ success: false, message: 'Server error' });
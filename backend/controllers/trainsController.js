@@ -2,15 +2,17 @@
 
 const { StatusCodes } = require('http-status-codes');
 const { ApiError } = require('../utils/ApiError');
-const { ApiResponse } = require('../utils/ApiResponse');
-const { asyncHandler } = require('../utils/asyncHandler');
+const ApiResponse = require('../utils/ApiResponse');
+const asyncHandler = require('../utils/asyncHandler');
 
 // Models
 const Train = require('../models/Train');
 const TrainStation = require('../models/TrainStation');
 
 // Services
-const trainService = require('../services/trainService');           // search, fares, seatmap, live, pnr, booking
+const trainService = require('../services/trainService');           // search, fares, seatmap, pnr, booking
+const liveStatusService = require('../services/liveStatusService'); // live position, delays, expected times
+const cancellationService = require('../services/cancellationService'); // refund policy + cancel
 const locationService = require('../services/locationService');     // distance calc
 const mapService = require('../services/mapService');               // shapes/geojson helpers
 const cacheService = require('../services/cacheService');           // Redis (optional)
@@ -41,7 +43,7 @@ exports.searchTrains = asyncHandler(async (req, res) => {
   } = req.body || {};
 
   if (!from || !to || !date) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'from, to and date are required for train search');
+    throw ApiError.badRequest('from, to and date are required for train search');
   }
 
   const p = clamp(parseInt(page || 1), 1, 200);
@@ -77,12 +79,12 @@ exports.searchTrains = asyncHandler(async (req, res) => {
   });
 
   return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Train search completed', {
+    ApiResponse.success({
       trips: enrichedTrips,
       pagination: result.pagination || { page: p, limit: l, total: enrichedTrips.length, totalPages: 1 },
       facets: result.facets || {},
       generatedAt: toISO()
-    })
+    }, { message: 'Train search completed' })
   );
 });
 
@@ -101,7 +103,7 @@ exports.getTrainById = asyncHandler(async (req, res) => {
     .lean();
 
   if (!trip) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Train trip not found');
+    throw ApiError.notFound('Train trip not found');
   }
 
   // Pull stop metadata
@@ -158,7 +160,7 @@ exports.getTrainById = asyncHandler(async (req, res) => {
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Train trip fetched', response));
+    .json(ApiResponse.success(response, { message: 'Train trip fetched' }));
 });
 
 /**
@@ -170,7 +172,7 @@ exports.getTrainRoute = asyncHandler(async (req, res) => {
 
   const train = await Train.findById(id).select('id name number routeShape coordinatesGeoJSON stops').lean();
   if (!train) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Train trip not found');
+    throw ApiError.notFound('Train trip not found');
   }
 
   // Build route geometry
@@ -237,24 +239,24 @@ exports.getTrainRoute = asyncHandler(async (req, res) => {
 });
 
 /**
- * GET /api/v1/trains/live/:id
- * Returns live train position/ETA if available
+ * GET /api/v1/trains/status/:operator/:number?date=YYYY-MM-DD
+ * Returns live train position, delay and expected stop times
  */
 exports.getLiveStatus = asyncHandler(async (req, res) => {
-  const { id } = req.params;
+  const { operator, number } = req.params;
 
-  const live = await trainService.getLiveStatus(id); 
-  // { lat,lng,speedKph,heading,lastUpdatedISO,nextStationRefId,etaToNextISO, delayMin?, currentStationRefId? }
+  const live = await liveStatusService.tripStatus('train', { operator, number }, { date: req.query.date });
+  // { status, delayMin, position, currentStop, nextStop:{ etaMin }, stops:[{ expectedArr, expectedDep, ... }], lastReport }
 
   if (!live) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Live status not available');
+    throw ApiError.notFound('Live status not available');
   }
 
   return res.status(StatusCodes.OK).json(
-    new ApiResponse(StatusCodes.OK, 'Live status fetched', {
+    ApiResponse.success({
       ...live,
       generatedAt: toISO()
-    })
+    }, { message: 'Live status fetched' })
   );
 });
 
@@ -266,7 +268,7 @@ exports.getOperators = asyncHandler(async (req, res) => {
   const cacheKey = 'train_operators_v1';
   const cached = await cacheService?.get?.(cacheKey);
   if (cached) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Operators fetched (cache)', cached));
+    return res.status(StatusCodes.OK).json(ApiResponse.success(cached, { message: 'Operators fetched (cache)' }));
   }
 
   const agg = await Train.aggregate([
@@ -292,7 +294,84 @@ exports.getOperators = asyncHandler(async (req, res) => {
 
   const payload = { operators: agg, generatedAt: toISO() };
   await cacheService?.set?.(cacheKey, payload, 3600);
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Operators fetched', payload));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(payload, { message: 'Operators fetched' }));
+});
+
+/**
+ * GET /api/v1/trains/health
+ */
+exports.health = asyncHandler(async (req, res) => {
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ service: 'trains', status: 'ok', generatedAt: toISO() }));
+});
+
+/**
+ * GET /api/v1/trains/trending?region=&limit=
+ * Most popular active trains.
+ */
+exports.getTrending = asyncHandler(async (req, res) => {
+  const { region, limit } = req.query;
+  const items = await trainService.getTrending({ region, limit });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ items, generatedAt: toISO() }, { message: 'Trending trains fetched' }));
+});
+
+/**
+ * GET /api/v1/trains/geojson?operator=&limit=
+ * Returns RFC 7946 FeatureCollection of train route lines for map overlays
+ */
+exports.getTrainsGeoJSON = asyncHandler(async (req, res) => {
+  const { operator, limit } = req.query;
+  const fc = await trainService.getTrainsGeoJSON({ operator, limit });
+  res.setHeader('Content-Type', 'application/geo+json');
+  return res.status(StatusCodes.OK).json(fc);
+});
+
+/**
+ * GET /api/v1/trains/bbox?minLng=&minLat=&maxLng=&maxLat=&limit=
+ * Trains whose route crosses the viewport
+ */
+exports.getByBBox = asyncHandler(async (req, res) => {
+  const { minLng, minLat, maxLng, maxLat, limit } = req.query;
+  if ([minLng, minLat, maxLng, maxLat].some((v) => parseNum(v) === null)) {
+    throw ApiError.badRequest('minLng, minLat, maxLng and maxLat are required');
+  }
+
+  const items = await trainService.getByBBox({ minLng, minLat, maxLng, maxLat, limit });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ items, generatedAt: toISO() }, { message: 'Trains in viewport fetched' }));
+});
+
+/**
+ * GET /api/v1/trains/:id/stops
+ * Ordered stops with timetable
+ */
+exports.getStops = asyncHandler(async (req, res) => {
+  const result = await trainService.getStops(req.params.id);
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...result, generatedAt: toISO() }, { message: 'Stops fetched' }));
+});
+
+/**
+ * GET /api/v1/trains/:id/schedule?date=YYYY-MM-DD
+ * Stops dated for a service day, with calendar exceptions and notices
+ */
+exports.getSchedule = asyncHandler(async (req, res) => {
+  const result = await trainService.getSchedule(req.params.id, { date: req.query.date });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...result, generatedAt: toISO() }, { message: 'Schedule fetched' }));
+});
+
+/**
+ * GET /api/v1/trains/:id/fares
+ */
+exports.getFares = asyncHandler(async (req, res) => {
+  const result = await trainService.getFares(req.params.id);
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...result, generatedAt: toISO() }, { message: 'Fares fetched' }));
+});
+
+/**
+ * GET /api/v1/trains/:id/availability?date=YYYY-MM-DD&classCode=&quota=
+ */
+exports.getAvailability = asyncHandler(async (req, res) => {
+  const { date, classCode, quota } = req.query;
+  const result = await trainService.getAvailability({ id: req.params.id, date, classCode, quota });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...result, generatedAt: toISO() }, { message: 'Availability fetched' }));
 });
 
 /**
@@ -301,42 +380,44 @@ exports.getOperators = asyncHandler(async (req, res) => {
  */
 exports.getSeatMap = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { fromStationId, toStationId, date, class: classCode } = req.query;
+  const { fromStationId, toStationId, date, class: classCode, coach } = req.query;
 
   if (!fromStationId || !toStationId || !date) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'fromStationId, toStationId and date are required');
+    throw ApiError.badRequest('fromStationId, toStationId and date are required');
   }
 
   const seatmap = await trainService.getSeatMap({
-    trainId: id,
+    id,
     fromStationId,
     toStationId,
     date,
-    classCode
-  }); // { layout, berths[], available[], blocked[], pricingRules }
+    classCode,
+    coach
+  }); // { classCode, coaches[{ coach, layout[][{ seat, state, available }] }], counts }
 
   if (!seatmap) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Seat map not available');
+    throw ApiError.notFound('Seat map not available');
   }
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Seat map fetched', { ...seatmap, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...seatmap, generatedAt: toISO() }, { message: 'Seat map fetched' }));
 });
 
 /**
  * POST /api/v1/trains/quote
- * Body: { trainId, fromStationId, toStationId, date, passengers, class, quota, addons }
- * Returns fare quote with currency and hold expiry
+ * Body: { trainId, fromStationId, toStationId, date, passengers, class, quota, currency?, seats? }
+ * passengers: count, { adult, child, infant, senior, student, disabled } or [{ category?, age? }]
+ * Returns an itemized fare quote (segment fare, concessions, fees, taxes) with hold expiry
  */
 exports.getFareQuote = asyncHandler(async (req, res) => {
-  const { trainId, fromStationId, toStationId, date, passengers, class: classCode, quota, addons } = req.body || {};
+  const { trainId, fromStationId, toStationId, date, passengers, class: classCode, quota, currency, seats } = req.body || {};
 
   if (!trainId || !fromStationId || !toStationId || !date || !passengers) {
-    throw new ApiError(StatusCodes.BAD_REQUEST, 'trainId, fromStationId, toStationId, date, passengers are required');
+    throw ApiError.badRequest('trainId, fromStationId, toStationId, date, passengers are required');
   }
 
-  const quote = await trainService.getFareQuote({
+  const quote = await trainService.getQuote({
     trainId,
     fromStationId,
     toStationId,
@@ -344,16 +425,103 @@ exports.getFareQuote = asyncHandler(async (req, res) => {
     passengers,
     classCode,
     quota,
-    addons
-  }); // { currency, base, taxes, fees, total, expiresAtISO }
+    currency,
+    seats,
+    userId: req.user?._id
+  }); // { classCode, quota, segment, passengers, passengerMix, price: { currency, unitAmount, totalAmount, breakdown }, holdId, holdExpiryISO }
 
   if (!quote) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'Fare quote not available');
+    throw ApiError.notFound('Fare quote not available');
   }
 
   return res
     .status(StatusCodes.OK)
-    .json(new ApiResponse(StatusCodes.OK, 'Fare quote generated', { ...quote, generatedAt: toISO() }));
+    .json(ApiResponse.success({ ...quote, generatedAt: toISO() }, { message: 'Fare quote generated' }));
+});
+
+/**
+ * DELETE /api/v1/trains/holds/:holdId
+ * Releases a quote's seat hold before it expires (e.g., checkout abandoned)
+ */
+exports.releaseSeatHold = asyncHandler(async (req, res) => {
+  const { holdId } = req.params;
+
+  const released = await trainService.releaseSeatHold(holdId, { userId: req.user?._id });
+  if (!released) {
+    throw ApiError.notFound('Seat hold not found or already expired');
+  }
+
+  return res
+    .status(StatusCodes.OK)
+    .json(ApiResponse.success({ holdId, generatedAt: toISO() }, { message: 'Seat hold released' }));
+});
+
+/**
+ * GET /api/v1/trains/bookings/:bookingId/refund-preview
+ * Refund the fare class's cancellation policy allows right now.
+ */
+exports.getRefundPreview = asyncHandler(async (req, res) => {
+  const preview = await cancellationService.previewCancellation(req.params.bookingId, {
+    userId: req.user?._id,
+    kind: 'train'
+  });
+  if (!preview) throw ApiError.notFound('Train booking not found');
+
+  return res
+    .status(StatusCodes.OK)
+    .json(ApiResponse.success({ ...preview, generatedAt: toISO() }, { message: 'Refund preview' }));
+});
+
+/**
+ * POST /api/v1/trains/bookings/:bookingId/cancel
+ * Body: { reason? } — seats go back on sale and the refund follows the fare policy.
+ */
+exports.cancelBooking = asyncHandler(async (req, res) => {
+  const result = await cancellationService.cancelBooking(req.params.bookingId, {
+    userId: req.user?._id,
+    kind: 'train',
+    reason: req.body?.reason || 'user_cancelled'
+  });
+  if (!result) throw ApiError.notFound('Train booking not found');
+
+  return res
+    .status(StatusCodes.OK)
+    .json(ApiResponse.success({ ...result, generatedAt: toISO() }, { message: 'Train booking cancelled' }));
+});
+
+/**
+ * POST /api/v1/trains/:id/book
+ * Body: { quote, contact, passengers, payment? }
+ * Prices the quote again (409 with the new quote if the fare changed), commits its
+ * seat hold (only the user who placed it can) and records the booking.
+ */
+exports.bookTrain = asyncHandler(async (req, res) => {
+  const { quote, contact, passengers, payment } = req.body || {};
+  if (!quote) {
+    throw ApiError.badRequest('quote is required');
+  }
+
+  const booking = await trainService.bookTrain(req.params.id, {
+    quote,
+    contact,
+    passengers,
+    payment,
+    userId: req.user?._id
+  });
+  if (!booking) {
+    throw ApiError.notFound('Train trip not found');
+  }
+
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(booking, { message: 'Train booked' }));
+});
+
+/**
+ * GET /api/v1/trains/serving-station/:stationId?date=YYYY-MM-DD
+ * Trains calling at a station, in departure order
+ */
+exports.getTrainsByStation = asyncHandler(async (req, res) => {
+  const result = await trainService.getTrainsByStation(req.params.stationId, { date: req.query.date });
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...result, generatedAt: toISO() }, { message: 'Trains fetched' }));
 });
 
 /**
@@ -367,10 +535,10 @@ exports.getPNRStatus = asyncHandler(async (req, res) => {
   // { pnr, status, passengers:[{name,age,berth,coach,status}], train, journey:{date,from,to}, lastUpdatedISO }
 
   if (!status) {
-    throw new ApiError(StatusCodes.NOT_FOUND, 'PNR not found');
+    throw ApiError.notFound('PNR not found');
   }
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'PNR status fetched', { ...status, generatedAt: toISO() }));
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...status, generatedAt: toISO() }, { message: 'PNR status fetched' }));
 });
 
 /**
@@ -380,7 +548,7 @@ exports.getPNRStatus = asyncHandler(async (req, res) => {
 exports.suggest = asyncHandler(async (req, res) => {
   const { q = '', limit = 8 } = req.query;
   if (!q || String(q).trim().length < 2) {
-    return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Suggestions fetched', { suggestions: [] }));
+    return res.status(StatusCodes.OK).json(ApiResponse.success({ suggestions: [] }, { message: 'Suggestions fetched' }));
   }
 
   const lmt = clamp(parseInt(limit), 1, 20);
@@ -403,5 +571,5 @@ exports.suggest = asyncHandler(async (req, res) => {
     to: t.stops?.[t.stops.length - 1]?.name || null
   }));
 
-  return res.status(StatusCodes.OK).json(new ApiResponse(StatusCodes.OK, 'Suggestions fetched', { suggestions: mapped }));
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ suggestions: mapped }, { message: 'Suggestions fetched' }));
 });
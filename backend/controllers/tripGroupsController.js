@@ -0,0 +1,514 @@
+// backend/controllers/tripGroupsController.js
+
+const mongoose = require('mongoose');
+const { StatusCodes } = require('http-status-codes');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiError');
+const ApiResponse = require('../utils/ApiResponse');
+
+const planningService = require('../services/planningService'); // groups, itinerary, budget, checklist, documents
+
+// Helpers
+const toISO = (d = new Date()) => d.toISOString();
+const isObjectId = (v) => mongoose.Types.ObjectId.isValid(v);
+const parseBool = (v) => (v === undefined || v === '' ? undefined : v === true || v === 'true' || v === '1');
+
+// Non-members get a 404 rather than an empty list, so group ids do not leak
+async function assertMember(groupId, userId) {
+  if (!isObjectId(groupId) || !(await planningService.ensureMember(groupId, userId))) {
+    throw ApiError.notFound('Group not found');
+  }
+}
+function orNotFound(value, message = 'Group not found') {
+  if (!value) throw ApiError.notFound(message);
+  return value;
+}
+
+/**
+ * Groups
+ */
+
+// GET /api/v1/planning/groups?cursor=&limit=&destination=&active=
+exports.listGroups = asyncHandler(async (req, res) => {
+  const { cursor, limit, destination, active } = req.query;
+  const result = await planningService.listGroups({
+    userId: req.user._id,
+    cursor,
+    limit,
+    destination,
+    active: parseBool(active)
+  });
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.page(result.items, { hasMore: result.hasMore, nextCursor: result.nextCursor })
+  );
+});
+
+// POST /api/v1/planning/groups
+// Body: { name, cover?, settings:{ destination?, currency?, tz? }, startDate?, endDate? }
+exports.createGroup = asyncHandler(async (req, res) => {
+  const { name, cover, settings, startDate, endDate } = req.body || {};
+  if (!name || !String(name).trim()) throw ApiError.badRequest('name is required');
+
+  const group = await planningService.createGroup({
+    ownerId: req.user._id,
+    name: String(name).trim(),
+    cover,
+    settings: settings || {},
+    startDate,
+    endDate
+  });
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(group, { message: 'Group created' }));
+});
+
+// GET /api/v1/planning/groups/:groupId
+exports.getGroupById = asyncHandler(async (req, res) => {
+  if (!isObjectId(req.params.groupId)) throw ApiError.notFound('Group not found');
+  const group = orNotFound(await planningService.getGroupById(req.params.groupId, req.user._id));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group));
+});
+
+// PATCH /api/v1/planning/groups/:groupId
+// Body: { name?, cover?, settings?, startDate?, endDate? }
+exports.updateGroup = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.updateGroup(req.params.groupId, req.user._id, req.body || {}));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group, { message: 'Group updated' }));
+});
+
+// DELETE /api/v1/planning/groups/:groupId
+// Owner deletes the group; anyone else leaves it
+exports.removeOrLeaveGroup = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const result = await planningService.removeOrLeaveGroup(req.params.groupId, req.user._id);
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.ok(result.removed ? 'Group deleted' : 'Left group', { groupId: req.params.groupId, removed: result.removed })
+  );
+});
+
+// GET /api/v1/planning/groups/:groupId/geojson
+exports.getGroupGeoJSON = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const fc = await planningService.getGroupGeoJSON(req.params.groupId, req.user._id);
+  res.set('Content-Type', 'application/geo+json');
+  return res.status(StatusCodes.OK).send(JSON.stringify(fc));
+});
+
+// GET /api/v1/planning/groups/:groupId/ical
+exports.exportICal = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const { filename, ics } = await planningService.exportICal(req.params.groupId, req.user._id);
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  return res.status(StatusCodes.OK).send(ics);
+});
+
+/**
+ * Members and roles
+ */
+
+// GET /api/v1/planning/groups/:groupId/members
+exports.listMembers = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const members = await planningService.listMembers(req.params.groupId, req.user._id);
+  return res.status(StatusCodes.OK).json(ApiResponse.success(members));
+});
+
+// POST /api/v1/planning/groups/:groupId/members
+// Body: { userIds: [] }
+exports.addMembers = asyncHandler(async (req, res) => {
+  const { userIds } = req.body || {};
+  if (!Array.isArray(userIds) || !userIds.length || !userIds.every(isObjectId)) {
+    throw ApiError.badRequest('userIds must be a non-empty array of ids');
+  }
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.addMembers(req.params.groupId, req.user._id, userIds));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group, { message: 'Members added' }));
+});
+
+// DELETE /api/v1/planning/groups/:groupId/members
+// Body: { userIds: [] }
+exports.removeMembers = asyncHandler(async (req, res) => {
+  const { userIds } = req.body || {};
+  if (!Array.isArray(userIds) || !userIds.length || !userIds.every(isObjectId)) {
+    throw ApiError.badRequest('userIds must be a non-empty array of ids');
+  }
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.removeMembers(req.params.groupId, req.user._id, userIds));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group, { message: 'Members removed' }));
+});
+
+// POST /api/v1/planning/groups/:groupId/roles
+// Body: { roles: { [userId]: 'admin'|'member'|'viewer' } }
+exports.setRoles = asyncHandler(async (req, res) => {
+  const { roles } = req.body || {};
+  const entries = roles && typeof roles === 'object' ? Object.entries(roles) : [];
+  if (!entries.length || !entries.every(([uid, role]) => isObjectId(uid) && ['admin', 'member', 'viewer'].includes(role))) {
+    throw ApiError.badRequest("roles must map user ids to 'admin', 'member' or 'viewer'");
+  }
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.setRoles(req.params.groupId, req.user._id, roles));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group, { message: 'Roles updated' }));
+});
+
+/**
+ * Itinerary
+ */
+
+// GET /api/v1/planning/groups/:groupId/itinerary?dayOffset=&tags=&cursor=&limit=
+exports.listItinerary = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const { dayOffset, tags, cursor, limit } = req.query;
+  const result = await planningService.listItinerary(req.params.groupId, req.user._id, {
+    dayOffset: dayOffset === undefined || dayOffset === '' ? undefined : Number(dayOffset),
+    tags,
+    cursor,
+    limit
+  });
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.page(result.items, { hasMore: result.hasMore, nextCursor: result.nextCursor || null })
+  );
+});
+
+// POST /api/v1/planning/groups/:groupId/itinerary
+exports.addItineraryItem = asyncHandler(async (req, res) => {
+  const payload = req.body || {};
+  if (!payload.title || !String(payload.title).trim()) throw ApiError.badRequest('title is required');
+  if (payload.dayOffset != null && !(Number.isInteger(payload.dayOffset) && payload.dayOffset >= 0)) {
+    throw ApiError.badRequest('dayOffset must be a non-negative integer');
+  }
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.addItineraryItem(req.params.groupId, req.user._id, {
+    ...payload,
+    strict: parseBool(payload.strict)
+  }));
+  return res.status(StatusCodes.CREATED).json(
+    ApiResponse.success(group.itinerary, { message: 'Item added', conflicts: group.conflicts })
+  );
+});
+
+// PATCH /api/v1/planning/groups/:groupId/itinerary/:itemId
+exports.updateItineraryItem = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(
+    await planningService.updateItineraryItem(req.params.groupId, req.user._id, req.params.itemId, {
+      ...(req.body || {}),
+      strict: parseBool(req.body?.strict)
+    }),
+    'Itinerary item not found'
+  );
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.success(group.itinerary, { message: 'Item updated', conflicts: group.conflicts })
+  );
+});
+
+// DELETE /api/v1/planning/groups/:groupId/itinerary/:itemId
+exports.removeItineraryItem = asyncHandler(async (req, res) => {
+  if (!isObjectId(req.params.itemId)) throw ApiError.notFound('Itinerary item not found');
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.removeItineraryItem(req.params.groupId, req.user._id, req.params.itemId));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group.itinerary, { message: 'Item removed' }));
+});
+
+// POST /api/v1/planning/groups/:groupId/itinerary/reorder
+// Body: { itemId, toDayOffset, toSeq }
+exports.reorderItinerary = asyncHandler(async (req, res) => {
+  const { itemId, toDayOffset, toSeq, strict } = req.body || {};
+  if (!isObjectId(itemId)) throw ApiError.badRequest('itemId is required');
+  if (!Number.isInteger(toDayOffset) || toDayOffset < 0) throw ApiError.badRequest('toDayOffset must be a non-negative integer');
+
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(
+    await planningService.reorderItinerary(req.params.groupId, req.user._id, {
+      itemId,
+      toDayOffset,
+      toSeq,
+      strict: parseBool(strict)
+    }),
+    'Itinerary item not found'
+  );
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.success(group.itinerary, { message: 'Itinerary reordered', conflicts: group.conflicts })
+  );
+});
+
+// GET /api/v1/planning/groups/:groupId/itinerary/conflicts?dayOffset=
+exports.getItineraryConflicts = asyncHandler(async (req, res) => {
+  const { dayOffset } = req.query;
+  const day = dayOffset === undefined || dayOffset === '' ? undefined : Number(dayOffset);
+  if (day !== undefined && !(Number.isInteger(day) && day >= 0)) throw ApiError.badRequest('dayOffset must be a non-negative integer');
+
+  await assertMember(req.params.groupId, req.user._id);
+  const issues = orNotFound(await planningService.getItineraryConflicts(req.params.groupId, req.user._id, { dayOffset: day }));
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.page(issues, { errors: issues.filter((i) => i.severity === 'error').length, checkedAt: toISO() })
+  );
+});
+
+// POST /api/v1/planning/groups/:groupId/itinerary/auto-schedule
+// Body: { dayOffset, dayStart?: 'HH:MM', dayEnd?: 'HH:MM', mode?: 'walk'|'car'|... }
+exports.autoScheduleDay = asyncHandler(async (req, res) => {
+  const { dayOffset = 0, dayStart, dayEnd, mode } = req.body || {};
+  if (!Number.isInteger(dayOffset) || dayOffset < 0) throw ApiError.badRequest('dayOffset must be a non-negative integer');
+
+  await assertMember(req.params.groupId, req.user._id);
+  const result = orNotFound(
+    await planningService.autoScheduleDay(req.params.groupId, req.user._id, { dayOffset, dayStart, dayEnd, mode })
+  );
+  return res.status(StatusCodes.OK).json(ApiResponse.success(
+    {
+      itinerary: result.group.itinerary,
+      scheduled: result.scheduled,
+      unscheduled: result.unscheduled,
+      window: result.window,
+      conflicts: result.conflicts
+    },
+    { message: `${result.scheduled} item(s) scheduled` }
+  ));
+});
+
+/**
+ * Itinerary drafts (from assistant plans or saved journeys)
+ */
+
+// POST /api/v1/planning/groups/:groupId/itinerary/drafts
+// Body: { source: 'trip_idea'|'day_plan'|'journey', idea? | plan? | journeyId?, stopsPerDay?, startDate?, mergeStrategy?: 'append'|'replace', dayStart?, dayEnd? }
+exports.createItineraryDraft = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const preview = orNotFound(await planningService.createItineraryDraft(req.params.groupId, req.user._id, req.body || {}));
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(preview, {
+    message: `Draft ready (${preview.draft.items.length} items)`,
+    errors: preview.conflicts.filter((i) => i.severity === 'error').length
+  }));
+});
+
+// GET /api/v1/planning/groups/:groupId/itinerary/drafts?status=
+exports.listItineraryDrafts = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const drafts = orNotFound(await planningService.listItineraryDrafts(req.params.groupId, req.user._id, { status: req.query.status }));
+  return res.status(StatusCodes.OK).json(ApiResponse.page(drafts));
+});
+
+// GET /api/v1/planning/groups/:groupId/itinerary/drafts/:draftId — draft with live conflict preview
+exports.getItineraryDraft = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const preview = orNotFound(await planningService.getItineraryDraft(req.params.groupId, req.user._id, req.params.draftId), 'Draft not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.success(preview));
+});
+
+// POST /api/v1/planning/groups/:groupId/itinerary/drafts/:draftId/commit
+// Body: { strict? }
+exports.commitItineraryDraft = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const result = orNotFound(
+    await planningService.commitItineraryDraft(req.params.groupId, req.user._id, req.params.draftId, { strict: parseBool((req.body || {}).strict) }),
+    'Draft not found'
+  );
+  return res.status(StatusCodes.OK).json(ApiResponse.success(
+    { itinerary: result.group.itinerary, added: result.added, replaced: result.replaced, conflicts: result.conflicts },
+    { message: `Draft committed (${result.added} items)` }
+  ));
+});
+
+// POST /api/v1/planning/groups/:groupId/itinerary/drafts/:draftId/undo
+exports.undoItineraryDraft = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const result = orNotFound(await planningService.undoItineraryDraft(req.params.groupId, req.user._id, req.params.draftId), 'Draft not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.success(
+    { itinerary: result.group.itinerary, removed: result.removed, restored: result.restored },
+    { message: 'Draft undone' }
+  ));
+});
+
+// DELETE /api/v1/planning/groups/:groupId/itinerary/drafts/:draftId
+exports.discardItineraryDraft = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const draft = orNotFound(await planningService.discardItineraryDraft(req.params.groupId, req.user._id, req.params.draftId), 'Draft not found');
+  return res.status(StatusCodes.OK).json(ApiResponse.ok('Draft discarded', { id: String(draft._id) }));
+});
+
+/**
+ * Budget & expenses
+ */
+
+// GET /api/v1/planning/groups/:groupId/expenses?category=&cursor=&limit=
+exports.listExpenses = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const { category, cursor, limit } = req.query;
+  const result = await planningService.listExpenses(req.params.groupId, req.user._id, { category, cursor, limit });
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.page(result.items, { hasMore: result.hasMore, nextCursor: result.nextCursor || null })
+  );
+});
+
+// POST /api/v1/planning/groups/:groupId/expenses
+// Body: { title, amount, currency, category, paidBy?, split?, occurredAtISO?, notes? }
+exports.addExpense = asyncHandler(async (req, res) => {
+  const payload = req.body || {};
+  if (!payload.title || !String(payload.title).trim()) throw ApiError.badRequest('title is required');
+  if (!(Number(payload.amount) >= 0)) throw ApiError.badRequest('amount must be a non-negative number');
+  if (!payload.currency) throw ApiError.badRequest('currency is required');
+  if (payload.paidBy && !isObjectId(payload.paidBy)) throw ApiError.badRequest('paidBy must be a user id');
+
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(
+    await planningService.addExpense(req.params.groupId, req.user._id, { ...payload, amount: Number(payload.amount) })
+  );
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(group.budget, { message: 'Expense added' }));
+});
+
+// PATCH /api/v1/planning/groups/:groupId/expenses/:expenseId
+exports.updateExpense = asyncHandler(async (req, res) => {
+  const patch = req.body || {};
+  if (patch.amount !== undefined && !(Number(patch.amount) >= 0)) throw ApiError.badRequest('amount must be a non-negative number');
+  if (patch.paidBy && !isObjectId(patch.paidBy)) throw ApiError.badRequest('paidBy must be a user id');
+
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(
+    await planningService.updateExpense(req.params.groupId, req.user._id, req.params.expenseId, patch),
+    'Expense not found'
+  );
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group.budget, { message: 'Expense updated' }));
+});
+
+// DELETE /api/v1/planning/groups/:groupId/expenses/:expenseId
+exports.removeExpense = asyncHandler(async (req, res) => {
+  if (!isObjectId(req.params.expenseId)) throw ApiError.notFound('Expense not found');
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.removeExpense(req.params.groupId, req.user._id, req.params.expenseId));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group.budget, { message: 'Expense removed' }));
+});
+
+// GET /api/v1/planning/groups/:groupId/expenses/summary
+exports.getExpenseSummary = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const summary = await planningService.getExpenseSummary(req.params.groupId, req.user._id);
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...summary, generatedAt: toISO() }));
+});
+
+/**
+ * Balances & settlements
+ */
+
+// GET /api/v1/planning/groups/:groupId/settle-up
+// Per-member balances in the base currency plus the transfers that clear them
+exports.getSettleUp = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const result = orNotFound(await planningService.getSettleUp(req.params.groupId, req.user._id));
+  return res.status(StatusCodes.OK).json(ApiResponse.success({ ...result, generatedAt: toISO() }));
+});
+
+// GET /api/v1/planning/groups/:groupId/settlements
+exports.listSettlements = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const items = orNotFound(await planningService.listSettlements(req.params.groupId, req.user._id));
+  return res.status(StatusCodes.OK).json(ApiResponse.page(items));
+});
+
+// POST /api/v1/planning/groups/:groupId/settlements
+// Body: { to, amount, currency?, from?, note?, settledAtISO? }
+exports.addSettlement = asyncHandler(async (req, res) => {
+  const payload = req.body || {};
+  if (!isObjectId(payload.to)) throw ApiError.badRequest('to must be a user id');
+  if (payload.from && !isObjectId(payload.from)) throw ApiError.badRequest('from must be a user id');
+  if (!(Number(payload.amount) > 0)) throw ApiError.badRequest('amount must be a positive number');
+  if (payload.settledAtISO && Number.isNaN(Date.parse(payload.settledAtISO))) {
+    throw ApiError.badRequest('settledAtISO must be an ISO 8601 date');
+  }
+
+  await assertMember(req.params.groupId, req.user._id);
+  const settlement = orNotFound(await planningService.addSettlement(req.params.groupId, req.user._id, payload));
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(settlement, { message: 'Payment recorded' }));
+});
+
+// DELETE /api/v1/planning/groups/:groupId/settlements/:settlementId
+exports.removeSettlement = asyncHandler(async (req, res) => {
+  if (!isObjectId(req.params.settlementId)) throw ApiError.notFound('Settlement not found');
+  await assertMember(req.params.groupId, req.user._id);
+  const result = orNotFound(
+    await planningService.removeSettlement(req.params.groupId, req.user._id, req.params.settlementId),
+    'Settlement not found'
+  );
+  return res.status(StatusCodes.OK).json(ApiResponse.ok('Payment removed', { id: result.id }));
+});
+
+/**
+ * Checklist
+ */
+
+// GET /api/v1/planning/groups/:groupId/checklist?done=&cursor=&limit=
+exports.listChecklist = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const { done, cursor, limit } = req.query;
+  const result = await planningService.listChecklist(req.params.groupId, req.user._id, {
+    done: parseBool(done),
+    cursor,
+    limit
+  });
+  return res.status(StatusCodes.OK).json(
+    ApiResponse.page(result.items, { hasMore: result.hasMore, nextCursor: result.nextCursor || null })
+  );
+});
+
+// POST /api/v1/planning/groups/:groupId/checklist
+// Body: { title, dueISO?, assignees? }
+exports.addChecklistItem = asyncHandler(async (req, res) => {
+  const payload = req.body || {};
+  if (!payload.title || !String(payload.title).trim()) throw ApiError.badRequest('title is required');
+  if (payload.assignees && (!Array.isArray(payload.assignees) || !payload.assignees.every(isObjectId))) {
+    throw ApiError.badRequest('assignees must be an array of user ids');
+  }
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.addChecklistItem(req.params.groupId, req.user._id, payload));
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(group.checklist, { message: 'Checklist item added' }));
+});
+
+// PATCH /api/v1/planning/groups/:groupId/checklist/:itemId
+exports.updateChecklistItem = asyncHandler(async (req, res) => {
+  const patch = req.body || {};
+  if (patch.assignees && (!Array.isArray(patch.assignees) || !patch.assignees.every(isObjectId))) {
+    throw ApiError.badRequest('assignees must be an array of user ids');
+  }
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(
+    await planningService.updateChecklistItem(req.params.groupId, req.user._id, req.params.itemId, patch),
+    'Checklist item not found'
+  );
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group.checklist, { message: 'Checklist item updated' }));
+});
+
+// DELETE /api/v1/planning/groups/:groupId/checklist/:itemId
+exports.removeChecklistItem = asyncHandler(async (req, res) => {
+  if (!isObjectId(req.params.itemId)) throw ApiError.notFound('Checklist item not found');
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.removeChecklistItem(req.params.groupId, req.user._id, req.params.itemId));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group.checklist, { message: 'Checklist item removed' }));
+});
+
+/**
+ * Documents
+ */
+
+// GET /api/v1/planning/groups/:groupId/documents
+exports.listDocuments = asyncHandler(async (req, res) => {
+  await assertMember(req.params.groupId, req.user._id);
+  const docs = await planningService.listDocuments(req.params.groupId, req.user._id);
+  return res.status(StatusCodes.OK).json(ApiResponse.page(docs));
+});
+
+// POST /api/v1/planning/groups/:groupId/documents
+// Body: { key, name?, mime?, size?, url? }
+exports.addDocument = asyncHandler(async (req, res) => {
+  const payload = req.body || {};
+  if (!payload.key) throw ApiError.badRequest('key is required');
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.addDocument(req.params.groupId, req.user._id, payload));
+  return res.status(StatusCodes.CREATED).json(ApiResponse.success(group.documents, { message: 'Document added' }));
+});
+
+// DELETE /api/v1/planning/groups/:groupId/documents/:docId
+exports.removeDocument = asyncHandler(async (req, res) => {
+  if (!isObjectId(req.params.docId)) throw ApiError.notFound('Document not found');
+  await assertMember(req.params.groupId, req.user._id);
+  const group = orNotFound(await planningService.removeDocument(req.params.groupId, req.user._id, req.params.docId));
+  return res.status(StatusCodes.OK).json(ApiResponse.success(group.documents, { message: 'Document removed' }));
+});
@@ -1,6 +1,7 @@
 // backend/middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const authSessions = require('../services/authSessionService');
 
 // Centralized role names to avoid typos
 const ROLES = Object.freeze({
@@ -9,6 +10,16 @@ const ROLES = Object.freeze({
   ADMIN: 'admin',
 });
 
+/**
+ * A verified token still has to belong to a live session (tokens carry `sid`)
+ * and postdate the user's last global sign-out (password change, deactivation).
+ */
+async function tokenStillValid(decoded, user) {
+  if (user.tokensValidAfter && decoded.iat < Math.floor(new Date(user.tokensValidAfter).getTime() / 1000)) return false;
+  if (decoded.sid && !(await authSessions.isSessionActive(decoded.sid))) return false;
+  return true;
+}
+
 /**
  * Protect routes — requires valid JWT in Authorization: Bearer <token>
  */
@@ -29,15 +40,19 @@ async function protect(req, res, next) {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
     // Attach user (safe fields only)
-    const user = await User.findById(decoded.id).select('-password -__v');
+    const user = await User.findById(decoded.id).select('-password -__v +tokensValidAfter');
     if (!user) {
       return res.status(401).json({ success: false, message: 'User not found' });
     }
     if (user.isActive === false) {
       return res.status(403).json({ success: false, message: 'User account is deactivated' });
     }
+    if (!(await tokenStillValid(decoded, user))) {
+      return res.status(401).json({ success: false, message: 'Session has ended, please sign in again' });
+    }
 
     req.user = user;
+    req.authSessionId = decoded.sid || null;
     return next();
   } catch (err) {
     return res.status(401).json({ success: false, message: 'Not authorized, token invalid or expired' });
@@ -68,6 +83,18 @@ function partnerOrAdmin(req, res, next) {
   return res.status(403).json({ success: false, message: 'Access denied. Partner or Admin role required.' });
 }
 
+/**
+ * Verified-email access (use after protect) — bookings, public posts
+ */
+function requireVerified(req, res, next) {
+  if (req.user && req.user.isVerified) return next();
+  return res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address to continue.',
+  });
+}
+
 /**
  * Optional authentication — attaches req.user if a valid token is present, else proceeds as anonymous
  */
@@ -84,7 +111,10 @@ async function optionalAuth(req, res, next) {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password -__v');
+      const user = await User.findById(decoded.id).select('-password -__v +tokensValidAfter');
+      const usable = user && user.isActive !== false && (await tokenStillValid(decoded, user));
+      req.user = usable ? user : null;
+      req.authSessionId = usable ? decoded.sid || null : null;
     } catch {
       req.user = null; // invalid/expired token in optional mode -> anonymous
     }
@@ -103,6 +133,7 @@ module.exports = {
   protect,
   requireAuth,
   optionalAuth,
+  requireVerified,
   // roles
   admin,
   partner,
@@ -0,0 +1,15 @@
+// backend/middleware/locale.js
+const { pickLocale } = require('../utils/i18n');
+
+/**
+ * Resolve the response language into req.locale (?lang= or Accept-Language)
+ * and advertise it, so caches keep one copy per language.
+ */
+const resolveLocale = (req, res, next) => {
+  req.locale = pickLocale(req.query.lang, req.get('Accept-Language'));
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = { resolveLocale };
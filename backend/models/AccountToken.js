@@ -0,0 +1,32 @@
+// backend/models/AccountToken.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Single-use token mailed to a user (email verification, password reset).
+ * Only the SHA-256 hash is stored; `usedAt` is set atomically when the token
+ * is redeemed so it cannot be replayed.
+ */
+const AccountTokenSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    purpose: { type: String, enum: ['email_verification', 'password_reset'], required: true },
+    tokenHash: { type: String, required: true },
+    email: { type: String, lowercase: true, trim: true }, // address the link was sent to
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+    requestIp: { type: String, trim: true }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+AccountTokenSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+
+// Expired tokens are useless; let MongoDB clean them up
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'ttl_account_token_expiry' });
+
+module.exports = mongoose.model('AccountToken', AccountTokenSchema);
@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const cancellationPolicySchema = require('./booking/cancellationPolicy');
 
 /**
  * GeoJSON Point schema (RFC 7946) with [lng, lat] order
@@ -154,6 +155,7 @@ const ActivitySchema = new Schema(
     // Availability and policies
     availability: availabilitySchema,
     policies: policySchema,
+    cancellationPolicy: { type: cancellationPolicySchema }, // falls back to policies.freeCancellationUntilHours
 
     // Media
     photos: [{ type: String, trim: true }],
@@ -114,6 +114,7 @@ const AirportSchema = new Schema(
     // Ops and services
     amenities: [{ type: String, trim: true }],
     services: [{ type: String, trim: true }], // lounges, metro, rail, etc.
+    minConnectionMin: { type: Number, min: 0 }, // minimum connection time for transfers; falls back to app default
 
     // Aggregates and engagement
     reviews: reviewAggregateSchema,
@@ -0,0 +1,51 @@
+// backend/models/AuthSession.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * One signed-in device. Access tokens carry the session id (`sid`) so a
+ * revoked session stops working immediately; the refresh token is stored
+ * only as a SHA-256 hash and rotates on every use. The previous hash is kept
+ * to spot a replayed (stolen) refresh token.
+ */
+const AuthSessionSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+    // Refresh token rotation
+    tokenHash: { type: String, required: true },
+    previousTokenHash: { type: String },
+    rotatedAt: { type: Date },
+
+    // Device info (best effort, from request headers)
+    deviceName: { type: String, trim: true, maxlength: 120 },
+    userAgent: { type: String, trim: true, maxlength: 512 },
+    ip: { type: String, trim: true },
+
+    lastUsedAt: { type: Date, default: () => new Date() },
+    expiresAt: { type: Date, required: true }, // sliding; pushed forward on refresh
+
+    // Revocation
+    revokedAt: { type: Date },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'user_revoked', 'password_changed', 'password_reset', 'account_deactivated', 'refresh_token_reuse', 'session_limit']
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+AuthSessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Sessions disappear once their refresh token can no longer be used
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'ttl_auth_session_expiry' });
+
+AuthSessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
@@ -2,6 +2,8 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const calendarExceptionSchema = require('./transport/calendarException');
+const fareRuleSchema = require('./transport/fareRule');
 
 /**
  * GeoJSON LineString (RFC 7946) for route geometry with [lng, lat] order.
@@ -47,7 +49,7 @@ const stopSchema = new Schema(
     dep: { type: String, trim: true }, // ISO 8601 string (local with offset)
     platform: { type: String, trim: true },
     bay: { type: String, trim: true },
-    distance_km: { type: Number, min: 0 }
+    distance_km: { type: Number, min: 0 } // cumulative from the first stop
   },
   { _id: false }
 );
@@ -60,7 +62,8 @@ const fareBandSchema = new Schema(
     classCode: { type: String, trim: true }, // e.g., SEATER, SLEEPER, AC
     currency: { type: String, trim: true, default: 'USD' },
     min: { type: Number, min: 0 },
-    max: { type: Number, min: 0 }
+    max: { type: Number, min: 0 },
+    rule: { type: fareRuleSchema } // segment pricing; prorated min..max when absent
   },
   { _id: false }
 );
@@ -127,6 +130,7 @@ const BusSchema = new Schema(
     // Operations
     serviceDays: serviceDaysSchema,
     validity: validitySchema,
+    calendarExceptions: { type: [calendarExceptionSchema], default: [] }, // dated additions, cancellations, re-timings
 
     // Route and schedule
     stops: { type: [stopSchema], default: [] },            // ordered stops (GTFS-like)
@@ -197,6 +201,11 @@ BusSchema.index({ operator: 1, popularity: -1 });
 BusSchema.index({ 'stops.stopRefId': 1 }); // used by “serving-buses” endpoint
 BusSchema.index({ isActive: 1, viewCount: -1 });
 BusSchema.index({ 'reviews.averageRating': -1, popularity: -1 });
+BusSchema.index(
+  { 'metadata.gtfs.feed': 1, 'metadata.gtfs.tripId': 1 },
+  { partialFilterExpression: { 'metadata.gtfs.feed': { $exists: true } } }
+); // GTFS import upserts
+BusSchema.index({ 'calendarExceptions.noticeId': 1 }, { sparse: true }); // notice withdrawal
 
 // Helper: ensure ordered stops by seq when reading
 BusSchema.methods.getOrderedStops = function () {
@@ -100,6 +100,10 @@ BusStopSchema.index(
 BusStopSchema.index({ isActive: 1, popularity: -1, viewCount: -1 });
 BusStopSchema.index({ city: 1, popularity: -1 });
 BusStopSchema.index({ stop_code: 1 }); // non-unique; codes can collide across regions
+BusStopSchema.index(
+  { 'metadata.gtfs.feed': 1, 'metadata.gtfs.stopId': 1 },
+  { partialFilterExpression: { 'metadata.gtfs.feed': { $exists: true } } }
+); // GTFS import upserts
 
 // Instance: RFC 7946 Feature for map layers
 BusStopSchema.methods.toGeoJSONFeature = function () {
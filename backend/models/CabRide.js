@@ -0,0 +1,99 @@
+// backend/models/CabRide.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Ride lifecycle as written by cabService and provider webhooks.
+ */
+const RIDE_STATES = ['created', 'confirmed', 'arriving', 'in_progress', 'completed', 'canceled'];
+
+/**
+ * Pickup/drop/waypoint: free-form address and { lat, lng }.
+ */
+const placeSchema = new Schema(
+  {
+    address: { type: Schema.Types.Mixed },
+    location: {
+      lat: { type: Number, min: -90, max: 90 },
+      lng: { type: Number, min: -180, max: 180 }
+    },
+    whenISO: { type: String, trim: true } // requested pickup time (ISO 8601)
+  },
+  { _id: false }
+);
+
+/**
+ * Fare quoted on the server when the ride is created; the amount payForRide charges.
+ */
+const priceQuoteSchema = new Schema(
+  {
+    currency: { type: String, trim: true, uppercase: true, default: 'INR' },
+    unitAmount: { type: Number, min: 0, required: true },
+    surge: { type: Number, min: 0, default: 1 },
+    quotedAtISO: { type: String, trim: true },
+    holdExpiryISO: { type: String, trim: true }
+  },
+  { _id: false }
+);
+
+/**
+ * Payment state of the ride; paymentId links the captured Payment.
+ */
+const ridePaymentSchema = new Schema(
+  {
+    method: { type: String, trim: true },
+    state: { type: String, trim: true, default: 'pending' }, // pending | paid | partially_refunded | refunded
+    amount: { type: Number, min: 0 },
+    currency: { type: String, trim: true, uppercase: true },
+    paymentId: { type: Schema.Types.ObjectId, ref: 'Payment' }
+  },
+  { _id: false }
+);
+
+const CabRideSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    provider: { type: String, trim: true, default: 'demo' },
+    classCode: { type: String, trim: true, required: true }, // MINI, SEDAN, SUV, LUX
+
+    state: { type: String, enum: RIDE_STATES, default: 'created', index: true },
+    createdAtISO: { type: String, trim: true },
+    updatedAtISO: { type: String, trim: true },
+
+    pickup: { type: placeSchema, required: true },
+    drop: { type: placeSchema, required: true },
+    waypoints: { type: [placeSchema], default: [] },
+
+    priceQuote: { type: priceQuoteSchema, required: true },
+    driverId: { type: Schema.Types.ObjectId, ref: 'Driver', default: null },
+
+    // Latest reported vehicle position (provider webhooks)
+    live: {
+      position: {
+        type: { type: String, enum: ['Point'] },
+        coordinates: { type: [Number], default: undefined } // [lng, lat]
+      },
+      lastUpdatedISO: { type: String, trim: true }
+    },
+
+    route: { type: Schema.Types.Mixed }, // RFC 7946 FeatureCollection
+
+    payment: { type: ridePaymentSchema, default: () => ({}) },
+
+    cancelReason: { type: String, trim: true },
+    cancellation: { type: Schema.Types.Mixed }, // { atISO, reasonCode, note, fee, refundAmount, currency }
+
+    metadata: { type: Schema.Types.Mixed }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+CabRideSchema.index({ userId: 1, createdAt: -1 });
+
+CabRideSchema.statics.STATES = RIDE_STATES;
+
+module.exports = mongoose.model('CabRide', CabRideSchema);
@@ -0,0 +1,52 @@
+// backend/models/DisruptionNotice.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { SERVICE_CALENDAR } = require('../utils/constants');
+
+/**
+ * A published service change for train or bus trips: a cancellation,
+ * re-timing or special run on given service days, or a plain advisory.
+ * Publishing writes calendar exceptions (source 'notice') onto each trip;
+ * withdrawing pulls them again, so the trips' calendars are the single
+ * source schedules are computed from.
+ */
+const DisruptionNoticeSchema = new Schema(
+  {
+    mode: { type: String, enum: SERVICE_CALENDAR.NOTICE_MODES, required: true },
+    effect: { type: String, enum: Object.keys(SERVICE_CALENDAR.NOTICE_EFFECTS), required: true },
+    severity: { type: String, enum: SERVICE_CALENDAR.NOTICE_SEVERITY, default: 'info' },
+
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    message: { type: String, trim: true, maxlength: 4000 },
+
+    // Scope: trips (Train/Bus ids) and stations/stops worth flagging on boards
+    tripIds: [{ type: Schema.Types.ObjectId }],
+    stationIds: [{ type: Schema.Types.ObjectId }],
+    dates: { type: [String], default: [] },   // service days (YYYY-MM-DD); empty = until withdrawn
+    startsOn: { type: String },               // first/last of dates, for range queries
+    endsOn: { type: String },
+
+    // Retiming only
+    shiftMin: { type: Number, min: -SERVICE_CALENDAR.MAX_SHIFT_MIN, max: SERVICE_CALENDAR.MAX_SHIFT_MIN },
+    fromSeq: { type: Number, min: 0 },
+
+    status: { type: String, enum: SERVICE_CALENDAR.NOTICE_STATUS, default: 'published' },
+    publishedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    publishedAt: { type: Date, default: () => new Date() },
+    withdrawnBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    withdrawnAt: { type: Date },
+    withdrawReason: { type: String, trim: true, maxlength: 1000 }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+DisruptionNoticeSchema.index({ status: 1, mode: 1, publishedAt: -1 });
+DisruptionNoticeSchema.index({ tripIds: 1, status: 1 });
+DisruptionNoticeSchema.index({ stationIds: 1, status: 1 });
+DisruptionNoticeSchema.index({ dates: 1, status: 1 });
+
+module.exports = mongoose.model('DisruptionNotice', DisruptionNoticeSchema);
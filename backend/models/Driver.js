@@ -0,0 +1,35 @@
+// backend/models/Driver.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Cab drivers available for assignment; cabService looks them up by
+ * class and distance from the pickup.
+ */
+const DriverSchema = new Schema(
+  {
+    name: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    classCode: { type: String, trim: true, default: 'MINI' }, // MINI, SEDAN, SUV, LUX
+    isOnline: { type: Boolean, default: false, index: true },
+
+    // Current position, GeoJSON Point [lng, lat]
+    location: {
+      type: { type: String, enum: ['Point'], default: 'Point' },
+      coordinates: { type: [Number], default: undefined }
+    },
+    heading: { type: Number, min: 0, max: 359 },
+    speedKph: { type: Number, min: 0 },
+    updatedAtISO: { type: String, trim: true }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+DriverSchema.index({ location: '2dsphere' });
+DriverSchema.index({ isOnline: 1, classCode: 1 });
+
+module.exports = mongoose.model('Driver', DriverSchema);
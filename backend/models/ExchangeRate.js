@@ -0,0 +1,26 @@
+// backend/models/ExchangeRate.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Locally maintained exchange-rate table. Each row prices one unit of a
+ * currency in the pivot currency (FX.PIVOT), so any pair converts as
+ * amount * rate(from) / rate(to). Rows override FX.DEFAULT_RATES.
+ */
+const ExchangeRateSchema = new Schema(
+  {
+    code: { type: String, required: true, trim: true, uppercase: true, match: [/^[A-Z]{3}$/, 'ISO 4217 code expected'] },
+    rateToPivot: { type: Number, required: true, min: 0 }, // value of 1 unit in the pivot currency
+    source: { type: String, trim: true },                  // e.g. "manual", "RBI reference 2026-10-01"
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+ExchangeRateSchema.index({ code: 1 }, { unique: true, name: 'uniq_exchange_rate_code' });
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const cancellationPolicySchema = require('./booking/cancellationPolicy');
 
 /**
  * GeoJSON Point [lng, lat] with 2dsphere index for $near queries and map overlays.
@@ -115,7 +116,8 @@ const ratePlanSchema = new Schema(
     refundable: { type: Boolean, default: true },
     breakfastIncluded: { type: Boolean, default: false },
     price: { type: Number, min: 0 },
-    currency: { type: String, trim: true }
+    currency: { type: String, trim: true },
+    cancellationPolicy: { type: cancellationPolicySchema } // tiers/fees; refundable:false alone means no refund
   },
   { _id: false }
 );
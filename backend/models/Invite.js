@@ -32,8 +32,8 @@ const InviteSchema = new Schema(
       index: true
     },
 
-    // Security token for accepting the invite
-    token: { type: String, required: true, unique: true, index: true }, // random opaque string
+    // SHA-256 of the accept token; the token itself is only returned once, to the inviter
+    tokenHash: { type: String, required: true, unique: true, select: false },
 
     // Lifecycle
     status: {
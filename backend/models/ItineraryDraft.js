@@ -0,0 +1,60 @@
+// backend/models/ItineraryDraft.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { PLANNING } = require('../utils/constants');
+
+/**
+ * Itinerary items generated from an AI plan or a saved Journey, waiting to
+ * be previewed and committed into a trip group. A commit records what it
+ * added and what it replaced so it can be undone later; uncommitted drafts
+ * expire after PLANNING.DRAFT_TTL_DAYS.
+ */
+const ItineraryDraftSchema = new Schema(
+  {
+    groupId: { type: Schema.Types.ObjectId, ref: 'TripGroup', required: true, index: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+
+    source: {
+      kind: { type: String, enum: PLANNING.DRAFT_SOURCES, required: true },
+      title: { type: String, trim: true, maxlength: 200 },
+      journeyId: { type: Schema.Types.ObjectId, ref: 'Journey' },
+      provider: { type: String, trim: true }
+    },
+    mergeStrategy: { type: String, enum: ['append', 'replace'], default: 'append' },
+    startDate: { type: Date }, // calendar day of dayOffset 0 when the draft was built
+
+    // Ready-to-insert TripGroup itinerary items (with their final _ids)
+    items: { type: [Schema.Types.Mixed], default: [] },
+    unresolved: { type: [Schema.Types.Mixed], default: [] },  // refs that are gone or inactive: { type, id, name, reason }
+    unscheduled: { type: [Schema.Types.Mixed], default: [] }, // items auto-scheduling could not fit: { itemId, title, reason }
+
+    status: { type: String, enum: PLANNING.DRAFT_STATUS, default: 'draft', index: true },
+    expiresAt: { type: Date }, // only while status is 'draft'
+
+    // Commit record, used by undo
+    committedAt: { type: Date },
+    committedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    addedItemIds: [{ type: Schema.Types.ObjectId }],
+    replacedItems: { type: [Schema.Types.Mixed], default: undefined },
+    previousDates: {
+      startDate: { type: Date },
+      endDate: { type: Date }
+    },
+    appliedDates: {
+      startDate: { type: Date },
+      endDate: { type: Date }
+    },
+    undoneAt: { type: Date },
+    undoneBy: { type: Schema.Types.ObjectId, ref: 'User' }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+ItineraryDraftSchema.index({ groupId: 1, createdAt: -1 });
+ItineraryDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ItineraryDraft', ItineraryDraftSchema);
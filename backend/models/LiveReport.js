@@ -0,0 +1,54 @@
+// backend/models/LiveReport.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { LIVE_STATUS } = require('../utils/constants');
+
+/**
+ * One real-time observation of a vehicle on a service day: where it was,
+ * which stop it was at or heading to, and how late it ran. Reports come from
+ * signed feeds, operations staff or the local schedule simulator; live status
+ * reads the latest one and propagates its delay down the remaining stops.
+ *
+ * Train and bus reports point at the trip (tripId); flights are keyed by
+ * carrier + number. `serviceDate` is the trip's service day, as in its calendar.
+ */
+const LiveReportSchema = new Schema(
+  {
+    mode: { type: String, enum: LIVE_STATUS.MODES, required: true },
+    tripId: { type: Schema.Types.ObjectId },               // Train/Bus id
+    carrier: { type: String, trim: true, uppercase: true }, // flights
+    number: { type: String, trim: true, uppercase: true },
+    serviceDate: { type: String, required: true },         // YYYY-MM-DD
+
+    source: { type: String, enum: LIVE_STATUS.SOURCES, required: true },
+    feed: { type: String, trim: true },                    // feed name for source 'feed'
+    reportedAt: { type: Date, required: true },            // observation time (vehicle clock)
+
+    position: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }  // [lng, lat]
+    },
+    bearing: { type: Number, min: 0, max: 360 },
+    speedKph: { type: Number, min: 0 },
+
+    stopSeq: { type: Number, min: 0 },                     // stop the status refers to
+    stopStatus: { type: String, enum: LIVE_STATUS.STOP_STATUS },
+    platform: { type: String, trim: true },                // platform (flights: gate) announced for stopSeq
+    bay: { type: String, trim: true },
+    delayMin: { type: Number, min: -LIVE_STATUS.MAX_DELAY_MIN, max: LIVE_STATUS.MAX_DELAY_MIN }, // + late, - early
+    delayInferred: { type: Boolean, default: false },      // derived from stopSeq and the timetable
+    announcement: { type: Boolean, default: false },       // platform/bay notice only, not a vehicle observation
+    cancelled: { type: Boolean, default: false }
+  },
+  {
+    timestamps: { createdAt: 'receivedAt', updatedAt: false },
+    versionKey: false
+  }
+);
+
+LiveReportSchema.index({ mode: 1, tripId: 1, serviceDate: 1, reportedAt: -1 });
+LiveReportSchema.index({ mode: 1, carrier: 1, number: 1, serviceDate: 1, reportedAt: -1 });
+LiveReportSchema.index({ reportedAt: 1 }, { expireAfterSeconds: LIVE_STATUS.REPORT_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LiveReport', LiveReportSchema);
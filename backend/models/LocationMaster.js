@@ -3,6 +3,8 @@
 const mongoose = require('mongoose');
 
 const { Schema } = mongoose;
+const translatable = require('./plugins/translatable');
+const { searchKeys } = require('../utils/transliterate');
 
 // Simple slugify util (no external dep)
 function toSlug(s) {
@@ -158,6 +160,9 @@ const locationMasterSchema = new Schema(
   }
 );
 
+// Names in other languages + script-independent search keys
+locationMasterSchema.plugin(translatable, { fields: ['name'], keyFields: ['name'] });
+
 /**
  * Indexes
  * - 2dsphere on `location` enables geospatial queries ($near, $geoWithin) [web:6980][web:6995]
@@ -239,8 +244,11 @@ locationMasterSchema.statics.search = function search(q, { limit = 50, filter =
   if (!text) {
     return this.find(filter, projection).limit(Math.min(200, Math.max(1, limit)));
   }
+  // searchKeys catch names typed in another script or spelling
+  const keys = searchKeys(text);
+  const match = keys.length ? { $or: [{ $text: { $search: text } }, { searchKeys: { $all: keys } }] } : { $text: { $search: text } };
   return this.find(
-    { $text: { $search: text }, ...filter },
+    { $and: [match, filter] },
     { score: { $meta: 'textScore' }, ...(projection || {}) }
   )
     .sort({ score: { $meta: 'textScore' } })
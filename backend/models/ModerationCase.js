@@ -0,0 +1,64 @@
+// backend/models/ModerationCase.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { MODERATION } = require('../utils/constants');
+
+const FlagSchema = new Schema(
+  {
+    code: { type: String, enum: MODERATION.FLAGS, required: true },
+    message: { type: String, trim: true },
+    details: { type: Schema.Types.Mixed }
+  },
+  { _id: false }
+);
+
+const DecisionSchema = new Schema(
+  {
+    action: { type: String, enum: ['submitted', 'resubmitted', ...Object.keys(MODERATION.DECISIONS)], required: true },
+    fromStatus: { type: String, enum: MODERATION.STATUS },
+    toStatus: { type: String, enum: MODERATION.STATUS, required: true },
+    reason: { type: String, trim: true, maxlength: 1000 },
+    actorId: { type: Schema.Types.ObjectId, ref: 'User' }, // null for automatic entries
+    flags: { type: [String], default: undefined },         // flag codes at the time of the entry
+    at: { type: Date, default: () => new Date() }
+  },
+  { _id: false }
+);
+
+/**
+ * Review state for one piece of user content (place, post, comment, review).
+ * The content document keeps its own visibility field (isApproved/status);
+ * this case holds the automatic flags and the full decision history.
+ */
+const ModerationCaseSchema = new Schema(
+  {
+    contentType: { type: String, enum: MODERATION.CONTENT_TYPES, required: true },
+    contentId: { type: Schema.Types.ObjectId, required: true },
+    authorId: { type: Schema.Types.ObjectId, ref: 'User' },
+
+    // Short preview so the queue renders without loading every content type
+    title: { type: String, trim: true, maxlength: 200 },
+    excerpt: { type: String, trim: true, maxlength: 500 },
+
+    status: { type: String, enum: MODERATION.STATUS, default: 'pending' },
+    flags: { type: [FlagSchema], default: [] },
+    flagCount: { type: Number, default: 0 },
+
+    history: { type: [DecisionSchema], default: [] },
+    decidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+ModerationCaseSchema.index({ contentType: 1, contentId: 1 }, { unique: true });
+// Queue order: most flags first, then oldest
+ModerationCaseSchema.index({ status: 1, flagCount: -1, createdAt: 1 });
+ModerationCaseSchema.index({ 'flags.code': 1, status: 1 });
+ModerationCaseSchema.index({ authorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationCase', ModerationCaseSchema);
@@ -0,0 +1,63 @@
+// backend/models/PartnerApplication.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { PARTNER } = require('../utils/constants');
+
+const DocumentSchema = new Schema(
+  {
+    kind: { type: String, enum: PARTNER.DOCUMENT_KINDS, required: true },
+    url: { type: String, required: true, trim: true },
+    name: { type: String, trim: true, maxlength: 120 }
+  },
+  { _id: false }
+);
+
+/**
+ * A user's request to become a partner. Admins approve or reject it; approval
+ * elevates the account through roleService so the change is audited.
+ */
+const PartnerApplicationSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+    // Business details
+    businessName: { type: String, required: true, trim: true, maxlength: 120 },
+    businessType: { type: String, enum: PARTNER.BUSINESS_TYPES, required: true },
+    registrationNumber: { type: String, trim: true, maxlength: 60 },
+    taxId: { type: String, trim: true, maxlength: 60 },
+    website: { type: String, trim: true },
+    description: { type: String, trim: true, maxlength: 2000 },
+    contact: {
+      email: { type: String, lowercase: true, trim: true },
+      phone: { type: String, trim: true }
+    },
+    address: {
+      line1: { type: String, trim: true },
+      city: { type: String, trim: true },
+      state: { type: String, trim: true },
+      postalCode: { type: String, trim: true },
+      country: { type: String, trim: true, default: 'IN' }
+    },
+    documents: { type: [DocumentSchema], default: [] },
+
+    // Review
+    status: { type: String, enum: PARTNER.APPLICATION_STATUS, default: 'pending', index: true },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true, maxlength: 1000 }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// At most one open application per user
+PartnerApplicationSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'uniq_pending_application_per_user' }
+);
+PartnerApplicationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('PartnerApplication', PartnerApplicationSchema);
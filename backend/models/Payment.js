@@ -0,0 +1,75 @@
+// backend/models/Payment.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Refunds issued against a payment; each carries its own idempotency key.
+ */
+const refundSchema = new Schema(
+  {
+    refundId: { type: String, required: true },     // provider refund reference
+    amount: { type: Number, min: 0, required: true },
+    reason: { type: String, trim: true },
+    idempotencyKey: { type: String, trim: true },
+    at: { type: Date, default: () => new Date() }
+  },
+  { _id: false }
+);
+
+/**
+ * Provider events applied to this payment (webhooks); eventId dedupes redelivery.
+ */
+const eventSchema = new Schema(
+  {
+    eventId: { type: String, trim: true },
+    type: { type: String, trim: true },
+    at: { type: Date, default: () => new Date() },
+    data: { type: Schema.Types.Mixed }
+  },
+  { _id: false }
+);
+
+const PaymentSchema = new Schema(
+  {
+    // One charge per idempotency key; retries with the same key return this document
+    idempotencyKey: { type: String, required: true, trim: true },
+
+    provider: { type: String, required: true, trim: true },    // sandbox | razorpay | stripe ...
+    providerRef: { type: String, trim: true },                 // provider charge/intent id
+    method: { type: String, trim: true },                      // card/upi/netbanking/wallet
+
+    // What is being paid for
+    userId: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+    bookingId: { type: Schema.Types.ObjectId, ref: 'Booking', index: true },
+    rideId: { type: Schema.Types.ObjectId, index: true },       // cab rides live outside the booking ledger
+
+    amount: { type: Number, min: 0, required: true },
+    currency: { type: String, required: true, trim: true, uppercase: true },
+    amountCaptured: { type: Number, min: 0, default: 0 },
+    amountRefunded: { type: Number, min: 0, default: 0 },
+
+    status: {
+      type: String,
+      enum: ['pending', 'authorized', 'captured', 'partially_refunded', 'refunded', 'failed', 'voided'],
+      default: 'pending',
+      index: true
+    },
+    failureReason: { type: String, trim: true },
+
+    authorizedAt: { type: Date },
+    capturedAt: { type: Date },
+    refunds: { type: [refundSchema], default: [] },
+    events: { type: [eventSchema], default: [] }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+PaymentSchema.index({ idempotencyKey: 1 }, { unique: true, name: 'uniq_payment_idempotency_key' });
+PaymentSchema.index({ provider: 1, providerRef: 1 });
+PaymentSchema.index({ 'events.eventId': 1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
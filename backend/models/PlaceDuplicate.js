@@ -0,0 +1,39 @@
+// backend/models/PlaceDuplicate.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * A suspected duplicate pair found by placeDedupeService. The pair is stored
+ * with placeA < placeB so each pair exists once; admins either merge it or
+ * dismiss it, and a rescan never reopens a reviewed pair.
+ */
+const PlaceDuplicateSchema = new Schema(
+  {
+    placeA: { type: Schema.Types.ObjectId, ref: 'Place', required: true },
+    placeB: { type: Schema.Types.ObjectId, ref: 'Place', required: true },
+
+    score: { type: Number, min: 0, max: 1, required: true },
+    signals: {
+      name: { type: Number, min: 0, max: 1 },      // name similarity
+      distanceM: { type: Number, min: 0 },         // metres apart
+      distance: { type: Number, min: 0, max: 1 },  // closeness score
+      region: { type: Number, min: 0, max: 1 }     // shared regionRef depth
+    },
+
+    status: { type: String, enum: ['open', 'dismissed', 'merged'], default: 'open' },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    note: { type: String, trim: true, maxlength: 500 }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+PlaceDuplicateSchema.index({ placeA: 1, placeB: 1 }, { unique: true });
+PlaceDuplicateSchema.index({ status: 1, score: -1 });
+PlaceDuplicateSchema.index({ placeB: 1 });
+
+module.exports = mongoose.model('PlaceDuplicate', PlaceDuplicateSchema);
@@ -0,0 +1,31 @@
+// backend/models/PlaceMerge.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Audit record of one merge: which place survived, a snapshot of the one that
+ * was folded in, and how many references moved.
+ */
+const PlaceMergeSchema = new Schema(
+  {
+    survivorId: { type: Schema.Types.ObjectId, ref: 'Place', required: true, index: true },
+    mergedId: { type: Schema.Types.ObjectId, ref: 'Place', required: true, index: true },
+    duplicateId: { type: Schema.Types.ObjectId, ref: 'PlaceDuplicate' },
+    mergedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+
+    snapshot: {
+      name: { type: String },
+      regionPath: { type: String },
+      coordinates: { type: [Number], default: undefined },
+      createdBy: { type: Schema.Types.ObjectId, ref: 'User' }
+    },
+    moved: { type: Schema.Types.Mixed, default: {} } // { comments, reactions, wishlist, favorites, history, ... }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+  }
+);
+
+module.exports = mongoose.model('PlaceMerge', PlaceMergeSchema);
@@ -65,6 +65,28 @@ const openingWindowSchema = new Schema(
   { _id: false }
 );
 
+/**
+ * Bookable table slots; capacity is the number of covers still free and is
+ * decremented atomically as reservations are taken.
+ */
+const slotSchema = new Schema(
+  {
+    startISO: { type: String, trim: true, required: true },
+    endISO: { type: String, trim: true, required: true },
+    capacity: { type: Number, min: 0, default: 0 }
+  },
+  { _id: false }
+);
+
+const availabilitySchema = new Schema(
+  {
+    slots: { type: [slotSchema], default: [] },
+    validFrom: { type: Date },
+    validTo: { type: Date }
+  },
+  { _id: false }
+);
+
 const hoursSchema = new Schema(
   {
     mon: { type: [openingWindowSchema], default: [] },
@@ -118,6 +140,7 @@ const RestaurantSchema = new Schema(
     // Opening hours and dynamic state
     hours: hoursSchema,
     openNow: { type: Boolean, default: false, index: true }, // refreshed by a service or TTL task
+    availability: availabilitySchema,
 
     // Media
     photos: [{ type: String, trim: true }],
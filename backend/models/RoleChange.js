@@ -0,0 +1,29 @@
+// backend/models/RoleChange.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Append-only audit trail of account role changes: who elevated (or demoted)
+ * whom, when, and why.
+ */
+const RoleChangeSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    fromRole: { type: String, enum: ['user', 'partner', 'admin'], required: true },
+    toRole: { type: String, enum: ['user', 'partner', 'admin'], required: true },
+    changedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: { type: String, trim: true, maxlength: 500 },
+    source: { type: String, enum: ['admin', 'partner_application'], default: 'admin' },
+    applicationId: { type: Schema.Types.ObjectId, ref: 'PartnerApplication' }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+  }
+);
+
+RoleChangeSchema.index({ userId: 1, createdAt: -1 });
+RoleChangeSchema.index({ changedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RoleChange', RoleChangeSchema);
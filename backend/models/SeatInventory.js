@@ -0,0 +1,77 @@
+// backend/models/SeatInventory.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Physical layout of one coach (train) or deck (bus) as a grid of seat labels.
+ * Labels are stable identifiers used by holds and bookings (e.g., "1-3B", "7C").
+ */
+const coachSchema = new Schema(
+  {
+    coach: { type: String, required: true, trim: true }, // e.g., 3A-1, SEATER
+    rows: { type: Number, min: 1, required: true },
+    cols: { type: Number, min: 1, required: true },
+    layout: { type: [[String]], default: [] }              // [row][col] -> seat label
+  },
+  { _id: false }
+);
+
+/**
+ * Time-boxed reservation of seats while the traveller completes checkout.
+ * Holds past expiresAt are treated as free on read and swept periodically.
+ */
+const holdSchema = new Schema(
+  {
+    holdId: { type: String, required: true },
+    seats: { type: [String], default: [] },
+    userId: { type: Schema.Types.ObjectId, ref: 'User' },
+    expiresAt: { type: Date, required: true },
+    createdAt: { type: Date, default: () => new Date() }
+  },
+  { _id: false }
+);
+
+/**
+ * Seats committed to a booking; never released by the sweeper.
+ */
+const bookedSeatSchema = new Schema(
+  {
+    seat: { type: String, required: true },
+    holdId: { type: String },
+    bookingRef: { type: String, trim: true },
+    bookedAt: { type: Date, default: () => new Date() }
+  },
+  { _id: false }
+);
+
+const SeatInventorySchema = new Schema(
+  {
+    // Inventory key: one document per vehicle trip, travel date and class
+    vehicleType: { type: String, enum: ['train', 'bus'], required: true },
+    vehicleId: { type: Schema.Types.ObjectId, required: true },      // Train._id or Bus._id
+    travelDate: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // YYYY-MM-DD
+    classCode: { type: String, required: true, trim: true },
+
+    // Layout and occupancy
+    coaches: { type: [coachSchema], default: [] },
+    holds: { type: [holdSchema], default: [] },
+    booked: { type: [bookedSeatSchema], default: [] }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Inventory key uniqueness; also the lookup path for seat maps
+SeatInventorySchema.index(
+  { vehicleType: 1, vehicleId: 1, travelDate: 1, classCode: 1 },
+  { unique: true, name: 'uniq_inventory_per_trip_date_class' }
+);
+
+// Hold lookups for release/commit and the expiry sweeper
+SeatInventorySchema.index({ 'holds.holdId': 1 });
+SeatInventorySchema.index({ 'holds.expiresAt': 1 });
+
+module.exports = mongoose.model('SeatInventory', SeatInventorySchema);
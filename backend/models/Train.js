@@ -2,6 +2,9 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const cancellationPolicySchema = require('./booking/cancellationPolicy');
+const calendarExceptionSchema = require('./transport/calendarException');
+const fareRuleSchema = require('./transport/fareRule');
 
 /**
  * GeoJSON LineString [ [lng,lat], ... ] for the trip route geometry.
@@ -45,20 +48,22 @@ const stopSchema = new Schema(
     arr: { type: String, trim: true },                                     // ISO 8601 arrival time
     dep: { type: String, trim: true },                                     // ISO 8601 departure time
     platform: { type: String, trim: true },
-    distance_km: { type: Number, min: 0 }
+    distance_km: { type: Number, min: 0 }                                  // cumulative from the first stop
   },
   { _id: false }
 );
 
 /**
- * Fare bands for classes and summary display.
+ * Fare bands for classes and summary display; `rule` prices individual rides.
  */
 const fareBandSchema = new Schema(
   {
     classCode: { type: String, trim: true }, // e.g., 2S, SL, 3A, 2A, 1A, CC, EC
     currency: { type: String, trim: true, default: 'USD' },
     min: { type: Number, min: 0 },
-    max: { type: Number, min: 0 }
+    max: { type: Number, min: 0 },
+    rule: { type: fareRuleSchema },                        // segment pricing; prorated min..max when absent
+    cancellationPolicy: { type: cancellationPolicySchema } // per-class refund tiers and clerkage
   },
   { _id: false }
 );
@@ -125,6 +130,7 @@ const TrainSchema = new Schema(
     // Operating days and validity
     serviceDays: serviceDaysSchema,
     validity: validitySchema,
+    calendarExceptions: { type: [calendarExceptionSchema], default: [] }, // dated additions, cancellations, re-timings
 
     // Route and schedule
     stops: { type: [stopSchema], default: [] },            // ordered GTFS-like stops
@@ -190,6 +196,11 @@ TrainSchema.index({ operator: 1, popularity: -1, viewCount: -1 });
 TrainSchema.index({ 'stops.stationRefId': 1 }); // used by “serving-trains” endpoint
 TrainSchema.index({ isActive: 1, createdAt: -1 });
 TrainSchema.index({ 'reviews.averageRating': -1, popularity: -1 });
+TrainSchema.index(
+  { 'metadata.gtfs.feed': 1, 'metadata.gtfs.tripId': 1 },
+  { partialFilterExpression: { 'metadata.gtfs.feed': { $exists: true } } }
+); // GTFS import upserts
+TrainSchema.index({ 'calendarExceptions.noticeId': 1 }, { sparse: true }); // notice withdrawal
 
 // Helper: return stops ordered by seq
 TrainSchema.methods.getOrderedStops = function () {
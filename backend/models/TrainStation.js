@@ -101,6 +101,10 @@ TrainStationSchema.index(
 TrainStationSchema.index({ isActive: 1, popularity: -1, viewCount: -1 });
 TrainStationSchema.index({ city: 1, popularity: -1 });
 TrainStationSchema.index({ station_code: 1 }); // non-unique; may collide across regions
+TrainStationSchema.index(
+  { 'metadata.gtfs.feed': 1, 'metadata.gtfs.stopId': 1 },
+  { partialFilterExpression: { 'metadata.gtfs.feed': { $exists: true } } }
+); // GTFS import upserts
 
 // Instance: RFC 7946 Feature for map layers and geo deep link
 TrainStationSchema.methods.toGeoJSONFeature = function () {
@@ -43,7 +43,7 @@ const itineraryItemSchema = new Schema(
     dayOffset: { type: Number, min: 0, default: 0, index: true }, // 0-based offset from startDate
     seq: { type: Number, min: 0, default: 0, index: true },
     title: { type: String, required: true, trim: true },
-    type: { type: String, trim: true, index: true },        // place|activity|food|transport|custom
+    type: { type: String, trim: true, index: true },        // place|activity|food|stay|transport|custom
     entityType: { type: String, trim: true },               // optional cross-link type
     entityId: { type: Schema.Types.ObjectId },              // optional cross-link id
     startISO: { type: String, trim: true },                 // ISO 8601 start
@@ -89,6 +89,23 @@ const expenseSchema = new Schema(
   { _id: false, timestamps: true }
 );
 
+/**
+ * Settle-up payment between two members, recorded against the balances.
+ */
+const settlementSchema = new Schema(
+  {
+    _id: { type: Schema.Types.ObjectId, auto: true },
+    from: { type: Schema.Types.ObjectId, ref: 'User', required: true },  // payer
+    to: { type: Schema.Types.ObjectId, ref: 'User', required: true },    // recipient
+    amount: { type: Number, min: 0, required: true },
+    currency: { type: String, trim: true, required: true },
+    note: { type: String, trim: true },
+    settledAtISO: { type: String, trim: true },                          // ISO 8601
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' }
+  },
+  { _id: false, timestamps: true }
+);
+
 /**
  * Checklist item with assignees and due date.
  */
@@ -148,7 +165,8 @@ const TripGroupSchema = new Schema(
     itinerary: { type: [itineraryItemSchema], default: [] },
     budget: {
       baseCurrency: { type: String, trim: true },
-      expenses: { type: [expenseSchema], default: [] }
+      expenses: { type: [expenseSchema], default: [] },
+      settlements: { type: [settlementSchema], default: [] }
     },
     checklist: { type: [checklistItemSchema], default: [] },
     documents: { type: [documentSchema], default: [] },
@@ -161,6 +179,10 @@ const TripGroupSchema = new Schema(
     // Flags
     isActive: { type: Boolean, default: true, index: true },
 
+    // ISO 8601 mirrors written by planningService (listing sort + cursor)
+    createdAtISO: { type: String, trim: true },
+    updatedAtISO: { type: String, trim: true },
+
     // Misc
     metadata: { type: Schema.Types.Mixed }
   },
@@ -184,6 +206,7 @@ TripGroupSchema.index(
 // Membership and recency
 TripGroupSchema.index({ ownerId: 1, updatedAt: -1 });
 TripGroupSchema.index({ members: 1, updatedAt: -1 });
+TripGroupSchema.index({ members: 1, updatedAtISO: -1 });
 TripGroupSchema.index({ isActive: 1, popularity: -1, viewCount: -1 });
 
 // Itinerary spatial queries and day/filter lookups
@@ -1,11 +1,67 @@
 // backend/models/booking/Booking.js
 const mongoose = require('mongoose');
-const { BOOKING_STATUS } = require('../../utils/constants');
+const { BOOKING_STATUS, BOOKING_KINDS } = require('../../utils/constants');
+const cancellationPolicySchema = require('./cancellationPolicy');
 
+/**
+ * One entry per lifecycle move; written together with the status change.
+ */
+const historySchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: [...BOOKING_STATUS, null], default: null },
+    to: { type: String, enum: BOOKING_STATUS, required: true },
+    at: { type: Date, default: () => new Date() },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // actor (user/admin); empty for system jobs
+    reason: { type: String, trim: true },
+    meta: { type: mongoose.Schema.Types.Mixed }
+  },
+  { _id: false }
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    method: { type: String, trim: true },     // card/upi/netbanking/wallet
+    provider: { type: String, trim: true },
+    txnRef: { type: String, trim: true },
+    amount: { type: Number, min: 0 },
+    currency: { type: String, trim: true },
+    capturedAt: { type: Date },
+    refundedAt: { type: Date }
+  },
+  { _id: false }
+);
+
+/**
+ * Outcome of a cancellation, computed from the snapshotted policy.
+ */
+const cancellationSchema = new mongoose.Schema(
+  {
+    at: { type: Date },
+    reason: { type: String, trim: true },
+    hoursBeforeStart: { type: Number },
+    refundPercent: { type: Number, min: 0, max: 100 },
+    fee: { type: Number, min: 0, default: 0 },
+    refundAmount: { type: Number, min: 0, default: 0 },
+    currency: { type: String, trim: true },
+    paymentRefundId: { type: String, trim: true } // provider refund reference, once issued
+  },
+  { _id: false }
+);
+
+/**
+ * Polymorphic booking ledger: hotels, trains, flights, buses, restaurants,
+ * activities and experiences share one collection and one lifecycle.
+ */
 const bookingSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
-    experienceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Experience', required: true, index: true },
+
+    // What was booked
+    kind: { type: String, enum: Object.keys(BOOKING_KINDS), required: true, default: 'experience', index: true },
+    itemModel: { type: String, enum: Object.values(BOOKING_KINDS) },
+    itemId: { type: mongoose.Schema.Types.ObjectId, refPath: 'itemModel', index: true },
+    experienceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Experience', index: true }, // legacy experience link
+    title: { type: String, trim: true },   // display label (hotel name, train number, flight route)
 
     startDate: { type: Date },
     endDate: { type: Date },
@@ -14,17 +70,33 @@ const bookingSchema = new mongoose.Schema(
     price: { type: Number, min: 0, default: 0 },
     currency: { type: String, default: 'INR' },
 
-    status: { type: String, enum: BOOKING_STATUS, default: 'pending', index: true }, // pending/confirmed/cancelled/completed [3]
+    status: { type: String, enum: BOOKING_STATUS, default: 'held', index: true }, // see BOOKING_TRANSITIONS
     paymentStatus: { type: String, enum: ['unpaid', 'paid', 'refunded'], default: 'unpaid', index: true },
+    payment: { type: paymentSchema },
+    holdExpiresAt: { type: Date }, // held/pending_payment bookings lapse to cancelled after this
+
+    cancellationPolicy: { type: cancellationPolicySchema }, // terms at booking time
+    cancellation: { type: cancellationSchema },
 
-    reference: { type: String, trim: true } // external ref / PNR / provider code
+    reference: { type: String, trim: true }, // external ref / PNR / provider code
+    details: { type: mongoose.Schema.Types.Mixed }, // kind-specific snapshot (quote, contact, passengers, seats)
+
+    history: { type: [historySchema], default: [] }
   },
   { timestamps: true }
 );
 
+bookingSchema.pre('validate', function setItemModel(next) {
+  if (this.kind && !this.itemModel) this.itemModel = BOOKING_KINDS[this.kind];
+  if (this.kind === 'experience' && !this.itemId && this.experienceId) this.itemId = this.experienceId;
+  next();
+});
+
 // Useful indexes
 bookingSchema.index({ userId: 1, createdAt: -1 });         // "My bookings" recent-first [4]
+bookingSchema.index({ userId: 1, kind: 1, status: 1 });    // filtered "My bookings"
 bookingSchema.index({ status: 1, startDate: 1 });          // upcoming by status [10]
-bookingSchema.index({ experienceId: 1, createdAt: -1 });   // provider/admin views [4]
+bookingSchema.index({ kind: 1, itemId: 1, createdAt: -1 }); // provider/admin views [4]
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });      // hold expiry sweep
 
 module.exports = mongoose.model('Booking', bookingSchema);
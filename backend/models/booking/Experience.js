@@ -1,6 +1,7 @@
 // backend/models/booking/Experience.js
 const mongoose = require('mongoose');
 const { EXPERIENCE_TYPES } = require('../../utils/constants');
+const cancellationPolicySchema = require('./cancellationPolicy');
 
 const experienceSchema = new mongoose.Schema(
   {
@@ -16,6 +17,7 @@ const experienceSchema = new mongoose.Schema(
     basePrice: { type: Number, min: 0, default: 0 }, // indicative price
     currency: { type: String, default: 'INR' },
     providerUrl: { type: String, trim: true }, // deep-link to partner site for MVP checkout
+    cancellationPolicy: { type: cancellationPolicySchema }, // refund tiers applied when a booking is cancelled
 
     isActive: { type: Boolean, default: true },
     tags: [{ type: String, trim: true }]
@@ -0,0 +1,33 @@
+// backend/models/booking/cancellationPolicy.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Declarative cancellation rules, embedded wherever inventory is priced
+ * (Hotel.ratePlans, Train.fares, Activity, Experience) and snapshotted onto
+ * each Booking so later edits never change an existing booking's terms.
+ *
+ * Tiers are matched on hours before start, highest threshold first:
+ *   [{ minHoursBefore: 48, refundPercent: 100 }, { minHoursBefore: 6, refundPercent: 50 }]
+ * means full refund 48h+ out, half refund 6–48h out, nothing inside 6h.
+ */
+const tierSchema = new Schema(
+  {
+    minHoursBefore: { type: Number, min: 0, required: true },
+    refundPercent: { type: Number, min: 0, max: 100, required: true }
+  },
+  { _id: false }
+);
+
+const cancellationPolicySchema = new Schema(
+  {
+    nonRefundable: { type: Boolean, default: false },
+    tiers: { type: [tierSchema], default: undefined },
+    fixedFee: { type: Number, min: 0, default: 0 }, // deducted from any refund, booking currency
+    description: { type: String, trim: true }
+  },
+  { _id: false }
+);
+
+module.exports = cancellationPolicySchema;
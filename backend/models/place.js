@@ -1,5 +1,7 @@
 // backend/models/place.js
 const mongoose = require('mongoose');
+const translatable = require('./plugins/translatable');
+const { searchKeys } = require('../utils/transliterate');
 
 // Comment / review schema
 const commentSchema = new mongoose.Schema({
@@ -202,6 +204,12 @@ const placeSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when this place was folded into another as a duplicate (isActive is then false)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Place',
+    default: null
+  },
   featured: {
     type: Boolean,
     default: false
@@ -277,6 +285,9 @@ placeSchema.pre('validate', function (next) {
   }
 });
 
+// Name/description in other languages + script-independent search keys
+placeSchema.plugin(translatable, { fields: ['name', 'description'], keyFields: ['name'] });
+
 // Indexes (performance) - EXISTING + NEW region indexes
 placeSchema.index({ name: 'text', description: 'text' });
 placeSchema.index({ category: 1 });
@@ -349,6 +360,8 @@ placeSchema.statics.findByRegionRef = function (regionId, level = null) {
 };
 
 placeSchema.statics.search = function (query) {
+  // searchKeys match the name in any script or spelling ("udupi", "ಉಡುಪಿ", "उडुपी")
+  const keys = searchKeys(query);
   return this.find({
     isApproved: true,
     isActive: true,
@@ -357,7 +370,8 @@ placeSchema.statics.search = function (query) {
       { description: { $regex: query, $options: 'i' } },
       { category: { $regex: query, $options: 'i' } },
       { emotion: { $regex: query, $options: 'i' } },
-      { tags: { $in: [new RegExp(query, 'i')] } }
+      { tags: { $in: [new RegExp(query, 'i')] } },
+      ...(keys.length ? [{ searchKeys: { $all: keys } }] : [])
     ]
   });
 };
@@ -0,0 +1,86 @@
+// backend/models/plugins/translatable.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { LANGUAGES } = require('../../utils/constants');
+const { searchKeys } = require('../../utils/transliterate');
+
+/**
+ * Per-language copies of display fields plus script-independent search keys.
+ *
+ *   schema.plugin(translatable, { fields: ['name', 'description'], keyFields: ['name'] })
+ *
+ * adds
+ *   translations: { kn: { name, description }, hi: { ... } }   (LANGUAGES.SUPPORTED codes)
+ *   searchKeys:   phonetic keys of the key fields in every language (see utils/transliterate)
+ *
+ * searchKeys is recomputed on save and after findOneAndUpdate/updateOne
+ * calls that touch a key field or translations, so "udupi", "ಉಡುಪಿ" and
+ * "उडुपी" all find the same document.
+ */
+function translatable(schema, { fields = ['name', 'description'], keyFields = ['name'] } = {}) {
+  const translationSchema = new Schema(
+    Object.fromEntries(fields.map((f) => [f, { type: String, trim: true, maxlength: f === 'name' ? 200 : 5000 }])),
+    { _id: false }
+  );
+
+  schema.add({
+    translations: {
+      type: Map,
+      of: translationSchema,
+      default: undefined,
+      validate: {
+        validator: (m) => !m || [...m.keys()].every((code) => LANGUAGES.SUPPORTED.includes(code)),
+        message: `Translation languages must be one of: ${LANGUAGES.SUPPORTED.join(', ')}`
+      }
+    },
+    searchKeys: { type: [String], index: true, select: false }
+  });
+
+  function keysOf(doc) {
+    const t = doc.translations;
+    const copies = t instanceof Map ? [...t.values()] : Object.values(t || {});
+    return searchKeys(
+      keyFields.map((f) => doc[f]),
+      copies.flatMap((c) => keyFields.map((f) => c && c[f]))
+    );
+  }
+
+  function touchesKeys(update) {
+    if (!update) return false;
+    const paths = Object.entries(update).flatMap(([k, v]) => (k.startsWith('$') ? Object.keys(v || {}) : [k]));
+    return paths.some((p) => p.startsWith('translations') || keyFields.some((f) => p === f || p.startsWith(`${f}.`)));
+  }
+
+  schema.pre('save', function (next) {
+    if (this.isNew || this.isModified('translations') || keyFields.some((f) => this.isModified(f))) {
+      this.searchKeys = keysOf(this);
+    }
+    next();
+  });
+
+  // Keys are derived; never taken from a request body
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+    const update = this.getUpdate();
+    if (update) {
+      delete update.searchKeys;
+      if (update.$set) delete update.$set.searchKeys;
+    }
+    next();
+  });
+
+  async function refreshKeys() {
+    if (!touchesKeys(this.getUpdate())) return;
+    const docs = await this.model
+      .find(this.getQuery())
+      .select([...keyFields, 'translations'].join(' '))
+      .limit(this.op === 'updateMany' ? 0 : 1)
+      .lean();
+    await Promise.all(docs.map((d) => this.model.collection.updateOne({ _id: d._id }, { $set: { searchKeys: keysOf(d) } })));
+  }
+  schema.post('findOneAndUpdate', refreshKeys);
+  schema.post('updateOne', refreshKeys);
+  schema.post('updateMany', refreshKeys);
+}
+
+module.exports = translatable;
@@ -1,6 +1,8 @@
 // backend/models/region.js
 const mongoose = require('mongoose');
 const { REGION_TYPES } = require('../utils/constants');
+const translatable = require('./plugins/translatable');
+const { searchKeys } = require('../utils/transliterate');
 
 // Region schema for hierarchical geographical structure
 const regionSchema = new mongoose.Schema({
@@ -78,6 +80,9 @@ const regionSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Name/description in other languages + script-independent search keys
+regionSchema.plugin(translatable, { fields: ['name', 'description'], keyFields: ['name'] });
+
 // Indexes
 regionSchema.index({ name: 'text', description: 'text' });
 regionSchema.index({ type: 1, parentId: 1 });
@@ -132,7 +137,11 @@ regionSchema.statics.getBreadcrumb = async function (regionId) {
 };
 
 regionSchema.statics.search = function (query, type = null) {
-  const searchQuery = { $text: { $search: query }, isActive: true };
+  // Text index for English; searchKeys (indexed, so allowed beside $text in $or) for other scripts
+  const keys = searchKeys(query);
+  const searchQuery = keys.length
+    ? { $or: [{ $text: { $search: query } }, { searchKeys: { $all: keys } }], isActive: true }
+    : { $text: { $search: query }, isActive: true };
   if (type) searchQuery.type = type;
   return this.find(searchQuery, { score: { $meta: 'textScore' } })
     .sort({ score: { $meta: 'textScore' }, name: 1 });
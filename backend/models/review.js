@@ -44,7 +44,7 @@ const reviewSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'changes_requested'], // mirrors the moderation case
     default: 'pending'
   }
 }, {
@@ -8,6 +8,7 @@ const commentSchema = new mongoose.Schema(
     text: { type: String, required: true, trim: true, maxlength: 1000 },
     rating: { type: Number, min: 0, max: 5, default: 0 }, // optional star-style rating for travel posts
     images: [{ type: String, trim: true }], // optional image attachments
+    isApproved: { type: Boolean, default: true }, // false while flagged/held by moderation
     isActive: { type: Boolean, default: true } // soft delete
   },
   { timestamps: true }
@@ -40,7 +40,7 @@ const postSchema = new mongoose.Schema(
     visibility: { type: String, enum: VISIBILITY, default: 'public', index: true },
 
     // Moderation and lifecycle
-    isApproved: { type: Boolean, default: true }, // toggle to queue moderation later
+    isApproved: { type: Boolean, default: true }, // false while held by moderation (see moderationService)
     isActive: { type: Boolean, default: true },   // soft-delete
 
     // Lightweight engagement counters (denormalized)
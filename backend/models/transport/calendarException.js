@@ -0,0 +1,36 @@
+// backend/models/transport/calendarException.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { SERVICE_CALENDAR } = require('../../utils/constants');
+
+/**
+ * One dated change to a trip's weekly calendar (GTFS calendar_dates plus
+ * re-timings), embedded as Bus.calendarExceptions and Train.calendarExceptions.
+ *
+ *   { date: '2025-10-02', type: 'removed' }                          // cancelled that day
+ *   { date: '2025-10-05', type: 'added' }                            // extra run outside the pattern
+ *   { date: '2025-10-03', type: 'retimed', shiftMin: 40, fromSeq: 3 } // 40 min late from stop seq 3 on
+ *
+ * `date` is the trip's service day in its own timezone; a removal wins over
+ * any other entry for the same date. Entries written by a DisruptionNotice
+ * carry its noticeId so withdrawing the notice removes exactly those.
+ */
+const calendarExceptionSchema = new Schema(
+  {
+    date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // YYYY-MM-DD
+    type: { type: String, enum: SERVICE_CALENDAR.EXCEPTION_TYPES, required: true },
+    shiftMin: {
+      type: Number,
+      min: -SERVICE_CALENDAR.MAX_SHIFT_MIN,
+      max: SERVICE_CALENDAR.MAX_SHIFT_MIN
+    },                                                 // retimed: minutes added to stop times
+    fromSeq: { type: Number, min: 0 },                 // retimed: first affected stop (default: all)
+    reason: { type: String, trim: true, maxlength: 500 },
+    source: { type: String, enum: SERVICE_CALENDAR.EXCEPTION_SOURCES, default: 'manual' },
+    noticeId: { type: Schema.Types.ObjectId, ref: 'DisruptionNotice' }
+  },
+  { _id: false }
+);
+
+module.exports = calendarExceptionSchema;
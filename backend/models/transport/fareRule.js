@@ -0,0 +1,63 @@
+// backend/models/transport/fareRule.js
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { FARES } = require('../../utils/constants');
+
+/**
+ * How a fare band prices one ride between two stops, embedded as
+ * Train.fares[].rule and Bus.fares[].rule (see services/fareService.js).
+ *
+ *   prorated  band min..max by share of the trip's distance (or stops); the default
+ *   flat      band min for any ride
+ *   distance  baseFare + slab fare for the ride's km (stops' cumulative distance_km),
+ *             perKm beyond the last slab
+ *   stops     baseFare + perStop for each stop travelled
+ *   table     explicit fares between stop sequences
+ *
+ * Amounts are adult fares in the band's currency, before quota surcharges,
+ * demand pricing, concessions, fees and taxes.
+ */
+const slabSchema = new Schema(
+  {
+    upToKm: { type: Number, min: 0, required: true },
+    fare: { type: Number, min: 0, required: true }
+  },
+  { _id: false }
+);
+
+const stopPairSchema = new Schema(
+  {
+    fromSeq: { type: Number, min: 0, required: true },
+    toSeq: { type: Number, min: 0, required: true },
+    fare: { type: Number, min: 0, required: true }
+  },
+  { _id: false }
+);
+
+const categoryOverrideSchema = new Schema(
+  {
+    code: { type: String, enum: Object.keys(FARES.CATEGORIES), required: true },
+    discountPercent: { type: Number, min: 0, max: 100, required: true }
+  },
+  { _id: false }
+);
+
+const fareRuleSchema = new Schema(
+  {
+    basis: { type: String, enum: FARES.BASES, default: 'prorated' },
+    baseFare: { type: Number, min: 0, default: 0 },    // boarding charge (distance/stops)
+    slabs: { type: [slabSchema], default: undefined }, // ascending upToKm
+    perKm: { type: Number, min: 0 },
+    perStop: { type: Number, min: 0 },
+    pairs: { type: [stopPairSchema], default: undefined },
+    minFare: { type: Number, min: 0 },                 // clamps on the computed adult fare
+    maxFare: { type: Number, min: 0 },
+    dynamic: { type: Boolean, default: true },         // allow fill-based pricing
+    taxExempt: { type: Boolean, default: false },
+    categories: { type: [categoryOverrideSchema], default: undefined } // per-band concession percents
+  },
+  { _id: false }
+);
+
+module.exports = fareRuleSchema;
@@ -2,6 +2,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { AUTH } = require('../utils/constants');
 
 const userSchema = new mongoose.Schema(
   {
@@ -57,6 +58,10 @@ const userSchema = new mongoose.Schema(
     },
     lastLogin: {
       type: Date // set on successful login; no default so it reflects actual logins only
+    },
+    tokensValidAfter: {
+      type: Date, // access tokens issued before this are rejected (password change, deactivation)
+      select: false
     }
   },
   {
@@ -99,12 +104,12 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance: generate JWT token
-userSchema.methods.generateAuthToken = function () {
+// Instance: generate a short-lived access token, bound to a device session when given
+userSchema.methods.generateAuthToken = function (sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, ...(sessionId ? { sid: String(sessionId) } : {}) },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: AUTH.ACCESS_TOKEN_TTL }
   );
 };
 
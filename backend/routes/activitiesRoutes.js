@@ -4,7 +4,7 @@ const express = require('express');
 const router = express.Router();
 
 const asyncHandler = require('../utils/asyncHandler');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireVerified } = require('../middleware/auth');
 
 // Import controller handlers as named exports.
 // Ensure these exact names are exported from ../controllers/activitiesController.js
@@ -18,6 +18,8 @@ const {
   getActivityById,
   getAvailability,
   bookActivity,
+  getRefundPreview,
+  cancelBooking,
   addReview,
   getPhotos,
 } = require('../controllers/activitiesController');
@@ -25,6 +27,7 @@ const {
 // Fail fast if any dependency is missing/misnamed to avoid undefined callbacks.
 const guards = {
   requireAuth,
+  requireVerified,
   getActivities,
   getNearbyActivities,
   suggestActivities,
@@ -34,6 +37,8 @@ const guards = {
   getActivityById,
   getAvailability,
   bookActivity,
+  getRefundPreview,
+  cancelBooking,
   addReview,
   getPhotos,
 };
@@ -78,9 +83,15 @@ router.get('/:id', asyncHandler(getActivityById));
 // GET /api/v1/activities/:id/availability
 router.get('/:id/availability', asyncHandler(getAvailability));
 
-// Create a booking (auth required)
+// Create a booking (auth + verified email required)
 // POST /api/v1/activities/:id/book
-router.post('/:id/book', requireAuth, asyncHandler(bookActivity));
+router.post('/:id/book', requireAuth, requireVerified, asyncHandler(bookActivity));
+
+// Refund preview and cancellation for the user's activity booking (auth required)
+// GET  /api/v1/activities/bookings/:bookingId/refund-preview
+// POST /api/v1/activities/bookings/:bookingId/cancel
+router.get('/bookings/:bookingId/refund-preview', requireAuth, asyncHandler(getRefundPreview));
+router.post('/bookings/:bookingId/cancel', requireAuth, asyncHandler(cancelBooking));
 
 // Add a review (auth required)
 // POST /api/v1/activities/:id/reviews
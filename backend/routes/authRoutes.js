@@ -1,8 +1,10 @@
 // backend/routes/authRoutes.js
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/user');
 const { protect } = require('../middleware/auth');
+const authSessions = require('../services/authSessionService');
+const accountTokens = require('../services/accountTokenService');
 
 const router = express.Router();
 
@@ -20,6 +22,22 @@ const handleValidationErrors = (req, res) => {
   return false;
 };
 
+// Device info recorded on the session (best effort)
+const clientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+  deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.trim().slice(0, 120) : undefined,
+});
+
+// Service errors carry an HTTP status; anything else is a 500
+const sendServiceError = (res, error, label) => {
+  if (error && error.status && error.status < 500) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message: 'Server error' });
+};
+
 // ---------------- REGISTER ----------------
 router.post(
   '/register',
@@ -38,16 +56,17 @@ router.post(
     body('password')
       .isLength({ min: 6 })
       .withMessage('Password must be at least 6 characters long'),
+    // Elevated roles come from partner applications or an admin, never from sign-up
     body('role')
       .optional()
-      .isIn(['user', 'partner', 'admin'])
-      .withMessage('Invalid role'),
+      .equals('user')
+      .withMessage('New accounts are always users; apply via POST /api/partners/applications to become a partner'),
   ],
   async (req, res) => {
     try {
       if (handleValidationErrors(req, res)) return;
 
-      const { name, email, phone, password, role = 'user' } = req.body;
+      const { name, email, phone, password } = req.body;
 
       // Check if user exists (race-safe handling below as well)
       const userExists = await User.findByEmail(email);
@@ -58,13 +77,23 @@ router.post(
       }
 
       // Create user
-      const user = await User.create({ name, email, phone, password, role });
+      const user = await User.create({ name, email, phone, password, role: 'user' });
+      const tokens = await authSessions.createSession(user, clientInfo(req));
+
+      // A mail outage must not fail sign-up; the user can ask for a new link
+      const verificationEmailSent = await accountTokens
+        .requestEmailVerification(user._id, { ip: req.ip })
+        .then((r) => Boolean(r && r.sent))
+        .catch((mailError) => {
+          console.error('Verification email error:', mailError);
+          return false;
+        });
 
-      // Return created user info + token
+      // Return created user info + tokens (`token` is the access token, kept for older clients)
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
-        data: { ...user.getPublicProfile(), token: user.generateAuthToken() },
+        data: { ...user.getPublicProfile(), token: tokens.accessToken, ...tokens, verificationEmailSent },
       });
     } catch (error) {
       // Handle duplicate email race condition from unique index
@@ -114,11 +143,12 @@ router.post(
       // Update last login
       user.lastLogin = new Date();
       await user.save();
+      const tokens = await authSessions.createSession(user, clientInfo(req));
 
       res.json({
         success: true,
         message: 'Login successful',
-        data: { ...user.getPublicProfile(), token: user.generateAuthToken() },
+        data: { ...user.getPublicProfile(), token: tokens.accessToken, ...tokens },
       });
     } catch (error) {
       console.error('Login error:', error);
@@ -127,6 +157,162 @@ router.post(
   }
 );
 
+// ---------------- REFRESH TOKENS ----------------
+router.post(
+  '/refresh',
+  [body('refreshToken').isString().notEmpty().withMessage('refreshToken is required')],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const { tokens } = await authSessions.refreshSession(req.body.refreshToken, clientInfo(req));
+      res.json({
+        success: true,
+        message: 'Token refreshed',
+        data: { token: tokens.accessToken, ...tokens },
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Refresh token');
+    }
+  }
+);
+
+// ---------------- LOGOUT (CURRENT SESSION) ----------------
+router.post('/logout', protect, async (req, res) => {
+  try {
+    if (req.authSessionId) {
+      await authSessions.revokeSession(req.user._id, req.authSessionId, 'logout');
+    }
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    sendServiceError(res, error, 'Logout');
+  }
+});
+
+// ---------------- SESSIONS ----------------
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await authSessions.listSessions(req.user._id, req.authSessionId);
+    res.json({ success: true, data: sessions });
+  } catch (error) {
+    sendServiceError(res, error, 'List sessions');
+  }
+});
+
+// Sign out everywhere else (?all=true includes this device)
+router.delete(
+  '/sessions',
+  protect,
+  [query('all').optional().isBoolean().toBoolean()],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const revoked = await authSessions.revokeAllSessions(req.user._id, {
+        exceptSessionId: req.query.all ? undefined : req.authSessionId,
+      });
+      res.json({ success: true, message: `${revoked} session(s) revoked`, data: { revoked } });
+    } catch (error) {
+      sendServiceError(res, error, 'Revoke sessions');
+    }
+  }
+);
+
+router.delete(
+  '/sessions/:id',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid session id')],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const result = await authSessions.revokeSession(req.user._id, req.params.id);
+      if (!result) return res.status(404).json({ success: false, message: 'Session not found' });
+      res.json({ success: true, message: 'Session revoked', data: result });
+    } catch (error) {
+      sendServiceError(res, error, 'Revoke session');
+    }
+  }
+);
+
+// ---------------- EMAIL VERIFICATION ----------------
+// Send (or resend) the verification link to the signed-in user
+router.post('/verify-email/request', protect, async (req, res) => {
+  try {
+    const result = await accountTokens.requestEmailVerification(req.user._id, { ip: req.ip });
+    if (!result) return res.status(404).json({ success: false, message: 'User not found' });
+    if (result.alreadyVerified) {
+      return res.json({ success: true, message: 'Email is already verified', data: result });
+    }
+    if (!result.sent) {
+      return res
+        .status(429)
+        .json({ success: false, message: 'A verification email was sent recently, please check your inbox' });
+    }
+    res.json({ success: true, message: 'Verification email sent', data: result });
+  } catch (error) {
+    sendServiceError(res, error, 'Request verification');
+  }
+});
+
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty().withMessage('token is required')],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const user = await accountTokens.verifyEmail(req.body.token);
+      res.json({ success: true, message: 'Email verified', data: user.getPublicProfile() });
+    } catch (error) {
+      sendServiceError(res, error, 'Verify email');
+    }
+  }
+);
+
+// ---------------- PASSWORD RESET ----------------
+// Same response whether or not the email is registered
+router.post(
+  '/forgot-password',
+  [body('email').isEmail().withMessage('Please enter a valid email').normalizeEmail()],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      // Failures (e.g. mail delivery) only happen for registered addresses, so
+      // they are logged and answered with the same ack as everything else
+      try {
+        await accountTokens.requestPasswordReset(req.body.email, { ip: req.ip });
+      } catch (error) {
+        console.error('Forgot password error:', error);
+      }
+      res.json({ success: true, message: 'If that email is registered, a reset link is on its way' });
+    } catch (error) {
+      sendServiceError(res, error, 'Forgot password');
+    }
+  }
+);
+
+router.post(
+  '/reset-password',
+  [
+    body('token').isString().notEmpty().withMessage('token is required'),
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('New password must be at least 6 characters long'),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      await accountTokens.resetPassword(req.body.token, req.body.newPassword);
+      res.json({ success: true, message: 'Password has been reset, please sign in again' });
+    } catch (error) {
+      sendServiceError(res, error, 'Reset password');
+    }
+  }
+);
+
 // ---------------- GET CURRENT USER ----------------
 router.get('/me', protect, async (req, res) => {
   try {
@@ -213,7 +399,15 @@ router.put(
       user.password = newPassword;
       await user.save();
 
-      res.json({ success: true, message: 'Password updated successfully' });
+      // Every device is signed out; this one continues on a fresh session
+      await authSessions.invalidateAllTokens(user._id, 'password_changed');
+      const tokens = await authSessions.createSession(user, clientInfo(req));
+
+      res.json({
+        success: true,
+        message: 'Password updated successfully',
+        data: { token: tokens.accessToken, ...tokens },
+      });
     } catch (error) {
       console.error('Change password error:', error);
       res.status(500).json({ success: false, message: 'Server error' });
@@ -227,6 +421,15 @@ module.exports = router;
 APIs touched here:
 - POST /api/auth/register
 - POST /api/auth/login
+- POST /api/auth/refresh
+- POST /api/auth/logout
+- GET  /api/auth/sessions
+- DELETE /api/auth/sessions (?all=true)
+- DELETE /api/auth/sessions/:id
+- POST /api/auth/verify-email/request
+- POST /api/auth/verify-email
+- POST /api/auth/forgot-password
+- POST /api/auth/reset-password
 - GET  /api/auth/me
 - PUT  /api/auth/profile
 - PUT  /api/auth/password
@@ -234,5 +437,7 @@ APIs touched here:
 MongoDB integration:
 - Uses User model (unique email constraint, password hashing via pre-save).
 - Duplicate email is handled (E11000) with a clean 400 response on register.
-- JWT token creation via user.generateAuthToken() (requires JWT_SECRET in .env).
+- Short-lived access tokens via user.generateAuthToken(sessionId) (requires JWT_SECRET in .env).
+- Rotating refresh tokens per device session (AuthSession); a password change signs out every device.
+- Email verification and password reset use single-use hashed AccountToken links sent via mailService.
 */
@@ -1,12 +1,29 @@
 // backend/routes/booking/bookingRoutes.js
 const express = require('express');
-const { protect } = require('../../middleware/auth');
+const { protect, admin } = require('../../middleware/auth');
 const bookingController = require('../../controllers/booking/bookingController');
 
 const router = express.Router();
 
 // GET /api/journey/bookings/mine
-// Returns the authenticated user's bookings (current + history)
+// Returns the authenticated user's bookings across hotels, transport, restaurants,
+// activities and experiences (current + history); filter with ?kind=&status=
 router.get('/mine', protect, bookingController.myBookings);
 
+// GET /api/journey/bookings/:id
+// Booking detail with lifecycle history (owner only)
+router.get('/:id', protect, bookingController.getBooking);
+
+// GET /api/journey/bookings/:id/refund-preview
+// Refund the cancellation policy allows right now (owner only)
+router.get('/:id/refund-preview', protect, bookingController.refundPreview);
+
+// POST /api/journey/bookings/:id/cancel
+// Cancel a held, pending or confirmed booking and refund per policy (owner only)
+router.post('/:id/cancel', protect, bookingController.cancelBooking);
+
+// PATCH /api/journey/bookings/:id/status
+// Admin lifecycle moves (completed, refunded, ...); invalid transitions return 409
+router.patch('/:id/status', protect, admin, bookingController.updateStatus);
+
 module.exports = router;
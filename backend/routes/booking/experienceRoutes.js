@@ -1,6 +1,6 @@
 // backend/routes/booking/experienceRoutes.js
 const express = require('express');
-const { optionalAuth } = require('../../middleware/auth');
+const { optionalAuth, protect } = require('../../middleware/auth');
 const experienceController = require('../../controllers/booking/experienceController');
 
 const router = express.Router();
@@ -9,4 +9,10 @@ const router = express.Router();
 // Public listing used by the Journey tab to show available experiences. [1][2]
 router.get('/', optionalAuth, experienceController.list);
 
+// GET /api/journey/experiences/bookings/:bookingId/refund-preview
+// POST /api/journey/experiences/bookings/:bookingId/cancel
+// Refund preview and cancellation for the user's experience booking
+router.get('/bookings/:bookingId/refund-preview', protect, experienceController.refundPreview);
+router.post('/bookings/:bookingId/cancel', protect, experienceController.cancelBooking);
+
 module.exports = router;
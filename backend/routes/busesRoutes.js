@@ -3,8 +3,8 @@
 const express = require('express');
 const router = express.Router();
 
-// Auth middleware (adjust path if different)
-const { requireAuth } = require('../middlewares/auth');
+// Auth middleware
+const { requireAuth, optionalAuth, requireVerified } = require('../middleware/auth');
 
 // Controller (ensure controllers/busesController.js implements these handlers)
 const busesController = require('../controllers/busesController');
@@ -15,7 +15,7 @@ router.post('/search', busesController.searchBuses);
 
 // Autocomplete suggestions
 // GET /api/v1/buses/suggest
-router.get('/suggest', busesController.suggestBuses);
+router.get('/suggest', busesController.suggest);
 
 // Operators overview (cached list, counts, fare ranges)
 // GET /api/v1/buses/operators
@@ -30,20 +30,24 @@ router.get('/trending', busesController.getTrending);
 router.get('/geojson', busesController.getBusesGeoJSON);
 
 // Live bus status by trip id (position/ETA)
-// GET /api/v1/buses/live/:id
+// GET /api/v1/buses/live/:id?date=YYYY-MM-DD
 router.get('/live/:id', busesController.getLiveStatus);
 
 // Seat map and availability for a leg/date/class
 // GET /api/v1/buses/:id/seatmap
 router.get('/:id/seatmap', busesController.getSeatMap);
 
-// Fare quote (pricing, currency, hold expiry)
+// Fare quote (pricing, currency); holding seats needs a signed-in user
 // POST /api/v1/buses/quote
-router.post('/quote', busesController.getFareQuote);
+router.post('/quote', optionalAuth, busesController.getFareQuote);
 
-// Create a booking (auth required)
+// Release a quote's seat hold early (auth required)
+// DELETE /api/v1/buses/holds/:holdId
+router.delete('/holds/:holdId', requireAuth, busesController.releaseSeatHold);
+
+// Create a booking (auth + verified email required)
 // POST /api/v1/buses/:id/book
-router.post('/:id/book', requireAuth, busesController.bookSeat);
+router.post('/:id/book', requireAuth, requireVerified, busesController.bookSeat);
 
 // Bus details by id with ordered stops
 // GET /api/v1/buses/:id
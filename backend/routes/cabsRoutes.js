@@ -4,7 +4,7 @@ const express = require('express');
 const router = express.Router();
 
 // Auth middleware (adjust import path if different)
-const { requireAuth } = require('../middlewares/auth');
+const { requireAuth, requireVerified } = require('../middleware/auth');
 
 // Controller (ensure controllers/cabsController.js implements these handlers)
 const cabsController = require('../controllers/cabsController');
@@ -17,10 +17,10 @@ router.get('/ride-types', cabsController.getRideTypes);
 // POST /api/v1/cabs/estimates
 router.post('/estimates', cabsController.getEstimates);
 
-// Request a ride (creates a booking in 'created' or 'pending_payment' state)
-// Body: { provider, classCode, pickup:{address,location,whenISO?}, drop:{address,location}, waypoints?, payment? }
+// Request a ride (creates a booking in 'created' or 'pending_payment' state; verified email required)
+// Body: { provider?, classCode, pickup:{address,location,whenISO?}, drop:{address,location}, waypoints? }
 // POST /api/v1/cabs/requests
-router.post('/requests', requireAuth, cabsController.createRide);
+router.post('/requests', requireAuth, requireVerified, cabsController.createRide);
 
 // Get ride details by id (includes driver/vehicle/payment state if available)
 // GET /api/v1/cabs/requests/:id
@@ -0,0 +1,27 @@
+// backend/routes/disruptionsRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const { protect, admin } = require('../middleware/auth');
+
+const disruptionsController = require('../controllers/disruptionsController'); // train/bus service notices
+
+// Public: current and past notices
+// GET /api/transport/disruptions?mode=&effect=&tripId=&stationId=&date=&status=&page=&limit=
+router.get('/', disruptionsController.list);
+
+// GET /api/transport/disruptions/:id
+router.get('/:id', disruptionsController.getOne);
+
+// Admin: publish a cancellation, re-timing, special run or advisory
+// (writes calendar exceptions onto the listed trips)
+// POST /api/transport/disruptions
+router.post('/', protect, admin, disruptionsController.publish);
+
+// Admin: withdraw a notice and remove its calendar exceptions
+// POST /api/transport/disruptions/:id/withdraw
+// Body: { reason? }
+router.post('/:id/withdraw', protect, admin, disruptionsController.withdraw);
+
+module.exports = router;
@@ -4,7 +4,7 @@ const express = require('express');
 const router = express.Router();
 
 // Auth middleware (adjust path if different)
-const { requireAuth } = require('../middlewares/auth');
+const { requireAuth, requireVerified } = require('../middleware/auth');
 
 // Controller (ensure controllers/flightsController.js implements these handlers)
 const flightsController = require('../controllers/flightsController');
@@ -31,10 +31,10 @@ router.get('/airlines', flightsController.getAirlines);
 // Body: { offerId | segments[], travelers[], ancillaries? }
 router.post('/quote', flightsController.getQuote);
 
-// Create a booking from a quoted offer (auth required)
+// Create a booking from a quoted offer (auth + verified email required)
 // POST /api/v1/flights/book
 // Body: { offerId | pricedOffer, contact, travelers, payment }
-router.post('/book', requireAuth, flightsController.bookFlight);
+router.post('/book', requireAuth, requireVerified, flightsController.bookFlight);
 
 // Flight offer/itinerary details by id (cached result)
 // GET /api/v1/flights/:id
@@ -4,7 +4,7 @@ const express = require('express');
 const router = express.Router();
 
 // Auth middleware (adjust import path if different)
-const { requireAuth } = require('../middlewares/auth');
+const { requireAuth, requireVerified } = require('../middleware/auth');
 
 // Controller (ensure controllers/hotelsController.js implements these handlers)
 const hotelsController = require('../controllers/hotelsController');
@@ -41,35 +41,41 @@ router.get('/geojson', hotelsController.getHotelsGeoJSON);
 // GET /api/v1/hotels/bbox?minLng=&minLat=&maxLng=&maxLat=&limit=
 router.get('/bbox', hotelsController.getByBBox);
 
-// Hotel details by id or slug
-// GET /api/v1/hotels/:idOrSlug
-router.get('/:idOrSlug', hotelsController.getHotelByIdOrSlug);
+// Hotel details by id
+// GET /api/v1/hotels/:id
+router.get('/:id', hotelsController.getHotelById);
 
 // Availability for dates/guests/rooms (ISO 8601 dates)
-// GET /api/v1/hotels/:idOrSlug/availability?checkIn=YYYY-MM-DD&checkOut=YYYY-MM-DD&adults=&children=&rooms=
-router.get('/:idOrSlug/availability', hotelsController.getAvailability);
+// GET /api/v1/hotels/:id/availability?checkIn=YYYY-MM-DD&checkOut=YYYY-MM-DD&adults=&children=&rooms=
+router.get('/:id/availability', hotelsController.getAvailability);
 
 // Room list and rate plans snapshot
-// GET /api/v1/hotels/:idOrSlug/rooms?checkIn=YYYY-MM-DD&checkOut=YYYY-MM-DD&adults=&children=
-router.get('/:idOrSlug/rooms', hotelsController.getRooms);
+// GET /api/v1/hotels/:id/rooms?checkIn=YYYY-MM-DD&checkOut=YYYY-MM-DD&adults=&children=
+router.get('/:id/rooms', hotelsController.getRooms);
 
 // Price/hold quote for selected room(s) with expiry
-// POST /api/v1/hotels/:idOrSlug/quote
+// POST /api/v1/hotels/:id/quote
 // Body: { checkIn, checkOut, guests, rooms: [...], ratePlanId?, currency? }
-router.post('/:idOrSlug/quote', hotelsController.getQuote);
+router.post('/:id/quote', hotelsController.getQuote);
 
-// Create a booking (auth required)
-// POST /api/v1/hotels/:idOrSlug/book
+// Create a booking (auth + verified email required)
+// POST /api/v1/hotels/:id/book
 // Body: { offer|quote, contact, guests, payment }
-router.post('/:idOrSlug/book', requireAuth, hotelsController.bookHotel);
+router.post('/:id/book', requireAuth, requireVerified, hotelsController.bookHotel);
+
+// Refund preview and cancellation for the user's hotel booking (auth required)
+// GET  /api/v1/hotels/bookings/:bookingId/refund-preview
+// POST /api/v1/hotels/bookings/:bookingId/cancel   Body: { reason? }
+router.get('/bookings/:bookingId/refund-preview', requireAuth, hotelsController.getRefundPreview);
+router.post('/bookings/:bookingId/cancel', requireAuth, hotelsController.cancelBooking);
 
 // Add a review (auth required, optionally after completed stay)
-// POST /api/v1/hotels/:idOrSlug/reviews
+// POST /api/v1/hotels/:id/reviews
 // Body: { rating, title?, text?, photos? }
-router.post('/:idOrSlug/reviews', requireAuth, hotelsController.addReview);
+router.post('/:id/reviews', requireAuth, hotelsController.addReview);
 
 // Paginated photos (official + user)
-// GET /api/v1/hotels/:idOrSlug/photos?page=&limit=
-router.get('/:idOrSlug/photos', hotelsController.getPhotos);
+// GET /api/v1/hotels/:id/photos?page=&limit=
+router.get('/:id/photos', hotelsController.getPhotos);
 
 module.exports = router;
@@ -50,6 +50,38 @@ router.post(
   }
 );
 
+/**
+ * POST /api/journeys/plan
+ * Body:
+ *  - origin, destination: { lat, lng } | LocationMaster slug/id (required)
+ *  - departAfter?, departBefore?: ISO 8601 (defaults: now, +24h)
+ *  - modes?: ['train'|'bus'|'flight']; maxTransfers?: 0|1
+ *  - sort?: duration|price|transfers|departure; limit?: 1..50
+ */
+router.post(
+  '/plan',
+  [
+    body('origin').exists().withMessage('origin is required'),
+    body('destination').exists().withMessage('destination is required'),
+    body('departAfter').optional().isISO8601().withMessage('departAfter must be ISO 8601'),
+    body('departBefore').optional().isISO8601().withMessage('departBefore must be ISO 8601'),
+    body('modes').optional().isArray({ min: 1 }),
+    body('modes.*').optional().isIn(['train', 'bus', 'flight']),
+    body('maxTransfers').optional().isInt({ min: 0, max: 1 }).toInt(),
+    body('sort').optional().isIn(['duration', 'price', 'transfers', 'departure']),
+    body('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+      await journeyController.planJourney(req, res);
+    } catch (err) {
+      console.error('Plan route error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 /**
  * GET /api/journeys/history?page=&limit=
  */
@@ -94,6 +126,7 @@ module.exports = router;
 /*
 APIs exposed:
 - POST /api/journeys/suggest   (auth required) — generates suggestions and stores a Journey
+- POST /api/journeys/plan      (public) — door-to-door train/bus/flight itineraries with cab first/last mile
 - GET  /api/journeys/history   (auth required, paginated) — lists user’s journeys
 - GET  /api/journeys/:id       (auth required) — fetches a single journey owned by the user
 
@@ -0,0 +1,45 @@
+// backend/routes/liveRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const { protect, admin } = require('../middleware/auth');
+
+const liveController = require('../controllers/liveController'); // real-time vehicle status and boards
+
+// Public: live status of one train or bus run (stops with expected times, position)
+// GET /api/transport/live/trips/:mode/:id?date=YYYY-MM-DD&at=
+router.get('/trips/:mode/:id', liveController.tripStatus);
+
+// GET /api/transport/live/flights/:carrier/:number?date=YYYY-MM-DD&at=
+router.get('/flights/:carrier/:number', liveController.flightStatus);
+
+// Station/stop boards: calls merged across trips with calendar and live delays,
+// paged forward in time (?at=&windowMin=&limit=&cursor=&platform=&operator=)
+// GET /api/transport/live/stations/:mode/:stationId
+// GET /api/transport/live/stations/:mode/:stationId/departures
+// GET /api/transport/live/stations/:mode/:stationId/arrivals
+router.get('/stations/:mode/:stationId', liveController.stationBoard);
+router.get('/stations/:mode/:stationId/departures', liveController.departures);
+router.get('/stations/:mode/:stationId/arrivals', liveController.arrivals);
+
+// Map pins (RFC 7946): the station plus upcoming services where they are now
+// GET /api/transport/live/stations/:mode/:stationId/departures/geojson
+// GET /api/transport/live/stations/:mode/:stationId/arrivals/geojson
+router.get('/stations/:mode/:stationId/departures/geojson', liveController.departuresGeoJSON);
+router.get('/stations/:mode/:stationId/arrivals/geojson', liveController.arrivalsGeoJSON);
+
+// Real-time feeds (no auth; signature verified in the service)
+// POST /api/transport/live/webhooks/:feed
+router.post('/webhooks/:feed', liveController.feedWebhook);
+
+// Admin: manual reports (delays, cancellations, positions)
+// POST /api/transport/live/reports
+router.post('/reports', protect, admin, liveController.createReports);
+
+// Admin: run the schedule simulator once (LIVE_SIMULATOR=true runs it on a timer)
+// POST /api/transport/live/simulate
+// Body: { at? }
+router.post('/simulate', protect, admin, liveController.simulate);
+
+module.exports = router;
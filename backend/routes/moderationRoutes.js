@@ -0,0 +1,31 @@
+// backend/routes/moderationRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Moderators are admins
+const { protect, admin } = require('../middleware/auth');
+
+const moderationController = require('../controllers/moderationController'); // places, posts, comments, reviews
+
+router.use(protect, admin);
+
+// Review queue (most flags first, then oldest)
+// GET /api/moderation/queue?type=&status=&flag=&authorId=&page=&limit=
+router.get('/queue', moderationController.listQueue);
+
+// Same decision for many items
+// POST /api/moderation/bulk
+// Body: { items: [{ contentType, contentId }], decision, reason? }
+router.post('/bulk', moderationController.bulkDecide);
+
+// One item: case, flags and decision history
+// GET /api/moderation/:type/:id   (type: place | post | comment | review)
+router.get('/:type/:id', moderationController.getCase);
+
+// Approve, reject or request changes
+// POST /api/moderation/:type/:id/decision
+// Body: { decision: 'approve'|'reject'|'request_changes', reason? }
+router.post('/:type/:id/decision', moderationController.decide);
+
+module.exports = router;
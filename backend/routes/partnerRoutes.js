@@ -0,0 +1,195 @@
+// backend/routes/partnerRoutes.js
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { protect, admin, requireVerified } = require('../middleware/auth');
+const partnerApplications = require('../services/partnerApplicationService');
+const { PARTNER } = require('../utils/constants');
+
+const router = express.Router();
+
+// Helper: handle validation errors centrally
+const handleValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
+
+// Service errors carry an HTTP status; anything else is a 500
+const sendServiceError = (res, error, label) => {
+  if (error && error.status && error.status < 500) {
+    return res
+      .status(error.status)
+      .json({ success: false, message: error.message, ...(error.details ? { errors: error.details } : {}) });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message: 'Server error' });
+};
+
+// ---------------- APPLY FOR PARTNER ----------------
+router.post(
+  '/applications',
+  protect,
+  requireVerified,
+  [
+    body('businessName')
+      .trim()
+      .isLength({ min: 2, max: 120 })
+      .withMessage('Business name must be between 2 and 120 characters'),
+    body('businessType')
+      .isIn(PARTNER.BUSINESS_TYPES)
+      .withMessage(`Business type must be one of: ${PARTNER.BUSINESS_TYPES.join(', ')}`),
+    body('registrationNumber').optional().trim().isLength({ max: 60 }),
+    body('taxId').optional().trim().isLength({ max: 60 }),
+    body('website').optional().isURL().withMessage('Website must be a valid URL'),
+    body('description').optional().trim().isLength({ max: 2000 }),
+    body('contact.email').optional().isEmail().withMessage('Contact email is invalid').normalizeEmail(),
+    body('contact.phone')
+      .optional()
+      .matches(/^[0-9]{10}$/)
+      .withMessage('Please enter a valid 10-digit phone number'),
+    body('documents').optional().isArray({ max: PARTNER.MAX_DOCUMENTS }).withMessage('Documents must be an array'),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const application = await partnerApplications.submitApplication(req.user, req.body);
+      res.status(201).json({ success: true, message: 'Partner application submitted', data: application });
+    } catch (error) {
+      sendServiceError(res, error, 'Submit partner application');
+    }
+  }
+);
+
+// ---------------- MY APPLICATIONS ----------------
+router.get('/applications/mine', protect, async (req, res) => {
+  try {
+    const applications = await partnerApplications.listMyApplications(req.user._id);
+    res.json({ success: true, data: applications });
+  } catch (error) {
+    sendServiceError(res, error, 'List my partner applications');
+  }
+});
+
+router.post(
+  '/applications/:id/withdraw',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid application id')],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const application = await partnerApplications.withdrawApplication(req.params.id, req.user._id);
+      if (!application) return res.status(404).json({ success: false, message: 'Application not found' });
+      res.json({ success: true, message: 'Application withdrawn', data: application });
+    } catch (error) {
+      sendServiceError(res, error, 'Withdraw partner application');
+    }
+  }
+);
+
+// ---------------- REVIEW QUEUE (ADMIN) ----------------
+router.get(
+  '/applications',
+  protect,
+  admin,
+  [
+    query('status').optional().isIn(PARTNER.APPLICATION_STATUS),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const { items, total, page, limit } = await partnerApplications.listApplications({
+        status: req.query.status,
+        page: req.query.page,
+        limit: req.query.limit,
+      });
+      res.json({
+        success: true,
+        data: items,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          hasNext: (page - 1) * limit + items.length < total,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'List partner applications');
+    }
+  }
+);
+
+// ---------------- APPLICATION DETAIL (OWNER OR ADMIN) ----------------
+router.get(
+  '/applications/:id',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid application id')],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const application = await partnerApplications.getApplication(req.params.id, req.user);
+      if (!application) return res.status(404).json({ success: false, message: 'Application not found' });
+      res.json({ success: true, data: application });
+    } catch (error) {
+      sendServiceError(res, error, 'Get partner application');
+    }
+  }
+);
+
+// ---------------- APPROVE / REJECT (ADMIN) ----------------
+router.post(
+  '/applications/:id/review',
+  protect,
+  admin,
+  [
+    param('id').isMongoId().withMessage('Invalid application id'),
+    body('decision').isIn(['approve', 'reject']).withMessage("Decision must be 'approve' or 'reject'"),
+    body('note').optional().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const result = await partnerApplications.reviewApplication(req.params.id, {
+        decision: req.body.decision,
+        note: req.body.note,
+        actorId: req.user._id,
+      });
+      if (!result) return res.status(404).json({ success: false, message: 'Application not found' });
+      res.json({
+        success: true,
+        message: req.body.decision === 'approve' ? 'Application approved' : 'Application rejected',
+        data: result,
+      });
+    } catch (error) {
+      sendServiceError(res, error, 'Review partner application');
+    }
+  }
+);
+
+module.exports = router;
+
+/*
+APIs touched here:
+- POST /api/partners/applications                (verified users; one pending at a time)
+- GET  /api/partners/applications/mine
+- POST /api/partners/applications/:id/withdraw
+- GET  /api/partners/applications                (admin; ?status=&page=&limit=)
+- GET  /api/partners/applications/:id            (owner or admin)
+- POST /api/partners/applications/:id/review     (admin; { decision: 'approve'|'reject', note? })
+
+Approval elevates the applicant to partner via roleService, which records the
+change in RoleChange (see GET /api/users/:id/role-history).
+*/
@@ -0,0 +1,26 @@
+// backend/routes/paymentsRoutes.js
+const express = require('express');
+const { protect, admin } = require('../middleware/auth');
+const paymentsController = require('../controllers/paymentsController');
+
+const router = express.Router();
+
+// Provider callbacks (no auth; signature verified in the payment service)
+// POST /api/payments/webhooks/:provider
+router.post('/webhooks/:provider', paymentsController.webhook);
+
+// Pay for a held/pending booking from the ledger
+// POST /api/payments/bookings/:bookingId/pay
+router.post('/bookings/:bookingId/pay', protect, paymentsController.payBooking);
+
+// Payment detail (payer only)
+// GET /api/payments/:id
+router.get('/:id', protect, paymentsController.getPayment);
+
+// Admin operations
+// POST /api/payments/:id/capture
+router.post('/:id/capture', protect, admin, paymentsController.capturePayment);
+// POST /api/payments/:id/refund
+router.post('/:id/refund', protect, admin, paymentsController.refundPayment);
+
+module.exports = router;
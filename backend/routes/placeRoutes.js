@@ -3,6 +3,7 @@ const express = require('express');
 const { body, validationResult, query, param } = require('express-validator');
 const { protect, admin, partnerOrAdmin, optionalAuth } = require('../middleware/auth');
 const placeController = require('../controllers/placeController');
+const placeDuplicates = require('../controllers/placeDuplicatesController');
 
 const router = express.Router();
 
@@ -46,6 +47,79 @@ router.get(
   }
 );
 
+// ---------------- SUSPECTED DUPLICATES (admin) ----------------
+// Registered before /:id so "duplicates" is not taken for a place id
+router.get(
+  '/duplicates',
+  protect,
+  admin,
+  [
+    query('status').optional().isIn(['open', 'dismissed', 'merged', 'all']),
+    query('placeId').optional().isMongoId().withMessage('Invalid place id'),
+    query('minScore').optional().isFloat({ min: 0, max: 1 }),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+      await placeDuplicates.listDuplicates(req, res);
+    } catch (error) {
+      console.error('List duplicates route error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+router.post('/duplicates/scan', protect, admin, async (req, res) => {
+  try {
+    await placeDuplicates.scanDuplicates(req, res);
+  } catch (error) {
+    console.error('Scan duplicates route error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.post(
+  '/duplicates/:pairId/dismiss',
+  protect,
+  admin,
+  [
+    param('pairId').isMongoId().withMessage('Invalid pair id'),
+    body('note').optional().isString().isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+      await placeDuplicates.dismissDuplicate(req, res);
+    } catch (error) {
+      console.error('Dismiss duplicate route error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ---------------- MERGE PLACES (admin) ----------------
+router.post(
+  '/merge',
+  protect,
+  admin,
+  [
+    body('survivorId').isMongoId().withMessage('Invalid survivor place id'),
+    body('duplicateId').isMongoId().withMessage('Invalid duplicate place id'),
+    body('pairId').optional().isMongoId().withMessage('Invalid pair id')
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+      await placeDuplicates.mergePlaces(req, res);
+    } catch (error) {
+      console.error('Merge places route error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 // ---------------- GET PLACE BY ID ----------------
 router.get(
   '/:id',
@@ -72,6 +146,7 @@ router.post(
     body('emotion').isIn(['Spiritual', 'Peaceful', 'Adventure', 'Nature', 'Heritage']),
     body('description').trim().isLength({ min: 10, max: 2000 }),
     body('history').optional().trim().isLength({ max: 2000 }),
+    body('translations').optional().isObject().withMessage('Translations must be an object keyed by language code'),
     body('coverImage').notEmpty(),
     body('gallery').optional().isArray(),
     body('phone').optional().isString(),
@@ -140,6 +215,23 @@ router.delete(
   }
 );
 
+// ---------------- DUPLICATE CANDIDATES FOR A PLACE (admin) ----------------
+router.get(
+  '/:id/duplicates',
+  protect,
+  admin,
+  [param('id').isMongoId().withMessage('Invalid place id')],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+      await placeDuplicates.getPlaceCandidates(req, res);
+    } catch (error) {
+      console.error('Place duplicates route error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 // ---------------- ADD COMMENT ----------------
 router.post(
   '/:id/comments',
@@ -226,7 +318,7 @@ module.exports = router;
 /*
 APIs touched here:
 - GET /api/places [filters: category, emotion, region, regionId (NEW), search, approved, featured, page, limit]
-- GET /api/places/:id
+- GET /api/places/:id (301 to the surviving place when this one was merged)
 - POST /api/places (partner/admin; respects PARTNER_AUTO_APPROVE; supports regionRef structure)
 - PUT /api/places/:id (owner or admin)
 - DELETE /api/places/:id (owner or admin)
@@ -234,7 +326,12 @@ APIs touched here:
 - GET /api/places/category/:category
 - GET /api/places/emotion/:emotion
 - GET /api/places/search?q=...
-- PUT /api/places/:id/approve (admin; sets approvedAt, approvedBy, moderationNotes)
+- PUT /api/places/:id/approve (admin; sets approvedAt, approvedBy, moderationNotes; recorded in /api/moderation history)
+- GET /api/places/duplicates [status, placeId, minScore, page, limit] (admin; suspected duplicate pairs, best score first)
+- POST /api/places/duplicates/scan (admin; score name similarity, distance and shared regionRef for every active place)
+- POST /api/places/duplicates/:pairId/dismiss (admin)
+- GET /api/places/:id/duplicates (admin; candidates for one place)
+- POST /api/places/merge { survivorId, duplicateId, pairId? } (admin; folds comments, reactions, wishlist, favorites, history, posts, itineraries and reviews into the survivor)
 
 NEW Features:
 - regionId query parameter for hierarchical region filtering
@@ -3,14 +3,14 @@
 const express = require('express');
 const router = express.Router();
 
-// Auth middleware (planning is user-scoped)
-const { requireAuth } = require('../middlewares/auth');
+// Auth middleware (planning is user-scoped; template browsing is optional-auth)
+const { requireAuth, requireVerified, optionalAuth, admin } = require('../middleware/auth');
 
-// Controllers (ensure these handlers exist)
-const planningController = require('../controllers/planningController');          // high-level aggregations
+// Controllers
 const tripGroupsController = require('../controllers/tripGroupsController');      // TripGroup CRUD + subresources
 const invitesController = require('../controllers/invitesController');            // Invite flows
 const templatesController = require('../controllers/planningTemplatesController');// Template browse/apply
+const exchangeRatesController = require('../controllers/exchangeRatesController'); // Budget FX table
 
 // Health
 // GET /api/v1/planning/health
@@ -90,10 +90,10 @@ router.get('/groups/:groupId/invites', requireAuth, invitesController.listInvite
 // POST /api/v1/planning/invites/:inviteId/revoke
 router.post('/invites/:inviteId/revoke', requireAuth, invitesController.revokeInvite);
 
-// Accept invite (by token; may be unauthenticated depending on flow)
+// Accept invite (by token; the invitee must be signed in with a verified email)
 // POST /api/v1/planning/invites/accept
 // Body: { token }
-router.post('/invites/accept', invitesController.acceptInvite);
+router.post('/invites/accept', requireAuth, requireVerified, invitesController.acceptInvite);
 
 /**
  * Itinerary Items
@@ -105,7 +105,8 @@ router.get('/groups/:groupId/itinerary', requireAuth, tripGroupsController.listI
 
 // Add a new itinerary item
 // POST /api/v1/planning/groups/:groupId/itinerary
-// Body: { dayOffset, seq?, title, type?, entityType?, entityId?, startISO?, endISO?, durationMin?, location?, address?, notes?, tags?, photos?, meta? }
+// Body: { dayOffset, seq?, title, type?, entityType?, entityId?, startISO?, endISO?, durationMin?, location?, address?, notes?, tags?, photos?, meta?, strict? }
+// Responds with conflicts in meta; strict=true rejects conflicting items with 409
 router.post('/groups/:groupId/itinerary', requireAuth, tripGroupsController.addItineraryItem);
 
 // Update an item
@@ -118,9 +119,34 @@ router.delete('/groups/:groupId/itinerary/:itemId', requireAuth, tripGroupsContr
 
 // Reorder items within a day or move across days
 // POST /api/v1/planning/groups/:groupId/itinerary/reorder
-// Body: { itemId, toDayOffset, toSeq }
+// Body: { itemId, toDayOffset, toSeq, strict? }
 router.post('/groups/:groupId/itinerary/reorder', requireAuth, tripGroupsController.reorderItinerary);
 
+// Overlaps, impossible transfers, out-of-range items and closed places
+// GET /api/v1/planning/groups/:groupId/itinerary/conflicts?dayOffset=
+router.get('/groups/:groupId/itinerary/conflicts', requireAuth, tripGroupsController.getItineraryConflicts);
+
+// Fit a day's untimed items into feasible slots
+// POST /api/v1/planning/groups/:groupId/itinerary/auto-schedule
+// Body: { dayOffset, dayStart?: 'HH:MM', dayEnd?: 'HH:MM', mode? }
+router.post('/groups/:groupId/itinerary/auto-schedule', requireAuth, tripGroupsController.autoScheduleDay);
+
+// Drafts from an assistant trip idea / day plan or a saved journey: preview, commit, undo
+// POST /api/v1/planning/groups/:groupId/itinerary/drafts
+// Body: { source: 'trip_idea'|'day_plan'|'journey', idea? | plan? | journeyId?, stopsPerDay?, startDate?, mergeStrategy?, dayStart?, dayEnd? }
+router.post('/groups/:groupId/itinerary/drafts', requireAuth, tripGroupsController.createItineraryDraft);
+// GET /api/v1/planning/groups/:groupId/itinerary/drafts?status=
+router.get('/groups/:groupId/itinerary/drafts', requireAuth, tripGroupsController.listItineraryDrafts);
+// GET /api/v1/planning/groups/:groupId/itinerary/drafts/:draftId
+router.get('/groups/:groupId/itinerary/drafts/:draftId', requireAuth, tripGroupsController.getItineraryDraft);
+// POST /api/v1/planning/groups/:groupId/itinerary/drafts/:draftId/commit
+// Body: { strict? } — strict=true rejects a commit with conflicts (409)
+router.post('/groups/:groupId/itinerary/drafts/:draftId/commit', requireAuth, tripGroupsController.commitItineraryDraft);
+// POST /api/v1/planning/groups/:groupId/itinerary/drafts/:draftId/undo
+router.post('/groups/:groupId/itinerary/drafts/:draftId/undo', requireAuth, tripGroupsController.undoItineraryDraft);
+// DELETE /api/v1/planning/groups/:groupId/itinerary/drafts/:draftId
+router.delete('/groups/:groupId/itinerary/drafts/:draftId', requireAuth, tripGroupsController.discardItineraryDraft);
+
 /**
  * Budget & Expenses
  */
@@ -144,7 +170,41 @@ router.delete('/groups/:groupId/expenses/:expenseId', requireAuth, tripGroupsCon
 
 // Expense summary
 // GET /api/v1/planning/groups/:groupId/expenses/summary
-router.get('/groups/:groupId/expenses/summary', requireAuth, planningController.getExpenseSummary);
+router.get('/groups/:groupId/expenses/summary', requireAuth, tripGroupsController.getExpenseSummary);
+
+// Balances and who-owes-whom plan (base currency)
+// GET /api/v1/planning/groups/:groupId/settle-up
+router.get('/groups/:groupId/settle-up', requireAuth, tripGroupsController.getSettleUp);
+
+// List recorded settle-up payments
+// GET /api/v1/planning/groups/:groupId/settlements
+router.get('/groups/:groupId/settlements', requireAuth, tripGroupsController.listSettlements);
+
+// Record a payment between members
+// POST /api/v1/planning/groups/:groupId/settlements
+// Body: { to, amount, currency?, from?, note?, settledAtISO? }
+router.post('/groups/:groupId/settlements', requireAuth, tripGroupsController.addSettlement);
+
+// Remove a recorded payment
+// DELETE /api/v1/planning/groups/:groupId/settlements/:settlementId
+router.delete('/groups/:groupId/settlements/:settlementId', requireAuth, tripGroupsController.removeSettlement);
+
+/**
+ * Exchange rates (budget conversion)
+ */
+
+// Effective rate table (defaults overlaid with admin rows)
+// GET /api/v1/planning/fx-rates
+router.get('/fx-rates', requireAuth, exchangeRatesController.listRates);
+
+// Set a rate
+// PUT /api/v1/planning/fx-rates/:code
+// Body: { rateToPivot, source? }
+router.put('/fx-rates/:code', requireAuth, admin, exchangeRatesController.upsertRate);
+
+// Drop an override (falls back to the default rate, if any)
+// DELETE /api/v1/planning/fx-rates/:code
+router.delete('/fx-rates/:code', requireAuth, admin, exchangeRatesController.removeRate);
 
 /**
  * Checklist
@@ -189,8 +249,8 @@ router.delete('/groups/:groupId/documents/:docId', requireAuth, tripGroupsContro
  */
 
 // Browse templates with search/facets
-// GET /api/v1/planning/templates?destination=&tags=&themes=&cursor=&limit=
-router.get('/templates', templatesController.listTemplates);
+// GET /api/v1/planning/templates?q=&destination=&tags=&themes=&cursor=&limit=
+router.get('/templates', optionalAuth, templatesController.listTemplates);
 
 // Trending templates
 // GET /api/v1/planning/templates/trending
@@ -198,11 +258,11 @@ router.get('/templates/trending', templatesController.getTrendingTemplates);
 
 // Template details
 // GET /api/v1/planning/templates/:templateId
-router.get('/templates/:templateId', templatesController.getTemplateById);
+router.get('/templates/:templateId', optionalAuth, templatesController.getTemplateById);
 
 // Template GeoJSON (items as RFC 7946 points)
 // GET /api/v1/planning/templates/:templateId/geojson
-router.get('/templates/:templateId/geojson', templatesController.getTemplateGeoJSON);
+router.get('/templates/:templateId/geojson', optionalAuth, templatesController.getTemplateGeoJSON);
 
 // Create template (auth required)
 // POST /api/v1/planning/templates
@@ -234,6 +234,7 @@ router.post(
     body('parentId').optional().isMongoId().withMessage('Invalid parent ID'),
     body('code').optional().trim().isLength({ min: 1, max: 20 }).withMessage('Code must be 1-20 characters'),
     body('description').optional().trim().isLength({ max: 500 }).withMessage('Description max 500 characters'),
+    body('translations').optional().isObject().withMessage('Translations must be an object keyed by language code'),
     body('geometry.type').optional().isIn(['Polygon', 'MultiPolygon']).withMessage('Invalid geometry type'),
     body('geometry.coordinates').optional().isArray().withMessage('Coordinates must be an array'),
     body('bbox').optional().isArray({ min: 4, max: 4 }).withMessage('Bounding box must be [minLng, minLat, maxLng, maxLat]'),
@@ -268,6 +269,7 @@ router.put(
     body('parentId').optional().isMongoId().withMessage('Invalid parent ID'),
     body('code').optional().trim().isLength({ min: 1, max: 20 }).withMessage('Code must be 1-20 characters'),
     body('description').optional().trim().isLength({ max: 500 }).withMessage('Description max 500 characters'),
+    body('translations').optional().isObject().withMessage('Translations must be an object keyed by language code'),
     body('geometry.type').optional().isIn(['Polygon', 'MultiPolygon']).withMessage('Invalid geometry type'),
     body('geometry.coordinates').optional().isArray().withMessage('Coordinates must be an array'),
     body('bbox').optional().isArray({ min: 4, max: 4 }).withMessage('Bounding box must be [minLng, minLat, maxLng, maxLat]'),
@@ -4,7 +4,7 @@ const express = require('express');
 const router = express.Router();
 
 // Auth middleware (adjust path if different)
-const { requireAuth } = require('../middlewares/auth');
+const { requireAuth, requireVerified } = require('../middleware/auth');
 
 // Controller (ensure controllers/restaurantsController.js implements these handlers)
 const restaurantsController = require('../controllers/restaurantsController');
@@ -41,30 +41,30 @@ router.get('/geojson', restaurantsController.getRestaurantsGeoJSON);
 // GET /api/v1/restaurants/bbox?minLng=&minLat=&maxLng=&maxLat=&limit=
 router.get('/bbox', restaurantsController.getByBBox);
 
-// Restaurant details by id or slug
-// GET /api/v1/restaurants/:idOrSlug
-router.get('/:idOrSlug', restaurantsController.getRestaurantByIdOrSlug);
+// Restaurant details by id
+// GET /api/v1/restaurants/:id
+router.get('/:id', restaurantsController.getRestaurantById);
 
 // Menus snapshot (sections/items/prices)
-// GET /api/v1/restaurants/:idOrSlug/menus
-router.get('/:idOrSlug/menus', restaurantsController.getMenus);
+// GET /api/v1/restaurants/:id/menus
+router.get('/:id/menus', restaurantsController.getMenu);
 
 // Availability and reservation slots (ISO 8601 date/time)
-// GET /api/v1/restaurants/:idOrSlug/availability?date=YYYY-MM-DD&partySize=&time=HH:mm
-router.get('/:idOrSlug/availability', restaurantsController.getAvailability);
+// GET /api/v1/restaurants/:id/availability?date=YYYY-MM-DD&partySize=&time=HH:mm
+router.get('/:id/availability', restaurantsController.getAvailability);
 
-// Create a reservation/booking (auth required)
-// POST /api/v1/restaurants/:idOrSlug/book
+// Create a reservation/booking (auth + verified email required)
+// POST /api/v1/restaurants/:id/book
 // Body: { date, time, partySize, contact, notes?, payment? }
-router.post('/:idOrSlug/book', requireAuth, restaurantsController.bookTable);
+router.post('/:id/book', requireAuth, requireVerified, restaurantsController.bookTable);
 
 // Add a review (auth required)
-// POST /api/v1/restaurants/:idOrSlug/reviews
+// POST /api/v1/restaurants/:id/reviews
 // Body: { rating, title?, text?, photos? }
-router.post('/:idOrSlug/reviews', requireAuth, restaurantsController.addReview);
+router.post('/:id/reviews', requireAuth, restaurantsController.addReview);
 
 // Paginated photos (official + user)
-// GET /api/v1/restaurants/:idOrSlug/photos?page=&limit=
-router.get('/:idOrSlug/photos', restaurantsController.getPhotos);
+// GET /api/v1/restaurants/:id/photos?page=&limit=
+router.get('/:id/photos', restaurantsController.getPhotos);
 
 module.exports = router;
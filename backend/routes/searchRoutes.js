@@ -1,7 +1,7 @@
 // backend/routes/searchRoutes.js
 const express = require('express');
 const { query, validationResult } = require('express-validator');
-const { optionalAuth } = require('../middleware/auth');
+const { optionalAuth, protect, admin } = require('../middleware/auth');
 const searchController = require('../controllers/searchController');
 
 const router = express.Router();
@@ -23,9 +23,10 @@ const handleValidationErrors = (req, res) => {
 /**
  * GET /api/search
  * q: required, 2-80
- * limit: 1-25
- * types: comma list (places,regions)
+ * limit: 1-25, page: 1+
+ * types: comma list (places,regions,hotels,restaurants,activities,trails,airports,stations)
  * category, emotion, regionId optional
+ * lat/lng optional (geo-biased ranking)
  */
 router.get(
   '/',
@@ -36,7 +37,10 @@ router.get(
     query('types').optional().isString(),
     query('category').optional().isString(),
     query('emotion').optional().isString(),
-    query('regionId').optional().isMongoId()
+    query('regionId').optional().isMongoId(),
+    query('lat').optional().isFloat({ min: -90, max: 90 }),
+    query('lng').optional().isFloat({ min: -180, max: 180 }),
+    query('page').optional().isInt({ min: 1 }).toInt()
   ],
   async (req, res) => {
     if (handleValidationErrors(req, res)) return;
@@ -44,4 +48,30 @@ router.get(
   }
 );
 
+/**
+ * GET /api/search/suggest
+ * q: required, 1-80 (prefix of what the user is typing)
+ * limit: 1-25, default 8
+ */
+router.get(
+  '/suggest',
+  optionalAuth,
+  [
+    query('q').notEmpty().isLength({ min: 1, max: 80 }),
+    query('limit').optional().isInt({ min: 1, max: 25 }).toInt(),
+    query('types').optional().isString(),
+    query('lat').optional().isFloat({ min: -90, max: 90 }),
+    query('lng').optional().isFloat({ min: -180, max: 180 })
+  ],
+  async (req, res) => {
+    if (handleValidationErrors(req, res)) return;
+    await searchController.suggest(req, res);
+  }
+);
+
+/**
+ * POST /api/search/reindex (admin)
+ */
+router.post('/reindex', protect, admin, searchController.reindex);
+
 module.exports = router;
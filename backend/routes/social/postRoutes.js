@@ -1,6 +1,6 @@
 // backend/routes/social/postRoutes.js
 const express = require('express');
-const { protect, optionalAuth } = require('../../middleware/auth');
+const { protect, optionalAuth, requireVerified } = require('../../middleware/auth');
 const postController = require('../../controllers/social/postController');
 
 const router = express.Router();
@@ -8,8 +8,8 @@ const router = express.Router();
 // Public list of posts with simple filters (?authorId=&kind=&limit=)
 router.get('/', optionalAuth, postController.list);
 
-// Create a new post (photo/video/reel/longform)
-router.post('/', protect, postController.create);
+// Create a new post (photo/video/reel/longform); verified accounts only
+router.post('/', protect, requireVerified, postController.create);
 
 // Like/unlike a post
 router.post('/:id/like', protect, postController.like);
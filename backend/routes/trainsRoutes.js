@@ -3,8 +3,8 @@
 const express = require('express');
 const router = express.Router();
 
-// Auth middleware (adjust path if different)
-const { requireAuth } = require('../middlewares/auth');
+// Auth middleware
+const { requireAuth, optionalAuth, requireVerified } = require('../middleware/auth');
 
 // Controller (ensure controllers/trainsController.js implements these handlers)
 const trainsController = require('../controllers/trainsController');
@@ -70,15 +70,25 @@ router.get('/:id/seatmap', trainsController.getSeatMap);
 // GET /api/v1/trains/:id/availability?date=YYYY-MM-DD&classCode=&quota=
 router.get('/:id/availability', trainsController.getAvailability);
 
-// Fare quote (pricing, currency, hold expiry)
+// Fare quote (pricing, currency); holding seats needs a signed-in user
 // POST /api/v1/trains/quote
-// Body: { trainId, date, classCode, originStopSeq|stationId, destinationStopSeq|stationId, passengers, preferences? }
-router.post('/quote', trainsController.getQuote);
+// Body: { trainId, date, class, fromStationId, toStationId, passengers, quota?, currency?, seats? }
+router.post('/quote', optionalAuth, trainsController.getFareQuote);
 
-// Create a booking (auth required)
+// Release a quote's seat hold early (auth required)
+// DELETE /api/v1/trains/holds/:holdId
+router.delete('/holds/:holdId', requireAuth, trainsController.releaseSeatHold);
+
+// Refund preview and cancellation for the user's train booking (auth required)
+// GET  /api/v1/trains/bookings/:bookingId/refund-preview
+// POST /api/v1/trains/bookings/:bookingId/cancel   Body: { reason? }
+router.get('/bookings/:bookingId/refund-preview', requireAuth, trainsController.getRefundPreview);
+router.post('/bookings/:bookingId/cancel', requireAuth, trainsController.cancelBooking);
+
+// Create a booking (auth + verified email required)
 // POST /api/v1/trains/:id/book
 // Body: { quote|pricedOffer, contact, passengers, payment }
-router.post('/:id/book', requireAuth, trainsController.bookTrain);
+router.post('/:id/book', requireAuth, requireVerified, trainsController.bookTrain);
 
 // Convenience: trains serving a station (delegates to stops index)
 // GET /api/v1/trains/serving-station/:stationId?date=YYYY-MM-DD
@@ -5,6 +5,8 @@ const User = require('../models/user');
 const Place = require('../models/place');
 const Wishlist = require('../models/wishlist');
 const { protect, admin } = require('../middleware/auth');
+const authSessions = require('../services/authSessionService');
+const roleService = require('../services/roleService');
 
 const router = express.Router();
 
@@ -103,7 +105,10 @@ router.put(
     body('name').optional().trim().isLength({ min: 2, max: 50 }),
     body('email').optional().isEmail().normalizeEmail(),
     body('phone').optional().matches(/^[0-9]{10}$/),
-    body('role').optional().isIn(['user', 'partner', 'admin']),
+    body('role')
+      .not()
+      .exists()
+      .withMessage('Use PUT /api/users/:id/role to change roles'),
     body('isActive').optional().isBoolean().toBoolean(),
     body('isVerified').optional().isBoolean().toBoolean(),
     body('preferences').optional().isArray()
@@ -122,6 +127,11 @@ router.put(
 
       if (!user) return res.status(404).json({ success: false, message: 'User not found' });
 
+      // Deactivation signs the account out everywhere
+      if (req.body.isActive === false) {
+        await authSessions.invalidateAllTokens(user._id, 'account_deactivated');
+      }
+
       res.json({ success: true, message: 'User updated', data: user });
     } catch (error) {
       console.error('Update user error:', error);
@@ -130,6 +140,76 @@ router.put(
   }
 );
 
+// ---------------- CHANGE ROLE (ADMIN) ----------------
+router.put(
+  '/:id/role',
+  protect,
+  admin,
+  [
+    param('id').isMongoId().withMessage('Invalid user id'),
+    body('role').isIn(roleService.ROLE_VALUES).withMessage('Invalid role'),
+    body('reason').optional().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const result = await roleService.changeRole(req.params.id, req.body.role, {
+        actorId: req.user._id,
+        reason: req.body.reason,
+      });
+      if (!result) return res.status(404).json({ success: false, message: 'User not found' });
+
+      res.json({
+        success: true,
+        message: result.change ? `Role changed to ${req.body.role}` : `User already has the ${req.body.role} role`,
+        data: { user: result.user, change: result.change },
+      });
+    } catch (error) {
+      if (error && error.status && error.status < 500) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error('Change role error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// ---------------- ROLE HISTORY (ADMIN) ----------------
+router.get(
+  '/:id/role-history',
+  protect,
+  admin,
+  [
+    param('id').isMongoId().withMessage('Invalid user id'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidationErrors(req, res)) return;
+
+      const { items, total, page, limit } = await roleService.listRoleHistory(req.params.id, {
+        page: req.query.page,
+        limit: req.query.limit,
+      });
+      res.json({
+        success: true,
+        data: items,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          hasNext: (page - 1) * limit + items.length < total,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error('Role history error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 // ---------------- DELETE USER (ADMIN) ----------------
 router.delete(
   '/:id',
@@ -147,6 +227,7 @@ router.delete(
       }
 
       await User.findByIdAndDelete(req.params.id);
+      await authSessions.revokeAllSessions(user._id, { reason: 'account_deactivated' });
       res.json({ success: true, message: 'User deleted' });
     } catch (error) {
       console.error('Delete user error:', error);
@@ -344,7 +425,9 @@ module.exports = router;
 APIs touched here:
 - GET /api/users (admin; filters: role, isActive, page, limit)
 - GET /api/users/:id (self or admin)
-- PUT /api/users/:id (admin)
+- PUT /api/users/:id (admin; role changes go through /role)
+- PUT /api/users/:id/role (admin; audited in RoleChange, no self-change, keeps at least one admin)
+- GET /api/users/:id/role-history (admin)
 - DELETE /api/users/:id (admin; prevents self-deletion)
 - GET /api/users/:id/stats (self or admin) — fixed comments counting to only this user's comments
 - GET /api/users/:id/places (self or admin; filters: approved, page, limit)
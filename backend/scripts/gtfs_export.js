@@ -0,0 +1,61 @@
+// backend/scripts/gtfs_export.js
+
+'use strict';
+
+/**
+ * Export active buses/trains as a GTFS static feed zip.
+ *
+ * Usage:
+ *   node scripts/gtfs_export.js --out=<feed.zip> [--modes=bus,train] [--feed=<id>] [--operator=<name>] [--timezone=<IANA>]
+ *   --feed      only trips imported from this feed; their original GTFS ids are kept
+ *   --timezone  agency_timezone for the feed (default: most common trip time zone)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const gtfsService = require('../services/gtfsService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/myapp';
+
+function parseArg(key) {
+  const pref = `--${key}=`;
+  const hit = process.argv.find((a) => a.startsWith(pref));
+  return hit ? hit.slice(pref.length) : null;
+}
+
+async function main() {
+  const out = parseArg('out');
+  if (!out) {
+    console.error('Usage: node scripts/gtfs_export.js --out=<feed.zip> [--modes=bus,train] [--feed=<id>] [--operator=<name>] [--timezone=<IANA>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(MONGODB_URI, { family: 4 });
+    console.log('Connected to MongoDB:', mongoose.connection.name);
+
+    const { buffer, report } = await gtfsService.exportFeed({
+      modes: parseArg('modes') || undefined,
+      feed: parseArg('feed') || undefined,
+      operator: parseArg('operator') || undefined,
+      timezone: parseArg('timezone') || undefined
+    });
+    fs.writeFileSync(out, buffer);
+
+    console.log(`Wrote ${out} (${buffer.length} bytes, agency_timezone ${report.timezone})`);
+    console.log('Files:', report.files);
+    for (const w of report.warnings) console.log(`  SKIPPED trip ${w.tripId} [${w.code}] ${w.message}`);
+  } catch (err) {
+    console.error('GTFS export failed:', err.message || err, err.details || '');
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+if (require.main === module) {
+  main();
+}
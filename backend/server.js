@@ -21,6 +21,15 @@ const connectDB = require('./config/database');
 
 // Global error handler
 const errorHandler = require('./middleware/errorHandler');
+const { resolveLocale } = require('./middleware/locale');
+
+// Background jobs
+const seatInventoryService = require('./services/seatInventoryService');
+const bookingLedgerService = require('./services/bookingLedgerService');
+const liveStatusService = require('./services/liveStatusService');
+const paymentService = require('./services/paymentService');
+const mailService = require('./services/mailService');
+const { LIVE_STATUS } = require('./utils/constants');
 
 // Core routes (expected to exist)
 const authRoutes = require('./routes/authRoutes');
@@ -29,6 +38,7 @@ const placeRoutes = require('./routes/placeRoutes');
 const wishlistRoutes = require('./routes/wishlistRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const regionRoutes = require('./routes/regionRoutes');
+const partnerRoutes = require('./routes/partnerRoutes');
 
 // Safe route mounting helper: only mount if the file exists and resolves cleanly
 function mountIfExists(app, urlPath, relModulePath) {
@@ -89,7 +99,13 @@ app.use(compression());
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
 // Body parsing
-app.use(express.json({ limit: '2mb' }));
+app.use(express.json({
+  limit: '2mb',
+  // Keep the exact bytes for webhook signature checks (payments, cab providers)
+  verify: (req, _res, buf) => {
+    if (req.originalUrl.includes('/webhooks/')) req.rawBody = Buffer.from(buf);
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS allowlist
@@ -120,6 +136,9 @@ app.use(
   })
 );
 
+// Response language (req.locale) from ?lang= or Accept-Language
+app.use(resolveLocale);
+
 // ----------------------
 // Routes
 // ----------------------
@@ -130,6 +149,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/places', placeRoutes);
 app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/regions', regionRoutes);
+app.use('/api/partners', partnerRoutes);
 
 // Uploads (optional)
 if (uploadsEnabled) {
@@ -141,19 +161,22 @@ if (uploadsEnabled) {
 // Domain (conditionally mounted to avoid MODULE_NOT_FOUND)
 mountIfExists(app, '/api/activities', './routes/activitiesRoutes');
 mountIfExists(app, '/api/airports', './routes/airportRoutes');
-mountIfExists(app, '/api/restaurants', './routes/restaurantRoutes');
-mountIfExists(app, '/api/hotels', './routes/hotelRoutes');
+mountIfExists(app, '/api/restaurants', './routes/restaurantsRoutes');
+mountIfExists(app, '/api/hotels', './routes/hotelsRoutes');
 mountIfExists(app, '/api/bus-stops', './routes/busStopRoutes');
-mountIfExists(app, '/api/buses', './routes/busRoutes');
-mountIfExists(app, '/api/flights', './routes/flightRoutes');
+mountIfExists(app, '/api/buses', './routes/busesRoutes');
+mountIfExists(app, '/api/flights', './routes/flightsRoutes');
 mountIfExists(app, '/api/train-stations', './routes/trainStationRoutes');
-mountIfExists(app, '/api/trains', './routes/trainRoutes');
+mountIfExists(app, '/api/trains', './routes/trainsRoutes');
+mountIfExists(app, '/api/transport/disruptions', './routes/disruptionsRoutes');
+mountIfExists(app, '/api/transport/live', './routes/liveRoutes');
 mountIfExists(app, '/api/trails', './routes/trailRoutes');
 mountIfExists(app, '/api/locations', './routes/locationRoutes');
 mountIfExists(app, '/api/map', './routes/mapRoutes');
 mountIfExists(app, '/api/messages', './routes/messageRoutes');
 mountIfExists(app, '/api/planning', './routes/planningRoutes');
-mountIfExists(app, '/api/cabs', './routes/cabRoutes');
+mountIfExists(app, '/api/cabs', './routes/cabsRoutes');
+mountIfExists(app, '/api/moderation', './routes/moderationRoutes');
 
 // Tabs/sections retained
 mountIfExists(app, '/api/discovery', './routes/discoveryRoutes');
@@ -168,6 +191,7 @@ mountIfExists(app, '/api/trail/feed', './routes/social/feedRoutes');
 // Booking skeleton and chat
 mountIfExists(app, '/api/journey/experiences', './routes/booking/experienceRoutes');
 mountIfExists(app, '/api/journey/bookings', './routes/booking/bookingRoutes');
+mountIfExists(app, '/api/payments', './routes/paymentsRoutes');
 mountIfExists(app, '/api/traveos.ai', './routes/aiRoutes');
 
 // Optional legacy journeys
@@ -281,7 +305,12 @@ async function startServerWithProbe() {
 // Bootstrap
 (async () => {
   try {
+    paymentService.assertConfigured(); // sandbox webhook secret; without a gateway, payments answer 503
+    mailService.assertConfigured(); // production never uses the console/file transports
     await connectDB();
+    seatInventoryService.startHoldSweeper(); // frees expired train/bus seat holds
+    bookingLedgerService.startExpirySweeper(); // cancels unpaid bookings whose hold lapsed
+    if (LIVE_STATUS.SIMULATOR) liveStatusService.startSimulator(); // local vehicle reports from timetables
     await startServerWithProbe();
   } catch (err) {
     console.error('❌ Failed to start server:', err);
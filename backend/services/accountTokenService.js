@@ -0,0 +1,158 @@
+// backend/services/accountTokenService.js
+
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AccountToken = require('../models/AccountToken');
+const User = require('../models/user');
+const mailService = require('./mailService');
+const authSessions = require('./authSessionService');
+const { ApiError } = require('../utils/ApiError');
+const { AUTH } = require('../utils/constants');
+
+const PURPOSE = Object.freeze({
+  VERIFY_EMAIL: 'email_verification',
+  RESET_PASSWORD: 'password_reset'
+});
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+// Tokens are "<tokenId>.<secret>", same shape as refresh tokens
+function tokenIdOf(token) {
+  const [id, secret] = String(token || '').split('.');
+  return id && secret && isObjectId(id) ? id : null;
+}
+
+/**
+ * Mint a token for `purpose`, replacing any unused one of the same kind.
+ * Returns null while the previous one is still inside the resend cooldown.
+ */
+async function issueToken(user, purpose, { ttlMs, ip } = {}) {
+  const now = new Date();
+  const latest = await AccountToken.findOne({ userId: user._id, purpose, usedAt: null })
+    .sort({ createdAt: -1 })
+    .select({ createdAt: 1 })
+    .lean();
+  if (latest && now - new Date(latest.createdAt) < AUTH.TOKEN_RESEND_COOLDOWN_SEC * 1000) return null;
+
+  await AccountToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+
+  const _id = new mongoose.Types.ObjectId();
+  const token = `${_id}.${crypto.randomBytes(32).toString('base64url')}`;
+  await AccountToken.create({
+    _id,
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(now.getTime() + ttlMs),
+    requestIp: ip
+  });
+  return token;
+}
+
+/**
+ * Redeem a token exactly once. Marking it used is the lookup itself, so two
+ * concurrent requests cannot both succeed.
+ */
+async function consumeToken(token, purpose) {
+  const id = tokenIdOf(token);
+  if (!id) return null;
+  const now = new Date();
+  return AccountToken.findOneAndUpdate(
+    { _id: id, purpose, tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  ).lean();
+}
+
+// ---------- Email verification ----------
+/**
+ * Mail a verification link. Returns { sent } (false during the resend
+ * cooldown) or { alreadyVerified: true }.
+ */
+async function requestEmailVerification(userId, { ip } = {}) {
+  const user = await User.findById(userId);
+  if (!user) return null;
+  if (user.isVerified) return { alreadyVerified: true, sent: false };
+
+  const hours = AUTH.EMAIL_VERIFICATION_TTL_HOURS;
+  const token = await issueToken(user, PURPOSE.VERIFY_EMAIL, { ttlMs: hours * 60 * 60 * 1000, ip });
+  if (!token) return { alreadyVerified: false, sent: false };
+
+  await mailService.sendVerificationEmail(user, token, { expiresInHours: hours });
+  return { alreadyVerified: false, sent: true };
+}
+
+async function verifyEmail(token) {
+  const record = await consumeToken(token, PURPOSE.VERIFY_EMAIL);
+  if (!record) throw ApiError.badRequest('Verification link is invalid or has expired');
+
+  const user = await User.findById(record.userId);
+  if (!user) throw ApiError.badRequest('Verification link is invalid or has expired');
+  // The link vouches for the address it was sent to, not whatever is on file now
+  if (record.email && record.email !== user.email) {
+    throw ApiError.badRequest('Verification link was sent to a different email address');
+  }
+
+  if (!user.isVerified) {
+    user.isVerified = true;
+    await user.save();
+  }
+  return user;
+}
+
+// ---------- Password reset ----------
+/**
+ * Mail a reset link when the address belongs to an active account. Always
+ * resolves the same way so callers cannot probe which emails are registered.
+ */
+async function requestPasswordReset(email, { ip } = {}) {
+  const user = await User.findByEmail(email);
+  if (!user || user.isActive === false) return;
+
+  const minutes = AUTH.PASSWORD_RESET_TTL_MINUTES;
+  const token = await issueToken(user, PURPOSE.RESET_PASSWORD, { ttlMs: minutes * 60 * 1000, ip });
+  if (!token) return;
+
+  await mailService.sendPasswordResetEmail(user, token, { expiresInMinutes: minutes });
+}
+
+/**
+ * Set a new password from a reset link. Every session and outstanding access
+ * token is invalidated; the caller signs in again with the new password.
+ */
+async function resetPassword(token, newPassword) {
+  const record = await consumeToken(token, PURPOSE.RESET_PASSWORD);
+  if (!record) throw ApiError.badRequest('Reset link is invalid or has expired');
+
+  const user = await User.findById(record.userId).select('+password');
+  if (!user || user.isActive === false) throw ApiError.badRequest('Reset link is invalid or has expired');
+
+  user.password = newPassword;
+  // Receiving the link proves the mailbox, same as a verification link would
+  if (record.email === user.email) user.isVerified = true;
+  await user.save();
+
+  await AccountToken.deleteMany({ userId: user._id, purpose: PURPOSE.RESET_PASSWORD, usedAt: null });
+  await authSessions.invalidateAllTokens(user._id, 'password_reset');
+  return user;
+}
+
+module.exports = {
+  PURPOSE,
+
+  // email verification
+  requestEmailVerification,
+  verifyEmail,
+
+  // password reset
+  requestPasswordReset,
+  resetPassword
+};
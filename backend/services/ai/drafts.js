@@ -0,0 +1,285 @@
+// backend/services/ai/drafts.js
+
+'use strict';
+
+const { AI } = require('../../utils/constants');
+const { estimateTransfer } = require('../itineraryScheduleService');
+const { hasIndic, toLatin, searchTokens } = require('../../utils/transliterate');
+
+/**
+ * Deterministic answers for each assistant task, built only from the
+ * normalized input, the keyword filters and the catalogue records the
+ * request was grounded in ({ input, filters, grounding }). The local
+ * provider serves these as-is; with a remote provider they are the fallback
+ * when the model fails or its output does not validate. JSON tasks return
+ * the same shape a model is asked for, so aiService validates both alike.
+ */
+
+// ---------- Helpers ----------
+function isSight(r) {
+  return r.type === 'places' || r.type === 'activities';
+}
+function titleCase(s) {
+  return String(s || '').replace(/\b\p{L}/gu, (c) => c.toUpperCase());
+}
+function sentencesOf(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split(/(?<=[.!?।])\s+/)
+    .filter(Boolean);
+}
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+/**
+ * Nearest-neighbour walk from `origin` (or the first record); records
+ * without coordinates keep their rank order at the end.
+ */
+function orderByProximity(records, origin) {
+  const located = records.filter((r) => r.location);
+  const rest = records.filter((r) => !r.location);
+  const ordered = [];
+  let here = origin || located[0]?.location || null;
+  while (located.length) {
+    let best = 0;
+    for (let i = 1; i < located.length; i += 1) {
+      if (estimateTransfer(here, located[i].location).km < estimateTransfer(here, located[best].location).km) best = i;
+    }
+    const [next] = located.splice(best, 1);
+    ordered.push(next);
+    here = next.location;
+  }
+  return [...ordered, ...rest];
+}
+
+// ---------- Chat ----------
+function chat({ input, filters, grounding }) {
+  const around = filters.region ? ` around ${titleCase(filters.region)}` : '';
+  if (!grounding.length) {
+    return `I couldn't find anything${around} in our catalogue for "${input.message}". `
+      + 'Try naming a town or region, or an interest such as temples, treks or beaches.';
+  }
+  const lines = grounding.slice(0, 5).map((r, i) => `${i + 1}. ${r.name}${r.subtitle ? ` (${r.subtitle})` : ''}`);
+  return [
+    `Here is what we have${around} for "${input.message}":`,
+    ...lines,
+    'Ask me for a day plan around any of these.'
+  ].join('\n');
+}
+
+// ---------- Trip ideas ----------
+function dayTheme(stops) {
+  const labels = [...new Set(stops.map((s) => s.category || s.emotion).filter(Boolean))];
+  return labels.length ? labels.slice(0, 2).join(' & ') : 'Explore';
+}
+
+function tripIdeas({ input, grounding }) {
+  const perDay = AI.PACE_STOPS[input.pace];
+  const sights = grounding.filter(isSight);
+  const stay = grounding.find((r) => r.type === 'hotels') || null;
+  const place = titleCase(input.destination);
+
+  const variants = [{ title: `Best of ${place}`, pick: sights }];
+  for (const emotion of [...new Set(sights.map((s) => s.emotion).filter(Boolean))]) {
+    const pick = sights.filter((s) => s.emotion === emotion);
+    if (pick.length && pick.length < sights.length) variants.push({ title: `${emotion} ${place}`, pick });
+  }
+
+  const ideas = variants.slice(0, 3).map(({ title, pick }) => {
+    const chosen = orderByProximity(pick.slice(0, input.days * perDay), input.origin);
+    const days = chunk(chosen, perDay);
+    return {
+      title,
+      summary: `${chosen.length} stop${chosen.length === 1 ? '' : 's'} over ${input.days} day${input.days === 1 ? '' : 's'}, with nearby sights grouped on the same day.`,
+      days: Array.from({ length: input.days }, (_, i) => ({
+        theme: days[i] ? dayTheme(days[i]) : 'Free day',
+        stops: (days[i] || []).map((s) => s.id)
+      })),
+      stay: stay ? stay.id : null
+    };
+  });
+  return { ideas };
+}
+
+// ---------- Day plan ----------
+function dayPlan({ input, grounding }) {
+  const chosen = orderByProximity(grounding.filter(isSight).slice(0, AI.PACE_STOPS[input.pace]), input.origin);
+  return { stops: chosen.map((s) => ({ id: s.id, durationMin: AI.VISIT_MIN, note: null })) };
+}
+
+// ---------- Packing list ----------
+// [pattern over destination, activities and grounded categories, category, item, qty per traveller, reason]
+const PACKING_RULES = [
+  [/temple|spiritual|pilgrim|mutt|church|mosque|gurudwara/, 'Clothing', 'Modest clothing covering shoulders and knees', 1, 'Expected at temples and other places of worship'],
+  [/temple|spiritual|pilgrim|mutt|church|mosque|gurudwara/, 'Gear', 'Slip-on footwear', 1, 'Shoes come off at most shrines'],
+  [/trek|hike|adventure|climb|camp|trail/, 'Gear', 'Trekking shoes', 1, 'Grip on uneven trails'],
+  [/trek|hike|adventure|climb|camp|trail/, 'Gear', 'Daypack', 1, 'Water and snacks on long walks'],
+  [/trek|hike|adventure|climb|camp|trail/, 'Clothing', 'Quick-dry layers', 2, 'Dries overnight after a sweaty day'],
+  [/beach|coast|island|sea|swim/, 'Clothing', 'Swimwear', 1, 'For the beach'],
+  [/beach|coast|island|sea|swim/, 'Gear', 'Flip-flops', 1, 'Sand and wet floors'],
+  [/beach|coast|island|sea|nature|waterfall|trek|hike/, 'Toiletries', 'Sunscreen', 1, 'Long hours outdoors'],
+  [/nature|forest|waterfall|wildlife|jungle|camp|monsoon/, 'Toiletries', 'Insect repellent', 1, 'Mosquitoes and leeches near water and forest'],
+  [/heritage|museum|fort|palace|monument|ruins/, 'Gear', 'Comfortable walking shoes', 1, 'Large sites mean a lot of walking'],
+  [/monsoon/, 'Weather', 'Rain jacket or umbrella', 1, 'Travel falls in the monsoon months'],
+  [/monsoon/, 'Weather', 'Waterproof phone pouch', 1, 'Sudden downpours'],
+  [/winter/, 'Weather', 'Warm layer', 1, 'Cool mornings and evenings in winter'],
+  [/summer/, 'Weather', 'Sun hat', 1, 'Strong midday sun in the hot season']
+];
+const PACKING_ORDER = ['Essentials', 'Clothing', 'Toiletries', 'Gear', 'Weather'];
+
+function seasonsOf(start, end) {
+  const months = new Set();
+  for (let t = new Date(start); t <= end; t = new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth() + 1, 1))) {
+    months.add(t.getUTCMonth() + 1);
+  }
+  const tags = [];
+  if ([6, 7, 8, 9].some((m) => months.has(m))) tags.push('monsoon');
+  if ([12, 1, 2].some((m) => months.has(m))) tags.push('winter');
+  if ([4, 5].some((m) => months.has(m))) tags.push('summer');
+  return tags;
+}
+
+function packingList({ input, grounding }) {
+  const n = input.travellers;
+  const outfits = Math.min(input.nights + 1, 7);
+  const tags = [
+    input.destination,
+    ...input.activities,
+    ...grounding.flatMap((r) => [r.category, r.emotion, r.subtitle]),
+    ...seasonsOf(input.startDate, input.endDate)
+  ].filter(Boolean).join(' ').toLowerCase();
+
+  const byCategory = new Map(PACKING_ORDER.map((c) => [c, []]));
+  const add = (category, item, qty, essential, reason) => {
+    const list = byCategory.get(category);
+    if (!list.some((x) => x.item === item)) list.push({ item, qty, essential, reason });
+  };
+
+  add('Essentials', 'Government photo ID', n, true, 'Checked at hotels, airports and many monuments');
+  add('Essentials', 'Phone charger and power bank', 1, true, 'Maps and tickets live on your phone');
+  add('Essentials', 'Cash and cards', 1, true, 'Smaller towns and temples often take cash only');
+  add('Essentials', 'Basic medicines and first-aid kit', 1, true, 'Pharmacies can be far apart outside cities');
+  add('Essentials', 'Reusable water bottle', n, false, 'Refill instead of buying bottled water');
+  add('Clothing', 'Tops', outfits * n, true, `${input.nights} night${input.nights === 1 ? '' : 's'} away`);
+  add('Clothing', 'Bottoms', Math.ceil(outfits / 2) * n, true, 'Rewear between washes');
+  add('Clothing', 'Underwear and socks', outfits * n, true, 'One set per day');
+  add('Clothing', 'Sleepwear', n, false, 'Night wear');
+  add('Toiletries', 'Toothbrush and toiletries', n, true, 'Daily use');
+
+  for (const [pattern, category, item, qty, reason] of PACKING_RULES) {
+    if (pattern.test(tags)) add(category, item, qty * n, false, reason);
+  }
+
+  return {
+    categories: PACKING_ORDER
+      .map((name) => ({ name, items: byCategory.get(name) }))
+      .filter((c) => c.items.length)
+  };
+}
+
+// ---------- Text tasks ----------
+// No offline translation model: Indic text bound for English is transliterated, anything else is returned unchanged
+function translate({ input }) {
+  if (input.to === 'en' && hasIndic(input.text)) return toLatin(input.text);
+  return input.text;
+}
+
+const FILLERS = /\b(very|really|just|basically|actually|quite|simply|literally)\s+/gi;
+const CONTRACTIONS = [
+  [/\bcan't\b/gi, 'cannot'], [/\bwon't\b/gi, 'will not'], [/n't\b/gi, ' not'],
+  [/'re\b/gi, ' are'], [/'ll\b/gi, ' will'], [/'ve\b/gi, ' have'], [/\bI'm\b/g, 'I am'], [/\bit's\b/gi, 'it is']
+];
+
+function rewrite({ input }) {
+  let text = String(input.text).replace(/\s+/g, ' ').trim();
+  if (input.tone === 'concise') text = text.replace(FILLERS, '');
+  if (input.tone === 'formal') {
+    for (const [from, to] of CONTRACTIONS) text = text.replace(from, to);
+    text = text.replace(/!+/g, '.');
+  }
+  let sentences = sentencesOf(text).map((s) => s.charAt(0).toUpperCase() + s.slice(1));
+  if (input.maxLength) {
+    const kept = [];
+    for (const s of sentences) {
+      if ([...kept, s].join(' ').length > input.maxLength) break;
+      kept.push(s);
+    }
+    sentences = kept.length ? kept : [sentences[0].slice(0, input.maxLength)];
+  }
+  return sentences.join(' ');
+}
+
+// Extractive: the sentences whose words recur most across the text, in original order
+function summarize({ input }) {
+  const sentences = sentencesOf(input.text);
+  if (sentences.length <= input.maxSentences) return sentences.join(' ');
+
+  const freq = new Map();
+  const wordsOf = (s) => searchTokens(s).filter((w) => w.length > 3);
+  sentences.forEach((s) => wordsOf(s).forEach((w) => freq.set(w, (freq.get(w) || 0) + 1)));
+  const scored = sentences.map((s, i) => {
+    const words = wordsOf(s);
+    const score = words.length ? words.reduce((sum, w) => sum + freq.get(w), 0) / words.length : 0;
+    return { i, score };
+  });
+  const keep = scored
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, input.maxSentences)
+    .map((s) => s.i)
+    .sort((a, b) => a - b);
+  return keep.map((i) => sentences[i]).join(' ');
+}
+
+// ---------- Extraction ----------
+const CURRENCY_OF = { '₹': 'INR', rs: 'INR', inr: 'INR', $: 'USD', usd: 'USD', '€': 'EUR', eur: 'EUR', '£': 'GBP', gbp: 'GBP' };
+
+function extract({ input, filters, grounding }) {
+  const words = new Set(searchTokens(input.text));
+  const places = grounding
+    .filter((r) => {
+      const t = searchTokens(r.name);
+      return t.length && t.every((w) => words.has(w));
+    })
+    .map((r) => r.name);
+
+  const dates = new Set();
+  for (const m of input.text.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) dates.add(`${m[1]}-${m[2]}-${m[3]}`);
+  for (const m of input.text.matchAll(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/g)) { // day first, as written in India
+    dates.add(`${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`);
+  }
+
+  const amounts = [];
+  for (const m of input.text.matchAll(/(₹|\$|€|£|\b(?:rs|inr|usd|eur|gbp)\b\.?)\s?(\d[\d,]*(?:\.\d+)?)/gi)) {
+    const key = m[1].toLowerCase().replace('.', '');
+    amounts.push({ value: Number(m[2].replace(/,/g, '')), currency: CURRENCY_OF[key] });
+  }
+
+  return {
+    places,
+    emotions: filters.emotions,
+    categories: filters.categories,
+    keywords: filters.keywords,
+    dates: [...dates].filter((d) => !Number.isNaN(Date.parse(d))),
+    amounts
+  };
+}
+
+module.exports = {
+  // helpers shared with aiService
+  isSight,
+  orderByProximity,
+
+  // one per task
+  chat,
+  trip_ideas: tripIdeas,
+  day_plan: dayPlan,
+  packing_list: packingList,
+  translate,
+  rewrite,
+  summarize,
+  extract
+};
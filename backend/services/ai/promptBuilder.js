@@ -11,8 +11,9 @@
  *    jsonSchemaHint: { type: 'object', properties: { days: { type: 'number' } } }
  *  });
  *  // pb.messages => [{role:'system',content:'...'}, {role:'user',content:'...'}]
+ * Earlier chat turns ({ role: 'user'|'assistant', content }) go in `history`.
  */
-function buildPrompt({ role = 'assistant', task, context = null, requireJSON = false, jsonSchemaHint = null }) {
+function buildPrompt({ role = 'assistant', task, context = null, requireJSON = false, jsonSchemaHint = null, history = [] }) {
         const systemParts = [];
       
         // Role and scope
@@ -52,6 +53,7 @@ function buildPrompt({ role = 'assistant', task, context = null, requireJSON = f
         return {
           messages: [
             { role: 'system', content: system },
+            ...history,
             { role: 'user', content: user || 'Provide helpful guidance.' }
           ],
           // Optional knobs that a caller can pass through to the AI client
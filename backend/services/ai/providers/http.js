@@ -0,0 +1,81 @@
+// backend/services/ai/providers/http.js
+
+'use strict';
+
+const { AI } = require('../../../utils/constants');
+
+const fetchImpl = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
+
+async function errorOf(resp) {
+  const text = await resp.text().catch(() => '');
+  let message = text;
+  try {
+    const parsed = JSON.parse(text);
+    message = parsed?.error?.message || parsed?.error || text;
+  } catch (_) { /* plain-text error body */ }
+  return new Error(`AI provider responded ${resp.status}: ${String(message).slice(0, 200)}`);
+}
+
+// Split a text/event-stream body into the `data:` payload of each event
+async function* eventsOf(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let cut;
+    while ((cut = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const frame = buffer.slice(0, cut);
+      buffer = buffer.slice(cut).replace(/^\r?\n\r?\n/, '');
+      const data = frame
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+      if (data) yield data;
+    }
+  }
+}
+
+/**
+ * POST a JSON body to a provider. Resolves to the parsed JSON response, or
+ * with `stream: true` yields each SSE `data:` payload. The whole exchange,
+ * body included, is bounded by AI.TIMEOUT_MS and by the caller's signal.
+ * Non-2xx responses throw with the provider's message.
+ */
+function request(url, { headers = {}, body, stream = false, signal } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), AI.TIMEOUT_MS);
+  const abort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', abort, { once: true });
+  const cleanup = () => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  };
+
+  const send = async () => {
+    const resp = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!resp.ok) throw await errorOf(resp);
+    return resp;
+  };
+
+  if (!stream) {
+    return send().then((resp) => resp.json()).finally(cleanup);
+  }
+  return (async function* events() {
+    try {
+      const resp = await send();
+      yield* eventsOf(resp.body);
+    } finally {
+      cleanup();
+    }
+  })();
+}
+
+module.exports = {
+  request
+};
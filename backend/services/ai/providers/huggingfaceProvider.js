@@ -0,0 +1,83 @@
+// backend/services/ai/providers/huggingfaceProvider.js
+
+'use strict';
+
+const { request } = require('./http');
+const { AI } = require('../../../utils/constants');
+
+/**
+ * Hugging Face Inference API (text generation). Requires HUGGINGFACE_API_KEY;
+ * HUGGINGFACE_MODEL picks an instruction-tuned model. Chat messages are
+ * flattened into the [INST] prompt format those models expect. See
+ * localProvider.js for the provider interface.
+ */
+const NAME = 'huggingface';
+
+function apiKey() {
+  const key = process.env.HUGGINGFACE_API_KEY;
+  if (!key) throw new Error('HUGGINGFACE_API_KEY is not set');
+  return key;
+}
+
+function url() {
+  return `https://api-inference.huggingface.co/models/${AI.HUGGINGFACE_MODEL}`;
+}
+
+function toPrompt(messages = []) {
+  const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n');
+  const turns = messages.filter((m) => m.role !== 'system');
+  let prompt = '<s>';
+  turns.forEach((m, i) => {
+    if (m.role === 'assistant') {
+      prompt += ` ${m.content}</s>`;
+      return;
+    }
+    const head = i === 0 && system ? `${system}\n\n` : '';
+    prompt += `[INST] ${head}${m.content} [/INST]`;
+  });
+  return prompt;
+}
+
+function payload({ messages, options = {} }, stream) {
+  return {
+    inputs: toPrompt(messages),
+    parameters: {
+      temperature: Math.max(options.temperature ?? 0.3, 0.01), // the API rejects 0
+      max_new_tokens: options.maxTokens ?? 400,
+      return_full_text: false
+    },
+    ...(stream ? { stream: true } : {})
+  };
+}
+
+async function complete(req) {
+  const res = await request(url(), {
+    headers: { Authorization: `Bearer ${apiKey()}` },
+    body: payload(req, false),
+    signal: req.signal
+  });
+  const first = Array.isArray(res) ? res[0] : res;
+  return { text: String(first?.generated_text || ''), model: AI.HUGGINGFACE_MODEL };
+}
+
+async function* stream(req) {
+  const events = request(url(), {
+    headers: { Authorization: `Bearer ${apiKey()}` },
+    body: payload(req, true),
+    stream: true,
+    signal: req.signal
+  });
+  for await (const data of events) {
+    const event = JSON.parse(data);
+    if (event?.token?.special) continue;
+    if (event?.token?.text) yield event.token.text;
+  }
+}
+
+module.exports = {
+  name: NAME,
+  model: () => AI.HUGGINGFACE_MODEL,
+  configured: () => Boolean(process.env.HUGGINGFACE_API_KEY),
+  complete,
+  stream
+};
@@ -0,0 +1,50 @@
+// backend/services/ai/providers/localProvider.js
+
+'use strict';
+
+const drafts = require('../drafts');
+
+/**
+ * In-process provider for development and tests. Nothing leaves the process
+ * and identical requests give identical answers: each task is answered by
+ * its deterministic draft (see ../drafts.js) from the request context rather
+ * than from the prompt text.
+ *
+ * Provider interface (shared with the remote providers):
+ *   complete({ task, messages, options, json, context, signal }) -> { text, model }
+ *   stream(sameRequest)                                          -> async iterable of text chunks
+ *   model() -> string, configured() -> boolean
+ * `messages` is the chat prompt from promptBuilder; `context` is
+ * { input, filters, grounding } and only this provider reads it. With `json`
+ * the text is a JSON document.
+ */
+const NAME = 'local';
+const MODEL = 'local-deterministic';
+
+function answer({ task, json, context }) {
+  const draft = drafts[task];
+  if (!draft) throw new Error(`Local provider has no answer for task: ${task}`);
+  const out = draft(context);
+  return json ? JSON.stringify(out) : String(out);
+}
+
+async function complete(req) {
+  return { text: answer(req), model: MODEL };
+}
+
+// Word-sized chunks, so clients exercise the same incremental path as with a real model
+async function* stream(req) {
+  const text = answer(req);
+  for (const token of text.match(/\s*\S+/g) || []) {
+    if (req.signal?.aborted) return;
+    yield token;
+  }
+}
+
+module.exports = {
+  name: NAME,
+  model: () => MODEL,
+  configured: () => true,
+  complete,
+  stream
+};
@@ -0,0 +1,61 @@
+// backend/services/ai/providers/openaiProvider.js
+
+'use strict';
+
+const { request } = require('./http');
+const { AI } = require('../../../utils/constants');
+
+/**
+ * OpenAI Chat Completions. Requires OPENAI_API_KEY; OPENAI_MODEL picks the
+ * model. See localProvider.js for the provider interface.
+ */
+const NAME = 'openai';
+const URL = 'https://api.openai.com/v1/chat/completions';
+
+function apiKey() {
+  const key = process.env.OPENAI_API_KEY;
+  if (!key) throw new Error('OPENAI_API_KEY is not set');
+  return key;
+}
+
+function payload({ messages, options = {}, json }, stream) {
+  return {
+    model: AI.OPENAI_MODEL,
+    messages,
+    temperature: options.temperature ?? 0.3,
+    max_tokens: options.maxTokens ?? 400,
+    ...(json ? { response_format: { type: 'json_object' } } : {}),
+    ...(stream ? { stream: true } : {})
+  };
+}
+
+async function complete(req) {
+  const res = await request(URL, {
+    headers: { Authorization: `Bearer ${apiKey()}` },
+    body: payload(req, false),
+    signal: req.signal
+  });
+  return { text: String(res?.choices?.[0]?.message?.content || ''), model: res?.model || AI.OPENAI_MODEL };
+}
+
+async function* stream(req) {
+  const events = request(URL, {
+    headers: { Authorization: `Bearer ${apiKey()}` },
+    body: payload(req, true),
+    stream: true,
+    signal: req.signal
+  });
+  for await (const data of events) {
+    if (data === '[DONE]') return;
+    const token = JSON.parse(data)?.choices?.[0]?.delta?.content;
+    if (token) yield token;
+  }
+}
+
+module.exports = {
+  name: NAME,
+  model: () => AI.OPENAI_MODEL,
+  configured: () => Boolean(process.env.OPENAI_API_KEY),
+  complete,
+  stream
+};
@@ -1,9 +1,22 @@
 // backend/services/aiService.js
 // Provider-agnostic AI helper that converts a free-form query into structured filters.
 // It NEVER fabricates places; controllers use the filters to query your Place collection.
+// The assistant tasks below ground every answer in catalogue records and drop
+// any place a model names that is not one of them.
 
 const fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args)).catch(() => null);
 
+const searchService = require('./searchService');
+const drafts = require('./ai/drafts');
+const { buildPrompt } = require('./ai/promptBuilder');
+const { parseClock, estimateTransfer } = require('./itineraryScheduleService');
+const localProvider = require('./ai/providers/localProvider');
+const openaiProvider = require('./ai/providers/openaiProvider');
+const huggingfaceProvider = require('./ai/providers/huggingfaceProvider');
+const { ApiError } = require('../utils/ApiError');
+const { AI, ITINERARY, LANGUAGES, SEARCH } = require('../utils/constants');
+const { searchTokens } = require('../utils/transliterate');
+
 // App-specific enums
 const EMOTIONS = ['Spiritual', 'Peaceful', 'Adventure', 'Nature', 'Heritage'];
 const CATEGORIES = ['Temples', 'Peaceful', 'Adventure', 'Heritage', 'Nature', 'Stay Places'];
@@ -40,7 +53,7 @@ function heuristicFilters(queryText) {
   let region = null;
   const regionMatch = q.match(/\b(in|near|around)\s+([a-zA-Z\s]{2,})/);
   if (regionMatch && regionMatch[2]) {
-    region = regionMatch.trim();
+    region = regionMatch[2].trim();
   }
 
   // Price hints
@@ -219,6 +232,608 @@ function buildRationale(queryText, filters) {
   return `Suggestions ${basis}.`;
 }
 
+// ---------- Assistant providers ----------
+// See ai/providers/localProvider.js for the interface every provider implements
+const providers = new Map([localProvider, openaiProvider, huggingfaceProvider].map((p) => [p.name, p]));
+const PROVIDER_ALIASES = { mock: localProvider.name };
+
+function registerProvider(provider) {
+  if (!provider?.name) throw new Error('AI provider must have a name');
+  for (const fn of ['complete', 'stream', 'model', 'configured']) {
+    if (typeof provider[fn] !== 'function') throw new Error(`AI provider ${provider.name} is missing ${fn}()`);
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+function getProvider(name) {
+  const key = String(name || AI.PROVIDER).toLowerCase();
+  const provider = providers.get(PROVIDER_ALIASES[key] || key);
+  if (!provider) throw ApiError.badRequest(`Unknown AI provider: ${key}`);
+  return provider;
+}
+
+function listModels() {
+  const active = getProvider();
+  return [...providers.values()].map((p) => ({
+    provider: p.name,
+    model: p.model(),
+    configured: p.configured(),
+    active: p === active
+  }));
+}
+
+function health() {
+  const p = getProvider();
+  return { provider: p.name, model: p.model(), configured: p.configured(), offline: p === localProvider };
+}
+
+// ---------- Assistant helpers ----------
+const REWRITE_TONES = ['neutral', 'friendly', 'formal', 'concise'];
+
+function clean(v, max) {
+  return typeof v === 'string' ? v.replace(/\s+/g, ' ').trim().slice(0, max) : '';
+}
+function titleCase(s) {
+  return String(s || '').replace(/\b\p{L}/gu, (c) => c.toUpperCase());
+}
+function requireText(v, field = 'text') {
+  const text = typeof v === 'string' ? v.trim() : '';
+  if (!text) throw ApiError.badRequest(`${field} is required`);
+  if (text.length > AI.MAX_INPUT_CHARS) throw ApiError.badRequest(`${field} must be at most ${AI.MAX_INPUT_CHARS} characters`);
+  return text;
+}
+function intIn(v, def, min, max, field) {
+  if (v === undefined || v === null || v === '') return def;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max) throw ApiError.badRequest(`${field} must be an integer between ${min} and ${max}`);
+  return n;
+}
+function isoDay(v, field) {
+  if (v === undefined || v === null || v === '') return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(v));
+  const d = m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])) : null;
+  if (!d || d.toISOString().slice(0, 10) !== String(v)) throw ApiError.badRequest(`${field} must be a date (YYYY-MM-DD)`);
+  return d;
+}
+function clockOf(v, def, field) {
+  const parsed = parseClock(v ?? def);
+  if (!parsed) throw ApiError.badRequest(`${field} must be a time of day such as 09:00`);
+  return parsed.minutes;
+}
+function paceOf(v) {
+  const pace = v ? String(v).toLowerCase() : 'balanced';
+  if (!AI.PACE_STOPS[pace]) throw ApiError.badRequest(`pace must be one of: ${Object.keys(AI.PACE_STOPS).join(', ')}`);
+  return pace;
+}
+function listOf(v) {
+  const items = Array.isArray(v) ? v : String(v || '').split(',');
+  return items.map((x) => clean(String(x ?? ''), 40).toLowerCase()).filter(Boolean).slice(0, 10);
+}
+function originOf(lat, lng) {
+  const la = parseFloat(lat);
+  const ln = parseFloat(lng);
+  return Number.isFinite(la) && Number.isFinite(ln) ? { lat: la, lng: ln } : null;
+}
+function historyOf(v) {
+  if (v === undefined || v === null) return [];
+  if (!Array.isArray(v)) throw ApiError.badRequest('history must be an array of { role, content }');
+  return v
+    .filter((m) => m && ['user', 'assistant'].includes(m.role) && typeof m.content === 'string' && m.content.trim())
+    .slice(-AI.MAX_HISTORY)
+    .map((m) => ({ role: m.role, content: m.content.slice(0, AI.MAX_INPUT_CHARS) }));
+}
+
+// Models sometimes wrap JSON in prose or code fences
+function parseJson(text) {
+  const s = String(text || '');
+  const start = s.indexOf('{');
+  const end = s.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(s.slice(start, end + 1));
+  } catch (_) {
+    return null;
+  }
+}
+
+// ---------- Grounding ----------
+// Catalogue records the model may use; searched through the unified search index
+async function ground({ q, types, origin, locale, limit = AI.GROUNDING_LIMIT }) {
+  if (!String(q || '').trim()) return [];
+  const { items } = await searchService.search({
+    q,
+    types,
+    lat: origin?.lat,
+    lng: origin?.lng,
+    locale,
+    limit: Math.min(limit, SEARCH.MAX_LIMIT)
+  });
+  return items.map((r) => ({
+    type: r.type,
+    id: String(r.id),
+    name: r.name,
+    subtitle: r.subtitle || null,
+    location: r.location || null,
+    ...(r.category ? { category: r.category } : {}),
+    ...(r.emotion ? { emotion: r.emotion } : {}),
+    ...(r.rating !== undefined ? { rating: r.rating } : {}),
+    ...(r.stars !== undefined ? { stars: r.stars } : {})
+  }));
+}
+
+function refOf(r) {
+  return { type: r.type, id: r.id, name: r.name, subtitle: r.subtitle, location: r.location };
+}
+
+// What a remote model sees of each record: enough to choose, nothing to copy wrongly
+function catalogueOf(grounding) {
+  return grounding.map((r) => ({
+    id: r.id,
+    type: r.type,
+    name: r.name,
+    ...(r.subtitle ? { area: r.subtitle } : {}),
+    ...(r.category ? { category: r.category } : {}),
+    ...(r.emotion ? { emotion: r.emotion } : {})
+  }));
+}
+
+const GROUNDING_RULE = 'Recommend only places from context.catalogue, referring to them by name (or by id where asked); if nothing there fits, say so instead of naming other places.';
+
+// ---------- Running tasks ----------
+/**
+ * Complete a task on the active provider. A failing or empty answer from a
+ * remote provider is replaced by the local provider's, reported as
+ * "<provider>-fallback". With `validate`, the answer is parsed as JSON and
+ * must validate too.
+ */
+async function run(req, validate) {
+  const provider = getProvider();
+  const attempt = async (p) => {
+    const { text, model } = await p.complete(req);
+    if (!String(text || '').trim()) throw new Error('Empty answer');
+    const output = validate ? validate(parseJson(text)) : String(text).trim();
+    if (!output) throw new Error('Answer did not validate');
+    return { output, model: model || p.model() };
+  };
+
+  try {
+    return { ...(await attempt(provider)), provider: provider.name };
+  } catch (err) {
+    if (provider === localProvider) throw err;
+    return { ...(await attempt(localProvider)), provider: `${provider.name}-fallback` };
+  }
+}
+
+function taskRequest(task, context, prompt, json = false) {
+  return { task, messages: prompt.messages, options: prompt.options, json, context };
+}
+
+// ---------- Chat ----------
+function chatSuggestions(filters, grounding) {
+  const region = filters.region ? titleCase(filters.region) : null;
+  const out = [];
+  if (filters.categories[0]) {
+    const what = filters.categories[0].toLowerCase();
+    out.push({ title: `Find ${what}${region ? ` near ${region}` : ''}`, action: { type: 'search', query: [what, region].filter(Boolean).join(' ') } });
+  }
+  if (region) out.push({ title: `Plan a day in ${region}`, action: { type: 'day_plan', destination: region } });
+  const top = grounding.find(drafts.isSight);
+  if (top) out.push({ title: `Open ${top.name}`, action: { type: 'open', ref: { type: top.type, id: top.id } } });
+  return out.slice(0, 3);
+}
+
+async function prepareChat({ message, history, region, lat, lng, locale }) {
+  const text = requireText(message, 'message');
+  const turns = historyOf(history);
+  const origin = originOf(lat, lng);
+  const filters = heuristicFilters(text);
+  if (!filters.region && region) filters.region = clean(region, 80).toLowerCase() || null;
+
+  const grounding = await ground({
+    q: [text, filters.region && !text.toLowerCase().includes(filters.region) ? filters.region : null].filter(Boolean).join(' '),
+    types: 'places,activities,hotels,restaurants',
+    origin,
+    locale
+  });
+  const context = { input: { message: text }, filters, grounding };
+  const prompt = buildPrompt({
+    role: 'travel_guide',
+    task: `Answer the traveller's message: "${text}". ${GROUNDING_RULE}`,
+    context: { catalogue: catalogueOf(grounding), ...(filters.region ? { region: filters.region } : {}), ...(locale ? { replyLanguage: locale } : {}) },
+    history: turns
+  });
+  return { req: taskRequest('chat', context, prompt), filters, grounding };
+}
+
+function chatResult(text, { filters, grounding }) {
+  const lower = text.toLowerCase();
+  return {
+    text,
+    references: grounding.filter((r) => lower.includes(r.name.toLowerCase())).map(refOf),
+    suggestions: chatSuggestions(filters, grounding)
+  };
+}
+
+/**
+ * One chat turn: { text, references, suggestions, provider, model }.
+ * References are the catalogue records the answer names.
+ */
+async function chat(args = {}) {
+  const prepared = await prepareChat(args);
+  const { output, provider, model } = await run(prepared.req);
+  return { ...chatResult(output, prepared), provider, model };
+}
+
+/**
+ * Streaming chat turn. Iterate `tokens` for text chunks, then call
+ * finish(fullText) for the same payload chat() returns. A remote provider
+ * that fails before its first chunk is replaced by the local provider.
+ */
+async function openChatStream(args = {}, { signal } = {}) {
+  const prepared = await prepareChat(args);
+  const provider = getProvider();
+  const state = { provider: provider.name, model: provider.model() };
+  const req = { ...prepared.req, signal };
+
+  async function* tokens() {
+    let sent = false;
+    try {
+      for await (const token of provider.stream(req)) {
+        sent = true;
+        yield token;
+      }
+    } catch (err) {
+      if (sent || provider === localProvider || signal?.aborted) throw err;
+      state.provider = `${provider.name}-fallback`;
+      state.model = localProvider.model();
+      yield* localProvider.stream(req);
+    }
+  }
+
+  return {
+    tokens: tokens(),
+    finish: (text) => ({ ...chatResult(String(text).trim(), prepared), ...state })
+  };
+}
+
+// ---------- Trip ideas ----------
+function validateTripIdeas(out, byId, days) {
+  if (!Array.isArray(out?.ideas)) return null;
+  const ideas = out.ideas.slice(0, 3).map((idea) => {
+    if (!idea || !clean(idea.title, 80) || !Array.isArray(idea.days)) return null;
+    const seen = new Set();
+    const dayList = Array.from({ length: days }, (_, i) => {
+      const d = idea.days[i] || {};
+      const stops = [];
+      for (const id of Array.isArray(d.stops) ? d.stops.map(String) : []) {
+        const r = byId.get(id);
+        if (!r || !drafts.isSight(r) || seen.has(id)) continue;
+        seen.add(id);
+        stops.push(refOf(r));
+      }
+      return { day: i + 1, theme: clean(d.theme, 60) || (stops.length ? 'Explore' : 'Free day'), stops };
+    });
+    if (!seen.size) return null;
+    const stay = byId.get(String(idea.stay));
+    return {
+      title: clean(idea.title, 80),
+      summary: clean(idea.summary, 300) || null,
+      days: dayList,
+      stay: stay?.type === 'hotels' ? refOf(stay) : null
+    };
+  }).filter(Boolean);
+  return ideas.length ? ideas : null;
+}
+
+/**
+ * Up to three multi-day variants for a destination, each stop a catalogue record.
+ */
+async function tripIdeas({ destination, days, interests, pace, lat, lng, locale } = {}) {
+  const input = {
+    destination: requireText(destination, 'destination').slice(0, 80),
+    days: intIn(days, 3, 1, AI.MAX_TRIP_DAYS, 'days'),
+    interests: listOf(interests),
+    pace: paceOf(pace),
+    origin: originOf(lat, lng)
+  };
+  const q = [input.destination, ...input.interests].join(' ');
+  const grounding = [
+    ...await ground({ q, types: 'places,activities', origin: input.origin, locale, limit: input.days * AI.PACE_STOPS[input.pace] }),
+    ...await ground({ q: input.destination, types: 'hotels', origin: input.origin, locale, limit: 3 })
+  ];
+  if (!grounding.some(drafts.isSight)) throw ApiError.unprocessable(`No places found for ${input.destination}`);
+
+  const byId = new Map(grounding.map((r) => [r.id, r]));
+  const prompt = buildPrompt({
+    role: 'planner',
+    task: `Suggest up to 3 distinct ${input.days}-day trip ideas for ${input.destination}`
+      + `${input.interests.length ? ` for someone into ${input.interests.join(', ')}` : ''}, about ${AI.PACE_STOPS[input.pace]} stops a day, nearby stops on the same day. ${GROUNDING_RULE}`,
+    context: { catalogue: catalogueOf(grounding) },
+    requireJSON: true,
+    jsonSchemaHint: { ideas: [{ title: 'string', summary: 'string', days: [{ theme: 'string', stops: ['catalogue id'] }], stay: 'hotel catalogue id or null' }] }
+  });
+  const { output, provider, model } = await run(
+    taskRequest('trip_ideas', { input, filters: {}, grounding }, prompt, true),
+    (out) => validateTripIdeas(out, byId, input.days)
+  );
+  return { destination: input.destination, days: input.days, pace: input.pace, ideas: output, provider, model };
+}
+
+// ---------- Day plan ----------
+/**
+ * Lay stops out from `startMin` with travel legs between located stops and
+ * lunch (at the nearest grounded restaurant) once the morning is over.
+ * Stops that would run past `endMin` are returned as unscheduled. Times are
+ * ISO instants on the plan date's UTC clock, like itinerary items.
+ */
+function scheduleDay({ date, startMin, endMin, stops, restaurants, origin }) {
+  const day0 = date.getTime();
+  const iso = (min) => new Date(day0 + min * 60000).toISOString();
+  const lunchAt = parseClock(AI.LUNCH_AT).minutes;
+  const blocks = [];
+  const unscheduled = [];
+  let t = startMin;
+  let here = origin || null;
+  let lunched = false;
+
+  const legTo = (to) => {
+    if (!here || !to) return null;
+    const leg = estimateTransfer(here, to);
+    return leg.km > 0.05 ? { ...leg, minutes: leg.minutes + ITINERARY.TRANSFER_BUFFER_MIN } : null;
+  };
+  const place = (kind, title, duration, { ref, note } = {}) => {
+    const leg = legTo(ref?.location);
+    const arrive = t + (leg ? leg.minutes : 0);
+    if (arrive + duration > endMin) return false;
+    if (leg) {
+      blocks.push({ kind: 'travel', startISO: iso(t), endISO: iso(arrive), title: `${leg.mode === 'walk' ? 'Walk' : 'Travel'} to ${ref.name}`, mode: leg.mode, km: leg.km });
+    }
+    blocks.push({ kind, startISO: iso(arrive), endISO: iso(arrive + duration), title, ...(ref ? { ref } : {}), ...(note ? { note } : {}) });
+    t = arrive + duration;
+    if (ref?.location) here = ref.location;
+    return true;
+  };
+
+  for (const stop of stops) {
+    // Eat first when the next stop would run well past lunchtime
+    const wouldEnd = t + (legTo(stop.ref.location)?.minutes || 0) + stop.durationMin;
+    if (!lunched && t >= lunchAt - 90 && wouldEnd > lunchAt + 30) {
+      lunched = true;
+      const spot = [...restaurants].sort((a, b) => (legTo(a.location)?.km ?? 0) - (legTo(b.location)?.km ?? 0))[0];
+      place('meal', spot ? `Lunch at ${spot.name}` : 'Lunch break', AI.MEAL_MIN, spot ? { ref: refOf(spot) } : {});
+    }
+    if (!place('visit', stop.ref.name, stop.durationMin, stop)) unscheduled.push(stop.ref);
+  }
+  return { blocks, unscheduled };
+}
+
+function validateDayPlan(out, byId) {
+  if (!Array.isArray(out?.stops)) return null;
+  const seen = new Set();
+  const stops = [];
+  for (const s of out.stops) {
+    const r = byId.get(String(s?.id));
+    if (!r || !drafts.isSight(r) || seen.has(r.id)) continue;
+    seen.add(r.id);
+    const minutes = Number(s.durationMin);
+    stops.push({
+      ref: refOf(r),
+      durationMin: Number.isFinite(minutes) ? Math.min(Math.max(Math.round(minutes), 15), 240) : AI.VISIT_MIN,
+      note: clean(s.note, 200) || null
+    });
+  }
+  return stops.length ? stops.slice(0, AI.PACE_STOPS.packed) : null;
+}
+
+/**
+ * A single day in timed blocks (visit / meal / travel) around a destination.
+ * The model only picks and orders stops; timing is always computed here.
+ */
+async function dayPlan({ destination, date, start, end, interests, pace, lat, lng, locale } = {}) {
+  const day = isoDay(date, 'date') || isoDay(new Date().toISOString().slice(0, 10), 'date');
+  const input = {
+    destination: requireText(destination, 'destination').slice(0, 80),
+    interests: listOf(interests),
+    pace: paceOf(pace),
+    origin: originOf(lat, lng)
+  };
+  const startMin = clockOf(start, ITINERARY.DAY_START, 'start');
+  const endMin = clockOf(end, AI.DAY_END, 'end');
+  if (endMin <= startMin) throw ApiError.badRequest('end must be after start');
+
+  const grounding = await ground({ q: [input.destination, ...input.interests].join(' '), types: 'places,activities', origin: input.origin, locale });
+  if (!grounding.length) throw ApiError.unprocessable(`No places found for ${input.destination}`);
+  const restaurants = await ground({ q: input.destination, types: 'restaurants', origin: input.origin, locale, limit: 5 });
+
+  const byId = new Map(grounding.map((r) => [r.id, r]));
+  const prompt = buildPrompt({
+    role: 'planner',
+    task: `Pick and order about ${AI.PACE_STOPS[input.pace]} stops for one day in ${input.destination}`
+      + `${input.interests.length ? ` for someone into ${input.interests.join(', ')}` : ''}, keeping travel short. Suggest minutes at each stop and an optional short tip. ${GROUNDING_RULE}`,
+    context: { catalogue: catalogueOf(grounding), date: day.toISOString().slice(0, 10) },
+    requireJSON: true,
+    jsonSchemaHint: { stops: [{ id: 'catalogue id', durationMin: 'number', note: 'string|null' }] }
+  });
+  const { output, provider, model } = await run(
+    taskRequest('day_plan', { input, filters: {}, grounding }, prompt, true),
+    (out) => validateDayPlan(out, byId)
+  );
+
+  const { blocks, unscheduled } = scheduleDay({ date: day, startMin, endMin, stops: output, restaurants, origin: input.origin });
+  return {
+    destination: input.destination,
+    date: day.toISOString().slice(0, 10),
+    pace: input.pace,
+    blocks,
+    unscheduled,
+    provider,
+    model
+  };
+}
+
+// ---------- Packing list ----------
+function validatePackingList(out) {
+  if (!Array.isArray(out?.categories)) return null;
+  const seen = new Set();
+  const categories = out.categories.map((c) => {
+    const name = clean(c?.name, 40);
+    const items = (Array.isArray(c?.items) ? c.items : []).map((x) => {
+      const item = clean(typeof x === 'string' ? x : x?.item, 80);
+      if (!item || seen.has(item.toLowerCase())) return null;
+      seen.add(item.toLowerCase());
+      const qty = Number(x?.qty);
+      return {
+        item,
+        qty: Number.isInteger(qty) && qty > 0 ? Math.min(qty, 99) : 1,
+        essential: Boolean(x?.essential),
+        reason: clean(x?.reason, 160) || null
+      };
+    }).filter(Boolean);
+    return name && items.length ? { name, items } : null;
+  }).filter(Boolean);
+  return categories.length ? categories : null;
+}
+
+async function packingList({ destination, startDate, endDate, activities, travellers, locale } = {}) {
+  const from = isoDay(startDate, 'startDate');
+  if (!from) throw ApiError.badRequest('startDate is required');
+  const to = isoDay(endDate, 'endDate') || from;
+  if (to < from) throw ApiError.badRequest('endDate must not be before startDate');
+  const nights = Math.round((to - from) / 86400000);
+  if (nights > 60) throw ApiError.badRequest('Trips longer than 60 nights are not supported');
+
+  const input = {
+    destination: requireText(destination, 'destination').slice(0, 80),
+    startDate: from,
+    endDate: to,
+    nights,
+    activities: listOf(activities),
+    travellers: intIn(travellers, 1, 1, 20, 'travellers')
+  };
+  const grounding = await ground({ q: input.destination, types: 'places,activities', locale });
+  const prompt = buildPrompt({
+    role: 'planner',
+    task: `Packing list for ${input.travellers} traveller(s) visiting ${input.destination} from ${from.toISOString().slice(0, 10)} for ${nights} night(s)`
+      + `${input.activities.length ? `, planning ${input.activities.join(', ')}` : ''}. Quantities are totals for the group; mark essentials and give a short reason for each item.`,
+    context: { placesThere: catalogueOf(grounding) },
+    requireJSON: true,
+    jsonSchemaHint: { categories: [{ name: 'string', items: [{ item: 'string', qty: 'number', essential: 'boolean', reason: 'string' }] }] }
+  });
+  const { output, provider, model } = await run(
+    taskRequest('packing_list', { input, filters: {}, grounding }, prompt, true),
+    validatePackingList
+  );
+  return {
+    destination: input.destination,
+    startDate: from.toISOString().slice(0, 10),
+    endDate: to.toISOString().slice(0, 10),
+    nights,
+    travellers: input.travellers,
+    categories: output,
+    provider,
+    model
+  };
+}
+
+// ---------- Text tools ----------
+function languageOf(v, field, required) {
+  if (!v && !required) return null;
+  const code = String(v || '').toLowerCase();
+  if (!LANGUAGES.SUPPORTED.includes(code)) throw ApiError.badRequest(`${field} must be one of: ${LANGUAGES.SUPPORTED.join(', ')}`);
+  return code;
+}
+
+async function translate({ text, to, from } = {}) {
+  const input = { text: requireText(text), to: languageOf(to, 'to', true), from: languageOf(from, 'from', false) };
+  const prompt = buildPrompt({
+    task: `Translate the text ${input.from ? `from ${input.from} ` : ''}to ${input.to} (ISO 639-1). Keep place names recognisable. Reply with the translation only.`,
+    context: { text: input.text }
+  });
+  const { output, provider, model } = await run(taskRequest('translate', { input, filters: {}, grounding: [] }, prompt));
+  return { text: output, from: input.from, to: input.to, provider, model };
+}
+
+async function rewrite({ text, tone, maxLength } = {}) {
+  const t = tone ? String(tone).toLowerCase() : 'neutral';
+  if (!REWRITE_TONES.includes(t)) throw ApiError.badRequest(`tone must be one of: ${REWRITE_TONES.join(', ')}`);
+  const input = { text: requireText(text), tone: t, maxLength: intIn(maxLength, null, 20, AI.MAX_INPUT_CHARS, 'maxLength') };
+  const prompt = buildPrompt({
+    task: `Rewrite the text for clarity in a ${t} tone${input.maxLength ? `, in at most ${input.maxLength} characters` : ''}. Keep every fact. Reply with the rewritten text only.`,
+    context: { text: input.text }
+  });
+  const { output, provider, model } = await run(taskRequest('rewrite', { input, filters: {}, grounding: [] }, prompt));
+  return { text: input.maxLength ? output.slice(0, input.maxLength) : output, tone: t, provider, model };
+}
+
+async function summarize({ text, maxSentences } = {}) {
+  const input = { text: requireText(text), maxSentences: intIn(maxSentences, 3, 1, 10, 'maxSentences') };
+  const prompt = buildPrompt({
+    task: `Summarize the text in at most ${input.maxSentences} sentence(s). Reply with the summary only.`,
+    context: { text: input.text }
+  });
+  const { output, provider, model } = await run(taskRequest('summarize', { input, filters: {}, grounding: [] }, prompt));
+  return { summary: output, provider, model };
+}
+
+// ---------- Extraction ----------
+function validateExtraction(out, grounding) {
+  if (!out || typeof out !== 'object') return null;
+  const byKey = new Map(grounding.map((r) => [searchTokens(r.name).join(' '), r]));
+  const strings = (v) => (Array.isArray(v) ? v.filter((x) => typeof x === 'string') : []);
+  const places = [...new Set(strings(out.places).map((n) => byKey.get(searchTokens(n).join(' '))).filter(Boolean))];
+  return {
+    places: places.map(refOf),
+    emotions: strings(out.emotions).filter((e) => EMOTIONS.includes(e)),
+    categories: strings(out.categories).filter((c) => CATEGORIES.includes(c)),
+    keywords: [...new Set(strings(out.keywords).map((k) => clean(k, 40).toLowerCase()).filter(Boolean))].slice(0, 15),
+    dates: strings(out.dates).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && !Number.isNaN(Date.parse(d))),
+    amounts: (Array.isArray(out.amounts) ? out.amounts : [])
+      .filter((a) => Number.isFinite(Number(a?.value)) && /^[A-Z]{3}$/.test(String(a?.currency || '')))
+      .map((a) => ({ value: Number(a.value), currency: a.currency }))
+  };
+}
+
+/**
+ * Tag free text: catalogue places it mentions, emotions/categories from our
+ * enums, keywords, ISO dates and money amounts.
+ */
+async function extractEntities({ text, locale } = {}) {
+  const input = { text: requireText(text) };
+  const filters = heuristicFilters(input.text);
+  const grounding = await ground({ q: input.text, types: 'places,regions,hotels,restaurants,activities,trails', locale, limit: SEARCH.MAX_LIMIT });
+  const prompt = buildPrompt({
+    task: 'Extract entities from the text. places: names from context.catalogue that the text mentions. '
+      + `emotions from [${EMOTIONS.join(', ')}], categories from [${CATEGORIES.join(', ')}], up to 10 lowercase keywords, dates as YYYY-MM-DD, amounts with ISO 4217 currency.`,
+    context: { text: input.text, catalogue: catalogueOf(grounding) },
+    requireJSON: true,
+    jsonSchemaHint: { places: ['string'], emotions: ['string'], categories: ['string'], keywords: ['string'], dates: ['YYYY-MM-DD'], amounts: [{ value: 'number', currency: 'string' }] }
+  });
+  const { output, provider, model } = await run(
+    taskRequest('extract', { input, filters, grounding }, prompt, true),
+    (out) => validateExtraction(out, grounding)
+  );
+  return { ...output, provider, model };
+}
+
 module.exports = {
-  generateJourneySuggestions
+  // journeys
+  generateJourneySuggestions,
+
+  // providers
+  registerProvider,
+  getProvider,
+  listModels,
+  health,
+
+  // assistant
+  chat,
+  openChatStream,
+  tripIdeas,
+  dayPlan,
+  packingList,
+  translate,
+  rewrite,
+  summarize,
+  extractEntities
 };
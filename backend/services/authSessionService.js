@@ -0,0 +1,197 @@
+// backend/services/authSessionService.js
+
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/user');
+const { ApiError } = require('../utils/ApiError');
+const { AUTH } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+function refreshExpiry(now = new Date()) {
+  return new Date(now.getTime() + AUTH.REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+}
+// Refresh tokens are "<sessionId>.<secret>" so a lookup never scans by hash
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+function sessionIdOf(refreshToken) {
+  const [sid, secret] = String(refreshToken || '').split('.');
+  return sid && secret && isObjectId(sid) ? sid : null;
+}
+
+function tokenPair(user, session, refreshToken) {
+  const accessToken = user.generateAuthToken(session._id);
+  const { exp } = jwt.decode(accessToken) || {};
+  return {
+    accessToken,
+    accessTokenExpiresAt: exp ? new Date(exp * 1000).toISOString() : null,
+    refreshToken,
+    refreshTokenExpiresAt: new Date(session.expiresAt).toISOString(),
+    sessionId: String(session._id)
+  };
+}
+
+function publicSession(s, currentSessionId) {
+  return {
+    _id: s._id,
+    deviceName: s.deviceName || null,
+    userAgent: s.userAgent || null,
+    ip: s.ip || null,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt,
+    expiresAt: s.expiresAt,
+    current: Boolean(currentSessionId) && String(s._id) === String(currentSessionId)
+  };
+}
+
+function activeFilter(now = new Date()) {
+  return { revokedAt: null, expiresAt: { $gt: now } };
+}
+
+// ---------- Issue / rotate ----------
+/**
+ * Start a device session for a signed-in user and return its token pair.
+ * Beyond AUTH.MAX_SESSIONS_PER_USER the least recently used sessions end.
+ */
+async function createSession(user, { userAgent, ip, deviceName } = {}) {
+  const now = new Date();
+  const _id = new mongoose.Types.ObjectId();
+  const refreshToken = newRefreshToken(_id);
+  const session = await AuthSession.create({
+    _id,
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    deviceName,
+    userAgent,
+    ip,
+    lastUsedAt: now,
+    expiresAt: refreshExpiry(now)
+  });
+
+  const active = await AuthSession.find({ userId: user._id, ...activeFilter(now) })
+    .sort({ lastUsedAt: -1 })
+    .select({ _id: 1 })
+    .lean();
+  const overflow = active.slice(AUTH.MAX_SESSIONS_PER_USER).map((s) => s._id);
+  if (overflow.length) {
+    await AuthSession.updateMany(
+      { _id: { $in: overflow } },
+      { $set: { revokedAt: now, revokedReason: 'session_limit' } }
+    );
+  }
+
+  return tokenPair(user, session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new pair. The presented token is retired
+ * atomically; presenting a retired token again revokes the whole session,
+ * since only a copy of the token could do that.
+ */
+async function refreshSession(refreshToken, { userAgent, ip } = {}) {
+  const sid = sessionIdOf(refreshToken);
+  if (!sid) throw ApiError.unauthorized('Invalid refresh token');
+
+  const now = new Date();
+  const presented = hashToken(refreshToken);
+  const next = newRefreshToken(sid);
+  const session = await AuthSession.findOneAndUpdate(
+    { _id: sid, tokenHash: presented, ...activeFilter(now) },
+    {
+      $set: {
+        tokenHash: hashToken(next),
+        previousTokenHash: presented,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(now),
+        ...(userAgent ? { userAgent } : {}),
+        ...(ip ? { ip } : {})
+      }
+    },
+    { new: true }
+  ).lean();
+
+  if (!session) {
+    const reused = await AuthSession.findOneAndUpdate(
+      { _id: sid, previousTokenHash: presented, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    ).lean();
+    throw ApiError.unauthorized(reused ? 'Refresh token was already used; the session has been revoked' : 'Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || user.isActive === false) {
+    await AuthSession.updateOne({ _id: sid }, { $set: { revokedAt: now, revokedReason: 'account_deactivated' } });
+    throw user ? ApiError.forbidden('Account is deactivated') : ApiError.unauthorized('User not found');
+  }
+
+  return { user, tokens: tokenPair(user, session, next) };
+}
+
+// ---------- Checks ----------
+async function isSessionActive(sessionId) {
+  if (!isObjectId(sessionId)) return false;
+  return Boolean(await AuthSession.exists({ _id: sessionId, ...activeFilter() }));
+}
+
+// ---------- Listing / revocation ----------
+async function listSessions(userId, currentSessionId) {
+  const items = await AuthSession.find({ userId, ...activeFilter() })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+  return items.map((s) => publicSession(s, currentSessionId));
+}
+
+async function revokeSession(userId, sessionId, reason = 'user_revoked') {
+  if (!isObjectId(sessionId)) return null;
+  const res = await AuthSession.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return res.modifiedCount > 0 ? { id: String(sessionId) } : null;
+}
+
+async function revokeAllSessions(userId, { reason = 'user_revoked', exceptSessionId } = {}) {
+  const res = await AuthSession.updateMany(
+    { userId, revokedAt: null, ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {}) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return res.modifiedCount || 0;
+}
+
+/**
+ * End every session and reject access tokens already handed out (including
+ * pre-session tokens without a `sid`). Used on password change and
+ * account deactivation.
+ */
+async function invalidateAllTokens(userId, reason) {
+  await User.updateOne({ _id: userId }, { $set: { tokensValidAfter: new Date() } });
+  return revokeAllSessions(userId, { reason });
+}
+
+module.exports = {
+  // issue / rotate
+  createSession,
+  refreshSession,
+
+  // checks
+  isSessionActive,
+
+  // listing / revocation
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  invalidateAllTokens
+};
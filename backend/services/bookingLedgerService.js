@@ -0,0 +1,318 @@
+// backend/services/bookingLedgerService.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+const Booking = require('../models/booking/Booking');
+const Restaurant = require('../models/Restaurant');
+const seatInventory = require('./seatInventoryService');
+const { ApiError } = require('../utils/ApiError');
+const { BOOKING_STATUS, BOOKING_TRANSITIONS, BOOKING_KINDS } = require('../utils/constants');
+
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+const DEFAULT_HOLD_TTL_MS = 15 * 60 * 1000;
+const OPEN_STATES = ['held', 'pending_payment'];
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function coerceInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+function toDate(v) {
+  if (!v) return undefined;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+function canTransition(from, to) {
+  return (BOOKING_TRANSITIONS[from] || []).includes(to);
+}
+function makeReference(kind) {
+  const prefix = { hotel: 'HTL', train: 'TRN', flight: 'FLT', bus: 'BUS', restaurant: 'RST', activity: 'ACT', experience: 'EXP' }[kind] || 'BKG';
+  return `${prefix}${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+}
+
+// ---------- Ledger ----------
+/**
+ * Record a booking in the ledger. New bookings start as 'held' (inventory
+ * reserved) or 'pending_payment' (checkout submitted); the first history
+ * entry records the initial state. Open bookings always carry holdExpiresAt
+ * (default 15 minutes) so the sweeper can expire them.
+ */
+async function createBooking({
+  _id,
+  kind,
+  userId,
+  itemId,
+  title,
+  startDate,
+  endDate,
+  guests = 1,
+  amount = 0,
+  currency = 'INR',
+  status = 'held',
+  holdExpiresAt,
+  payment,
+  reference,
+  details,
+  cancellationPolicy,
+  actorId
+}) {
+  if (!BOOKING_KINDS[kind]) throw ApiError.badRequest(`Unsupported booking kind: ${kind}`);
+  if (!userId || !isObjectId(userId)) throw ApiError.unauthorized('Sign in to book');
+  if (!OPEN_STATES.includes(status)) throw ApiError.badRequest(`New bookings must start as ${OPEN_STATES.join(' or ')}`);
+
+  const doc = await Booking.create({
+    ...(_id ? { _id } : {}),
+    kind,
+    userId,
+    itemId: itemId && isObjectId(itemId) ? itemId : undefined,
+    experienceId: kind === 'experience' && itemId && isObjectId(itemId) ? itemId : undefined,
+    title,
+    startDate: toDate(startDate),
+    endDate: toDate(endDate),
+    guests: coerceInt(guests, 1),
+    price: Number(amount) || 0,
+    currency: currency || 'INR',
+    status,
+    holdExpiresAt: toDate(holdExpiresAt) || new Date(Date.now() + DEFAULT_HOLD_TTL_MS),
+    payment: payment || undefined,
+    reference: reference || makeReference(kind),
+    details,
+    cancellationPolicy: cancellationPolicy || undefined,
+    history: [{ from: null, to: status, by: actorId || userId, reason: 'created' }]
+  });
+  return doc.toObject();
+}
+
+/**
+ * Client quotes are only a checksum: book* functions re-price on the server and
+ * refuse with 409 (carrying the fresh quote) when the price the traveller saw
+ * no longer matches. Without a client quote there is nothing to compare.
+ */
+function assertQuoteMatches(expected, quote) {
+  const seen = expected?.price;
+  if (!seen) return;
+  const price = quote?.price || {};
+  const amount = (p) => Number(p.totalAmount ?? p.amount);
+  if (amount(seen) !== amount(price) || (seen.currency && seen.currency !== price.currency)) {
+    throw ApiError.conflict('Price has changed; review the new quote', { quote });
+  }
+}
+
+/**
+ * Shared entry point for the per-inventory book* functions: the booking is
+ * 'pending_payment' when the traveller submitted payment details, otherwise
+ * 'held' until checkout. Nothing is confirmed before payment is captured.
+ * `quote` must be priced on the server; its amount is what gets charged.
+ */
+function createFromCheckout({ quote, payment, ...rest }) {
+  const price = quote?.price || {};
+  return createBooking({
+    amount: price.totalAmount ?? price.amount ?? 0,
+    currency: price.currency || payment?.currency || 'INR',
+    holdExpiresAt: quote?.holdExpiryISO,
+    ...rest,
+    status: payment ? 'pending_payment' : 'held',
+    payment: payment
+      ? {
+        method: payment.method,
+        amount: price.totalAmount ?? price.amount,
+        currency: price.currency || payment.currency
+      }
+      : undefined
+  });
+}
+
+/**
+ * Move a booking to `to`, enforcing BOOKING_TRANSITIONS. The status check and
+ * write are a single conditional update, so concurrent moves cannot both win.
+ * - set: extra fields written with the move (payment, paymentStatus, ...)
+ * - userId: when given, only that user's booking is matched
+ */
+async function transition(bookingId, to, { actorId, reason, meta, set = {}, userId } = {}) {
+  if (!isObjectId(bookingId)) return null;
+  if (!BOOKING_STATUS.includes(to)) throw ApiError.badRequest(`Unknown booking status: ${to}`);
+
+  const match = { _id: bookingId };
+  if (userId) match.userId = userId;
+  const current = await Booking.findOne(match).select({ status: 1 }).lean();
+  if (!current) return null;
+  if (!canTransition(current.status, to)) {
+    throw ApiError.conflict(`Cannot move booking from ${current.status} to ${to}`, {
+      from: current.status,
+      to,
+      allowed: BOOKING_TRANSITIONS[current.status] || []
+    });
+  }
+
+  const entry = { from: current.status, to, at: new Date(), by: actorId || undefined, reason, meta };
+  const updated = await Booking.findOneAndUpdate(
+    { ...match, status: current.status },
+    { $set: { ...set, status: to }, $push: { history: entry } },
+    { new: true }
+  ).lean();
+  if (!updated) throw ApiError.conflict('Booking was updated concurrently; retry', { from: current.status, to });
+
+  // Seats go back on sale once a train/bus booking is no longer live
+  if (to === 'cancelled' && (updated.kind === 'train' || updated.kind === 'bus')) {
+    await seatInventory.releaseBookedSeats({ bookingRef: String(updated._id) });
+  }
+  if (to === 'cancelled' && updated.kind === 'restaurant') await releaseTable(updated);
+  return updated;
+}
+
+/**
+ * Return a restaurant booking's covers to the slot it was taken from.
+ */
+async function releaseTable({ itemId, guests, details }) {
+  if (!itemId || !details?.slotStartISO) return false;
+  const res = await Restaurant.updateOne(
+    { _id: itemId, 'availability.slots.startISO': details.slotStartISO },
+    { $inc: { 'availability.slots.$.capacity': coerceInt(guests, 1) } }
+  );
+  return res.modifiedCount > 0;
+}
+
+function submitForPayment(bookingId, { actorId, payment, holdExpiresAt } = {}) {
+  const set = {};
+  if (payment) set.payment = payment;
+  if (holdExpiresAt) set.holdExpiresAt = toDate(holdExpiresAt);
+  return transition(bookingId, 'pending_payment', { actorId, reason: 'checkout', set });
+}
+
+function confirm(bookingId, { actorId, payment, reason = 'payment_captured' } = {}) {
+  const set = { holdExpiresAt: null };
+  if (payment) {
+    set.payment = { ...payment, capturedAt: payment.capturedAt || new Date() };
+    set.paymentStatus = 'paid';
+  }
+  return transition(bookingId, 'confirmed', { actorId, reason, set });
+}
+
+function cancel(bookingId, { actorId, userId, reason = 'user_cancelled', meta, set = {} } = {}) {
+  return transition(bookingId, 'cancelled', { actorId, userId, reason, meta, set: { ...set, holdExpiresAt: null } });
+}
+
+function refund(bookingId, { actorId, reason = 'refunded', meta, set = {} } = {}) {
+  return transition(bookingId, 'refunded', {
+    actorId,
+    reason,
+    meta,
+    set: { ...set, paymentStatus: 'refunded', 'payment.refundedAt': new Date() }
+  });
+}
+
+function complete(bookingId, { actorId, reason = 'completed' } = {}) {
+  return transition(bookingId, 'completed', { actorId, reason });
+}
+
+// ---------- Queries ----------
+/**
+ * The user's bookings across every kind, newest first.
+ */
+async function listForUser(userId, { kind, status, page = 1, limit = 20 } = {}) {
+  const p = coerceInt(page, 1);
+  const l = Math.min(coerceInt(limit, 20), 100);
+  const match = { userId };
+  if (kind) match.kind = { $in: String(kind).split(',').filter((k) => BOOKING_KINDS[k]) };
+  if (status) match.status = { $in: String(status).split(',').filter((s) => BOOKING_STATUS.includes(s)) };
+
+  const [items, total] = await Promise.all([
+    Booking.find(match).sort({ createdAt: -1 }).skip((p - 1) * l).limit(l).lean(),
+    Booking.countDocuments(match)
+  ]);
+  return { items, page: p, limit: l, total, hasMore: (p - 1) * l + items.length < total };
+}
+
+async function getById(bookingId) {
+  if (!isObjectId(bookingId)) return null;
+  return Booking.findById(bookingId).lean();
+}
+
+async function getForUser(bookingId, userId) {
+  if (!isObjectId(bookingId)) return null;
+  return Booking.findOne({ _id: bookingId, userId }).lean();
+}
+
+/**
+ * Write bookkeeping fields that do not change the status (refund references).
+ */
+async function annotate(bookingId, set) {
+  if (!isObjectId(bookingId)) return null;
+  return Booking.findByIdAndUpdate(bookingId, { $set: set }, { new: true }).lean();
+}
+
+async function hasCompletedBooking({ userId, kind, itemId }) {
+  if (!userId || !isObjectId(itemId)) return false;
+  return Boolean(await Booking.exists({ userId, kind, itemId, status: 'completed' }));
+}
+
+// ---------- Hold expiry ----------
+/**
+ * Cancel held/pending bookings whose hold lapsed before payment.
+ */
+async function expireStaleHolds(now = new Date()) {
+  const stale = await Booking.find({ status: { $in: OPEN_STATES }, holdExpiresAt: { $lte: now } })
+    .select({ _id: 1 })
+    .limit(500)
+    .lean();
+
+  let count = 0;
+  for (const b of stale) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      if (await cancel(b._id, { reason: 'hold_expired' })) count += 1;
+    } catch (err) {
+      // Paid or cancelled in the meantime; nothing to expire
+      if (!(err instanceof ApiError) || err.status !== 409) throw err;
+    }
+  }
+  return count;
+}
+
+let sweepTimer = null;
+
+function startExpirySweeper({ intervalMs = DEFAULT_SWEEP_INTERVAL_MS } = {}) {
+  if (sweepTimer) return sweepTimer;
+  sweepTimer = setInterval(() => {
+    expireStaleHolds().catch((err) => console.error('Booking hold sweep failed:', err.message || err));
+  }, intervalMs);
+  if (typeof sweepTimer.unref === 'function') sweepTimer.unref();
+  return sweepTimer;
+}
+
+function stopExpirySweeper() {
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  canTransition,
+
+  // ledger
+  createBooking,
+  createFromCheckout,
+  assertQuoteMatches,
+  transition,
+  submitForPayment,
+  confirm,
+  cancel,
+  refund,
+  complete,
+  annotate,
+  releaseTable,
+
+  // queries
+  listForUser,
+  getById,
+  getForUser,
+  hasCompletedBooking,
+
+  // expiry
+  expireStaleHolds,
+  startExpirySweeper,
+  stopExpirySweeper
+};
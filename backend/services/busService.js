@@ -5,6 +5,12 @@
 const mongoose = require('mongoose');
 const Bus = require('../models/Bus');
 const BusStop = require('../models/BusStop');
+const seatInventory = require('./seatInventoryService');
+const bookingLedger = require('./bookingLedgerService');
+const payments = require('./paymentService');
+const calendar = require('./serviceCalendarService');
+const fareService = require('./fareService');
+const { ApiError } = require('../utils/ApiError');
 
 function isObjectId(id) {
   return mongoose.Types.ObjectId.isValid(id);
@@ -24,10 +30,11 @@ function toISO(d) {
   return new Date(d).toISOString();
 }
 
-function weekdayKey(dateISO) {
-  const d = new Date(dateISO);
-  const day = d.getUTCDay(); // 0=Sun ... 6=Sat
-  return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][day];
+function serviceDate(date) {
+  if (!date) return null;
+  const d = calendar.normDate(date);
+  if (!d) throw ApiError.badRequest('date must be YYYY-MM-DD');
+  return d;
 }
 
 async function resolveStopRef(idOrCode) {
@@ -42,7 +49,8 @@ async function resolveStopRef(idOrCode) {
 
 /**
  * Search buses by origin/destination/date with optional operator/class filters.
- * Applies validity window and service-days constraints, and ensures origin precedes destination in the stops array.
+ * Applies the service calendar (weekly days within validity plus calendar exceptions) for the date,
+ * dates stop times onto it, and ensures origin precedes destination in the stops array.
  */
 async function searchBuses({
   origin,                  // stationId or stop_code
@@ -73,19 +81,14 @@ async function searchBuses({
     ? classes
     : (classes ? String(classes).split(',').map((s) => s.trim()).filter(Boolean) : []);
 
-  const dateISO = date ? new Date(`${date}T00:00:00Z`).toISOString() : null;
-  const wk = dateISO ? weekdayKey(dateISO) : null;
+  const day = serviceDate(date);
 
   const baseMatch = { isActive: true };
   if (operatorArr.length) baseMatch.operator = { $in: operatorArr };
   if (classArr.length) baseMatch.classes = { $in: classArr };
-  if (dateISO) {
-    baseMatch['validity.startDate'] = { $lte: new Date(dateISO) };
-    baseMatch['validity.endDate'] = { ...(baseMatch['validity.endDate'] || {}), $gte: new Date(dateISO) };
-  }
-  if (wk) {
-    baseMatch[`serviceDays.${wk}`] = true;
-  }
+  if (day) Object.assign(baseMatch, calendar.serviceMatch([day]));
+  // Stops reference BusStop via stopRefId; older documents used stationRefId
+  const stopIdOf = { $ifNull: ['$$s.stopRefId', '$$s.stationRefId'] };
 
   // Build pipeline to ensure origin < destination in stops
   const pipeline = [
@@ -96,7 +99,7 @@ async function searchBuses({
           $map: {
             input: '$stops',
             as: 's',
-            in: '$$s.stationRefId'
+            in: stopIdOf
           }
         }
       }
@@ -175,7 +178,8 @@ async function searchBuses({
         destStop: 1,
         fareMin: 1,
         fareCurrency: 1,
-        coordinatesGeoJSON: 1
+        coordinatesGeoJSON: 1,
+        ...calendar.LEG_PROJECTION
       }
     }
   ];
@@ -199,14 +203,14 @@ async function searchBuses({
   pipeline.push({ $skip: skip });
   pipeline.push({ $limit: l });
 
-  const [items, totalAgg] = await Promise.all([
+  const [rows, totalAgg] = await Promise.all([
     Bus.aggregate(pipeline),
     Bus.aggregate([
       { $match: baseMatch },
       {
         $addFields: {
           _st_stationIds: {
-            $map: { input: '$stops', as: 's', in: '$$s.stationRefId' }
+            $map: { input: '$stops', as: 's', in: stopIdOf }
           }
         }
       },
@@ -220,7 +224,7 @@ async function searchBuses({
         $match: {
           _idxOrigin: { $gte: 0 },
           _idxDest: { $gte: 0 },
-          $expr: { $lt: ['$_idxOrigin', '_idxDest'] }
+          $expr: { $lt: ['$_idxOrigin', '$_idxDest'] }
         }
       },
       { $count: 'count' }
@@ -228,6 +232,13 @@ async function searchBuses({
   ]);
 
   const total = totalAgg?.[0]?.count || 0;
+  const items = day
+    ? rows.map((r) => calendar.legOn(r, day))
+    : rows.map(({ calendarExceptions, _serviceAnchor, ...r }) => r);
+  // Re-timings can reorder a page sorted on stored times
+  if (day && (sort === 'departure' || !sort)) {
+    items.sort((a, b) => (Date.parse(a.departureISO) || 0) - (Date.parse(b.departureISO) || 0));
+  }
   return {
     items,
     page: p,
@@ -324,7 +335,7 @@ async function getBusRoute(busId) {
 
   // Fallback: attempt to assemble LineString from stop coordinates
   const stopIds = (bus.stops || [])
-    .map((s) => s.stationRefId)
+    .map((s) => s.stopRefId || s.stationRefId)
     .filter(Boolean)
     .map((id) => new mongoose.Types.ObjectId(id));
   const points = await BusStop.find({ _id: { $in: stopIds } })
@@ -333,7 +344,7 @@ async function getBusRoute(busId) {
 
   const coordMap = new Map(points.map((p) => [String(p._id), p.location?.coordinates].filter(Boolean)));
   const coords = (bus.stops || [])
-    .map((s) => coordMap.get(String(s.stationRefId)))
+    .map((s) => coordMap.get(String(s.stopRefId || s.stationRefId)))
     .filter(Array.isArray);
 
   if (coords.length >= 2) {
@@ -380,24 +391,6 @@ async function getBusesGeoJSON({ operator, limit = 500 } = {}) {
   return { type: 'FeatureCollection', features };
 }
 
-/**
- * Live status stub for a bus trip id.
- * Integrate provider telemetry here (positions/ETA) if available.
- */
-async function getLiveStatus(busId) {
-  const bus = await getBusById(busId);
-  if (!bus) return null;
-
-  // Placeholder without real telemetry
-  return {
-    busId: String(bus._id),
-    number: bus.number,
-    operator: bus.operator,
-    lastKnown: null,
-    etaMinutes: null
-  };
-}
-
 /**
  * Simple seat-map generator when upstream provider doesn't supply layouts.
  * Produces a 2x2 per row layout for STD, and 2x1 for AC as a default heuristic.
@@ -420,62 +413,189 @@ function generateSeatMap({ classCode = 'STD', rows = 12 }) {
   return { classCode, rows: layout.length, cols: seatsPerRow, layout };
 }
 
+// Seat labels for the persisted inventory; a bus is modeled as a single deck per class
+function buildCoaches(classCode) {
+  const m = generateSeatMap({ classCode });
+  return [{ coach: classCode, rows: m.rows, cols: m.cols, layout: m.layout.map((row) => row.map((s) => s.seat)) }];
+}
+
 /**
  * Seat map for a given bus and class.
+ * With a travel date, availability comes from SeatInventory (booked/held seats are unavailable).
  */
-async function getSeatMap({ busId, classCode = 'STD' }) {
+async function getSeatMap({ busId, classCode = 'STD', date }) {
   const bus = await getBusById(busId);
   if (!bus) return null;
 
   // If bus has a provider seat-map, return it here (not modeled in demo)
-  return generateSeatMap({ classCode });
+  if (!date) return generateSeatMap({ classCode });
+
+  const map = await seatInventory.getSeatMap({
+    vehicleType: 'bus',
+    vehicleId: bus._id,
+    travelDate: date,
+    classCode,
+    buildCoaches: () => buildCoaches(classCode)
+  });
+  const deck = map?.coaches?.[0];
+  if (!deck) return null;
+  return {
+    classCode,
+    date: map.travelDate,
+    rows: deck.rows,
+    cols: deck.cols,
+    layout: deck.layout,
+    counts: map.counts
+  };
 }
 
 /**
- * Fare quote for a bus: picks fare for requested class or cheapest available.
+ * Fare quote for a bus ride, priced by fareService for the boarding/alighting
+ * stops (whole route by default) and passenger mix, itemized in price.breakdown.
  * Returns ISO 8601 hold expiry for UI countdown.
  */
 async function getFareQuote({
   busId,
   classCode,
-  passengers = 1,
-  currency // optional override
+  originStopSeq,
+  destinationStopSeq,
+  fromStopId, // id or stop_code, when seqs are not given
+  toStopId,
+  passengers = 1, // count, { adult, child, ... } or [{ category?, age? }]
+  currency, // optional; amounts are converted
+  date,     // YYYY-MM-DD; required when seats are given
+  seats,    // optional seat labels to hold for the quote
+  userId
 }) {
   const bus = await getBusById(busId);
   if (!bus) return null;
 
-  const fares = Array.isArray(bus.fares) ? bus.fares : [];
-  let fare = null;
-
-  if (classCode) {
-    fare = fares.find((f) => f.classCode === classCode) || null;
-  }
-  if (!fare) {
-    // cheapest
-    fare = fares.reduce((acc, f) => {
-      const m = typeof f.min === 'number' ? f.min : Number.MAX_SAFE_INTEGER;
-      if (!acc || m < acc.min) return f;
-      return acc;
-    }, null);
+  const [fromRef, toRef] = await Promise.all([resolveStopRef(fromStopId), resolveStopRef(toStopId)]);
+  if ((fromStopId && !fromRef) || (toStopId && !toRef)) throw ApiError.badRequest('Unknown stop');
+
+  const priced = await fareService.priceRide({
+    mode: 'bus',
+    trip: bus,
+    classCode,
+    fromSeq: originStopSeq,
+    toSeq: destinationStopSeq,
+    fromStopId: fromRef,
+    toStopId: toRef,
+    passengers,
+    date,
+    currency
+  });
+  if (!priced) return null;
+
+  // Reserve the selected seats for the lifetime of the quote
+  let hold = null;
+  const seatList = Array.isArray(seats) ? seats : (seats ? String(seats).split(',').map((s) => s.trim()).filter(Boolean) : []);
+  if (seatList.length) {
+    if (!date) throw ApiError.badRequest('date is required to hold seats');
+    if (seatList.length !== priced.passengers.seated) throw ApiError.badRequest('Number of seats must match passengers who need a seat');
+    hold = await seatInventory.holdSeats({
+      vehicleType: 'bus',
+      vehicleId: bus._id,
+      travelDate: date,
+      classCode: priced.classCode,
+      seats: seatList,
+      userId,
+      buildCoaches: () => buildCoaches(priced.classCode)
+    });
   }
-  if (!fare) return null;
 
-  const unit = fare.min ?? 0;
-  const curr = currency || fare.currency || 'INR';
-  const qty = coerceInt(passengers, 1);
-  const total = unit * qty;
+  return quoteOf(bus, priced, { date, hold });
+}
 
+function quoteOf(bus, priced, { date, hold }) {
   return {
     busId: String(bus._id),
     number: bus.number,
     operator: bus.operator,
-    classCode: fare.classCode,
-    passengers: qty,
-    price: { currency: curr, unitAmount: unit, totalAmount: total },
-    holdExpiryISO: toISO(Date.now() + 15 * 60 * 1000)
+    date: date || null,
+    classCode: priced.classCode,
+    originStopSeq: priced.segment.fromSeq,
+    destinationStopSeq: priced.segment.toSeq,
+    segment: priced.segment,
+    passengers: priced.passengers.total,
+    passengerMix: priced.passengers.counts,
+    price: priced.price,
+    holdId: hold ? hold.holdId : null,
+    seats: hold ? hold.seats : [],
+    holdExpiryISO: hold ? hold.expiresAtISO : null
   };
 }
 
+/**
+ * Release a quote's seat hold before it expires (checkout abandoned).
+ */
+async function releaseSeatHold(holdId, { userId } = {}) {
+  return seatInventory.releaseHold({ holdId, userId });
+}
+
+/**
+ * Book a bus using a quote. The fare is priced again for the quoted class,
+ * segment and the booked passengers and must equal the quoted price (409 with
+ * the fresh quote). A seat hold for every seated passenger is required; it
+ * is committed to the booking first, so an expired or released hold aborts
+ * the booking with 409.
+ */
+async function bookBus(busId, { quote, contact, passengers, payment, userId }) {
+  const bus = await getBusById(busId);
+  if (!bus) return null;
+  if (!quote) throw ApiError.badRequest('quote is required');
+  if (!quote.holdId) throw ApiError.badRequest('Hold seats with a quote before booking');
+  if (payment) payments.assertAvailable();
+
+  const priced = await fareService.priceRide({
+    mode: 'bus',
+    trip: bus,
+    classCode: quote.classCode,
+    fromSeq: quote.originStopSeq,
+    toSeq: quote.destinationStopSeq,
+    passengers: Array.isArray(passengers) && passengers.length ? passengers : quote.passengerMix || quote.passengers,
+    date: quote.date,
+    currency: quote.price?.currency
+  });
+  if (!priced) throw ApiError.badRequest('Class is not offered on this bus');
+  const fresh = quoteOf(bus, priced, { date: quote.date });
+  bookingLedger.assertQuoteMatches(quote, fresh);
+
+  const bookingId = new mongoose.Types.ObjectId();
+  const { seats } = await seatInventory.commitHold({
+    holdId: quote.holdId,
+    bookingRef: String(bookingId),
+    userId,
+    vehicleType: 'bus',
+    vehicleId: bus._id,
+    travelDate: fresh.date,
+    classCode: fresh.classCode,
+    seatCount: priced.passengers.seated
+  });
+  const booked = { ...fresh, holdId: quote.holdId, seats };
+
+  let booking;
+  try {
+    booking = await bookingLedger.createFromCheckout({
+      _id: bookingId,
+      kind: 'bus',
+      userId,
+      itemId: bus._id,
+      title: `${bus.number} ${bus.name || ''}`.trim(),
+      startDate: booked.date,
+      guests: booked.passengers,
+      quote: booked,
+      payment,
+      details: { number: bus.number, operator: bus.operator, quote: booked, contact, passengers, seats }
+    });
+  } catch (err) {
+    // Ledger write failed; put the committed seats back on sale
+    await seatInventory.releaseBookedSeats({ bookingRef: String(bookingId) });
+    throw err;
+  }
+  return payment ? payments.payForBooking(booking, { ...payment, userId }) : booking;
+}
+
 module.exports = {
   searchBuses,
   suggestBuses,
@@ -484,7 +604,8 @@ module.exports = {
   getBusById,
   getBusRoute,
   getBusesGeoJSON,
-  getLiveStatus,
   getSeatMap,
-  getFareQuote
+  getFareQuote,
+  releaseSeatHold,
+  bookBus
 };
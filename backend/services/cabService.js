@@ -3,9 +3,12 @@
 'use strict';
 
 const mongoose = require('mongoose');
-const CabRide = require('../models/CabRide');          // booking model
-const Driver = require('../models/Driver');            // live driver positions
-const Payment = require('../models/Payment');          // optional, if present
+const CabRide = require('../models/CabRide');
+const Driver = require('../models/Driver');
+const payments = require('./paymentService');
+const webhookSignature = require('../utils/webhookSignature');
+const { ApiError } = require('../utils/ApiError');
+const { CANCELLATION } = require('../utils/constants');
 
 // ---------- Utility ----------
 function isObjectId(id) {
@@ -243,48 +246,112 @@ async function getRideRoute(rideId) {
   return { type: 'FeatureCollection', features: [] };
 }
 
-async function cancelRide(rideId, reason = 'user_canceled') {
+/**
+ * Cancel a live ride. Free until a driver is assigned; after that the flat
+ * CANCELLATION.CAB_FEE_AFTER_ASSIGNMENT is kept and the rest of a paid fare
+ * is refunded (keyed per ride, so retries never refund twice).
+ */
+async function cancelRide({ rideId, reasonCode = 'user_canceled', note, userId } = {}) {
+  if (!isObjectId(rideId)) return { success: false, message: 'Ride not found' };
+
+  const match = { _id: rideId, state: { $nin: ['completed', 'canceled'] } };
+  if (userId) match.userId = userId;
+  const current = await CabRide.findOne(match).lean();
+  if (!current) return { success: false, message: 'Ride not found or already finished' };
+
+  const currency = current.payment?.currency || current.priceQuote?.currency || 'INR';
+  const fee = current.driverId ? CANCELLATION.CAB_FEE_AFTER_ASSIGNMENT : 0;
+  const paid = current.payment?.state === 'paid' ? Number(current.payment.amount) || 0 : 0;
+  const refundAmount = Math.max(0, Math.round((paid - fee) * 100) / 100);
+
   const ride = await CabRide.findOneAndUpdate(
-    { _id: rideId, state: { $nin: ['completed', 'canceled'] } },
-    { $set: { state: 'canceled', cancelReason: reason, updatedAtISO: toISO(Date.now()) } },
+    { ...match, state: current.state },
+    {
+      $set: {
+        state: 'canceled',
+        cancelReason: reasonCode,
+        cancellation: { atISO: toISO(Date.now()), reasonCode, note, fee, refundAmount, currency },
+        updatedAtISO: toISO(Date.now())
+      }
+    },
     { new: true }
   ).lean();
+  if (!ride) return { success: false, message: 'Ride was updated concurrently; retry' };
+
+  if (refundAmount > 0 && current.payment?.paymentId) {
+    const payment = await payments.refundPayment(current.payment.paymentId, {
+      amount: refundAmount,
+      reason: reasonCode,
+      idempotencyKey: `cancel:ride:${ride._id}`,
+      actorId: userId
+    });
+    await CabRide.updateOne({ _id: ride._id }, { $set: { 'payment.state': payment.status } });
+  }
 
-  return ride;
+  return { success: true, state: ride.state, fee, refundAmount, currency };
 }
 
-async function payForRide(rideId, { amount, currency, method, txnRef }) {
+/**
+ * Charge a ride's quoted fare through the configured payment gateway; the ride
+ * is marked paid only once the charge is captured. Only the rider can pay
+ * (null otherwise, like an unknown ride), and only for a ride that is still
+ * open and unpaid. Without a caller key each attempt gets its own, so a
+ * declined card can be retried.
+ */
+async function payForRide(rideId, { method, idempotencyKey, userId }) {
   const ride = await getRideById(rideId);
-  if (!ride) return null;
+  if (!ride || String(ride.userId) !== String(userId)) return null;
+  if (['completed', 'canceled'].includes(ride.state)) {
+    throw ApiError.conflict(`Ride is ${ride.state}; nothing to pay`, { state: ride.state });
+  }
+  if (ride.payment?.state && ride.payment.state !== 'pending') {
+    throw ApiError.conflict('Ride is already paid', { paymentState: ride.payment.state });
+  }
 
-  // Optional: create a Payment record
-  let paymentRecord = null;
-  if (Payment) {
-    paymentRecord = await Payment.create({
-      rideId: ride._id,
-      amount,
-      currency,
-      method,
-      txnRef,
-      status: 'captured',
-      capturedAtISO: toISO(Date.now())
-    });
+  const payment = await payments.charge({
+    idempotencyKey: idempotencyKey || await payments.attemptKey(`ride:${ride._id}`, { rideId: ride._id }),
+    method,
+    amount: ride.priceQuote?.unitAmount,
+    currency: ride.priceQuote?.currency || 'INR',
+    userId: userId || ride.userId,
+    rideId: ride._id
+  });
+
+  if (payment.status !== 'captured') {
+    return { ride, payment };
   }
 
-  const updated = await CabRide.findByIdAndUpdate(
-    ride._id,
-    { $set: { 'payment.state': 'paid', 'payment.amount': amount, 'payment.currency': currency, updatedAtISO: toISO(Date.now()) } },
+  const updated = await CabRide.findOneAndUpdate(
+    { _id: ride._id, 'payment.state': { $ne: 'paid' } },
+    {
+      $set: {
+        'payment.state': 'paid',
+        'payment.amount': payment.amountCaptured,
+        'payment.currency': payment.currency,
+        'payment.paymentId': payment._id,
+        updatedAtISO: toISO(Date.now())
+      }
+    },
     { new: true }
   ).lean();
 
-  return { ride: updated, payment: paymentRecord || null };
+  return { ride: updated, payment };
 }
 
-// ---------- Provider webhooks (demo stub) ----------
-async function handleWebhook(provider, payload) {
-  // Example provider payload mapping
+// ---------- Provider webhooks ----------
+/**
+ * Ride status updates pushed by a cab provider. Deliveries must be signed with
+ * CAB_WEBHOOK_SECRET (see utils/webhookSignature) over the raw request body.
+ */
+async function handleWebhook(provider, payload, { rawBody, signature } = {}) {
+  try {
+    webhookSignature.verify(rawBody || JSON.stringify(payload || {}), signature, process.env.CAB_WEBHOOK_SECRET);
+  } catch (err) {
+    throw ApiError.unauthorized('Invalid webhook signature', { provider, reason: err.code || err.message });
+  }
+
   // Expect: { rideId, state, driver:{ id, location }, position:{ lng, lat }, etaMin }
-  if (!payload?.rideId) return { ok: false };
+  if (!payload?.rideId || !isObjectId(payload.rideId)) return { ok: false };
 
   const updates = {};
   if (payload.state) updates.state = payload.state;
@@ -303,6 +370,7 @@ async function handleWebhook(provider, payload) {
 module.exports = {
   getRideTypes,
   getEstimates,
+  estimatePriceAndTime,
   createRide,
   getRideById,
   getLiveStatus,
@@ -0,0 +1,206 @@
+// backend/services/cancellationService.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+const Hotel = require('../models/Hotel');
+const Train = require('../models/Train');
+const Activity = require('../models/Activity');
+const Experience = require('../models/booking/Experience');
+const bookingLedger = require('./bookingLedgerService');
+const payments = require('./paymentService');
+const { ApiError } = require('../utils/ApiError');
+const { CANCELLATION } = require('../utils/constants');
+
+const CANCELLABLE_STATES = ['held', 'pending_payment', 'pending', 'confirmed'];
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+function plain(doc) {
+  return doc && typeof doc.toObject === 'function' ? doc.toObject() : doc;
+}
+function hasRules(policy) {
+  return Boolean(policy && (policy.nonRefundable || (Array.isArray(policy.tiers) && policy.tiers.length)));
+}
+
+// ---------- Policies ----------
+/**
+ * The cancellation policy an inventory item offers for a booking.
+ * - hotel: the selected rate plan's policy; `refundable: false` alone means no refund
+ * - train: the fare band for the booked class
+ * - activity: its policy, else policies.freeCancellationUntilHours as a single full-refund tier
+ * - experience: its policy
+ * Falls back to CANCELLATION.DEFAULT_POLICY.
+ */
+function policyForItem(kind, item, { ratePlanId, classCode } = {}) {
+  const it = plain(item);
+  let policy;
+
+  if (it && kind === 'hotel') {
+    const plans = Array.isArray(it.ratePlans) ? it.ratePlans : [];
+    const plan = plans.find((p) => ratePlanId && (p.rateId === ratePlanId || p.id === ratePlanId));
+    if (plan && hasRules(plan.cancellationPolicy)) policy = plan.cancellationPolicy;
+    else if (plan && plan.refundable === false) policy = { nonRefundable: true, description: 'Non-refundable rate' };
+  } else if (it && kind === 'train') {
+    const fare = (it.fares || []).find((f) => classCode && f.classCode === classCode);
+    if (fare && hasRules(fare.cancellationPolicy)) policy = fare.cancellationPolicy;
+  } else if (it && kind === 'activity') {
+    if (hasRules(it.cancellationPolicy)) policy = it.cancellationPolicy;
+    else if (Number.isFinite(it.policies?.freeCancellationUntilHours)) {
+      policy = {
+        tiers: [{ minHoursBefore: it.policies.freeCancellationUntilHours, refundPercent: 100 }],
+        description: `Free cancellation up to ${it.policies.freeCancellationUntilHours}h before start`
+      };
+    }
+  } else if (it && kind === 'experience') {
+    if (hasRules(it.cancellationPolicy)) policy = it.cancellationPolicy;
+  }
+
+  const chosen = plain(policy) || CANCELLATION.DEFAULT_POLICY;
+  return {
+    nonRefundable: Boolean(chosen.nonRefundable),
+    tiers: (chosen.tiers || []).map((t) => ({ minHoursBefore: t.minHoursBefore, refundPercent: t.refundPercent })),
+    fixedFee: chosen.fixedFee || 0,
+    description: chosen.description
+  };
+}
+
+/**
+ * Policy for an existing booking: the snapshot taken at booking time, or a
+ * lookup against the current inventory for older bookings.
+ */
+async function resolvePolicy(booking) {
+  if (hasRules(booking.cancellationPolicy)) return booking.cancellationPolicy;
+
+  const Model = { hotel: Hotel, train: Train, activity: Activity, experience: Experience }[booking.kind];
+  const itemId = booking.itemId || booking.experienceId;
+  const item = Model && itemId ? await Model.findById(itemId).lean() : null;
+  return policyForItem(booking.kind, item, {
+    ratePlanId: booking.details?.ratePlanId || booking.details?.quote?.ratePlanId,
+    classCode: booking.details?.quote?.classCode
+  });
+}
+
+/**
+ * Pure refund calculation. The highest tier whose threshold has not passed
+ * applies; the fixed fee comes off whatever is refunded.
+ */
+function computeRefund({ policy, amountPaid = 0, startDate, now = new Date() }) {
+  const start = startDate ? new Date(startDate) : null;
+  const hoursBeforeStart = start && !Number.isNaN(start.getTime())
+    ? round2((start.getTime() - new Date(now).getTime()) / 3600000)
+    : null;
+
+  let refundPercent = 0;
+  if (!policy.nonRefundable) {
+    const tiers = [...(policy.tiers || [])].sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+    // No start date: treat as far out, so the most generous tier applies
+    const tier = tiers.find((t) => hoursBeforeStart == null || hoursBeforeStart >= t.minHoursBefore);
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  const gross = round2((Number(amountPaid) || 0) * refundPercent / 100);
+  const fee = gross > 0 ? round2(Math.min(policy.fixedFee || 0, gross)) : 0;
+  return { hoursBeforeStart, refundPercent, fee, refundAmount: round2(gross - fee) };
+}
+
+async function loadBooking(bookingId, { userId, kind }) {
+  const booking = userId ? await bookingLedger.getForUser(bookingId, userId) : await bookingLedger.getById(bookingId);
+  if (!booking || (kind && booking.kind !== kind)) return null;
+  return booking;
+}
+
+// ---------- Preview ----------
+/**
+ * What cancelling now would refund. Only captured money is refundable, so an
+ * unpaid booking previews a zero refund.
+ */
+async function previewCancellation(bookingId, { userId, kind, now = new Date() } = {}) {
+  if (!isObjectId(bookingId)) return null;
+  const booking = await loadBooking(bookingId, { userId, kind });
+  if (!booking) return null;
+
+  const policy = await resolvePolicy(booking);
+  const paid = booking.paymentStatus === 'paid';
+  const amountPaid = paid ? (booking.payment?.amount ?? booking.price) : 0;
+  return {
+    bookingId: String(booking._id),
+    kind: booking.kind,
+    status: booking.status,
+    cancellable: CANCELLABLE_STATES.includes(booking.status),
+    policy,
+    amountPaid,
+    currency: booking.currency,
+    ...computeRefund({ policy, amountPaid, startDate: booking.startDate, now })
+  };
+}
+
+// ---------- Cancel ----------
+/**
+ * Cancel a booking and refund what its policy allows. The provider refund runs
+ * first: if it is rejected the booking keeps its status, so the cancellation
+ * can be retried. The refund is keyed per booking, so a retry never refunds
+ * twice. A booking whose refund went out ends as 'refunded'.
+ */
+async function cancelBooking(bookingId, { userId, actorId, kind, reason = 'user_cancelled', now = new Date() } = {}) {
+  const quote = await previewCancellation(bookingId, { userId, kind, now });
+  if (!quote) return null;
+  if (!quote.cancellable) {
+    throw ApiError.conflict(`Booking is ${quote.status}; it cannot be cancelled`, { status: quote.status });
+  }
+
+  // Refund before the status change; a rejected refund (422) leaves the booking cancellable
+  const payment = quote.refundAmount > 0 ? await payments.findCapturedForBooking(bookingId) : null;
+  let refundId = null;
+  if (payment) {
+    const refunded = await payments.refundPayment(payment._id, {
+      amount: Math.min(quote.refundAmount, payment.amountCaptured - payment.amountRefunded),
+      reason,
+      idempotencyKey: `cancel:${bookingId}`,
+      actorId: actorId || userId
+    });
+    refundId = (refunded.refunds || []).find((r) => r.idempotencyKey === `cancel:${bookingId}`)?.refundId || null;
+  }
+
+  const cancellation = {
+    at: new Date(now),
+    reason,
+    hoursBeforeStart: quote.hoursBeforeStart,
+    refundPercent: quote.refundPercent,
+    fee: quote.fee,
+    refundAmount: quote.refundAmount,
+    currency: quote.currency,
+    paymentRefundId: refundId || undefined
+  };
+  let booking = await bookingLedger.cancel(bookingId, {
+    actorId: actorId || userId,
+    userId,
+    reason,
+    meta: { refundAmount: quote.refundAmount, fee: quote.fee },
+    set: { cancellation }
+  });
+  if (booking && refundId) {
+    booking = await bookingLedger.refund(bookingId, {
+      actorId: actorId || userId,
+      reason: 'cancellation_refund',
+      meta: { paymentId: String(payment._id), amount: quote.refundAmount }
+    });
+  }
+  return { booking, refund: quote };
+}
+
+module.exports = {
+  // policies
+  policyForItem,
+  resolvePolicy,
+  computeRefund,
+
+  // cancellation
+  previewCancellation,
+  cancelBooking
+};
@@ -0,0 +1,94 @@
+// backend/services/currencyService.js
+
+'use strict';
+
+const ExchangeRate = require('../models/ExchangeRate');
+const { ApiError } = require('../utils/ApiError');
+const { FX } = require('../utils/constants');
+
+// ---------- Helpers ----------
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+function normCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// ---------- Rate table ----------
+let cache = null; // { at, rates }
+
+/**
+ * Effective table: FX.DEFAULT_RATES overlaid with ExchangeRate rows.
+ * Cached for FX.CACHE_TTL_MS; writes through this service invalidate it.
+ */
+async function getRates() {
+  if (cache && Date.now() - cache.at < FX.CACHE_TTL_MS) return cache.rates;
+  const rows = await ExchangeRate.find({}).select({ code: 1, rateToPivot: 1 }).lean();
+  const rates = { ...FX.DEFAULT_RATES };
+  for (const r of rows) rates[r.code] = r.rateToPivot;
+  cache = { at: Date.now(), rates };
+  return rates;
+}
+
+async function listRates() {
+  const rows = await ExchangeRate.find({}).sort({ code: 1 }).lean();
+  const overridden = new Set(rows.map((r) => r.code));
+  const defaults = Object.entries(FX.DEFAULT_RATES)
+    .filter(([code]) => !overridden.has(code))
+    .map(([code, rateToPivot]) => ({ code, rateToPivot, source: 'default' }));
+  return {
+    pivot: FX.PIVOT,
+    items: [...rows, ...defaults].sort((a, b) => a.code.localeCompare(b.code))
+  };
+}
+
+async function upsertRate(code, { rateToPivot, source, actorId } = {}) {
+  const c = normCode(code);
+  if (!/^[A-Z]{3}$/.test(c)) throw ApiError.badRequest('code must be an ISO 4217 currency code');
+  if (c === FX.PIVOT) throw ApiError.badRequest(`${FX.PIVOT} is the pivot currency; its rate is always 1`);
+  const rate = Number(rateToPivot);
+  if (!Number.isFinite(rate) || rate <= 0) throw ApiError.badRequest('rateToPivot must be a positive number');
+
+  const doc = await ExchangeRate.findOneAndUpdate(
+    { code: c },
+    { $set: { rateToPivot: rate, source: source || 'manual', updatedBy: actorId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+  cache = null;
+  return doc;
+}
+
+async function removeRate(code) {
+  const res = await ExchangeRate.deleteOne({ code: normCode(code) });
+  cache = null;
+  return res.deletedCount > 0;
+}
+
+// ---------- Conversion ----------
+/**
+ * Convert with a preloaded table (see getRates); throws 422 for unknown codes.
+ */
+function convertWith(rates, amount, from, to) {
+  const f = normCode(from);
+  const t = normCode(to);
+  if (f === t) return round2(Number(amount) || 0);
+  if (!rates[f]) throw ApiError.unprocessable(`No exchange rate for ${f}`, { currency: f });
+  if (!rates[t]) throw ApiError.unprocessable(`No exchange rate for ${t}`, { currency: t });
+  return round2(((Number(amount) || 0) * rates[f]) / rates[t]);
+}
+
+async function convert(amount, from, to) {
+  return convertWith(await getRates(), amount, from, to);
+}
+
+module.exports = {
+  // table
+  getRates,
+  listRates,
+  upsertRate,
+  removeRate,
+
+  // conversion
+  convertWith,
+  convert
+};
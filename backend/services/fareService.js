@@ -0,0 +1,323 @@
+// backend/services/fareService.js
+
+'use strict';
+
+const seatInventory = require('./seatInventoryService');
+const currencyService = require('./currencyService');
+const calendar = require('./serviceCalendarService');
+const { ApiError } = require('../utils/ApiError');
+const { FARES } = require('../utils/constants');
+
+/**
+ * Ride pricing for trains and buses. A fare band's rule (models/transport/fareRule.js)
+ * gives the adult fare between the boarding and alighting stops; quota
+ * surcharges and fill-based demand pricing apply on top, then each passenger
+ * category's concession, per-passenger/per-booking fees and taxes.
+ */
+const STOP_REF = { train: 'stationRefId', bus: 'stopRefId' };
+
+// ---------- Helpers ----------
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+function pct(amount, percent) {
+  return (amount * percent) / 100;
+}
+function sum(list, key) {
+  return round2(list.reduce((acc, x) => acc + (x[key] || 0), 0));
+}
+function orderedStops(trip) {
+  return (trip.stops || []).slice().sort((a, b) => (a.seq || 0) - (b.seq || 0));
+}
+function distanceKm(a, b) {
+  const x = a?.distance_km;
+  const y = b?.distance_km;
+  return typeof x === 'number' && typeof y === 'number' && y >= x ? round2(y - x) : null;
+}
+
+// ---------- Passengers ----------
+function categoryForAge(age) {
+  const a = Number(age);
+  if (age == null || age === '' || !Number.isFinite(a)) return 'adult';
+  const entries = Object.entries(FARES.CATEGORIES);
+  const young = entries
+    .filter(([, c]) => c.maxAge != null)
+    .sort((x, y) => x[1].maxAge - y[1].maxAge)
+    .find(([, c]) => a <= c.maxAge);
+  if (young) return young[0];
+  const old = entries.find(([, c]) => c.minAge != null && a >= c.minAge);
+  return old ? old[0] : 'adult';
+}
+
+/**
+ * Passenger mix from a count (all adults), a { adult: 2, child: 1 } map or a
+ * list of { category } / { age } entries (the passengers sent with a booking).
+ */
+function passengerMix(input) {
+  const counts = {};
+  const add = (category, n = 1) => {
+    if (!FARES.CATEGORIES[category]) {
+      throw ApiError.badRequest(`Unknown passenger category "${category}"`, { categories: Object.keys(FARES.CATEGORIES) });
+    }
+    counts[category] = (counts[category] || 0) + n;
+  };
+
+  if (Array.isArray(input)) {
+    input.forEach((p) => add(p?.category || categoryForAge(p?.age)));
+  } else if (input && typeof input === 'object') {
+    for (const [category, n] of Object.entries(input)) {
+      const k = Number(n);
+      if (!Number.isInteger(k) || k < 0) throw ApiError.badRequest(`Passenger count for ${category} must be a whole number`);
+      if (k) add(category, k);
+    }
+  } else {
+    const n = input == null || input === '' ? 1 : Number(input);
+    if (!Number.isInteger(n) || n < 1) throw ApiError.badRequest('passengers must be a positive whole number');
+    add('adult', n);
+  }
+
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (!total) throw ApiError.badRequest('At least one passenger is required');
+  if (total > FARES.MAX_PASSENGERS) throw ApiError.badRequest(`At most ${FARES.MAX_PASSENGERS} passengers per booking`);
+  const seated = Object.entries(counts)
+    .filter(([category]) => FARES.CATEGORIES[category].seat !== false)
+    .reduce((a, [, n]) => a + n, 0);
+  if (!seated) throw ApiError.badRequest('Infants must travel with a passenger who has a seat');
+  return { counts, total, seated };
+}
+
+function quotaFor(mode, code, mix) {
+  if (mode !== 'train') return { code: null, surchargePercent: 0 };
+  const key = String(code || 'GN').toUpperCase();
+  const quota = FARES.QUOTAS[key];
+  if (!quota) throw ApiError.badRequest(`quota must be one of: ${Object.keys(FARES.QUOTAS).join(', ')}`);
+  if (quota.categories) {
+    const others = Object.keys(mix.counts).filter((c) => !quota.categories.includes(c) && FARES.CATEGORIES[c].seat !== false);
+    if (others.length) throw ApiError.badRequest(`${quota.label} quota is only for: ${quota.categories.join(', ')}`);
+  }
+  return { code: key, ...quota };
+}
+
+// ---------- Segment and adult fare ----------
+function pickBand(trip, classCode) {
+  const fares = Array.isArray(trip.fares) ? trip.fares : [];
+  if (classCode) {
+    const band = fares.find((f) => f.classCode === classCode);
+    if (!band) {
+      throw ApiError.unprocessable(`Class ${classCode} is not offered on this trip`, { classes: fares.map((f) => f.classCode) });
+    }
+    return band;
+  }
+  return fares.reduce((acc, f) => (acc && (acc.min ?? Infinity) <= (f.min ?? Infinity) ? acc : f), null);
+}
+
+/**
+ * Boarding/alighting stops by sequence or by station/stop id (the first
+ * match after boarding for the alighting stop); the whole trip by default.
+ */
+function segmentOf(mode, trip, { fromSeq, toSeq, fromStopId, toStopId } = {}) {
+  const stops = orderedStops(trip);
+  if (stops.length < 2) throw ApiError.unprocessable('Trip has no stops to price');
+  const refOf = (s) => String(s[STOP_REF[mode]] || s.stationRefId || '');
+  const locate = (seq, id, after, fallback, label) => {
+    if (seq != null && seq !== '') {
+      const i = stops.findIndex((s) => s.seq === Number(seq));
+      if (i < 0) throw ApiError.badRequest(`No ${label} stop with sequence ${seq}`);
+      return i;
+    }
+    if (id) {
+      const i = stops.findIndex((s, k) => k > after && refOf(s) === String(id));
+      if (i < 0) throw ApiError.badRequest(`${label[0].toUpperCase()}${label.slice(1)} stop is not on this trip`);
+      return i;
+    }
+    return fallback;
+  };
+
+  const i = locate(fromSeq, fromStopId, -1, 0, 'boarding');
+  const j = locate(toSeq, toStopId, i, stops.length - 1, 'alighting');
+  if (i >= j) throw ApiError.badRequest('The boarding stop must come before the alighting stop');
+  return { stops, i, j, from: stops[i], to: stops[j] };
+}
+
+function distanceFare(rule, km) {
+  const slabs = (rule.slabs || []).slice().sort((a, b) => a.upToKm - b.upToKm);
+  const slab = slabs.find((s) => km <= s.upToKm);
+  if (slab) return slab.fare;
+  const last = slabs[slabs.length - 1];
+  return last ? last.fare + (km - last.upToKm) * (rule.perKm || 0) : km * (rule.perKm || 0);
+}
+
+/**
+ * Adult fare for the segment under the band's rule, before surcharges.
+ */
+function adultFare(band, seg) {
+  const rule = band.rule || {};
+  const basis = rule.basis || 'prorated';
+  const km = distanceKm(seg.from, seg.to);
+  const hops = seg.j - seg.i;
+
+  let fare;
+  switch (basis) {
+    case 'flat':
+      fare = band.min ?? 0;
+      break;
+    case 'distance':
+      if (km == null) throw ApiError.unprocessable('Distance pricing needs distance_km on the boarding and alighting stops');
+      fare = (rule.baseFare || 0) + distanceFare(rule, km);
+      break;
+    case 'stops':
+      fare = (rule.baseFare || 0) + hops * (rule.perStop || 0);
+      break;
+    case 'table': {
+      const pair = (rule.pairs || []).find((p) => p.fromSeq === seg.from.seq && p.toSeq === seg.to.seq);
+      if (!pair) throw ApiError.unprocessable(`No ${band.classCode} fare between stops ${seg.from.seq} and ${seg.to.seq}`);
+      fare = pair.fare;
+      break;
+    }
+    case 'prorated':
+    default: {
+      // min for the shortest ride, max for end to end
+      const min = band.min ?? 0;
+      const max = band.max ?? min;
+      const totalKm = distanceKm(seg.stops[0], seg.stops[seg.stops.length - 1]);
+      const share = km != null && totalKm ? km / totalKm : hops / (seg.stops.length - 1);
+      fare = min + (max - min) * share;
+    }
+  }
+  if (rule.minFare != null) fare = Math.max(fare, rule.minFare);
+  if (rule.maxFare != null) fare = Math.min(fare, rule.maxFare);
+  return { basis, fare: round2(fare), distanceKm: km, stopsTravelled: hops };
+}
+
+async function demandFor(mode, trip, band, date) {
+  if (!FARES.DYNAMIC_PRICING || band.rule?.dynamic === false || !date) return null;
+  const occupancy = await seatInventory.getOccupancy({
+    vehicleType: mode,
+    vehicleId: trip._id,
+    travelDate: date,
+    classCode: band.classCode
+  });
+  if (!occupancy) return null;
+  const tier = FARES.DEMAND_TIERS.find((t) => occupancy.fill >= t.minFill);
+  return { fill: round2(occupancy.fill), multiplier: tier ? tier.multiplier : 1 };
+}
+
+function discountOf(band, category) {
+  const override = (band.rule?.categories || []).find((c) => c.code === category);
+  return override ? override.discountPercent : FARES.CATEGORIES[category].discountPercent || 0;
+}
+
+// ---------- Quote ----------
+/**
+ * Itemized price for one ride on `trip` (a lean Train or Bus). Amounts are in
+ * `currency` when given (converted at current rates), else the band's currency.
+ * Returns null when the trip has no fare bands.
+ */
+async function priceRide({
+  mode,                  // train | bus
+  trip,
+  classCode,
+  fromSeq,
+  toSeq,
+  fromStopId,            // station/stop ids, used when seqs are not given
+  toStopId,
+  passengers,            // count, { category: n } or [{ category? , age? }]
+  quota,                 // train only (FARES.QUOTAS)
+  date,                  // YYYY-MM-DD service day; enables calendar check and demand pricing
+  currency
+}) {
+  const band = pickBand(trip, classCode);
+  if (!band) return null;
+  const seg = segmentOf(mode, trip, { fromSeq, toSeq, fromStopId, toStopId });
+  const mix = passengerMix(passengers);
+  const q = quotaFor(mode, quota, mix);
+
+  const day = date ? calendar.normDate(date) : null;
+  if (date && !day) throw ApiError.badRequest('date must be YYYY-MM-DD');
+  if (day) {
+    const service = calendar.serviceDay(trip, day);
+    if (!service.runs) throw ApiError.unprocessable(`Trip does not run on ${day}`, { status: service.status });
+  }
+
+  const { basis, fare, distanceKm: km, stopsTravelled } = adultFare(band, seg);
+  const surcharge = round2(pct(fare, q.surchargePercent));
+  const demand = await demandFor(mode, trip, band, day);
+  const demandAmount = demand ? round2((fare + surcharge) * (demand.multiplier - 1)) : 0;
+  const adult = fare + surcharge + demandAmount;
+
+  const from = band.currency || 'INR';
+  const to = currency ? String(currency).trim().toUpperCase() : from;
+  const rates = await currencyService.getRates();
+  const cv = (n) => currencyService.convertWith(rates, n, from, to);
+
+  const passengerLines = Object.entries(mix.counts).map(([category, count]) => {
+    const cat = FARES.CATEGORIES[category];
+    // Premium quotas carry no concessions, except for passengers without a seat
+    const discountPercent = q.concessions === false && cat.seat !== false ? 0 : discountOf(band, category);
+    const unitFare = cv(adult * (1 - discountPercent / 100));
+    return {
+      category,
+      count,
+      discountPercent,
+      unitFare,
+      amount: round2(unitFare * count),
+      ...(cat.proof ? { requiresProof: true } : {})
+    };
+  });
+  const fareTotal = sum(passengerLines, 'amount');
+
+  const fees = (FARES.FEES[mode] || [])
+    .map((f) => {
+      const unit = currencyService.convertWith(rates, f.amount, FARES.FEE_CURRENCY, to);
+      return { code: f.code, label: f.label, per: f.per, amount: round2(unit * (f.per === 'passenger' ? mix.seated : 1)) };
+    })
+    .filter((f) => f.amount > 0);
+  const taxes = band.rule?.taxExempt
+    ? []
+    : (FARES.TAXES[mode] || [])
+      .filter((t) => !t.classes || t.classes.includes(band.classCode))
+      .map((t) => ({ code: t.code, label: t.label, percent: t.percent, amount: round2(pct(fareTotal, t.percent)) }));
+  const feesTotal = sum(fees, 'amount');
+  const taxesTotal = sum(taxes, 'amount');
+
+  return {
+    classCode: band.classCode,
+    quota: q.code,
+    segment: {
+      fromSeq: seg.from.seq,
+      toSeq: seg.to.seq,
+      from: { seq: seg.from.seq, name: seg.from.name || null },
+      to: { seq: seg.to.seq, name: seg.to.name || null },
+      distanceKm: km,
+      stopsTravelled
+    },
+    passengers: mix,
+    price: {
+      currency: to,
+      unitAmount: cv(adult),
+      totalAmount: round2(fareTotal + feesTotal + taxesTotal),
+      breakdown: {
+        basis,
+        baseFare: cv(fare),
+        quotaSurcharge: surcharge ? cv(surcharge) : 0,
+        demand: demand ? { ...demand, amount: cv(demandAmount) } : null,
+        passengers: passengerLines,
+        fareTotal,
+        fees,
+        feesTotal,
+        taxes,
+        taxesTotal
+      },
+      ...(to !== from ? { convertedFrom: from } : {})
+    }
+  };
+}
+
+module.exports = {
+  // passengers
+  passengerMix,
+  categoryForAge,
+
+  // pricing
+  priceRide
+};
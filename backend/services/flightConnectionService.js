@@ -0,0 +1,241 @@
+// backend/services/flightConnectionService.js
+
+'use strict';
+
+const Flight = require('../models/Flight');
+const Airport = require('../models/Airport');
+const { FLIGHT_CONNECTIONS } = require('../utils/constants');
+
+// ---------- Helpers ----------
+function ms(iso) {
+  const t = Date.parse(iso);
+  return Number.isFinite(t) ? t : null;
+}
+function minutesBetween(aISO, bISO) {
+  const a = ms(aISO);
+  const b = ms(bISO);
+  return a == null || b == null ? null : Math.round((b - a) / 60000);
+}
+
+// departureISO is stored as a String carrying the airport's UTC offset, so a
+// range query compares text, not instants: widen the window by the largest
+// offsets for the query and keep exact matches with departsWithin
+const MAX_UTC_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+/**
+ * String bounds for a departureISO query covering [start, end] (Dates) in any offset.
+ */
+function departureRange(start, end) {
+  return {
+    $gte: new Date(start.getTime() - MAX_UTC_OFFSET_MS).toISOString(),
+    $lte: new Date(end.getTime() + MAX_UTC_OFFSET_MS).toISOString()
+  };
+}
+
+/**
+ * Whether a flight's first departure falls inside [start, end].
+ */
+function departsWithin(flight, start, end) {
+  const t = ms(legInfo(flight).departureISO);
+  return t != null && t >= start.getTime() && t <= end.getTime();
+}
+
+// Leg endpoints from the stored Flight shape (top-level from/to, slices[0].segments)
+function legInfo(flight) {
+  const segs = flight?.slices?.[0]?.segments || [];
+  const first = segs[0] || null;
+  const last = segs.length ? segs[segs.length - 1] : null;
+  return {
+    from: String(flight.from || first?.from?.iata || '').toUpperCase(),
+    to: String(flight.to || last?.to?.iata || '').toUpperCase(),
+    departureISO: first?.departureISO || null,
+    arrivalISO: last?.arrivalISO || null,
+    stops: Math.max(0, segs.length - 1)
+  };
+}
+
+/**
+ * Minimum connection times by IATA; airports without an override use the app default.
+ */
+async function loadMinConnectionTimes(iatas) {
+  const codes = Array.from(new Set(iatas)).filter(Boolean);
+  const out = new Map(codes.map((c) => [c, FLIGHT_CONNECTIONS.DEFAULT_MIN_CONNECTION_MIN]));
+  if (!codes.length) return out;
+
+  const rows = await Airport.find({ iata: { $in: codes } }).select({ iata: 1, minConnectionMin: 1 }).lean();
+  for (const r of rows) {
+    if (Number.isFinite(r.minConnectionMin)) out.set(r.iata, r.minConnectionMin);
+  }
+  return out;
+}
+
+// Check that `next` can be boarded after `prev` at the shared airport
+function connects(prev, next, mctByIata) {
+  const a = legInfo(prev);
+  const b = legInfo(next);
+  if (a.to !== b.from) return null;
+  const layover = minutesBetween(a.arrivalISO, b.departureISO);
+  if (layover == null) return null;
+  const mct = mctByIata.get(a.to) ?? FLIGHT_CONNECTIONS.DEFAULT_MIN_CONNECTION_MIN;
+  if (layover < mct || layover > FLIGHT_CONNECTIONS.MAX_LAYOVER_MIN) return null;
+  return { airport: a.to, minutes: layover, minConnectionMin: mct };
+}
+
+// ---------- Itinerary shaping ----------
+function sumPrice(legs) {
+  const currencies = new Set(legs.map((l) => l.price?.currency).filter(Boolean));
+  if (currencies.size > 1) return { amount: null, currency: null, mixedCurrency: true };
+  const amount = legs.reduce((acc, l) => acc + (Number(l.price?.amount) || 0), 0);
+  return { amount, currency: currencies.values().next().value || null };
+}
+
+/**
+ * Normalize a direct flight or a chain of connecting flights into one itinerary shape
+ * so both can be ranked together.
+ */
+function toItinerary(legs, layovers = []) {
+  const first = legInfo(legs[0]);
+  const last = legInfo(legs[legs.length - 1]);
+  const legStops = legs.reduce((acc, l) => acc + legInfo(l).stops, 0);
+  return {
+    kind: legs.length === 1 ? 'direct' : 'connection',
+    from: first.from,
+    to: last.to,
+    via: layovers.map((x) => x.airport),
+    stops: legStops + layovers.length,
+    departureISO: first.departureISO,
+    arrivalISO: last.arrivalISO,
+    durationMin: minutesBetween(first.departureISO, last.arrivalISO),
+    layovers,
+    price: legs.length === 1 ? { amount: legs[0].price?.amount ?? null, currency: legs[0].price?.currency ?? null } : sumPrice(legs),
+    popularity: Math.min(...legs.map((l) => l.popularity || 0)),
+    legs
+  };
+}
+
+/**
+ * Rank itineraries with the same sort modes as direct search.
+ * Unpriced (mixed-currency) itineraries sort last under 'price'.
+ */
+function rankItineraries(items, sort = 'price') {
+  const byDeparture = (a, b) => (ms(a.departureISO) ?? Infinity) - (ms(b.departureISO) ?? Infinity);
+  const num = (v) => (Number.isFinite(v) ? v : Infinity);
+  const cmp = (() => {
+    switch (sort) {
+      case 'duration':
+        return (a, b) => num(a.durationMin) - num(b.durationMin) || num(a.price.amount) - num(b.price.amount);
+      case 'departure':
+        return byDeparture;
+      case 'popularity':
+        return (a, b) => (b.popularity || 0) - (a.popularity || 0) || num(a.price.amount) - num(b.price.amount);
+      case 'price':
+      default:
+        return (a, b) => num(a.price.amount) - num(b.price.amount) || byDeparture(a, b);
+    }
+  })();
+  return items.slice().sort((a, b) => cmp(a, b) || a.stops - b.stops);
+}
+
+// ---------- Builder ----------
+/**
+ * Stitch one- and two-stop journeys from separate Flight records.
+ * - from/to: IATA codes; start/end: Date window for the first departure
+ * - maxStops: connections allowed (1 or 2); each connection must respect the
+ *   airport's minimum connection time and the global maximum layover
+ */
+async function buildConnections({ from, to, start, end, maxStops = FLIGHT_CONNECTIONS.MAX_STOPS, limit = 100 }) {
+  const origin = String(from || '').toUpperCase();
+  const dest = String(to || '').toUpperCase();
+  const cap = maxStops === null || maxStops === '' ? NaN : Number(maxStops); // body values arrive as strings
+  const stops = Math.min(Number.isFinite(cap) ? cap : FLIGHT_CONNECTIONS.MAX_STOPS, FLIGHT_CONNECTIONS.MAX_STOPS);
+  if (!origin || !dest || origin === dest || stops < 1) return [];
+
+  // Later legs may leave up to MAX_LAYOVER per connection after the window closes
+  const laterEnd = new Date(end.getTime() + (stops + 1) * 24 * 60 * 60 * 1000);
+
+  const [firstLegs, finalLegs] = (await Promise.all([
+    Flight.find({
+      isActive: true,
+      from: origin,
+      to: { $ne: dest },
+      'slices.0.segments.0.departureISO': departureRange(start, end)
+    }).limit(500).lean(),
+    Flight.find({
+      isActive: true,
+      to: dest,
+      from: { $ne: origin },
+      'slices.0.segments.0.departureISO': departureRange(start, laterEnd)
+    }).limit(500).lean()
+  ])).map((legs, i) => legs.filter((f) => departsWithin(f, start, i === 0 ? end : laterEnd)));
+  if (!firstLegs.length || !finalLegs.length) return [];
+
+  const hubs1 = new Set(firstLegs.map((f) => legInfo(f).to));
+  const hubsFinal = new Set(finalLegs.map((f) => legInfo(f).from));
+
+  let middleLegs = [];
+  if (stops >= 2) {
+    middleLegs = await Flight.find({
+      isActive: true,
+      from: { $in: Array.from(hubs1) },
+      to: { $in: Array.from(hubsFinal) },
+      'slices.0.segments.0.departureISO': departureRange(start, laterEnd)
+    }).limit(1000).lean();
+    middleLegs = middleLegs.filter((f) => departsWithin(f, start, laterEnd));
+  }
+
+  const mct = await loadMinConnectionTimes([
+    ...hubs1,
+    ...hubsFinal,
+    ...middleLegs.map((f) => legInfo(f).to)
+  ]);
+
+  const finalsByFrom = new Map();
+  for (const f of finalLegs) {
+    const k = legInfo(f).from;
+    if (!finalsByFrom.has(k)) finalsByFrom.set(k, []);
+    finalsByFrom.get(k).push(f);
+  }
+  const middlesByFrom = new Map();
+  for (const f of middleLegs) {
+    const k = legInfo(f).from;
+    if (!middlesByFrom.has(k)) middlesByFrom.set(k, []);
+    middlesByFrom.get(k).push(f);
+  }
+
+  const out = [];
+  for (const a of firstLegs) {
+    const hubA = legInfo(a).to;
+
+    // One stop: origin -> hubA -> dest
+    for (const c of finalsByFrom.get(hubA) || []) {
+      const l1 = connects(a, c, mct);
+      if (l1) out.push(toItinerary([a, c], [l1]));
+    }
+
+    // Two stops: origin -> hubA -> hubB -> dest (no airport visited twice)
+    if (stops >= 2) {
+      for (const b of middlesByFrom.get(hubA) || []) {
+        const hubB = legInfo(b).to;
+        if (hubB === origin || hubB === dest || hubB === hubA) continue;
+        const l1 = connects(a, b, mct);
+        if (!l1) continue;
+        for (const c of finalsByFrom.get(hubB) || []) {
+          const l2 = connects(b, c, mct);
+          if (l2) out.push(toItinerary([a, b, c], [l1, l2]));
+        }
+      }
+    }
+    if (out.length >= limit * 4) break; // bound work on dense networks; ranking trims later
+  }
+
+  return out;
+}
+
+module.exports = {
+  buildConnections,
+  departureRange,
+  departsWithin,
+  rankItineraries,
+  toItinerary,
+  loadMinConnectionTimes
+};
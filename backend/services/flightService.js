@@ -7,15 +7,9 @@ const mongoose = require('mongoose');
 // Models (paths may differ in the project)
 const Flight = require('../models/Flight');
 const Airport = require('../models/Airport');
-
-// Optional booking model; handled defensively if absent
-let FlightBooking = null;
-try {
-  // Define ../models/FlightBooking in the project to persist bookings
-  FlightBooking = require('../models/FlightBooking'); // eslint-disable-line global-require
-} catch (e) {
-  FlightBooking = null;
-}
+const flightConnections = require('./flightConnectionService');
+const bookingLedger = require('./bookingLedgerService');
+const payments = require('./paymentService');
 
 // ---------- Helpers ----------
 function isObjectId(v) {
@@ -62,18 +56,26 @@ const AIRLINES = {
  * pax: { adt, cnn, inf }
  * cabin: 'ECONOMY' | 'PREMIUM_ECONOMY' | 'BUSINESS' | 'FIRST'
  * maxStops, sort: 'price'|'duration'|'departure'|'popularity'
+ *
+ * Each slice returns `items` (direct Flight documents, as before) and `itineraries`:
+ * directs plus one-/two-stop connections stitched from separate Flight records,
+ * normalized and ranked together by `sort`. maxStops=0 disables connections.
  */
 async function searchFlights({ tripType = 'ONE_WAY', slices = [], pax, cabin, maxStops, sort = 'price' }) {
   if (!Array.isArray(slices) || slices.length === 0) {
     return { trips: [] };
   }
 
+  // Body values arrive as strings ("1"); anything that is not a whole number means no cap
+  const stopCap = maxStops === undefined || maxStops === null || maxStops === '' ? NaN : Number(maxStops);
+  maxStops = Number.isInteger(stopCap) && stopCap >= 0 ? stopCap : undefined;
+
   // Helper to query a single slice window
   async function searchSlice(slice) {
     const { origin, destination, departureISO } = slice || {};
     const from = origin?.iata?.toUpperCase();
     const to = destination?.iata?.toUpperCase();
-    if (!from || !to || !departureISO) return [];
+    if (!from || !to || !departureISO) return { items: [], itineraries: [] };
 
     const d = new Date(departureISO);
     const ymd = `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-${String(d.getUTCDate()).padStart(2, '0')}`;
@@ -84,7 +86,7 @@ async function searchFlights({ tripType = 'ONE_WAY', slices = [], pax, cabin, ma
       isActive: true,
       from,
       to,
-      'slices.0.segments.0.departureISO': { $gte: start, $lte: end }
+      'slices.0.segments.0.departureISO': flightConnections.departureRange(start, end)
     };
 
     // Stops filter: count inferred from segments length (0 stop => 1 segment, 1 stop => 2 segments, etc.)
@@ -111,27 +113,43 @@ async function searchFlights({ tripType = 'ONE_WAY', slices = [], pax, cabin, ma
       }
     })();
 
-    const items = await Flight.find(match).sort(sortStage).limit(200).lean();
-    return items;
+    const items = (await Flight.find(match).sort(sortStage).limit(200).lean())
+      .filter((f) => flightConnections.departsWithin(f, start, end));
+
+    const connections = maxStops === 0
+      ? []
+      : await flightConnections.buildConnections({
+        from,
+        to,
+        start,
+        end,
+        maxStops: Number.isFinite(maxStops) ? maxStops : undefined,
+        limit: 200
+      });
+    const itineraries = flightConnections
+      .rankItineraries([...items.map((f) => flightConnections.toItinerary([f])), ...connections], sort)
+      .slice(0, 200);
+
+    return { items, itineraries };
   }
 
   if (tripType === 'ONE_WAY') {
-    const items = await searchSlice(slices[0]);
-    return { trips: [{ sliceIndex: 0, items }] };
+    const out = await searchSlice(slices[0]);
+    return { trips: [{ sliceIndex: 0, ...out }] };
   }
 
   if (tripType === 'ROUND_TRIP') {
-    const outItems = await searchSlice(slices[0]);
-    const inItems = await searchSlice(slices[1]);
-    return { trips: [{ sliceIndex: 0, items: outItems }, { sliceIndex: 1, items: inItems }] };
+    const outbound = await searchSlice(slices[0]);
+    const inbound = await searchSlice(slices[1]);
+    return { trips: [{ sliceIndex: 0, ...outbound }, { sliceIndex: 1, ...inbound }] };
   }
 
   // MULTI_CITY: independent results per slice
   const trips = [];
   for (let i = 0; i < slices.length; i++) {
     // eslint-disable-next-line no-await-in-loop
-    const items = await searchSlice(slices[i]);
-    trips.push({ sliceIndex: i, items });
+    const out = await searchSlice(slices[i]);
+    trips.push({ sliceIndex: i, ...out });
   }
   return { trips };
 }
@@ -243,24 +261,29 @@ async function getQuote({ offerId, travelers = [], currency }) {
 }
 
 // ---------- Booking ----------
-async function bookFlight({ offerId, contact, travelers, payment }) {
-  const quote = await getQuote({ offerId, travelers, currency: payment?.currency });
-  const bookingPayload = {
-    offerId: quote.offerId,
-    contact,
-    travelers,
-    price: quote.price,
-    state: 'confirmed',
-    createdAtISO: toISO(Date.now()),
-    payment: payment ? { ...payment, state: 'captured' } : { state: 'pending' }
-  };
-
-  if (FlightBooking) {
-    const saved = await FlightBooking.create(bookingPayload);
-    return saved.toObject();
-  }
-  // Fallback without persistence
-  return { _id: null, ...bookingPayload };
+/**
+ * The offer is re-priced in its own currency; `expectedQuote` (what the client
+ * saw) is only compared, never charged.
+ */
+async function bookFlight({ offerId, contact, travelers, payment, userId, expectedQuote }) {
+  if (payment) payments.assertAvailable();
+  const quote = await getQuote({ offerId, travelers });
+  bookingLedger.assertQuoteMatches(expectedQuote, quote);
+  const flight = isObjectId(quote.offerId) ? await Flight.findById(quote.offerId).lean() : null;
+  const seg = flight ? firstSegment(flight) : null;
+
+  const booking = await bookingLedger.createFromCheckout({
+    kind: 'flight',
+    userId,
+    itemId: flight?._id,
+    title: flight ? `${flight.carrier || ''} ${flight.from}-${flight.to}`.trim() : quote.offerId,
+    startDate: seg?.departureISO,
+    guests: Array.isArray(travelers) && travelers.length ? travelers.length : 1,
+    quote,
+    payment,
+    details: { offerId: quote.offerId, cabin: quote.cabin, quote, contact, travelers }
+  });
+  return payment ? payments.payForBooking(booking, { ...payment, userId }) : booking;
 }
 
 // ---------- Details / Route ----------
@@ -317,20 +340,6 @@ async function getFlightRoute(idOrOfferKey) {
   return { type: 'FeatureCollection', features: [] };
 }
 
-// ---------- Live status (stub) ----------
-async function getLiveStatus({ carrier, number, date }) {
-  // Integrate real-time provider here; return a stub for now
-  return {
-    carrier: String(carrier || '').toUpperCase(),
-    number: String(number || ''),
-    date: date || null,
-    departure: { airport: null, scheduledISO: null, actualISO: null, terminal: null, gate: null },
-    arrival: { airport: null, scheduledISO: null, actualISO: null, terminal: null, gate: null },
-    status: 'unknown',
-    lastUpdatedISO: toISO(Date.now())
-  };
-}
-
 module.exports = {
   searchFlights,
   suggest,
@@ -338,6 +347,5 @@ module.exports = {
   getQuote,
   bookFlight,
   getFlightById,
-  getFlightRoute,
-  getLiveStatus
+  getFlightRoute
 };
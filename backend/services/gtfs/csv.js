@@ -0,0 +1,98 @@
+// backend/services/gtfs/csv.js
+
+'use strict';
+
+/**
+ * RFC 4180 CSV as used by GTFS: header row, comma separated, optional
+ * double quotes with "" escapes, CRLF or LF line endings, optional UTF-8 BOM.
+ */
+
+// ---------- Parse ----------
+/**
+ * Parse CSV text into row objects keyed by the (trimmed) header names.
+ * Each row also carries a non-enumerable `__line` (1-based file line) for reports.
+ * @param {string} text
+ * @returns {{ columns: string[], rows: object[] }}
+ */
+function parse(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let field = '';
+  let record = [];
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (ch === '\n') line += 1;
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push({ values: record, line: recordLine });
+      record = [];
+      field = '';
+      line += 1;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push({ values: record, line: recordLine });
+  }
+
+  const nonEmpty = records.filter((r) => r.values.some((v) => v.trim() !== ''));
+  if (!nonEmpty.length) return { columns: [], rows: [] };
+
+  const columns = nonEmpty[0].values.map((c) => c.trim());
+  const rows = nonEmpty.slice(1).map((r) => {
+    const row = {};
+    columns.forEach((c, idx) => {
+      row[c] = (r.values[idx] ?? '').trim();
+    });
+    Object.defineProperty(row, '__line', { value: r.line, enumerable: false });
+    return row;
+  });
+  return { columns, rows };
+}
+
+// ---------- Stringify ----------
+function cell(v) {
+  if (v === undefined || v === null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serialize rows with a fixed column order (CRLF line endings, as GTFS recommends).
+ * @param {string[]} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function stringify(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const r of rows) lines.push(columns.map((c) => cell(r[c])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parse, stringify };
@@ -0,0 +1,158 @@
+// backend/services/gtfs/zip.js
+
+'use strict';
+
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP reader/writer for GTFS feeds (stored + deflate entries, no
+ * ZIP64, no encryption). Feeds are flat archives of .txt files, so entries
+ * are exposed as a Map of name -> Buffer.
+ */
+const SIG_LOCAL = 0x04034b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_END = 0x06054b50;
+const FLAG_UTF8 = 0x0800;
+
+// ---------- CRC-32 ----------
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i += 1) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(d = new Date()) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+// ---------- Read ----------
+function findEnd(buf) {
+  // EOCD is 22 bytes plus an optional comment of up to 64 KiB
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i -= 1) {
+    if (buf.readUInt32LE(i) === SIG_END) return i;
+  }
+  return -1;
+}
+
+/**
+ * Read every file entry of a ZIP archive.
+ * @param {Buffer} buf
+ * @param {{ maxEntryBytes?: number }} [opts] - per-entry inflate ceiling
+ * @returns {Map<string, Buffer>}
+ */
+function readZip(buf, { maxEntryBytes } = {}) {
+  const end = findEnd(buf);
+  if (end < 0) throw new Error('Not a ZIP archive');
+  const count = buf.readUInt16LE(end + 10);
+  let p = buf.readUInt32LE(end + 16);
+  if (count === 0xffff || p === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const out = new Map();
+  for (let i = 0; i < count; i += 1) {
+    if (buf.readUInt32LE(p) !== SIG_CENTRAL) throw new Error('Corrupt ZIP central directory');
+    const flags = buf.readUInt16LE(p + 8);
+    const method = buf.readUInt16LE(p + 10);
+    const crc = buf.readUInt32LE(p + 16);
+    const compSize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localAt = buf.readUInt32LE(p + 42);
+    const name = buf.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith('/')) continue; // directory entry
+    if (flags & 0x1) throw new Error(`Encrypted ZIP entry: ${name}`);
+    if (buf.readUInt32LE(localAt) !== SIG_LOCAL) throw new Error(`Corrupt ZIP entry: ${name}`);
+    if (maxEntryBytes && size > maxEntryBytes) throw new Error(`ZIP entry too large: ${name}`);
+
+    const dataAt = localAt + 30 + buf.readUInt16LE(localAt + 26) + buf.readUInt16LE(localAt + 28);
+    const raw = buf.subarray(dataAt, dataAt + compSize);
+    let data;
+    if (method === 0) data = Buffer.from(raw);
+    else if (method === 8) data = zlib.inflateRawSync(raw, maxEntryBytes ? { maxOutputLength: maxEntryBytes } : {});
+    else throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+    if (crc32(data) !== crc) throw new Error(`ZIP checksum mismatch: ${name}`);
+
+    out.set(name, data);
+  }
+  return out;
+}
+
+// ---------- Write ----------
+/**
+ * Build a deflated ZIP archive.
+ * @param {Array<{ name: string, data: Buffer|string }>} entries
+ * @returns {Buffer}
+ */
+function writeZip(entries, now = new Date()) {
+  const { time, date } = dosDateTime(now);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const e of entries) {
+    const name = Buffer.from(e.name, 'utf8');
+    const data = Buffer.isBuffer(e.data) ? e.data : Buffer.from(String(e.data), 'utf8');
+    const comp = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(SIG_LOCAL, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(comp.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(SIG_CENTRAL, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(comp.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, comp);
+    centrals.push(central, name);
+    offset += local.length + name.length + comp.length;
+  }
+
+  const dir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(SIG_END, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, dir, end]);
+}
+
+module.exports = { readZip, writeZip, crc32 };
@@ -0,0 +1,977 @@
+// backend/services/gtfsService.js
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Bus = require('../models/Bus');
+const BusStop = require('../models/BusStop');
+const Train = require('../models/Train');
+const TrainStation = require('../models/TrainStation');
+const { readZip, writeZip } = require('./gtfs/zip');
+const csv = require('./gtfs/csv');
+const { ApiError } = require('../utils/ApiError');
+const { GTFS } = require('../utils/constants');
+
+/**
+ * GTFS static feeds in and out of the transport collections.
+ *
+ * Import maps every GTFS trip to one Bus or Train document (by route_type)
+ * and every stop those trips serve to a BusStop or TrainStation. Child stops
+ * collapse onto their parent station; their platform_code becomes the trip
+ * stop's platform (trains) or bay (buses). GTFS identity is kept in
+ * `metadata.gtfs` ({ feed, stopId } / { feed, tripId, ... }), so importing a
+ * feed again updates in place and deactivates trips that left the feed.
+ *
+ * Stop times are stored as ISO 8601 strings with offset on the first date the
+ * service runs, which is how search and the journey planner read them.
+ */
+const MODES = Object.freeze({
+  bus: { Trip: Bus, Stop: BusStop, stopRef: 'stopRefId', code: 'stop_code', platform: 'bay', key: 'buses', stopKey: 'busStops' },
+  train: { Trip: Train, Stop: TrainStation, stopRef: 'stationRefId', code: 'station_code', platform: 'platform', key: 'trains', stopKey: 'trainStations' }
+});
+const DAY_KEYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const CALENDAR_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- Helpers ----------
+function slugify(str) {
+  return String(str || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)+/g, '')
+    .substring(0, 80);
+}
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+// GTFS dates are YYYYMMDD; internally YYYY-MM-DD
+function parseDate(s) {
+  const m = /^(\d{4})(\d{2})(\d{2})$/.exec(String(s || ''));
+  if (!m) return null;
+  const ymd = `${m[1]}-${m[2]}-${m[3]}`;
+  return new Date(`${ymd}T00:00:00Z`).toISOString().slice(0, 10) === ymd ? ymd : null;
+}
+function formatDate(ymd) {
+  return ymd.replace(/-/g, '');
+}
+function addDays(ymd, n) {
+  return new Date(Date.parse(`${ymd}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+function weekdayKey(ymd) {
+  return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][new Date(`${ymd}T00:00:00Z`).getUTCDay()];
+}
+
+// GTFS times are H:MM:SS from "noon minus 12h" of the service day and may pass 24:00
+function parseTime(s) {
+  const m = /^(\d{1,3}):([0-5]\d):([0-5]\d)$/.exec(String(s || ''));
+  return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null;
+}
+function formatTime(sec) {
+  return `${pad(Math.floor(sec / 3600))}:${pad(Math.floor((sec % 3600) / 60))}:${pad(sec % 60)}`;
+}
+
+// ---------- Time zones ----------
+const offsetFormats = new Map();
+
+function isTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return Boolean(tz);
+  } catch {
+    return false;
+  }
+}
+
+// Minutes east of UTC for an IANA zone at instant t
+function offsetMinutes(tz, t) {
+  if (!offsetFormats.has(tz)) {
+    offsetFormats.set(tz, new Intl.DateTimeFormat('en-US', { timeZone: tz, timeZoneName: 'longOffset' }));
+  }
+  const name = offsetFormats.get(tz).formatToParts(new Date(t)).find((p) => p.type === 'timeZoneName')?.value;
+  const m = /GMT([+-])(\d{2}):?(\d{2})?/.exec(name || '');
+  return m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3] || 0)) : 0;
+}
+
+function serviceDayStart(ymd, tz) {
+  const noonUTC = Date.parse(`${ymd}T12:00:00Z`);
+  let noon = noonUTC - offsetMinutes(tz, noonUTC) * 60000;
+  noon = noonUTC - offsetMinutes(tz, noon) * 60000;
+  return noon - 12 * 3600 * 1000;
+}
+
+function isoAt(t, tz) {
+  const off = offsetMinutes(tz, t);
+  const abs = Math.abs(off);
+  const local = new Date(t + off * 60000).toISOString().slice(0, 19);
+  return `${local}${off < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+function localDate(t, tz) {
+  return new Date(t + offsetMinutes(tz, t) * 60000).toISOString().slice(0, 10);
+}
+
+function modeOfRouteType(type) {
+  return Object.keys(GTFS.ROUTE_TYPES).find((mode) =>
+    GTFS.ROUTE_TYPES[mode].some(([lo, hi]) => type >= lo && type <= hi)) || null;
+}
+
+// ---------- Report ----------
+function newReport(feed, dryRun) {
+  return {
+    feed,
+    dryRun,
+    applied: false,
+    files: {},
+    counts: { busStops: 0, trainStations: 0, buses: 0, trains: 0 },
+    skipped: { routes: 0, trips: 0 },
+    written: null,
+    totals: { errors: 0, warnings: 0, byCode: {} },
+    errors: [],
+    warnings: []
+  };
+}
+
+function recorder(report) {
+  return (level, file, row, code, message) => {
+    const list = level === 'error' ? report.errors : report.warnings;
+    report.totals[level === 'error' ? 'errors' : 'warnings'] += 1;
+    report.totals.byCode[code] = (report.totals.byCode[code] || 0) + 1;
+    if (list.length < GTFS.REPORT_MAX_ISSUES) list.push({ file, line: row?.__line ?? null, code, message });
+  };
+}
+
+// ---------- Import: feed tables ----------
+function loadFiles(entries) {
+  const files = {};
+  for (const [name, data] of entries) {
+    const base = path.posix.basename(name);
+    if (base.endsWith('.txt') && !files[base]) files[base] = csv.parse(data.toString('utf8')).rows;
+  }
+  return files;
+}
+
+function readAgencies(rows, note) {
+  const agencies = new Map();
+  for (const r of rows) {
+    const id = r.agency_id || '';
+    if (agencies.has(id)) {
+      note('error', 'agency.txt', r, 'duplicate_id', `Duplicate agency_id "${id}"`);
+      continue;
+    }
+    let timezone = r.agency_timezone;
+    if (!isTimeZone(timezone)) {
+      note('error', 'agency.txt', r, 'invalid_timezone', `agency_timezone "${timezone || ''}" is not an IANA time zone; using ${GTFS.DEFAULT_TIMEZONE}`);
+      timezone = GTFS.DEFAULT_TIMEZONE;
+    }
+    if (!r.agency_name) note('warning', 'agency.txt', r, 'missing_name', `Agency "${id}" has no agency_name`);
+    agencies.set(id, { id, name: r.agency_name || id || 'Unknown operator', url: r.agency_url || '', timezone });
+  }
+  if (!agencies.size) note('error', 'agency.txt', null, 'empty_file', 'agency.txt has no agencies');
+  return agencies;
+}
+
+function readServices(calendarRows, dateRows, note) {
+  const raw = new Map();
+  for (const r of calendarRows) {
+    const start = parseDate(r.start_date);
+    const end = parseDate(r.end_date);
+    if (!r.service_id || !start || !end || end < start) {
+      note('error', 'calendar.txt', r, 'invalid_calendar', `Service "${r.service_id || ''}" needs service_id and start_date <= end_date (YYYYMMDD)`);
+      continue;
+    }
+    if (raw.has(r.service_id)) {
+      note('error', 'calendar.txt', r, 'duplicate_id', `Duplicate service_id "${r.service_id}"`);
+      continue;
+    }
+    const days = {};
+    DAY_KEYS.forEach((k, i) => {
+      days[k] = r[CALENDAR_DAYS[i]] === '1';
+    });
+    raw.set(r.service_id, { days, start, end, added: new Set(), removed: new Set() });
+  }
+
+  for (const r of dateRows) {
+    const date = parseDate(r.date);
+    if (!r.service_id || !date || !['1', '2'].includes(r.exception_type)) {
+      note('error', 'calendar_dates.txt', r, 'invalid_calendar_date', `Row needs service_id, date (YYYYMMDD) and exception_type 1 or 2`);
+      continue;
+    }
+    if (!raw.has(r.service_id)) raw.set(r.service_id, { days: null, start: null, end: null, added: new Set(), removed: new Set() });
+    const s = raw.get(r.service_id);
+    (r.exception_type === '1' ? s.added : s.removed).add(date);
+  }
+
+  const services = new Map();
+  for (const [id, s] of raw) {
+    const added = [...s.added].sort();
+    const removed = [...s.removed].filter((d) => !s.added.has(d)).sort();
+    // Date-only services have no weekly pattern; their added dates become calendar exceptions
+    const days = s.days || Object.fromEntries(DAY_KEYS.map((k) => [k, false]));
+    const start = s.start || added[0];
+    const end = s.end || added[added.length - 1];
+    if (!start) {
+      note('warning', 'calendar_dates.txt', null, 'service_never_runs', `Service "${id}" has no active dates`);
+      continue;
+    }
+
+    // Added dates may fall outside calendar.txt's range; validity stays the weekly range
+    const first = [start, added[0]].filter(Boolean).sort()[0];
+    const last = [end, added[added.length - 1]].filter(Boolean).sort().pop();
+    let firstDate = null;
+    for (let d = first; d <= last; d = addDays(d, 1)) {
+      if (s.added.has(d) || (d >= start && d <= end && days[weekdayKey(d)] && !s.removed.has(d))) {
+        firstDate = d;
+        break;
+      }
+    }
+    if (!firstDate) {
+      note('warning', s.days ? 'calendar.txt' : 'calendar_dates.txt', null, 'service_never_runs', `Service "${id}" has no active dates`);
+      continue;
+    }
+
+    services.set(id, {
+      id,
+      serviceDays: days,
+      validity: { startDate: new Date(`${start}T00:00:00Z`), endDate: new Date(`${end}T00:00:00Z`) },
+      calendarExceptions: [
+        ...added.map((date) => ({ date, type: 'added', source: 'gtfs' })),
+        ...removed.map((date) => ({ date, type: 'removed', source: 'gtfs' }))
+      ].sort((a, b) => a.date.localeCompare(b.date)),
+      firstDate
+    });
+  }
+  return services;
+}
+
+function readStops(rows, note) {
+  const stops = new Map();
+  for (const r of rows) {
+    if (!r.stop_id) {
+      note('error', 'stops.txt', r, 'missing_id', 'Stop without stop_id');
+      continue;
+    }
+    if (stops.has(r.stop_id)) {
+      note('warning', 'stops.txt', r, 'duplicate_id', `Duplicate stop_id "${r.stop_id}"; keeping the first`);
+      continue;
+    }
+    const lat = Number(r.stop_lat);
+    const lon = Number(r.stop_lon);
+    const valid = r.stop_lat !== '' && r.stop_lon !== '' && Number.isFinite(lat) && Number.isFinite(lon) &&
+      Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+    const locationType = parseInt(r.location_type || '0', 10) || 0;
+    if (!valid && locationType <= 2) {
+      note('error', 'stops.txt', r, 'invalid_coordinates', `Stop "${r.stop_id}" has missing or out-of-range stop_lat/stop_lon`);
+    }
+    if (r.stop_timezone && !isTimeZone(r.stop_timezone)) {
+      note('warning', 'stops.txt', r, 'invalid_timezone', `stop_timezone "${r.stop_timezone}" ignored for stop "${r.stop_id}"`);
+    }
+    stops.set(r.stop_id, {
+      id: r.stop_id,
+      code: r.stop_code || '',
+      name: r.stop_name || r.stop_code || r.stop_id,
+      lat,
+      lon,
+      valid,
+      tz: isTimeZone(r.stop_timezone) ? r.stop_timezone : '',
+      locationType,
+      parent: r.parent_station || '',
+      platformCode: r.platform_code || '',
+      row: r
+    });
+  }
+
+  for (const s of stops.values()) {
+    if (!s.parent) continue;
+    const parent = stops.get(s.parent);
+    if (!parent || parent.locationType !== 1) {
+      note('warning', 'stops.txt', s.row, 'unknown_parent_station', `parent_station "${s.parent}" of stop "${s.id}" is not a station in stops.txt`);
+      s.parent = '';
+    }
+  }
+  return stops;
+}
+
+function readRoutes(rows, agencies, note) {
+  const routes = new Map();
+  const only = agencies.size === 1 ? [...agencies.values()][0] : null;
+  for (const r of rows) {
+    if (!r.route_id || routes.has(r.route_id)) {
+      note('error', 'routes.txt', r, r.route_id ? 'duplicate_id' : 'missing_id', `Route "${r.route_id || ''}" is missing or duplicated`);
+      continue;
+    }
+    const agency = r.agency_id ? agencies.get(r.agency_id) : only;
+    if (!agency) {
+      note('error', 'routes.txt', r, 'unknown_agency', `Route "${r.route_id}" references unknown agency_id "${r.agency_id || ''}"`);
+      continue;
+    }
+    const type = parseInt(r.route_type, 10);
+    const mode = Number.isFinite(type) ? modeOfRouteType(type) : null;
+    if (!mode) {
+      note('warning', 'routes.txt', r, 'unsupported_route_type', `Route "${r.route_id}" has route_type "${r.route_type}", which is neither bus nor rail; its trips are skipped`);
+    }
+    routes.set(r.route_id, {
+      id: r.route_id,
+      agency,
+      shortName: r.route_short_name || '',
+      longName: r.route_long_name || '',
+      type,
+      mode
+    });
+  }
+  return routes;
+}
+
+function readFares(attrRows, ruleRows, routes, note) {
+  const fares = new Map();
+  for (const r of attrRows) {
+    const price = Number(r.price);
+    if (!r.fare_id || r.price === '' || !Number.isFinite(price) || price < 0 || !/^[A-Z]{3}$/.test(r.currency_type || '')) {
+      note('error', 'fare_attributes.txt', r, 'invalid_fare', `Fare "${r.fare_id || ''}" needs a non-negative price and an ISO 4217 currency_type`);
+      continue;
+    }
+    fares.set(r.fare_id, { id: r.fare_id, price, currency: r.currency_type, agencyId: r.agency_id || '' });
+  }
+
+  const byRoute = new Map();
+  const anyRoute = [];
+  for (const r of ruleRows) {
+    if (!fares.has(r.fare_id)) {
+      note('warning', 'fare_rules.txt', r, 'unknown_fare', `fare_rules row references unknown fare_id "${r.fare_id || ''}"`);
+      continue;
+    }
+    if (!r.route_id) {
+      anyRoute.push(r.fare_id);
+    } else if (!routes.has(r.route_id)) {
+      note('warning', 'fare_rules.txt', r, 'unknown_route', `fare_rules row references unknown route_id "${r.route_id}"`);
+    } else {
+      if (!byRoute.has(r.route_id)) byRoute.set(r.route_id, new Set());
+      byRoute.get(r.route_id).add(r.fare_id);
+    }
+  }
+
+  // Without fare_rules every fare applies to its agency's routes
+  return (route) => {
+    const ids = ruleRows.length
+      ? new Set([...(byRoute.get(route.id) || []), ...anyRoute])
+      : new Set([...fares.values()].filter((f) => !f.agencyId || f.agencyId === route.agency.id).map((f) => f.id));
+    return [...ids].map((id) => fares.get(id));
+  };
+}
+
+function fareBands(fares, mode) {
+  const byCurrency = new Map();
+  for (const f of fares) {
+    const b = byCurrency.get(f.currency) || { classCode: GTFS.DEFAULT_CLASS[mode], currency: f.currency, min: f.price, max: f.price };
+    b.min = Math.min(b.min, f.price);
+    b.max = Math.max(b.max, f.price);
+    byCurrency.set(f.currency, b);
+  }
+  return [...byCurrency.values()];
+}
+
+function readShapes(rows, note) {
+  const points = new Map();
+  for (const r of rows) {
+    const lat = Number(r.shape_pt_lat);
+    const lon = Number(r.shape_pt_lon);
+    const seq = Number(r.shape_pt_sequence);
+    if (!r.shape_id || !Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180 || !Number.isFinite(seq)) {
+      note('warning', 'shapes.txt', r, 'invalid_shape_point', `Shape point of "${r.shape_id || ''}" ignored`);
+      continue;
+    }
+    if (!points.has(r.shape_id)) points.set(r.shape_id, []);
+    points.get(r.shape_id).push({ seq, coord: [lon, lat] });
+  }
+  const shapes = new Map();
+  for (const [id, pts] of points) {
+    if (pts.length >= 2) shapes.set(id, pts.sort((a, b) => a.seq - b.seq).map((p) => p.coord));
+  }
+  return shapes;
+}
+
+function groupStopTimes(rows) {
+  const byTrip = new Map();
+  for (const r of rows) {
+    if (!byTrip.has(r.trip_id)) byTrip.set(r.trip_id, []);
+    byTrip.get(r.trip_id).push(r);
+  }
+  return byTrip;
+}
+
+// ---------- Import: trips -> documents ----------
+/**
+ * Validate one trip's stop_times and turn them into model stops; returns null
+ * (after noting why) when the trip cannot be imported.
+ */
+function tripStops(trip, times, { stops, tz, mode, serviceDate }, note) {
+  const rows = [];
+  for (const st of times) {
+    const seq = Number(st.stop_sequence);
+    if (st.stop_sequence === '' || !Number.isInteger(seq) || seq < 0) {
+      note('error', 'stop_times.txt', st, 'invalid_stop_sequence', `Trip "${trip.trip_id}" has an invalid stop_sequence "${st.stop_sequence}"`);
+      return null;
+    }
+    const stop = stops.get(st.stop_id);
+    if (!stop) {
+      note('error', 'stop_times.txt', st, 'unknown_stop', `Trip "${trip.trip_id}" references unknown stop_id "${st.stop_id}"`);
+      return null;
+    }
+    const node = stop.parent ? stops.get(stop.parent) : stop;
+    if (!node.valid) {
+      note('error', 'stop_times.txt', st, 'invalid_stop', `Trip "${trip.trip_id}" uses stop "${node.id}", which has no valid coordinates`);
+      return null;
+    }
+    if (stop.locationType !== 0) {
+      note('warning', 'stop_times.txt', st, 'not_a_stop', `stop_id "${st.stop_id}" of trip "${trip.trip_id}" has location_type ${stop.locationType}`);
+    }
+    const arr = parseTime(st.arrival_time);
+    const dep = parseTime(st.departure_time);
+    if ((st.arrival_time && arr == null) || (st.departure_time && dep == null)) {
+      note('error', 'stop_times.txt', st, 'invalid_time', `Trip "${trip.trip_id}" has an unparsable time at stop_sequence ${seq}`);
+      return null;
+    }
+    rows.push({ seq, st, node, platformCode: stop.parent ? stop.platformCode : '', arr: arr ?? dep, dep: dep ?? arr });
+  }
+
+  rows.sort((a, b) => a.seq - b.seq);
+  for (let i = 1; i < rows.length; i += 1) {
+    if (rows[i].seq === rows[i - 1].seq) {
+      note('error', 'stop_times.txt', rows[i].st, 'duplicate_stop_sequence', `Trip "${trip.trip_id}" repeats stop_sequence ${rows[i].seq}`);
+      return null;
+    }
+  }
+  if (rows[0].arr == null || rows[rows.length - 1].arr == null) {
+    note('error', 'stop_times.txt', rows[0].arr == null ? rows[0].st : rows[rows.length - 1].st, 'missing_time', `Trip "${trip.trip_id}" needs times at its first and last stop`);
+    return null;
+  }
+
+  let last = -1;
+  for (const r of rows) {
+    if (r.arr == null) continue;
+    if (r.arr < last || r.dep < r.arr) {
+      note('error', 'stop_times.txt', r.st, 'time_travel', `Trip "${trip.trip_id}" goes back in time at stop_sequence ${r.seq}`);
+      return null;
+    }
+    last = r.dep;
+  }
+
+  const base = serviceDayStart(serviceDate, tz);
+  const at = (sec) => (sec == null ? undefined : isoAt(base + sec * 1000, tz));
+  return rows.map((r) => ({
+    seq: r.seq,
+    stopId: r.node.id,
+    node: r.node,
+    name: r.node.name,
+    arr: at(r.arr),
+    dep: at(r.dep),
+    [MODES[mode].platform]: r.platformCode || undefined
+  }));
+}
+
+function buildPlan(feed, files, note, report) {
+  const agencies = readAgencies(files['agency.txt'], note);
+  const services = readServices(files['calendar.txt'] || [], files['calendar_dates.txt'] || [], note);
+  const stops = readStops(files['stops.txt'], note);
+  const routes = readRoutes(files['routes.txt'], agencies, note);
+  const faresFor = readFares(files['fare_attributes.txt'] || [], files['fare_rules.txt'] || [], routes, note);
+  const shapes = readShapes(files['shapes.txt'] || [], note);
+  const stopTimes = groupStopTimes(files['stop_times.txt']);
+
+  report.skipped.routes = [...routes.values()].filter((r) => !r.mode).length + (files['routes.txt'].length - routes.size);
+
+  const plan = {
+    timezone: [...agencies.values()][0]?.timezone || GTFS.DEFAULT_TIMEZONE, // GTFS requires one zone per feed
+    bus: { trips: [], stops: new Map() },
+    train: { trips: [], stops: new Map() }
+  };
+  const seen = new Set();
+  const skip = () => {
+    report.skipped.trips += 1;
+  };
+
+  for (const t of files['trips.txt']) {
+    if (!t.trip_id || seen.has(t.trip_id)) {
+      note('error', 'trips.txt', t, t.trip_id ? 'duplicate_id' : 'missing_id', `Trip "${t.trip_id || ''}" is missing or duplicated`);
+      skip();
+      continue;
+    }
+    seen.add(t.trip_id);
+
+    const route = routes.get(t.route_id);
+    if (!route) {
+      note('error', 'trips.txt', t, 'unknown_route', `Trip "${t.trip_id}" references unknown route_id "${t.route_id || ''}"`);
+      skip();
+      continue;
+    }
+    if (!route.mode) {
+      skip();
+      continue;
+    }
+    const service = services.get(t.service_id);
+    if (!service) {
+      note('error', 'trips.txt', t, 'unknown_service', `Trip "${t.trip_id}" references unknown or inactive service_id "${t.service_id || ''}"`);
+      skip();
+      continue;
+    }
+    const times = stopTimes.get(t.trip_id) || [];
+    if (times.length < 2) {
+      note('warning', 'trips.txt', t, 'too_few_stops', `Trip "${t.trip_id}" has fewer than two stop_times`);
+      skip();
+      continue;
+    }
+
+    const { mode } = route;
+    const tz = route.agency.timezone;
+    const modelStops = tripStops(t, times, { stops, tz, mode, serviceDate: service.firstDate }, note);
+    if (!modelStops) {
+      skip();
+      continue;
+    }
+
+    for (const s of modelStops) plan[mode].stops.set(s.node.id, s.node);
+    const shape = shapes.get(t.shape_id) ||
+      modelStops.map((s) => [s.node.lon, s.node.lat]).filter((c, i, all) => i === 0 || c[0] !== all[i - 1][0] || c[1] !== all[i - 1][1]);
+    const fares = faresFor(route);
+    const bands = fareBands(fares, mode);
+
+    plan[mode].trips.push({
+      tripId: t.trip_id,
+      doc: {
+        number: (mode === 'train' ? t.trip_short_name || route.shortName : route.shortName || t.trip_short_name) || route.id,
+        name: route.longName || t.trip_headsign || route.shortName || undefined,
+        operator: route.agency.name,
+        classes: bands.length ? [...new Set(bands.map((b) => b.classCode))] : [GTFS.DEFAULT_CLASS[mode]],
+        serviceDays: service.serviceDays,
+        validity: service.validity,
+        calendarExceptions: service.calendarExceptions,
+        stops: modelStops.map(({ node, ...s }) => s),
+        fares: bands,
+        routeShapeRef: t.shape_id || undefined,
+        routeShape: shape.length >= 2 ? shape : undefined,
+        coordinatesGeoJSON: shape.length >= 2 ? { type: 'LineString', coordinates: shape } : undefined,
+        isActive: true,
+        'metadata.tz': tz,
+        'metadata.gtfs': {
+          feed,
+          tripId: t.trip_id,
+          routeId: route.id,
+          serviceId: service.id,
+          agencyId: route.agency.id,
+          agencyUrl: route.agency.url,
+          routeShortName: route.shortName,
+          routeLongName: route.longName,
+          routeType: route.type,
+          headsign: t.trip_headsign || '',
+          tripShortName: t.trip_short_name || '',
+          directionId: t.direction_id || '',
+          fareIds: fares.map((f) => f.id),
+          importedAt: new Date()
+        }
+      }
+    });
+  }
+
+  for (const [tripId, rows] of stopTimes) {
+    if (!seen.has(tripId)) note('error', 'stop_times.txt', rows[0], 'unknown_trip', `stop_times reference unknown trip_id "${tripId}" (${rows.length} rows)`);
+  }
+  return plan;
+}
+
+function stopDoc(feed, s, mode, tz) {
+  return {
+    name: s.name,
+    [MODES[mode].code]: s.code || s.id,
+    location: { type: 'Point', coordinates: [s.lon, s.lat] },
+    tz: s.tz || tz,
+    isActive: true,
+    'metadata.gtfs': { feed, stopId: s.id }
+  };
+}
+
+async function upsertAll(Model, ops) {
+  let upserted = 0;
+  let modified = 0;
+  for (const batch of chunk(ops, GTFS.WRITE_BATCH)) {
+    const res = await Model.bulkWrite(batch, { ordered: false });
+    upserted += res.upsertedCount || 0;
+    modified += res.modifiedCount || 0;
+  }
+  return { upserted, modified };
+}
+
+// Feed-owned fields that are absent now are unset, so re-imports don't keep stale values
+function setOrUnset(doc) {
+  const $set = {};
+  const $unset = {};
+  for (const [k, v] of Object.entries(doc)) {
+    if (v === undefined) $unset[k] = 1;
+    else $set[k] = v;
+  }
+  return Object.keys($unset).length ? { $set, $unset } : { $set };
+}
+
+async function writePlan(feed, plan) {
+  const written = { deactivated: {} };
+  for (const mode of Object.keys(MODES)) {
+    const { Trip, Stop, stopRef, key, stopKey } = MODES[mode];
+    const nodes = [...plan[mode].stops.values()];
+
+    written[stopKey] = await upsertAll(Stop, nodes.map((s) => ({
+      updateOne: {
+        filter: { 'metadata.gtfs.feed': feed, 'metadata.gtfs.stopId': s.id },
+        update: { $set: stopDoc(feed, s, mode, plan.timezone) },
+        upsert: true
+      }
+    })));
+
+    const ids = new Map();
+    for (const batch of chunk(nodes.map((s) => s.id), GTFS.WRITE_BATCH * 10)) {
+      const rows = await Stop.find({ 'metadata.gtfs.feed': feed, 'metadata.gtfs.stopId': { $in: batch } })
+        .select({ _id: 1, 'metadata.gtfs.stopId': 1 })
+        .lean();
+      for (const r of rows) ids.set(r.metadata.gtfs.stopId, r._id);
+    }
+
+    // Feed calendar exceptions are replaced; ones from notices or admins are kept
+    written[key] = await upsertAll(Trip, plan[mode].trips.map(({ tripId, doc: { calendarExceptions, ...doc } }) => ({
+      updateOne: {
+        filter: { 'metadata.gtfs.feed': feed, 'metadata.gtfs.tripId': tripId },
+        update: {
+          ...setOrUnset({
+            ...doc,
+            stops: doc.stops.map(({ stopId, ...s }) => ({ ...s, [stopRef]: ids.get(stopId) }))
+          }),
+          $pull: { calendarExceptions: { source: 'gtfs' } }
+        },
+        upsert: true
+      }
+    })));
+    const pushes = plan[mode].trips.filter((t) => t.doc.calendarExceptions.length).map(({ tripId, doc }) => ({
+      updateOne: {
+        filter: { 'metadata.gtfs.feed': feed, 'metadata.gtfs.tripId': tripId },
+        update: { $push: { calendarExceptions: { $each: doc.calendarExceptions } } }
+      }
+    }));
+    for (const batch of chunk(pushes, GTFS.WRITE_BATCH)) await Trip.bulkWrite(batch, { ordered: false });
+
+    const res = await Trip.updateMany(
+      { 'metadata.gtfs.feed': feed, 'metadata.gtfs.tripId': { $nin: plan[mode].trips.map((t) => t.tripId) }, isActive: true },
+      { $set: { isActive: false } }
+    );
+    written.deactivated[key] = res.modifiedCount || 0;
+  }
+  return written;
+}
+
+// ---------- Import ----------
+/**
+ * Import a GTFS zip (path on disk or Buffer) into Bus/Train and their stops.
+ * Trips failing referential checks are skipped and listed in the report;
+ * with `strict` any error aborts before writing, and `dryRun` never writes.
+ * @returns {Promise<object>} report
+ */
+async function importFeed(source, { feed, dryRun = false, strict = false } = {}) {
+  const feedId = slugify(feed || (typeof source === 'string' ? path.basename(source, path.extname(source)) : ''));
+  if (!feedId) throw ApiError.badRequest('A feed id is required');
+
+  let entries;
+  try {
+    const buf = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+    entries = readZip(buf, { maxEntryBytes: GTFS.MAX_ENTRY_MB * 1024 * 1024 });
+  } catch (e) {
+    throw ApiError.badRequest(`Cannot read GTFS zip: ${e.message}`);
+  }
+
+  const files = loadFiles(entries);
+  const missing = GTFS.REQUIRED_FILES.filter((f) => !files[f]);
+  if (!files['calendar.txt'] && !files['calendar_dates.txt']) missing.push('calendar.txt or calendar_dates.txt');
+  if (missing.length) throw ApiError.unprocessable('GTFS feed is missing required files', { missing });
+
+  const report = newReport(feedId, dryRun);
+  for (const [name, rows] of Object.entries(files)) report.files[name] = rows.length;
+
+  const plan = buildPlan(feedId, files, recorder(report), report);
+  report.counts = {
+    busStops: plan.bus.stops.size,
+    trainStations: plan.train.stops.size,
+    buses: plan.bus.trips.length,
+    trains: plan.train.trips.length
+  };
+
+  if (dryRun || (strict && report.totals.errors)) return report;
+
+  report.written = await writePlan(feedId, plan);
+  report.applied = true;
+  return report;
+}
+
+// ---------- Export ----------
+function stopTimeSeconds(iso, base) {
+  const t = Date.parse(iso || '');
+  return Number.isFinite(t) ? Math.round((t - base) / 1000) : null;
+}
+
+/**
+ * Build a GTFS zip from active Bus/Train documents (optionally one imported
+ * feed or one operator). Documents imported from `feed` keep their original
+ * GTFS ids; everything else is keyed by Mongo ids. Per-visit platforms/bays
+ * become child stops of a station so they survive a round trip.
+ * @returns {Promise<{ buffer: Buffer, report: object }>}
+ */
+async function exportFeed({ modes = Object.keys(MODES), feed, operator, timezone } = {}) {
+  const list = (Array.isArray(modes) ? modes : String(modes).split(',')).map((m) => String(m).trim()).filter(Boolean);
+  const bad = list.filter((m) => !MODES[m]);
+  if (bad.length || !list.length) throw ApiError.badRequest(`modes must be any of: ${Object.keys(MODES).join(', ')}`);
+  if (timezone && !isTimeZone(timezone)) throw ApiError.badRequest(`Unknown time zone "${timezone}"`);
+
+  const match = { isActive: true };
+  if (feed) match['metadata.gtfs.feed'] = feed;
+  if (operator) match.operator = operator;
+
+  const trips = [];
+  const stopDocs = new Map(); // `${mode}:${_id}` -> stop document
+  for (const mode of list) {
+    const { Trip, Stop, stopRef } = MODES[mode];
+    const docs = await Trip.find(match).lean();
+    docs.forEach((d) => trips.push({ mode, doc: d }));
+    const refs = [...new Set(docs.flatMap((d) => (d.stops || []).map((s) => s[stopRef] || s.stationRefId).filter(Boolean).map(String)))];
+    for (const batch of chunk(refs, GTFS.WRITE_BATCH * 10)) {
+      const rows = await Stop.find({ _id: { $in: batch } }).lean();
+      rows.forEach((r) => stopDocs.set(`${mode}:${r._id}`, r));
+    }
+  }
+  if (!trips.length) throw ApiError.notFound('No active trips match the export filter');
+
+  const tz = timezone || mostCommon(trips.map((t) => t.doc.metadata?.tz)) || GTFS.DEFAULT_TIMEZONE;
+  const own = (doc) => (feed && doc?.metadata?.gtfs?.feed === feed ? doc.metadata.gtfs : null);
+  const warnings = [];
+
+  const agencies = new Map();
+  const routes = new Map();
+  const stations = new Map(); // stop_id -> { stop, platforms: Map(child stop_id -> platform) }
+  const services = new Map(); // signature -> service
+  const serviceIds = new Set();
+  const shapes = new Map();
+  const fareAttrs = new Map();
+  const fareRules = new Map();
+  const tripRows = [];
+  const stopTimeRows = [];
+
+  const stationFor = (mode, ref) => {
+    const s = stopDocs.get(`${mode}:${ref}`);
+    if (!s || !Array.isArray(s.location?.coordinates)) return null;
+    const id = own(s)?.stopId || String(s._id);
+    if (!stations.has(id)) stations.set(id, { id, stop: s, mode, platforms: new Map() });
+    return stations.get(id);
+  };
+
+  const serviceFor = (t, anchor) => {
+    const g = own(t);
+    const days = Object.fromEntries(DAY_KEYS.map((k) => [k, t.serviceDays ? t.serviceDays[k] !== false : true]));
+    const start = t.validity?.startDate ? new Date(t.validity.startDate).toISOString().slice(0, 10) : anchor;
+    const end = t.validity?.endDate ? new Date(t.validity.endDate).toISOString().slice(0, 10) : addDays(anchor, GTFS.EXPORT_VALIDITY_DAYS);
+    // calendar_dates: added and removed days from any source (re-timings have no static form);
+    // a removal wins over an addition, as in serviceCalendarService
+    const datesOf = (type) => [...new Set((t.calendarExceptions || []).filter((e) => e.type === type).map((e) => e.date))].sort();
+    const removed = datesOf('removed');
+    const added = datesOf('added').filter((d) => !removed.includes(d));
+    const sig = JSON.stringify([days, start, end, added, removed]);
+    if (!services.has(sig)) {
+      let id = g?.serviceId && !serviceIds.has(g.serviceId) ? g.serviceId : null;
+      if (!id) {
+        let n = services.size + 1;
+        while (serviceIds.has(`svc-${n}`)) n += 1;
+        id = `svc-${n}`;
+      }
+      serviceIds.add(id);
+      services.set(sig, { id, days, start, end, added, removed });
+    }
+    return services.get(sig);
+  };
+
+  for (const { mode, doc: t } of trips) {
+    const { stopRef, platform } = MODES[mode];
+    const g = own(t);
+    const tripId = g?.tripId || String(t._id);
+    const ordered = (t.stops || []).slice().sort((a, b) => (a.seq || 0) - (b.seq || 0));
+    const first = ordered[0];
+    const lastStop = ordered[ordered.length - 1];
+    const firstAt = Date.parse(first?.dep || first?.arr || '');
+    if (ordered.length < 2 || !Number.isFinite(firstAt) || !Number.isFinite(Date.parse(lastStop.arr || lastStop.dep || ''))) {
+      warnings.push({ tripId, code: 'missing_time', message: 'Trip needs at least two stops with times at both ends' });
+      continue;
+    }
+
+    const visits = ordered.map((s) => ({ s, station: stationFor(mode, s[stopRef] || s.stationRefId) }));
+    if (visits.some((v) => !v.station)) {
+      warnings.push({ tripId, code: 'unknown_stop', message: 'Trip references a stop that no longer exists or has no location' });
+      continue;
+    }
+
+    const anchor = localDate(firstAt, tz);
+    const base = serviceDayStart(anchor, tz);
+    const service = serviceFor(t, anchor);
+
+    const agencyId = g?.agencyId || slugify(t.operator) || 'operator';
+    if (!agencies.has(agencyId)) {
+      agencies.set(agencyId, { agency_id: agencyId, agency_name: t.operator, agency_url: g?.agencyUrl || GTFS.DEFAULT_AGENCY_URL, agency_timezone: tz });
+    }
+
+    const routeId = g?.routeId || `${mode}-${agencyId}-${slugify(t.number) || String(t._id)}`;
+    if (!routes.has(routeId)) {
+      routes.set(routeId, {
+        route_id: routeId,
+        agency_id: agencyId,
+        route_short_name: g ? g.routeShortName : t.number,
+        route_long_name: g ? g.routeLongName : t.name || '',
+        route_type: g?.routeType ?? GTFS.EXPORT_ROUTE_TYPE[mode]
+      });
+    }
+
+    const coords = t.coordinatesGeoJSON?.coordinates?.length >= 2 ? t.coordinatesGeoJSON.coordinates : t.routeShape;
+    let shapeId = '';
+    if (Array.isArray(coords) && coords.length >= 2) {
+      shapeId = t.routeShapeRef || `shp-${tripId}`;
+      if (!shapes.has(shapeId)) shapes.set(shapeId, coords);
+    }
+
+    tripRows.push({
+      route_id: routeId,
+      service_id: service.id,
+      trip_id: tripId,
+      trip_headsign: g?.headsign || lastStop.name || visits[visits.length - 1].station.stop.name,
+      trip_short_name: mode === 'train' ? t.number : g?.tripShortName || '',
+      direction_id: g?.directionId || '',
+      shape_id: shapeId
+    });
+
+    const seqOk = ordered.every((s, i) => Number.isInteger(s.seq) && s.seq >= 0 && (i === 0 || s.seq > ordered[i - 1].seq));
+    visits.forEach(({ s, station }, i) => {
+      let stopId = station.id;
+      const plat = s[platform] || s.platform || s.bay;
+      if (plat || station.platforms.size) {
+        stopId = `${station.id}-p${slugify(plat)}`;
+        station.platforms.set(stopId, plat || '');
+      }
+      let arr = stopTimeSeconds(s.arr, base);
+      let dep = stopTimeSeconds(s.dep, base);
+      arr = arr ?? dep;
+      dep = dep ?? arr;
+      stopTimeRows.push({
+        trip_id: tripId,
+        arrival_time: arr == null || arr < 0 ? '' : formatTime(arr),
+        departure_time: dep == null || dep < 0 ? '' : formatTime(dep),
+        stop_id: stopId,
+        stop_sequence: seqOk ? s.seq : i,
+        _station: station
+      });
+    });
+
+    // One fare per band bound, so min/max come back on import
+    for (const b of t.fares || []) {
+      const bounds = [...new Set([b.min, b.max ?? b.min].filter((v) => v != null).map(Number))];
+      bounds.forEach((price, i) => {
+        const fareId = `${routeId}-${slugify(b.classCode || GTFS.DEFAULT_CLASS[mode])}-${b.currency || 'USD'}${i ? '-max' : ''}`.toLowerCase();
+        if (!fareAttrs.has(fareId)) {
+          fareAttrs.set(fareId, {
+            fare_id: fareId,
+            price: price.toFixed(2),
+            currency_type: (b.currency || 'USD').toUpperCase(),
+            payment_method: 0,
+            transfers: 0,
+            agency_id: agencyId
+          });
+        }
+        fareRules.set(`${fareId}|${routeId}`, { fare_id: fareId, route_id: routeId });
+      });
+    }
+  }
+
+  // Stations that gained platforms after an earlier platform-less visit was written
+  for (const row of stopTimeRows) {
+    const station = row._station;
+    if (station.platforms.size && row.stop_id === station.id) {
+      row.stop_id = `${station.id}-p`;
+      station.platforms.set(row.stop_id, '');
+    }
+    delete row._station;
+  }
+  if (!tripRows.length) throw ApiError.unprocessable('None of the matching trips can be exported', { warnings });
+
+  const stopRows = [];
+  for (const st of stations.values()) {
+    const { stop } = st;
+    const [lon, lat] = stop.location.coordinates;
+    const base = {
+      stop_code: stop[MODES[st.mode].code] || '',
+      stop_name: stop.name,
+      stop_lat: lat,
+      stop_lon: lon,
+      stop_timezone: stop.tz && stop.tz !== tz ? stop.tz : ''
+    };
+    stopRows.push({ stop_id: st.id, ...base, location_type: st.platforms.size ? 1 : '', parent_station: '', platform_code: '' });
+    for (const [childId, plat] of st.platforms) {
+      stopRows.push({ stop_id: childId, ...base, stop_code: '', location_type: 0, parent_station: st.id, platform_code: plat });
+    }
+  }
+
+  const today = formatDate(new Date().toISOString().slice(0, 10));
+  const calendarRows = [...services.values()].map((s) => ({
+    service_id: s.id,
+    ...Object.fromEntries(DAY_KEYS.map((k, i) => [CALENDAR_DAYS[i], s.days[k] ? 1 : 0])),
+    start_date: formatDate(s.start),
+    end_date: formatDate(s.end)
+  }));
+  const calendarDateRows = [...services.values()].flatMap((s) => [
+    ...s.added.map((d) => ({ service_id: s.id, date: formatDate(d), exception_type: 1 })),
+    ...s.removed.map((d) => ({ service_id: s.id, date: formatDate(d), exception_type: 2 }))
+  ]);
+  const shapeRows = [...shapes.entries()].flatMap(([id, pts]) =>
+    pts.map(([lon, lat], i) => ({ shape_id: id, shape_pt_lat: lat, shape_pt_lon: lon, shape_pt_sequence: i })));
+
+  const tables = [
+    ['agency.txt', ['agency_id', 'agency_name', 'agency_url', 'agency_timezone'], [...agencies.values()]],
+    ['stops.txt', ['stop_id', 'stop_code', 'stop_name', 'stop_lat', 'stop_lon', 'location_type', 'parent_station', 'stop_timezone', 'platform_code'], stopRows],
+    ['routes.txt', ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type'], [...routes.values()]],
+    ['trips.txt', ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'trip_short_name', 'direction_id', 'shape_id'], tripRows],
+    ['stop_times.txt', ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'], stopTimeRows],
+    ['calendar.txt', ['service_id', ...CALENDAR_DAYS, 'start_date', 'end_date'], calendarRows],
+    ['calendar_dates.txt', ['service_id', 'date', 'exception_type'], calendarDateRows],
+    ['fare_attributes.txt', ['fare_id', 'price', 'currency_type', 'payment_method', 'transfers', 'agency_id'], [...fareAttrs.values()]],
+    ['fare_rules.txt', ['fare_id', 'route_id'], [...fareRules.values()]],
+    ['shapes.txt', ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence'], shapeRows],
+    ['feed_info.txt', ['feed_publisher_name', 'feed_publisher_url', 'feed_lang', 'feed_version'], [{
+      feed_publisher_name: 'Naveeka',
+      feed_publisher_url: GTFS.DEFAULT_AGENCY_URL,
+      feed_lang: 'en',
+      feed_version: feed ? `${feed}-${today}` : today
+    }]]
+  ].filter(([, , rows]) => rows.length);
+
+  return {
+    buffer: writeZip(tables.map(([name, columns, rows]) => ({ name, data: csv.stringify(columns, rows) }))),
+    report: {
+      timezone: tz,
+      files: Object.fromEntries(tables.map(([name, , rows]) => [name, rows.length])),
+      skipped: warnings.length,
+      warnings: warnings.slice(0, GTFS.REPORT_MAX_ISSUES)
+    }
+  };
+}
+
+module.exports = {
+  importFeed,
+  exportFeed
+};
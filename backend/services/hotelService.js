@@ -4,14 +4,10 @@
 
 const mongoose = require('mongoose');
 const Hotel = require('../models/Hotel');
-
-// Optional booking model if present in the project
-let HotelBooking = null;
-try {
-  HotelBooking = require('../models/HotelBooking'); // eslint-disable-line global-require
-} catch (e) {
-  HotelBooking = null;
-}
+const bookingLedger = require('./bookingLedgerService');
+const payments = require('./paymentService');
+const cancellation = require('./cancellationService');
+const { ApiError } = require('../utils/ApiError');
 
 // ----------------- Helpers -----------------
 function isObjectId(v) {
@@ -335,7 +331,7 @@ async function getQuote({
   const plans = Array.isArray(hotel.ratePlans) ? hotel.ratePlans : [];
   const selectedPlan = ratePlanId
     ? plans.find((p) => p.id === ratePlanId)
-    : plans;
+    : plans[0];
 
   if (!selectedPlan) return { error: 'No rate plans', nights };
 
@@ -368,27 +364,34 @@ async function getQuote({
   };
 }
 
-async function bookHotel({ idOrSlug, checkIn, checkOut, guests, quote, contact, payment }) {
+/**
+ * Record a stay in the booking ledger and charge it when payment details are given;
+ * it stays held/pending_payment until the payment is captured. The stay is
+ * re-quoted here; `expectedQuote` (what the client saw) is only compared.
+ */
+async function bookHotel({ idOrSlug, checkIn, checkOut, ratePlanId, roomCodes, quantities, guests, expectedQuote, contact, payment, userId }) {
   const hotel = await getHotelByIdOrSlug(idOrSlug);
   if (!hotel) return null;
-
-  const bookingPayload = {
-    hotelId: String(hotel._id),
-    checkIn,
-    checkOut,
+  if (payment) payments.assertAvailable();
+
+  const quote = await getQuote({ idOrSlug: hotel._id, checkIn, checkOut, ratePlanId, roomCodes, quantities });
+  if (quote?.error) throw ApiError.badRequest(quote.error);
+  bookingLedger.assertQuoteMatches(expectedQuote, quote);
+
+  const booking = await bookingLedger.createFromCheckout({
+    kind: 'hotel',
+    userId,
+    itemId: hotel._id,
+    title: hotel.name,
+    startDate: checkIn,
+    endDate: checkOut,
     guests,
     quote,
-    contact,
-    state: 'confirmed',
-    createdAtISO: toISO(Date.now()),
-    payment: payment ? { ...payment, state: 'captured' } : { state: 'pending' }
-  };
-
-  if (HotelBooking) {
-    const saved = await HotelBooking.create(bookingPayload);
-    return saved.toObject();
-  }
-  return { _id: null, ...bookingPayload };
+    payment,
+    cancellationPolicy: cancellation.policyForItem('hotel', hotel, { ratePlanId: quote?.ratePlanId }),
+    details: { quote, contact, ratePlanId: quote?.ratePlanId || null, roomCodes: quote?.roomCodes || [] }
+  });
+  return payment ? payments.payForBooking(booking, { ...payment, userId }) : booking;
 }
 
 // ----------------- Photos -----------------
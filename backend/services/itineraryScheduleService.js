@@ -0,0 +1,303 @@
+// backend/services/itineraryScheduleService.js
+
+'use strict';
+
+const { ITINERARY } = require('../utils/constants');
+
+/**
+ * Pure itinerary checks and day packing. Callers pass lean itinerary items
+ * plus a `places` map (String(entityId) -> { hours, location, timings }) for
+ * items linked to places; nothing here touches the database.
+ *
+ * Times of day (opening hours, day window) are read on the UTC clock, the
+ * same clock applyTemplate writes item times on.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_MS = 60 * 1000;
+
+// ---------- Helpers ----------
+function ms(iso) {
+  if (!iso) return null;
+  const t = Date.parse(iso);
+  return Number.isFinite(t) ? t : null;
+}
+function toISO(t) {
+  return new Date(t).toISOString();
+}
+function dayStartMs(d) {
+  const z = new Date(d);
+  z.setUTCHours(0, 0, 0, 0);
+  return z.getTime();
+}
+function minuteOfDay(t) {
+  const d = new Date(t);
+  return d.getUTCHours() * 60 + d.getUTCMinutes();
+}
+function roundUpTo(t, minutes) {
+  const step = minutes * MIN_MS;
+  return Math.ceil(t / step) * step;
+}
+function haversineKm(a, b) {
+  const R = 6371;
+  const toRad = (x) => (x * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const sa =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return R * 2 * Math.atan2(Math.sqrt(sa), Math.sqrt(1 - sa));
+}
+function pointOf(item, places) {
+  const c = item?.location?.coordinates;
+  if (Array.isArray(c) && c.length === 2) return { lng: c[0], lat: c[1] };
+  return (item?.entityId && places?.get(String(item.entityId))?.location) || null;
+}
+function hoursOf(item, places) {
+  return (item?.entityId && places?.get(String(item.entityId))?.hours) || null;
+}
+
+// ---------- Opening hours ----------
+// "9:00 AM", "9 am", "21:30", "9.30pm" -> minutes past midnight (+ whether a meridiem was given)
+function parseClock(s) {
+  const m = /^\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?\s*$/i.exec(String(s || ''));
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  const mer = m[3] ? m[3][0].toLowerCase() : null;
+  if (h > 24 || min > 59) return null;
+  if (mer === 'p' && h < 12) h += 12;
+  if (mer === 'a' && h === 12) h = 0;
+  return { minutes: h * 60 + min, meridiem: mer };
+}
+
+/**
+ * Parse free-text Place.timings such as "5:30 AM - 1:00 PM, 3:00 PM - 9:00 PM"
+ * or "Open 24 hours" into [{ open, close }] minute ranges (close may pass
+ * 1440 for overnight hours). Returns [] for "Closed" and null when the text
+ * cannot be read, so unknown hours never block scheduling.
+ */
+function parseTimings(text) {
+  if (!text) return null;
+  const t = String(text).toLowerCase();
+  if (/24\s*(hours|hrs|h\b)|24\s*[x/]\s*7|always open/.test(t)) return [{ open: 0, close: 1440 }];
+  if (/^\s*closed\b/.test(t)) return [];
+
+  const out = [];
+  const range = /(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.)?)\s*(?:-|–|—|to)\s*(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.)?)/g;
+  for (const seg of t.replace(/\([^)]*\)/g, ' ').split(/[,;&]|\band\b/)) {
+    range.lastIndex = 0;
+    const m = range.exec(seg);
+    if (!m) continue;
+    const close = parseClock(m[2]);
+    let open = parseClock(m[1]);
+    if (!open || !close) continue;
+    // "9 - 5 pm": the opening time borrows the closing meridiem when that keeps it earlier
+    if (!open.meridiem && close.meridiem === 'p' && open.minutes + 720 < close.minutes) {
+      open = { minutes: open.minutes + 720, meridiem: 'p' };
+    }
+    out.push({ open: open.minutes, close: close.minutes <= open.minutes ? close.minutes + 1440 : close.minutes });
+  }
+  return out.length ? out : null;
+}
+
+// Whether [start, end) sits inside one opening range (overnight ranges carry into the next day)
+function fitsHours(span, hours) {
+  if (!hours) return true;
+  const tod = minuteOfDay(span.start);
+  const dur = (span.end - span.start) / MIN_MS;
+  return hours.some((h) => [0, 1440].some((shift) => h.open <= tod + shift && tod + shift + dur <= h.close));
+}
+
+// ---------- Travel ----------
+/**
+ * Straight-line distance stretched by ROUTE_FACTOR, at the mode's average
+ * speed. Without a mode, short hops are walked and the rest driven.
+ */
+function estimateTransfer(from, to, mode) {
+  const km = haversineKm(from, to) * ITINERARY.ROUTE_FACTOR;
+  const m = ITINERARY.MODE_KMPH[mode] ? mode : (km <= ITINERARY.WALK_MAX_KM ? 'walk' : ITINERARY.DEFAULT_MODE);
+  const minutes = Math.ceil((km / ITINERARY.MODE_KMPH[m]) * 60);
+  return { km: Math.round(km * 10) / 10, mode: m, minutes };
+}
+function travelMinutes(from, to, mode) {
+  if (!from || !to) return 0;
+  const t = estimateTransfer(from, to, mode);
+  return t.km > 0.05 ? t.minutes + ITINERARY.TRANSFER_BUFFER_MIN : 0;
+}
+function modeInto(item, fallback) {
+  return item?.meta?.travelMode || fallback;
+}
+
+// ---------- Conflicts ----------
+// Timed span of an item; endISO, else startISO + durationMin
+function spanOf(item) {
+  const start = ms(item?.startISO);
+  if (start == null) return null;
+  const end = ms(item.endISO) ?? start + (Number(item.durationMin) || 0) * MIN_MS;
+  return { start, end: Math.max(start, end) };
+}
+
+function issue(code, severity, items, message, details) {
+  return {
+    code,
+    severity,
+    itemIds: items.map((i) => String(i._id)),
+    dayOffset: items[0].dayOffset || 0,
+    message,
+    ...(details ? { details } : {})
+  };
+}
+
+/**
+ * Flag problems in an itinerary:
+ * - overlap: two timed items share time
+ * - impossible_transfer: the gap between consecutive pinned items is shorter
+ *   than the estimated travel time (transport items are the travel, so skipped)
+ * - out_of_range: an item falls outside the group's startDate–endDate
+ * - outside_opening_hours: a linked place is closed at the item's time (warning)
+ */
+function analyzeItinerary(items = [], { startDate, endDate, places, mode } = {}) {
+  const issues = [];
+  const first = startDate ? dayStartMs(startDate) : null;
+  const last = endDate ? dayStartMs(endDate) + DAY_MS : null; // endDate is inclusive
+
+  for (const it of items) {
+    const span = spanOf(it);
+    const early = span && first != null && span.start < first;
+    const late = span ? last != null && span.end > last : first != null && last != null && first + (it.dayOffset || 0) * DAY_MS >= last;
+    if (early || late) issues.push(issue('out_of_range', 'error', [it], `"${it.title}" falls outside the trip dates`));
+  }
+
+  const timed = items
+    .map((it) => ({ it, span: spanOf(it) }))
+    .filter((x) => x.span)
+    .sort((a, b) => a.span.start - b.span.start || (a.it.seq ?? 0) - (b.it.seq ?? 0));
+
+  for (let i = 0; i < timed.length; i += 1) {
+    for (let j = i + 1; j < timed.length && timed[j].span.start < timed[i].span.end; j += 1) {
+      issues.push(issue('overlap', 'error', [timed[i].it, timed[j].it], `"${timed[i].it.title}" overlaps "${timed[j].it.title}"`));
+    }
+  }
+
+  for (let k = 0; k + 1 < timed.length; k += 1) {
+    const a = timed[k];
+    const b = timed[k + 1];
+    if (b.span.start < a.span.end || a.it.type === 'transport' || b.it.type === 'transport') continue;
+    const pa = pointOf(a.it, places);
+    const pb = pointOf(b.it, places);
+    if (!pa || !pb) continue;
+    const gapMin = Math.floor((b.span.start - a.span.end) / MIN_MS);
+    const needMin = travelMinutes(pa, pb, modeInto(b.it, mode));
+    if (gapMin < needMin) {
+      const t = estimateTransfer(pa, pb, modeInto(b.it, mode));
+      issues.push(issue(
+        'impossible_transfer',
+        'error',
+        [a.it, b.it],
+        `Not enough time to get from "${a.it.title}" to "${b.it.title}": ~${needMin} min by ${t.mode}, ${gapMin} min available`,
+        { km: t.km, mode: t.mode, travelMin: needMin, gapMin }
+      ));
+    }
+  }
+
+  for (const { it, span } of timed) {
+    const hours = hoursOf(it, places);
+    if (hours && !fitsHours(span, hours)) {
+      const timings = places.get(String(it.entityId))?.timings;
+      issues.push(issue('outside_opening_hours', 'warning', [it], `"${it.title}" is scheduled outside opening hours${timings ? ` (${timings})` : ''}`, { timings }));
+    }
+  }
+  return issues;
+}
+
+// ---------- Auto-schedule ----------
+/**
+ * Pack a day's untimed items into free time between dayStart and dayEnd,
+ * keeping their seq order where possible. Timed items stay put; every slot
+ * leaves room to travel from the previous pin and on to the next one, and
+ * sits inside the linked place's opening hours. Items that fit nowhere are
+ * returned in `unscheduled`.
+ */
+function autoScheduleDay(items = [], {
+  dayOffset = 0,
+  startDate,
+  places,
+  mode,
+  dayStart = ITINERARY.DAY_START,
+  dayEnd = ITINERARY.DAY_END
+} = {}) {
+  const base = dayStartMs(startDate) + dayOffset * DAY_MS;
+  const from = parseClock(dayStart);
+  const to = parseClock(dayEnd);
+  if (!from || !to) return null;
+  const winStart = base + from.minutes * MIN_MS;
+  const winEnd = base + (to.minutes <= from.minutes ? to.minutes + 1440 : to.minutes) * MIN_MS;
+
+  const dayItems = items.filter((i) => (i.dayOffset || 0) === dayOffset).sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0));
+  const blocks = dayItems
+    .map((it) => ({ it, span: spanOf(it) }))
+    .filter((b) => b.span)
+    .map((b) => ({ start: b.span.start, end: b.span.end, point: pointOf(b.it, places), it: b.it }));
+
+  const travelMs = (a, b, it) => travelMinutes(a, b, modeInto(it, mode)) * MIN_MS;
+  function findSlot(it, durMs, point, hours, earliest) {
+    const sorted = [...blocks].sort((a, b) => a.start - b.start);
+    const candidates = [earliest, ...sorted.map((b) => b.end + travelMs(b.point, point, it))];
+    for (const h of hours || []) candidates.push(base + h.open * MIN_MS);
+
+    for (const c of candidates.filter((x) => x >= earliest).sort((a, b) => a - b)) {
+      const start = roundUpTo(c, 5);
+      const end = start + durMs;
+      if (end > winEnd) break;
+      if (!fitsHours({ start, end }, hours)) continue;
+      if (sorted.some((b) => b.start < end && b.end > start)) continue;
+      const prev = sorted.filter((b) => b.end <= start).pop();
+      const next = sorted.find((b) => b.start >= end);
+      if (prev && start < prev.end + travelMs(prev.point, point, it)) continue;
+      if (next && end + travelMs(point, next.point, next.it) > next.start) continue;
+      return { start, end };
+    }
+    return null;
+  }
+
+  const assignments = new Map();
+  const unscheduled = [];
+  let cursor = winStart;
+  for (const it of dayItems.filter((i) => !spanOf(i))) {
+    const durationMin = Number(it.durationMin) > 0 ? Number(it.durationMin) : ITINERARY.DEFAULT_DURATION_MIN;
+    const point = pointOf(it, places);
+    const hours = hoursOf(it, places);
+    // Keep the listed order when it fits; otherwise take any earlier gap
+    const slot = findSlot(it, durationMin * MIN_MS, point, hours, cursor) || findSlot(it, durationMin * MIN_MS, point, hours, winStart);
+    if (!slot) {
+      unscheduled.push({
+        itemId: String(it._id),
+        title: it.title,
+        reason: hours && !hours.length ? 'closed' : 'no_feasible_slot'
+      });
+      continue;
+    }
+    blocks.push({ start: slot.start, end: slot.end, point, it });
+    assignments.set(String(it._id), { startISO: toISO(slot.start), endISO: toISO(slot.end), durationMin });
+    cursor = Math.max(cursor, slot.end);
+  }
+  return { assignments, unscheduled, window: { startISO: toISO(winStart), endISO: toISO(winEnd) } };
+}
+
+module.exports = {
+  // parsing
+  parseClock,
+  parseTimings,
+
+  // travel
+  estimateTransfer,
+
+  // checks
+  spanOf,
+  analyzeItinerary,
+
+  // scheduling
+  autoScheduleDay
+};
@@ -0,0 +1,523 @@
+// backend/services/journeyPlannerService.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+const TrainStation = require('../models/TrainStation');
+const Bus = require('../models/Bus');
+const BusStop = require('../models/BusStop');
+const Airport = require('../models/Airport');
+const locationService = require('./locationService');
+const flightService = require('./flightService');
+const cabService = require('./cabService');
+const calendar = require('./serviceCalendarService');
+const { ApiError } = require('../utils/ApiError');
+
+/**
+ * Door-to-door planning across trains, buses and flights with cab (or walk)
+ * first/last-mile legs. Ground trips (train/bus) may be chained with one
+ * transfer; flights bring their own one-/two-stop connections.
+ */
+const PLANNER = Object.freeze({
+  ACCESS_RADIUS_KM: { train: 40, bus: 25, flight: 150 }, // how far we look for boarding points
+  NODES_PER_MODE: 3,                                     // nearest boarding points considered per endpoint
+  TRANSFER_RADIUS_KM: 3,                                 // stops this close can be bridged by walk/cab
+  WALK_MAX_KM: 0.8,
+  WALK_KMPH: 4.5,
+  BOARDING_BUFFER_MIN: { train: 15, bus: 10, flight: 60 },
+  TRANSFER_BUFFER_MIN: 15,
+  CAB_CLASS: 'MINI',
+  MAX_TRIPS_PER_QUERY: 200,
+  MAX_RESULTS: 50
+});
+
+const MODES = ['train', 'bus', 'flight'];
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function coerceInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+function toISO(d) {
+  return new Date(d).toISOString();
+}
+function ms(iso) {
+  const t = Date.parse(iso);
+  return Number.isFinite(t) ? t : null;
+}
+function minutesBetween(aISO, bISO) {
+  const a = ms(aISO);
+  const b = ms(bISO);
+  return a == null || b == null ? null : Math.round((b - a) / 60000);
+}
+function addMinutes(iso, min) {
+  return toISO(ms(iso) + min * 60000);
+}
+function haversineKm(a, b) {
+  const R = 6371;
+  const toRad = (x) => (x * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const sa =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return R * 2 * Math.atan2(Math.sqrt(sa), Math.sqrt(1 - sa));
+}
+function pointOf(doc) {
+  const c = doc?.location?.coordinates;
+  return Array.isArray(c) && c.length === 2 ? { lng: c[0], lat: c[1] } : null;
+}
+// Service days whose runs can call inside the window: starts a day early so an
+// overnight run that left yesterday still reaches today's stops
+function datesInWindow(startISO, endISO) {
+  const out = [];
+  const day = 24 * 60 * 60 * 1000;
+  for (let t = ms(startISO.slice(0, 10) + 'T00:00:00Z') - day; t <= ms(endISO); t += day) {
+    out.push(toISO(t).slice(0, 10));
+  }
+  return out.slice(0, 4);
+}
+// Bus stops reference BusStop via stopRefId (schema) or stationRefId (seeded data)
+function stopRef(mode, stop) {
+  const ref = mode === 'bus' ? stop.stopRefId || stop.stationRefId : stop.stationRefId;
+  return ref ? String(ref) : null;
+}
+
+// Same service calendar (weekly days, validity, exceptions) as searchTrains/searchBuses
+function serviceMatch(dates) {
+  return { isActive: true, ...calendar.serviceMatch(dates) };
+}
+
+// ---------- Endpoint resolution ----------
+/**
+ * Accepts { lat, lng }, { slug } / { id } or a bare LocationMaster slug/id string.
+ */
+async function resolveEndpoint(input, label) {
+  if (input && typeof input === 'object' && Number.isFinite(Number(input.lat)) && Number.isFinite(Number(input.lng))) {
+    return { name: input.name || null, lat: Number(input.lat), lng: Number(input.lng), locationRef: null };
+  }
+  const ref = typeof input === 'string' ? input : input?.slug || input?.id;
+  if (!ref) throw ApiError.badRequest(`${label} must be coordinates or a location slug`);
+
+  const loc = await locationService.getByIdOrSlug(ref);
+  const p = pointOf(loc);
+  if (!p) throw ApiError.notFound(`${label} location not found`, { ref });
+  return { name: loc.name, ...p, locationRef: String(loc._id) };
+}
+
+async function nearestNodes(mode, point) {
+  const Model = mode === 'train' ? TrainStation : mode === 'bus' ? BusStop : Airport;
+  const match = {
+    isActive: true,
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+        $maxDistance: PLANNER.ACCESS_RADIUS_KM[mode] * 1000
+      }
+    }
+  };
+  if (mode === 'flight') match.iata = { $exists: true, $ne: '' };
+
+  const rows = await Model.find(match)
+    .select({ _id: 1, name: 1, station_code: 1, stop_code: 1, iata: 1, location: 1 })
+    .limit(PLANNER.NODES_PER_MODE)
+    .lean();
+  return rows.map((r) => ({
+    id: String(r._id),
+    mode,
+    name: r.name,
+    code: r.station_code || r.stop_code || r.iata || null,
+    ...pointOf(r)
+  }));
+}
+
+// ---------- Access legs (cab / walk) ----------
+function accessLeg(from, to, { arriveByISO, departAtISO }) {
+  const km = haversineKm(from, to);
+  let leg;
+  if (km <= PLANNER.WALK_MAX_KM) {
+    const durationMin = Math.max(1, Math.round((km / PLANNER.WALK_KMPH) * 60));
+    leg = { mode: 'walk', distanceKm: Number(km.toFixed(2)), durationMin, fare: { amount: 0, currency: null } };
+  } else {
+    const est = cabService.estimatePriceAndTime({
+      pickup: { location: { lat: from.lat, lng: from.lng } },
+      drop: { location: { lat: to.lat, lng: to.lng } },
+      classCode: PLANNER.CAB_CLASS
+    });
+    leg = {
+      mode: 'cab',
+      classCode: est.classCode,
+      distanceKm: est.distanceKm,
+      durationMin: est.durationMin,
+      fare: { amount: est.fareMin, currency: est.currency }
+    };
+  }
+  const departureISO = departAtISO || addMinutes(arriveByISO, -leg.durationMin);
+  return {
+    ...leg,
+    from: { name: from.name || null, lat: from.lat, lng: from.lng },
+    to: { name: to.name || null, lat: to.lat, lng: to.lng },
+    departureISO,
+    arrivalISO: addMinutes(departureISO, leg.durationMin),
+    path: [[from.lng, from.lat], [to.lng, to.lat]]
+  };
+}
+
+// ---------- Ground legs (train / bus) ----------
+async function loadTrips(mode, nodeIds, dates) {
+  if (!nodeIds.length) return [];
+  const Model = mode === 'train' ? Train : Bus;
+  const refPath = mode === 'train' ? 'stops.stationRefId' : 'stops.stopRefId';
+  const ids = nodeIds.map((id) => new mongoose.Types.ObjectId(id));
+  const match = serviceMatch(dates);
+  match.$and = [{ $or: [{ [refPath]: { $in: ids } }, ...(mode === 'bus' ? [{ 'stops.stationRefId': { $in: ids } }] : [])] }];
+
+  const trips = await Model.find(match)
+    .select({ _id: 1, number: 1, name: 1, operator: 1, stops: 1, fares: 1, serviceDays: 1, validity: 1, calendarExceptions: 1 })
+    .limit(PLANNER.MAX_TRIPS_PER_QUERY)
+    .lean();
+
+  // One copy per service day the trip runs on, with stop times dated for that day
+  return trips.flatMap((t) => dates
+    .filter((d) => calendar.runsOn(t, d))
+    .map((d) => ({ ...t, serviceDate: d, stops: calendar.tripOn(t, d).stops })));
+}
+
+function tripFare(trip) {
+  const fares = Array.isArray(trip.fares) ? trip.fares : [];
+  const cheapest = fares.reduce((acc, f) => (acc && (acc.min ?? Infinity) <= (f.min ?? Infinity) ? acc : f), null);
+  return { amount: cheapest?.min ?? null, currency: cheapest?.currency || null, classCode: cheapest?.classCode || null };
+}
+
+function orderedStops(trip) {
+  return (trip.stops || []).slice().sort((a, b) => (a.seq || 0) - (b.seq || 0));
+}
+
+function rideLeg(mode, trip, stops, i, j) {
+  const board = stops[i];
+  const alight = stops[j];
+  return {
+    mode,
+    tripId: String(trip._id),
+    number: trip.number,
+    name: trip.name || null,
+    operator: trip.operator,
+    serviceDate: trip.serviceDate || null,
+    from: { ref: stopRef(mode, board), name: board.name || null, seq: board.seq },
+    to: { ref: stopRef(mode, alight), name: alight.name || null, seq: alight.seq },
+    departureISO: board.dep || board.arr,
+    arrivalISO: alight.arr || alight.dep,
+    durationMin: minutesBetween(board.dep || board.arr, alight.arr || alight.dep),
+    fare: tripFare(trip),
+    stopRefs: stops.slice(i, j + 1).map((s) => stopRef(mode, s))
+  };
+}
+
+/**
+ * Rides from any boarding node to any later stop on the same trip.
+ * Used for direct rides (alighting at a destination node) and first halves of transfers.
+ */
+function ridesFrom(mode, trips, boardIds) {
+  const out = [];
+  for (const trip of trips) {
+    const stops = orderedStops(trip);
+    stops.forEach((s, i) => {
+      if (!boardIds.has(stopRef(mode, s))) return;
+      for (let j = i + 1; j < stops.length; j++) out.push(rideLeg(mode, trip, stops, i, j));
+    });
+  }
+  return out;
+}
+
+/**
+ * Rides from any earlier stop into an alighting node (second halves of transfers).
+ */
+function ridesInto(mode, trips, alightIds) {
+  const out = [];
+  for (const trip of trips) {
+    const stops = orderedStops(trip);
+    stops.forEach((s, j) => {
+      if (!alightIds.has(stopRef(mode, s))) return;
+      for (let i = 0; i < j; i++) out.push(rideLeg(mode, trip, stops, i, j));
+    });
+  }
+  return out;
+}
+
+async function loadStopPoints(refsByMode) {
+  const out = new Map();
+  const jobs = Object.entries(refsByMode).map(async ([mode, refs]) => {
+    const ids = Array.from(refs).filter(isObjectId);
+    if (!ids.length) return;
+    const Model = mode === 'train' ? TrainStation : BusStop;
+    const rows = await Model.find({ _id: { $in: ids } }).select({ _id: 1, name: 1, location: 1 }).lean();
+    for (const r of rows) out.set(`${mode}:${r._id}`, { name: r.name, ...pointOf(r) });
+  });
+  await Promise.all(jobs);
+  return out;
+}
+
+// ---------- Flight legs ----------
+function flightLeg(f) {
+  const segs = f.slices?.[0]?.segments || [];
+  const first = segs[0] || {};
+  const last = segs[segs.length - 1] || {};
+  const departureISO = first.departureISO ? toISO(first.departureISO) : null;
+  const arrivalISO = last.arrivalISO ? toISO(last.arrivalISO) : null;
+  return {
+    mode: 'flight',
+    flightId: String(f._id),
+    carrier: f.carrier || first.marketingCarrier || null,
+    number: first.flightNumber || f.number || null,
+    from: { ref: f.from, name: f.from },
+    to: { ref: f.to, name: f.to },
+    departureISO,
+    arrivalISO,
+    durationMin: minutesBetween(departureISO, arrivalISO),
+    fare: { amount: f.price?.amount ?? null, currency: f.price?.currency || null }
+  };
+}
+
+async function loadAirportPoints(iatas) {
+  const codes = Array.from(new Set(iatas)).filter(Boolean);
+  const out = new Map();
+  if (!codes.length) return out;
+  const rows = await Airport.find({ iata: { $in: codes } }).select({ iata: 1, location: 1 }).lean();
+  for (const r of rows) {
+    const p = pointOf(r);
+    if (p) out.set(r.iata, p);
+  }
+  return out;
+}
+
+// ---------- Itinerary assembly ----------
+function summarize(legs) {
+  const byCurrency = new Map();
+  for (const l of legs) {
+    if (l.fare?.amount == null || !l.fare.currency) continue;
+    byCurrency.set(l.fare.currency, (byCurrency.get(l.fare.currency) || 0) + l.fare.amount);
+  }
+  const fares = Array.from(byCurrency.entries()).map(([currency, amount]) => ({ currency, amount: Math.round(amount) }));
+  const mainLegs = legs.filter((l) => MODES.includes(l.mode));
+  const departureISO = legs[0].departureISO;
+  const arrivalISO = legs[legs.length - 1].arrivalISO;
+  return {
+    departureISO,
+    arrivalISO,
+    totalDurationMin: minutesBetween(departureISO, arrivalISO),
+    fare: fares.length === 1 ? fares[0] : { currency: null, amount: null, byCurrency: fares },
+    transfers: Math.max(0, mainLegs.length - 1),
+    modes: Array.from(new Set(mainLegs.map((l) => l.mode)))
+  };
+}
+
+function toGeoJSON(legs) {
+  return {
+    type: 'FeatureCollection',
+    features: legs
+      .filter((l) => Array.isArray(l.path) && l.path.length >= 2)
+      .map((l, idx) => ({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: l.path },
+        properties: { leg: idx, mode: l.mode, departureISO: l.departureISO, arrivalISO: l.arrivalISO }
+      }))
+  };
+}
+
+function rankItineraries(items, sort = 'duration') {
+  const num = (v) => (Number.isFinite(v) ? v : Infinity);
+  const cmp = (() => {
+    switch (sort) {
+      case 'price':
+        return (a, b) => num(a.fare.amount) - num(b.fare.amount) || a.totalDurationMin - b.totalDurationMin;
+      case 'transfers':
+        return (a, b) => a.transfers - b.transfers || a.totalDurationMin - b.totalDurationMin;
+      case 'departure':
+        return (a, b) => ms(a.departureISO) - ms(b.departureISO);
+      case 'duration':
+      default:
+        return (a, b) => a.totalDurationMin - b.totalDurationMin || num(a.fare.amount) - num(b.fare.amount);
+    }
+  })();
+  return items.slice().sort(cmp);
+}
+
+// ---------- Planner ----------
+/**
+ * Plan door-to-door journeys.
+ * - origin/destination: { lat, lng } | { slug } | slug/id string (LocationMaster)
+ * - departAfter/departBefore: ISO window for leaving the origin (default: 24h from departAfter)
+ * - modes: subset of train,bus,flight; maxTransfers: 0|1 between ground trips
+ * - sort: duration | price | transfers | departure
+ */
+async function planJourney({
+  origin,
+  destination,
+  departAfter,
+  departBefore,
+  modes = MODES,
+  maxTransfers = 1,
+  sort = 'duration',
+  limit = 10
+}) {
+  const from = await resolveEndpoint(origin, 'origin');
+  const to = await resolveEndpoint(destination, 'destination');
+
+  const startISO = departAfter && ms(departAfter) != null ? toISO(departAfter) : toISO(Date.now());
+  const endISO = departBefore && ms(departBefore) != null ? toISO(departBefore) : addMinutes(startISO, 24 * 60);
+  if (ms(endISO) < ms(startISO)) throw ApiError.badRequest('departBefore must be after departAfter');
+
+  const modeSet = new Set((Array.isArray(modes) ? modes : String(modes).split(',')).map((m) => String(m).trim()).filter((m) => MODES.includes(m)));
+  if (!modeSet.size) throw ApiError.badRequest(`modes must include at least one of ${MODES.join(', ')}`);
+  const l = Math.min(coerceInt(limit, 10), PLANNER.MAX_RESULTS);
+  const dates = datesInWindow(startISO, endISO);
+  const inWindow = (iso) => ms(iso) != null && ms(iso) >= ms(startISO) && ms(iso) <= ms(endISO);
+
+  const candidates = [];
+
+  // Ground: direct rides and one transfer across train/bus
+  const groundModes = ['train', 'bus'].filter((m) => modeSet.has(m));
+  const originNodes = new Map();
+  const destNodes = new Map();
+  const ridesOut = [];
+  const ridesIn = [];
+  for (const mode of groundModes) {
+    // eslint-disable-next-line no-await-in-loop
+    const [oNodes, dNodes] = await Promise.all([nearestNodes(mode, from), nearestNodes(mode, to)]);
+    oNodes.forEach((n) => originNodes.set(`${mode}:${n.id}`, n));
+    dNodes.forEach((n) => destNodes.set(`${mode}:${n.id}`, n));
+    if (!oNodes.length || !dNodes.length) continue;
+
+    const oIds = new Set(oNodes.map((n) => n.id));
+    const dIds = new Set(dNodes.map((n) => n.id));
+    // eslint-disable-next-line no-await-in-loop
+    const [outTrips, inTrips] = await Promise.all([
+      loadTrips(mode, Array.from(oIds), dates),
+      maxTransfers > 0 ? loadTrips(mode, Array.from(dIds), dates) : Promise.resolve([])
+    ]);
+    ridesOut.push(...ridesFrom(mode, outTrips, oIds));
+    ridesIn.push(...ridesInto(mode, inTrips, dIds));
+  }
+
+  const isDestNode = (leg) => destNodes.has(`${leg.mode}:${leg.to.ref}`);
+  for (const r of ridesOut.filter(isDestNode)) candidates.push([r]);
+
+  // Stop coordinates for transfer matching and geometry
+  const refsByMode = { train: new Set(), bus: new Set() };
+  for (const r of [...ridesOut, ...ridesIn]) r.stopRefs.forEach((id) => id && refsByMode[r.mode].add(id));
+  const stopPoints = await loadStopPoints(refsByMode);
+
+  if (maxTransfers > 0) {
+    for (const a of ridesOut) {
+      if (isDestNode(a)) continue;
+      const pa = stopPoints.get(`${a.mode}:${a.to.ref}`);
+      if (!pa) continue;
+      for (const b of ridesIn) {
+        if (b.tripId === a.tripId) continue;
+        const pb = stopPoints.get(`${b.mode}:${b.from.ref}`);
+        if (!pb || haversineKm(pa, pb) > PLANNER.TRANSFER_RADIUS_KM) continue;
+        const gap = minutesBetween(a.arrivalISO, b.departureISO);
+        if (gap == null || gap < 0) continue;
+        const needed = a.to.ref === b.from.ref && a.mode === b.mode
+          ? PLANNER.TRANSFER_BUFFER_MIN
+          : PLANNER.TRANSFER_BUFFER_MIN + accessLeg(pa, pb, { departAtISO: a.arrivalISO }).durationMin;
+        if (gap < needed) continue;
+        candidates.push([a, b]);
+      }
+      if (candidates.length > PLANNER.MAX_RESULTS * 20) break; // bound work on dense networks
+    }
+  }
+
+  // Flights: nearby airport pairs per day; the flight search stitches its own connections
+  if (modeSet.has('flight')) {
+    const [oAirports, dAirports] = await Promise.all([nearestNodes('flight', from), nearestNodes('flight', to)]);
+    const flightMains = [];
+    for (const oa of oAirports) {
+      for (const da of dAirports) {
+        if (oa.code === da.code) continue;
+        for (const d of dates) {
+          // eslint-disable-next-line no-await-in-loop
+          const res = await flightService.searchFlights({
+            tripType: 'ONE_WAY',
+            slices: [{ origin: { iata: oa.code }, destination: { iata: da.code }, departureISO: `${d}T00:00:00Z` }],
+            maxStops: maxTransfers > 0 ? undefined : 0,
+            sort: 'price'
+          });
+          for (const it of res.trips?.[0]?.itineraries || []) {
+            flightMains.push(it.legs.map((f, idx, all) => ({
+              ...flightLeg(f),
+              _boardNode: idx === 0 ? oa : undefined,
+              _alightNode: idx === all.length - 1 ? da : undefined
+            })));
+          }
+        }
+      }
+    }
+
+    const airportPoints = await loadAirportPoints(flightMains.flat().flatMap((x) => [x.from.ref, x.to.ref]));
+    for (const legs of flightMains) {
+      for (const fl of legs) {
+        fl.path = [fl.from.ref, fl.to.ref].map((c) => airportPoints.get(c)).filter(Boolean).map((p) => [p.lng, p.lat]);
+      }
+      candidates.push(legs);
+    }
+  }
+
+  // Wrap main legs with first/last-mile access and keep those leaving within the window
+  const itineraries = [];
+  for (const main of candidates) {
+    const first = main[0];
+    const last = main[main.length - 1];
+    const boardNode = first._boardNode || originNodes.get(`${first.mode}:${first.from.ref}`);
+    const alightNode = last._alightNode || destNodes.get(`${last.mode}:${last.to.ref}`);
+    if (!boardNode || !alightNode || !first.departureISO || !last.arrivalISO) continue;
+
+    const firstMile = accessLeg(from, boardNode, {
+      arriveByISO: addMinutes(first.departureISO, -PLANNER.BOARDING_BUFFER_MIN[first.mode])
+    });
+    if (!inWindow(firstMile.departureISO)) continue;
+
+    const legs = [firstMile];
+    main.forEach((leg, idx) => {
+      const { _boardNode, _alightNode, stopRefs, ...clean } = leg;
+      if (stopRefs) {
+        clean.path = stopRefs.map((id) => stopPoints.get(`${leg.mode}:${id}`)).filter(Boolean).map((p) => [p.lng, p.lat]);
+      }
+      if (idx > 0) {
+        // Transfer between consecutive main legs (same stop, walk or short cab)
+        const prev = main[idx - 1];
+        const pa = prev.mode === 'flight' ? null : stopPoints.get(`${prev.mode}:${prev.to.ref}`);
+        const pb = leg.mode === 'flight' ? null : stopPoints.get(`${leg.mode}:${leg.from.ref}`);
+        if (pa && pb && !(prev.mode === leg.mode && prev.to.ref === leg.from.ref)) {
+          legs.push(accessLeg(pa, pb, { departAtISO: prev.arrivalISO }));
+        }
+      }
+      legs.push(clean);
+    });
+    legs.push(accessLeg(alightNode, to, { departAtISO: last.arrivalISO }));
+
+    itineraries.push({ ...summarize(legs), legs, route: toGeoJSON(legs) });
+  }
+
+  const ranked = rankItineraries(itineraries, sort).slice(0, l);
+  return {
+    origin: from,
+    destination: to,
+    window: { departAfter: startISO, departBefore: endISO },
+    modes: Array.from(modeSet),
+    items: ranked,
+    total: itineraries.length,
+    generatedAt: toISO(Date.now())
+  };
+}
+
+module.exports = {
+  PLANNER,
+  planJourney,
+  rankItineraries
+};
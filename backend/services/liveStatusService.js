@@ -0,0 +1,1129 @@
+// backend/services/liveStatusService.js
+
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+const TrainStation = require('../models/TrainStation');
+const Bus = require('../models/Bus');
+const BusStop = require('../models/BusStop');
+const Flight = require('../models/Flight');
+const Airport = require('../models/Airport');
+const LiveReport = require('../models/LiveReport');
+const trainService = require('./trainService');
+const busService = require('./busService');
+const calendar = require('./serviceCalendarService');
+const webhookSignature = require('../utils/webhookSignature');
+const { ApiError } = require('../utils/ApiError');
+const { LIVE_STATUS, PAGINATION } = require('../utils/constants');
+
+/**
+ * Live status for trains, buses and flights. Vehicles (or the built-in
+ * simulator) report where they are and how late they run; reads take the
+ * day's timetable from the service calendar, carry the latest reported delay
+ * down the remaining stops (longer dwells absorb some of it) and place the
+ * vehicle along its route geometry when no fresh position was reported.
+ */
+const MODELS = { train: Train, bus: Bus };
+const STATIONS = { train: TrainStation, bus: BusStop };
+const STATION_CODE = { train: 'station_code', bus: 'stop_code' };
+const ROUTES = { train: (id) => trainService.getTrainRoute(id), bus: (id) => busService.getBusRoute(id) };
+const TRIP_FIELDS = { number: 1, name: 1, operator: 1, stops: 1, serviceDays: 1, validity: 1, calendarExceptions: 1 };
+const MIN_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MIN_MS;
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function coerceInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+function toISO(d) {
+  return new Date(d).toISOString();
+}
+function ymd(d) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+function shiftDate(day, n) {
+  return ymd(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS);
+}
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+function haversineKm(a, b) {
+  const R = 6371;
+  const toRad = (x) => (x * Math.PI) / 180;
+  const dLat = toRad(b[1] - a[1]);
+  const dLng = toRad(b[0] - a[0]);
+  const sa =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return R * 2 * Math.atan2(Math.sqrt(sa), Math.sqrt(1 - sa));
+}
+function bearingDeg(a, b) {
+  const toRad = (x) => (x * Math.PI) / 180;
+  const y = Math.sin(toRad(b[0] - a[0])) * Math.cos(toRad(b[1]));
+  const x =
+    Math.cos(toRad(a[1])) * Math.sin(toRad(b[1])) -
+    Math.sin(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.cos(toRad(b[0] - a[0]));
+  return Math.round(((Math.atan2(y, x) * 180) / Math.PI + 360) % 360);
+}
+function isLngLat(c) {
+  return Array.isArray(c) && c.length === 2 && c.every(Number.isFinite) &&
+    Math.abs(c[0]) <= 180 && Math.abs(c[1]) <= 90;
+}
+
+/**
+ * Bus stops reference BusStop as stopRefId (older trips used stationRefId).
+ */
+function stopRef(mode, stop) {
+  const ref = mode === 'bus' ? stop.stopRefId || stop.stationRefId : stop.stationRefId;
+  return ref ? String(ref) : null;
+}
+
+function evalTime(at) {
+  if (at == null || at === '') return new Date();
+  const t = new Date(at);
+  if (!Number.isFinite(t.getTime())) throw ApiError.badRequest('at must be an ISO 8601 time');
+  return t;
+}
+
+/**
+ * Flight numbers are kept without the carrier prefix: AI 0101 -> 101.
+ */
+function flightKey(carrier, number) {
+  const c = String(carrier || '').trim().toUpperCase();
+  let n = String(number || '').replace(/\s+/g, '').toUpperCase();
+  if (c && n.startsWith(c) && n.length > c.length) n = n.slice(c.length);
+  n = n.replace(/^0+(?=\d)/, '');
+  return { carrier: c, number: n };
+}
+
+// ---------- Timetable and delay propagation ----------
+function scheduledTimes(stops) {
+  return stops.map((s) => {
+    const arr = Date.parse(s.arr || s.dep);
+    const dep = Date.parse(s.dep || s.arr);
+    return { arr: Number.isFinite(arr) ? arr : null, dep: Number.isFinite(dep) ? dep : null };
+  });
+}
+
+/**
+ * Service day a trip is (or is about to be) running on at `at`: yesterday's
+ * run for overnight trips still under way, else today's, else tomorrow's
+ * when it is about to start. Falls back to the UTC day of `at`.
+ */
+function currentServiceDate(trip, at) {
+  const t = at.getTime();
+  const today = ymd(at);
+  const window = LIVE_STATUS.ACTIVE_WINDOW_MIN * MIN_MS;
+  for (const d of [shiftDate(today, -1), today, shiftDate(today, 1)]) {
+    const day = calendar.tripOn(trip, d);
+    if (!day.runs) continue;
+    const times = scheduledTimes(day.stops).filter((x) => x.dep != null || x.arr != null);
+    if (!times.length) continue;
+    const first = times[0].dep ?? times[0].arr;
+    const last = times[times.length - 1].arr ?? times[times.length - 1].dep;
+    if (first - window <= t && t <= last + window) return d;
+  }
+  return today;
+}
+
+/**
+ * Delay (minutes) a report implies at its stop when the feed sent none:
+ * time at the stop minus the timetable, or how overdue the next stop is.
+ */
+function inferDelay(stops, report) {
+  const stop = stops.find((s) => s.seq === report.stopSeq);
+  const sched = stop && Date.parse(stop.arr || stop.dep);
+  if (!Number.isFinite(sched)) return null;
+  const late = (report.reportedAt.getTime() - sched) / MIN_MS;
+  return Math.round(report.stopStatus === 'stopped_at' ? late : Math.max(0, late));
+}
+
+/**
+ * Expected times for the dated stops of one run. The latest report anchors a
+ * delay at its stop; stops behind it are passed (observed delays where a
+ * report was made there), and each later stop inherits the delay minus the
+ * dwell it can give up. A vehicle cannot reach or leave a stop before `at`,
+ * so overdue predictions move forward with the clock (to a minute ahead). Without a report the
+ * run is assumed to keep time. `announced` holds platform/bay changes by stop seq.
+ */
+function predictStops(mode, stops, { report = null, observed = new Map(), announced = new Map(), at = new Date() } = {}) {
+  const sched = scheduledTimes(stops);
+  const minDwell = LIVE_STATUS.MIN_DWELL_MIN[mode] || 0;
+  const now = at.getTime();
+  const delay0 = report?.delayMin ?? 0;
+
+  let anchor = 0;
+  if (report && report.stopSeq != null) {
+    const i = stops.findIndex((s) => s.seq === report.stopSeq);
+    if (i >= 0) anchor = i;
+  } else if (report) {
+    // No stop given: the first stop the vehicle had not left when it reported
+    const t = report.reportedAt.getTime();
+    const i = sched.findIndex((x) => x.dep != null && x.dep + delay0 * MIN_MS >= t);
+    anchor = i >= 0 ? i : stops.length - 1;
+  }
+  const atAnchor = report?.stopStatus === 'stopped_at';
+
+  const times = [];
+  let carried = delay0;
+  stops.forEach((s, i) => {
+    const x = sched[i];
+    let arrDelay;
+    let depDelay;
+    if (report && i < anchor) {
+      arrDelay = depDelay = observed.get(s.seq) ?? delay0;
+    } else {
+      arrDelay = carried;
+      if (report && x.arr != null && !(i === anchor && atAnchor)) {
+        arrDelay = Math.max(arrDelay, (now - x.arr) / MIN_MS + 1);
+      }
+      const slack = x.arr != null && x.dep != null ? Math.max(0, (x.dep - x.arr) / MIN_MS - minDwell) : 0;
+      depDelay = arrDelay > 0 ? Math.max(0, arrDelay - slack) : 0;
+      if (report && x.dep != null) depDelay = Math.max(depDelay, (now - x.dep) / MIN_MS + 1);
+      carried = depDelay;
+    }
+    arrDelay = Math.round(arrDelay);
+    depDelay = Math.round(depDelay);
+    times.push({
+      arr: x.arr != null ? x.arr + arrDelay * MIN_MS : null,
+      dep: x.dep != null ? x.dep + depDelay * MIN_MS : null,
+      arrDelay,
+      depDelay
+    });
+  });
+
+  const predicted = stops.map((s, i) => {
+    const t = times[i];
+    const leaves = t.dep ?? t.arr;
+    const change = announced.get(s.seq);
+    const platform = change?.platform || s.platform || null;
+    const bay = change?.bay || s.bay || null;
+    return {
+      seq: s.seq,
+      stationId: stopRef(mode, s),
+      name: s.name || null,
+      platform,
+      ...(mode === 'bus' ? { bay } : {}),
+      scheduledPlatform: s.platform || null,
+      ...(mode === 'bus' ? { scheduledBay: s.bay || null } : {}),
+      platformChanged: platform !== (s.platform || null) || (mode === 'bus' && bay !== (s.bay || null)),
+      scheduledArr: s.arr || null,
+      scheduledDep: s.dep || null,
+      expectedArr: s.arr ? calendar.shiftISO(s.arr, t.arrDelay) : null,
+      expectedDep: s.dep ? calendar.shiftISO(s.dep, t.depDelay) : null,
+      arrDelayMin: s.arr ? t.arrDelay : null,
+      depDelayMin: s.dep ? t.depDelay : null,
+      passed: (report && i < anchor) || (leaves != null && leaves <= now),
+      observed: observed.has(s.seq)
+    };
+  });
+  return { stops: predicted, times };
+}
+
+/**
+ * Where the run is at `at` on its expected timeline.
+ *   status   scheduled (not yet left the first stop) | at_stop | en_route | arrived
+ *   index    stop the vehicle is at, or left (en_route)
+ *   fraction share of the run to the next stop covered (en_route)
+ */
+function phaseAt(times, at) {
+  const now = at.getTime();
+  const n = times.length;
+  if (!n) return { status: 'unknown', index: null, fraction: null };
+  const firstDep = times[0].dep ?? times[0].arr;
+  const lastArr = times[n - 1].arr ?? times[n - 1].dep;
+  if (firstDep == null || now < firstDep) return { status: 'scheduled', index: 0, fraction: 0 };
+  if (lastArr != null && now >= lastArr) return { status: 'arrived', index: n - 1, fraction: 0 };
+
+  for (let i = 0; i < n; i += 1) {
+    const arr = times[i].arr ?? times[i].dep;
+    const dep = times[i].dep ?? times[i].arr;
+    if (arr != null && dep != null && arr <= now && now < dep) return { status: 'at_stop', index: i, fraction: 0 };
+    const next = i + 1 < n ? times[i + 1].arr ?? times[i + 1].dep : null;
+    if (dep != null && next != null && dep <= now && now < next) {
+      return { status: 'en_route', index: i, fraction: next > dep ? (now - dep) / (next - dep) : 1 };
+    }
+  }
+  return { status: 'unknown', index: null, fraction: null };
+}
+
+// ---------- Route geometry ----------
+function lineOf(fc) {
+  for (const f of fc?.features || []) {
+    const g = f?.geometry;
+    if (g?.type === 'LineString' && g.coordinates?.length >= 2) return g.coordinates.filter(isLngLat);
+    if (g?.type === 'MultiLineString') return g.coordinates.flat().filter(isLngLat);
+  }
+  return [];
+}
+
+function measure(line) {
+  const cum = [0];
+  for (let i = 1; i < line.length; i += 1) cum.push(cum[i - 1] + haversineKm(line[i - 1], line[i]));
+  return cum;
+}
+
+/**
+ * Distance along `line` (km) of the point nearest to `p`, searching from
+ * segment `from` on so that stops keep their order along the route.
+ */
+function locate(line, cum, p, from = 0) {
+  let best = { d: cum[from] || 0, seg: from, dist: Infinity };
+  const k = Math.cos((p[1] * Math.PI) / 180);
+  for (let i = Math.max(0, from); i < line.length - 1; i += 1) {
+    const a = line[i];
+    const b = line[i + 1];
+    const dx = (b[0] - a[0]) * k;
+    const dy = b[1] - a[1];
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, (((p[0] - a[0]) * k) * dx + (p[1] - a[1]) * dy) / len2)) : 0;
+    const q = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    const dist = haversineKm(q, p);
+    if (dist < best.dist) best = { d: cum[i] + (cum[i + 1] - cum[i]) * t, seg: i, dist };
+  }
+  return best;
+}
+
+function pointAlong(line, cum, d) {
+  if (line.length === 1) return { coordinates: line[0], bearing: null };
+  let i = 0;
+  while (i < line.length - 2 && cum[i + 1] < d) i += 1;
+  const span = cum[i + 1] - cum[i];
+  const t = span ? Math.max(0, Math.min(1, (d - cum[i]) / span)) : 0;
+  const a = line[i];
+  const b = line[i + 1];
+  return {
+    coordinates: [round6(a[0] + (b[0] - a[0]) * t), round6(a[1] + (b[1] - a[1]) * t)],
+    bearing: a[0] === b[0] && a[1] === b[1] ? null : bearingDeg(a, b)
+  };
+}
+function round6(x) {
+  return Math.round(x * 1e6) / 1e6;
+}
+
+/**
+ * Route polyline plus each stop's distance along it. Without a stored or
+ * assembled route the stops themselves form the line.
+ */
+function trackOf(line, stopPoints) {
+  const path = line.length >= 2 ? line : stopPoints.filter(Boolean);
+  if (!path.length) return null;
+  const cum = measure(path);
+  let seg = 0;
+  const along = stopPoints.map((p) => {
+    if (!p) return null;
+    const hit = locate(path, cum, p, seg);
+    seg = hit.seg;
+    return hit.d;
+  });
+  return { path, cum, along };
+}
+
+/**
+ * Interpolated position for a phase; null when the stops involved have no location.
+ */
+function positionOn(track, phase, times) {
+  if (!track || phase.index == null) return null;
+  const { path, cum, along } = track;
+  const here = along[phase.index];
+  if (here == null) return null;
+  if (phase.status !== 'en_route') {
+    const p = pointAlong(path, cum, here);
+    return { type: 'Point', coordinates: p.coordinates, bearing: null, speedKph: 0 };
+  }
+  const next = along[phase.index + 1];
+  if (next == null) return null;
+  const p = pointAlong(path, cum, here + (next - here) * phase.fraction);
+  const hours = ((times[phase.index + 1].arr ?? times[phase.index + 1].dep) - times[phase.index].dep) / 3600000;
+  return {
+    type: 'Point',
+    coordinates: p.coordinates,
+    bearing: p.bearing,
+    speedKph: hours > 0 ? round1(Math.abs(next - here) / hours) : null
+  };
+}
+
+async function stopPoints(mode, stops) {
+  const ids = [...new Set(stops.map((s) => stopRef(mode, s)).filter(isObjectId))];
+  if (!ids.length) return stops.map(() => null);
+  const rows = await STATIONS[mode].find({ _id: { $in: ids } }).select({ _id: 1, location: 1 }).lean();
+  const byId = new Map(rows.map((r) => [String(r._id), r.location?.coordinates]));
+  return stops.map((s) => {
+    const c = byId.get(stopRef(mode, s));
+    return isLngLat(c) ? c : null;
+  });
+}
+
+// ---------- Reports ----------
+function freshness(report, at) {
+  if (!report) return { lastReport: null, stale: null };
+  const ageSec = Math.max(0, Math.round((at.getTime() - new Date(report.reportedAt).getTime()) / 1000));
+  return {
+    lastReport: {
+      reportedAt: toISO(report.reportedAt),
+      ageSec,
+      source: report.source,
+      feed: report.feed || null,
+      stopSeq: report.stopSeq ?? null,
+      stopStatus: report.stopStatus || null,
+      delayMin: report.delayMin ?? null
+    },
+    stale: ageSec > LIVE_STATUS.STALE_AFTER_SEC
+  };
+}
+
+/**
+ * Reports for one run up to `at`, newest first, with the delay observed at
+ * each stop the vehicle was reported standing at and the latest platform/bay
+ * announced for each stop.
+ */
+async function runHistory(filter, at) {
+  const history = await LiveReport.find({ ...filter, reportedAt: { $lte: at } })
+    .sort({ reportedAt: -1 })
+    .limit(LIVE_STATUS.MAX_HISTORY)
+    .lean();
+  const observed = new Map();
+  const announced = new Map();
+  for (const r of history) {
+    if (r.stopStatus === 'stopped_at' && r.stopSeq != null && r.delayMin != null && !observed.has(r.stopSeq)) {
+      observed.set(r.stopSeq, r.delayMin);
+    }
+    if ((r.platform || r.bay) && !announced.has(r.stopSeq)) announced.set(r.stopSeq, { platform: r.platform, bay: r.bay });
+  }
+  return { latest: history.find((r) => !r.announcement) || null, observed, announced };
+}
+
+// ---------- Trips (train/bus) ----------
+async function findTrip(mode, { id, operator, number } = {}) {
+  const Model = MODELS[mode];
+  if (!Model) throw ApiError.badRequest('mode must be train or bus');
+  if (id) return isObjectId(id) ? Model.findById(id).lean() : null;
+  if (!number) return null;
+  const filter = { number: String(number).trim(), isActive: true };
+  if (operator) filter.operator = new RegExp(`^${String(operator).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  return Model.findOne(filter).lean();
+}
+
+/**
+ * Live status of one train or bus run: expected time at every stop, where
+ * the vehicle is, and how its delay is known (report source and age).
+ * Trips are found by id or by number (+ operator). Returns null when unknown.
+ */
+async function tripStatus(mode, ref, { date, at } = {}) {
+  const trip = await findTrip(mode, ref);
+  if (!trip) return null;
+  const now = evalTime(at);
+  let serviceDate = currentServiceDate(trip, now);
+  if (date) {
+    serviceDate = calendar.normDate(date);
+    if (!serviceDate) throw ApiError.badRequest('date must be YYYY-MM-DD');
+  }
+
+  const day = calendar.tripOn(trip, serviceDate);
+  const { latest, observed, announced } = await runHistory({ mode, tripId: trip._id, serviceDate }, now);
+  const { lastReport, stale } = freshness(latest, now);
+  const running = day.runs && !latest?.cancelled;
+  const { stops, times } = predictStops(mode, day.stops, { report: running ? latest : null, observed, announced, at: now });
+
+  let status = day.runs ? 'unknown' : day.status;
+  if (latest?.cancelled) status = 'cancelled';
+  let phase = { status: 'unknown', index: null, fraction: null };
+  if (running) {
+    phase = phaseAt(times, now);
+    status = phase.status;
+  }
+
+  let position = null;
+  let positionSource = null;
+  if (running && latest?.position?.coordinates && !stale) {
+    position = { type: 'Point', coordinates: latest.position.coordinates, bearing: latest.bearing ?? null, speedKph: latest.speedKph ?? null };
+    positionSource = 'reported';
+  } else if (running && phase.index != null) {
+    const [fc, points] = await Promise.all([ROUTES[mode](trip._id), stopPoints(mode, day.stops)]);
+    position = positionOn(trackOf(lineOf(fc), points), phase, times);
+    positionSource = position ? 'interpolated' : null;
+  }
+
+  // Stop the vehicle stands at, and the one it heads for next
+  const current = phase.status === 'at_stop' ? stops[phase.index] : null;
+  let next = null;
+  if (phase.status === 'scheduled') next = stops[0];
+  else if (phase.status === 'at_stop' || phase.status === 'en_route') next = stops[phase.index + 1] || null;
+  const nextTime = next ? Date.parse(next.expectedArr || next.expectedDep) : NaN;
+  let delayMin = null;
+  if (phase.status === 'scheduled') delayMin = stops[0]?.depDelayMin;
+  else if (phase.status === 'at_stop') delayMin = current.arrDelayMin ?? current.depDelayMin;
+  else if (phase.status === 'en_route') delayMin = next?.arrDelayMin;
+  else if (phase.status === 'arrived') delayMin = stops[stops.length - 1]?.arrDelayMin;
+
+  return {
+    mode,
+    tripId: String(trip._id),
+    number: trip.number,
+    name: trip.name || null,
+    operator: trip.operator || null,
+    serviceDate,
+    serviceStatus: day.status,
+    status,
+    delayMin: running ? delayMin ?? 0 : null,
+    source: latest ? latest.source : 'schedule',
+    stale,
+    lastReport,
+    position,
+    positionSource,
+    currentStop: pick(current),
+    nextStop: running && next
+      ? { ...pick(next), expectedArr: next.expectedArr, etaMin: Number.isFinite(nextTime) ? Math.max(0, Math.round((nextTime - now.getTime()) / MIN_MS)) : null }
+      : null,
+    exceptions: day.exceptions,
+    stops,
+    lastUpdatedISO: toISO(now)
+  };
+}
+function pick(stop) {
+  return stop ? { seq: stop.seq, stationId: stop.stationId, name: stop.name } : null;
+}
+
+// ---------- Flights ----------
+/**
+ * Live status of a flight on a day (local departure date), from the cached
+ * itinerary's segment timetable and any reports. Flights keep their
+ * departure delay to arrival; the two airports act as stops 0 and 1.
+ */
+async function flightStatus({ carrier, number, date, at } = {}) {
+  const key = flightKey(carrier, number);
+  if (!/^[A-Z0-9]{2,3}$/.test(key.carrier) || !/^[A-Z0-9]{1,5}$/.test(key.number)) {
+    throw ApiError.badRequest('carrier (2-3 letters) and flight number are required');
+  }
+  const now = evalTime(at);
+  const serviceDate = date ? calendar.normDate(date) : ymd(now);
+  if (!serviceDate) throw ApiError.badRequest('date must be YYYY-MM-DD');
+
+  const numbers = [key.number, `${key.carrier}${key.number}`];
+  const [flight, history] = await Promise.all([
+    Flight.findOne({
+      segments: {
+        $elemMatch: { carrier: key.carrier, flightNumber: { $in: numbers }, departureISO: { $regex: `^${serviceDate}` } }
+      }
+    }).select({ segments: 1 }).lean(),
+    runHistory({ mode: 'flight', carrier: key.carrier, number: key.number, serviceDate }, now)
+  ]);
+  const seg = (flight?.segments || []).find((s) => s.carrier === key.carrier && numbers.includes(s.flightNumber) &&
+    String(s.departureISO || '').startsWith(serviceDate)) || null;
+  const { latest, observed, announced } = history;
+  const { lastReport, stale } = freshness(latest, now);
+
+  const out = {
+    carrier: key.carrier,
+    number: key.number,
+    date: serviceDate,
+    departure: { airport: seg?.origin?.iata || null, scheduledISO: seg?.departureISO || null, estimatedISO: null, actualISO: null, terminal: seg?.origin?.terminal || null, gate: announced.get(0)?.platform || null },
+    arrival: { airport: seg?.destination?.iata || null, scheduledISO: seg?.arrivalISO || null, estimatedISO: null, actualISO: null, terminal: seg?.destination?.terminal || null, gate: announced.get(1)?.platform || null },
+    status: 'unknown',
+    delayMin: null,
+    source: latest ? latest.source : seg ? 'schedule' : null,
+    stale,
+    lastReport,
+    position: null,
+    positionSource: null,
+    lastUpdatedISO: toISO(now)
+  };
+  if (latest?.cancelled) return { ...out, status: 'cancelled' };
+  if (!seg?.departureISO || !seg?.arrivalISO) {
+    if (latest?.position?.coordinates && !stale) {
+      out.position = { type: 'Point', coordinates: latest.position.coordinates, bearing: latest.bearing ?? null, speedKph: latest.speedKph ?? null };
+      out.positionSource = 'reported';
+    }
+    return out;
+  }
+
+  const legs = [{ seq: 0, dep: seg.departureISO }, { seq: 1, arr: seg.arrivalISO }];
+  const { stops, times } = predictStops('flight', legs, { report: latest, observed, at: now });
+  const phase = phaseAt(times, now);
+  out.departure.estimatedISO = stops[0].expectedDep;
+  out.arrival.estimatedISO = stops[1].expectedArr;
+  if (phase.status === 'en_route' || phase.status === 'arrived') out.departure.actualISO = stops[0].expectedDep;
+  if (phase.status === 'arrived') out.arrival.actualISO = stops[1].expectedArr;
+  out.status = phase.status;
+  out.delayMin = phase.status === 'arrived' ? stops[1].arrDelayMin : stops[0].depDelayMin;
+
+  if (latest?.position?.coordinates && !stale) {
+    out.position = { type: 'Point', coordinates: latest.position.coordinates, bearing: latest.bearing ?? null, speedKph: latest.speedKph ?? null };
+    out.positionSource = 'reported';
+  } else {
+    let line = (seg.path?.coordinates || []).filter(isLngLat);
+    const airports = await Airport.find({ iata: { $in: [seg.origin?.iata, seg.destination?.iata].filter(Boolean) } })
+      .select({ iata: 1, location: 1 })
+      .lean();
+    const byIata = new Map(airports.map((a) => [a.iata, a.location?.coordinates]));
+    const points = [seg.origin?.iata, seg.destination?.iata].map((c) => (isLngLat(byIata.get(c)) ? byIata.get(c) : null));
+    if (line.length < 2 && points[0] && points[1]) line = points;
+    const ends = line.length >= 2 ? [line[0], line[line.length - 1]] : points;
+    out.position = positionOn(trackOf(line, ends), phase, times);
+    out.positionSource = out.position ? 'interpolated' : null;
+  }
+  return out;
+}
+
+// ---------- Station boards ----------
+async function resolveStation(mode, idOrCode) {
+  const Model = STATIONS[mode];
+  if (!Model) throw ApiError.badRequest('mode must be train or bus');
+  if (!idOrCode) return null;
+  const filter = isObjectId(idOrCode) ? { _id: idOrCode } : { [STATION_CODE[mode]]: String(idOrCode).trim() };
+  return Model.findOne(filter).select({ _id: 1, name: 1, location: 1, [STATION_CODE[mode]]: 1 }).lean();
+}
+
+/**
+ * Latest vehicle report per run for many trips, keyed "<tripId>|<serviceDate>",
+ * plus the platform/bay announcements for the board's stop per run.
+ */
+async function boardReports(mode, tripIds, dates, at, stationSeqs) {
+  if (!tripIds.length) return { latest: new Map(), announced: new Map() };
+  const match = { mode, tripId: { $in: tripIds }, serviceDate: { $in: dates }, reportedAt: { $lte: at } };
+  const [rows, notes] = await Promise.all([
+    LiveReport.aggregate([
+      { $match: { ...match, announcement: { $ne: true } } },
+      { $sort: { reportedAt: -1 } },
+      { $group: { _id: { tripId: '$tripId', serviceDate: '$serviceDate' }, report: { $first: '$$ROOT' } } }
+    ]),
+    LiveReport.aggregate([
+      { $match: { ...match, stopSeq: { $in: stationSeqs }, $or: [{ platform: { $exists: true } }, { bay: { $exists: true } }] } },
+      { $sort: { reportedAt: -1 } },
+      {
+        $group: {
+          _id: { tripId: '$tripId', serviceDate: '$serviceDate', stopSeq: '$stopSeq' },
+          platform: { $first: '$platform' },
+          bay: { $first: '$bay' }
+        }
+      }
+    ])
+  ]);
+  const announced = new Map();
+  for (const n of notes) {
+    const key = `${n._id.tripId}|${n._id.serviceDate}`;
+    if (!announced.has(key)) announced.set(key, new Map());
+    announced.get(key).set(n._id.stopSeq, { platform: n.platform, bay: n.bay });
+  }
+  return { latest: new Map(rows.map((r) => [`${r._id.tripId}|${r._id.serviceDate}`, r.report])), announced };
+}
+
+// Board paging: items are ordered by (time, tripId|serviceDate|seq) and a
+// cursor is the last item's position in that order.
+function encodeCursor(t, k) {
+  return Buffer.from(JSON.stringify({ t, k })).toString('base64url');
+}
+function decodeCursor(cursor) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isFinite(c.t) && typeof c.k === 'string') return c;
+  } catch (_) {
+    // fall through
+  }
+  throw ApiError.badRequest('Invalid cursor');
+}
+
+/**
+ * Time a call shows under on a board: departures skip a run's last stop and
+ * arrivals its first; the calls board takes departure, else arrival.
+ */
+function boardTime(kind, call) {
+  if (kind === 'departures') return call.scheduledDep ? Date.parse(call.expectedDep) : NaN;
+  if (kind === 'arrivals') return call.scheduledArr ? Date.parse(call.expectedArr) : NaN;
+  return Date.parse(call.expectedDep || call.expectedArr);
+}
+
+/**
+ * Calls at a station or stop, merged across every trip serving it and
+ * ordered by expected time. Times come from the service day's timetable
+ * (calendar exceptions applied) and live reports; cancelled runs stay on the
+ * board. A page spans `windowMin` from its start (shortly before `at`, or
+ * the cursor) and `nextCursor` always continues forward in time.
+ *
+ * kind       calls | departures | arrivals
+ * platform   only calls at that platform or bay (announced changes included)
+ * operator   only that operator's trips
+ * withRuns   keep each item's run for map pins (stationBoardGeoJSON)
+ *
+ * At most BOARD_MAX_TRIPS trips (in _id order) are read per page; when more
+ * serve the station `truncated` is true and calls may be missing.
+ *
+ * Returns null for an unknown station.
+ */
+async function stationBoard(mode, stationIdOrCode, { kind = 'calls', at, windowMin, limit, cursor, platform, operator, withRuns = false } = {}) {
+  if (!LIVE_STATUS.BOARD_KINDS.includes(kind)) throw ApiError.badRequest(`kind must be one of: ${LIVE_STATUS.BOARD_KINDS.join(', ')}`);
+  const station = await resolveStation(mode, stationIdOrCode);
+  if (!station) return null;
+  const now = evalTime(at);
+  const window = Math.min(coerceInt(windowMin, LIVE_STATUS.BOARD_WINDOW_MIN), LIVE_STATUS.BOARD_MAX_WINDOW_MIN);
+  const l = Math.min(coerceInt(limit, PAGINATION.DEFAULT_LIMIT), PAGINATION.MAX_LIMIT);
+  const after = cursor ? decodeCursor(cursor) : { t: now.getTime() - LIVE_STATUS.BOARD_PAST_MIN * MIN_MS, k: '' };
+  const from = after.t;
+  const to = from + window * MIN_MS;
+
+  // Service days whose runs can call in [from, to): stop times carry local
+  // offsets, so look a day either side of the UTC span
+  const dates = [];
+  for (let d = shiftDate(ymd(from), -1); d <= shiftDate(ymd(to), 1); d = shiftDate(d, 1)) dates.push(d);
+
+  const ref = String(station._id);
+  const atStation = mode === 'bus'
+    ? { $or: [{ 'stops.stopRefId': station._id }, { 'stops.stationRefId': station._id }] }
+    : { 'stops.stationRefId': station._id };
+  const filter = { isActive: true, $and: [atStation, calendar.serviceMatch(dates)] };
+  if (operator) filter.operator = new RegExp(`^${String(operator).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  const trips = await MODELS[mode]
+    .find(filter)
+    .select(withRuns ? { ...TRIP_FIELDS, coordinatesGeoJSON: 1, routeShape: 1 } : TRIP_FIELDS)
+    .sort({ _id: 1 })
+    .limit(LIVE_STATUS.BOARD_MAX_TRIPS + 1)
+    .lean();
+  const truncated = trips.length > LIVE_STATUS.BOARD_MAX_TRIPS;
+  if (truncated) trips.length = LIVE_STATUS.BOARD_MAX_TRIPS;
+  const seqs = [...new Set(trips.flatMap((t) => (t.stops || []).filter((s) => stopRef(mode, s) === ref).map((s) => s.seq)))];
+  const [reports, notices] = await Promise.all([
+    boardReports(mode, trips.map((t) => t._id), dates, now, seqs),
+    calendar.noticesForStation(mode, station._id, dates)
+  ]);
+
+  const wanted = platform != null && platform !== '' ? String(platform).trim().toLowerCase() : null;
+  const items = [];
+  for (const trip of trips) {
+    for (const serviceDate of dates) {
+      const day = calendar.tripOn(trip, serviceDate);
+      if (!day.runs && day.status !== 'cancelled') continue;
+      const runKey = `${trip._id}|${serviceDate}`;
+      const report = reports.latest.get(runKey) || null;
+      const cancelled = !day.runs || !!report?.cancelled;
+      const { stops, times } = predictStops(mode, day.stops, {
+        report: cancelled ? null : report,
+        announced: reports.announced.get(runKey),
+        at: now
+      });
+      const { stale } = freshness(report, now);
+      stops.forEach((call, i) => {
+        if (call.stationId !== ref) return;
+        const time = boardTime(kind, call);
+        const key = `${runKey}|${call.seq}`;
+        if (!Number.isFinite(time) || time >= to) return;
+        if (!(time > after.t || (time === after.t && key > after.k))) return;
+        if (wanted && ![call.platform, call.bay].some((p) => p && String(p).toLowerCase() === wanted)) return;
+        const { name: stopName, stationId, ...times } = call;
+        items.push({
+          mode,
+          tripId: String(trip._id),
+          number: trip.number,
+          name: trip.name || null,
+          operator: trip.operator || null,
+          serviceDate,
+          serviceStatus: day.status,
+          status: cancelled ? 'cancelled' : callStatus(call, now),
+          ...times,
+          delayMin: cancelled ? null : kind === 'arrivals' ? call.arrDelayMin : call.depDelayMin ?? call.arrDelayMin,
+          minutesAway: Math.round((time - now.getTime()) / MIN_MS),
+          origin: i > 0 ? pick(stops[0]) : null,
+          destination: i < stops.length - 1 ? pick(stops[stops.length - 1]) : null,
+          live: !!report && !cancelled,
+          stale,
+          _time: time,
+          _key: key,
+          _run: withRuns && !cancelled ? { trip, stops: day.stops, times, report, stale } : null
+        });
+      });
+    }
+  }
+  items.sort((a, b) => a._time - b._time || (a._key < b._key ? -1 : a._key > b._key ? 1 : 0));
+  const page = items.slice(0, l);
+  const hasMore = items.length > l;
+  const last = page[page.length - 1];
+
+  return {
+    station: {
+      id: ref,
+      name: station.name || null,
+      code: station[STATION_CODE[mode]] || null,
+      location: station.location || null
+    },
+    mode,
+    kind,
+    at: toISO(now),
+    from: toISO(from),
+    to: toISO(to),
+    items: page.map(({ _time, _key, _run, ...item }) => (withRuns ? { ...item, _run } : item)),
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(last._time, last._key) : encodeCursor(to, ''),
+    truncated,
+    notices
+  };
+}
+
+/**
+ * The board as map pins (RFC 7946): the station, and for each upcoming
+ * service the vehicle where it is now — its fresh reported position, else
+ * interpolated along the trip's route (or straight between stops).
+ */
+async function stationBoardGeoJSON(mode, stationIdOrCode, opts = {}) {
+  const board = await stationBoard(mode, stationIdOrCode, { ...opts, withRuns: true });
+  if (!board) return null;
+  const now = new Date(board.at);
+
+  const runs = board.items.map((i) => i._run).filter(Boolean);
+  const refs = [...new Set(runs.flatMap((r) => r.stops.map((s) => stopRef(mode, s))).filter(isObjectId))];
+  const points = new Map();
+  if (refs.length) {
+    const rows = await STATIONS[mode].find({ _id: { $in: refs } }).select({ _id: 1, location: 1 }).lean();
+    rows.forEach((r) => isLngLat(r.location?.coordinates) && points.set(String(r._id), r.location.coordinates));
+  }
+
+  const features = [];
+  if (isLngLat(board.station.location?.coordinates)) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: board.station.location.coordinates },
+      properties: { kind: 'station', mode, id: board.station.id, name: board.station.name, code: board.station.code, notices: board.notices.length }
+    });
+  }
+  for (const { _run: run, ...item } of board.items) {
+    if (!run) continue;
+    let position = null;
+    let positionSource = null;
+    if (run.report?.position?.coordinates && !run.stale) {
+      position = { type: 'Point', coordinates: run.report.position.coordinates, bearing: run.report.bearing ?? null };
+      positionSource = 'reported';
+    } else {
+      const g = run.trip.coordinatesGeoJSON;
+      const line = g?.type === 'LineString' || g?.type === 'MultiLineString'
+        ? lineOf({ features: [{ geometry: g }] })
+        : (run.trip.routeShape || []).filter(isLngLat);
+      const stopPts = run.stops.map((s) => points.get(stopRef(mode, s)) || null);
+      position = positionOn(trackOf(line, stopPts), phaseAt(run.times, now), run.times);
+      positionSource = position ? 'interpolated' : null;
+    }
+    if (!position) continue;
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: position.coordinates },
+      properties: {
+        kind: 'service',
+        mode,
+        tripId: item.tripId,
+        number: item.number,
+        name: item.name,
+        operator: item.operator,
+        serviceDate: item.serviceDate,
+        status: item.status,
+        seq: item.seq,
+        scheduledTime: board.kind === 'arrivals' ? item.scheduledArr : item.scheduledDep || item.scheduledArr,
+        expectedTime: board.kind === 'arrivals' ? item.expectedArr : item.expectedDep || item.expectedArr,
+        delayMin: item.delayMin,
+        minutesAway: item.minutesAway,
+        platform: item.platform,
+        ...(mode === 'bus' ? { bay: item.bay } : {}),
+        destination: item.destination?.name || null,
+        bearing: position.bearing ?? null,
+        positionSource
+      }
+    });
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      station: { id: board.station.id, name: board.station.name, code: board.station.code },
+      kind: board.kind,
+      at: board.at,
+      from: board.from,
+      to: board.to,
+      hasMore: board.hasMore,
+      nextCursor: board.nextCursor,
+      truncated: board.truncated
+    }
+  };
+}
+
+function callStatus(call, now) {
+  const arr = Date.parse(call.expectedArr);
+  const dep = Date.parse(call.expectedDep);
+  const t = now.getTime();
+  if (Number.isFinite(dep) && dep <= t) return 'departed';
+  if (Number.isFinite(arr) && arr <= t) return Number.isFinite(dep) ? 'at_stop' : 'arrived';
+  return (call.depDelayMin ?? call.arrDelayMin) > 0 ? 'delayed' : 'on_time';
+}
+
+// ---------- Ingest ----------
+function parseTime(v, now) {
+  if (v == null || v === '') return now;
+  const n = typeof v === 'number' ? (v < 1e12 ? v * 1000 : v) : Date.parse(v);
+  return Number.isFinite(n) ? new Date(n) : null;
+}
+
+function parsePosition(p) {
+  if (p == null) return undefined;
+  const c = Array.isArray(p) ? p : Array.isArray(p.coordinates) ? p.coordinates : [Number(p.lng), Number(p.lat)];
+  const coords = c.map(Number);
+  return isLngLat(coords) ? { type: 'Point', coordinates: coords } : null;
+}
+
+/**
+ * One raw report -> LiveReport fields, or { error }.
+ */
+function normalizeReport(raw, { trips, now, source, feed }) {
+  if (!raw || typeof raw !== 'object') return { error: 'report must be an object' };
+  const mode = String(raw.mode || '').toLowerCase();
+  if (!LIVE_STATUS.MODES.includes(mode)) return { error: `mode must be one of: ${LIVE_STATUS.MODES.join(', ')}` };
+
+  const reportedAt = parseTime(raw.reportedAt ?? raw.timestamp, now);
+  if (!reportedAt) return { error: 'reportedAt must be an ISO 8601 time or epoch' };
+  if (reportedAt.getTime() - now.getTime() > LIVE_STATUS.MAX_CLOCK_SKEW_SEC * 1000) return { error: 'reportedAt is in the future' };
+
+  const doc = { mode, source, reportedAt };
+  if (feed) doc.feed = feed;
+
+  const position = parsePosition(raw.position);
+  if (position === null) return { error: 'position must be [lng, lat] or { lng, lat } within range' };
+  if (position) doc.position = position;
+  if (raw.bearing != null) {
+    const b = Number(raw.bearing);
+    if (!Number.isFinite(b) || b < 0 || b > 360) return { error: 'bearing must be 0-360' };
+    doc.bearing = b;
+  }
+  if (raw.speedKph != null) {
+    const s = Number(raw.speedKph);
+    if (!Number.isFinite(s) || s < 0) return { error: 'speedKph must be >= 0' };
+    doc.speedKph = s;
+  }
+  if (raw.delayMin != null) {
+    const d = Number(raw.delayMin);
+    if (!Number.isFinite(d) || Math.abs(d) > LIVE_STATUS.MAX_DELAY_MIN) {
+      return { error: `delayMin must be within ±${LIVE_STATUS.MAX_DELAY_MIN}` };
+    }
+    doc.delayMin = Math.round(d);
+  }
+  if (raw.stopSeq != null) {
+    const seq = Number(raw.stopSeq);
+    if (!Number.isInteger(seq) || seq < 0) return { error: 'stopSeq must be a stop sequence (>= 0)' };
+    doc.stopSeq = seq;
+    if (raw.stopStatus != null) {
+      if (!LIVE_STATUS.STOP_STATUS.includes(raw.stopStatus)) {
+        return { error: `stopStatus must be one of: ${LIVE_STATUS.STOP_STATUS.join(', ')}` };
+      }
+      doc.stopStatus = raw.stopStatus;
+    }
+  }
+  for (const field of ['platform', 'bay']) {
+    if (raw[field] == null || raw[field] === '') continue;
+    const v = String(raw[field]).trim();
+    if (!v || v.length > 10) return { error: `${field} must be 1-10 characters` };
+    if (doc.stopSeq == null) return { error: `${field} needs the stopSeq it applies to` };
+    doc[field] = v;
+  }
+  if (raw.cancelled === true) doc.cancelled = true;
+  if (doc.stopSeq != null && !doc.stopStatus) {
+    // A platform/bay for a stop with nothing about the vehicle is an announcement only
+    if ((doc.platform || doc.bay) && doc.delayMin == null && !doc.position && !doc.cancelled) doc.announcement = true;
+    else doc.stopStatus = 'in_transit_to';
+  }
+  if (!doc.position && doc.delayMin == null && doc.stopSeq == null && !doc.cancelled) {
+    return { error: 'report carries no position, stop, delay or cancellation' };
+  }
+
+  if (raw.serviceDate != null && !calendar.normDate(raw.serviceDate)) return { error: 'serviceDate must be YYYY-MM-DD' };
+
+  if (mode === 'flight') {
+    const key = flightKey(raw.carrier, raw.number);
+    if (!/^[A-Z0-9]{2,3}$/.test(key.carrier) || !/^[A-Z0-9]{1,5}$/.test(key.number)) {
+      return { error: 'flight reports need carrier and number' };
+    }
+    if (doc.stopSeq != null && doc.stopSeq > 1) return { error: 'flight stopSeq is 0 (origin) or 1 (destination)' };
+    return { doc: { ...doc, ...key, serviceDate: calendar.normDate(raw.serviceDate) || ymd(reportedAt) } };
+  }
+
+  if (!isObjectId(raw.tripId)) return { error: 'tripId is required' };
+  const trip = trips.get(`${mode}|${raw.tripId}`);
+  if (!trip) return { error: `Unknown ${mode} trip` };
+  const serviceDate = calendar.normDate(raw.serviceDate) || currentServiceDate(trip, reportedAt);
+  const day = calendar.tripOn(trip, serviceDate);
+  if (doc.stopSeq != null && !day.stops.some((s) => s.seq === doc.stopSeq)) return { error: 'stopSeq is not a stop of this trip' };
+  if (doc.delayMin == null && doc.stopSeq != null && !doc.announcement) {
+    const inferred = inferDelay(day.stops, doc);
+    if (inferred != null) {
+      doc.delayMin = Math.max(-LIVE_STATUS.MAX_DELAY_MIN, Math.min(LIVE_STATUS.MAX_DELAY_MIN, inferred));
+      doc.delayInferred = true;
+    }
+  }
+  return { doc: { ...doc, tripId: trip._id, serviceDate } };
+}
+
+/**
+ * Store a report or a batch ({ reports: [...] }). Bad entries are rejected
+ * one by one so a feed's valid reports still land.
+ */
+async function ingestReports(payload, { source = 'feed', feed } = {}) {
+  if (!LIVE_STATUS.SOURCES.includes(source)) throw ApiError.badRequest('Unknown report source');
+  if (payload?.reports != null && !Array.isArray(payload.reports)) throw ApiError.badRequest('reports must be an array');
+  const list = Array.isArray(payload?.reports) ? payload.reports : payload ? [payload] : [];
+  if (!list.length) throw ApiError.badRequest('No reports given');
+  if (list.length > LIVE_STATUS.MAX_BATCH) throw ApiError.badRequest(`At most ${LIVE_STATUS.MAX_BATCH} reports per call`);
+
+  const ids = { train: new Set(), bus: new Set() };
+  for (const r of list) {
+    const mode = String(r?.mode || '').toLowerCase();
+    if (ids[mode] && isObjectId(r.tripId)) ids[mode].add(String(r.tripId));
+  }
+  const trips = new Map();
+  await Promise.all(Object.entries(ids).filter(([, set]) => set.size).map(async ([mode, set]) => {
+    const rows = await MODELS[mode].find({ _id: { $in: [...set] } }).select(TRIP_FIELDS).lean();
+    rows.forEach((t) => trips.set(`${mode}|${t._id}`, t));
+  }));
+
+  const now = new Date();
+  const docs = [];
+  const rejected = [];
+  list.forEach((raw, index) => {
+    const { doc, error } = normalizeReport(raw, { trips, now, source, feed });
+    if (error) rejected.push({ index, reason: error });
+    else docs.push(doc);
+  });
+  if (docs.length) await LiveReport.insertMany(docs, { ordered: false });
+  return { received: list.length, accepted: docs.length, rejected };
+}
+
+/**
+ * Signed feed callbacks (x-webhook-signature: t=<ts>,v1=<hmac>, LIVE_FEED_SECRET).
+ */
+async function handleFeedWebhook(feed, payload, { rawBody, signature } = {}) {
+  try {
+    webhookSignature.verify(rawBody || JSON.stringify(payload || {}), signature, process.env.LIVE_FEED_SECRET);
+  } catch (err) {
+    throw ApiError.unauthorized('Invalid webhook signature', { feed, reason: err.code || err.message });
+  }
+  const name = String(feed || '').trim().toLowerCase();
+  if (!/^[a-z0-9_-]{1,40}$/.test(name)) throw ApiError.badRequest('Invalid feed name');
+  return ingestReports(payload, { source: 'feed', feed: name });
+}
+
+// ---------- Schedule simulator ----------
+/**
+ * Deterministic lateness for a run: half of all runs keep time, the rest
+ * lose up to SIMULATOR_MAX_DELAY_MIN minutes spread over the journey.
+ */
+function simulatedDelay(tripId, serviceDate) {
+  const h = crypto.createHash('md5').update(`${tripId}|${serviceDate}`).digest();
+  if (h[0] % 2 === 0) return 0;
+  return 1 + (h[1] % LIVE_STATUS.SIMULATOR_MAX_DELAY_MIN);
+}
+
+/**
+ * Where a simulated vehicle is: its scheduled timeline run `delay` minutes late
+ * (delay growing along the journey). Null before departure or after arrival.
+ */
+function simulateRun(trip, serviceDate, at) {
+  const day = calendar.tripOn(trip, serviceDate);
+  if (!day.runs || !day.stops.length) return null;
+  const times = scheduledTimes(day.stops);
+  const first = times[0].dep ?? times[0].arr;
+  const last = times[times.length - 1].arr ?? times[times.length - 1].dep;
+  if (first == null || last == null || last <= first) return null;
+  const maxDelay = simulatedDelay(trip._id, serviceDate);
+  const t = at.getTime();
+  if (t < first || t > last + maxDelay * MIN_MS) return null;
+
+  const delayMin = Math.round(maxDelay * Math.min(1, (t - first) / (last - first)));
+  const phase = phaseAt(times, new Date(t - delayMin * MIN_MS));
+  if (phase.index == null) return null;
+  const stop = phase.status === 'en_route' ? day.stops[phase.index + 1] : day.stops[phase.index];
+  return {
+    serviceDate,
+    stopSeq: stop.seq,
+    stopStatus: phase.status === 'en_route' ? 'in_transit_to' : 'stopped_at',
+    delayMin
+  };
+}
+
+/**
+ * One simulator pass: a report for every train/bus run under way at `at`,
+ * except runs a real feed or staff reported on recently.
+ */
+async function simulateTick({ at } = {}) {
+  const now = evalTime(at);
+  const today = ymd(now);
+  const dates = [shiftDate(today, -1), today];
+  const written = {};
+
+  for (const mode of Object.keys(MODELS)) {
+    const trips = await MODELS[mode]
+      .find({ isActive: true, ...calendar.serviceMatch(dates) })
+      .select(TRIP_FIELDS)
+      .limit(LIVE_STATUS.SIMULATOR_MAX_TRIPS)
+      .lean();
+    const reported = new Set((await LiveReport.distinct('tripId', {
+      mode,
+      tripId: { $in: trips.map((t) => t._id) },
+      source: { $ne: 'simulator' },
+      announcement: { $ne: true },
+      reportedAt: { $gte: new Date(now.getTime() - LIVE_STATUS.STALE_AFTER_SEC * 1000) }
+    })).map(String));
+
+    const docs = [];
+    for (const trip of trips) {
+      if (reported.has(String(trip._id))) continue;
+      for (const serviceDate of dates) {
+        const run = simulateRun(trip, serviceDate, now);
+        if (run) docs.push({ mode, tripId: trip._id, source: 'simulator', reportedAt: now, ...run });
+      }
+    }
+    if (docs.length) await LiveReport.insertMany(docs, { ordered: false });
+    written[mode] = docs.length;
+  }
+  return { at: toISO(now), written };
+}
+
+let simulatorTimer = null;
+
+/**
+ * Run the simulator every SIMULATOR_INTERVAL_SEC. Safe to call more than
+ * once; the timer does not keep the process alive.
+ */
+function startSimulator({ intervalMs = LIVE_STATUS.SIMULATOR_INTERVAL_SEC * 1000 } = {}) {
+  if (simulatorTimer) return simulatorTimer;
+  simulatorTimer = setInterval(() => {
+    simulateTick().catch((err) => console.error('Live simulator tick failed:', err.message || err));
+  }, intervalMs);
+  if (typeof simulatorTimer.unref === 'function') simulatorTimer.unref();
+  return simulatorTimer;
+}
+
+function stopSimulator() {
+  if (simulatorTimer) clearInterval(simulatorTimer);
+  simulatorTimer = null;
+}
+
+module.exports = {
+  // reads
+  tripStatus,
+  flightStatus,
+  stationBoard,
+  stationBoardGeoJSON,
+
+  // prediction (shared with boards)
+  predictStops,
+  phaseAt,
+  currentServiceDate,
+
+  // ingest
+  ingestReports,
+  handleFeedWebhook,
+
+  // simulator
+  simulateTick,
+  startSimulator,
+  stopSimulator
+};
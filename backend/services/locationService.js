@@ -4,6 +4,8 @@
 
 const mongoose = require('mongoose');
 const LocationMaster = require('../models/LocationMaster');
+const { searchKeys } = require('../utils/transliterate');
+const { localizeAll } = require('../utils/i18n');
 
 function isObjectId(v) {
   return mongoose.Types.ObjectId.isValid(v);
@@ -116,34 +118,37 @@ async function listCities({ countrySlug, regionSlug, page = 1, limit = 100, sort
 }
 
 // ---------- Suggestions ----------
-async function suggest({ q, types = 'country,region,city', limit = 10, countrySlug, regionSlug }) {
+async function suggest({ q, types = 'country,region,city', limit = 10, countrySlug, regionSlug, locale }) {
   const l = Math.min(coerceInt(limit, 10), 25);
   const rx = q ? new RegExp(sanitizeRegex(q), 'i') : null;
+  // Names typed in another script or spelling match through searchKeys
+  const keys = q ? searchKeys(q) : [];
+  const byKeys = keys.length ? [{ searchKeys: { $all: keys } }] : [];
   const typeSet = new Set(String(types).split(',').map((s) => s.trim()));
 
   const commonMatch = { isActive: true };
   if (countrySlug) commonMatch.countrySlug = countrySlug;
   if (regionSlug) commonMatch.regionSlug = regionSlug;
 
-  const pick = { _id: 1, name: 1, slug: 1, type: 1, countrySlug: 1, regionSlug: 1, centroid: 1 };
+  const pick = { _id: 1, name: 1, slug: 1, type: 1, countrySlug: 1, regionSlug: 1, centroid: 1, translations: 1 };
   const res = {};
 
   if (typeSet.has('country')) {
     const m = { ...commonMatch, type: 'country' };
-    if (rx) m.$or = [{ name: rx }, { iso2: rx }, { iso3: rx }, { aliases: rx }];
-    res.countries = await LocationMaster.find(m).select(pick).limit(l).lean();
+    if (rx) m.$or = [{ name: rx }, { iso2: rx }, { iso3: rx }, { aliases: rx }, ...byKeys];
+    res.countries = localizeAll(await LocationMaster.find(m).select(pick).limit(l).lean(), locale, ['name']);
   }
 
   if (typeSet.has('region')) {
     const m = { ...commonMatch, type: 'region' };
-    if (rx) m.$or = [{ name: rx }, { regionSlug: rx }, { aliases: rx }];
-    res.regions = await LocationMaster.find(m).select(pick).limit(l).lean();
+    if (rx) m.$or = [{ name: rx }, { regionSlug: rx }, { aliases: rx }, ...byKeys];
+    res.regions = localizeAll(await LocationMaster.find(m).select(pick).limit(l).lean(), locale, ['name']);
   }
 
   if (typeSet.has('city')) {
     const m = { ...commonMatch, type: 'city' };
-    if (rx) m.$or = [{ name: rx }, { aliases: rx }];
-    res.cities = await LocationMaster.find(m).select(pick).limit(l).lean();
+    if (rx) m.$or = [{ name: rx }, { aliases: rx }, ...byKeys];
+    res.cities = localizeAll(await LocationMaster.find(m).select(pick).limit(l).lean(), locale, ['name']);
   }
 
   return res;
@@ -0,0 +1,41 @@
+// backend/services/mail/consoleTransport.js
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Development transport: prints each message to stdout instead of sending it.
+ * Link tokens are redacted so logs never hold a working verification or reset
+ * link; use the file transport to open links locally. Refused in production
+ * (see mailService).
+ *
+ * Transport interface (shared with real providers):
+ *   send({ from, to, subject, text, html, tag }) -> { messageId, transport }
+ */
+const NAME = 'console';
+
+function redact(text) {
+  return String(text).replace(/([?&]token=)[^&\s]+/g, '$1[redacted]');
+}
+
+async function send(message) {
+  const messageId = `console_${crypto.randomBytes(8).toString('hex')}`;
+  console.log(
+    [
+      `📧 [mail:${message.tag || 'general'}] ${messageId}`,
+      `   From: ${message.from}`,
+      `   To: ${message.to}`,
+      `   Subject: ${message.subject}`,
+      '',
+      redact(message.text)
+    ].join('\n')
+  );
+  return { messageId, transport: NAME };
+}
+
+module.exports = {
+  name: NAME,
+  send,
+  redact
+};
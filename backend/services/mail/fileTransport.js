@@ -0,0 +1,59 @@
+// backend/services/mail/fileTransport.js
+
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { MAIL } = require('../../utils/constants');
+
+/**
+ * Writes each message as JSON into MAIL.OUTBOX_DIR (one file per message) so
+ * local runs and tests can open links without a mail server. listOutbox()
+ * and clearOutbox() are helpers for those tests; they are not part of the
+ * transport interface (see consoleTransport.js).
+ */
+const NAME = 'file';
+
+function outboxDir() {
+  return path.resolve(__dirname, '..', '..', MAIL.OUTBOX_DIR);
+}
+
+async function send(message) {
+  const messageId = `file_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const dir = outboxDir();
+  await fs.mkdir(dir, { recursive: true });
+  const record = { messageId, sentAt: new Date().toISOString(), ...message };
+  await fs.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify(record, null, 2));
+  return { messageId, transport: NAME };
+}
+
+// Newest first; optional filters on recipient and tag
+async function listOutbox({ to, tag } = {}) {
+  let names;
+  try {
+    names = await fs.readdir(outboxDir());
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const records = await Promise.all(
+    names
+      .filter((n) => n.endsWith('.json'))
+      .map(async (n) => JSON.parse(await fs.readFile(path.join(outboxDir(), n), 'utf8')))
+  );
+  return records
+    .filter((m) => (!to || m.to === to) && (!tag || m.tag === tag))
+    .sort((a, b) => b.sentAt.localeCompare(a.sentAt));
+}
+
+async function clearOutbox() {
+  await fs.rm(outboxDir(), { recursive: true, force: true });
+}
+
+module.exports = {
+  name: NAME,
+  send,
+  listOutbox,
+  clearOutbox
+};
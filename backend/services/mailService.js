@@ -0,0 +1,137 @@
+// backend/services/mailService.js
+
+'use strict';
+
+const consoleTransport = require('./mail/consoleTransport');
+const fileTransport = require('./mail/fileTransport');
+const { MAIL } = require('../utils/constants');
+
+// ---------- Transport registry ----------
+const transports = new Map([
+  [consoleTransport.name, consoleTransport],
+  [fileTransport.name, fileTransport]
+]);
+
+/**
+ * Register a provider implementing the interface documented in mail/consoleTransport.js.
+ */
+function registerTransport(transport) {
+  if (!transport?.name) throw new Error('Mail transport must have a name');
+  if (typeof transport.send !== 'function') throw new Error(`Mail transport ${transport.name} is missing send()`);
+  transports.set(transport.name, transport);
+  return transport;
+}
+
+// Console and file transports keep mail (and its single-use links) on this
+// machine instead of delivering it, so production refuses them
+const LOCAL_TRANSPORTS = new Set([consoleTransport.name, fileTransport.name]);
+
+function isProduction() {
+  return process.env.NODE_ENV === 'production';
+}
+
+function getTransport(name) {
+  const key = name || MAIL.TRANSPORT;
+  const transport = transports.get(key);
+  if (!transport) throw new Error(`Unknown mail transport: ${key}`);
+  if (isProduction() && LOCAL_TRANSPORTS.has(transport.name)) {
+    throw new Error(`Mail transport ${key} is for local use only; set MAIL_TRANSPORT to a registered provider`);
+  }
+  return transport;
+}
+
+/**
+ * Startup check: says so when production has no deliverable transport
+ * (every send would fail) instead of refusing to start.
+ */
+function assertConfigured() {
+  try {
+    getTransport();
+    return true;
+  } catch (err) {
+    console.warn(`⚠️ Mail disabled: ${err.message}`);
+    return false;
+  }
+}
+
+// ---------- Sending ----------
+async function sendMail({ to, subject, text, html, tag }) {
+  if (!to || !subject || !text) throw new Error('sendMail requires to, subject and text');
+  return getTransport().send({ from: MAIL.FROM, to, subject, text, html, tag });
+}
+
+// ---------- Templates ----------
+function appLink(pathname, token) {
+  const url = new URL(pathname, MAIL.APP_URL);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+function sendVerificationEmail(user, token, { expiresInHours }) {
+  const link = appLink('/verify-email', token);
+  return sendMail({
+    to: user.email,
+    tag: 'email_verification',
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'Confirm your email address to finish setting up your account:',
+      link,
+      '',
+      `This link expires in ${expiresInHours} hours. If you did not sign up, ignore this email.`
+    ].join('\n')
+  });
+}
+
+function sendPasswordResetEmail(user, token, { expiresInMinutes }) {
+  const link = appLink('/reset-password', token);
+  return sendMail({
+    to: user.email,
+    tag: 'password_reset',
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'We received a request to reset your password. Choose a new one here:',
+      link,
+      '',
+      `This link expires in ${expiresInMinutes} minutes and works once. If you did not ask for it, ignore this email.`
+    ].join('\n')
+  });
+}
+
+function sendGroupInviteEmail(invite, token, { groupName, inviterName, expiresInHours }) {
+  const link = appLink('/planning/invites/accept', token);
+  return sendMail({
+    to: invite.inviteeEmail,
+    tag: 'group_invite',
+    subject: `You're invited to join ${groupName || 'a trip'}`,
+    text: [
+      'Hi there,',
+      '',
+      `${inviterName || 'A fellow traveller'} invited you to plan ${groupName || 'a trip'} together.`,
+      ...(invite.message ? ['', invite.message] : []),
+      '',
+      'Sign in with this email address and accept the invite here:',
+      link,
+      '',
+      `This link expires in ${expiresInHours} hours. If you were not expecting it, ignore this email.`
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  // transports
+  registerTransport,
+  getTransport,
+  assertConfigured,
+
+  // sending
+  sendMail,
+
+  // templates
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendGroupInviteEmail
+};
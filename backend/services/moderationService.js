@@ -0,0 +1,383 @@
+// backend/services/moderationService.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+const ModerationCase = require('../models/ModerationCase');
+const Place = require('../models/place');
+const Post = require('../models/social/Post');
+const Comment = require('../models/social/Comment');
+const Review = require('../models/review');
+const searchService = require('./searchService');
+const { ApiError } = require('../utils/ApiError');
+const { MODERATION, PAGINATION } = require('../utils/constants');
+
+const EARTH_RADIUS_M = 6378137;
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function coerceInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+function clip(s, n) {
+  const t = String(s || '').replace(/\s+/g, ' ').trim();
+  return t.length > n ? `${t.slice(0, n - 1)}…` : t;
+}
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ---------- Content adapters ----------
+/**
+ * Per-type glue: which model holds the content, who wrote it, what text to
+ * scan, which fields an author edit must be reviewed for, whether it is
+ * visible, and how a decision maps onto its own fields.
+ * Posts and comments publish immediately unless flagged; places and reviews
+ * wait for a moderator. `searchable` content is in the search index, which is
+ * rebuilt whenever its visibility changes.
+ */
+const ADAPTERS = {
+  place: {
+    model: Place,
+    autoPublish: false,
+    searchable: true,
+    moderatedFields: ['name', 'description', 'history', 'coverImage', 'gallery', 'location'],
+    authorOf: (d) => d.createdBy,
+    titleOf: (d) => d.name,
+    textOf: (d) => [d.name, d.description, d.history],
+    isPublished: (d) => d.isApproved === true,
+    visibility: (status, { actorId, reason }) => ({
+      ...(status === 'approved'
+        ? { isApproved: true, approvedAt: new Date(), approvedBy: actorId }
+        : { isApproved: false, approvedAt: null, approvedBy: null }),
+      ...(reason ? { moderationNotes: reason } : {})
+    })
+  },
+  post: {
+    model: Post,
+    autoPublish: true,
+    moderatedFields: ['caption', 'tags', 'media'],
+    authorOf: (d) => d.authorId,
+    titleOf: (d) => `${d.kind || 'social'} post`,
+    textOf: (d) => [d.caption, ...(d.tags || [])],
+    isPublished: (d) => d.isApproved !== false,
+    visibility: (status) => ({ isApproved: status === 'approved' })
+  },
+  comment: {
+    model: Comment,
+    autoPublish: true,
+    moderatedFields: ['text'],
+    authorOf: (d) => d.authorId,
+    titleOf: () => 'Comment',
+    textOf: (d) => [d.text],
+    isPublished: (d) => d.isApproved !== false,
+    visibility: (status) => ({ isApproved: status === 'approved' })
+  },
+  review: {
+    model: Review,
+    autoPublish: false,
+    moderatedFields: ['title', 'content', 'comment', 'photos'],
+    authorOf: (d) => d.userId,
+    titleOf: (d) => d.title || 'Review',
+    textOf: (d) => [d.title, d.content, d.comment],
+    isPublished: (d) => d.status === 'approved',
+    visibility: (status) => ({ status })
+  }
+};
+
+function adapterFor(contentType) {
+  const adapter = ADAPTERS[contentType];
+  if (!adapter) throw ApiError.badRequest(`contentType must be one of: ${MODERATION.CONTENT_TYPES.join(', ')}`);
+  return adapter;
+}
+
+// ---------- Automatic flags ----------
+const bannedPattern = MODERATION.BANNED_WORDS.length
+  ? new RegExp(`\\b(${MODERATION.BANNED_WORDS.map(escapeRegExp).join('|')})\\b`, 'gi')
+  : null;
+
+function bannedWordsFlag(texts) {
+  if (!bannedPattern) return null;
+  const found = new Set();
+  for (const t of texts) {
+    for (const m of String(t || '').matchAll(bannedPattern)) found.add(m[1].toLowerCase());
+  }
+  if (!found.size) return null;
+  return { code: 'banned_words', message: `Contains banned words: ${[...found].join(', ')}`, details: { words: [...found] } };
+}
+
+async function duplicateCoordinatesFlag(place) {
+  const coords = place.location?.coordinates;
+  if (!Array.isArray(coords) || coords.length !== 2) return null;
+  const nearby = await Place.find({
+    _id: { $ne: place._id },
+    isActive: { $ne: false },
+    location: {
+      $geoWithin: { $centerSphere: [coords, MODERATION.DUPLICATE_RADIUS_M / EARTH_RADIUS_M] }
+    }
+  })
+    .select({ name: 1 })
+    .limit(5)
+    .lean();
+  if (!nearby.length) return null;
+  return {
+    code: 'duplicate_coordinates',
+    message: `Within ${MODERATION.DUPLICATE_RADIUS_M} m of ${nearby.map((p) => p.name).join(', ')}`,
+    details: { placeIds: nearby.map((p) => p._id) }
+  };
+}
+
+function missingMediaFlag(contentType, doc) {
+  if (contentType === 'place') {
+    const photos = (doc.coverImage ? 1 : 0) + (doc.gallery || []).filter(Boolean).length;
+    if (photos >= MODERATION.MIN_PLACE_PHOTOS) return null;
+    return {
+      code: 'missing_media',
+      message: `Has ${photos} photo(s); at least ${MODERATION.MIN_PLACE_PHOTOS} expected`,
+      details: { photos }
+    };
+  }
+  if (contentType === 'post') {
+    const media = doc.media || [];
+    const broken = media.filter((m) => !m || !m.url).length;
+    if (media.length && !broken) return null;
+    return { code: 'missing_media', message: 'Post has missing media', details: { items: media.length, broken } };
+  }
+  return null;
+}
+
+/**
+ * Evaluate the automatic checks for one content document.
+ */
+async function scan(contentType, doc) {
+  const adapter = adapterFor(contentType);
+  const flags = [
+    bannedWordsFlag(adapter.textOf(doc)),
+    contentType === 'place' ? await duplicateCoordinatesFlag(doc) : null,
+    missingMediaFlag(contentType, doc)
+  ];
+  return flags.filter(Boolean);
+}
+
+// ---------- Intake ----------
+/**
+ * Run after content is created or edited by its author. Opens (or refreshes)
+ * the moderation case and hides auto-published content that got flagged.
+ * Clean content that is already visible needs no case. An edit answers a
+ * "request changes" decision and puts the item back in the queue.
+ * `changed` lists the fields an edit touched: for content that waits for a
+ * moderator, changing a moderated field sends it back for review even when
+ * it was approved; auto-published content is screened again.
+ * Returns the case (or null) and whether the content is visible.
+ */
+async function submit(contentType, doc, { changed = [] } = {}) {
+  const adapter = adapterFor(contentType);
+  const flags = await scan(contentType, doc);
+  const codes = flags.map((f) => f.code);
+  const needsReview = !adapter.autoPublish && changed.some((f) => adapter.moderatedFields.includes(f));
+  const preview = { title: clip(adapter.titleOf(doc), 200), excerpt: clip(adapter.textOf(doc).filter(Boolean).join(' — '), 500) };
+  const existing = await ModerationCase.findOne({ contentType, contentId: doc._id }).lean();
+
+  let status;
+  let action;
+  if (!existing) {
+    const held = (adapter.autoPublish && codes.length > 0) || needsReview;
+    status = adapter.isPublished(doc) && !held ? 'approved' : 'pending';
+    if (status === 'approved' && !codes.length) return { case: null, published: true };
+    action = 'submitted';
+  } else {
+    const newCodes = codes.filter((c) => !existing.flags.some((f) => f.code === c));
+    const reopen =
+      existing.status === 'changes_requested' || (existing.status === 'approved' && (newCodes.length > 0 || needsReview));
+    status = reopen ? 'pending' : existing.status;
+    action = reopen ? 'resubmitted' : null;
+  }
+
+  if (status !== 'approved' && adapter.isPublished(doc)) {
+    await adapter.model.updateOne({ _id: doc._id }, { $set: adapter.visibility('pending', {}) });
+    if (adapter.searchable) searchService.invalidate();
+  }
+
+  const update = {
+    $set: { authorId: adapter.authorOf(doc), ...preview, status, flags, flagCount: flags.length }
+  };
+  if (action) {
+    update.$push = { history: { action, fromStatus: existing?.status, toStatus: status, flags: codes, at: new Date() } };
+  }
+  const kase = await ModerationCase.findOneAndUpdate({ contentType, contentId: doc._id }, update, {
+    new: true,
+    upsert: true,
+    setDefaultsOnInsert: true
+  }).lean();
+  return { case: kase, published: status === 'approved' };
+}
+
+// ---------- Decisions ----------
+/**
+ * Apply a moderator decision ('approve' | 'reject' | 'request_changes') to
+ * one item. Rejections and change requests need a reason. Content that was
+ * never queued gets a case on the spot, so anything can be taken down.
+ * Returns { case, content } or null when the content does not exist.
+ */
+async function decide(contentType, contentId, { decision, reason, actorId }) {
+  const adapter = adapterFor(contentType);
+  const toStatus = MODERATION.DECISIONS[decision];
+  if (!toStatus) {
+    throw ApiError.badRequest(`decision must be one of: ${Object.keys(MODERATION.DECISIONS).join(', ')}`);
+  }
+  const note = reason ? String(reason).trim() : undefined;
+  if (decision !== 'approve' && !note) throw ApiError.badRequest('A reason is required to reject or request changes');
+  if (!isObjectId(contentId)) return null;
+
+  const content = await adapter.model.findById(contentId).lean();
+  if (!content) return null;
+
+  let existing = await ModerationCase.findOne({ contentType, contentId }).lean();
+  if (!existing) {
+    const flags = await scan(contentType, content);
+    existing = {
+      status: adapter.isPublished(content) ? 'approved' : 'pending',
+      flags,
+      flagCount: flags.length,
+      authorId: adapter.authorOf(content),
+      title: clip(adapter.titleOf(content), 200),
+      excerpt: clip(adapter.textOf(content).filter(Boolean).join(' — '), 500)
+    };
+  }
+
+  const updatedContent = await adapter.model
+    .findByIdAndUpdate(contentId, { $set: adapter.visibility(toStatus, { actorId, reason: note }) }, { new: true })
+    .lean();
+  if (adapter.searchable) searchService.invalidate();
+
+  const now = new Date();
+  const kase = await ModerationCase.findOneAndUpdate(
+    { contentType, contentId },
+    {
+      $set: {
+        authorId: existing.authorId,
+        title: existing.title,
+        excerpt: existing.excerpt,
+        flags: existing.flags,
+        flagCount: existing.flagCount,
+        status: toStatus,
+        decidedBy: actorId,
+        decidedAt: now
+      },
+      $push: {
+        history: {
+          action: decision,
+          fromStatus: existing.status,
+          toStatus,
+          reason: note,
+          actorId,
+          flags: existing.flags.map((f) => f.code),
+          at: now
+        }
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  return { case: kase, content: updatedContent };
+}
+
+/**
+ * Same decision for many items; each succeeds or fails on its own.
+ */
+async function bulkDecide(items, { decision, reason, actorId }) {
+  if (!Array.isArray(items) || !items.length) throw ApiError.badRequest('items must be a non-empty array');
+  if (items.length > MODERATION.BULK_MAX) throw ApiError.badRequest(`At most ${MODERATION.BULK_MAX} items per request`);
+  if (!MODERATION.DECISIONS[decision]) {
+    throw ApiError.badRequest(`decision must be one of: ${Object.keys(MODERATION.DECISIONS).join(', ')}`);
+  }
+  if (decision !== 'approve' && !(reason && String(reason).trim())) {
+    throw ApiError.badRequest('A reason is required to reject or request changes');
+  }
+
+  const seen = new Set();
+  const results = [];
+  for (const item of items) {
+    const contentType = item && item.contentType;
+    const contentId = item && String(item.contentId);
+    const key = `${contentType}:${contentId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    try {
+      const result = await decide(contentType, contentId, { decision, reason, actorId });
+      results.push(
+        result
+          ? { contentType, contentId, ok: true, status: result.case.status }
+          : { contentType, contentId, ok: false, error: 'Content not found' }
+      );
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+      results.push({ contentType, contentId, ok: false, error: err.message });
+    }
+  }
+  return {
+    decision,
+    succeeded: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok).length,
+    results
+  };
+}
+
+// ---------- Queue / history ----------
+async function listQueue({ contentType, status = 'pending', flag, authorId, page = 1, limit = PAGINATION.DEFAULT_LIMIT } = {}) {
+  const p = coerceInt(page, 1);
+  const l = Math.min(coerceInt(limit, PAGINATION.DEFAULT_LIMIT), PAGINATION.MAX_LIMIT);
+
+  const filter = {};
+  if (status && status !== 'all') filter.status = status;
+  if (contentType) filter.contentType = contentType;
+  if (flag === 'any') filter.flagCount = { $gt: 0 };
+  else if (flag) filter['flags.code'] = flag;
+  if (authorId && isObjectId(authorId)) filter.authorId = authorId;
+
+  const [items, total] = await Promise.all([
+    ModerationCase.find(filter)
+      .select({ history: 0 })
+      .sort({ flagCount: -1, createdAt: 1 })
+      .skip((p - 1) * l)
+      .limit(l)
+      .populate('authorId', 'name email role')
+      .lean(),
+    ModerationCase.countDocuments(filter)
+  ]);
+  return { items, total, page: p, limit: l };
+}
+
+/**
+ * The case (with full history) and the current content. The case is null
+ * for content that was never queued or decided.
+ */
+async function getCase(contentType, contentId) {
+  const adapter = adapterFor(contentType);
+  if (!isObjectId(contentId)) return null;
+  const content = await adapter.model.findById(contentId).lean();
+  if (!content) return null;
+  const kase = await ModerationCase.findOne({ contentType, contentId })
+    .populate('history.actorId', 'name email')
+    .lean();
+  return { case: kase, content };
+}
+
+module.exports = {
+  // flags
+  scan,
+
+  // intake
+  submit,
+
+  // decisions
+  decide,
+  bulkDecide,
+
+  // queue / history
+  listQueue,
+  getCase
+};
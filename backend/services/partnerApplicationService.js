@@ -0,0 +1,190 @@
+// backend/services/partnerApplicationService.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+const PartnerApplication = require('../models/PartnerApplication');
+const User = require('../models/user');
+const roleService = require('./roleService');
+const { ApiError } = require('../utils/ApiError');
+const { ROLES, PARTNER, PAGINATION } = require('../utils/constants');
+
+// Fields an applicant may set; review fields are admin-only
+const APPLICANT_FIELDS = [
+  'businessName',
+  'businessType',
+  'registrationNumber',
+  'taxId',
+  'website',
+  'description',
+  'contact',
+  'address',
+  'documents'
+];
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function coerceInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+function pick(obj, keys) {
+  const out = {};
+  for (const k of keys) if (obj[k] !== undefined) out[k] = obj[k];
+  return out;
+}
+
+function normalizeDocuments(documents) {
+  if (documents === undefined) return undefined;
+  if (!Array.isArray(documents)) throw ApiError.badRequest('documents must be an array');
+  if (documents.length > PARTNER.MAX_DOCUMENTS) {
+    throw ApiError.badRequest(`At most ${PARTNER.MAX_DOCUMENTS} documents are allowed`);
+  }
+  return documents.map((d, i) => {
+    if (!d || !PARTNER.DOCUMENT_KINDS.includes(d.kind)) {
+      throw ApiError.badRequest(`documents[${i}].kind must be one of: ${PARTNER.DOCUMENT_KINDS.join(', ')}`);
+    }
+    if (typeof d.url !== 'string' || !/^https:\/\//i.test(d.url.trim())) {
+      throw ApiError.badRequest(`documents[${i}].url must be an https URL`);
+    }
+    return { kind: d.kind, url: d.url.trim(), name: d.name };
+  });
+}
+
+// ---------- Applicant ----------
+/**
+ * Open a partner application. Only plain users may apply, and only one
+ * application can be pending at a time.
+ */
+async function submitApplication(user, payload = {}) {
+  if (user.role !== ROLES.USER) {
+    throw ApiError.conflict(`Your account already has the ${user.role} role`);
+  }
+  const doc = pick(payload, APPLICANT_FIELDS);
+  doc.documents = normalizeDocuments(doc.documents);
+
+  try {
+    const created = await PartnerApplication.create({ ...doc, userId: user._id, status: 'pending' });
+    return created.toObject();
+  } catch (err) {
+    if (err && err.code === 11000) throw ApiError.conflict('You already have a pending partner application');
+    if (err && err.name === 'ValidationError') {
+      throw ApiError.badRequest('Invalid partner application', Object.values(err.errors).map((e) => e.message));
+    }
+    throw err;
+  }
+}
+
+async function listMyApplications(userId) {
+  return PartnerApplication.find({ userId }).sort({ createdAt: -1 }).lean();
+}
+
+async function withdrawApplication(applicationId, userId) {
+  if (!isObjectId(applicationId)) return null;
+  const app = await PartnerApplication.findOne({ _id: applicationId, userId }).lean();
+  if (!app) return null;
+  if (app.status !== 'pending') throw ApiError.conflict(`Application is already ${app.status}`);
+
+  return PartnerApplication.findOneAndUpdate(
+    { _id: applicationId, status: 'pending' },
+    { $set: { status: 'withdrawn' } },
+    { new: true }
+  ).lean();
+}
+
+// ---------- Admin review ----------
+async function listApplications({ status, page = 1, limit = PAGINATION.DEFAULT_LIMIT } = {}) {
+  const p = coerceInt(page, 1);
+  const l = Math.min(coerceInt(limit, PAGINATION.DEFAULT_LIMIT), PAGINATION.MAX_LIMIT);
+  const filter = status ? { status } : {};
+
+  const [items, total] = await Promise.all([
+    PartnerApplication.find(filter)
+      .sort({ createdAt: 1 }) // oldest first: review queue order
+      .skip((p - 1) * l)
+      .limit(l)
+      .populate('userId', 'name email phone role isVerified')
+      .lean(),
+    PartnerApplication.countDocuments(filter)
+  ]);
+  return { items, total, page: p, limit: l };
+}
+
+/**
+ * Owners see their own applications; admins see any. Null when missing or
+ * not visible to the viewer.
+ */
+async function getApplication(applicationId, viewer) {
+  if (!isObjectId(applicationId)) return null;
+  const app = await PartnerApplication.findById(applicationId)
+    .populate('userId', 'name email phone role isVerified')
+    .populate('reviewedBy', 'name email')
+    .lean();
+  if (!app) return null;
+  const ownerId = app.userId?._id || app.userId;
+  if (viewer.role !== ROLES.ADMIN && String(ownerId) !== String(viewer._id)) return null;
+  return app;
+}
+
+/**
+ * Approve or reject a pending application. Approval elevates the applicant
+ * to partner (recorded in the role history); accounts that have meanwhile
+ * gained a higher role keep it.
+ */
+async function reviewApplication(applicationId, { decision, note, actorId }) {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw ApiError.badRequest("decision must be 'approve' or 'reject'");
+  }
+  if (!isObjectId(applicationId)) return null;
+  const app = await PartnerApplication.findById(applicationId).lean();
+  if (!app) return null;
+  if (app.status !== 'pending') throw ApiError.conflict(`Application is already ${app.status}`);
+
+  let applicant = null;
+  if (decision === 'approve') {
+    applicant = await User.findById(app.userId).select('role isActive');
+    if (!applicant) throw ApiError.conflict('Applicant account no longer exists');
+    if (applicant.isActive === false) throw ApiError.conflict('Applicant account is deactivated');
+  }
+
+  const reviewed = await PartnerApplication.findOneAndUpdate(
+    { _id: applicationId, status: 'pending' },
+    {
+      $set: {
+        status: decision === 'approve' ? 'approved' : 'rejected',
+        reviewedBy: actorId,
+        reviewedAt: new Date(),
+        reviewNote: note
+      }
+    },
+    { new: true }
+  ).lean();
+  if (!reviewed) throw ApiError.conflict('Application was reviewed concurrently');
+
+  let roleChange = null;
+  if (applicant && applicant.role === ROLES.USER) {
+    const result = await roleService.changeRole(app.userId, ROLES.PARTNER, {
+      actorId,
+      reason: note || `Partner application approved: ${app.businessName}`,
+      source: 'partner_application',
+      applicationId: app._id
+    });
+    roleChange = result && result.change;
+  }
+
+  return { application: reviewed, roleChange };
+}
+
+module.exports = {
+  // applicant
+  submitApplication,
+  listMyApplications,
+  withdrawApplication,
+
+  // admin review
+  listApplications,
+  getApplication,
+  reviewApplication
+};
@@ -0,0 +1,452 @@
+// backend/services/paymentService.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const bookingLedger = require('./bookingLedgerService');
+const sandboxProvider = require('./payments/sandboxProvider');
+const { ApiError } = require('../utils/ApiError');
+
+// ---------- Provider registry ----------
+const providers = new Map();
+
+// The in-process sandbox settles charges without money moving, so it is only
+// available when explicitly switched on outside production
+function sandboxEnabled() {
+  return process.env.PAYMENT_SANDBOX_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Register a gateway implementing the interface documented in payments/sandboxProvider.js.
+ */
+function registerProvider(provider) {
+  if (!provider?.name) throw new Error('Payment provider must have a name');
+  for (const fn of ['authorize', 'capture', 'refund', 'verifyWebhook']) {
+    if (typeof provider[fn] !== 'function') throw new Error(`Payment provider ${provider.name} is missing ${fn}()`);
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * Whether the server-configured PAYMENT_PROVIDER is registered and can take charges.
+ */
+function isAvailable() {
+  const key = process.env.PAYMENT_PROVIDER;
+  return !!key && providers.has(key);
+}
+
+/**
+ * Guard for payment-backed requests: 503 while no gateway is configured, so
+ * nothing is booked that could not be paid for.
+ */
+function assertAvailable() {
+  if (!isAvailable()) throw ApiError.unavailable('Payments are not available right now');
+}
+
+/**
+ * Registered gateway by name; without a name, the server-configured
+ * PAYMENT_PROVIDER that new charges go through. Clients never pick it.
+ */
+function getProvider(name) {
+  if (!name) {
+    assertAvailable();
+    return providers.get(process.env.PAYMENT_PROVIDER);
+  }
+  const provider = providers.get(name);
+  if (!provider) throw ApiError.badRequest(`Unknown payment provider: ${name}`);
+  return provider;
+}
+
+/**
+ * Startup check. The server runs without a gateway (payments answer 503)
+ * and says so; a configured sandbox must have its webhook secret, or the
+ * server refuses to start.
+ */
+function assertConfigured() {
+  const key = process.env.PAYMENT_PROVIDER;
+  if (!isAvailable()) {
+    const why = !key
+      ? 'PAYMENT_PROVIDER is not set'
+      : key === sandboxProvider.name
+        ? 'the sandbox needs PAYMENT_SANDBOX_ENABLED=true and is not available in production'
+        : `${key} is not a registered payment provider`;
+    console.warn(`⚠️ Payments disabled: ${why}`);
+    return false;
+  }
+  if (key === sandboxProvider.name) sandboxProvider.assertConfigured();
+  return true;
+}
+
+if (sandboxEnabled()) registerProvider(sandboxProvider);
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+
+/**
+ * Record a refund the provider has made. The balance is raised with $inc,
+ * guarded so the total can never pass the captured amount and a refund
+ * (by key or provider id) is never counted twice. Returns null when the
+ * guard fails.
+ */
+async function recordRefund(payment, refund) {
+  const seen = [{ 'refunds.refundId': { $ne: refund.refundId } }];
+  if (refund.idempotencyKey) seen.push({ 'refunds.idempotencyKey': { $ne: refund.idempotencyKey } });
+  const updated = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ['captured', 'partially_refunded'] },
+      amountRefunded: { $lte: payment.amountCaptured - refund.amount },
+      $and: seen
+    },
+    { $inc: { amountRefunded: refund.amount }, $push: { refunds: refund } },
+    { new: true }
+  ).lean();
+  if (!updated) return null;
+
+  // amountRefunded only grows, so status can only move forward
+  const status = updated.amountRefunded >= updated.amountCaptured ? 'refunded' : 'partially_refunded';
+  if (status === 'refunded') {
+    await Payment.updateOne({ _id: updated._id }, { $set: { status } });
+  } else {
+    await Payment.updateOne({ _id: updated._id, status: 'captured' }, { $set: { status } });
+  }
+  return Payment.findById(updated._id).lean();
+}
+function sameSubject(payment, { bookingId, rideId }) {
+  if (bookingId && String(payment.bookingId) !== String(bookingId)) return false;
+  if (rideId && String(payment.rideId) !== String(rideId)) return false;
+  return true;
+}
+
+/**
+ * Claim an idempotency key by inserting the pending payment. A retry (or a
+ * concurrent duplicate) gets the existing document back instead of charging twice.
+ */
+async function claimKey(doc) {
+  try {
+    const created = await Payment.create(doc);
+    return { payment: created.toObject(), replay: false };
+  } catch (err) {
+    if (err && err.code === 11000) {
+      const existing = await Payment.findOne({ idempotencyKey: doc.idempotencyKey }).lean();
+      if (existing) return { payment: existing, replay: true };
+    }
+    throw err;
+  }
+}
+
+// ---------- Charges ----------
+/**
+ * Authorize (and by default capture) a charge.
+ * - idempotencyKey: required; same key + same subject returns the original payment
+ * - bookingId / rideId: what the charge pays for
+ */
+async function charge({
+  idempotencyKey,
+  method,
+  amount,
+  currency,
+  userId,
+  bookingId,
+  rideId,
+  capture = true
+}) {
+  if (!idempotencyKey) throw ApiError.badRequest('Idempotency key is required for charges');
+  if (!Number.isFinite(Number(amount)) || Number(amount) < 0) throw ApiError.badRequest('amount must be a non-negative number');
+  if (!currency) throw ApiError.badRequest('currency is required');
+  const provider = getProvider();
+
+  const { payment, replay } = await claimKey({
+    idempotencyKey: String(idempotencyKey),
+    provider: provider.name,
+    method,
+    userId: userId && isObjectId(userId) ? userId : undefined,
+    bookingId: bookingId && isObjectId(bookingId) ? bookingId : undefined,
+    rideId: rideId && isObjectId(rideId) ? rideId : undefined,
+    amount: Number(amount),
+    currency: String(currency).toUpperCase(),
+    status: 'pending'
+  });
+  if (replay) {
+    if (!sameSubject(payment, { bookingId, rideId }) || payment.amount !== Number(amount)) {
+      throw ApiError.conflict('Idempotency key was already used for a different charge', { idempotencyKey });
+    }
+    return payment;
+  }
+
+  const auth = await provider.authorize({
+    amount: payment.amount,
+    currency: payment.currency,
+    method,
+    idempotencyKey: `${payment.idempotencyKey}:authorize`,
+    metadata: { paymentId: String(payment._id), bookingId: bookingId || null, rideId: rideId || null }
+  });
+  if (auth.status !== 'authorized') {
+    return Payment.findByIdAndUpdate(
+      payment._id,
+      { $set: { status: 'failed', providerRef: auth.providerRef, failureReason: auth.failureReason || 'declined' } },
+      { new: true }
+    ).lean();
+  }
+
+  const authorized = await Payment.findByIdAndUpdate(
+    payment._id,
+    { $set: { status: 'authorized', providerRef: auth.providerRef, authorizedAt: new Date() } },
+    { new: true }
+  ).lean();
+  return capture ? capturePayment(authorized._id) : authorized;
+}
+
+/**
+ * Capture an authorized payment; confirms the linked booking.
+ */
+async function capturePayment(paymentId, { amount, actorId } = {}) {
+  if (!isObjectId(paymentId)) return null;
+  const payment = await Payment.findById(paymentId).lean();
+  if (!payment) return null;
+  if (payment.status === 'captured') return payment;
+  if (payment.status !== 'authorized') {
+    throw ApiError.conflict(`Cannot capture a ${payment.status} payment`, { status: payment.status });
+  }
+
+  const provider = getProvider(payment.provider);
+  const res = await provider.capture({
+    providerRef: payment.providerRef,
+    amount: amount ?? payment.amount,
+    idempotencyKey: `${payment.idempotencyKey}:capture`
+  });
+  if (res.status !== 'captured') {
+    return Payment.findByIdAndUpdate(
+      payment._id,
+      { $set: { status: 'failed', failureReason: res.failureReason || 'capture_failed' } },
+      { new: true }
+    ).lean();
+  }
+
+  const captured = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'authorized' },
+    { $set: { status: 'captured', amountCaptured: res.amountCaptured, capturedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!captured) return Payment.findById(payment._id).lean(); // captured concurrently (e.g., webhook)
+
+  if (captured.bookingId) await confirmBooking(captured, actorId);
+  return captured;
+}
+
+async function confirmBooking(payment, actorId) {
+  try {
+    await bookingLedger.confirm(payment.bookingId, {
+      actorId,
+      payment: {
+        method: payment.method,
+        provider: payment.provider,
+        txnRef: payment.providerRef,
+        amount: payment.amountCaptured,
+        currency: payment.currency,
+        capturedAt: payment.capturedAt
+      }
+    });
+  } catch (err) {
+    // Already confirmed (replayed webhook) is fine; anything else must surface
+    if (!(err instanceof ApiError) || err.status !== 409) throw err;
+    if (err.details?.from === 'cancelled') {
+      // Hold lapsed while the traveller was paying: give the money back
+      await refundPayment(payment._id, { reason: 'booking_cancelled', idempotencyKey: 'auto:booking_cancelled', actorId });
+    }
+  }
+}
+
+/**
+ * Refund all or part of a captured payment. When fully refunded and the
+ * booking is already cancelled, the booking moves to 'refunded'.
+ */
+async function refundPayment(paymentId, { amount, reason, idempotencyKey, actorId } = {}) {
+  if (!isObjectId(paymentId)) return null;
+  if (!idempotencyKey) throw ApiError.badRequest('Idempotency key is required for refunds');
+  const payment = await Payment.findById(paymentId).lean();
+  if (!payment) return null;
+
+  const existing = (payment.refunds || []).find((r) => r.idempotencyKey === String(idempotencyKey));
+  if (existing) return payment;
+
+  if (!['captured', 'partially_refunded'].includes(payment.status)) {
+    throw ApiError.conflict(`Cannot refund a ${payment.status} payment`, { status: payment.status });
+  }
+  const refundable = payment.amountCaptured - payment.amountRefunded;
+  const value = amount == null ? refundable : Number(amount);
+  if (!Number.isFinite(value) || value <= 0 || value > refundable) {
+    throw ApiError.badRequest('Refund amount exceeds the refundable balance', { refundable });
+  }
+
+  const provider = getProvider(payment.provider);
+  const res = await provider.refund({
+    providerRef: payment.providerRef,
+    amount: value,
+    reason,
+    idempotencyKey: `${payment.idempotencyKey}:refund:${idempotencyKey}`
+  });
+  if (res.status !== 'succeeded') {
+    throw ApiError.unprocessable('Refund was rejected by the payment provider', { reason: res.failureReason });
+  }
+
+  const updated = await recordRefund(payment, {
+    refundId: res.refundId,
+    amount: res.amount,
+    reason,
+    idempotencyKey: String(idempotencyKey)
+  });
+  if (!updated) {
+    // Already recorded (a retry, or the provider's webhook got here first) is fine;
+    // a concurrent refund that used up the balance is not
+    const current = await Payment.findById(payment._id).lean();
+    const recorded = (current?.refunds || []).some((r) => r.refundId === res.refundId || r.idempotencyKey === String(idempotencyKey));
+    if (recorded) return current;
+    throw ApiError.conflict('Refund amount exceeds the refundable balance', {
+      refundable: current ? current.amountCaptured - current.amountRefunded : 0
+    });
+  }
+
+  if (updated.status === 'refunded' && updated.bookingId) {
+    const booking = await bookingLedger.getById(updated.bookingId);
+    if (booking?.status === 'cancelled') {
+      await bookingLedger.refund(updated.bookingId, { actorId, reason: reason || 'refunded', meta: { paymentId: String(updated._id) } });
+    }
+  }
+  return updated;
+}
+
+/**
+ * Default idempotency key for a charge attempt on a subject. Declined attempts
+ * keep their key; the next attempt gets a fresh one, while retries of one
+ * attempt reuse it and never charge twice.
+ */
+async function attemptKey(prefix, subject) {
+  const failed = await Payment.countDocuments({ ...subject, status: 'failed' });
+  return `${prefix}:attempt:${failed + 1}`;
+}
+
+// ---------- Bookings ----------
+/**
+ * Charge a ledger booking for its full price. Without a caller key, the key is
+ * derived from the booking and attempt number, so retries of one attempt never
+ * charge twice while a declined card can still be retried.
+ */
+async function payForBooking(booking, { method, idempotencyKey, userId } = {}) {
+  if (!booking) return null;
+  if (!['held', 'pending_payment', 'pending'].includes(booking.status)) {
+    throw ApiError.conflict(`Booking is ${booking.status}; nothing to pay`, { status: booking.status });
+  }
+  if (booking.status !== 'pending_payment') {
+    await bookingLedger.submitForPayment(booking._id, {
+      actorId: userId,
+      payment: { method, provider: getProvider().name, amount: booking.price, currency: booking.currency }
+    });
+  }
+
+  const payment = await charge({
+    idempotencyKey: idempotencyKey || await attemptKey(`booking:${booking._id}`, { bookingId: booking._id }),
+    method,
+    amount: booking.price,
+    currency: booking.currency,
+    userId: userId || booking.userId,
+    bookingId: booking._id
+  });
+  const updated = await bookingLedger.getById(booking._id);
+  return {
+    ...updated,
+    lastPayment: { id: String(payment._id), status: payment.status, failureReason: payment.failureReason || null }
+  };
+}
+
+/**
+ * The booking's captured (and not fully refunded) payment, if any.
+ */
+async function findCapturedForBooking(bookingId) {
+  if (!isObjectId(bookingId)) return null;
+  return Payment.findOne({ bookingId, status: { $in: ['captured', 'partially_refunded'] } })
+    .sort({ capturedAt: -1 })
+    .lean();
+}
+
+async function getPayment(paymentId, { userId } = {}) {
+  if (!isObjectId(paymentId)) return null;
+  const match = { _id: paymentId };
+  if (userId) match.userId = userId;
+  return Payment.findOne(match).lean();
+}
+
+// ---------- Webhooks ----------
+/**
+ * Apply a signed provider event. Supported types:
+ * payment.captured, payment.failed, refund.succeeded (data.providerRef identifies the charge).
+ * Redelivered events (same id) are acknowledged without reprocessing.
+ */
+async function handleWebhook(providerName, { rawBody, headers }) {
+  const provider = getProvider(providerName);
+  let event;
+  try {
+    event = await provider.verifyWebhook({ rawBody, headers });
+  } catch (err) {
+    throw ApiError.unauthorized('Invalid webhook signature', { reason: err.code || err.message });
+  }
+
+  const providerRef = event.data?.providerRef;
+  const payment = providerRef ? await Payment.findOne({ provider: provider.name, providerRef }).lean() : null;
+  if (!payment) return { ok: true, ignored: true, eventId: event.id };
+  if ((payment.events || []).some((e) => e.eventId === event.id)) return { ok: true, duplicate: true, eventId: event.id };
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    { $push: { events: { eventId: event.id, type: event.type, data: event.data } } }
+  );
+
+  if (event.type === 'payment.captured' && payment.status === 'authorized') {
+    const captured = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'authorized' },
+      { $set: { status: 'captured', amountCaptured: event.data.amount ?? payment.amount, capturedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (captured?.bookingId) await confirmBooking(captured);
+  } else if (event.type === 'payment.failed' && ['pending', 'authorized'].includes(payment.status)) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { status: 'failed', failureReason: event.data.reason || 'failed' } }
+    );
+  } else if (event.type === 'refund.succeeded' && event.data.refundId) {
+    const amount = Number(event.data.amount) || 0;
+    if (amount > 0) {
+      // Not recorded when the API call already counted it or it would pass the captured amount
+      await recordRefund(payment, { refundId: String(event.data.refundId), amount, reason: 'provider_webhook' });
+    }
+  }
+
+  return { ok: true, eventId: event.id, type: event.type };
+}
+
+module.exports = {
+  // providers
+  registerProvider,
+  getProvider,
+  isAvailable,
+  assertAvailable,
+  assertConfigured,
+
+  // charges
+  charge,
+  attemptKey,
+  capturePayment,
+  refundPayment,
+  getPayment,
+  findCapturedForBooking,
+
+  // bookings
+  payForBooking,
+
+  // webhooks
+  handleWebhook
+};
@@ -0,0 +1,118 @@
+// backend/services/payments/sandboxProvider.js
+
+'use strict';
+
+const crypto = require('crypto');
+const webhookSignature = require('../../utils/webhookSignature');
+
+/**
+ * In-process payment provider for development and tests. Charges live in
+ * memory; nothing leaves the process. Behaviour is driven by the method:
+ * - 'sandbox_decline'  -> authorization fails (card_declined)
+ * - 'sandbox_no_refund' -> refunds fail (refund_rejected)
+ * - anything else      -> succeeds
+ * Every call honours its idempotency key like a real gateway would.
+ *
+ * Provider interface (shared with real gateways):
+ *   authorize({ amount, currency, method, idempotencyKey, metadata }) -> { providerRef, status, failureReason? }
+ *   capture({ providerRef, amount, idempotencyKey })                  -> { providerRef, status, amountCaptured }
+ *   refund({ providerRef, amount, reason, idempotencyKey })           -> { refundId, status, amount, failureReason? }
+ *   verifyWebhook({ rawBody, headers })                               -> { id, type, data }
+ */
+const NAME = 'sandbox';
+const SIGNATURE_HEADER = 'x-sandbox-signature';
+
+const charges = new Map();   // providerRef -> { amount, currency, status, captured, refunded }
+const responses = new Map(); // `${op}:${idempotencyKey}` -> previous response
+
+function secret() {
+  const value = process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET;
+  if (!value) throw new Error('PAYMENT_SANDBOX_WEBHOOK_SECRET is not set');
+  return value;
+}
+
+// Startup check; a missing secret would otherwise only surface on the first webhook
+function assertConfigured() {
+  secret();
+}
+function newRef(prefix) {
+  return `${prefix}_${crypto.randomBytes(10).toString('hex')}`;
+}
+function once(op, key, fn) {
+  if (!key) return fn();
+  const k = `${op}:${key}`;
+  if (!responses.has(k)) responses.set(k, fn());
+  return responses.get(k);
+}
+
+async function authorize({ amount, currency, method, idempotencyKey }) {
+  return once('authorize', idempotencyKey, () => {
+    const providerRef = newRef('sbx_ch');
+    if (method === 'sandbox_decline') {
+      charges.set(providerRef, { amount, currency, status: 'failed', captured: 0, refunded: 0 });
+      return { providerRef, status: 'failed', failureReason: 'card_declined' };
+    }
+    charges.set(providerRef, { amount, currency, method, status: 'authorized', captured: 0, refunded: 0 });
+    return { providerRef, status: 'authorized' };
+  });
+}
+
+async function capture({ providerRef, amount, idempotencyKey }) {
+  return once('capture', idempotencyKey, () => {
+    const ch = charges.get(providerRef);
+    if (!ch || ch.status !== 'authorized') {
+      return { providerRef, status: 'failed', failureReason: 'not_capturable' };
+    }
+    ch.captured = Math.min(amount ?? ch.amount, ch.amount);
+    ch.status = 'captured';
+    return { providerRef, status: 'captured', amountCaptured: ch.captured };
+  });
+}
+
+async function refund({ providerRef, amount, idempotencyKey }) {
+  return once('refund', idempotencyKey, () => {
+    const ch = charges.get(providerRef);
+    const refundId = newRef('sbx_rf');
+    if (!ch || ch.status !== 'captured' || ch.method === 'sandbox_no_refund') {
+      return { refundId, status: 'failed', amount: 0, failureReason: 'refund_rejected' };
+    }
+    const value = Math.min(amount ?? ch.captured - ch.refunded, ch.captured - ch.refunded);
+    ch.refunded += value;
+    return { refundId, status: 'succeeded', amount: value };
+  });
+}
+
+/**
+ * Verify the signature header and return the parsed event.
+ */
+async function verifyWebhook({ rawBody, headers = {} }) {
+  webhookSignature.verify(rawBody, headers[SIGNATURE_HEADER], secret());
+  const event = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody));
+  return { id: event.id, type: event.type, data: event.data || {} };
+}
+
+/**
+ * Build a signed webhook delivery (for tests and local simulation).
+ */
+function buildWebhook(type, data = {}) {
+  const rawBody = JSON.stringify({ id: newRef('sbx_evt'), type, data });
+  return { rawBody, headers: { [SIGNATURE_HEADER]: webhookSignature.sign(rawBody, secret()) } };
+}
+
+function reset() {
+  charges.clear();
+  responses.clear();
+}
+
+module.exports = {
+  name: NAME,
+  authorize,
+  capture,
+  refund,
+  verifyWebhook,
+  assertConfigured,
+
+  // sandbox-only helpers
+  buildWebhook,
+  reset
+};
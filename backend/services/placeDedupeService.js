@@ -0,0 +1,398 @@
+// backend/services/placeDedupeService.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+const Place = require('../models/place');
+const PlaceDuplicate = require('../models/PlaceDuplicate');
+const PlaceMerge = require('../models/PlaceMerge');
+const Wishlist = require('../models/wishlist');
+const Favorite = require('../models/Favorite');
+const History = require('../models/History');
+const Post = require('../models/social/Post');
+const Review = require('../models/review');
+const TripGroup = require('../models/TripGroup');
+const searchService = require('./searchService');
+const { ApiError } = require('../utils/ApiError');
+const { PLACE_DEDUPE, PAGINATION } = require('../utils/constants');
+
+const STOPWORDS = new Set(PLACE_DEDUPE.NAME_STOPWORDS);
+// Deepest shared level wins; a mismatch at the deepest level both places have scores 0
+const REGION_LEVELS = [
+  ['village', 1],
+  ['town', 1],
+  ['taluk', 0.8],
+  ['district', 0.6],
+  ['state', 0.3],
+  ['country', 0.1]
+];
+const CANDIDATE_FIELDS = { name: 1, location: 1, regionRef: 1, regionPath: 1 };
+const EARTH_RADIUS_M = 6371000;
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function coerceInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+function orderedPair(a, b) {
+  return String(a) < String(b) ? [a, b] : [b, a];
+}
+
+// ---------- Similarity ----------
+function nameTokens(name, { keepStopwords = false } = {}) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter((t) => t && (keepStopwords || !STOPWORDS.has(t)));
+}
+
+function bigrams(s) {
+  const out = [];
+  for (let i = 0; i < s.length - 1; i += 1) out.push(s.slice(i, i + 2));
+  return out;
+}
+
+// Sørensen–Dice over character bigrams
+function dice(a, b) {
+  if (a === b) return 1;
+  const x = bigrams(a);
+  const y = bigrams(b);
+  if (!x.length || !y.length) return 0;
+  const counts = new Map();
+  for (const g of x) counts.set(g, (counts.get(g) || 0) + 1);
+  let shared = 0;
+  for (const g of y) {
+    const n = counts.get(g);
+    if (n) {
+      shared += 1;
+      counts.set(g, n - 1);
+    }
+  }
+  return (2 * shared) / (x.length + y.length);
+}
+
+/**
+ * 0..1 similarity that tolerates spelling variants ("Shri Ram Mandir" vs
+ * "Sri Rama Temple") and word order. Honorifics/generic words are ignored
+ * unless a name consists of nothing else.
+ */
+function nameSimilarity(a, b) {
+  let ta = nameTokens(a);
+  let tb = nameTokens(b);
+  if (!ta.length || !tb.length) {
+    ta = nameTokens(a, { keepStopwords: true });
+    tb = nameTokens(b, { keepStopwords: true });
+  }
+  if (!ta.length || !tb.length) return 0;
+  const sa = new Set(ta);
+  const sb = new Set(tb);
+  const jaccard = [...sa].filter((t) => sb.has(t)).length / new Set([...sa, ...sb]).size;
+  const chars = dice([...ta].sort().join(' '), [...tb].sort().join(' '));
+  return round3(Math.max(jaccard, chars));
+}
+
+function distanceMeters(c1, c2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const [lng1, lat1] = c1;
+  const [lng2, lat2] = c2;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+function regionSimilarity(a, b) {
+  const ra = a.regionRef || {};
+  const rb = b.regionRef || {};
+  for (const [level, weight] of REGION_LEVELS) {
+    if (ra[level] && rb[level]) return String(ra[level]) === String(rb[level]) ? weight : 0;
+  }
+  // Legacy places only carry regionPath
+  if (a.regionPath && b.regionPath) {
+    return a.regionPath.trim().toLowerCase() === b.regionPath.trim().toLowerCase() ? 0.6 : 0;
+  }
+  return 0;
+}
+
+/**
+ * Score a candidate pair. Returns null when the names are too different for
+ * the pair to be a duplicate however close the places are.
+ */
+function scorePair(a, b) {
+  const name = nameSimilarity(a.name, b.name);
+  if (name < PLACE_DEDUPE.MIN_NAME_SCORE) return null;
+  const ca = a.location?.coordinates;
+  const cb = b.location?.coordinates;
+  const distanceM = Array.isArray(ca) && Array.isArray(cb) ? Math.round(distanceMeters(ca, cb)) : null;
+  const distance = distanceM === null ? 0 : Math.max(0, 1 - distanceM / PLACE_DEDUPE.RADIUS_M);
+  const region = regionSimilarity(a, b);
+  const w = PLACE_DEDUPE.WEIGHTS;
+  return {
+    score: round3(w.name * name + w.distance * distance + w.region * region),
+    signals: { name, distanceM, distance: round3(distance), region }
+  };
+}
+
+// ---------- Detection ----------
+async function nearbyPlaces(place) {
+  if (!Array.isArray(place.location?.coordinates)) return [];
+  return Place.find({
+    _id: { $ne: place._id },
+    isActive: { $ne: false },
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: place.location.coordinates },
+        $maxDistance: PLACE_DEDUPE.RADIUS_M
+      }
+    }
+  })
+    .select(CANDIDATE_FIELDS)
+    .limit(PLACE_DEDUPE.MAX_CANDIDATES)
+    .lean();
+}
+
+/**
+ * Likely duplicates of one place, best first (used before merging and when
+ * a partner creates a place).
+ */
+async function findCandidates(placeId) {
+  if (!isObjectId(placeId)) return null;
+  const place = await Place.findById(placeId).select(CANDIDATE_FIELDS).lean();
+  if (!place) return null;
+
+  const nearby = await nearbyPlaces(place);
+  return nearby
+    .map((other) => {
+      const scored = scorePair(place, other);
+      return scored && { place: other, ...scored };
+    })
+    .filter((c) => c && c.score >= PLACE_DEDUPE.MIN_SCORE)
+    .sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Scan every active place and record suspected pairs. Scores of known pairs
+ * are refreshed; dismissed or merged pairs keep their status.
+ */
+async function scanAll() {
+  let scanned = 0;
+  let pairs = 0;
+  let opened = 0;
+  const seen = new Set();
+
+  const cursor = Place.find({ isActive: { $ne: false } }).select(CANDIDATE_FIELDS).lean().cursor();
+  for await (const place of cursor) {
+    scanned += 1;
+    const nearby = await nearbyPlaces(place);
+    for (const other of nearby) {
+      const [a, b] = orderedPair(place._id, other._id);
+      const key = `${a}:${b}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const scored = scorePair(place, other);
+      if (!scored || scored.score < PLACE_DEDUPE.MIN_SCORE) continue;
+      pairs += 1;
+      const res = await PlaceDuplicate.updateOne(
+        { placeA: a, placeB: b },
+        { $set: { score: scored.score, signals: scored.signals }, $setOnInsert: { status: 'open' } },
+        { upsert: true }
+      );
+      if (res.upsertedCount) opened += 1;
+    }
+  }
+  return { scanned, pairs, opened };
+}
+
+// ---------- Review ----------
+async function listDuplicates({ status = 'open', placeId, minScore, page = 1, limit = PAGINATION.DEFAULT_LIMIT } = {}) {
+  const p = coerceInt(page, 1);
+  const l = Math.min(coerceInt(limit, PAGINATION.DEFAULT_LIMIT), PAGINATION.MAX_LIMIT);
+
+  const filter = {};
+  if (status && status !== 'all') filter.status = status;
+  if (placeId && isObjectId(placeId)) filter.$or = [{ placeA: placeId }, { placeB: placeId }];
+  const min = parseFloat(minScore);
+  if (Number.isFinite(min)) filter.score = { $gte: min };
+
+  const fields = 'name category coverImage location regionPath regionRef rating reviewCount isApproved isActive createdBy createdAt';
+  const [items, total] = await Promise.all([
+    PlaceDuplicate.find(filter)
+      .sort({ score: -1, createdAt: 1 })
+      .skip((p - 1) * l)
+      .limit(l)
+      .populate('placeA', fields)
+      .populate('placeB', fields)
+      .lean(),
+    PlaceDuplicate.countDocuments(filter)
+  ]);
+  return { items, total, page: p, limit: l };
+}
+
+async function dismissDuplicate(pairId, { actorId, note } = {}) {
+  if (!isObjectId(pairId)) return null;
+  const pair = await PlaceDuplicate.findById(pairId).lean();
+  if (!pair) return null;
+  if (pair.status !== 'open') throw ApiError.conflict(`Pair is already ${pair.status}`);
+
+  return PlaceDuplicate.findOneAndUpdate(
+    { _id: pairId, status: 'open' },
+    { $set: { status: 'dismissed', reviewedBy: actorId, reviewedAt: new Date(), note } },
+    { new: true }
+  ).lean();
+}
+
+// ---------- Merge ----------
+// Re-point a per-user unique reference (wishlist, favorites); users who
+// already reference the survivor just lose the duplicate entry.
+async function moveUserRefs(Model, field, extra, fromId, toId) {
+  const dupEntries = await Model.find({ ...extra, [field]: fromId }).select({ userId: 1 }).lean();
+  if (!dupEntries.length) return 0;
+  const clashes = await Model.find({ ...extra, [field]: toId, userId: { $in: dupEntries.map((e) => e.userId) } })
+    .select({ userId: 1 })
+    .lean();
+  if (clashes.length) {
+    await Model.deleteMany({ ...extra, [field]: fromId, userId: { $in: clashes.map((e) => e.userId) } });
+  }
+  const res = await Model.updateMany({ ...extra, [field]: fromId }, { $set: { [field]: toId } });
+  return res.modifiedCount + clashes.length;
+}
+
+/**
+ * Fold `duplicateId` into `survivorId`: embedded comments, reactions and
+ * photos are combined, and wishlist entries, favorites, history, post tags,
+ * trip itinerary links and reviews are re-pointed. The duplicate is
+ * deactivated with `mergedInto` set (claimed first, so a place can only be
+ * merged once) and the merge is recorded in PlaceMerge.
+ */
+async function mergePlaces({ survivorId, duplicateId, actorId, pairId }) {
+  if (!isObjectId(survivorId) || !isObjectId(duplicateId)) return null;
+  if (String(survivorId) === String(duplicateId)) throw ApiError.badRequest('A place cannot be merged into itself');
+
+  const [survivor, duplicate] = await Promise.all([
+    Place.findById(survivorId).lean(),
+    Place.findById(duplicateId).lean()
+  ]);
+  if (!survivor || !duplicate) return null;
+  if (survivor.isActive === false) throw ApiError.conflict('The surviving place is inactive or was merged');
+
+  const claimed = await Place.updateOne(
+    { _id: duplicateId, isActive: { $ne: false } },
+    { $set: { isActive: false, mergedInto: survivor._id } }
+  );
+  if (!claimed.modifiedCount) throw ApiError.conflict('The duplicate place is inactive or was already merged');
+
+  // Embedded content on the place itself
+  const knownComments = new Set((survivor.comments || []).map((c) => String(c._id)));
+  const comments = (duplicate.comments || []).filter((c) => !knownComments.has(String(c._id)));
+  const photos = [duplicate.coverImage, ...(duplicate.gallery || [])].filter((u) => u && u !== survivor.coverImage);
+  const countS = survivor.reviewCount || 0;
+  const countD = duplicate.reviewCount || 0;
+  const rating = countS + countD > 0
+    ? Math.round((((survivor.rating || 0) * countS + (duplicate.rating || 0) * countD) / (countS + countD)) * 10) / 10
+    : survivor.rating || 0;
+
+  await Place.updateOne(
+    { _id: survivor._id },
+    {
+      $push: { comments: { $each: comments } },
+      $addToSet: {
+        reactions: { $each: duplicate.reactions || [] },
+        gallery: { $each: photos },
+        tags: { $each: duplicate.tags || [] }
+      },
+      $set: { rating, reviewCount: countS + countD }
+    }
+  );
+
+  // References from other collections
+  const from = duplicate._id;
+  const to = survivor._id;
+  const moved = {
+    comments: comments.length,
+    reactions: (duplicate.reactions || []).length,
+    wishlist: await moveUserRefs(Wishlist, 'placeId', {}, from, to),
+    favorites: await moveUserRefs(Favorite, 'entityId', { entityType: 'place' }, from, to)
+  };
+
+  const history = await Promise.all([
+    History.updateMany({ entityType: 'place', entityId: from }, { $set: { entityId: to } }),
+    History.updateMany({ 'fromRef.entityType': 'place', 'fromRef.entityId': from }, { $set: { 'fromRef.entityId': to } }),
+    History.updateMany({ 'toRef.entityType': 'place', 'toRef.entityId': from }, { $set: { 'toRef.entityId': to } })
+  ]);
+  moved.history = history.reduce((n, r) => n + r.modifiedCount, 0);
+
+  const tagged = await Post.updateMany({ placeRefs: from }, { $addToSet: { placeRefs: to } });
+  await Post.updateMany({ placeRefs: from }, { $pull: { placeRefs: from } });
+  moved.posts = tagged.matchedCount;
+
+  const itineraries = await TripGroup.updateMany(
+    { itinerary: { $elemMatch: { entityType: 'place', entityId: from } } },
+    { $set: { 'itinerary.$[item].entityId': to } },
+    { arrayFilters: [{ 'item.entityType': 'place', 'item.entityId': from }] }
+  );
+  moved.itineraries = itineraries.modifiedCount;
+
+  const reviews = await Review.updateMany({ placeType: 'place', placeId: String(from) }, { $set: { placeId: String(to) } });
+  moved.reviews = reviews.modifiedCount;
+
+  // Pair bookkeeping: this pair is merged; other open pairs with the old place are stale
+  const [a, b] = orderedPair(from, to);
+  const now = new Date();
+  const pair = await PlaceDuplicate.findOneAndUpdate(
+    pairId && isObjectId(pairId) ? { _id: pairId } : { placeA: a, placeB: b },
+    { $set: { status: 'merged', reviewedBy: actorId, reviewedAt: now } },
+    { new: true }
+  ).lean();
+  await PlaceDuplicate.deleteMany({ status: 'open', $or: [{ placeA: from }, { placeB: from }] });
+
+  const audit = await PlaceMerge.create({
+    survivorId: to,
+    mergedId: from,
+    duplicateId: pair?._id,
+    mergedBy: actorId,
+    snapshot: {
+      name: duplicate.name,
+      regionPath: duplicate.regionPath,
+      coordinates: duplicate.location?.coordinates,
+      createdBy: duplicate.createdBy
+    },
+    moved
+  });
+
+  // The duplicate leaves search and the survivor gained its tags
+  searchService.invalidate();
+
+  return {
+    survivor: await Place.findById(to).lean(),
+    merged: { _id: from, mergedInto: to },
+    moved,
+    mergeId: audit._id
+  };
+}
+
+module.exports = {
+  // similarity
+  nameSimilarity,
+  scorePair,
+
+  // detection
+  findCandidates,
+  scanAll,
+
+  // review
+  listDuplicates,
+  dismissDuplicate,
+
+  // merge
+  mergePlaces
+};
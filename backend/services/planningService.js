@@ -2,8 +2,23 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const TripGroup = require('../models/TripGroup');
+const Invite = require('../models/Invite');
+const PlanningTemplate = require('../models/PlanningTemplate');
+const ItineraryDraft = require('../models/ItineraryDraft');
+const Journey = require('../models/journey');
+const Activity = require('../models/Activity');
+const Hotel = require('../models/Hotel');
+const Restaurant = require('../models/Restaurant');
+const User = require('../models/user');
+const Place = require('../models/place');
+const currency = require('./currencyService');
+const schedule = require('./itineraryScheduleService');
+const mailService = require('./mailService');
+const { ApiError } = require('../utils/ApiError');
+const { PLANNING, GROUP_ROLES, GROUP_PERMISSIONS, ITINERARY } = require('../utils/constants');
 
 // ---------- Helpers ----------
 function isObjectId(v) {
@@ -12,6 +27,13 @@ function isObjectId(v) {
 function toObjectId(v) {
   return new mongoose.Types.ObjectId(v);
 }
+// Member ids from a request body; anything that is not an ObjectId is a 400
+function parseMemberIds(userIds) {
+  if (!Array.isArray(userIds)) throw ApiError.badRequest('userIds must be an array of user ids');
+  const bad = userIds.find((id) => !isObjectId(id));
+  if (bad !== undefined) throw ApiError.badRequest('userIds must be valid user ids', { userId: bad });
+  return userIds.map(String);
+}
 function coerceInt(v, def) {
   const n = parseInt(v, 10);
   return Number.isFinite(n) && n > 0 ? n : def;
@@ -34,12 +56,68 @@ function toICSDateUTC(d) {
   return s;
 }
 
+// ---------- Access ----------
+const ACTION_LABELS = {
+  'group:update': 'edit the group',
+  'group:delete': 'delete the group',
+  'members:manage': 'manage members',
+  'admins:manage': 'appoint, remove or demote admins',
+  'invites:manage': 'invite people',
+  'itinerary:edit': 'edit the itinerary',
+  'expenses:add': 'add expenses',
+  'expenses:manage': "change other people's expenses",
+  'settlements:record': 'record payments',
+  'settlements:manage': 'record or remove payments between other members',
+  'checklist:edit': 'edit the checklist',
+  'documents:add': 'add documents',
+  'documents:manage': "remove other people's documents"
+};
+
+// 'owner', the member's roles entry (members without one count as 'member'), or null for outsiders
+function roleOf(g, userId) {
+  if (!g || !userId) return null;
+  const uid = String(userId);
+  if (String(g.ownerId) === uid) return 'owner';
+  if (!(g.members || []).some((m) => String(m) === uid)) return null;
+  const role = (g.roles || {})[uid];
+  return Object.values(GROUP_ROLES).includes(role) ? role : GROUP_ROLES.MEMBER;
+}
+function can(role, action) {
+  return Boolean(role && (GROUP_PERMISSIONS[role] || []).includes(action));
+}
+function permissionDenied(role, action) {
+  return ApiError.forbidden(`Group ${role}s cannot ${ACTION_LABELS[action] || action}`, { role, action });
+}
+
+/**
+ * Role check for a group mutation. Outsiders get null (callers answer 404,
+ * so group ids do not leak); members without the permission get a 403.
+ */
+async function authorize(groupId, userId, action) {
+  if (!isObjectId(groupId)) return null;
+  const g = await TripGroup.findById(groupId).select({ name: 1, ownerId: 1, members: 1, roles: 1 }).lean();
+  const role = roleOf(g, userId);
+  if (!role) return null;
+  if (!can(role, action)) throw permissionDenied(role, action);
+  return { group: g, role };
+}
+
+// Members act on what they created; `action` covers everyone else's
+function assertOwnOr(access, userId, ownerIds, action) {
+  if (ownerIds.some((id) => id && String(id) === String(userId))) return;
+  if (!can(access.role, action)) throw permissionDenied(access.role, action);
+}
+
 // Ensure membership
 async function ensureMember(groupId, userId) {
   const g = await TripGroup.findById(groupId).select({ ownerId: 1, members: 1 }).lean();
-  if (!g) return false;
-  const set = new Set([String(g.ownerId), ...(g.members || []).map(String)]);
-  return set.has(String(userId));
+  return Boolean(roleOf(g, userId));
+}
+
+// Owner or an 'admin' in roles
+async function ensureAdmin(groupId, userId) {
+  const g = await TripGroup.findById(groupId).select({ ownerId: 1, members: 1, roles: 1 }).lean();
+  return ['owner', GROUP_ROLES.ADMIN].includes(roleOf(g, userId));
 }
 
 // Reindex seq per dayOffset (stable sort by existing seq)
@@ -143,11 +221,9 @@ async function createGroup({
 }
 
 async function getGroupById(groupId, userId) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
-
   const g = await TripGroup.findById(groupId).lean();
-  if (!g) return null;
+  const role = roleOf(g, userId);
+  if (!role) return null;
 
   // Aggregates
   const expenses = Array.isArray(g.budget?.expenses) ? g.budget.expenses : [];
@@ -160,12 +236,12 @@ async function getGroupById(groupId, userId) {
 
   const itineraryCount = Array.isArray(g.itinerary) ? g.itinerary.length : 0;
 
-  return { ...g, expenseSummary, itineraryCount };
+  return { ...g, expenseSummary, itineraryCount, access: { role, permissions: GROUP_PERMISSIONS[role] } };
 }
 
 async function updateGroup(groupId, userId, patch = {}) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'group:update');
+  if (!access) return null;
 
   const allowed = {};
   for (const k of ['name', 'cover', 'settings', 'startDate', 'endDate']) {
@@ -203,18 +279,22 @@ async function listMembers(groupId, userId) {
 }
 
 async function addMembers(groupId, userId, userIds = []) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'members:manage');
+  if (!access) return null;
 
-  const ids = userIds.map(toObjectId);
-  const roleSets = Object.fromEntries(ids.map((id) => [String(id), 'member']));
+  const ids = parseMemberIds(userIds).map(toObjectId);
+  // Re-adding someone keeps the role they already hold
+  const roleSets = Object.fromEntries(
+    ids.filter((id) => !roleOf(access.group, id)).map((id) => [String(id), GROUP_ROLES.MEMBER])
+  );
   const updated = await TripGroup.findByIdAndUpdate(
     groupId,
     {
       $addToSet: { members: { $each: ids } },
-      $set: Object.fromEntries(Object.entries(roleSets).map(([k, v]) => [`roles.${k}`, v])),
-      $setOnInsert: {},
-      $currentDate: { updatedAtISO: true }
+      $set: {
+        ...Object.fromEntries(Object.entries(roleSets).map(([k, v]) => [`roles.${k}`, v])),
+        updatedAtISO: nowISO()
+      }
     },
     { new: true }
   ).lean();
@@ -222,11 +302,18 @@ async function addMembers(groupId, userId, userIds = []) {
 }
 
 async function removeMembers(groupId, userId, userIds = []) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'members:manage');
+  if (!access) return null;
+
+  const targets = parseMemberIds(userIds);
+  for (const id of targets) {
+    const target = roleOf(access.group, id);
+    if (target === 'owner') throw ApiError.badRequest('The owner cannot be removed; they can delete the group instead');
+    if (target === GROUP_ROLES.ADMIN && !can(access.role, 'admins:manage')) throw permissionDenied(access.role, 'admins:manage');
+  }
 
-  const ids = userIds.map(toObjectId);
-  const unsetRoles = Object.fromEntries(userIds.map((id) => [`roles.${id}`, '']));
+  const ids = targets.map(toObjectId);
+  const unsetRoles = Object.fromEntries(targets.map((id) => [`roles.${id}`, '']));
   const updated = await TripGroup.findByIdAndUpdate(
     groupId,
     { $pull: { members: { $in: ids } }, $unset: unsetRoles, $set: { updatedAtISO: nowISO() } },
@@ -236,9 +323,23 @@ async function removeMembers(groupId, userId, userIds = []) {
 }
 
 async function setRoles(groupId, userId, roles = {}) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
-  const setPaths = Object.fromEntries(Object.entries(roles).map(([uid, role]) => [`roles.${uid}`, role]));
+  const access = await authorize(groupId, userId, 'members:manage');
+  if (!access) return null;
+
+  const changes = Object.entries(roles || {});
+  parseMemberIds(changes.map(([uid]) => uid));
+  for (const [uid, role] of changes) {
+    if (!Object.values(GROUP_ROLES).includes(role)) throw ApiError.badRequest(`Unknown role '${role}'`, { userId: uid });
+    const current = roleOf(access.group, uid);
+    if (!current) throw ApiError.badRequest('Roles can only be set for group members', { userId: uid });
+    if (current === 'owner') throw ApiError.badRequest("The owner's role cannot be changed", { userId: uid });
+    // Appointing an admin is as privileged as removing one
+    const touchesAdmin = current === GROUP_ROLES.ADMIN || role === GROUP_ROLES.ADMIN;
+    if (touchesAdmin && current !== role && !can(access.role, 'admins:manage')) {
+      throw permissionDenied(access.role, 'admins:manage');
+    }
+  }
+  const setPaths = Object.fromEntries(changes.map(([uid, role]) => [`roles.${uid}`, role]));
   const updated = await TripGroup.findByIdAndUpdate(
     groupId,
     { $set: { ...setPaths, updatedAtISO: nowISO() } },
@@ -278,15 +379,16 @@ async function listItinerary(groupId, userId, { dayOffset, tags, cursor, limit =
 }
 
 async function addItineraryItem(groupId, userId, payload) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'itinerary:edit');
+  if (!access) return null;
 
-  const g = await TripGroup.findById(groupId).select({ itinerary: 1 }).lean();
+  const g = await TripGroup.findById(groupId).select({ itinerary: 1, startDate: 1, endDate: 1 }).lean();
   const items = Array.isArray(g?.itinerary) ? g.itinerary : [];
   const day = payload.dayOffset || 0;
   const seq = Number.isFinite(payload.seq) ? payload.seq : items.filter((i) => (i.dayOffset || 0) === day).length;
 
   const item = {
+    _id: new mongoose.Types.ObjectId(),
     dayOffset: day,
     seq,
     title: payload.title,
@@ -303,6 +405,8 @@ async function addItineraryItem(groupId, userId, payload) {
     photos: payload.photos || [],
     meta: payload.meta || {}
   };
+  assertTimeOrder(item);
+  const conflicts = await checkItinerary(g, [...items, item], { itemIds: [String(item._id)], strict: payload.strict });
 
   const updated = await TripGroup.findByIdAndUpdate(
     groupId,
@@ -318,12 +422,12 @@ async function addItineraryItem(groupId, userId, payload) {
     { new: true }
   ).lean();
 
-  return final;
+  return { ...final, conflicts };
 }
 
 async function updateItineraryItem(groupId, userId, itemId, patch = {}) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'itinerary:edit');
+  if (!access) return null;
 
   const g = await TripGroup.findById(groupId).lean();
   if (!g) return null;
@@ -338,6 +442,8 @@ async function updateItineraryItem(groupId, userId, itemId, patch = {}) {
   }
   if (patch.dayOffset != null) it.dayOffset = patch.dayOffset;
   if (patch.seq != null) it.seq = patch.seq;
+  assertTimeOrder(it);
+  const conflicts = await checkItinerary(g, items, { itemIds: [String(it._id)], strict: patch.strict });
 
   const reindexed = reindexItinerary(items);
   const updated = await TripGroup.findByIdAndUpdate(
@@ -346,12 +452,12 @@ async function updateItineraryItem(groupId, userId, itemId, patch = {}) {
     { new: true }
   ).lean();
 
-  return updated;
+  return { ...updated, conflicts };
 }
 
 async function removeItineraryItem(groupId, userId, itemId) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'itinerary:edit');
+  if (!access) return null;
 
   const g = await TripGroup.findByIdAndUpdate(
     groupId,
@@ -369,9 +475,9 @@ async function removeItineraryItem(groupId, userId, itemId) {
   return updated;
 }
 
-async function reorderItinerary(groupId, userId, { itemId, toDayOffset, toSeq }) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+async function reorderItinerary(groupId, userId, { itemId, toDayOffset, toSeq, strict }) {
+  const access = await authorize(groupId, userId, 'itinerary:edit');
+  if (!access) return null;
 
   const g = await TripGroup.findById(groupId).lean();
   if (!g) return null;
@@ -380,7 +486,7 @@ async function reorderItinerary(groupId, userId, { itemId, toDayOffset, toSeq })
   const idx = items.findIndex((x) => String(x._id) === String(itemId));
   if (idx < 0) return null;
 
-  const moving = items.splice(idx, 1);
+  const [moving] = items.splice(idx, 1);
   moving.dayOffset = toDayOffset;
   // Insert at approximate position, then reindex
   items.push(moving);
@@ -391,7 +497,7 @@ async function reorderItinerary(groupId, userId, { itemId, toDayOffset, toSeq })
     // Ensure moving placed at desired seq
     const mIdx = dayItems.findIndex((i) => String(i._id) === String(moving._id));
     if (mIdx >= 0) {
-      const m = dayItems.splice(mIdx, 1);
+      const [m] = dayItems.splice(mIdx, 1);
       dayItems.splice(toSeq, 0, m);
     }
   }
@@ -399,6 +505,7 @@ async function reorderItinerary(groupId, userId, { itemId, toDayOffset, toSeq })
   const all = items
     .filter((i) => i.dayOffset !== toDayOffset)
     .concat(dayItems);
+  const conflicts = await checkItinerary(g, all, { itemIds: [String(moving._id)], strict });
   const reindexed = reindexItinerary(all);
 
   const updated = await TripGroup.findByIdAndUpdate(
@@ -407,10 +514,178 @@ async function reorderItinerary(groupId, userId, { itemId, toDayOffset, toSeq })
     { new: true }
   ).lean();
 
-  return updated;
+  return { ...updated, conflicts };
+}
+
+// ---------- Itinerary checks & auto-schedule ----------
+function assertTimeOrder(item) {
+  const start = item.startISO ? Date.parse(item.startISO) : null;
+  const end = item.endISO ? Date.parse(item.endISO) : null;
+  if (start != null && end != null && end < start) throw ApiError.badRequest('endISO must not be before startISO');
+}
+
+// Opening hours and pins of places linked from itinerary items
+async function loadLinkedPlaces(items) {
+  const places = new Map();
+  const ids = Array.from(new Set(items
+    .filter((i) => i.entityType === 'place' && i.entityId && isObjectId(i.entityId))
+    .map((i) => String(i.entityId))));
+  if (!ids.length) return places;
+
+  const docs = await Place.find({ _id: { $in: ids } }).select({ timings: 1, location: 1 }).lean();
+  for (const p of docs) {
+    const c = p.location?.coordinates;
+    places.set(String(p._id), {
+      timings: p.timings || null,
+      hours: schedule.parseTimings(p.timings),
+      location: Array.isArray(c) && c.length === 2 ? { lng: c[0], lat: c[1] } : null
+    });
+  }
+  return places;
+}
+
+/**
+ * Issues touching `itemIds` (all when omitted). With `strict`, errors reject
+ * the change with a 409 carrying the issues; warnings never block.
+ */
+async function checkItinerary(g, items, { itemIds, strict } = {}) {
+  const places = await loadLinkedPlaces(items);
+  const issues = schedule
+    .analyzeItinerary(items, { startDate: g.startDate, endDate: g.endDate, places })
+    .filter((i) => !itemIds || i.itemIds.some((id) => itemIds.includes(id)));
+  if (strict && issues.some((i) => i.severity === 'error')) {
+    throw ApiError.conflict('The change conflicts with the itinerary', { issues });
+  }
+  return issues;
+}
+
+async function getItineraryConflicts(groupId, userId, { dayOffset } = {}) {
+  const ok = await ensureMember(groupId, userId);
+  if (!ok) return null;
+
+  const g = await TripGroup.findById(groupId).select({ itinerary: 1, startDate: 1, endDate: 1 }).lean();
+  const issues = await checkItinerary(g, g.itinerary || []);
+  return dayOffset == null ? issues : issues.filter((i) => i.dayOffset === dayOffset);
+}
+
+/**
+ * Give a day's untimed items start/end times (see itineraryScheduleService).
+ * The day is then re-sequenced in time order; items that did not fit keep
+ * no time and move to the end.
+ */
+async function autoScheduleDay(groupId, userId, { dayOffset = 0, dayStart, dayEnd, mode } = {}) {
+  const access = await authorize(groupId, userId, 'itinerary:edit');
+  if (!access) return null;
+  if (mode && !ITINERARY.MODE_KMPH[mode]) {
+    throw ApiError.badRequest(`mode must be one of ${Object.keys(ITINERARY.MODE_KMPH).join(', ')}`);
+  }
+
+  const g = await TripGroup.findById(groupId).lean();
+  if (!g.startDate) throw ApiError.unprocessable('Set the trip start date before auto-scheduling');
+
+  const items = (g.itinerary || []).map((x) => ({ ...x }));
+  const places = await loadLinkedPlaces(items);
+  const plan = schedule.autoScheduleDay(items, { dayOffset, startDate: g.startDate, places, mode, dayStart, dayEnd });
+  if (!plan) throw ApiError.badRequest('dayStart and dayEnd must be HH:MM times');
+
+  for (const it of items) {
+    const slot = plan.assignments.get(String(it._id));
+    if (slot) Object.assign(it, slot, { meta: { ...(it.meta || {}), autoScheduled: true } });
+  }
+  const startOf = (it) => (it.startISO ? Date.parse(it.startISO) : Infinity);
+  items
+    .filter((it) => (it.dayOffset || 0) === dayOffset)
+    .sort((a, b) => startOf(a) - startOf(b) || (a.seq ?? 0) - (b.seq ?? 0))
+    .forEach((it, idx) => { it.seq = idx; });
+
+  const updated = plan.assignments.size
+    ? await TripGroup.findByIdAndUpdate(
+      groupId,
+      { $set: { itinerary: reindexItinerary(items), updatedAtISO: nowISO() } },
+      { new: true }
+    ).lean()
+    : g;
+
+  const conflicts = schedule
+    .analyzeItinerary(updated.itinerary || [], { startDate: g.startDate, endDate: g.endDate, places })
+    .filter((i) => i.dayOffset === dayOffset);
+  return {
+    group: updated,
+    scheduled: plan.assignments.size,
+    unscheduled: plan.unscheduled,
+    window: plan.window,
+    conflicts
+  };
 }
 
 // ---------- Expenses ----------
+const SPLIT_TYPES = ['equal', 'exact', 'percentage', 'shares'];
+const SPLIT_TOLERANCE = 0.01;
+
+function groupParticipants(g) {
+  return [String(g.ownerId), ...(g.members || []).map(String)].filter((v, i, a) => a.indexOf(v) === i);
+}
+function baseCurrencyOf(g) {
+  return g.budget?.baseCurrency || g.settings?.currency || 'INR';
+}
+
+/**
+ * Validate and normalise a split against the expense amount.
+ * - equal: shares optional (empty = every member), values ignored
+ * - exact: values are amounts in the expense currency and must add up to it
+ * - percentage: values must add up to 100
+ * - shares: positive weights
+ * Participants must be members of the group.
+ */
+function normalizeSplit(split, amount, participants) {
+  const type = split?.type || 'equal';
+  if (!SPLIT_TYPES.includes(type)) throw ApiError.badRequest(`split.type must be one of ${SPLIT_TYPES.join(', ')}`);
+  const raw = split?.shares === undefined ? [] : split.shares;
+  if (!Array.isArray(raw)) throw ApiError.badRequest('split.shares must be an array');
+  if (type !== 'equal' && !raw.length) throw ApiError.badRequest(`split.shares is required for a ${type} split`);
+
+  const seen = new Set();
+  const shares = raw.map((s) => {
+    if (!s || !isObjectId(s.userId)) throw ApiError.badRequest('split.shares[].userId must be a user id');
+    const id = String(s.userId);
+    if (seen.has(id)) throw ApiError.badRequest('split.shares lists a user twice', { userId: id });
+    if (!participants.includes(id)) throw ApiError.badRequest('split.shares includes a non-member', { userId: id });
+    seen.add(id);
+    if (type === 'equal') return { userId: toObjectId(id) };
+    const value = Number(s.value);
+    if (!Number.isFinite(value) || value < 0) throw ApiError.badRequest('split.shares[].value must be a non-negative number');
+    return { userId: toObjectId(id), value };
+  });
+
+  const sum = shares.reduce((acc, s) => acc + (s.value || 0), 0);
+  if (type === 'exact' && Math.abs(sum - Number(amount)) > SPLIT_TOLERANCE) {
+    throw ApiError.badRequest('exact split values must add up to the expense amount', { sum, amount });
+  }
+  if (type === 'percentage' && Math.abs(sum - 100) > SPLIT_TOLERANCE) {
+    throw ApiError.badRequest('percentage split values must add up to 100', { sum });
+  }
+  if (type === 'shares' && !(sum > 0)) throw ApiError.badRequest('shares split needs at least one positive weight');
+  return { type, shares };
+}
+
+// Integer allocation by weight; leftover minor units go to the largest remainders
+function allocateMinor(totalMinor, weights) {
+  const sum = weights.reduce((a, w) => a + w, 0);
+  if (!sum) return weights.map(() => 0);
+  const exact = weights.map((w) => (totalMinor * w) / sum);
+  const out = exact.map(Math.floor);
+  let left = totalMinor - out.reduce((a, v) => a + v, 0);
+  const order = exact.map((v, i) => [v - out[i], i]).sort((a, b) => b[0] - a[0] || a[1] - b[1]);
+  for (let k = 0; left > 0; k = (k + 1) % order.length, left -= 1) out[order[k][1]] += 1;
+  return out;
+}
+
+async function loadGroupForBudget(groupId) {
+  return TripGroup.findById(groupId)
+    .select({ ownerId: 1, members: 1, roles: 1, settings: 1, budget: 1 })
+    .lean();
+}
+
 async function listExpenses(groupId, userId, { category, cursor, limit = 100 } = {}) {
   const ok = await ensureMember(groupId, userId);
   if (!ok) return { items: [], hasMore: false };
@@ -434,21 +709,27 @@ async function listExpenses(groupId, userId, { category, cursor, limit = 100 } =
 }
 
 async function addExpense(groupId, userId, expense) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'expenses:add');
+  if (!access) return null;
+
+  const g = await loadGroupForBudget(groupId);
+  const participants = groupParticipants(g);
+  const paidBy = expense.paidBy ? String(expense.paidBy) : String(userId);
+  if (!participants.includes(paidBy)) throw ApiError.badRequest('paidBy must be a group member');
 
   const e = {
     title: expense.title,
     amount: expense.amount,
-    currency: expense.currency,
+    currency: String(expense.currency).trim().toUpperCase(),
     category: expense.category || 'misc',
-    paidBy: expense.paidBy ? toObjectId(expense.paidBy) : toObjectId(userId),
-    split: expense.split || { type: 'equal', shares: [] },
+    paidBy: toObjectId(paidBy),
+    split: normalizeSplit(expense.split, expense.amount, participants),
     occurredAtISO: expense.occurredAtISO ? toISO(expense.occurredAtISO) : nowISO(),
     notes: expense.notes || null,
     createdBy: toObjectId(userId),
     updatedBy: toObjectId(userId)
   };
+  await currency.convert(e.amount, e.currency, baseCurrencyOf(g)); // rejects currencies without a rate
 
   const updated = await TripGroup.findByIdAndUpdate(
     groupId,
@@ -459,8 +740,8 @@ async function addExpense(groupId, userId, expense) {
 }
 
 async function updateExpense(groupId, userId, expenseId, patch = {}) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'expenses:add');
+  if (!access) return null;
 
   const g = await TripGroup.findById(groupId).lean();
   const items = Array.isArray(g?.budget?.expenses) ? g.budget.expenses.map((x) => ({ ...x })) : [];
@@ -468,9 +749,17 @@ async function updateExpense(groupId, userId, expenseId, patch = {}) {
   if (idx < 0) return null;
 
   const e = items[idx];
+  assertOwnOr(access, userId, [e.createdBy, e.paidBy], 'expenses:manage');
   for (const k of ['title', 'amount', 'currency', 'category', 'paidBy', 'split', 'occurredAtISO', 'notes']) {
     if (patch[k] !== undefined) e[k] = k === 'paidBy' ? toObjectId(patch[k]) : patch[k];
   }
+  if (patch.currency !== undefined) e.currency = String(patch.currency).trim().toUpperCase();
+
+  // Re-check the split whenever anything it depends on changed
+  const participants = groupParticipants(g);
+  if (!participants.includes(String(e.paidBy))) throw ApiError.badRequest('paidBy must be a group member');
+  if (patch.split !== undefined || patch.amount !== undefined) e.split = normalizeSplit(e.split, e.amount, participants);
+  if (patch.currency !== undefined) await currency.convert(e.amount, e.currency, baseCurrencyOf(g));
   e.updatedBy = toObjectId(userId);
 
   const updated = await TripGroup.findByIdAndUpdate(
@@ -483,8 +772,12 @@ async function updateExpense(groupId, userId, expenseId, patch = {}) {
 }
 
 async function removeExpense(groupId, userId, expenseId) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'expenses:add');
+  if (!access) return null;
+
+  const g = await TripGroup.findById(groupId).select({ 'budget.expenses': 1 }).lean();
+  const e = (g?.budget?.expenses || []).find((x) => String(x._id) === String(expenseId));
+  if (e) assertOwnOr(access, userId, [e.createdBy, e.paidBy], 'expenses:manage');
 
   const updated = await TripGroup.findByIdAndUpdate(
     groupId,
@@ -498,14 +791,170 @@ async function getExpenseSummary(groupId, userId) {
   const ok = await ensureMember(groupId, userId);
   if (!ok) return { totals: [] };
 
-  const g = await TripGroup.findById(groupId).select({ 'budget.expenses': 1, 'budget.baseCurrency': 1 }).lean();
+  const g = await loadGroupForBudget(groupId);
+  const baseCurrency = baseCurrencyOf(g);
+  const rates = await currency.getRates();
   const expenses = Array.isArray(g?.budget?.expenses) ? g.budget.expenses : [];
   const byCurrency = new Map();
+  let totalMinor = 0;
   for (const e of expenses) {
-    const cur = e.currency || g.budget?.baseCurrency || 'INR';
+    const cur = e.currency || baseCurrency;
     byCurrency.set(cur, (byCurrency.get(cur) || 0) + (e.amount || 0));
+    totalMinor += Math.round(currency.convertWith(rates, e.amount || 0, cur, baseCurrency) * 100);
   }
-  return { totals: Array.from(byCurrency.entries()).map(([currency, total]) => ({ currency, total })) };
+  return {
+    totals: Array.from(byCurrency.entries()).map(([cur, total]) => ({ currency: cur, total })),
+    baseCurrency,
+    totalInBase: totalMinor / 100
+  };
+}
+
+// ---------- Balances & settle-up ----------
+/**
+ * Per-member position in the base currency, worked in minor units so the
+ * books always balance to zero. net > 0 means the member is owed money.
+ */
+function computeBalances(g, rates) {
+  const base = baseCurrencyOf(g);
+  const toMinor = (amount, cur) => Math.round(currency.convertWith(rates, amount || 0, cur || base, base) * 100);
+  const everyone = groupParticipants(g);
+  const rows = new Map();
+  const row = (id) => {
+    const k = String(id);
+    if (!rows.has(k)) rows.set(k, { userId: k, paid: 0, owed: 0, settledOut: 0, settledIn: 0 });
+    return rows.get(k);
+  };
+  everyone.forEach(row);
+
+  let totalMinor = 0;
+  for (const e of g.budget?.expenses || []) {
+    const minor = toMinor(e.amount, e.currency);
+    totalMinor += minor;
+    row(e.paidBy || g.ownerId).paid += minor;
+
+    const type = e.split?.type || 'equal';
+    const shares = e.split?.shares?.length ? e.split.shares : everyone.map((userId) => ({ userId }));
+    const weights = shares.map((s) => (type === 'equal' ? 1 : Number(s.value) || 0));
+    allocateMinor(minor, weights).forEach((v, i) => { row(shares[i].userId).owed += v; });
+  }
+
+  for (const s of g.budget?.settlements || []) {
+    const minor = toMinor(s.amount, s.currency);
+    row(s.from).settledOut += minor;
+    row(s.to).settledIn += minor;
+  }
+
+  const members = Array.from(rows.values()).map((r) => ({
+    userId: r.userId,
+    paid: r.paid / 100,
+    owed: r.owed / 100,
+    settledOut: r.settledOut / 100,
+    settledIn: r.settledIn / 100,
+    net: (r.paid - r.owed + r.settledOut - r.settledIn) / 100,
+    isMember: everyone.includes(r.userId)
+  }));
+  return { baseCurrency: base, totalSpent: totalMinor / 100, members };
+}
+
+/**
+ * Greedy who-pays-whom plan: repeatedly match the largest debtor with the
+ * largest creditor. Each step clears at least one side, so n people never
+ * need more than n-1 transfers.
+ */
+function planSettlements(members) {
+  const creditors = members.filter((m) => m.net > 0).map((m) => ({ userId: m.userId, left: Math.round(m.net * 100) }));
+  const debtors = members.filter((m) => m.net < 0).map((m) => ({ userId: m.userId, left: Math.round(-m.net * 100) }));
+  const byLeft = (a, b) => b.left - a.left || a.userId.localeCompare(b.userId);
+  const transfers = [];
+
+  while (creditors.length && debtors.length) {
+    creditors.sort(byLeft);
+    debtors.sort(byLeft);
+    const c = creditors[0];
+    const d = debtors[0];
+    const pay = Math.min(c.left, d.left);
+    transfers.push({ from: d.userId, to: c.userId, amount: pay / 100 });
+    c.left -= pay;
+    d.left -= pay;
+    if (!c.left) creditors.shift();
+    if (!d.left) debtors.shift();
+  }
+  return transfers;
+}
+
+async function getSettleUp(groupId, userId) {
+  const ok = await ensureMember(groupId, userId);
+  if (!ok) return null;
+
+  const g = await loadGroupForBudget(groupId);
+  const balances = computeBalances(g, await currency.getRates());
+  return { ...balances, transfers: planSettlements(balances.members) };
+}
+
+async function listSettlements(groupId, userId) {
+  const ok = await ensureMember(groupId, userId);
+  if (!ok) return null;
+
+  const g = await TripGroup.findById(groupId).select({ 'budget.settlements': 1 }).lean();
+  const items = Array.isArray(g?.budget?.settlements) ? [...g.budget.settlements] : [];
+  return items.sort((a, b) => String(b.settledAtISO || '').localeCompare(String(a.settledAtISO || '')));
+}
+
+/**
+ * Record a payment between two members. Members record payments they made
+ * or received; admins may record any.
+ */
+async function addSettlement(groupId, userId, { from, to, amount, currency: cur, note, settledAtISO } = {}) {
+  const access = await authorize(groupId, userId, 'settlements:record');
+  if (!access) return null;
+
+  const g = await loadGroupForBudget(groupId);
+  const participants = groupParticipants(g);
+  const payer = from ? String(from) : String(userId);
+  const payee = to ? String(to) : '';
+  if (!isObjectId(payer) || !isObjectId(payee)) throw ApiError.badRequest('from and to must be user ids');
+  if (payer === payee) throw ApiError.badRequest('from and to must differ');
+  if (!participants.includes(payer) || !participants.includes(payee)) {
+    throw ApiError.badRequest('from and to must be group members');
+  }
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) throw ApiError.badRequest('amount must be a positive number');
+  assertOwnOr(access, userId, [payer, payee], 'settlements:manage');
+
+  const code = String(cur || baseCurrencyOf(g)).trim().toUpperCase();
+  await currency.convert(value, code, baseCurrencyOf(g)); // rejects currencies without a rate
+
+  const s = {
+    _id: new mongoose.Types.ObjectId(),
+    from: toObjectId(payer),
+    to: toObjectId(payee),
+    amount: value,
+    currency: code,
+    note: note || null,
+    settledAtISO: settledAtISO ? toISO(settledAtISO) : nowISO(),
+    createdBy: toObjectId(userId)
+  };
+  await TripGroup.updateOne(
+    { _id: groupId },
+    { $push: { 'budget.settlements': s }, $set: { updatedAtISO: nowISO() } }
+  );
+  return s;
+}
+
+async function removeSettlement(groupId, userId, settlementId) {
+  const access = await authorize(groupId, userId, 'settlements:record');
+  if (!access) return null;
+
+  const g = await TripGroup.findById(groupId).select({ 'budget.settlements': 1 }).lean();
+  const s = (g?.budget?.settlements || []).find((x) => String(x._id) === String(settlementId));
+  if (!s) return null;
+  assertOwnOr(access, userId, [s.createdBy], 'settlements:manage');
+
+  await TripGroup.updateOne(
+    { _id: groupId },
+    { $pull: { 'budget.settlements': { _id: s._id } }, $set: { updatedAtISO: nowISO() } }
+  );
+  return { id: String(s._id) };
 }
 
 // ---------- Checklist ----------
@@ -534,8 +983,8 @@ async function listChecklist(groupId, userId, { done, cursor, limit = 200 } = {}
 }
 
 async function addChecklistItem(groupId, userId, item) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'checklist:edit');
+  if (!access) return null;
 
   const c = {
     title: item.title,
@@ -553,8 +1002,8 @@ async function addChecklistItem(groupId, userId, item) {
 }
 
 async function updateChecklistItem(groupId, userId, itemId, patch = {}) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'checklist:edit');
+  if (!access) return null;
 
   const g = await TripGroup.findById(groupId).lean();
   const items = Array.isArray(g?.checklist) ? g.checklist.map((x) => ({ ...x })) : [];
@@ -576,8 +1025,8 @@ async function updateChecklistItem(groupId, userId, itemId, patch = {}) {
 }
 
 async function removeChecklistItem(groupId, userId, itemId) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'checklist:edit');
+  if (!access) return null;
 
   const updated = await TripGroup.findByIdAndUpdate(
     groupId,
@@ -596,8 +1045,8 @@ async function listDocuments(groupId, userId) {
 }
 
 async function addDocument(groupId, userId, doc) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'documents:add');
+  if (!access) return null;
 
   const d = {
     key: doc.key,
@@ -616,8 +1065,12 @@ async function addDocument(groupId, userId, doc) {
 }
 
 async function removeDocument(groupId, userId, docId) {
-  const ok = await ensureMember(groupId, userId);
-  if (!ok) return null;
+  const access = await authorize(groupId, userId, 'documents:add');
+  if (!access) return null;
+
+  const g = await TripGroup.findById(groupId).select({ documents: 1 }).lean();
+  const doc = (g?.documents || []).find((x) => String(x._id) === String(docId));
+  if (doc) assertOwnOr(access, userId, [doc.uploadedBy], 'documents:manage');
 
   const updated = await TripGroup.findByIdAndUpdate(
     groupId,
@@ -627,6 +1080,784 @@ async function removeDocument(groupId, userId, docId) {
   return updated;
 }
 
+// ---------- Invites ----------
+function newInviteToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+function publicInvite(inv) {
+  if (!inv) return inv;
+  const { tokenHash, ...rest } = inv;
+  return rest;
+}
+
+/**
+ * Invite people to a group by email (owner/admin only). Each invite carries an
+ * opaque token, stored only as its hash, mailed to the invitee and returned
+ * once here so the inviter can share the link; `emailed` is false when the
+ * mail could not be sent. Invites expire after PLANNING.INVITE_TTL_HOURS.
+ * Emails that are already members or already hold a live invite are reported
+ * in `skipped`; the uniq_pending_invite_per_group_email index backs this under
+ * concurrency.
+ */
+async function createInvites(groupId, userId, { emails = [], role = 'member', message } = {}) {
+  const access = await authorize(groupId, userId, 'invites:manage');
+  if (!access) return null;
+  const g = access.group;
+  if (!Object.values(GROUP_ROLES).includes(role)) throw ApiError.badRequest('role must be member, admin or viewer');
+  if (role === GROUP_ROLES.ADMIN && !can(access.role, 'admins:manage')) throw permissionDenied(access.role, 'admins:manage');
+
+  const list = Array.from(new Set((Array.isArray(emails) ? emails : [emails])
+    .map((e) => String(e || '').trim().toLowerCase())
+    .filter(Boolean)));
+  if (!list.length) throw ApiError.badRequest('emails is required');
+  if (list.length > PLANNING.MAX_INVITES_PER_REQUEST) {
+    throw ApiError.badRequest(`At most ${PLANNING.MAX_INVITES_PER_REQUEST} emails per request`);
+  }
+
+  const now = new Date();
+  // Lapsed pending invites no longer block a fresh one (TTL cleanup is not immediate)
+  await Invite.updateMany(
+    { groupId, inviteeEmail: { $in: list }, status: 'pending', expiresAt: { $lte: now } },
+    { $set: { status: 'expired', expiresAt: null } }
+  );
+
+  const memberIds = new Set([String(g.ownerId), ...(g.members || []).map(String)]);
+  const inviter = await User.findById(userId).select({ name: 1 }).lean();
+  const users = await User.find({ email: { $in: list } }).select({ _id: 1, email: 1 }).lean();
+  const userByEmail = new Map(users.map((u) => [String(u.email).toLowerCase(), u._id]));
+
+  const created = [];
+  const skipped = [];
+  for (const email of list) {
+    const inviteeUserId = userByEmail.get(email);
+    if (inviteeUserId && memberIds.has(String(inviteeUserId))) {
+      skipped.push({ email, reason: 'already_member' });
+      continue;
+    }
+    try {
+      const token = newInviteToken();
+      // eslint-disable-next-line no-await-in-loop
+      const inv = await Invite.create({
+        groupId,
+        inviterId: userId,
+        inviteeEmail: email,
+        inviteeUserId,
+        role,
+        tokenHash: hashInviteToken(token),
+        status: 'pending',
+        sentAt: now,
+        expiresAt: new Date(now.getTime() + PLANNING.INVITE_TTL_HOURS * 3600 * 1000),
+        message
+      });
+      const invite = publicInvite(inv.toObject());
+      // eslint-disable-next-line no-await-in-loop
+      const emailed = await mailService.sendGroupInviteEmail(invite, token, {
+        groupName: g.name,
+        inviterName: inviter?.name,
+        expiresInHours: PLANNING.INVITE_TTL_HOURS
+      }).then(() => true, (err) => {
+        console.warn(`Invite email to ${email} failed:`, err.message || err);
+        return false;
+      });
+      created.push({ ...invite, token, emailed });
+    } catch (err) {
+      if (err && err.code === 11000 && err.keyPattern?.inviteeEmail) {
+        skipped.push({ email, reason: 'already_invited' });
+      } else if (err && err.name === 'ValidationError') {
+        skipped.push({ email, reason: 'invalid_email' });
+      } else {
+        throw err;
+      }
+    }
+  }
+  return { created, skipped };
+}
+
+async function listInvites(groupId, userId, { status } = {}) {
+  if (!isObjectId(groupId)) return null;
+  const ok = await ensureMember(groupId, userId);
+  if (!ok) return null;
+
+  const match = { groupId };
+  if (status) match.status = { $in: String(status).split(',').map((s) => s.trim()).filter(Boolean) };
+  const items = await Invite.find(match).sort({ sentAt: -1 }).limit(500).lean();
+  const now = new Date();
+  // Report lapsed invites as expired even before the TTL monitor removes them
+  return items.map((inv) => (inv.status === 'pending' && inv.expiresAt && inv.expiresAt <= now ? { ...inv, status: 'expired' } : inv));
+}
+
+/**
+ * Revoke a pending invite (inviter, owner or admin).
+ */
+async function revokeInvite(inviteId, userId) {
+  if (!isObjectId(inviteId)) return null;
+  const inv = await Invite.findById(inviteId).lean();
+  if (!inv) return null;
+  const g = await TripGroup.findById(inv.groupId).select({ ownerId: 1, members: 1, roles: 1 }).lean();
+  const role = roleOf(g, userId);
+  if (String(inv.inviterId) !== String(userId) && !can(role, 'invites:manage')) {
+    throw role ? permissionDenied(role, 'invites:manage') : ApiError.forbidden('Only the inviter, owner or an admin can revoke');
+  }
+
+  const updated = await Invite.findOneAndUpdate(
+    { _id: inviteId, status: 'pending' },
+    { $set: { status: 'revoked', revokedAt: new Date(), expiresAt: null } },
+    { new: true }
+  ).lean();
+  if (!updated) throw ApiError.conflict(`Invite is already ${inv.status}`, { status: inv.status });
+  return updated;
+}
+
+/**
+ * Accept an invite by token. Every invite is addressed to an email, so the
+ * signed-in user must have that exact email; an account without one cannot
+ * accept. Accepting twice is a no-op. The member keeps a role they already
+ * hold; otherwise they get the invite's role.
+ */
+async function acceptInvite({ token, userId, email }) {
+  const inv = token ? await Invite.findOne({ tokenHash: hashInviteToken(token) }).lean() : null;
+  if (!inv) return null;
+
+  if (inv.status === 'accepted') {
+    if (String(inv.inviteeUserId) === String(userId)) return { groupId: inv.groupId, role: inv.role, alreadyAccepted: true };
+    throw ApiError.conflict('Invite was already used');
+  }
+  if (inv.status === 'revoked') throw ApiError.conflict('Invite was revoked');
+  if (inv.status === 'expired' || (inv.expiresAt && inv.expiresAt <= new Date())) {
+    await Invite.updateOne({ _id: inv._id, status: 'pending' }, { $set: { status: 'expired', expiresAt: null } });
+    throw new ApiError('Invite has expired', { status: 410, code: 'INVITE_EXPIRED' });
+  }
+  if (!email) throw ApiError.forbidden('Add the invited email address to your account to accept this invite');
+  if (String(email).trim().toLowerCase() !== inv.inviteeEmail) {
+    throw ApiError.forbidden('This invite was sent to a different email address');
+  }
+
+  const accepted = await Invite.findOneAndUpdate(
+    { _id: inv._id, status: 'pending' },
+    { $set: { status: 'accepted', acceptedAt: new Date(), inviteeUserId: userId, expiresAt: null } },
+    { new: true }
+  ).lean();
+  if (!accepted) throw ApiError.conflict('Invite was updated concurrently; retry');
+
+  const g = await TripGroup.findById(inv.groupId).select({ ownerId: 1, roles: 1 }).lean();
+  if (!g) throw ApiError.notFound('Group no longer exists');
+  const existingRole = (g.roles || {})[String(userId)];
+  const set = { updatedAtISO: nowISO() };
+  if (!existingRole && String(g.ownerId) !== String(userId)) set[`roles.${userId}`] = inv.role;
+
+  await TripGroup.updateOne({ _id: inv.groupId }, { $addToSet: { members: toObjectId(userId) }, $set: set });
+  return { groupId: inv.groupId, role: existingRole || inv.role, alreadyAccepted: false };
+}
+
+// ---------- Templates ----------
+function canSeeTemplate(tpl, userId) {
+  return tpl && (tpl.isPublic || (userId && String(tpl.authorId) === String(userId)));
+}
+function pickTemplateFields(payload = {}) {
+  const out = {};
+  for (const k of ['name', 'description', 'cover', 'destination', 'tags', 'themes', 'days', 'totalBudget', 'isPublic', 'metadata']) {
+    if (payload[k] !== undefined) out[k] = payload[k];
+  }
+  if (Array.isArray(out.days)) out.days = [...out.days].sort((a, b) => (a.dayNumber || 0) - (b.dayNumber || 0));
+  return out;
+}
+
+/**
+ * Browse public templates (plus the caller's own). `cursor` is the offset
+ * returned as nextCursor; `q` uses the weighted text index.
+ */
+async function listTemplates({ userId, q, destination, tags, themes, cursor, limit = 20 } = {}) {
+  const l = Math.min(coerceInt(limit, 20), 100);
+  const skip = Math.max(parseInt(cursor, 10) || 0, 0);
+  const csv = (v) => (Array.isArray(v) ? v : String(v || '').split(',')).map((s) => String(s).trim()).filter(Boolean);
+
+  const match = userId && isObjectId(userId)
+    ? { $or: [{ isPublic: true }, { authorId: toObjectId(userId) }] }
+    : { isPublic: true };
+  if (q) match.$text = { $search: String(q) };
+  if (destination) match.destination = new RegExp(sanitizeRegex(destination), 'i');
+  if (csv(tags).length) match.tags = { $in: csv(tags) };
+  if (csv(themes).length) match.themes = { $in: csv(themes) };
+
+  const projection = q ? { days: 0, score: { $meta: 'textScore' } } : { days: 0 };
+  const sort = q ? { score: { $meta: 'textScore' }, popularity: -1 } : { popularity: -1, updatedAt: -1, _id: -1 };
+
+  const rows = await PlanningTemplate.find(match, projection).sort(sort).skip(skip).limit(l + 1).lean();
+  const hasMore = rows.length > l;
+  const items = rows.slice(0, l);
+  return { items, hasMore, nextCursor: hasMore ? String(skip + l) : null };
+}
+
+async function getTrendingTemplates({ limit = 10 } = {}) {
+  const l = Math.min(coerceInt(limit, 10), 50);
+  return PlanningTemplate.find({ isPublic: true }, { days: 0 })
+    .sort({ popularity: -1, useCount: -1, viewCount: -1 })
+    .limit(l)
+    .lean();
+}
+
+async function getTemplateById(templateId, userId) {
+  if (!isObjectId(templateId)) return null;
+  const tpl = await PlanningTemplate.findById(templateId).lean();
+  if (!canSeeTemplate(tpl, userId)) return null;
+  await PlanningTemplate.updateOne({ _id: tpl._id }, { $inc: { viewCount: 1 } });
+  return tpl;
+}
+
+async function getTemplateGeoJSON(templateId, userId) {
+  if (!isObjectId(templateId)) return null;
+  const tpl = await PlanningTemplate.findById(templateId).select({ days: 1, isPublic: 1, authorId: 1 }).lean();
+  if (!canSeeTemplate(tpl, userId)) return null;
+
+  const features = [];
+  for (const day of tpl.days || []) {
+    for (const it of day.items || []) {
+      if (it.location?.type === 'Point' && Array.isArray(it.location.coordinates)) {
+        features.push({
+          type: 'Feature',
+          geometry: it.location, // [lng, lat]
+          properties: { title: it.title, type: it.type || null, dayNumber: day.dayNumber, seq: it.seq || 0 }
+        });
+      }
+    }
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+async function createTemplate(userId, payload = {}) {
+  const fields = pickTemplateFields(payload);
+  if (!fields.name) throw ApiError.badRequest('name is required');
+  // save() runs the hooks that maintain slug and totalDays
+  const doc = await PlanningTemplate.create({ ...fields, authorId: toObjectId(userId), isPublic: fields.isPublic !== false });
+  return doc.toObject();
+}
+
+async function updateTemplate(templateId, userId, patch = {}) {
+  if (!isObjectId(templateId)) return null;
+  const doc = await PlanningTemplate.findById(templateId);
+  if (!doc || !canSeeTemplate(doc, userId)) return null;
+  if (String(doc.authorId) !== String(userId)) throw ApiError.forbidden('Only the author can edit this template');
+
+  doc.set(pickTemplateFields(patch));
+  await doc.save();
+  return doc.toObject();
+}
+
+async function deleteTemplate(templateId, userId) {
+  if (!isObjectId(templateId)) return null;
+  const tpl = await PlanningTemplate.findById(templateId).select({ authorId: 1, isPublic: 1 }).lean();
+  if (!tpl || !canSeeTemplate(tpl, userId)) return null;
+  if (String(tpl.authorId) !== String(userId)) throw ApiError.forbidden('Only the author can delete this template');
+
+  await PlanningTemplate.deleteOne({ _id: templateId });
+  return { ok: true, id: String(templateId) };
+}
+
+// Time of day from "HH:mm" or a full ISO timestamp (UTC wall clock)
+function timeOfDay(v) {
+  if (!v) return null;
+  const m = /^(\d{1,2}):(\d{2})/.exec(String(v));
+  if (m) return { h: Number(m[1]), m: Number(m[2]) };
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : { h: d.getUTCHours(), m: d.getUTCMinutes() };
+}
+function dayStart(d) {
+  const z = new Date(d);
+  z.setUTCHours(0, 0, 0, 0);
+  return z;
+}
+function atDay(base, dayOffset, tod) {
+  const d = dayStart(base);
+  d.setUTCDate(d.getUTCDate() + dayOffset);
+  if (tod) d.setUTCHours(tod.h, tod.m, 0, 0);
+  return d;
+}
+
+/**
+ * Materialize a template's days into a group itinerary. Template day N lands
+ * on dayOffset N-1 from the group's startDate (shifted when `startDate` is
+ * later than the group start); item times keep their time of day on the new
+ * date. Without a groupId a new group is created from the template.
+ * - mergeStrategy: 'append' keeps existing items, 'replace' clears them
+ */
+async function applyTemplate(templateId, userId, { groupId, mergeStrategy = 'append', startDate } = {}) {
+  if (!isObjectId(templateId)) return null;
+  if (!['append', 'replace'].includes(mergeStrategy)) throw ApiError.badRequest("mergeStrategy must be 'append' or 'replace'");
+  const from = startDate ? new Date(startDate) : null;
+  if (from && Number.isNaN(from.getTime())) throw ApiError.badRequest('startDate must be an ISO 8601 date');
+
+  const tpl = await PlanningTemplate.findById(templateId).lean();
+  if (!canSeeTemplate(tpl, userId)) return null;
+  const days = [...(tpl.days || [])].sort((a, b) => a.dayNumber - b.dayNumber);
+  const span = days.length ? days[days.length - 1].dayNumber : 0;
+
+  let group;
+  if (groupId) {
+    if (!(await authorize(groupId, userId, 'itinerary:edit'))) return null;
+    group = await TripGroup.findById(groupId).lean();
+  } else {
+    group = await createGroup({
+      ownerId: userId,
+      name: tpl.name,
+      cover: tpl.cover,
+      settings: { destination: tpl.destination, currency: tpl.totalBudget?.currency },
+      startDate: from,
+      endDate: from && span ? atDay(from, span - 1) : null
+    });
+  }
+
+  const base = group.startDate || from;
+  const shift = base && from && group.startDate
+    ? Math.max(0, Math.round((dayStart(from) - dayStart(group.startDate)) / 86400000))
+    : 0;
+
+  const existing = mergeStrategy === 'replace' ? [] : (group.itinerary || []);
+  const seqByDay = new Map();
+  for (const it of existing) seqByDay.set(it.dayOffset || 0, Math.max(seqByDay.get(it.dayOffset || 0) || 0, (it.seq || 0) + 1));
+
+  const added = [];
+  for (const day of days) {
+    const dayOffset = shift + day.dayNumber - 1;
+    const items = [...(day.items || [])].sort((a, b) => (a.seq || 0) - (b.seq || 0));
+    for (const it of items) {
+      const seq = seqByDay.get(dayOffset) || 0;
+      seqByDay.set(dayOffset, seq + 1);
+
+      const startTod = base ? timeOfDay(it.startISO) : null;
+      const endTod = base ? timeOfDay(it.endISO) : null;
+      const start = startTod ? atDay(base, dayOffset, startTod) : null;
+      let end = endTod ? atDay(base, dayOffset, endTod) : null;
+      if (!end && start && it.durationMin) end = new Date(start.getTime() + it.durationMin * 60000);
+      if (start && end && end <= start) end = new Date(end.getTime() + 86400000); // runs past midnight
+
+      added.push({
+        _id: new mongoose.Types.ObjectId(),
+        dayOffset,
+        seq,
+        title: it.title,
+        type: it.type || 'activity',
+        entityType: it.entityType || null,
+        entityId: it.entityId || null,
+        startISO: start ? toISO(start) : null,
+        endISO: end ? toISO(end) : null,
+        durationMin: it.durationMin || null,
+        location: it.location || null,
+        address: it.address || null,
+        notes: it.notes || null,
+        tags: it.tags || [],
+        photos: it.photos || [],
+        meta: { ...(it.meta || {}), templateId: String(tpl._id), templateDay: day.dayNumber, budget: it.budget || null }
+      });
+    }
+  }
+
+  const set = { itinerary: reindexItinerary([...existing, ...added]), updatedAtISO: nowISO() };
+  if (base && !group.startDate) set.startDate = base;
+  if (base && span) {
+    const lastDay = atDay(base, shift + span - 1);
+    if (!group.endDate || new Date(group.endDate) < lastDay) set.endDate = lastDay;
+  }
+
+  const updated = await TripGroup.findByIdAndUpdate(group._id, { $set: set }, { new: true }).lean();
+  await PlanningTemplate.updateOne({ _id: tpl._id }, { $inc: { useCount: 1, popularity: 1 } });
+  return { group: updated, added: added.length, createdGroup: !groupId };
+}
+
+// ---------- Itinerary drafts (AI plans, saved journeys) ----------
+const DAY_MS = 86400000;
+
+// Catalogue refs ({ type, id } as returned by the assistant and search) -> itinerary links
+const DRAFT_ENTITIES = {
+  places: { entityType: 'place', itemType: 'place', model: () => Place, filter: { isActive: true, isApproved: true }, select: 'name location regionPath' },
+  activities: { entityType: 'activity', itemType: 'activity', model: () => Activity, filter: { isActive: true }, select: 'name location address duration' },
+  hotels: { entityType: 'hotel', itemType: 'stay', model: () => Hotel, filter: { isActive: true }, select: 'name location address city' },
+  restaurants: { entityType: 'restaurant', itemType: 'food', model: () => Restaurant, filter: { isActive: true }, select: 'name location address' }
+};
+const REF_TYPE_ALIASES = { place: 'places', activity: 'activities', hotel: 'hotels', restaurant: 'restaurants' };
+
+function refKey(ref) {
+  const type = REF_TYPE_ALIASES[ref?.type] || ref?.type;
+  return DRAFT_ENTITIES[type] && isObjectId(ref?.id) ? `${type}:${ref.id}` : null;
+}
+function daysBetween(a, b) {
+  return Math.round((dayStart(a) - dayStart(b)) / DAY_MS);
+}
+function parseDay(v, field) {
+  const d = /^\d{4}-\d{2}-\d{2}/.test(String(v || '')) ? new Date(String(v).slice(0, 10)) : null;
+  if (!d || Number.isNaN(d.getTime())) throw ApiError.badRequest(`${field} must be an ISO 8601 date`);
+  return d;
+}
+
+async function resolveRefs(refs) {
+  const byType = new Map();
+  for (const ref of refs) {
+    const key = refKey(ref);
+    if (!key) continue;
+    const [type, id] = key.split(':');
+    if (!byType.has(type)) byType.set(type, new Set());
+    byType.get(type).add(id);
+  }
+  const docs = new Map();
+  for (const [type, ids] of byType) {
+    const src = DRAFT_ENTITIES[type];
+    const Model = src.model();
+    if (!Model) continue;
+    const rows = await Model.find({ _id: { $in: [...ids] }, ...src.filter }).select(src.select).lean();
+    for (const doc of rows) docs.set(`${type}:${doc._id}`, doc);
+  }
+  return docs;
+}
+
+function linkedItem(key, doc, fields) {
+  const src = DRAFT_ENTITIES[key.split(':')[0]];
+  const c = doc.location?.coordinates;
+  const city = doc.address?.city || doc.city || null;
+  const minutes = (doc.duration?.hours || 0) * 60 + (doc.duration?.minutes || 0);
+  return {
+    title: doc.name,
+    type: src.itemType,
+    entityType: src.entityType,
+    entityId: doc._id,
+    durationMin: minutes || null,
+    location: Array.isArray(c) && c.length === 2 ? { type: 'Point', coordinates: c } : null,
+    address: doc.address ? { ...doc.address } : (city ? { city } : null),
+    ...fields
+  };
+}
+
+/**
+ * Normalize a source into plain entries:
+ *   { day, ref?, title?, type?, startISO?, endISO?, notes?, meta? }
+ * `day` is relative to the draft's first day (or an absolute date for day plans).
+ */
+async function draftEntries({ source, idea, plan, journeyId, stopsPerDay }, userId) {
+  if (source === 'trip_idea') {
+    if (!idea || !Array.isArray(idea.days) || !idea.days.length) throw ApiError.badRequest('idea.days is required');
+    if (idea.days.length > PLANNING.DRAFT_MAX_DAYS) throw ApiError.badRequest(`A draft covers at most ${PLANNING.DRAFT_MAX_DAYS} days`);
+    const entries = [];
+    idea.days.forEach((d, day) => {
+      for (const ref of Array.isArray(d?.stops) ? d.stops : []) entries.push({ day, ref, meta: d.theme ? { theme: String(d.theme).slice(0, 60) } : {} });
+    });
+    if (idea.stay) entries.push({ day: 0, ref: idea.stay, stay: true });
+    return { entries, title: idea.title ? String(idea.title).slice(0, 200) : 'Trip idea', provider: idea.provider };
+  }
+
+  if (source === 'day_plan') {
+    const plans = Array.isArray(plan) ? plan : (plan ? [plan] : []);
+    if (!plans.length) throw ApiError.badRequest('plan is required');
+    if (plans.length > PLANNING.DRAFT_MAX_DAYS) throw ApiError.badRequest(`A draft covers at most ${PLANNING.DRAFT_MAX_DAYS} days`);
+    const entries = [];
+    for (const p of plans) {
+      const date = parseDay(p?.date, 'plan.date');
+      let travelMode = null;
+      for (const b of Array.isArray(p.blocks) ? p.blocks : []) {
+        // Travel blocks become the next stop's travel mode; the itinerary checks time the transfer
+        if (b?.kind === 'travel') {
+          travelMode = ITINERARY.MODE_KMPH[b.mode] ? b.mode : null;
+          continue;
+        }
+        if (!['visit', 'meal'].includes(b?.kind)) continue;
+        const start = new Date(b.startISO);
+        const end = new Date(b.endISO);
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+          throw ApiError.badRequest('Each plan block needs valid startISO and endISO');
+        }
+        entries.push({
+          date,
+          ref: b.ref || null,
+          title: b.ref ? null : String(b.title || (b.kind === 'meal' ? 'Meal' : 'Visit')).slice(0, 200),
+          type: b.kind === 'meal' ? 'food' : 'custom',
+          startISO: toISO(start),
+          endISO: toISO(end),
+          notes: b.note ? String(b.note).slice(0, 500) : null,
+          meta: travelMode ? { travelMode } : {}
+        });
+        travelMode = null;
+      }
+    }
+    const first = plans.map((p) => p.date).sort()[0];
+    return { entries, title: `Day plan${plans.length > 1 ? 's' : ''} from ${first}`, provider: plans[0].provider };
+  }
+
+  if (source === 'journey') {
+    if (!isObjectId(journeyId)) throw ApiError.badRequest('journeyId is required');
+    const journey = await Journey.findOne({ _id: journeyId, userId }).lean();
+    if (!journey) throw ApiError.notFound('Journey not found');
+    const perDay = Math.min(coerceInt(stopsPerDay, 4), 10);
+    const stops = [...(journey.suggestedPlaces || [])].sort((a, b) => (b.score || 0) - (a.score || 0));
+    const entries = stops
+      .slice(0, perDay * PLANNING.DRAFT_MAX_DAYS)
+      .map((s, i) => ({ day: Math.floor(i / perDay), ref: { type: 'places', id: String(s.placeId) }, notes: s.snippet || null }));
+    if (!entries.length) throw ApiError.unprocessable('The journey has no suggested places');
+    return { entries, title: journey.queryText, provider: journey.provider, journeyId: journey._id };
+  }
+
+  throw ApiError.badRequest(`source must be one of: ${PLANNING.DRAFT_SOURCES.join(', ')}`);
+}
+
+// Start/end dates the group will have once the draft is committed
+function datesAfterCommit(g, draft) {
+  const startDate = g.startDate || draft.startDate || null;
+  let endDate = g.endDate || null;
+  if (startDate && draft.items.length) {
+    const lastDay = atDay(startDate, Math.max(...draft.items.map((it) => it.dayOffset || 0)));
+    if (!endDate || new Date(endDate) < lastDay) endDate = lastDay;
+  }
+  return { startDate, endDate };
+}
+
+function publicDraft(d) {
+  return {
+    _id: d._id,
+    groupId: d.groupId,
+    source: d.source,
+    status: d.status,
+    mergeStrategy: d.mergeStrategy,
+    startDate: d.startDate || null,
+    items: d.items,
+    unresolved: d.unresolved || [],
+    unscheduled: d.unscheduled || [],
+    createdBy: d.createdBy,
+    createdAt: d.createdAt,
+    expiresAt: d.expiresAt || null,
+    committedAt: d.committedAt || null,
+    undoneAt: d.undoneAt || null
+  };
+}
+
+// Conflicts the draft's items would have in the group as it is now
+async function previewDraft(g, draft) {
+  const kept = draft.mergeStrategy === 'replace' ? [] : (g.itinerary || []);
+  const conflicts = await checkItinerary(datesAfterCommit(g, draft), [...kept, ...draft.items], {
+    itemIds: draft.items.map((it) => String(it._id))
+  });
+  return {
+    draft: publicDraft(draft),
+    conflicts,
+    replaces: draft.mergeStrategy === 'replace' ? (g.itinerary || []).length : 0
+  };
+}
+
+/**
+ * Build a previewable draft from an assistant trip idea, one or more day
+ * plans, or a saved Journey. Catalogue refs become entityType/entityId
+ * links with the entity's own name, pin and address; refs that no longer
+ * resolve are listed in `unresolved` instead of being added. Untimed stops
+ * are auto-scheduled when the trip has a start date (day plans keep their
+ * times). Nothing touches the group until commitItineraryDraft.
+ */
+async function createItineraryDraft(groupId, userId, body = {}) {
+  const access = await authorize(groupId, userId, 'itinerary:edit');
+  if (!access) return null;
+  const { mergeStrategy = 'append', startDate, dayStart: winStart, dayEnd: winEnd } = body;
+  if (!['append', 'replace'].includes(mergeStrategy)) throw ApiError.badRequest("mergeStrategy must be 'append' or 'replace'");
+  const from = startDate ? parseDay(startDate, 'startDate') : null;
+
+  const g = await TripGroup.findById(groupId).lean();
+  const { entries, title, provider, journeyId } = await draftEntries(body, userId);
+
+  // Day 0 of the group; day plans carry their own dates
+  const planDates = entries.filter((e) => e.date).map((e) => e.date);
+  const base = g.startDate || from || (planDates.length ? new Date(Math.min(...planDates)) : null);
+  const shift = g.startDate && from ? daysBetween(from, g.startDate) : 0;
+  if (shift < 0) throw ApiError.unprocessable('startDate is before the trip starts');
+  const dayOffsetOf = (e) => (e.date ? daysBetween(e.date, base) : shift + e.day);
+  if (entries.some((e) => dayOffsetOf(e) < 0)) throw ApiError.unprocessable('The plan starts before the trip does');
+
+  const docs = await resolveRefs(entries.map((e) => e.ref).filter(Boolean));
+  const existing = mergeStrategy === 'replace' ? [] : (g.itinerary || []);
+  const seqByDay = new Map();
+  for (const it of existing) seqByDay.set(it.dayOffset || 0, Math.max(seqByDay.get(it.dayOffset || 0) || 0, (it.seq || 0) + 1));
+
+  const items = [];
+  const unresolved = [];
+  const stays = [];
+  for (const e of entries) {
+    const dayOffset = dayOffsetOf(e);
+    const key = e.ref ? refKey(e.ref) : null;
+    const doc = key && docs.get(key);
+    if (e.ref && !doc) {
+      unresolved.push({ type: e.ref.type || null, id: e.ref.id || null, name: e.ref.name || null, reason: key ? 'not_found_or_inactive' : 'invalid_ref' });
+      continue;
+    }
+    const seq = seqByDay.get(dayOffset) || 0;
+    seqByDay.set(dayOffset, seq + 1);
+    const fields = {
+      _id: new mongoose.Types.ObjectId(),
+      dayOffset,
+      seq,
+      startISO: e.startISO || null,
+      endISO: e.endISO || null,
+      notes: e.notes || null,
+      tags: e.stay ? ['stay'] : [],
+      photos: [],
+      meta: { ...(e.meta || {}), draftSource: body.source }
+    };
+    const item = doc
+      ? linkedItem(key, doc, fields)
+      : { title: e.title, type: e.type || 'custom', entityType: null, entityId: null, durationMin: null, location: null, address: null, ...fields };
+    if (item.startISO && item.endISO) item.durationMin = Math.round((Date.parse(item.endISO) - Date.parse(item.startISO)) / 60000);
+    if (e.stay) item.title = `Stay at ${item.title}`;
+    (e.stay ? stays : items).push(item);
+  }
+  if (!items.length && !stays.length) throw ApiError.unprocessable('None of the plan\'s places could be found', { unresolved });
+
+  // Fit untimed stops around the group's timed items; stays stay untimed
+  const unscheduled = [];
+  if (base) {
+    const fixed = existing.filter((it) => schedule.spanOf(it));
+    const places = await loadLinkedPlaces([...fixed, ...items]);
+    for (const dayOffset of [...new Set(items.filter((it) => !it.startISO).map((it) => it.dayOffset))]) {
+      const plan = schedule.autoScheduleDay([...fixed, ...items], { dayOffset, startDate: base, places, dayStart: winStart, dayEnd: winEnd });
+      if (!plan) throw ApiError.badRequest('dayStart and dayEnd must be HH:MM times');
+      for (const it of items) {
+        const slot = plan.assignments.get(String(it._id));
+        if (slot) Object.assign(it, slot, { meta: { ...it.meta, autoScheduled: true } });
+      }
+      unscheduled.push(...plan.unscheduled);
+    }
+  }
+
+  const draft = await ItineraryDraft.create({
+    groupId,
+    createdBy: userId,
+    source: { kind: body.source, title, journeyId, provider: provider ? String(provider).slice(0, 40) : undefined },
+    mergeStrategy,
+    startDate: base,
+    items: [...items, ...stays],
+    unresolved,
+    unscheduled,
+    expiresAt: new Date(Date.now() + PLANNING.DRAFT_TTL_DAYS * DAY_MS)
+  });
+  return previewDraft(g, draft.toObject());
+}
+
+async function listItineraryDrafts(groupId, userId, { status } = {}) {
+  if (!(await ensureMember(groupId, userId))) return null;
+  if (status && !PLANNING.DRAFT_STATUS.includes(status)) {
+    throw ApiError.badRequest(`status must be one of: ${PLANNING.DRAFT_STATUS.join(', ')}`);
+  }
+  const drafts = await ItineraryDraft.find({ groupId, ...(status ? { status } : {}) })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .lean();
+  return drafts.map(publicDraft);
+}
+
+async function getItineraryDraft(groupId, userId, draftId) {
+  if (!isObjectId(draftId) || !(await ensureMember(groupId, userId))) return null;
+  const draft = await ItineraryDraft.findOne({ _id: draftId, groupId }).lean();
+  if (!draft) return null;
+  if (draft.status !== 'draft') return { draft: publicDraft(draft), conflicts: [], replaces: 0 };
+  const g = await TripGroup.findById(groupId).select({ itinerary: 1, startDate: 1, endDate: 1 }).lean();
+  return previewDraft(g, draft);
+}
+
+// Move a draft from one status to the next, or explain why it cannot
+async function claimDraft(groupId, draftId, fromStatus, update) {
+  if (!isObjectId(draftId)) return null;
+  const draft = await ItineraryDraft.findOneAndUpdate({ _id: draftId, groupId, status: fromStatus }, update, { new: true }).lean();
+  if (draft) return draft;
+  const current = await ItineraryDraft.findOne({ _id: draftId, groupId }).select({ status: 1 }).lean();
+  if (!current) return null;
+  throw ApiError.conflict(`Draft is ${current.status}`, { status: current.status });
+}
+
+/**
+ * Write a draft's items into the group itinerary (replacing it with
+ * mergeStrategy 'replace') and fill in missing trip dates. With `strict`,
+ * error-level conflicts reject the commit with a 409 and the draft stays
+ * open. Everything needed to undo is kept on the draft.
+ */
+async function commitItineraryDraft(groupId, userId, draftId, { strict } = {}) {
+  const access = await authorize(groupId, userId, 'itinerary:edit');
+  if (!access) return null;
+  const draft = await claimDraft(groupId, draftId, 'draft', {
+    $set: { status: 'committed', committedAt: new Date(), committedBy: userId },
+    $unset: { expiresAt: 1 }
+  });
+  if (!draft) return null;
+
+  try {
+    const g = await TripGroup.findById(groupId).lean();
+    const replace = draft.mergeStrategy === 'replace';
+    const kept = replace ? [] : (g.itinerary || []);
+    const dates = datesAfterCommit(g, draft);
+    const conflicts = await checkItinerary(dates, [...kept, ...draft.items], {
+      itemIds: draft.items.map((it) => String(it._id)),
+      strict
+    });
+
+    const set = { itinerary: reindexItinerary([...kept, ...draft.items]), updatedAtISO: nowISO() };
+    const applied = {};
+    if (dates.startDate && !g.startDate) applied.startDate = set.startDate = dates.startDate;
+    if (dates.endDate && String(dates.endDate) !== String(g.endDate)) applied.endDate = set.endDate = dates.endDate;
+
+    const updated = await TripGroup.findByIdAndUpdate(groupId, { $set: set }, { new: true }).lean();
+    await ItineraryDraft.updateOne({ _id: draft._id }, {
+      $set: {
+        addedItemIds: draft.items.map((it) => it._id),
+        ...(replace ? { replacedItems: g.itinerary || [] } : {}),
+        previousDates: { startDate: g.startDate || null, endDate: g.endDate || null },
+        appliedDates: applied
+      }
+    });
+    return { group: updated, added: draft.items.length, replaced: replace ? (g.itinerary || []).length : 0, conflicts };
+  } catch (err) {
+    await ItineraryDraft.updateOne(
+      { _id: draft._id, status: 'committed' },
+      { $set: { status: 'draft', expiresAt: new Date(Date.now() + PLANNING.DRAFT_TTL_DAYS * DAY_MS) }, $unset: { committedAt: 1, committedBy: 1 } }
+    );
+    throw err;
+  }
+}
+
+/**
+ * Reverse a commit: the draft's items go (edited or not), items it replaced
+ * come back, and trip dates it set are restored unless changed since.
+ * Items added to the itinerary after the commit are left alone.
+ */
+async function undoItineraryDraft(groupId, userId, draftId) {
+  const access = await authorize(groupId, userId, 'itinerary:edit');
+  if (!access) return null;
+  const draft = await claimDraft(groupId, draftId, 'committed', {
+    $set: { status: 'undone', undoneAt: new Date(), undoneBy: userId }
+  });
+  if (!draft) return null;
+
+  const g = await TripGroup.findById(groupId).lean();
+  const added = new Set((draft.addedItemIds || []).map(String));
+  const remaining = (g.itinerary || []).filter((it) => !added.has(String(it._id)));
+  const present = new Set(remaining.map((it) => String(it._id)));
+  const restored = (draft.replacedItems || []).filter((it) => !present.has(String(it._id)));
+
+  const set = { itinerary: reindexItinerary([...remaining, ...restored]), updatedAtISO: nowISO() };
+  const unset = {};
+  for (const field of ['startDate', 'endDate']) {
+    const applied = draft.appliedDates?.[field];
+    if (!applied || String(new Date(applied)) !== String(g[field] && new Date(g[field]))) continue;
+    if (draft.previousDates?.[field]) set[field] = draft.previousDates[field];
+    else unset[field] = 1;
+  }
+
+  const updated = await TripGroup.findByIdAndUpdate(
+    groupId,
+    { $set: set, ...(Object.keys(unset).length ? { $unset: unset } : {}) },
+    { new: true }
+  ).lean();
+  return { group: updated, removed: (g.itinerary || []).length - remaining.length, restored: restored.length };
+}
+
+async function discardItineraryDraft(groupId, userId, draftId) {
+  const access = await authorize(groupId, userId, 'itinerary:edit');
+  if (!access) return null;
+  const draft = await claimDraft(groupId, draftId, 'draft', { $set: { status: 'discarded' } });
+  return draft ? publicDraft(draft) : null;
+}
+
 // ---------- GeoJSON export (RFC 7946) ----------
 async function getGroupGeoJSON(groupId, userId) {
   const ok = await ensureMember(groupId, userId);
@@ -699,6 +1930,13 @@ async function exportICal(groupId, userId) {
 }
 
 module.exports = {
+  // Access
+  ensureMember,
+  ensureAdmin,
+  roleOf,
+  can,
+  authorize,
+
   // Groups
   listGroups,
   createGroup,
@@ -718,6 +1956,8 @@ module.exports = {
   updateItineraryItem,
   removeItineraryItem,
   reorderItinerary,
+  getItineraryConflicts,
+  autoScheduleDay,
 
   // Expenses
   listExpenses,
@@ -726,6 +1966,14 @@ module.exports = {
   removeExpense,
   getExpenseSummary,
 
+  // Balances & settle-up
+  computeBalances,
+  planSettlements,
+  getSettleUp,
+  listSettlements,
+  addSettlement,
+  removeSettlement,
+
   // Checklist
   listChecklist,
   addChecklistItem,
@@ -737,6 +1985,30 @@ module.exports = {
   addDocument,
   removeDocument,
 
+  // Invites
+  createInvites,
+  listInvites,
+  revokeInvite,
+  acceptInvite,
+
+  // Templates
+  listTemplates,
+  getTrendingTemplates,
+  getTemplateById,
+  getTemplateGeoJSON,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  applyTemplate,
+
+  // Itinerary drafts
+  createItineraryDraft,
+  listItineraryDrafts,
+  getItineraryDraft,
+  commitItineraryDraft,
+  undoItineraryDraft,
+  discardItineraryDraft,
+
   // Exports
   getGroupGeoJSON,
   exportICal
@@ -0,0 +1,363 @@
+// backend/services/recommendationService.js
+
+'use strict';
+
+const Place = require('../models/place');
+const Wishlist = require('../models/wishlist');
+const Favorite = require('../models/Favorite');
+const History = require('../models/History');
+const Reaction = require('../models/social/Reaction');
+const Post = require('../models/social/Post');
+const { DISCOVERY } = require('../utils/constants');
+
+const W = DISCOVERY.SIGNAL_WEIGHTS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EARTH_RADIUS_KM = 6371;
+const PLACE_FIELDS = 'name category emotion tags regionPath regionRef location coverImage rating reviewCount featured createdAt';
+// History actions that say something about taste, mapped to signal names
+const HISTORY_SIGNALS = { viewed: 'viewed', visited: 'visited', booked: 'booked', completed: 'visited' };
+
+// ---------- Helpers ----------
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+function pointOf(place) {
+  const c = place && place.location && place.location.coordinates;
+  return Array.isArray(c) && c.length === 2 && c.every(Number.isFinite) ? { lng: c[0], lat: c[1] } : null;
+}
+function distanceKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+// Exponential decay: a signal HALF_LIFE_DAYS old weighs half
+function decay(at, now) {
+  const ageDays = Math.max(0, (now.getTime() - new Date(at || now).getTime()) / DAY_MS);
+  return 0.5 ** (ageDays / DISCOVERY.HALF_LIFE_DAYS);
+}
+function lowerTags(place) {
+  return (place.tags || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+}
+function quality(place) {
+  return ((place.rating || 0) / 5) * Math.log1p(place.reviewCount || 0);
+}
+function topKeys(weights, n) {
+  return Object.entries(weights)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, n)
+    .map(([k]) => k);
+}
+
+// ---------- Profile (pure) ----------
+/**
+ * Fold raw signals into taste weights. Pure and deterministic for a given
+ * `now`, so it can be exercised without a database.
+ *
+ *   signals.preferences: User.preferences (emotions)
+ *   signals.events:      [{ place, source, at }], source a DISCOVERY.SIGNAL_WEIGHTS key
+ *
+ * Returns { emotions, categories, tags, preferred, seen, saved, anchor }:
+ * saved places newest first (seeds for "Because you saved X") and the most
+ * recently touched place with coordinates (fallback for "Popular near").
+ */
+function buildProfile({ preferences = [], events = [] } = {}, { now = new Date() } = {}) {
+  const emotions = {};
+  const categories = {};
+  const tags = {};
+  const add = (bucket, key, w) => {
+    if (key) bucket[key] = (bucket[key] || 0) + w;
+  };
+
+  for (const e of preferences) add(emotions, e, W.preference);
+
+  const seen = new Set();
+  const savedById = new Map();
+  let anchor = null;
+  const ordered = [...events].sort((a, b) => new Date(b.at) - new Date(a.at));
+  for (const ev of ordered) {
+    const p = ev.place;
+    if (!p) continue;
+    const w = (W[ev.source] || 0) * decay(ev.at, now);
+    add(emotions, p.emotion, w);
+    add(categories, p.category, w);
+    for (const t of lowerTags(p)) add(tags, t, w / 2);
+
+    const id = String(p._id);
+    seen.add(id);
+    if (DISCOVERY.SAVED_SOURCES.includes(ev.source) && !savedById.has(id)) savedById.set(id, p);
+    if (!anchor && pointOf(p)) anchor = p;
+  }
+
+  return {
+    emotions,
+    categories,
+    tags,
+    preferred: new Set(preferences),
+    seen,
+    saved: [...savedById.values()],
+    anchor
+  };
+}
+
+// ---------- Scorers (pure) ----------
+// Each returns { score, reasons } for one candidate place.
+
+/**
+ * Taste match: emotion, category and tag weights plus a small quality term.
+ */
+function affinity(place, profile) {
+  const parts = [];
+  const e = profile.emotions[place.emotion] || 0;
+  if (e > 0) {
+    parts.push({
+      w: e,
+      reason: profile.preferred.has(place.emotion)
+        ? `Matches your interest in ${place.emotion}`
+        : `You often explore ${place.emotion} places`
+    });
+  }
+  const c = profile.categories[place.category] || 0;
+  if (c > 0) parts.push({ w: c, reason: `You like ${place.category}` });
+  const tagHits = lowerTags(place)
+    .map((t) => ({ t, w: profile.tags[t] || 0 }))
+    .filter((x) => x.w > 0)
+    .sort((a, b) => b.w - a.w || a.t.localeCompare(b.t));
+  const t = tagHits.reduce((n, x) => n + x.w, 0);
+  if (t > 0) parts.push({ w: t, reason: `Tagged ${tagHits.slice(0, 2).map((x) => x.t).join(', ')}` });
+
+  parts.sort((a, b) => b.w - a.w);
+  return {
+    score: parts.reduce((n, x) => n + x.w, 0) + quality(place),
+    reasons: parts.map((x) => x.reason)
+  };
+}
+
+/**
+ * Likeness to a saved place: same category/emotion, shared tags, same
+ * district and distance.
+ */
+function similarity(place, seed) {
+  const parts = [];
+  if (place.category && place.category === seed.category) parts.push({ w: 1, reason: `Also in ${place.category}` });
+  if (place.emotion && place.emotion === seed.emotion) parts.push({ w: 1, reason: `Also ${place.emotion}` });
+
+  const seedTags = new Set(lowerTags(seed));
+  const shared = lowerTags(place).filter((t) => seedTags.has(t));
+  if (shared.length) {
+    const union = new Set([...seedTags, ...lowerTags(place)]).size;
+    parts.push({ w: (2 * shared.length) / union, reason: `Shares ${shared.slice(0, 2).join(', ')}` });
+  }
+
+  const district = seed.regionRef && seed.regionRef.district;
+  if (district && place.regionRef && String(place.regionRef.district) === String(district)) {
+    parts.push({ w: 0.5, reason: 'Same district' });
+  }
+
+  const a = pointOf(place);
+  const b = pointOf(seed);
+  if (a && b) {
+    const d = distanceKm(a, b);
+    if (d < DISCOVERY.SIMILAR_RADIUS_KM) parts.push({ w: 1 - d / DISCOVERY.SIMILAR_RADIUS_KM, reason: `${round1(d)} km from ${seed.name}` });
+  }
+
+  parts.sort((x, y) => y.w - x.w);
+  return {
+    score: parts.reduce((n, x) => n + x.w, 0) + quality(place) / 4,
+    reasons: parts.map((x) => x.reason)
+  };
+}
+
+/**
+ * Popularity around a point: rating and review volume, damped by distance.
+ */
+function popularityNear(place, origin) {
+  const p = pointOf(place);
+  const d = p && origin ? distanceKm(origin, p) : null;
+  const proximity = d === null ? 0 : Math.max(0, 1 - d / DISCOVERY.NEARBY_RADIUS_KM);
+  const reasons = [];
+  if (place.reviewCount) reasons.push(`${round1(place.rating || 0)}★ from ${place.reviewCount} reviews`);
+  if (d !== null) reasons.push(`${round1(d)} km away`);
+  return { score: quality(place) * (0.5 + proximity), reasons };
+}
+
+/**
+ * Score, order and trim candidates. Ties break on name then id so the same
+ * inputs always give the same list.
+ */
+function rank(candidates, scorer, { exclude = new Set(), limit = DISCOVERY.SECTION_LIMIT } = {}) {
+  return candidates
+    .filter((p) => !exclude.has(String(p._id)))
+    .map((place) => ({ place, ...scorer(place) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || String(a.place.name).localeCompare(String(b.place.name)) || String(a.place._id).localeCompare(String(b.place._id)))
+    .slice(0, limit)
+    .map(({ place, score, reasons }) => ({
+      ...place,
+      recommendation: { score: round3(score), reasons: reasons.slice(0, DISCOVERY.MAX_REASONS) }
+    }));
+}
+
+// ---------- Signals ----------
+/**
+ * Read a user's taste signals: preferences, wishlist, favorites, place
+ * history (views, visits, bookings) and reactions to posts tagging places.
+ */
+async function loadSignals(user) {
+  const userId = user._id;
+  const lookback = DISCOVERY.SIGNAL_LOOKBACK;
+
+  const [wishlist, favorites, history, reactions] = await Promise.all([
+    Wishlist.find({ userId }).sort({ createdAt: -1 }).limit(lookback).select('placeId addedAt createdAt').lean(),
+    Favorite.find({ userId, entityType: 'place', isArchived: { $ne: true } }).sort({ createdAt: -1 }).limit(lookback).select('entityId createdAt').lean(),
+    History.find({ userId, entityType: 'place', action: { $in: Object.keys(HISTORY_SIGNALS) }, isActive: { $ne: false } })
+      .sort({ startedAt: -1 })
+      .limit(lookback)
+      .select('entityId action startedAt')
+      .lean(),
+    Reaction.find({ userId }).sort({ createdAt: -1 }).limit(lookback).select('postId kind createdAt').lean()
+  ]);
+
+  const posts = reactions.length
+    ? await Post.find({ _id: { $in: reactions.map((r) => r.postId) } }).select('placeRefs').lean()
+    : [];
+  const placeRefsByPost = new Map(posts.map((p) => [String(p._id), p.placeRefs || []]));
+
+  const raw = [
+    ...wishlist.map((w) => ({ placeId: w.placeId, source: 'wishlist', at: w.addedAt || w.createdAt })),
+    ...favorites.map((f) => ({ placeId: f.entityId, source: 'favorite', at: f.createdAt })),
+    ...history.map((h) => ({ placeId: h.entityId, source: HISTORY_SIGNALS[h.action], at: h.startedAt })),
+    ...reactions.flatMap((r) => (placeRefsByPost.get(String(r.postId)) || []).map((placeId) => ({ placeId, source: r.kind, at: r.createdAt })))
+  ].filter((e) => e.placeId);
+
+  const ids = [...new Set(raw.map((e) => String(e.placeId)))];
+  const places = ids.length ? await Place.find({ _id: { $in: ids } }).select(PLACE_FIELDS).lean() : [];
+  const byId = new Map(places.map((p) => [String(p._id), p]));
+
+  return {
+    preferences: user.preferences || [],
+    events: raw.map((e) => ({ place: byId.get(String(e.placeId)), source: e.source, at: e.at })).filter((e) => e.place)
+  };
+}
+
+// ---------- Sections ----------
+function scoped(baseFilter, extra) {
+  return { $and: [{ isActive: true, isApproved: true, ...baseFilter }, extra] };
+}
+
+async function becauseSavedSections(profile, baseFilter, exclude, limit) {
+  const sections = [];
+  for (const seed of profile.saved.slice(0, DISCOVERY.SIMILAR_SEEDS)) {
+    const or = [{ category: seed.category }, { emotion: seed.emotion }];
+    if (seed.tags && seed.tags.length) or.push({ tags: { $in: seed.tags } });
+    const candidates = await Place.find(scoped(baseFilter, { _id: { $ne: seed._id }, $or: or }))
+      .sort({ rating: -1, reviewCount: -1 })
+      .limit(DISCOVERY.CANDIDATE_POOL)
+      .select(PLACE_FIELDS)
+      .lean();
+    const items = rank(candidates, (p) => similarity(p, seed), { exclude, limit });
+    items.forEach((i) => exclude.add(String(i._id)));
+    if (items.length) {
+      sections.push({
+        key: `because_saved:${seed._id}`,
+        title: `Because you saved ${seed.name}`,
+        personalized: true,
+        seed: { _id: seed._id, name: seed.name },
+        items
+      });
+    }
+  }
+  return sections;
+}
+
+async function popularNearSection(profile, origin, baseFilter, exclude, limit) {
+  const center = origin || pointOf(profile.anchor);
+  if (!center) return null;
+
+  // $near stays at the top level of the filter, where the server accepts it
+  const candidates = await Place.find({
+    ...scoped(baseFilter, {}),
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [center.lng, center.lat] },
+        $maxDistance: DISCOVERY.NEARBY_RADIUS_KM * 1000
+      }
+    }
+  })
+    .limit(DISCOVERY.CANDIDATE_POOL)
+    .select(PLACE_FIELDS)
+    .lean();
+  const items = rank(candidates, (p) => popularityNear(p, center), { exclude, limit });
+  items.forEach((i) => exclude.add(String(i._id)));
+  if (!items.length) return null;
+  return {
+    key: 'popular_near_you',
+    title: origin ? 'Popular near you' : `Popular near ${profile.anchor.name}`,
+    personalized: true,
+    items
+  };
+}
+
+async function preferenceSection(profile, baseFilter, exclude, limit) {
+  const emotions = topKeys(profile.emotions, 3);
+  const categories = topKeys(profile.categories, 3);
+  const tags = topKeys(profile.tags, 5);
+  const or = [
+    ...(emotions.length ? [{ emotion: { $in: emotions } }] : []),
+    ...(categories.length ? [{ category: { $in: categories } }] : []),
+    ...(tags.length ? [{ tags: { $in: tags } }] : [])
+  ];
+  if (!or.length) return null;
+
+  const candidates = await Place.find(scoped(baseFilter, { $or: or }))
+    .sort({ rating: -1, reviewCount: -1 })
+    .limit(DISCOVERY.CANDIDATE_POOL)
+    .select(PLACE_FIELDS)
+    .lean();
+  const items = rank(candidates, (p) => affinity(p, profile), { exclude, limit });
+  if (!items.length) return null;
+  return { key: 'matches_preferences', title: 'Matches your preferences', personalized: true, items };
+}
+
+/**
+ * Personalized home sections for a signed-in user, each item carrying
+ * recommendation.reasons. Places the user already saved, visited or booked
+ * are left out, and an item appears in at most one section.
+ *
+ * @param {Object} user            User document (preferences, _id)
+ * @param {Object} [opts]
+ * @param {number} [opts.lat]      caller position for "Popular near you"
+ * @param {number} [opts.lng]
+ * @param {Object} [opts.baseFilter] extra Place filter (e.g. region scope)
+ * @param {number} [opts.limit]    items per section
+ * @param {Date}   [opts.now]      clock for signal decay
+ */
+async function homeSections(user, { lat, lng, baseFilter = {}, limit = DISCOVERY.SECTION_LIMIT, now = new Date() } = {}) {
+  const profile = buildProfile(await loadSignals(user), { now });
+  const origin = Number.isFinite(parseFloat(lat)) && Number.isFinite(parseFloat(lng))
+    ? { lat: parseFloat(lat), lng: parseFloat(lng) }
+    : null;
+  const exclude = new Set(profile.seen);
+
+  const saved = await becauseSavedSections(profile, baseFilter, exclude, limit);
+  const near = await popularNearSection(profile, origin, baseFilter, exclude, limit);
+  const prefs = await preferenceSection(profile, baseFilter, exclude, limit);
+  return [...saved, near, prefs].filter(Boolean);
+}
+
+module.exports = {
+  // profile and scoring (pure)
+  buildProfile,
+  affinity,
+  similarity,
+  popularityNear,
+  rank,
+
+  // data
+  loadSignals,
+  homeSections
+};
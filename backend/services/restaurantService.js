@@ -4,6 +4,8 @@
 
 const mongoose = require('mongoose');
 const Restaurant = require('../models/Restaurant');
+const bookingLedger = require('./bookingLedgerService');
+const { ApiError } = require('../utils/ApiError');
 
 // ------------- Helpers -------------
 function isObjectId(v) {
@@ -294,24 +296,51 @@ async function getAvailability(idOrSlug, { date, time, partySize = 2 }) {
   return { slots: items };
 }
 
-// ------------- Booking (stub) -------------
-async function bookTable(idOrSlug, { date, time, partySize, contact, notes, payment }) {
+// ------------- Booking -------------
+/**
+ * Take covers from the slot containing whenISO. The decrement only applies
+ * while the slot still has room, so concurrent bookings cannot oversell it.
+ */
+async function takeSlot(r, whenISO, covers) {
+  const slot = (r.availability?.slots || []).find((s) => toISO(s.startISO) <= whenISO && whenISO < toISO(s.endISO));
+  if (!slot) throw ApiError.conflict('No tables are offered at this time', { whenISO });
+
+  const res = await Restaurant.updateOne(
+    { _id: r._id, 'availability.slots': { $elemMatch: { startISO: slot.startISO, capacity: { $gte: covers } } } },
+    { $inc: { 'availability.slots.$.capacity': -covers } }
+  );
+  if (!res.modifiedCount) throw ApiError.conflict('Not enough tables left in this slot', { whenISO, partySize: covers });
+  return slot;
+}
+
+async function bookTable(idOrSlug, { date, time, partySize, contact, notes, userId }) {
   const r = await getRestaurantByIdOrSlug(idOrSlug);
   if (!r) return { ok: false, error: 'not_found' };
 
   const whenISO = time ? toISO(`${date}T${time}:00`) : toISO(`${date}T00:00:00`);
-  // In production, check against the chosen slot capacity and persist a Booking model
-  const reservation = {
-    restaurantId: String(r._id),
-    whenISO,
-    partySize: coerceInt(partySize, 2),
-    contact,
-    notes: notes || null,
-    state: 'confirmed',
-    createdAtISO: toISO(Date.now()),
-    payment: payment ? { ...payment, state: 'captured' } : { state: 'pending' }
-  };
+  const covers = coerceInt(partySize, 2);
+  const slot = await takeSlot(r, whenISO, covers);
+
+  let booking;
+  try {
+    booking = await bookingLedger.createFromCheckout({
+      kind: 'restaurant',
+      userId,
+      itemId: r._id,
+      title: r.name,
+      startDate: whenISO,
+      guests: covers,
+      quote: null,
+      details: { whenISO, slotStartISO: slot.startISO, partySize: covers, contact, notes: notes || null }
+    });
+  } catch (err) {
+    // Ledger write failed; give the covers back to the slot
+    await bookingLedger.releaseTable({ itemId: r._id, guests: covers, details: { slotStartISO: slot.startISO } });
+    throw err;
+  }
 
+  // The catalogue prices no deposits, so a table needs no payment (and a client-sent amount is never charged)
+  const reservation = await bookingLedger.confirm(booking._id, { actorId: userId, reason: 'no_payment_required' });
   return { ok: true, reservation };
 }
 
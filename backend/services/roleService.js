@@ -0,0 +1,94 @@
+// backend/services/roleService.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const RoleChange = require('../models/RoleChange');
+const { ApiError } = require('../utils/ApiError');
+const { ROLES, PAGINATION } = require('../utils/constants');
+
+const ROLE_VALUES = Object.values(ROLES);
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function coerceInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+// ---------- Role changes ----------
+/**
+ * Move a user to `toRole` and record who did it. Self-service changes and
+ * demoting the last active admin are refused. The update is conditional on
+ * the role read, so two admins racing cannot both apply.
+ * Returns { user, change } (change is null when the role was already set),
+ * or null when the user does not exist.
+ */
+async function changeRole(userId, toRole, { actorId, reason, source = 'admin', applicationId } = {}) {
+  if (!ROLE_VALUES.includes(toRole)) {
+    throw ApiError.badRequest(`role must be one of: ${ROLE_VALUES.join(', ')}`);
+  }
+  if (!isObjectId(userId)) return null;
+  if (source === 'admin' && String(userId) === String(actorId)) {
+    throw ApiError.badRequest('You cannot change your own role');
+  }
+
+  const user = await User.findById(userId).select('-password -__v');
+  if (!user) return null;
+  const fromRole = user.role;
+  if (fromRole === toRole) return { user, change: null };
+
+  if (fromRole === ROLES.ADMIN) {
+    const admins = await User.countDocuments({ role: ROLES.ADMIN, isActive: true });
+    if (admins <= 1) throw ApiError.conflict('Cannot demote the last active admin');
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, role: fromRole },
+    { $set: { role: toRole } },
+    { new: true, runValidators: true }
+  ).select('-password -__v');
+  if (!updated) throw ApiError.conflict('Role was changed concurrently, please retry');
+
+  const change = await RoleChange.create({
+    userId,
+    fromRole,
+    toRole,
+    changedBy: actorId,
+    reason,
+    source,
+    applicationId
+  });
+  return { user: updated, change: change.toObject() };
+}
+
+// ---------- History ----------
+async function listRoleHistory(userId, { page = 1, limit = PAGINATION.DEFAULT_LIMIT } = {}) {
+  if (!isObjectId(userId)) return null;
+  const p = coerceInt(page, 1);
+  const l = Math.min(coerceInt(limit, PAGINATION.DEFAULT_LIMIT), PAGINATION.MAX_LIMIT);
+
+  const [items, total] = await Promise.all([
+    RoleChange.find({ userId })
+      .sort({ createdAt: -1 })
+      .skip((p - 1) * l)
+      .limit(l)
+      .populate('changedBy', 'name email role')
+      .lean(),
+    RoleChange.countDocuments({ userId })
+  ]);
+  return { items, total, page: p, limit: l };
+}
+
+module.exports = {
+  ROLE_VALUES,
+
+  // role changes
+  changeRole,
+
+  // history
+  listRoleHistory
+};
@@ -0,0 +1,406 @@
+// backend/services/searchService.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+const Place = require('../models/place');
+const Region = require('../models/region');
+const Hotel = require('../models/Hotel');
+const Restaurant = require('../models/Restaurant');
+const Activity = require('../models/Activity');
+const Trail = require('../models/Trail');
+const Airport = require('../models/Airport');
+const TrainStation = require('../models/TrainStation');
+const { SEARCH } = require('../utils/constants');
+const { searchTokens } = require('../utils/transliterate');
+
+const EARTH_RADIUS_KM = 6371;
+const REGION_LEVELS = ['country', 'state', 'district', 'taluk', 'town', 'village'];
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function coerceInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isNaN(n) ? def : n;
+}
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+function compact(values) {
+  return values.flat().filter((v) => v !== undefined && v !== null && v !== '').map(String);
+}
+
+// Phonetic keys, so a name typed in any Indic script or spelling meets the
+// English one (see utils/transliterate)
+const tokenize = searchTokens;
+
+// Values of one field across a document's translations
+function translated(d, field) {
+  return Object.values(d.translations || {}).map((t) => t && t[field]);
+}
+function translatedNames(d) {
+  return Object.fromEntries(Object.entries(d.translations || {}).filter(([, t]) => t && t.name).map(([code, t]) => [code, t.name]));
+}
+
+function pointOf(coords) {
+  return Array.isArray(coords) && coords.length === 2 && coords.every(Number.isFinite)
+    ? { lng: coords[0], lat: coords[1] }
+    : null;
+}
+function distanceKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// Optimal string alignment distance, abandoned once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      cur.push(v);
+      rowMin = Math.min(rowMin, v);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// ---------- Catalogue adapters ----------
+// Each adapter says what to load and how a document splits into the boosted
+// fields: codes count as names, cities/categories as tags.
+const ADAPTERS = {
+  places: {
+    model: Place,
+    filter: { isActive: true, isApproved: true },
+    select: 'name description tags category emotion regionPath regionRef location coverImage rating translations',
+    fields: (d) => ({
+      name: compact([d.name, translated(d, 'name')]),
+      tags: compact([d.tags || [], d.category, d.emotion, d.regionPath]),
+      description: compact([d.description, translated(d, 'description')])
+    }),
+    point: (d) => pointOf(d.location?.coordinates),
+    subtitle: (d) => d.regionPath || d.category || null,
+    summary: (d) => ({ category: d.category, emotion: d.emotion, coverImage: d.coverImage, rating: d.rating }),
+    scope: (d) => ({
+      category: d.category,
+      emotion: d.emotion,
+      regionIds: compact(REGION_LEVELS.map((l) => d.regionRef?.[l]))
+    })
+  },
+  regions: {
+    model: Region,
+    filter: { isActive: true },
+    select: 'name type code description path bbox translations',
+    fields: (d) => ({
+      name: compact([d.name, d.code, translated(d, 'name')]),
+      tags: compact([d.type]),
+      description: compact([d.description, translated(d, 'description')])
+    }),
+    point: (d) => (Array.isArray(d.bbox) && d.bbox.length === 4 ? { lng: (d.bbox[0] + d.bbox[2]) / 2, lat: (d.bbox[1] + d.bbox[3]) / 2 } : null),
+    subtitle: (d) => d.type || null,
+    summary: (d) => ({ regionType: d.type, code: d.code }),
+    scope: (d) => ({ regionIds: compact([d._id, d.path || []]) })
+  },
+  hotels: {
+    model: Hotel,
+    filter: { isActive: true },
+    select: 'name brand propertyType stars description city country tags location photos',
+    fields: (d) => ({ name: compact([d.name, d.brand]), tags: compact([d.tags || [], d.city, d.country, d.propertyType]), description: [d.description] }),
+    point: (d) => pointOf(d.location?.coordinates),
+    subtitle: (d) => d.city || null,
+    summary: (d) => ({ stars: d.stars, propertyType: d.propertyType, photo: d.photos?.[0] })
+  },
+  restaurants: {
+    model: Restaurant,
+    filter: { isActive: true },
+    select: 'name description cuisines tags city country location photos',
+    fields: (d) => ({ name: [d.name], tags: compact([d.tags || [], d.cuisines || [], d.city, d.country]), description: [d.description] }),
+    point: (d) => pointOf(d.location?.coordinates),
+    subtitle: (d) => d.city || null,
+    summary: (d) => ({ cuisines: d.cuisines, photo: d.photos?.[0] })
+  },
+  activities: {
+    model: Activity,
+    filter: { isActive: true },
+    select: 'name description category subcategories tags address location photos',
+    fields: (d) => ({ name: [d.name], tags: compact([d.tags || [], d.category, d.subcategories || [], d.address?.city]), description: [d.description] }),
+    point: (d) => pointOf(d.location?.coordinates),
+    subtitle: (d) => d.address?.city || d.category || null,
+    summary: (d) => ({ category: d.category, photo: d.photos?.[0] })
+  },
+  trails: {
+    model: Trail,
+    filter: { isActive: true },
+    select: 'name description region city country tags difficulty length_km location photos',
+    fields: (d) => ({ name: [d.name], tags: compact([d.tags || [], d.region, d.city, d.country]), description: [d.description] }),
+    point: (d) => pointOf(d.location?.coordinates),
+    subtitle: (d) => d.region || d.city || null,
+    summary: (d) => ({ difficulty: d.difficulty, lengthKm: d.length_km, photo: d.photos?.[0] })
+  },
+  airports: {
+    model: Airport,
+    filter: { isActive: true },
+    select: 'name iata icao city country location',
+    fields: (d) => ({ name: compact([d.name, d.iata, d.icao]), tags: compact([d.city, d.country]), description: [] }),
+    point: (d) => pointOf(d.location?.coordinates),
+    subtitle: (d) => [d.iata, d.city].filter(Boolean).join(' · ') || null,
+    summary: (d) => ({ iata: d.iata, icao: d.icao })
+  },
+  stations: {
+    model: TrainStation,
+    filter: { isActive: true },
+    select: 'name station_code city country tags location',
+    fields: (d) => ({ name: compact([d.name, d.station_code]), tags: compact([d.tags || [], d.city, d.country]), description: [] }),
+    point: (d) => pointOf(d.location?.coordinates),
+    subtitle: (d) => [d.station_code, d.city].filter(Boolean).join(' · ') || null,
+    summary: (d) => ({ stationCode: d.station_code })
+  }
+};
+
+// ---------- Index ----------
+// docs:     key -> { type, id, name, names, nameNorms, subtitle, point, summary, scope }
+// postings: term -> Map(key -> field boost of the best field containing it)
+function addDocument(index, type, adapter, doc) {
+  const key = `${type}:${doc._id}`;
+  const fields = adapter.fields(doc);
+  for (const [field, values] of Object.entries(fields)) {
+    const boost = SEARCH.FIELD_BOOSTS[field];
+    for (const term of tokenize(values.join(' '))) {
+      let posting = index.postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        index.postings.set(term, posting);
+      }
+      if ((posting.get(key) || 0) < boost) posting.set(key, boost);
+    }
+  }
+  index.docs.set(key, {
+    type,
+    id: String(doc._id),
+    name: doc.name,
+    names: translatedNames(doc),
+    nameNorms: [doc.name, ...translated(doc, 'name')].filter(Boolean).map((n) => tokenize(n).join(' ')),
+    subtitle: adapter.subtitle(doc),
+    point: adapter.point(doc),
+    summary: adapter.summary(doc),
+    scope: adapter.scope ? adapter.scope(doc) : {}
+  });
+}
+
+async function buildIndex() {
+  const index = { docs: new Map(), postings: new Map(), terms: [], byLength: new Map(), builtAt: new Date() };
+  for (const [type, adapter] of Object.entries(ADAPTERS)) {
+    const rows = await adapter.model.find(adapter.filter).select(adapter.select).lean();
+    for (const doc of rows) addDocument(index, type, adapter, doc);
+  }
+  index.terms = [...index.postings.keys()].sort();
+  for (const term of index.terms) {
+    const bucket = index.byLength.get(term.length) || [];
+    bucket.push(term);
+    index.byLength.set(term.length, bucket);
+  }
+  return index;
+}
+
+let current = null; // built index
+let pending = null; // in-flight build shared by concurrent callers
+
+/**
+ * The in-memory index, rebuilt after SEARCH.INDEX_TTL_MS or invalidate().
+ */
+async function getIndex() {
+  if (current && Date.now() - current.builtAt.getTime() < SEARCH.INDEX_TTL_MS) return current;
+  if (!pending) {
+    pending = buildIndex()
+      .then((index) => {
+        current = index;
+        return index;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+}
+
+/**
+ * Drop the built index so the next search rebuilds it. Place writes,
+ * moderation decisions and place merges call this.
+ */
+function invalidate() {
+  current = null;
+}
+
+async function reindex() {
+  invalidate();
+  const index = await getIndex();
+  const types = Object.fromEntries(Object.keys(ADAPTERS).map((t) => [t, 0]));
+  for (const doc of index.docs.values()) types[doc.type] += 1;
+  return { documents: index.docs.size, terms: index.terms.length, types, builtAt: index.builtAt };
+}
+
+// ---------- Matching ----------
+// Index terms a query token can stand for, with a match quality in (0, 1]
+function expandToken(index, token, { prefix }) {
+  const out = new Map();
+  if (index.postings.has(token)) out.set(token, 1);
+
+  if (prefix && token.length >= SEARCH.MIN_PREFIX) {
+    let lo = 0;
+    let hi = index.terms.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (index.terms[mid] < token) lo = mid + 1;
+      else hi = mid;
+    }
+    for (let i = lo, n = 0; i < index.terms.length && n < SEARCH.MAX_PREFIX_TERMS; i += 1) {
+      const term = index.terms[i];
+      if (!term.startsWith(token)) break;
+      if (!out.has(term)) {
+        out.set(term, 0.8);
+        n += 1;
+      }
+    }
+  }
+
+  if (token.length >= SEARCH.TYPO_MIN_LENGTH) {
+    const maxEdits = token.length >= SEARCH.TYPO_TWO_EDITS_LENGTH ? 2 : 1;
+    for (let len = token.length - maxEdits; len <= token.length + maxEdits; len += 1) {
+      for (const term of index.byLength.get(len) || []) {
+        if (out.has(term)) continue;
+        const d = editDistance(token, term, maxEdits);
+        if (d <= maxEdits) out.set(term, d === 1 ? 0.6 : 0.4);
+      }
+    }
+  }
+  return out;
+}
+
+function inScope(doc, { types, category, emotion, regionId }) {
+  if (types && !types.includes(doc.type)) return false;
+  if (doc.type === 'places') {
+    if (category && doc.scope.category !== category) return false;
+    if (emotion && doc.scope.emotion !== emotion) return false;
+  }
+  if (regionId && (doc.type === 'places' || doc.type === 'regions')) {
+    return doc.scope.regionIds.includes(String(regionId));
+  }
+  return true;
+}
+
+/**
+ * Rank catalogue documents for `q`. Every token must match unless nothing
+ * does, in which case documents matching any token are ranked by coverage.
+ * Matches are weighted by field boost, match quality (exact > prefix >
+ * typo) and term rarity; with lat/lng, nearby results are boosted.
+ */
+async function search({ q, types, category, emotion, regionId, lat, lng, locale, page = 1, limit = SEARCH.DEFAULT_LIMIT, prefix = true } = {}) {
+  const p = coerceInt(page, 1);
+  const l = Math.min(Math.max(coerceInt(limit, SEARCH.DEFAULT_LIMIT), 1), SEARCH.MAX_LIMIT);
+  const wanted = (Array.isArray(types) ? types : String(types || '').split(','))
+    .map((t) => t.trim().toLowerCase())
+    .filter((t) => ADAPTERS[t]);
+  const origin = Number.isFinite(parseFloat(lat)) && Number.isFinite(parseFloat(lng))
+    ? { lat: parseFloat(lat), lng: parseFloat(lng) }
+    : null;
+  const tokens = [...new Set(tokenize(q))];
+  const empty = { query: String(q || ''), items: [], total: 0, page: p, limit: l, facets: { types: {} } };
+  if (!tokens.length) return empty;
+
+  const index = await getIndex();
+  const scope = { category, emotion, regionId: regionId && isObjectId(regionId) ? regionId : null };
+
+  // Per document: summed token scores and how many tokens matched
+  const hits = new Map();
+  tokens.forEach((token, i) => {
+    // Only the token being typed is completed as a prefix
+    const terms = expandToken(index, token, { prefix: prefix && i === tokens.length - 1 });
+    const best = new Map();
+    for (const [term, quality] of terms) {
+      const posting = index.postings.get(term);
+      const idf = Math.log(1 + index.docs.size / posting.size);
+      for (const [key, boost] of posting) {
+        const s = quality * boost * idf;
+        if (s > (best.get(key) || 0)) best.set(key, s);
+      }
+    }
+    for (const [key, s] of best) {
+      const h = hits.get(key) || { score: 0, matched: 0 };
+      h.score += s;
+      h.matched += 1;
+      hits.set(key, h);
+    }
+  });
+
+  const candidates = [];
+  for (const [key, h] of hits) {
+    const doc = index.docs.get(key);
+    if (inScope(doc, scope)) candidates.push({ doc, ...h });
+  }
+  let matches = candidates.filter((c) => c.matched === tokens.length);
+  if (!matches.length) matches = candidates.map((c) => ({ ...c, score: c.score * (c.matched / tokens.length) }));
+
+  const phrase = tokens.join(' ');
+  const facets = { types: {} };
+  const ranked = [];
+  for (const m of matches) {
+    facets.types[m.doc.type] = (facets.types[m.doc.type] || 0) + 1;
+    if (wanted.length && !wanted.includes(m.doc.type)) continue;
+
+    let score = m.score;
+    if (m.doc.nameNorms.includes(phrase)) score *= 1.5;
+    else if (m.doc.nameNorms.some((n) => n.startsWith(phrase))) score *= 1.2;
+
+    let distance = null;
+    if (origin && m.doc.point) {
+      distance = distanceKm(origin, m.doc.point);
+      score *= 1 + SEARCH.GEO_BOOST * Math.exp(-distance / SEARCH.GEO_SCALE_KM);
+    }
+    ranked.push({ doc: m.doc, score, distance });
+  }
+  ranked.sort((a, b) => b.score - a.score || a.doc.name.localeCompare(b.doc.name));
+
+  const items = ranked.slice((p - 1) * l, p * l).map(({ doc, score, distance }) => ({
+    type: doc.type,
+    id: doc.id,
+    name: (locale && doc.names[locale]) || doc.name,
+    subtitle: doc.subtitle,
+    score: round3(score),
+    ...(doc.point ? { location: doc.point } : {}),
+    ...(distance !== null ? { distanceKm: round3(distance) } : {}),
+    ...doc.summary
+  }));
+  return { query: String(q), items, total: ranked.length, page: p, limit: l, facets };
+}
+
+/**
+ * Autocomplete: names only, best matches first.
+ */
+async function suggest({ q, types, lat, lng, locale, limit = SEARCH.SUGGEST_LIMIT } = {}) {
+  const { items } = await search({ q, types, lat, lng, locale, limit: Math.min(coerceInt(limit, SEARCH.SUGGEST_LIMIT), SEARCH.MAX_LIMIT) });
+  return items.map(({ type, id, name, subtitle }) => ({ type, id, name, subtitle }));
+}
+
+module.exports = {
+  // query
+  search,
+  suggest,
+
+  // index
+  reindex,
+  invalidate
+};
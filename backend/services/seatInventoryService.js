@@ -0,0 +1,331 @@
+// backend/services/seatInventoryService.js
+
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SeatInventory = require('../models/SeatInventory');
+const { ApiError } = require('../utils/ApiError');
+
+const DEFAULT_HOLD_TTL_MS = 15 * 60 * 1000;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function toObjectId(v) {
+  return new mongoose.Types.ObjectId(v);
+}
+function toISO(d) {
+  return new Date(d).toISOString();
+}
+function normalizeDate(date) {
+  // Accept YYYY-MM-DD or any parseable date; inventory is keyed by UTC calendar day
+  if (!date) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(date))) return String(date);
+  const d = new Date(date);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+function newHoldId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+function inventoryKey({ vehicleType, vehicleId, travelDate, classCode }) {
+  return { vehicleType, vehicleId: toObjectId(vehicleId), travelDate, classCode };
+}
+function allSeats(inv) {
+  const out = new Set();
+  for (const c of inv?.coaches || []) {
+    for (const row of c.layout || []) {
+      for (const seat of row) out.add(seat);
+    }
+  }
+  return out;
+}
+function activeHolds(inv, now = new Date()) {
+  return (inv?.holds || []).filter((h) => new Date(h.expiresAt) > now);
+}
+function seatStates(inv, now = new Date()) {
+  const states = new Map();
+  for (const h of activeHolds(inv, now)) {
+    for (const s of h.seats || []) states.set(s, 'held');
+  }
+  for (const b of inv?.booked || []) states.set(b.seat, 'booked');
+  return states;
+}
+
+// ---------- Inventory ----------
+/**
+ * Fetch (or lazily create) the inventory document for a trip/date/class.
+ * `buildCoaches` is only invoked on first access and must return
+ * [{ coach, rows, cols, layout: [[seatLabel]] }].
+ */
+async function ensureInventory({ vehicleType, vehicleId, travelDate, classCode, buildCoaches }) {
+  const date = normalizeDate(travelDate);
+  if (!date || !isObjectId(vehicleId) || !classCode) return null;
+
+  const key = inventoryKey({ vehicleType, vehicleId, travelDate: date, classCode });
+  const existing = await SeatInventory.findOne(key).lean();
+  if (existing) return existing;
+
+  const coaches = typeof buildCoaches === 'function' ? buildCoaches() : [];
+  try {
+    return await SeatInventory.findOneAndUpdate(
+      key,
+      { $setOnInsert: { ...key, coaches, holds: [], booked: [] } },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (err) {
+    // Concurrent first access raced on the unique key; the other writer won
+    if (err && err.code === 11000) return SeatInventory.findOne(key).lean();
+    throw err;
+  }
+}
+
+/**
+ * Seat map with per-seat state (available | held | booked) and counts.
+ */
+function toSeatMap(inv, { coach } = {}) {
+  const now = new Date();
+  const states = seatStates(inv, now);
+  const counts = { total: 0, available: 0, held: 0, booked: 0 };
+
+  const coaches = (inv.coaches || [])
+    .filter((c) => !coach || c.coach === coach)
+    .map((c) => ({
+      coach: c.coach,
+      rows: c.rows,
+      cols: c.cols,
+      layout: (c.layout || []).map((row) =>
+        row.map((seat) => {
+          const state = states.get(seat) || 'available';
+          counts.total += 1;
+          counts[state] += 1;
+          return { seat, state, available: state === 'available' };
+        })
+      )
+    }));
+
+  return {
+    vehicleType: inv.vehicleType,
+    vehicleId: String(inv.vehicleId),
+    travelDate: inv.travelDate,
+    classCode: inv.classCode,
+    coaches,
+    counts
+  };
+}
+
+async function getSeatMap({ vehicleType, vehicleId, travelDate, classCode, coach, buildCoaches }) {
+  const inv = await ensureInventory({ vehicleType, vehicleId, travelDate, classCode, buildCoaches });
+  if (!inv) return null;
+  return toSeatMap(inv, { coach });
+}
+
+/**
+ * Share of seats booked or under an unexpired hold. Read-only: a trip/date/class
+ * nobody has opened a seat map for yet has no inventory and reports fill 0.
+ */
+async function getOccupancy({ vehicleType, vehicleId, travelDate, classCode }) {
+  const date = normalizeDate(travelDate);
+  if (!date || !isObjectId(vehicleId) || !classCode) return null;
+  const inv = await SeatInventory.findOne(inventoryKey({ vehicleType, vehicleId, travelDate: date, classCode })).lean();
+  if (!inv) return { total: 0, taken: 0, fill: 0 };
+  const { counts } = toSeatMap(inv);
+  const taken = counts.booked + counts.held;
+  return { total: counts.total, taken, fill: counts.total ? taken / counts.total : 0 };
+}
+
+// ---------- Holds ----------
+/**
+ * Atomically reserve seats for ttlMs on behalf of userId (only they can commit
+ * or release the hold). Fails with 409 if any seat is booked or covered by
+ * another unexpired hold.
+ */
+async function holdSeats({
+  vehicleType,
+  vehicleId,
+  travelDate,
+  classCode,
+  seats = [],
+  userId,
+  ttlMs = DEFAULT_HOLD_TTL_MS,
+  buildCoaches
+}) {
+  const wanted = Array.from(new Set((Array.isArray(seats) ? seats : [seats]).map(String).filter(Boolean)));
+  if (!wanted.length) throw ApiError.badRequest('At least one seat is required to place a hold');
+  if (!userId || !isObjectId(userId)) throw ApiError.unauthorized('Sign in to hold seats');
+
+  const inv = await ensureInventory({ vehicleType, vehicleId, travelDate, classCode, buildCoaches });
+  if (!inv) throw ApiError.badRequest('vehicleId, travelDate and classCode are required to hold seats');
+
+  const known = allSeats(inv);
+  const unknown = wanted.filter((s) => !known.has(s));
+  if (unknown.length) throw ApiError.badRequest('Unknown seats for this class', { seats: unknown });
+
+  const now = new Date();
+  const hold = {
+    holdId: newHoldId(),
+    seats: wanted,
+    userId: toObjectId(userId),
+    expiresAt: new Date(now.getTime() + ttlMs),
+    createdAt: now
+  };
+
+  const res = await SeatInventory.updateOne(
+    {
+      _id: inv._id,
+      'booked.seat': { $nin: wanted },
+      holds: { $not: { $elemMatch: { seats: { $in: wanted }, expiresAt: { $gt: now } } } }
+    },
+    { $push: { holds: hold } }
+  );
+
+  if (!res.modifiedCount) {
+    const fresh = await SeatInventory.findById(inv._id).lean();
+    const states = seatStates(fresh, now);
+    const taken = wanted.filter((s) => states.has(s));
+    throw ApiError.conflict('Selected seats are no longer available', { seats: taken });
+  }
+
+  return {
+    holdId: hold.holdId,
+    vehicleType,
+    vehicleId: String(vehicleId),
+    travelDate: inv.travelDate,
+    classCode,
+    seats: wanted,
+    expiresAtISO: toISO(hold.expiresAt)
+  };
+}
+
+/**
+ * Release a hold early (checkout abandoned). When userId is given, only the
+ * holder may release it. Returns true if a hold was removed.
+ */
+async function releaseHold({ holdId, userId }) {
+  if (!holdId) return false;
+  const match = { holdId: String(holdId) };
+  if (userId && isObjectId(userId)) match.userId = toObjectId(userId);
+
+  const res = await SeatInventory.updateOne(
+    { holds: { $elemMatch: match } },
+    { $pull: { holds: { holdId: String(holdId) } } }
+  );
+  return res.modifiedCount > 0;
+}
+
+/**
+ * Convert an unexpired hold into booked seats. The hold must belong to userId
+ * and to the vehicle/date/class being booked; anything else is treated as a
+ * hold that does not exist. Fails with 409 when the hold has expired or was
+ * released in the meantime. When seatCount is given, a hold covering a
+ * different number of seats is refused with 400 and left in place.
+ */
+async function commitHold({ holdId, bookingRef, userId, vehicleType, vehicleId, travelDate, classCode, seatCount }) {
+  if (!holdId) throw ApiError.badRequest('holdId is required');
+  if (!userId || !isObjectId(userId)) throw ApiError.unauthorized('Sign in to book held seats');
+  const date = normalizeDate(travelDate);
+  if (!vehicleType || !date || !isObjectId(vehicleId) || !classCode) {
+    throw ApiError.badRequest('vehicle, travel date and class are required to commit a seat hold');
+  }
+  const now = new Date();
+
+  const inv = await SeatInventory.findOne(
+    {
+      ...inventoryKey({ vehicleType, vehicleId, travelDate: date, classCode }),
+      holds: { $elemMatch: { holdId: String(holdId), userId: toObjectId(userId), expiresAt: { $gt: now } } }
+    },
+    { vehicleType: 1, vehicleId: 1, travelDate: 1, classCode: 1, holds: 1 }
+  ).lean();
+  const hold = inv && (inv.holds || []).find((h) => h.holdId === String(holdId));
+  if (!hold) throw ApiError.conflict('Seat hold has expired or does not exist', { holdId });
+  if (seatCount != null && hold.seats.length !== seatCount) {
+    throw ApiError.badRequest('Held seats must match passengers who need a seat', { seats: hold.seats, seatCount });
+  }
+
+  const bookedAt = new Date();
+  const res = await SeatInventory.updateOne(
+    { _id: inv._id, holds: { $elemMatch: { holdId: hold.holdId, expiresAt: { $gt: now } } } },
+    {
+      $pull: { holds: { holdId: hold.holdId } },
+      $push: {
+        booked: {
+          $each: hold.seats.map((seat) => ({ seat, holdId: hold.holdId, bookingRef: bookingRef || null, bookedAt }))
+        }
+      }
+    }
+  );
+  if (!res.modifiedCount) throw ApiError.conflict('Seat hold has expired or does not exist', { holdId });
+
+  return {
+    holdId: hold.holdId,
+    vehicleType: inv.vehicleType,
+    vehicleId: String(inv.vehicleId),
+    travelDate: inv.travelDate,
+    classCode: inv.classCode,
+    seats: hold.seats,
+    bookingRef: bookingRef || null
+  };
+}
+
+/**
+ * Free seats booked under a reference (cancellations). Returns the number of seats released.
+ */
+async function releaseBookedSeats({ bookingRef }) {
+  if (!bookingRef) return 0;
+  const inv = await SeatInventory.findOne({ 'booked.bookingRef': String(bookingRef) }).select({ booked: 1 }).lean();
+  if (!inv) return 0;
+  const count = (inv.booked || []).filter((b) => b.bookingRef === String(bookingRef)).length;
+  await SeatInventory.updateOne({ _id: inv._id }, { $pull: { booked: { bookingRef: String(bookingRef) } } });
+  return count;
+}
+
+// ---------- Expiry sweeper ----------
+async function releaseExpiredHolds(now = new Date()) {
+  const res = await SeatInventory.updateMany(
+    { 'holds.expiresAt': { $lte: now } },
+    { $pull: { holds: { expiresAt: { $lte: now } } } }
+  );
+  return res.modifiedCount || 0;
+}
+
+let sweepTimer = null;
+
+/**
+ * Periodically pull expired holds so stored documents match what readers see.
+ * Safe to call more than once; the timer does not keep the process alive.
+ */
+function startHoldSweeper({ intervalMs = DEFAULT_SWEEP_INTERVAL_MS } = {}) {
+  if (sweepTimer) return sweepTimer;
+  sweepTimer = setInterval(() => {
+    releaseExpiredHolds().catch((err) => console.error('Seat hold sweep failed:', err.message || err));
+  }, intervalMs);
+  if (typeof sweepTimer.unref === 'function') sweepTimer.unref();
+  return sweepTimer;
+}
+
+function stopHoldSweeper() {
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  DEFAULT_HOLD_TTL_MS,
+
+  // inventory
+  ensureInventory,
+  getSeatMap,
+  getOccupancy,
+
+  // holds
+  holdSeats,
+  releaseHold,
+  commitHold,
+  releaseBookedSeats,
+
+  // expiry
+  releaseExpiredHolds,
+  startHoldSweeper,
+  stopHoldSweeper
+};
@@ -0,0 +1,429 @@
+// backend/services/serviceCalendarService.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+const Bus = require('../models/Bus');
+const DisruptionNotice = require('../models/DisruptionNotice');
+const { ApiError } = require('../utils/ApiError');
+const { SERVICE_CALENDAR, PAGINATION } = require('../utils/constants');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MODELS = { train: Train, bus: Bus };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- Helpers ----------
+function isObjectId(v) {
+  return mongoose.Types.ObjectId.isValid(v);
+}
+function coerceInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+function toList(v) {
+  if (v == null || v === '') return [];
+  return (Array.isArray(v) ? v : String(v).split(',')).map((s) => String(s).trim()).filter(Boolean);
+}
+
+/**
+ * 'YYYY-MM-DD' for a date string or Date; null when it is not a real day.
+ */
+function normDate(v) {
+  if (!v) return null;
+  const s = v instanceof Date ? v.toISOString().slice(0, 10) : String(v).trim().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  const t = Date.parse(`${s}T00:00:00Z`);
+  return Number.isFinite(t) && new Date(t).toISOString().slice(0, 10) === s ? s : null;
+}
+function weekdayKey(ymd) {
+  return DAY_KEYS[new Date(`${ymd}T00:00:00Z`).getUTCDay()];
+}
+function addDays(ymd, n) {
+  return new Date(Date.parse(`${ymd}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+function daysBetween(fromYmd, toYmd) {
+  return Math.round((Date.parse(`${toYmd}T00:00:00Z`) - Date.parse(`${fromYmd}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Moves an ISO time by `minutes`, keeping the offset it was written with
+ * (stop times are local wall-clock strings such as 2025-09-20T08:15:00+05:30).
+ */
+function shiftISO(iso, minutes) {
+  if (!iso || !minutes) return iso;
+  const t = Date.parse(iso);
+  if (!Number.isFinite(t)) return iso;
+  const m = /(Z|[+-]\d{2}:\d{2})$/.exec(iso);
+  if (!m) return new Date(t + minutes * 60000).toISOString();
+  const off = m[1] === 'Z' ? 0 : (m[1][0] === '-' ? -1 : 1) * (parseInt(m[1].slice(1, 3), 10) * 60 + parseInt(m[1].slice(4), 10));
+  return `${new Date(t + (minutes + off) * 60000).toISOString().slice(0, 19)}${m[1]}`;
+}
+
+// ---------- Calendar rules ----------
+/**
+ * A trip runs on a service day when a removal does not cancel it and either
+ * its weekly pattern covers the day (inside validity; missing bounds are
+ * open) or an 'added' exception schedules it. `serviceMatch` is the same rule
+ * as a Mongo filter, so searches and per-trip checks always agree.
+ */
+function exceptionsOn(trip, date) {
+  return (trip.calendarExceptions || []).filter((e) => e.date === date);
+}
+
+function weeklyRunsOn(trip, date) {
+  const day = Date.parse(`${date}T00:00:00Z`);
+  if (trip.validity?.startDate && new Date(trip.validity.startDate).getTime() > day) return false;
+  if (trip.validity?.endDate && new Date(trip.validity.endDate).getTime() < day) return false;
+  return !(trip.serviceDays && trip.serviceDays[weekdayKey(date)] === false);
+}
+
+function runsOn(trip, date) {
+  const ex = exceptionsOn(trip, date);
+  if (ex.some((e) => e.type === 'removed')) return false;
+  return ex.some((e) => e.type === 'added') || weeklyRunsOn(trip, date);
+}
+
+/**
+ * Filter matching trips that run on any of `dates` (YYYY-MM-DD).
+ * Merge it into a $match/find filter that has no $or of its own.
+ */
+function serviceMatch(dates) {
+  const clauses = dates.map((date) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    return {
+      calendarExceptions: { $not: { $elemMatch: { date, type: 'removed' } } },
+      $or: [
+        {
+          $and: [
+            { $or: [{ 'validity.startDate': { $lte: day } }, { 'validity.startDate': null }] },
+            { $or: [{ 'validity.endDate': { $gte: day } }, { 'validity.endDate': null }] }
+          ],
+          [`serviceDays.${weekdayKey(date)}`]: { $ne: false }
+        },
+        { calendarExceptions: { $elemMatch: { date, type: 'added' } } }
+      ]
+    };
+  });
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+}
+
+// ---------- Applying a service day ----------
+/**
+ * Local date of the trip's first timed stop: the day its stored stop times
+ * are written for. Aggregations may pass a precomputed `_serviceAnchor`.
+ */
+function anchorDate(trip) {
+  if (trip._serviceAnchor) return normDate(trip._serviceAnchor);
+  const first = (trip.stops || []).slice()
+    .sort((a, b) => (a.seq || 0) - (b.seq || 0))
+    .find((s) => s.dep || s.arr);
+  return first ? normDate(first.dep || first.arr) : null;
+}
+
+/**
+ * How the trip operates on `date`:
+ *   status    scheduled | special (added run) | retimed | cancelled | not_running
+ *   offsetMin whole days from the stored stop times to `date`
+ *   retime    { shiftMin, fromSeq } when re-timed
+ */
+function serviceDay(trip, date) {
+  const exceptions = exceptionsOn(trip, date);
+  const runs = runsOn(trip, date);
+  const retimed = exceptions.filter((e) => e.type === 'retimed' && e.shiftMin).pop() || null;
+  let status = 'scheduled';
+  if (exceptions.some((e) => e.type === 'removed')) status = 'cancelled';
+  else if (!runs) status = 'not_running';
+  else if (retimed) status = 'retimed';
+  else if (exceptions.some((e) => e.type === 'added') && !weeklyRunsOn(trip, date)) status = 'special';
+
+  const anchor = anchorDate(trip);
+  return {
+    date,
+    runs,
+    status,
+    offsetMin: anchor ? daysBetween(anchor, date) * 24 * 60 : 0,
+    retime: retimed ? { shiftMin: retimed.shiftMin, fromSeq: retimed.fromSeq ?? null } : null,
+    exceptions: exceptions.map(({ date: d, ...e }) => e)
+  };
+}
+
+/**
+ * The stop with its times moved onto the service day (and re-timing applied).
+ */
+function stopOn(stop, day) {
+  if (!stop) return stop;
+  const retimed = day.retime && (day.retime.fromSeq == null || (stop.seq || 0) >= day.retime.fromSeq);
+  const minutes = day.offsetMin + (retimed ? day.retime.shiftMin : 0);
+  if (!minutes) return stop;
+  return { ...stop, arr: shiftISO(stop.arr, minutes), dep: shiftISO(stop.dep, minutes) };
+}
+
+/**
+ * Service day summary plus the trip's stops dated for that day.
+ */
+function tripOn(trip, date) {
+  const day = serviceDay(trip, date);
+  const stops = (trip.stops || []).slice().sort((a, b) => (a.seq || 0) - (b.seq || 0));
+  return { ...day, stops: stops.map((s) => stopOn(s, day)) };
+}
+
+/**
+ * Dates a search row ({ originStop, destStop, calendarExceptions, ... }) for
+ * the requested service day; drops the raw calendar from the row.
+ */
+function legOn(row, date) {
+  const { calendarExceptions, _serviceAnchor, ...item } = row;
+  const day = serviceDay(row, date);
+  const originStop = stopOn(row.originStop, day);
+  const destStop = stopOn(row.destStop, day);
+  const departureISO = originStop?.dep || null;
+  const arrivalISO = destStop?.arr || null;
+  const durationMin = departureISO && arrivalISO
+    ? Math.round((Date.parse(arrivalISO) - Date.parse(departureISO)) / 60000)
+    : item.durationMin ?? null;
+  return {
+    ...item,
+    originStop,
+    destStop,
+    departureISO,
+    arrivalISO,
+    durationMin: Number.isFinite(durationMin) ? durationMin : null,
+    serviceDate: date,
+    serviceStatus: day.status,
+    exceptions: day.exceptions
+  };
+}
+
+/**
+ * $project fields search pipelines add so rows can be passed to legOn.
+ */
+const LEG_PROJECTION = Object.freeze({
+  serviceDays: 1,
+  validity: 1,
+  calendarExceptions: 1,
+  _serviceAnchor: { $ifNull: [{ $first: '$stops.dep' }, { $first: '$stops.arr' }] }
+});
+
+// ---------- Disruption notices ----------
+function modelFor(mode) {
+  const Model = MODELS[mode];
+  if (!Model) throw ApiError.badRequest(`mode must be one of: ${SERVICE_CALENDAR.NOTICE_MODES.join(', ')}`);
+  return Model;
+}
+
+/**
+ * Service days from `dates` (array or comma list) or an inclusive `from`..`to` range.
+ */
+function noticeDates({ dates, from, to }) {
+  let out = toList(dates);
+  if (!out.length && (from || to)) {
+    const start = normDate(from);
+    const end = normDate(to || from);
+    if (!start || !end || end < start) throw ApiError.badRequest('from/to must be dates (YYYY-MM-DD) with from <= to');
+    if (daysBetween(start, end) >= SERVICE_CALENDAR.MAX_NOTICE_DATES) {
+      throw ApiError.badRequest(`A notice may cover at most ${SERVICE_CALENDAR.MAX_NOTICE_DATES} days`);
+    }
+    out = [];
+    for (let d = start; d <= end; d = addDays(d, 1)) out.push(d);
+  }
+  const bad = out.filter((d) => !normDate(d));
+  if (bad.length) throw ApiError.badRequest('dates must be YYYY-MM-DD', { invalid: bad });
+  const unique = [...new Set(out.map(normDate))].sort();
+  if (unique.length > SERVICE_CALENDAR.MAX_NOTICE_DATES) {
+    throw ApiError.badRequest(`A notice may cover at most ${SERVICE_CALENDAR.MAX_NOTICE_DATES} days`);
+  }
+  return unique;
+}
+
+/**
+ * Publish a notice and write its calendar exceptions onto every affected trip.
+ * Cancellations, re-timings and special runs need trips and dates; advisories
+ * only inform (dates optional, trips/stations optional).
+ */
+async function publishNotice(body = {}, { actorId } = {}) {
+  const mode = String(body.mode || '').toLowerCase();
+  const Model = modelFor(mode);
+  const effect = body.effect || 'advisory';
+  if (!Object.prototype.hasOwnProperty.call(SERVICE_CALENDAR.NOTICE_EFFECTS, effect)) {
+    throw ApiError.badRequest(`effect must be one of: ${Object.keys(SERVICE_CALENDAR.NOTICE_EFFECTS).join(', ')}`);
+  }
+  const exceptionType = SERVICE_CALENDAR.NOTICE_EFFECTS[effect];
+  const severity = body.severity || (effect === 'cancellation' ? 'major' : 'info');
+  if (!SERVICE_CALENDAR.NOTICE_SEVERITY.includes(severity)) {
+    throw ApiError.badRequest(`severity must be one of: ${SERVICE_CALENDAR.NOTICE_SEVERITY.join(', ')}`);
+  }
+  const title = String(body.title || '').trim();
+  if (!title) throw ApiError.badRequest('title is required');
+
+  const tripIds = [...new Set(toList(body.tripIds))];
+  const stationIds = [...new Set(toList(body.stationIds))];
+  const badIds = [...tripIds, ...stationIds].filter((id) => !isObjectId(id));
+  if (badIds.length) throw ApiError.badRequest('tripIds and stationIds must be ids', { invalid: badIds });
+  if (tripIds.length > SERVICE_CALENDAR.MAX_NOTICE_TRIPS) {
+    throw ApiError.badRequest(`A notice may list at most ${SERVICE_CALENDAR.MAX_NOTICE_TRIPS} trips`);
+  }
+  const dates = noticeDates(body);
+
+  let shiftMin;
+  let fromSeq;
+  if (exceptionType) {
+    if (!tripIds.length) throw ApiError.badRequest(`A ${effect} notice needs tripIds`);
+    if (!dates.length) throw ApiError.badRequest(`A ${effect} notice needs dates or from/to`);
+  }
+  if (exceptionType === 'retimed') {
+    shiftMin = Number(body.shiftMin);
+    if (!Number.isInteger(shiftMin) || !shiftMin || Math.abs(shiftMin) > SERVICE_CALENDAR.MAX_SHIFT_MIN) {
+      throw ApiError.badRequest(`shiftMin must be a non-zero whole number of minutes within ±${SERVICE_CALENDAR.MAX_SHIFT_MIN}`);
+    }
+    if (body.fromSeq != null && body.fromSeq !== '') {
+      fromSeq = Number(body.fromSeq);
+      if (!Number.isInteger(fromSeq) || fromSeq < 0) throw ApiError.badRequest('fromSeq must be a stop sequence (>= 0)');
+    }
+  }
+
+  if (tripIds.length) {
+    const found = await Model.find({ _id: { $in: tripIds } }).select({ _id: 1 }).lean();
+    const known = new Set(found.map((t) => String(t._id)));
+    const missing = tripIds.filter((id) => !known.has(id));
+    if (missing.length) throw ApiError.unprocessable(`Unknown ${mode} trips`, { missing });
+  }
+
+  const notice = await DisruptionNotice.create({
+    mode,
+    effect,
+    severity,
+    title,
+    message: body.message,
+    tripIds,
+    stationIds,
+    dates,
+    startsOn: dates[0],
+    endsOn: dates[dates.length - 1],
+    shiftMin,
+    fromSeq,
+    publishedBy: actorId
+  });
+
+  if (exceptionType) {
+    const entries = dates.map((date) => ({
+      date,
+      type: exceptionType,
+      shiftMin,
+      fromSeq,
+      reason: title,
+      source: 'notice',
+      noticeId: notice._id
+    }));
+    await Model.updateMany({ _id: { $in: tripIds } }, { $push: { calendarExceptions: { $each: entries } } });
+  }
+  return notice.toObject();
+}
+
+/**
+ * Withdraw a published notice and pull the exceptions it wrote.
+ */
+async function withdrawNotice(id, { actorId, reason } = {}) {
+  if (!isObjectId(id)) return null;
+  const notice = await DisruptionNotice.findOneAndUpdate(
+    { _id: id, status: 'published' },
+    { $set: { status: 'withdrawn', withdrawnBy: actorId, withdrawnAt: new Date(), withdrawReason: reason } },
+    { new: true }
+  ).lean();
+  if (!notice) {
+    const exists = await DisruptionNotice.exists({ _id: id });
+    if (exists) throw ApiError.conflict('Notice is already withdrawn');
+    return null;
+  }
+  await modelFor(notice.mode).updateMany(
+    { 'calendarExceptions.noticeId': notice._id },
+    { $pull: { calendarExceptions: { noticeId: notice._id } } }
+  );
+  return notice;
+}
+
+/**
+ * Notices, newest first. `date` keeps notices covering that day plus
+ * undated ones; `tripId`/`stationId` match the notice scope.
+ */
+async function listNotices({ mode, effect, tripId, stationId, date, status = 'published', page = 1, limit = PAGINATION.DEFAULT_LIMIT } = {}) {
+  const p = coerceInt(page, 1);
+  const l = Math.min(coerceInt(limit, PAGINATION.DEFAULT_LIMIT), PAGINATION.MAX_LIMIT);
+
+  const filter = {};
+  if (status && status !== 'all') filter.status = status;
+  if (mode) filter.mode = mode;
+  if (effect) filter.effect = effect;
+  if (tripId) {
+    if (!isObjectId(tripId)) throw ApiError.badRequest('Invalid tripId');
+    filter.tripIds = tripId;
+  }
+  if (stationId) {
+    if (!isObjectId(stationId)) throw ApiError.badRequest('Invalid stationId');
+    filter.stationIds = stationId;
+  }
+  if (date) {
+    const d = normDate(date);
+    if (!d) throw ApiError.badRequest('date must be YYYY-MM-DD');
+    filter.$or = [{ dates: d }, { dates: { $size: 0 } }];
+  }
+
+  const [items, total] = await Promise.all([
+    DisruptionNotice.find(filter).sort({ publishedAt: -1 }).skip((p - 1) * l).limit(l).lean(),
+    DisruptionNotice.countDocuments(filter)
+  ]);
+  return { items, total, page: p, limit: l };
+}
+
+async function getNotice(id) {
+  if (!isObjectId(id)) return null;
+  return DisruptionNotice.findById(id).lean();
+}
+
+/**
+ * Published notices for one trip on one service day, for schedule responses.
+ */
+async function noticesForTrip(mode, tripId, date) {
+  const filter = { status: 'published', mode, tripIds: tripId };
+  if (date) filter.$or = [{ dates: date }, { dates: { $size: 0 } }];
+  return DisruptionNotice.find(filter)
+    .select({ title: 1, message: 1, effect: 1, severity: 1, dates: 1, shiftMin: 1, fromSeq: 1, publishedAt: 1 })
+    .sort({ publishedAt: -1 })
+    .lean();
+}
+
+/**
+ * Published notices flagging a station/stop on any of `dates` (or undated), for boards.
+ */
+async function noticesForStation(mode, stationId, dates = []) {
+  const filter = { status: 'published', mode, stationIds: stationId };
+  if (dates.length) filter.$or = [{ dates: { $in: dates } }, { dates: { $size: 0 } }];
+  return DisruptionNotice.find(filter)
+    .select({ title: 1, message: 1, effect: 1, severity: 1, dates: 1, tripIds: 1, publishedAt: 1 })
+    .sort({ publishedAt: -1 })
+    .lean();
+}
+
+module.exports = {
+  // calendar rules
+  normDate,
+  weekdayKey,
+  runsOn,
+  serviceMatch,
+
+  // service days
+  serviceDay,
+  stopOn,
+  tripOn,
+  legOn,
+  LEG_PROJECTION,
+  shiftISO,
+
+  // disruption notices
+  publishNotice,
+  withdrawNotice,
+  listNotices,
+  getNotice,
+  noticesForTrip,
+  noticesForStation
+};
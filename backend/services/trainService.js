@@ -5,14 +5,13 @@
 const mongoose = require('mongoose');
 const Train = require('../models/Train');
 const TrainStation = require('../models/TrainStation');
-
-// Optional booking model if present
-let TrainBooking = null;
-try {
-  TrainBooking = require('../models/TrainBooking'); // eslint-disable-line global-require
-} catch (e) {
-  TrainBooking = null;
-}
+const seatInventory = require('./seatInventoryService');
+const bookingLedger = require('./bookingLedgerService');
+const payments = require('./paymentService');
+const cancellation = require('./cancellationService');
+const calendar = require('./serviceCalendarService');
+const fareService = require('./fareService');
+const { ApiError } = require('../utils/ApiError');
 
 // ---------- Helpers ----------
 function isObjectId(v) {
@@ -32,11 +31,11 @@ function coerceFloat(v, def) {
 function toISO(d) {
   return new Date(d).toISOString();
 }
-function weekdayKey(dateISO) {
-  const d = new Date(dateISO);
-  // Service days stored as mon..sun; use local interpretation by default
-  const day = d.getUTCDay(); // 0=Sun..6=Sat
-  return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][day];
+function serviceDate(date) {
+  if (!date) return null;
+  const d = calendar.normDate(date);
+  if (!d) throw ApiError.badRequest('date must be YYYY-MM-DD');
+  return d;
 }
 async function resolveStationRef(idOrCode) {
   if (!idOrCode) return null;
@@ -52,7 +51,8 @@ async function resolveStationRef(idOrCode) {
 /**
  * Search trains with GTFS-like semantics:
  * - origin and destination must exist in ordered stops, with origin index < dest index
- * - date must be within validity and enabled by serviceDays
+ * - date is the service day: weekly calendar within validity plus calendar exceptions,
+ *   with stop times moved onto that day and any re-timing applied
  * - optional filtering by operator/classes and sorting by departure/duration/price/popularity
  */
 async function searchTrains({
@@ -83,17 +83,12 @@ async function searchTrains({
     ? classes
     : (classes ? String(classes).split(',').map((s) => s.trim()).filter(Boolean) : []);
 
-  const dateISO = date ? new Date(`${date}T00:00:00Z`).toISOString() : null;
-  const wk = dateISO ? weekdayKey(dateISO) : null;
+  const day = serviceDate(date);
 
   const baseMatch = { isActive: true };
   if (operatorArr.length) baseMatch.operator = { $in: operatorArr };
   if (classArr.length) baseMatch.classes = { $in: classArr };
-  if (dateISO) {
-    baseMatch['validity.startDate'] = { $lte: new Date(dateISO) };
-    baseMatch['validity.endDate'] = { ...(baseMatch['validity.endDate'] || {}), $gte: new Date(dateISO) };
-  }
-  if (wk) baseMatch[`serviceDays.${wk}`] = true;
+  if (day) Object.assign(baseMatch, calendar.serviceMatch([day]));
 
   const pipeline = [
     { $match: baseMatch },
@@ -145,7 +140,8 @@ async function searchTrains({
         number: 1, name: 1, operator: 1, classes: 1, amenities: 1,
         serviceDays: 1, validity: 1, fares: 1, popularity: 1, viewCount: 1, reviews: 1,
         originStop: 1, destStop: 1, departureISO: 1, arrivalISO: 1, durationMin: 1,
-        fareMin: 1, fareCurrency: 1, coordinatesGeoJSON: 1
+        fareMin: 1, fareCurrency: 1, coordinatesGeoJSON: 1,
+        ...calendar.LEG_PROJECTION
       }
     }
   ];
@@ -162,7 +158,7 @@ async function searchTrains({
 
   pipeline.push({ $sort: sortStage }, { $skip: skip }, { $limit: l });
 
-  const [items, totalAgg] = await Promise.all([
+  const [rows, totalAgg] = await Promise.all([
     Train.aggregate(pipeline),
     Train.aggregate([
       { $match: baseMatch },
@@ -177,6 +173,13 @@ async function searchTrains({
   ]);
 
   const total = totalAgg?.[0]?.count || 0;
+  const items = day
+    ? rows.map((r) => calendar.legOn(r, day))
+    : rows.map(({ calendarExceptions, _serviceAnchor, ...r }) => r);
+  // Re-timings can reorder a page sorted on stored times
+  if (day && (sort === 'departure' || !sort)) {
+    items.sort((a, b) => (Date.parse(a.departureISO) || 0) - (Date.parse(b.departureISO) || 0));
+  }
   return { items, page: p, limit: l, total, hasMore: skip + items.length < total };
 }
 
@@ -262,16 +265,13 @@ async function getSchedule(id, { date }) {
   const t = await getTrainById(id);
   if (!t) return { date, active: false, stops: [] };
 
-  let active = true;
-  if (date) {
-    const dateISO = new Date(`${date}T00:00:00Z`).toISOString();
-    const wk = weekdayKey(dateISO);
-    if (t.validity?.startDate && new Date(t.validity.startDate).toISOString() > dateISO) active = false;
-    if (t.validity?.endDate && new Date(t.validity.endDate).toISOString() < dateISO) active = false;
-    if (t.serviceDays && wk && t.serviceDays[wk] === false) active = false;
-  }
+  const day = serviceDate(date);
+  if (!day) return { date: null, active: true, stops: Array.isArray(t.stops) ? t.stops : [] };
 
-  return { date: date || null, active, stops: Array.isArray(t.stops) ? t.stops : [] };
+  // Stops dated for the service day, with exceptions and published notices
+  const { runs, status, exceptions, stops } = calendar.tripOn(t, day);
+  const notices = await calendar.noticesForTrip('train', t._id, day);
+  return { date: day, active: runs, status, exceptions, notices, stops };
 }
 
 async function getFares(id) {
@@ -351,17 +351,6 @@ async function getByBBox({ minLng, minLat, maxLng, maxLat, limit = 500, filters
   return rows;
 }
 
-// ---------- Live status (stub) ----------
-async function getLiveStatus({ operator, number, date }) {
-  return {
-    operator: operator || null,
-    number: number || null,
-    date: date || null,
-    status: 'unknown',
-    lastUpdatedISO: toISO(Date.now())
-  };
-}
-
 // ---------- Seat map & availability ----------
 function generateSeatMap({ classCode = 'STD', coaches = 3, rowsPerCoach = 12 }) {
   const maps = [];
@@ -380,90 +369,197 @@ function generateSeatMap({ classCode = 'STD', coaches = 3, rowsPerCoach = 12 })
   return { classCode, coaches: maps };
 }
 
-async function getSeatMap({ id, date, classCode = 'STD' }) {
+// Seat labels per coach for the persisted inventory (layout mirrors generateSeatMap)
+function buildCoaches(classCode) {
+  return generateSeatMap({ classCode }).coaches.map((c) => ({
+    coach: c.coach,
+    rows: c.rows,
+    cols: c.cols,
+    layout: c.layout.map((row) => row.map((s) => s.seat))
+  }));
+}
+
+/**
+ * Seat map backed by SeatInventory when a travel date is given; without a date
+ * there is no inventory to consult, so the generated layout is returned as-is.
+ */
+async function getSeatMap({ id, date, classCode = 'STD', coach }) {
   const t = await getTrainById(id);
   if (!t) return null;
-  return generateSeatMap({ classCode });
+  if (!date) return generateSeatMap({ classCode });
+
+  return seatInventory.getSeatMap({
+    vehicleType: 'train',
+    vehicleId: t._id,
+    travelDate: date,
+    classCode,
+    coach,
+    buildCoaches: () => buildCoaches(classCode)
+  });
 }
 
 async function getAvailability({ id, date, classCode, quota }) {
   const t = await getTrainById(id);
   if (!t) return { available: false };
 
-  const dateISO = date ? new Date(`${date}T00:00:00Z`).toISOString() : null;
-  let active = true;
-  if (dateISO) {
-    const wk = weekdayKey(dateISO);
-    if (t.validity?.startDate && new Date(t.validity.startDate).toISOString() > dateISO) active = false;
-    if (t.validity?.endDate && new Date(t.validity.endDate).toISOString() < dateISO) active = false;
-    if (t.serviceDays && wk && t.serviceDays[wk] === false) active = false;
-  }
+  const day = serviceDate(date);
+  const { runs: active, status } = day ? calendar.serviceDay(t, day) : { runs: true, status: null };
 
   const classExists = classCode ? Array.isArray(t.classes) && t.classes.includes(classCode) : true;
-  return { active, classCode: classCode || null, quota: quota || null, available: active && classExists };
+  return { active, status, classCode: classCode || null, quota: quota || null, available: active && classExists };
 }
 
 // ---------- Quote & Booking ----------
+/**
+ * Priced by fareService for the boarding/alighting stops, passenger mix and
+ * quota (itemized in price.breakdown); optionally holds seats for the quote.
+ */
 async function getQuote({
   trainId,
   date,                      // YYYY-MM-DD (ISO-friendly)
   classCode,
   originStopSeq,             // preferred
   destinationStopSeq,
-  passengers = 1,
-  currency
+  fromStationId,             // id or station_code, when seqs are not given
+  toStationId,
+  passengers = 1,            // count, { adult, child, ... } or [{ category?, age? }]
+  quota,                     // GN | LD | SS | TQ
+  currency,
+  seats,                     // optional seat labels to hold for the quote
+  userId
 }) {
   const t = await getTrainById(trainId);
   if (!t) return null;
 
-  const fares = Array.isArray(t.fares) ? t.fares : [];
-  let fare = null;
-  if (classCode) fare = fares.find((f) => f.classCode === classCode) || null;
-  if (!fare) {
-    fare = fares.reduce((acc, f) => (acc && acc.min <= (f.min ?? Infinity) ? acc : f), null);
+  const [fromRef, toRef] = await Promise.all([resolveStationRef(fromStationId), resolveStationRef(toStationId)]);
+  if ((fromStationId && !fromRef) || (toStationId && !toRef)) throw ApiError.badRequest('Unknown station');
+
+  const priced = await fareService.priceRide({
+    mode: 'train',
+    trip: t,
+    classCode,
+    fromSeq: originStopSeq,
+    toSeq: destinationStopSeq,
+    fromStopId: fromRef,
+    toStopId: toRef,
+    passengers,
+    quota,
+    date,
+    currency
+  });
+  if (!priced) return null;
+
+  // Reserve the selected seats for the lifetime of the quote
+  let hold = null;
+  const seatList = Array.isArray(seats) ? seats : (seats ? String(seats).split(',').map((s) => s.trim()).filter(Boolean) : []);
+  if (seatList.length) {
+    if (!date) throw ApiError.badRequest('date is required to hold seats');
+    if (seatList.length !== priced.passengers.seated) throw ApiError.badRequest('Number of seats must match passengers who need a seat');
+    hold = await seatInventory.holdSeats({
+      vehicleType: 'train',
+      vehicleId: t._id,
+      travelDate: date,
+      classCode: priced.classCode,
+      seats: seatList,
+      userId,
+      buildCoaches: () => buildCoaches(priced.classCode)
+    });
   }
-  if (!fare) return null;
 
-  const unit = fare.min ?? 0;
-  const curr = currency || fare.currency || 'INR';
-  const qty = coerceInt(passengers, 1);
+  return quoteOf(t, priced, { date, hold });
+}
 
-  const holdExpiryISO = toISO(Date.now() + 15 * 60 * 1000);
+function quoteOf(t, priced, { date, hold }) {
   return {
     trainId: String(t._id),
     number: t.number,
     operator: t.operator,
     date: date || null,
-    classCode: fare.classCode,
-    originStopSeq: originStopSeq ?? null,
-    destinationStopSeq: destinationStopSeq ?? null,
-    passengers: qty,
-    price: { currency: curr, unitAmount: unit, totalAmount: unit * qty },
-    holdExpiryISO
+    classCode: priced.classCode,
+    quota: priced.quota,
+    originStopSeq: priced.segment.fromSeq,
+    destinationStopSeq: priced.segment.toSeq,
+    segment: priced.segment,
+    passengers: priced.passengers.total,
+    passengerMix: priced.passengers.counts,
+    price: priced.price,
+    holdId: hold ? hold.holdId : null,
+    seats: hold ? hold.seats : [],
+    holdExpiryISO: hold ? hold.expiresAtISO : null
   };
 }
 
-async function bookTrain(id, { quote, contact, passengers, payment }) {
+/**
+ * Release a quote's seat hold before it expires (checkout abandoned).
+ */
+async function releaseSeatHold(holdId, { userId } = {}) {
+  return seatInventory.releaseHold({ holdId, userId });
+}
+
+/**
+ * Book a train from a quote. Only the class, segment, quota, date and hold
+ * are read from the client's quote: the fare is priced again for the booked
+ * passengers and must equal the quoted price (409 with the fresh quote).
+ * A seat hold for every seated passenger is required; it is committed first,
+ * so an expired hold aborts with 409.
+ */
+async function bookTrain(id, { quote, contact, passengers, payment, userId }) {
   const t = await getTrainById(id);
   if (!t) return null;
-
-  const payload = {
-    trainId: String(t._id),
-    number: t.number,
-    operator: t.operator,
-    quote,
-    contact,
-    passengers,
-    state: 'confirmed',
-    createdAtISO: toISO(Date.now()),
-    payment: payment ? { ...payment, state: 'captured' } : { state: 'pending' }
-  };
-
-  if (TrainBooking) {
-    const saved = await TrainBooking.create(payload);
-    return saved.toObject();
+  if (!quote) throw ApiError.badRequest('quote is required');
+  if (!quote.holdId) throw ApiError.badRequest('Hold seats with a quote before booking');
+  if (payment) payments.assertAvailable();
+
+  const priced = await fareService.priceRide({
+    mode: 'train',
+    trip: t,
+    classCode: quote.classCode,
+    fromSeq: quote.originStopSeq,
+    toSeq: quote.destinationStopSeq,
+    passengers: Array.isArray(passengers) && passengers.length ? passengers : quote.passengerMix || quote.passengers,
+    quota: quote.quota,
+    date: quote.date,
+    currency: quote.price?.currency
+  });
+  if (!priced) throw ApiError.badRequest('Class is not offered on this train');
+  const fresh = quoteOf(t, priced, { date: quote.date });
+  bookingLedger.assertQuoteMatches(quote, fresh);
+
+  // Held seats become booked before the booking is written; an expired hold aborts with 409
+  const bookingId = new mongoose.Types.ObjectId();
+  const { seats } = await seatInventory.commitHold({
+    holdId: quote.holdId,
+    bookingRef: String(bookingId),
+    userId,
+    vehicleType: 'train',
+    vehicleId: t._id,
+    travelDate: fresh.date,
+    classCode: fresh.classCode,
+    seatCount: priced.passengers.seated
+  });
+  const booked = { ...fresh, holdId: quote.holdId, seats };
+
+  let booking;
+  try {
+    booking = await bookingLedger.createFromCheckout({
+      _id: bookingId,
+      kind: 'train',
+      userId,
+      itemId: t._id,
+      title: `${t.number} ${t.name || ''}`.trim(),
+      startDate: booked.date,
+      guests: booked.passengers,
+      quote: booked,
+      payment,
+      cancellationPolicy: cancellation.policyForItem('train', t, { classCode: booked.classCode }),
+      details: { number: t.number, operator: t.operator, quote: booked, contact, passengers, seats }
+    });
+  } catch (err) {
+    // Ledger write failed; put the committed seats back on sale
+    await seatInventory.releaseBookedSeats({ bookingRef: String(bookingId) });
+    throw err;
   }
-  return { _id: null, ...payload };
+  return payment ? payments.payForBooking(booking, { ...payment, userId }) : booking;
 }
 
 // ---------- Convenience: trains serving a station ----------
@@ -471,17 +567,11 @@ async function getTrainsByStation(stationId, { date }) {
   const ref = await resolveStationRef(stationId);
   if (!ref) return { items: [] };
 
-  const dateISO = date ? new Date(`${date}T00:00:00Z`).toISOString() : null;
-  const wk = dateISO ? weekdayKey(dateISO) : null;
-
+  const day = serviceDate(date);
   const match = { isActive: true };
-  if (dateISO) {
-    match['validity.startDate'] = { $lte: new Date(dateISO) };
-    match['validity.endDate'] = { ...(match['validity.endDate'] || {}), $gte: new Date(dateISO) };
-  }
-  if (wk) match[`serviceDays.${wk}`] = true;
+  if (day) Object.assign(match, calendar.serviceMatch([day]));
 
-  const items = await Train.aggregate([
+  const rows = await Train.aggregate([
     { $match: match },
     {
       $addFields: {
@@ -503,12 +593,24 @@ async function getTrainsByStation(stationId, { date }) {
     {
       $project: {
         number: 1, name: 1, operator: 1, classes: 1, popularity: 1, viewCount: 1,
-        arrivalISO: '$stopAt.arr', departureISO: '$stopAt.dep', seq: '$stopAt.seq'
+        arrivalISO: '$stopAt.arr', departureISO: '$stopAt.dep', seq: '$stopAt.seq',
+        ...calendar.LEG_PROJECTION
       }
     },
     { $sort: { departureISO: 1 } }
   ]);
 
+  const items = rows.map((row) => {
+    const { serviceDays, validity, calendarExceptions, _serviceAnchor, ...r } = row;
+    if (!day) return r;
+    const sd = calendar.serviceDay(row, day);
+    const at = calendar.stopOn({ seq: r.seq, arr: r.arrivalISO, dep: r.departureISO }, sd);
+    return { ...r, arrivalISO: at.arr, departureISO: at.dep, serviceDate: day, serviceStatus: sd.status };
+  });
+  if (day) {
+    const at = (i) => Date.parse(i.departureISO || i.arrivalISO) || 0;
+    items.sort((a, b) => at(a) - at(b));
+  }
   return { items };
 }
 
@@ -530,13 +632,13 @@ module.exports = {
   getTrainsGeoJSON,
   getByBBox,
 
-  // realtime/ux
-  getLiveStatus,
+  // realtime/ux (live status: liveStatusService)
   getSeatMap,
   getAvailability,
 
   // commerce
   getQuote,
+  releaseSeatHold,
   bookTrain,
 
   // stations
@@ -0,0 +1,165 @@
+// backend/tests/services/accountTokenService.test.js
+
+const crypto = require('crypto');
+
+// In-memory AccountToken collection
+jest.mock('../../models/AccountToken', () => {
+  const docs = [];
+  const copy = (d) => (d ? JSON.parse(JSON.stringify(d)) : null);
+  const matches = (doc, filter) => Object.entries(filter).every(([k, v]) => {
+    if (v && typeof v === 'object' && '$gt' in v) return new Date(doc[k]) > v.$gt;
+    if (v === null) return doc[k] === null || doc[k] === undefined;
+    return String(doc[k]) === String(v);
+  });
+  const chain = (value) => ({ sort: () => chain(value), select: () => chain(value), lean: async () => copy(value) });
+  return {
+    docs,
+    async create(doc) {
+      docs.push({ createdAt: new Date(), usedAt: null, ...doc });
+      return doc;
+    },
+    findOne: (filter) => chain([...docs].reverse().find((d) => matches(d, filter))),
+    findOneAndUpdate: (filter, update) => {
+      const doc = docs.find((d) => matches(d, filter));
+      if (doc) Object.assign(doc, update.$set);
+      return chain(doc);
+    },
+    deleteMany: async (filter) => {
+      const keep = docs.filter((d) => !matches(d, filter));
+      docs.splice(0, docs.length, ...keep);
+      return {};
+    }
+  };
+});
+jest.mock('../../models/user', () => {
+  const users = new Map();
+  // Awaitable directly or after .select('+password'), like a mongoose query
+  const find = (id) => Object.assign(Promise.resolve(users.get(String(id)) || null), { select() { return this; } });
+  return {
+    users,
+    findById: jest.fn(find),
+    findByEmail: jest.fn(async (email) => [...users.values()].find((u) => u.email === email) || null)
+  };
+});
+jest.mock('../../services/mailService', () => ({
+  sendVerificationEmail: jest.fn(async () => {}),
+  sendPasswordResetEmail: jest.fn(async () => {})
+}));
+jest.mock('../../services/authSessionService', () => ({
+  invalidateAllTokens: jest.fn(async () => {})
+}));
+
+const mongoose = require('mongoose');
+const AccountToken = require('../../models/AccountToken');
+const User = require('../../models/user');
+const mailService = require('../../services/mailService');
+const authSessions = require('../../services/authSessionService');
+const accountTokens = require('../../services/accountTokenService');
+
+function addUser(fields = {}) {
+  const user = {
+    _id: new mongoose.Types.ObjectId().toString(),
+    email: 'ana@example.com',
+    isVerified: false,
+    isActive: true,
+    save: jest.fn(async () => user),
+    ...fields
+  };
+  User.users.set(user._id, user);
+  return user;
+}
+
+describe('accountTokenService', () => {
+  beforeEach(() => {
+    AccountToken.docs.splice(0);
+    User.users.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('email verification', () => {
+    it('mails a token and stores only its hash', async () => {
+      const user = addUser();
+      await expect(accountTokens.requestEmailVerification(user._id)).resolves.toEqual({ alreadyVerified: false, sent: true });
+
+      const token = mailService.sendVerificationEmail.mock.calls[0][1];
+      const [stored] = AccountToken.docs;
+      expect(stored.tokenHash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+      expect(JSON.stringify(stored)).not.toContain(token.split('.')[1]);
+      expect(stored.purpose).toBe(accountTokens.PURPOSE.VERIFY_EMAIL);
+    });
+
+    it('does not mail again inside the resend cooldown', async () => {
+      const user = addUser();
+      await accountTokens.requestEmailVerification(user._id);
+      await expect(accountTokens.requestEmailVerification(user._id)).resolves.toEqual({ alreadyVerified: false, sent: false });
+      expect(mailService.sendVerificationEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports an already verified account without issuing a token', async () => {
+      const user = addUser({ isVerified: true });
+      await expect(accountTokens.requestEmailVerification(user._id)).resolves.toEqual({ alreadyVerified: true, sent: false });
+      expect(AccountToken.docs).toHaveLength(0);
+    });
+
+    it('verifies once and rejects the same link afterwards', async () => {
+      const user = addUser();
+      await accountTokens.requestEmailVerification(user._id);
+      const token = mailService.sendVerificationEmail.mock.calls[0][1];
+
+      await accountTokens.verifyEmail(token);
+      expect(user.isVerified).toBe(true);
+      await expect(accountTokens.verifyEmail(token)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('rejects a token with the wrong secret or an expired token', async () => {
+      const user = addUser();
+      await accountTokens.requestEmailVerification(user._id);
+      const token = mailService.sendVerificationEmail.mock.calls[0][1];
+
+      await expect(accountTokens.verifyEmail(`${token.split('.')[0]}.forged`)).rejects.toMatchObject({ statusCode: 400 });
+      AccountToken.docs[0].expiresAt = new Date(Date.now() - 1000);
+      await expect(accountTokens.verifyEmail(token)).rejects.toMatchObject({ statusCode: 400 });
+      expect(user.isVerified).toBe(false);
+    });
+
+    it('rejects a link sent to an address the account no longer uses', async () => {
+      const user = addUser();
+      await accountTokens.requestEmailVerification(user._id);
+      const token = mailService.sendVerificationEmail.mock.calls[0][1];
+
+      user.email = 'new@example.com';
+      await expect(accountTokens.verifyEmail(token)).rejects.toMatchObject({ statusCode: 400 });
+      expect(user.isVerified).toBe(false);
+    });
+  });
+
+  describe('password reset', () => {
+    it('resolves silently for unknown or inactive accounts', async () => {
+      addUser({ email: 'gone@example.com', isActive: false });
+      await expect(accountTokens.requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+      await expect(accountTokens.requestPasswordReset('gone@example.com')).resolves.toBeUndefined();
+      expect(mailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+    });
+
+    it('sets the password, verifies the mailbox and signs out every session', async () => {
+      const user = addUser();
+      await accountTokens.requestPasswordReset(user.email);
+      const token = mailService.sendPasswordResetEmail.mock.calls[0][1];
+
+      await accountTokens.resetPassword(token, 'n3w-Passw0rd');
+      expect(user.password).toBe('n3w-Passw0rd');
+      expect(user.isVerified).toBe(true);
+      expect(authSessions.invalidateAllTokens).toHaveBeenCalledWith(user._id, 'password_reset');
+      await expect(accountTokens.resetPassword(token, 'again')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('does not accept a verification token as a reset token', async () => {
+      const user = addUser();
+      await accountTokens.requestEmailVerification(user._id);
+      const token = mailService.sendVerificationEmail.mock.calls[0][1];
+
+      await expect(accountTokens.resetPassword(token, 'n3w-Passw0rd')).rejects.toMatchObject({ statusCode: 400 });
+      expect(user.password).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+// backend/tests/services/ai/localProvider.test.js
+
+const local = require('../../../services/ai/providers/localProvider');
+const { AI } = require('../../../utils/constants');
+
+const noFilters = { region: null, emotions: [], categories: [], keywords: [] };
+const sight = (id, lng, lat, fields = {}) => ({ id, type: 'places', name: `Sight ${id}`, location: { lng, lat }, ...fields });
+
+async function collect(iterable) {
+  const out = [];
+  for await (const chunk of iterable) out.push(chunk);
+  return out;
+}
+
+describe('local AI provider', () => {
+  it('is always configured and reports its model', () => {
+    expect(local.configured()).toBe(true);
+    expect(local.model()).toBe('local-deterministic');
+  });
+
+  it('answers identical requests identically', async () => {
+    const req = { task: 'chat', context: { input: { message: 'temples' }, filters: noFilters, grounding: [sight('a', 75.7, 13.3)] } };
+    const [first, second] = await Promise.all([local.complete(req), local.complete(req)]);
+    expect(first).toEqual(second);
+    expect(first.text).toContain('1. Sight a');
+  });
+
+  it('says so when nothing in the catalogue grounds a chat answer', async () => {
+    const { text } = await local.complete({
+      task: 'chat',
+      context: { input: { message: 'moon base' }, filters: { ...noFilters, region: 'udupi' }, grounding: [] }
+    });
+    expect(text).toMatch(/^I couldn't find anything around Udupi in our catalogue for "moon base"/);
+  });
+
+  it('returns a JSON document for json tasks', async () => {
+    const grounding = [sight('far', 77.6, 12.97), sight('near', 74.86, 12.87), sight('nearest', 74.85, 12.86)];
+    const { text } = await local.complete({
+      task: 'day_plan',
+      json: true,
+      context: { input: { pace: 'relaxed', origin: { lng: 74.84, lat: 12.85 } }, filters: noFilters, grounding }
+    });
+
+    const plan = JSON.parse(text);
+    expect(plan.stops.map((s) => s.id)).toEqual(['nearest', 'near', 'far']);
+    expect(plan.stops.every((s) => s.durationMin === AI.VISIT_MIN)).toBe(true);
+  });
+
+  it('streams word-sized chunks that add up to the completion', async () => {
+    const req = { task: 'rewrite', context: { input: { text: 'we  really loved it. the food was great!', tone: 'concise' } } };
+    const { text } = await local.complete(req);
+    const chunks = await collect(local.stream(req));
+
+    expect(text).toBe('We loved it. The food was great!');
+    expect(chunks.length).toBe(text.split(' ').length);
+    expect(chunks.join('')).toBe(text);
+  });
+
+  it('stops streaming once the request is aborted', async () => {
+    const controller = new AbortController();
+    const req = { task: 'summarize', signal: controller.signal, context: { input: { text: 'One two three. Four five.', maxSentences: 3 } } };
+    const chunks = [];
+    for await (const chunk of local.stream(req)) {
+      chunks.push(chunk);
+      controller.abort();
+    }
+    expect(chunks).toEqual(['One']);
+  });
+
+  it('adds season and activity items to the packing list', async () => {
+    const { text } = await local.complete({
+      task: 'packing_list',
+      json: true,
+      context: {
+        input: { destination: 'coorg', activities: ['trek'], travellers: 2, nights: 2, startDate: new Date('2026-07-10'), endDate: new Date('2026-07-12') },
+        filters: noFilters,
+        grounding: []
+      }
+    });
+
+    const items = Object.fromEntries(JSON.parse(text).categories.flatMap((c) => c.items.map((i) => [i.item, i])));
+    expect(items['Rain jacket or umbrella']).toMatchObject({ qty: 2, essential: false });
+    expect(items['Trekking shoes']).toBeDefined();
+    expect(items.Tops.qty).toBe(6);
+    expect(items.Swimwear).toBeUndefined();
+  });
+
+  it('extracts dates written either way and amounts with their currency', async () => {
+    const { text } = await local.complete({
+      task: 'extract',
+      json: true,
+      context: {
+        input: { text: 'Visiting Hampi on 2026-11-02, back 05/11/2026. Budget ₹12,500 or $150.' },
+        filters: noFilters,
+        grounding: [{ id: 'h', type: 'places', name: 'Hampi' }, { id: 'm', type: 'places', name: 'Mysore Palace' }]
+      }
+    });
+
+    expect(JSON.parse(text)).toMatchObject({
+      places: ['Hampi'],
+      dates: ['2026-11-02', '2026-11-05'],
+      amounts: [{ value: 12500, currency: 'INR' }, { value: 150, currency: 'USD' }]
+    });
+  });
+
+  it('rejects tasks it has no draft for', async () => {
+    await expect(local.complete({ task: 'poetry', context: {} })).rejects.toThrow('Local provider has no answer for task: poetry');
+  });
+});
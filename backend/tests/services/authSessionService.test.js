@@ -0,0 +1,97 @@
+// backend/tests/services/authSessionService.test.js
+
+const jwt = require('jsonwebtoken');
+
+// In-memory AuthSession collection
+jest.mock('../../models/AuthSession', () => {
+  const docs = [];
+  const copy = (d) => (d ? JSON.parse(JSON.stringify(d)) : null);
+  const matches = (doc, filter) => Object.entries(filter).every(([k, v]) => {
+    if (v && typeof v === 'object' && '$gt' in v) return new Date(doc[k]) > v.$gt;
+    if (v && typeof v === 'object' && '$in' in v) return v.$in.map(String).includes(String(doc[k]));
+    if (v === null) return doc[k] === null || doc[k] === undefined;
+    return String(doc[k]) === String(v);
+  });
+  const chain = (value) => ({ sort: () => chain(value), select: () => chain(value), lean: async () => copy(value) });
+  const apply = (filter, update) => {
+    const hit = docs.filter((d) => matches(d, filter));
+    hit.forEach((d) => Object.assign(d, update.$set));
+    return hit;
+  };
+  return {
+    docs,
+    async create(doc) {
+      docs.push({ revokedAt: null, ...doc });
+      return doc;
+    },
+    find: (filter) => chain(docs.filter((d) => matches(d, filter)).sort((a, b) => b.lastUsedAt - a.lastUsedAt)),
+    exists: async (filter) => docs.some((d) => matches(d, filter)),
+    findOneAndUpdate: (filter, update) => chain(apply(filter, update)[0] || null),
+    updateOne: async (filter, update) => ({ modifiedCount: apply(filter, update).slice(0, 1).length }),
+    updateMany: async (filter, update) => ({ modifiedCount: apply(filter, update).length })
+  };
+});
+jest.mock('../../models/user', () => {
+  const user = {
+    _id: '65f0c0ffee00000000000001',
+    isActive: true,
+    generateAuthToken: (sid) => require('jsonwebtoken').sign({ sid: String(sid) }, 'test-secret', { expiresIn: '15m' })
+  };
+  return { user, findById: jest.fn(async () => user), updateOne: jest.fn(async () => ({})) };
+});
+
+const AuthSession = require('../../models/AuthSession');
+const User = require('../../models/user');
+const sessions = require('../../services/authSessionService');
+const { AUTH } = require('../../utils/constants');
+
+describe('authSessionService', () => {
+  beforeEach(() => {
+    AuthSession.docs.splice(0);
+    User.user.isActive = true;
+  });
+
+  it('issues a session-bound access token and an opaque refresh token stored only as a hash', async () => {
+    const tokens = await sessions.createSession(User.user, { deviceName: 'Pixel 8' });
+
+    expect(jwt.decode(tokens.accessToken).sid).toBe(tokens.sessionId);
+    expect(tokens.refreshToken.startsWith(`${tokens.sessionId}.`)).toBe(true);
+    expect(JSON.stringify(AuthSession.docs)).not.toContain(tokens.refreshToken);
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const first = await sessions.createSession(User.user);
+    const { tokens: second } = await sessions.refreshSession(first.refreshToken);
+
+    expect(second.sessionId).toBe(first.sessionId);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    await expect(sessions.refreshSession(second.refreshToken)).resolves.toBeTruthy();
+  });
+
+  it('revokes the session when a retired refresh token is presented again', async () => {
+    const first = await sessions.createSession(User.user);
+    const { tokens: second } = await sessions.refreshSession(first.refreshToken);
+
+    await expect(sessions.refreshSession(first.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    expect(AuthSession.docs[0].revokedReason).toBe('refresh_token_reuse');
+    await expect(sessions.refreshSession(second.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(sessions.isSessionActive(first.sessionId)).resolves.toBe(false);
+  });
+
+  it('ends the session of a deactivated account on refresh', async () => {
+    const { refreshToken } = await sessions.createSession(User.user);
+    User.user.isActive = false;
+
+    await expect(sessions.refreshSession(refreshToken)).rejects.toMatchObject({ statusCode: 403 });
+    expect(AuthSession.docs[0].revokedReason).toBe('account_deactivated');
+  });
+
+  it('keeps at most MAX_SESSIONS_PER_USER devices signed in', async () => {
+    for (let i = 0; i <= AUTH.MAX_SESSIONS_PER_USER; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await sessions.createSession(User.user);
+    }
+    const live = AuthSession.docs.filter((d) => !d.revokedAt);
+    expect(live).toHaveLength(AUTH.MAX_SESSIONS_PER_USER);
+  });
+});
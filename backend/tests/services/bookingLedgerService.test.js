@@ -0,0 +1,57 @@
+// backend/tests/services/bookingLedgerService.test.js
+
+jest.mock('../../models/booking/Booking', () => ({
+  create: jest.fn(async (doc) => ({ toObject: () => doc }))
+}));
+jest.mock('../../models/Restaurant', () => ({
+  updateOne: jest.fn(async () => ({ modifiedCount: 1 }))
+}));
+
+const Restaurant = require('../../models/Restaurant');
+const bookingLedger = require('../../services/bookingLedgerService');
+
+const USER = '65f0c0ffee00000000000001';
+
+describe('bookingLedgerService.createFromCheckout', () => {
+  it('gives a held booking an expiry even when its quote has none', async () => {
+    const before = Date.now();
+    const booking = await bookingLedger.createFromCheckout({
+      kind: 'train',
+      userId: USER,
+      quote: { price: { currency: 'INR', totalAmount: 900 }, holdExpiryISO: null }
+    });
+
+    expect(booking.status).toBe('held');
+    expect(booking.holdExpiresAt.getTime()).toBeGreaterThanOrEqual(before + 15 * 60 * 1000);
+  });
+
+  it('keeps the quoted hold expiry', async () => {
+    const booking = await bookingLedger.createFromCheckout({
+      kind: 'bus',
+      userId: USER,
+      quote: { price: { currency: 'INR', totalAmount: 500 }, holdExpiryISO: '2026-11-02T10:15:00.000Z' },
+      payment: { method: 'card' }
+    });
+
+    expect(booking).toMatchObject({ status: 'pending_payment', price: 500 });
+    expect(booking.holdExpiresAt.toISOString()).toBe('2026-11-02T10:15:00.000Z');
+  });
+});
+
+describe('bookingLedgerService.releaseTable', () => {
+  it('returns a reservation\'s covers to its slot', async () => {
+    const slotStartISO = '2026-11-02T13:30:00.000Z';
+    await expect(bookingLedger.releaseTable({ itemId: 'r1', guests: 4, details: { slotStartISO } })).resolves.toBe(true);
+
+    expect(Restaurant.updateOne).toHaveBeenCalledWith(
+      { _id: 'r1', 'availability.slots.startISO': slotStartISO },
+      { $inc: { 'availability.slots.$.capacity': 4 } }
+    );
+  });
+
+  it('leaves reservations made before slots were tracked alone', async () => {
+    Restaurant.updateOne.mockClear();
+    await expect(bookingLedger.releaseTable({ itemId: 'r1', guests: 2, details: {} })).resolves.toBe(false);
+    expect(Restaurant.updateOne).not.toHaveBeenCalled();
+  });
+});
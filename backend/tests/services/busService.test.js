@@ -0,0 +1,112 @@
+// backend/tests/services/busService.test.js
+
+const BUS_ID = '65f0c0ffee00000000000001';
+
+jest.mock('../../models/Bus', () => ({
+  findById: jest.fn((id) => ({ lean: async () => ({ _id: id, number: 'KA-01', operator: 'KSRTC', stops: [] }) }))
+}));
+jest.mock('../../models/BusStop', () => ({}));
+jest.mock('../../services/seatInventoryService', () => ({
+  commitHold: jest.fn(async () => ({ seats: ['1A', '1B'] })),
+  releaseBookedSeats: jest.fn(async () => {})
+}));
+jest.mock('../../services/paymentService', () => ({ payForBooking: jest.fn() }));
+jest.mock('../../services/fareService', () => ({ priceRide: jest.fn() }));
+jest.mock('../../services/bookingLedgerService', () => ({
+  ...jest.requireActual('../../services/bookingLedgerService'),
+  createFromCheckout: jest.fn(async (doc) => doc)
+}));
+
+const seatInventory = require('../../services/seatInventoryService');
+const fareService = require('../../services/fareService');
+const bookingLedger = require('../../services/bookingLedgerService');
+const busService = require('../../services/busService');
+
+// What fareService charges today: 2 adults at 250
+function priced(totalAmount = 500) {
+  return {
+    classCode: 'AC',
+    segment: { fromSeq: 1, toSeq: 4 },
+    passengers: { counts: { adult: 2 }, total: 2, seated: 2 },
+    price: { currency: 'INR', unitAmount: totalAmount / 2, totalAmount, breakdown: [] }
+  };
+}
+
+function clientQuote(fields = {}) {
+  return {
+    classCode: 'AC',
+    originStopSeq: 1,
+    destinationStopSeq: 4,
+    date: '2026-11-02',
+    passengers: 2,
+    passengerMix: { adult: 2 },
+    price: { currency: 'INR', totalAmount: 500, breakdown: [] },
+    holdId: 'h1',
+    ...fields
+  };
+}
+
+describe('busService.bookBus', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fareService.priceRide.mockResolvedValue(priced());
+  });
+
+  it('prices the quoted segment again and books the server quote', async () => {
+    const booking = await busService.bookBus(BUS_ID, {
+      quote: clientQuote({ price: { currency: 'INR', totalAmount: 500, breakdown: [{ label: 'forged' }] } }),
+      passengers: [{ category: 'adult' }, { category: 'adult' }],
+      userId: 'u1'
+    });
+
+    expect(fareService.priceRide).toHaveBeenCalledWith(expect.objectContaining({
+      mode: 'bus',
+      classCode: 'AC',
+      fromSeq: 1,
+      toSeq: 4,
+      passengers: [{ category: 'adult' }, { category: 'adult' }],
+      currency: 'INR'
+    }));
+    expect(booking.quote.price.breakdown).toEqual([]);
+    expect(booking.quote).toMatchObject({ holdId: 'h1', seats: ['1A', '1B'], passengerMix: { adult: 2 } });
+    expect(booking.details.quote).toBe(booking.quote);
+  });
+
+  it('rejects a quote whose price no longer matches, before touching the hold', async () => {
+    fareService.priceRide.mockResolvedValue(priced(640));
+
+    await expect(busService.bookBus(BUS_ID, { quote: clientQuote(), userId: 'u1' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(seatInventory.commitHold).not.toHaveBeenCalled();
+    expect(bookingLedger.createFromCheckout).not.toHaveBeenCalled();
+  });
+
+  it('prices the quoted passenger mix when no passengers are sent', async () => {
+    await busService.bookBus(BUS_ID, { quote: clientQuote(), userId: 'u1' });
+    expect(fareService.priceRide).toHaveBeenCalledWith(expect.objectContaining({ passengers: { adult: 2 } }));
+  });
+
+  it('refuses to book without a seat hold', async () => {
+    await expect(busService.bookBus(BUS_ID, { quote: clientQuote({ holdId: null }), userId: 'u1' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(fareService.priceRide).not.toHaveBeenCalled();
+    expect(bookingLedger.createFromCheckout).not.toHaveBeenCalled();
+  });
+
+  it('commits only a hold that covers every seated passenger', async () => {
+    await busService.bookBus(BUS_ID, { quote: clientQuote(), userId: 'u1' });
+    expect(seatInventory.commitHold).toHaveBeenCalledWith(expect.objectContaining({ holdId: 'h1', seatCount: 2 }));
+  });
+
+  it('puts the seats back on sale when the booking cannot be written', async () => {
+    bookingLedger.createFromCheckout.mockRejectedValueOnce(new Error('write failed'));
+    await expect(busService.bookBus(BUS_ID, { quote: clientQuote(), userId: 'u1' })).rejects.toThrow('write failed');
+    expect(seatInventory.releaseBookedSeats).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a class the bus does not offer', async () => {
+    fareService.priceRide.mockResolvedValue(null);
+    await expect(busService.bookBus(BUS_ID, { quote: clientQuote({ classCode: 'SL' }), userId: 'u1' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,94 @@
+// backend/tests/services/cabService.test.js
+
+// In-memory CabRide collection
+jest.mock('../../models/CabRide', () => {
+  const rides = new Map();
+  const copy = (d) => (d ? JSON.parse(JSON.stringify(d)) : null);
+  return {
+    rides,
+    findById: (id) => ({ lean: async () => copy(rides.get(String(id))) }),
+    findOneAndUpdate: (filter, update) => {
+      const ride = rides.get(String(filter._id));
+      if (ride && ride.payment?.state !== 'paid') {
+        for (const [k, v] of Object.entries(update.$set)) {
+          if (k.startsWith('payment.')) ride.payment[k.slice(8)] = v;
+          else ride[k] = v;
+        }
+      }
+      return { lean: async () => copy(ride) };
+    }
+  };
+});
+jest.mock('../../models/Driver', () => ({}));
+jest.mock('../../services/paymentService', () => ({
+  charge: jest.fn(),
+  attemptKey: jest.fn(async (prefix) => `${prefix}:attempt:1`)
+}));
+
+const CabRide = require('../../models/CabRide');
+const payments = require('../../services/paymentService');
+const cabService = require('../../services/cabService');
+
+const RIDER = '65f0c0ffee00000000000001';
+const RIDE = '65f0c0ffee00000000000002';
+
+function addRide(fields = {}) {
+  CabRide.rides.set(RIDE, {
+    _id: RIDE,
+    userId: RIDER,
+    state: 'confirmed',
+    priceQuote: { unitAmount: 240, currency: 'INR' },
+    payment: { state: 'pending' },
+    ...fields
+  });
+}
+
+describe('cabService.payForRide', () => {
+  beforeEach(() => {
+    CabRide.rides.clear();
+    jest.clearAllMocks();
+    payments.charge.mockImplementation(async (input) => ({
+      _id: 'p1', status: 'captured', amountCaptured: input.amount, currency: input.currency
+    }));
+  });
+
+  it('charges the quoted fare and marks the ride paid', async () => {
+    addRide();
+    const { ride } = await cabService.payForRide(RIDE, { method: 'card', userId: RIDER });
+
+    expect(payments.charge).toHaveBeenCalledWith(expect.objectContaining({
+      idempotencyKey: `ride:${RIDE}:attempt:1`,
+      amount: 240,
+      currency: 'INR',
+      rideId: RIDE
+    }));
+    expect(ride.payment).toMatchObject({ state: 'paid', amount: 240, paymentId: 'p1' });
+  });
+
+  it('treats another rider\'s ride as not found', async () => {
+    addRide();
+    await expect(cabService.payForRide(RIDE, { method: 'card', userId: '65f0c0ffee00000000000009' })).resolves.toBeNull();
+    expect(payments.charge).not.toHaveBeenCalled();
+  });
+
+  it('refuses rides that are finished or already paid', async () => {
+    addRide({ state: 'canceled' });
+    await expect(cabService.payForRide(RIDE, { method: 'card', userId: RIDER })).rejects.toMatchObject({ statusCode: 409 });
+
+    addRide({ state: 'completed' });
+    await expect(cabService.payForRide(RIDE, { method: 'card', userId: RIDER })).rejects.toMatchObject({ statusCode: 409 });
+
+    addRide({ payment: { state: 'paid', amount: 240 } });
+    await expect(cabService.payForRide(RIDE, { method: 'card', userId: RIDER })).rejects.toMatchObject({ statusCode: 409 });
+    expect(payments.charge).not.toHaveBeenCalled();
+  });
+
+  it('leaves a declined ride unpaid', async () => {
+    addRide();
+    payments.charge.mockResolvedValueOnce({ _id: 'p1', status: 'failed', failureReason: 'card_declined' });
+
+    const { ride, payment } = await cabService.payForRide(RIDE, { method: 'card', userId: RIDER });
+    expect(payment.status).toBe('failed');
+    expect(ride.payment.state).toBe('pending');
+  });
+});
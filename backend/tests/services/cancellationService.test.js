@@ -0,0 +1,103 @@
+// backend/tests/services/cancellationService.test.js
+
+jest.mock('../../models/Hotel', () => ({}));
+jest.mock('../../models/Train', () => ({}));
+jest.mock('../../models/Activity', () => ({}));
+jest.mock('../../models/booking/Experience', () => ({}));
+jest.mock('../../services/bookingLedgerService', () => ({
+  getForUser: jest.fn(),
+  getById: jest.fn(),
+  cancel: jest.fn(async (id, { set }) => ({ _id: id, status: 'cancelled', ...set })),
+  refund: jest.fn(async (id) => ({ _id: id, status: 'refunded' }))
+}));
+jest.mock('../../services/paymentService', () => ({
+  findCapturedForBooking: jest.fn(),
+  refundPayment: jest.fn()
+}));
+
+const bookingLedger = require('../../services/bookingLedgerService');
+const payments = require('../../services/paymentService');
+const cancellation = require('../../services/cancellationService');
+
+const BOOKING = '65f0c0ffee00000000000001';
+const USER = '65f0c0ffee00000000000002';
+const NOW = new Date('2026-11-01T10:00:00Z');
+
+const TIERED = { tiers: [{ minHoursBefore: 48, refundPercent: 100 }, { minHoursBefore: 12, refundPercent: 40 }], fixedFee: 100 };
+
+function paidBooking(fields = {}) {
+  return {
+    _id: BOOKING,
+    kind: 'hotel',
+    userId: USER,
+    status: 'confirmed',
+    paymentStatus: 'paid',
+    price: 5000,
+    currency: 'INR',
+    payment: { amount: 5000 },
+    startDate: new Date('2026-11-04T10:00:00Z'), // 72h out
+    cancellationPolicy: TIERED,
+    ...fields
+  };
+}
+
+describe('cancellationService.computeRefund', () => {
+  it('applies the most generous tier still open and takes the fee off the refund', () => {
+    expect(cancellation.computeRefund({ policy: TIERED, amountPaid: 5000, startDate: '2026-11-04T10:00:00Z', now: NOW }))
+      .toEqual({ hoursBeforeStart: 72, refundPercent: 100, fee: 100, refundAmount: 4900 });
+    expect(cancellation.computeRefund({ policy: TIERED, amountPaid: 5000, startDate: '2026-11-02T10:00:00Z', now: NOW }))
+      .toMatchObject({ refundPercent: 40, refundAmount: 1900 });
+    expect(cancellation.computeRefund({ policy: TIERED, amountPaid: 5000, startDate: '2026-11-01T16:00:00Z', now: NOW }))
+      .toMatchObject({ refundPercent: 0, fee: 0, refundAmount: 0 });
+  });
+
+  it('refunds nothing on a non-refundable policy', () => {
+    expect(cancellation.computeRefund({ policy: { nonRefundable: true }, amountPaid: 5000, now: NOW }).refundAmount).toBe(0);
+  });
+});
+
+describe('cancellationService.policyForItem', () => {
+  it('reads the booked hotel rate plan, falling back to the default policy', () => {
+    const hotel = { ratePlans: [{ rateId: 'nr', refundable: false }, { rateId: 'flex', cancellationPolicy: TIERED }] };
+
+    expect(cancellation.policyForItem('hotel', hotel, { ratePlanId: 'nr' })).toMatchObject({ nonRefundable: true, tiers: [] });
+    expect(cancellation.policyForItem('hotel', hotel, { ratePlanId: 'flex' }).tiers).toEqual(TIERED.tiers);
+    expect(cancellation.policyForItem('hotel', hotel, { ratePlanId: 'other' }).tiers)
+      .toEqual([{ minHoursBefore: 24, refundPercent: 100 }, { minHoursBefore: 0, refundPercent: 50 }]);
+  });
+});
+
+describe('cancellationService.cancelBooking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    bookingLedger.getForUser.mockResolvedValue(paidBooking());
+    payments.findCapturedForBooking.mockResolvedValue({ _id: 'p1', amountCaptured: 5000, amountRefunded: 0 });
+  });
+
+  it('refunds through the provider, then cancels and marks the booking refunded', async () => {
+    payments.refundPayment.mockResolvedValue({ refunds: [{ refundId: 'r1', idempotencyKey: `cancel:${BOOKING}` }] });
+
+    const { booking, refund } = await cancellation.cancelBooking(BOOKING, { userId: USER, now: NOW });
+
+    expect(refund.refundAmount).toBe(4900);
+    expect(payments.refundPayment).toHaveBeenCalledWith('p1', expect.objectContaining({ amount: 4900, idempotencyKey: `cancel:${BOOKING}` }));
+    expect(bookingLedger.cancel).toHaveBeenCalledWith(BOOKING, expect.objectContaining({
+      set: { cancellation: expect.objectContaining({ refundAmount: 4900, paymentRefundId: 'r1' }) }
+    }));
+    expect(booking.status).toBe('refunded');
+  });
+
+  it('leaves the booking cancellable when the refund is rejected', async () => {
+    payments.refundPayment.mockRejectedValue(Object.assign(new Error('Refund rejected'), { statusCode: 422 }));
+
+    await expect(cancellation.cancelBooking(BOOKING, { userId: USER, now: NOW })).rejects.toMatchObject({ statusCode: 422 });
+    expect(bookingLedger.cancel).not.toHaveBeenCalled();
+  });
+
+  it('refuses bookings that are already finished', async () => {
+    bookingLedger.getForUser.mockResolvedValue(paidBooking({ status: 'completed' }));
+
+    await expect(cancellation.cancelBooking(BOOKING, { userId: USER, now: NOW })).rejects.toMatchObject({ statusCode: 409 });
+    expect(payments.refundPayment).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+// backend/tests/services/flightConnectionService.test.js
+
+// In-memory Flight collection. Range bounds only match values of their own
+// BSON type, as in MongoDB: a Date bound never matches a String departureISO.
+jest.mock('../../models/Flight', () => {
+  const flights = [];
+  const get = (doc, path) => path.split('.').reduce((v, k) => v?.[k], doc);
+  const sameType = (a, b) => typeof a === typeof b && (a instanceof Date) === (b instanceof Date);
+  const test = (value, cond) => {
+    if (cond && cond.constructor === Object) {
+      return Object.entries(cond).every(([op, arg]) => {
+        if (op === '$ne') return value !== arg;
+        if (op === '$in') return arg.includes(value);
+        if (op === '$gte') return sameType(value, arg) && value >= arg;
+        if (op === '$lte') return sameType(value, arg) && value <= arg;
+        throw new Error(`Unsupported operator ${op}`);
+      });
+    }
+    return value === cond;
+  };
+  const query = (rows) => ({ sort: () => query(rows), limit: () => query(rows), lean: async () => rows });
+  return {
+    flights,
+    find: jest.fn((filter) => query(flights.filter((f) => Object.entries(filter).every(([k, v]) => test(get(f, k), v)))))
+  };
+});
+jest.mock('../../models/Airport', () => ({
+  find: () => ({ select: () => ({ lean: async () => [{ iata: 'BOM', minConnectionMin: 90 }] }) })
+}));
+
+const Flight = require('../../models/Flight');
+const { buildConnections, departsWithin } = require('../../services/flightConnectionService');
+
+function flight(number, from, to, departureISO, arrivalISO, amount = 3000) {
+  return {
+    _id: number,
+    number,
+    isActive: true,
+    from,
+    to,
+    price: { amount, currency: 'INR' },
+    slices: [{ segments: [{ from: { iata: from }, to: { iata: to }, departureISO, arrivalISO }] }]
+  };
+}
+
+// 21 Sep 2026, searched as a UTC day
+const start = new Date('2026-09-21T00:00:00.000Z');
+const end = new Date('2026-09-21T23:59:59.999Z');
+
+describe('flightConnectionService.buildConnections', () => {
+  beforeEach(() => {
+    Flight.flights.splice(0);
+  });
+
+  it('stitches a one-stop journey from flights stored with local offsets', async () => {
+    Flight.flights.push(
+      flight('6E-1', 'GOI', 'BOM', '2026-09-21T08:00:00+05:30', '2026-09-21T09:10:00+05:30', 3499),
+      flight('AI-2', 'BOM', 'DEL', '2026-09-21T11:00:00+05:30', '2026-09-21T13:10:00+05:30', 5200)
+    );
+
+    const [itinerary, ...rest] = await buildConnections({ from: 'goi', to: 'del', start, end, maxStops: 1 });
+
+    expect(rest).toHaveLength(0);
+    expect(itinerary).toMatchObject({
+      kind: 'connection',
+      from: 'GOI',
+      to: 'DEL',
+      via: ['BOM'],
+      layovers: [{ airport: 'BOM', minutes: 110, minConnectionMin: 90 }],
+      price: { amount: 8699, currency: 'INR' }
+    });
+    expect(typeof Flight.find.mock.calls[0][0]['slices.0.segments.0.departureISO'].$gte).toBe('string');
+  });
+
+  it('skips connections shorter than the airport minimum and legs outside the day', async () => {
+    Flight.flights.push(
+      flight('6E-1', 'GOI', 'BOM', '2026-09-21T08:00:00+05:30', '2026-09-21T09:10:00+05:30'),
+      flight('AI-3', 'BOM', 'DEL', '2026-09-21T10:00:00+05:30', '2026-09-21T12:10:00+05:30'), // 50 min < 90 min MCT
+      // 05:00 IST on the 21st is 23:30 UTC on the 20th, before the searched day
+      flight('6E-9', 'GOI', 'BOM', '2026-09-21T05:00:00+05:30', '2026-09-21T06:10:00+05:30')
+    );
+
+    await expect(buildConnections({ from: 'GOI', to: 'DEL', start, end, maxStops: 1 })).resolves.toEqual([]);
+  });
+
+  it('matches departures by instant, not by wall-clock text', () => {
+    expect(departsWithin(flight('x', 'GOI', 'BOM', '2026-09-22T03:00:00+05:30'), start, end)).toBe(true);
+    expect(departsWithin(flight('y', 'GOI', 'BOM', '2026-09-21T03:00:00+05:30'), start, end)).toBe(false);
+  });
+});
@@ -0,0 +1,47 @@
+// backend/tests/services/gtfs/csv.test.js
+
+const { parse, stringify } = require('../../../services/gtfs/csv');
+
+describe('gtfs csv', () => {
+  describe('parse', () => {
+    it('keys rows by trimmed header names and strips a UTF-8 BOM', () => {
+      const { columns, rows } = parse('\uFEFFstop_id, stop_name \r\nS1, Majestic \r\nS2,Hebbal\r\n');
+      expect(columns).toEqual(['stop_id', 'stop_name']);
+      expect(rows).toEqual([{ stop_id: 'S1', stop_name: 'Majestic' }, { stop_id: 'S2', stop_name: 'Hebbal' }]);
+    });
+
+    it('reads quoted fields with commas, escaped quotes and line breaks', () => {
+      const { rows } = parse('id,desc\n1,"Gate ""A"", platform 2"\n2,"line one\nline two"\n');
+      expect(rows[0].desc).toBe('Gate "A", platform 2');
+      expect(rows[1].desc).toBe('line one\nline two');
+    });
+
+    it('fills missing trailing cells and skips blank lines', () => {
+      const { rows } = parse('a,b,c\n1,2\n\n3,4,5');
+      expect(rows).toEqual([{ a: '1', b: '2', c: '' }, { a: '3', b: '4', c: '5' }]);
+    });
+
+    it('records the file line each row started on, without making it a column', () => {
+      const { rows } = parse('id,note\n1,"two\nlines"\n2,x\n');
+      expect(rows.map((r) => r.__line)).toEqual([2, 4]);
+      expect(Object.keys(rows[0])).toEqual(['id', 'note']);
+    });
+
+    it('returns nothing for empty input', () => {
+      expect(parse('')).toEqual({ columns: [], rows: [] });
+      expect(parse(null)).toEqual({ columns: [], rows: [] });
+    });
+  });
+
+  describe('stringify', () => {
+    it('writes columns in order with CRLF endings and quotes only where needed', () => {
+      const text = stringify(['id', 'name', 'extra'], [{ id: 1, name: 'Gate "A", north', extra: null }, { id: 2, name: 'Plain' }]);
+      expect(text).toBe('id,name,extra\r\n1,"Gate ""A"", north",\r\n2,Plain,\r\n');
+    });
+
+    it('round-trips through parse', () => {
+      const rows = [{ trip_id: 'T1', headsign: 'City, "Central"' }, { trip_id: 'T2', headsign: 'Two\nlines' }];
+      expect(parse(stringify(['trip_id', 'headsign'], rows)).rows).toEqual(rows);
+    });
+  });
+});
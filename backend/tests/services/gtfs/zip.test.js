@@ -0,0 +1,62 @@
+// backend/tests/services/gtfs/zip.test.js
+
+const { readZip, writeZip, crc32 } = require('../../../services/gtfs/zip');
+
+const SIG_CENTRAL = 0x02014b50;
+
+// Byte offset of the first central directory record
+function centralAt(buf) {
+  for (let i = buf.length - 22; i >= 0; i -= 1) {
+    if (buf.readUInt32LE(i) === 0x06054b50) return buf.readUInt32LE(i + 16);
+  }
+  throw new Error('no end record');
+}
+
+describe('gtfs zip', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  it('round-trips text and binary entries, including UTF-8 names', () => {
+    const binary = Buffer.from([0, 1, 2, 250, 255]);
+    const zip = writeZip([
+      { name: 'agency.txt', data: 'agency_id,agency_name\r\nKSRTC,Karnataka RTC\r\n' },
+      { name: 'ಮಾರ್ಗ.txt', data: 'route_id\r\nR1\r\n' },
+      { name: 'blob.bin', data: binary }
+    ]);
+
+    const entries = readZip(zip);
+    expect([...entries.keys()]).toEqual(['agency.txt', 'ಮಾರ್ಗ.txt', 'blob.bin']);
+    expect(entries.get('agency.txt').toString('utf8')).toContain('KSRTC,Karnataka RTC');
+    expect(entries.get('blob.bin').equals(binary)).toBe(true);
+  });
+
+  it('reads an archive with no entries', () => {
+    expect(readZip(writeZip([])).size).toBe(0);
+  });
+
+  it('rejects data that is not a ZIP archive', () => {
+    expect(() => readZip(Buffer.from('stop_id,stop_name\n'))).toThrow('Not a ZIP archive');
+  });
+
+  it('rejects an entry whose checksum does not match', () => {
+    const zip = writeZip([{ name: 'stops.txt', data: 'stop_id\nS1\n' }]);
+    const at = centralAt(zip);
+    expect(zip.readUInt32LE(at)).toBe(SIG_CENTRAL);
+    zip.writeUInt32LE((zip.readUInt32LE(at + 16) ^ 1) >>> 0, at + 16);
+    expect(() => readZip(zip)).toThrow('ZIP checksum mismatch: stops.txt');
+  });
+
+  it('refuses entries larger than the inflate ceiling', () => {
+    const zip = writeZip([{ name: 'stop_times.txt', data: 'x'.repeat(10000) }]);
+    expect(() => readZip(zip, { maxEntryBytes: 1000 })).toThrow('ZIP entry too large: stop_times.txt');
+    expect(readZip(zip, { maxEntryBytes: 10000 }).get('stop_times.txt').length).toBe(10000);
+  });
+
+  it('rejects unsupported compression methods', () => {
+    const zip = writeZip([{ name: 'trips.txt', data: 'trip_id\nT1\n' }]);
+    zip.writeUInt16LE(12, centralAt(zip) + 10); // bzip2
+    expect(() => readZip(zip)).toThrow('Unsupported ZIP compression method 12: trips.txt');
+  });
+});
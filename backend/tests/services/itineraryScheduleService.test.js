@@ -0,0 +1,93 @@
+// backend/tests/services/itineraryScheduleService.test.js
+
+const schedule = require('../../services/itineraryScheduleService');
+
+const PANAJI = { type: 'Point', coordinates: [73.8278, 15.4909] };
+const OLD_GOA = { type: 'Point', coordinates: [73.9116, 15.5009] }; // ~9 km east
+
+function item(id, fields = {}) {
+  return { _id: id, title: id, dayOffset: 0, seq: 0, ...fields };
+}
+
+describe('itineraryScheduleService.parseTimings', () => {
+  it('reads split, all-day and closed hours into minute ranges', () => {
+    expect(schedule.parseTimings('5:30 AM - 1:00 PM, 3:00 PM - 9:00 PM')).toEqual([
+      { open: 330, close: 780 },
+      { open: 900, close: 1260 }
+    ]);
+    expect(schedule.parseTimings('Open 24 hours')).toEqual([{ open: 0, close: 1440 }]);
+    expect(schedule.parseTimings('Closed on Mondays')).toEqual([]);
+    expect(schedule.parseTimings('10 pm to 2 am')).toEqual([{ open: 1320, close: 1560 }]);
+  });
+
+  it('returns null for text it cannot read, so scheduling is not blocked', () => {
+    expect(schedule.parseTimings('Ask at the gate')).toBeNull();
+  });
+});
+
+describe('itineraryScheduleService.analyzeItinerary', () => {
+  const opts = { startDate: '2026-12-01', endDate: '2026-12-02' };
+
+  it('flags overlapping items and items outside the trip dates', () => {
+    const issues = schedule.analyzeItinerary([
+      item('fort', { startISO: '2026-12-01T09:00:00Z', durationMin: 120 }),
+      item('cruise', { startISO: '2026-12-01T10:00:00Z', durationMin: 60 }),
+      item('flight', { startISO: '2026-12-05T09:00:00Z', durationMin: 60, dayOffset: 4 })
+    ], opts);
+
+    expect(issues.map((i) => [i.code, i.itemIds])).toEqual([
+      ['out_of_range', ['flight']],
+      ['overlap', ['fort', 'cruise']]
+    ]);
+  });
+
+  it('flags a gap too short to travel between pinned places', () => {
+    const issues = schedule.analyzeItinerary([
+      item('church', { startISO: '2026-12-01T09:00:00Z', endISO: '2026-12-01T10:00:00Z', location: PANAJI }),
+      item('basilica', { startISO: '2026-12-01T10:15:00Z', durationMin: 60, location: OLD_GOA })
+    ], opts);
+
+    expect(issues).toEqual([expect.objectContaining({
+      code: 'impossible_transfer',
+      itemIds: ['church', 'basilica'],
+      details: expect.objectContaining({ mode: 'car', gapMin: 15 })
+    })]);
+    expect(issues[0].details.travelMin).toBeGreaterThan(15);
+  });
+
+  it('warns when a linked place is closed at the scheduled time', () => {
+    const places = new Map([['p1', { hours: schedule.parseTimings('9 am - 5 pm'), timings: '9 am - 5 pm' }]]);
+    const [warning] = schedule.analyzeItinerary([item('museum', { entityId: 'p1', startISO: '2026-12-01T16:30:00Z', durationMin: 60 })], { ...opts, places });
+
+    expect(warning).toMatchObject({ code: 'outside_opening_hours', severity: 'warning' });
+  });
+});
+
+describe('itineraryScheduleService.autoScheduleDay', () => {
+  it('fits untimed items around pinned ones, leaving room to travel', () => {
+    const items = [
+      item('lunch', { seq: 0, startISO: '2026-12-01T12:00:00Z', endISO: '2026-12-01T13:00:00Z', location: PANAJI }),
+      item('market', { seq: 1, durationMin: 120, location: PANAJI }),
+      item('basilica', { seq: 2, durationMin: 90, location: OLD_GOA })
+    ];
+    const { assignments, unscheduled, window } = schedule.autoScheduleDay(items, { startDate: '2026-12-01' });
+
+    expect(window).toEqual({ startISO: '2026-12-01T09:00:00.000Z', endISO: '2026-12-01T21:00:00.000Z' });
+    expect(assignments.get('market')).toEqual({ startISO: '2026-12-01T09:00:00.000Z', endISO: '2026-12-01T11:00:00.000Z', durationMin: 120 });
+    // Leaves lunch in Panaji, so it starts after the drive to Old Goa
+    expect(Date.parse(assignments.get('basilica').startISO)).toBeGreaterThanOrEqual(Date.parse('2026-12-01T13:30:00Z'));
+    expect(unscheduled).toEqual([]);
+  });
+
+  it('leaves out places that are closed all day', () => {
+    const places = new Map([['p1', { hours: [] }]]);
+    const { assignments, unscheduled } = schedule.autoScheduleDay([item('temple', { entityId: 'p1' })], { startDate: '2026-12-01', places });
+
+    expect(assignments.size).toBe(0);
+    expect(unscheduled).toEqual([{ itemId: 'temple', title: 'temple', reason: 'closed' }]);
+  });
+
+  it('returns null for an unreadable day window', () => {
+    expect(schedule.autoScheduleDay([], { startDate: '2026-12-01', dayStart: 'morning' })).toBeNull();
+  });
+});
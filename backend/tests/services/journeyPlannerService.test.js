@@ -0,0 +1,103 @@
+// backend/tests/services/journeyPlannerService.test.js
+
+// Three stations on one line; $near is approximated by a small bounding box
+jest.mock('../../models/TrainStation', () => {
+  const stations = [
+    { _id: '65f0c0ffee0000000000000a', name: 'KSR Bengaluru', station_code: 'SBC', location: { type: 'Point', coordinates: [77.5726, 12.9781] } },
+    { _id: '65f0c0ffee0000000000000b', name: 'Mysuru Jn', station_code: 'MYS', location: { type: 'Point', coordinates: [76.6459, 12.3164] } },
+    { _id: '65f0c0ffee0000000000000c', name: 'Mangaluru Central', station_code: 'MAQ', location: { type: 'Point', coordinates: [74.8424, 12.8655] } }
+  ];
+  const near = (filter) => {
+    const [lng, lat] = filter.location.$near.$geometry.coordinates;
+    return stations.filter((s) => Math.abs(s.location.coordinates[0] - lng) < 0.2 && Math.abs(s.location.coordinates[1] - lat) < 0.2);
+  };
+  const query = (rows) => ({ select: () => query(rows), limit: () => query(rows), lean: async () => rows });
+  return {
+    find: (filter) => query(filter.location ? near(filter) : stations.filter((s) => filter._id.$in.includes(s._id)))
+  };
+});
+jest.mock('../../models/Train', () => {
+  const query = (rows) => ({ select: () => query(rows), limit: () => query(rows), lean: async () => rows });
+  // Mon–Fri overnight run; stored times are for Monday 2026-03-02
+  const train = {
+    _id: '65f0c0ffee00000000000100',
+    number: '16585',
+    name: 'Murdeshwar Express',
+    operator: 'SWR',
+    serviceDays: { mon: true, tue: true, wed: true, thu: true, fri: true, sat: false, sun: false },
+    validity: { startDate: '2026-01-01', endDate: '2026-06-30' },
+    calendarExceptions: [],
+    fares: [{ classCode: 'SL', min: 310, currency: 'INR' }],
+    stops: [
+      { seq: 1, stationRefId: '65f0c0ffee0000000000000a', name: 'KSR Bengaluru', arr: null, dep: '2026-03-02T21:00:00+05:30' },
+      { seq: 2, stationRefId: '65f0c0ffee0000000000000b', name: 'Mysuru Jn', arr: '2026-03-03T05:50:00+05:30', dep: '2026-03-03T06:10:00+05:30' },
+      { seq: 3, stationRefId: '65f0c0ffee0000000000000c', name: 'Mangaluru Central', arr: '2026-03-03T11:40:00+05:30', dep: null }
+    ]
+  };
+  return { find: () => query([train]) };
+});
+jest.mock('../../models/Bus', () => ({}));
+jest.mock('../../models/BusStop', () => ({}));
+jest.mock('../../models/Airport', () => ({}));
+jest.mock('../../services/locationService', () => ({}));
+jest.mock('../../services/flightService', () => ({}));
+jest.mock('../../services/cabService', () => ({}));
+
+const { planJourney } = require('../../services/journeyPlannerService');
+
+// A few hundred metres from each station, so every access leg is a walk
+const NEAR_SBC = { name: 'Majestic', lat: 12.9772, lng: 77.5721 };
+const NEAR_MYS = { name: 'Mysuru Palace Rd', lat: 12.3170, lng: 76.6452 };
+const NEAR_MAQ = { name: 'Hampankatta', lat: 12.8660, lng: 74.8430 };
+
+describe('journeyPlannerService.planJourney', () => {
+  it('dates a train ride for the service day it runs on', async () => {
+    const { items } = await planJourney({
+      origin: NEAR_SBC,
+      destination: NEAR_MAQ,
+      departAfter: '2026-03-04T00:00:00+05:30',
+      departBefore: '2026-03-04T23:59:00+05:30',
+      modes: ['train']
+    });
+
+    expect(items).toHaveLength(1);
+    const ride = items[0].legs.find((l) => l.mode === 'train');
+    expect(ride).toMatchObject({ number: '16585', serviceDate: '2026-03-04', fare: { amount: 310, currency: 'INR' } });
+    expect(Date.parse(ride.departureISO)).toBe(Date.parse('2026-03-04T21:00:00+05:30'));
+    expect(Date.parse(ride.arrivalISO)).toBe(Date.parse('2026-03-05T11:40:00+05:30'));
+    expect(items[0].legs.map((l) => l.mode)).toEqual(['walk', 'train', 'walk']);
+  });
+
+  it('boards an overnight run that left the day before', async () => {
+    // The window opens at 00:00 UTC on the 5th; the run started on the 4th
+    const { items } = await planJourney({
+      origin: NEAR_MYS,
+      destination: NEAR_MAQ,
+      departAfter: '2026-03-05T05:30:00+05:30',
+      departBefore: '2026-03-05T09:00:00+05:30',
+      modes: ['train']
+    });
+
+    expect(items).toHaveLength(1);
+    const ride = items[0].legs.find((l) => l.mode === 'train');
+    expect(ride.serviceDate).toBe('2026-03-04');
+    expect(Date.parse(ride.departureISO)).toBe(Date.parse('2026-03-05T06:10:00+05:30'));
+  });
+
+  it('finds nothing on a day the train does not run', async () => {
+    const { items } = await planJourney({
+      origin: NEAR_SBC,
+      destination: NEAR_MAQ,
+      departAfter: '2026-03-07T00:00:00+05:30',
+      departBefore: '2026-03-07T23:59:00+05:30',
+      modes: ['train']
+    });
+    expect(items).toEqual([]);
+  });
+
+  it('rejects a window that ends before it starts', async () => {
+    await expect(planJourney({
+      origin: NEAR_SBC, destination: NEAR_MAQ, departAfter: '2026-03-05T10:00:00Z', departBefore: '2026-03-05T09:00:00Z'
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,153 @@
+// backend/tests/services/liveStatusService.test.js
+
+// In-memory Train collection for station boards; find honours sort and limit
+jest.mock('../../models/Train', () => {
+  const trips = [];
+  const calls = [];
+  const query = (rows, opts) => ({
+    select: () => query(rows, opts),
+    sort: (sort) => query(rows, { ...opts, sort }),
+    limit: (n) => query(rows, { ...opts, limit: n }),
+    lean: async () => {
+      calls.push(opts);
+      const sorted = opts.sort ? [...rows].sort((a, b) => (a._id < b._id ? -1 : 1)) : rows;
+      return sorted.slice(0, opts.limit ?? sorted.length);
+    }
+  });
+  return { trips, calls, find: () => query(trips, {}) };
+});
+jest.mock('../../models/TrainStation', () => ({
+  findOne: () => ({ select: () => ({ lean: async () => ({ _id: '65f0c0ffee00000000005bc0', name: 'KSR Bengaluru', station_code: 'SBC' }) }) })
+}));
+jest.mock('../../models/LiveReport', () => ({ aggregate: jest.fn(async () => []) }));
+jest.mock('../../models/DisruptionNotice', () => ({
+  find: () => ({ select: () => ({ sort: () => ({ lean: async () => [] }) }) })
+}));
+
+const Train = require('../../models/Train');
+const LiveReport = require('../../models/LiveReport');
+const live = require('../../services/liveStatusService');
+
+// Mysuru -> Mandya -> Bengaluru; Mandya has a 10 min scheduled halt
+const STOPS = [
+  { seq: 1, stationRefId: 'mys', name: 'Mysuru Jn', dep: '2026-11-02T10:00:00+05:30', platform: '1' },
+  { seq: 2, stationRefId: 'mya', name: 'Mandya', arr: '2026-11-02T11:00:00+05:30', dep: '2026-11-02T11:10:00+05:30', platform: '2' },
+  { seq: 3, stationRefId: 'sbc', name: 'KSR Bengaluru', arr: '2026-11-02T12:00:00+05:30', platform: '5' }
+];
+const at = (hhmm) => new Date(`2026-11-02T${hhmm}:00+05:30`);
+
+describe('liveStatusService.predictStops', () => {
+  it('keeps the timetable when nothing was reported', () => {
+    const { stops } = live.predictStops('train', STOPS, { at: at('09:30') });
+
+    expect(stops.map((s) => [s.arrDelayMin, s.depDelayMin])).toEqual([[null, 0], [0, 0], [0, null]]);
+    expect(stops.every((s) => !s.passed)).toBe(true);
+  });
+
+  it('carries a reported delay downstream, less the halt a late train can cut short', () => {
+    const report = { stopSeq: 1, stopStatus: 'stopped_at', delayMin: 15, reportedAt: at('10:15') };
+    const { stops } = live.predictStops('train', STOPS, { report, at: at('10:15') });
+
+    // Still standing at Mysuru at 10:15, so it leaves a minute from now at the earliest
+    expect(stops[0]).toMatchObject({ depDelayMin: 16, expectedDep: '2026-11-02T10:16:00+05:30' });
+    // 10 min halt at Mandya, 2 min of it kept: 8 min recovered
+    expect(stops[1]).toMatchObject({ arrDelayMin: 16, depDelayMin: 8, expectedDep: '2026-11-02T11:18:00+05:30' });
+    expect(stops[2]).toMatchObject({ arrDelayMin: 8, expectedArr: '2026-11-02T12:08:00+05:30' });
+  });
+
+  it('moves overdue stops forward with the clock and keeps observed delays behind the vehicle', () => {
+    const report = { stopSeq: 2, stopStatus: 'incoming_at', delayMin: 5, reportedAt: at('11:00') };
+    const observed = new Map([[1, 3]]);
+    const { stops } = live.predictStops('train', STOPS, { report, observed, at: at('11:20') });
+
+    expect(stops[0]).toMatchObject({ passed: true, observed: true, depDelayMin: 3 });
+    // Not yet at Mandya at 11:20: due a minute from now, not at 11:05
+    expect(stops[1]).toMatchObject({ arrDelayMin: 21, passed: false });
+    expect(stops[2].arrDelayMin).toBe(13);
+  });
+
+  it('shows an announced platform change', () => {
+    const { stops } = live.predictStops('train', STOPS, { at: at('09:30'), announced: new Map([[3, { platform: '7' }]]) });
+    expect(stops[2]).toMatchObject({ platform: '7', scheduledPlatform: '5', platformChanged: true });
+  });
+});
+
+describe('liveStatusService.phaseAt', () => {
+  const report = { stopSeq: 1, stopStatus: 'stopped_at', delayMin: 15, reportedAt: at('10:15') };
+  const { times } = live.predictStops('train', STOPS, { report, at: at('10:15') });
+
+  it('places the run on its delayed timeline', () => {
+    expect(live.phaseAt(times, at('10:10'))).toMatchObject({ status: 'scheduled', index: 0 });
+    expect(live.phaseAt(times, at('11:17'))).toMatchObject({ status: 'at_stop', index: 1 });
+    expect(live.phaseAt(times, at('11:43'))).toEqual({ status: 'en_route', index: 1, fraction: 0.5 });
+    expect(live.phaseAt(times, at('12:08'))).toMatchObject({ status: 'arrived', index: 2 });
+  });
+});
+
+describe('liveStatusService.stationBoard', () => {
+  const SBC = '65f0c0ffee00000000005bc0';
+  const MYS = '65f0c0ffee00000000005bc1';
+  const trip = (_id, number, stops) => ({ _id, number, operator: 'SWR', stops });
+  const A = '65f0c0ffee0000000000a001';
+  const B = '65f0c0ffee0000000000a002';
+  const C = '65f0c0ffee0000000000a003';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Train.calls.splice(0);
+    Train.trips.splice(0);
+    Train.trips.push(
+      trip(C, '16231', [
+        { seq: 1, stationRefId: MYS, dep: '2026-11-02T07:00:00+05:30' },
+        { seq: 2, stationRefId: SBC, arr: '2026-11-02T10:05:00+05:30', platform: '3' }
+      ]),
+      trip(A, '12007', [
+        { seq: 1, stationRefId: SBC, dep: '2026-11-02T10:00:00+05:30', platform: '1' },
+        { seq: 2, stationRefId: MYS, arr: '2026-11-02T13:00:00+05:30' }
+      ]),
+      trip(B, '16021', [
+        { seq: 1, stationRefId: SBC, dep: '2026-11-02T10:10:00+05:30', platform: '4' },
+        { seq: 2, stationRefId: MYS, arr: '2026-11-02T12:30:00+05:30' }
+      ])
+    );
+    // 12007 reported 20 min late at its first stop
+    LiveReport.aggregate.mockImplementation(async (pipeline) => (pipeline[2].$group.report
+      ? [{ _id: { tripId: A, serviceDate: '2026-11-02' }, report: { stopSeq: 1, stopStatus: 'stopped_at', delayMin: 20, reportedAt: at('09:45') } }]
+      : []));
+  });
+
+  it('lists departures by expected time, with reported delays applied', async () => {
+    const board = await live.stationBoard('train', 'SBC', { kind: 'departures', at: at('09:50').toISOString() });
+
+    expect(board.items.map((i) => [i.number, i.expectedDep, i.status])).toEqual([
+      ['16021', '2026-11-02T10:10:00+05:30', 'on_time'],
+      ['12007', '2026-11-02T10:20:00+05:30', 'delayed']
+    ]);
+    expect(board.items[1]).toMatchObject({ delayMin: 20, live: true, platform: '1', destination: expect.objectContaining({ seq: 2 }) });
+    expect(board.truncated).toBe(false);
+  });
+
+  it('pages forward in time from the cursor', async () => {
+    const first = await live.stationBoard('train', SBC, { at: at('09:50').toISOString(), limit: 2 });
+    expect(first.items.map((i) => i.number)).toEqual(['16231', '16021']);
+    expect(first.hasMore).toBe(true);
+
+    const next = await live.stationBoard('train', SBC, { at: at('09:50').toISOString(), limit: 2, cursor: first.nextCursor });
+    expect(next.items.map((i) => i.number)).toEqual(['12007']);
+    expect(next.hasMore).toBe(false);
+  });
+
+  it('reads trips in id order and flags a board with more trips than it reads', async () => {
+    for (let n = 0; n < 300; n += 1) {
+      Train.trips.unshift(trip(`65f0c0ffee0000000000f${String(n).padStart(3, '0')}`, `9${n}`, [
+        { seq: 1, stationRefId: MYS, dep: '2026-11-02T20:00:00+05:30' }
+      ]));
+    }
+    const board = await live.stationBoard('train', SBC, { kind: 'departures', at: at('09:50').toISOString() });
+
+    expect(Train.calls[0]).toEqual({ sort: { _id: 1 }, limit: 301 });
+    expect(board.truncated).toBe(true);
+    // Stored first, but the filler trips sort after A, B and C, so the cut drops one of them
+    expect(board.items.map((i) => i.number)).toEqual(['16021', '12007']);
+  });
+});
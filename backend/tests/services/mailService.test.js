@@ -0,0 +1,55 @@
+// backend/tests/services/mailService.test.js
+
+const mailService = require('../../services/mailService');
+
+describe('mailService', () => {
+  const env = process.env.NODE_ENV;
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    process.env.NODE_ENV = env;
+    jest.restoreAllMocks();
+  });
+
+  it('prints links from the console transport with their token redacted', async () => {
+    await mailService.sendPasswordResetEmail({ email: 'ana@example.com', name: 'Ana' }, 'abc123.s3cr3t', { expiresInMinutes: 30 });
+
+    const printed = log.mock.calls[0][0];
+    expect(printed).toContain('/reset-password?token=[redacted]');
+    expect(printed).not.toContain('s3cr3t');
+  });
+
+  it('mails a group invite to the invited address', async () => {
+    await mailService.sendGroupInviteEmail({ inviteeEmail: 'dev@example.com', message: 'Join us!' }, 'inv.t0k3n', {
+      groupName: 'Goa 2026', inviterName: 'Ria', expiresInHours: 168
+    });
+
+    const printed = log.mock.calls[0][0];
+    expect(printed).toContain('dev@example.com');
+    expect(printed).toContain('Ria invited you to plan Goa 2026 together.');
+    expect(printed).toContain('/planning/invites/accept?token=[redacted]');
+  });
+
+  it('refuses the console and file transports in production', async () => {
+    process.env.NODE_ENV = 'production';
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(() => mailService.getTransport('console')).toThrow('is for local use only');
+    expect(() => mailService.getTransport('file')).toThrow('is for local use only');
+    expect(mailService.assertConfigured()).toBe(false);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Mail disabled'));
+    await expect(mailService.sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'token=abc' })).rejects.toThrow();
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('uses a registered provider in production', async () => {
+    process.env.NODE_ENV = 'production';
+    const send = jest.fn(async () => ({ messageId: 'm1', transport: 'relay' }));
+    mailService.registerTransport({ name: 'relay', send });
+
+    expect(mailService.getTransport('relay').send).toBe(send);
+  });
+});
@@ -0,0 +1,97 @@
+// backend/tests/services/moderationService.test.js
+
+// In-memory ModerationCase collection keyed by contentType + contentId
+jest.mock('../../models/ModerationCase', () => {
+  const cases = new Map();
+  const copy = (d) => (d ? JSON.parse(JSON.stringify(d)) : null);
+  const key = (f) => `${f.contentType}:${f.contentId}`;
+  return {
+    cases,
+    findOne: (filter) => ({ lean: async () => copy(cases.get(key(filter))) }),
+    findOneAndUpdate: (filter, update) => {
+      const kase = cases.get(key(filter)) || { contentType: filter.contentType, contentId: String(filter.contentId), history: [] };
+      Object.assign(kase, update.$set);
+      if (update.$push) kase.history = [...kase.history, update.$push.history];
+      cases.set(key(filter), kase);
+      return { lean: async () => copy(kase) };
+    }
+  };
+});
+jest.mock('../../models/place', () => ({
+  find: () => ({ select: () => ({ limit: () => ({ lean: async () => [] }) }) }),
+  updateOne: jest.fn(async () => ({}))
+}));
+jest.mock('../../models/social/Post', () => ({}));
+jest.mock('../../models/social/Comment', () => ({}));
+jest.mock('../../models/review', () => ({}));
+jest.mock('../../services/searchService', () => ({ invalidate: jest.fn() }));
+
+const ModerationCase = require('../../models/ModerationCase');
+const Place = require('../../models/place');
+const searchService = require('../../services/searchService');
+const moderation = require('../../services/moderationService');
+
+const PLACE = '65f0c0ffee00000000000010';
+
+// A clean, approved place: two photos, no banned words, no neighbours
+function place(fields = {}) {
+  return {
+    _id: PLACE,
+    createdBy: '65f0c0ffee00000000000001',
+    name: 'Jog Falls',
+    description: 'Second highest plunge waterfall in India',
+    coverImage: 'cover.jpg',
+    gallery: ['one.jpg'],
+    location: { type: 'Point', coordinates: [74.81, 14.23] },
+    isApproved: true,
+    ...fields
+  };
+}
+
+function approvedCase() {
+  ModerationCase.cases.set(`place:${PLACE}`, {
+    contentType: 'place', contentId: PLACE, status: 'approved', flags: [], history: []
+  });
+}
+
+describe('moderationService.submit', () => {
+  beforeEach(() => {
+    ModerationCase.cases.clear();
+    jest.clearAllMocks();
+  });
+
+  it('sends an approved place back for review when its author edits its content', async () => {
+    approvedCase();
+    const result = await moderation.submit('place', place({ description: 'Now with a new description' }), { changed: ['description'] });
+
+    expect(result.published).toBe(false);
+    expect(result.case.status).toBe('pending');
+    expect(result.case.history).toEqual([expect.objectContaining({ action: 'resubmitted', fromStatus: 'approved', toStatus: 'pending' })]);
+    expect(Place.updateOne).toHaveBeenCalledWith({ _id: PLACE }, { $set: expect.objectContaining({ isApproved: false }) });
+    expect(searchService.invalidate).toHaveBeenCalled();
+  });
+
+  it('holds an edited place that was approved before it had a case', async () => {
+    const result = await moderation.submit('place', place(), { changed: ['name', 'openingHours'] });
+
+    expect(result.published).toBe(false);
+    expect(result.case.status).toBe('pending');
+  });
+
+  it('keeps a place approved when only unmoderated fields change', async () => {
+    approvedCase();
+    const result = await moderation.submit('place', place(), { changed: ['openingHours'] });
+
+    expect(result.published).toBe(true);
+    expect(result.case.status).toBe('approved');
+    expect(Place.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('holds a new edit that adds a flag even without a field list', async () => {
+    approvedCase();
+    const result = await moderation.submit('place', place({ description: 'Best casino in town' }));
+
+    expect(result.case).toMatchObject({ status: 'pending', flagCount: 1 });
+    expect(result.case.flags[0].code).toBe('banned_words');
+  });
+});
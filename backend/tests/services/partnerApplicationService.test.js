@@ -0,0 +1,118 @@
+// backend/tests/services/partnerApplicationService.test.js
+
+jest.mock('../../models/PartnerApplication', () => {
+  const apps = new Map();
+  const copy = (d) => (d ? JSON.parse(JSON.stringify(d)) : null);
+  return {
+    apps,
+    create: jest.fn(async (doc) => {
+      const app = { _id: `65f0c0ffee0000000000a00${apps.size + 1}`, ...doc };
+      apps.set(app._id, app);
+      return { toObject: () => copy(app) };
+    }),
+    findById: (id) => ({ lean: async () => copy(apps.get(String(id))) }),
+    findOneAndUpdate: (filter, update) => {
+      const app = apps.get(String(filter._id));
+      const hit = app && app.status === filter.status ? Object.assign(app, update.$set) : null;
+      return { lean: async () => copy(hit) };
+    }
+  };
+});
+// Users as mongoose would return them: awaitable directly or after .select()
+jest.mock('../../models/user', () => {
+  const users = new Map();
+  const query = (value) => Object.assign(Promise.resolve(value), { select() { return this; } });
+  return {
+    users,
+    findById: (id) => query(users.get(String(id)) || null),
+    countDocuments: async (filter) => [...users.values()].filter((u) => u.role === filter.role && u.isActive).length,
+    findOneAndUpdate: (filter, update) => {
+      const u = users.get(String(filter._id));
+      return query(u && u.role === filter.role ? Object.assign(u, update.$set) : null);
+    }
+  };
+});
+jest.mock('../../models/RoleChange', () => ({
+  create: jest.fn(async (doc) => ({ toObject: () => doc }))
+}));
+
+const User = require('../../models/user');
+const RoleChange = require('../../models/RoleChange');
+const PartnerApplication = require('../../models/PartnerApplication');
+const partners = require('../../services/partnerApplicationService');
+const roleService = require('../../services/roleService');
+
+const APPLICANT = '65f0c0ffee00000000000001';
+const ADMIN = '65f0c0ffee00000000000002';
+
+function addUser(_id, role) {
+  User.users.set(_id, { _id, role, isActive: true });
+  return User.users.get(_id);
+}
+
+describe('partnerApplicationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.users.clear();
+    PartnerApplication.apps.clear();
+    addUser(ADMIN, 'admin');
+  });
+
+  it('opens a pending application with only applicant fields', async () => {
+    const applicant = addUser(APPLICANT, 'user');
+    const app = await partners.submitApplication(applicant, {
+      businessName: 'Konkan Stays',
+      documents: [{ kind: 'business_registration', url: 'https://files.example.com/reg.pdf' }],
+      status: 'approved',
+      reviewedBy: ADMIN
+    });
+
+    expect(app).toMatchObject({ businessName: 'Konkan Stays', status: 'pending', userId: APPLICANT });
+    expect(app.reviewedBy).toBeUndefined();
+  });
+
+  it('refuses partners, admins and insecure document links', async () => {
+    await expect(partners.submitApplication(addUser(APPLICANT, 'partner'), { businessName: 'x' })).rejects.toMatchObject({ statusCode: 409 });
+
+    const applicant = addUser(APPLICANT, 'user');
+    await expect(partners.submitApplication(applicant, {
+      businessName: 'x', documents: [{ kind: 'business_registration', url: 'http://files.example.com/reg.pdf' }]
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('makes an approved applicant a partner and records the role change', async () => {
+    const applicant = addUser(APPLICANT, 'user');
+    const app = await partners.submitApplication(applicant, { businessName: 'Konkan Stays' });
+
+    const { application, roleChange } = await partners.reviewApplication(app._id, { decision: 'approve', actorId: ADMIN });
+
+    expect(application).toMatchObject({ status: 'approved', reviewedBy: ADMIN });
+    expect(User.users.get(APPLICANT).role).toBe('partner');
+    expect(roleChange).toMatchObject({ fromRole: 'user', toRole: 'partner', changedBy: ADMIN, source: 'partner_application' });
+    await expect(partners.reviewApplication(app._id, { decision: 'reject', actorId: ADMIN })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('leaves the role alone when an application is rejected', async () => {
+    const applicant = addUser(APPLICANT, 'user');
+    const app = await partners.submitApplication(applicant, { businessName: 'Konkan Stays' });
+
+    const { application } = await partners.reviewApplication(app._id, { decision: 'reject', note: 'Missing licence', actorId: ADMIN });
+    expect(application).toMatchObject({ status: 'rejected', reviewNote: 'Missing licence' });
+    expect(User.users.get(APPLICANT).role).toBe('user');
+    expect(RoleChange.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('roleService.changeRole', () => {
+  beforeEach(() => {
+    User.users.clear();
+    addUser(ADMIN, 'admin');
+  });
+
+  it('will not demote the last active admin or let admins change their own role', async () => {
+    const other = '65f0c0ffee00000000000003';
+    await expect(roleService.changeRole(ADMIN, 'user', { actorId: other })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(roleService.changeRole(ADMIN, 'user', { actorId: ADMIN })).rejects.toMatchObject({ statusCode: 400 });
+    expect(User.users.get(ADMIN).role).toBe('admin');
+  });
+});
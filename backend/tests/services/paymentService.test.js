@@ -0,0 +1,198 @@
+// backend/tests/services/paymentService.test.js
+
+process.env.PAYMENT_PROVIDER = 'sandbox';
+process.env.PAYMENT_SANDBOX_ENABLED = 'true';
+process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET = 'sandbox-test-secret';
+
+const mongoose = require('mongoose');
+
+// In-memory Payment collection with the unique idempotencyKey index
+jest.mock('../../models/Payment', () => {
+  const docs = new Map();
+  const copy = (d) => (d ? JSON.parse(JSON.stringify(d)) : null);
+  const q = (value) => ({ lean: async () => copy(value) });
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set || {});
+    for (const [k, v] of Object.entries(update.$inc || {})) doc[k] = (doc[k] || 0) + v;
+    for (const [k, v] of Object.entries(update.$push || {})) doc[k] = [...(doc[k] || []), v];
+    return doc;
+  };
+  // Dotted paths into arrays yield every element's value, like MongoDB
+  const get = (doc, path) => path.split('.').reduce((v, k) => (Array.isArray(v) ? v.map((x) => x?.[k]) : v?.[k]), doc);
+  const test = (value, cond) => {
+    const values = Array.isArray(value) ? value : [value];
+    if (cond && cond.constructor === Object) {
+      return Object.entries(cond).every(([op, arg]) => {
+        if (op === '$ne') return !values.some((v) => String(v) === String(arg));
+        if (op === '$in') return values.some((v) => arg.map(String).includes(String(v)));
+        if (op === '$lte') return values.some((v) => v <= arg);
+        throw new Error(`Unsupported operator ${op}`);
+      });
+    }
+    return values.some((v) => String(v) === String(cond));
+  };
+  const matches = (doc, filter) => Object.entries(filter).every(([k, v]) => (k === '$and' ? v.every((f) => matches(doc, f)) : test(get(doc, k), v)));
+  return {
+    docs,
+    async create(doc) {
+      if ([...docs.values()].some((d) => d.idempotencyKey === doc.idempotencyKey)) {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      const created = { _id: new (require('mongoose').Types.ObjectId)().toString(), amountCaptured: 0, amountRefunded: 0, events: [], refunds: [], ...doc };
+      docs.set(created._id, created);
+      return { toObject: () => copy(created) };
+    },
+    findOne: (filter) => q([...docs.values()].find((d) => matches(d, filter))),
+    findById: (id) => q(docs.get(String(id))),
+    findByIdAndUpdate: (id, update) => q(docs.get(String(id)) && apply(docs.get(String(id)), update)),
+    findOneAndUpdate: (filter, update) => {
+      const doc = [...docs.values()].find((d) => matches(d, { ...filter, _id: String(filter._id) }));
+      return q(doc && apply(doc, update));
+    },
+    updateOne: async (filter, update) => {
+      const doc = [...docs.values()].find((d) => matches(d, { ...filter, _id: String(filter._id) }));
+      if (doc) apply(doc, update);
+      return { modifiedCount: doc ? 1 : 0 };
+    },
+    countDocuments: async (filter) => [...docs.values()].filter((d) => matches(d, filter)).length
+  };
+});
+jest.mock('../../services/bookingLedgerService', () => ({
+  confirm: jest.fn(async () => ({})),
+  submitForPayment: jest.fn(async () => ({})),
+  getById: jest.fn(async (id) => ({ _id: id, status: 'confirmed' })),
+  refund: jest.fn(async () => ({}))
+}));
+
+const Payment = require('../../models/Payment');
+const bookingLedger = require('../../services/bookingLedgerService');
+const sandbox = require('../../services/payments/sandboxProvider');
+const paymentService = require('../../services/paymentService');
+
+describe('paymentService', () => {
+  beforeEach(() => {
+    Payment.docs.clear();
+    sandbox.reset();
+    jest.clearAllMocks();
+  });
+
+  test('uses the configured gateway and refuses unknown ones', () => {
+    expect(paymentService.getProvider().name).toBe('sandbox');
+    expect(() => paymentService.getProvider('stripe')).toThrow('Unknown payment provider: stripe');
+    expect(() => paymentService.assertConfigured()).not.toThrow();
+  });
+
+  test('charges once per idempotency key', async () => {
+    const bookingId = new mongoose.Types.ObjectId().toString();
+    const input = { idempotencyKey: 'order-1', method: 'card', amount: 1200, currency: 'inr', bookingId };
+
+    const first = await paymentService.charge(input);
+    const again = await paymentService.charge(input);
+
+    expect(first).toMatchObject({ status: 'captured', amountCaptured: 1200, currency: 'INR', provider: 'sandbox' });
+    expect(again._id).toBe(first._id);
+    expect(Payment.docs.size).toBe(1);
+    expect(bookingLedger.confirm).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects a reused key for a different charge', async () => {
+    const bookingId = new mongoose.Types.ObjectId().toString();
+    await paymentService.charge({ idempotencyKey: 'order-2', method: 'card', amount: 100, currency: 'INR', bookingId });
+
+    await expect(
+      paymentService.charge({ idempotencyKey: 'order-2', method: 'card', amount: 999, currency: 'INR', bookingId })
+    ).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('records declines without confirming the booking', async () => {
+    const bookingId = new mongoose.Types.ObjectId().toString();
+    const payment = await paymentService.charge({ idempotencyKey: 'order-3', method: 'sandbox_decline', amount: 100, currency: 'INR', bookingId });
+
+    expect(payment).toMatchObject({ status: 'failed', failureReason: 'card_declined' });
+    expect(bookingLedger.confirm).not.toHaveBeenCalled();
+  });
+
+  test('applies a redelivered webhook once', async () => {
+    const bookingId = new mongoose.Types.ObjectId().toString();
+    const authorized = await paymentService.charge({
+      idempotencyKey: 'order-4', method: 'card', amount: 300, currency: 'INR', bookingId, capture: false
+    });
+    const delivery = sandbox.buildWebhook('payment.captured', { providerRef: authorized.providerRef, amount: 300 });
+
+    const first = await paymentService.handleWebhook('sandbox', delivery);
+    const again = await paymentService.handleWebhook('sandbox', delivery);
+
+    expect(first).toMatchObject({ ok: true, type: 'payment.captured' });
+    expect(again).toMatchObject({ ok: true, duplicate: true });
+    expect(Payment.docs.get(authorized._id).status).toBe('captured');
+    expect(bookingLedger.confirm).toHaveBeenCalledTimes(1);
+  });
+
+  test('counts a refund once when its webhook arrives before the API call returns', async () => {
+    const paid = await paymentService.charge({ idempotencyKey: 'order-5', method: 'card', amount: 1000, currency: 'INR' });
+    const refund = sandbox.refund;
+    const spy = jest.spyOn(sandbox, 'refund').mockImplementation(async (args) => {
+      const res = await refund(args);
+      await paymentService.handleWebhook('sandbox', sandbox.buildWebhook('refund.succeeded', {
+        providerRef: paid.providerRef, refundId: res.refundId, amount: res.amount
+      }));
+      return res;
+    });
+
+    const refunded = await paymentService.refundPayment(paid._id, { amount: 400, idempotencyKey: 'r-1' });
+    spy.mockRestore();
+
+    expect(refunded).toMatchObject({ amountRefunded: 400, status: 'partially_refunded' });
+    expect(refunded.refunds).toHaveLength(1);
+  });
+
+  test('never records more refunded than was captured', async () => {
+    const paid = await paymentService.charge({ idempotencyKey: 'order-6', method: 'card', amount: 500, currency: 'INR' });
+    await paymentService.refundPayment(paid._id, { amount: 300, idempotencyKey: 'r-1' });
+
+    await paymentService.handleWebhook('sandbox', sandbox.buildWebhook('refund.succeeded', {
+      providerRef: paid.providerRef, refundId: 'sbx_rf_elsewhere', amount: 400
+    }));
+    const rest = await paymentService.refundPayment(paid._id, { idempotencyKey: 'r-2' });
+
+    expect(rest).toMatchObject({ amountRefunded: 500, status: 'refunded' });
+    expect(rest.refunds.map((r) => r.amount)).toEqual([300, 200]);
+  });
+
+  test('retries a declined booking payment under a fresh key', async () => {
+    const booking = { _id: new mongoose.Types.ObjectId().toString(), status: 'held', price: 800, currency: 'INR' };
+
+    const declined = await paymentService.payForBooking(booking, { method: 'sandbox_decline' });
+    const paid = await paymentService.payForBooking(booking, { method: 'card' });
+
+    expect(declined.lastPayment.status).toBe('failed');
+    expect(paid.lastPayment.status).toBe('captured');
+    expect([...Payment.docs.values()].map((p) => p.idempotencyKey)).toEqual([
+      `booking:${booking._id}:attempt:1`,
+      `booking:${booking._id}:attempt:2`
+    ]);
+  });
+
+  test('answers 503 for new charges while no gateway is configured', async () => {
+    const saved = process.env.PAYMENT_PROVIDER;
+    delete process.env.PAYMENT_PROVIDER;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      expect(paymentService.assertConfigured()).toBe(false);
+      expect(paymentService.isAvailable()).toBe(false);
+      await expect(paymentService.charge({ idempotencyKey: 'order-7', method: 'card', amount: 1, currency: 'INR' }))
+        .rejects.toMatchObject({ status: 503 });
+      expect(Payment.docs.size).toBe(0);
+    } finally {
+      process.env.PAYMENT_PROVIDER = saved;
+      warn.mockRestore();
+    }
+  });
+
+  test('rejects webhooks with a bad signature', async () => {
+    const delivery = sandbox.buildWebhook('payment.captured', { providerRef: 'sbx_ch_x' });
+    delivery.headers['x-sandbox-signature'] = delivery.headers['x-sandbox-signature'].replace(/v1=(.)/, (_, c) => `v1=${c === '0' ? '1' : '0'}`);
+
+    await expect(paymentService.handleWebhook('sandbox', delivery)).rejects.toMatchObject({ status: 401 });
+  });
+});
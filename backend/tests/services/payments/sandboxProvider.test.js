@@ -0,0 +1,69 @@
+// backend/tests/services/payments/sandboxProvider.test.js
+
+const sandbox = require('../../../services/payments/sandboxProvider');
+
+describe('sandboxProvider', () => {
+  const env = process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET;
+
+  beforeEach(() => {
+    sandbox.reset();
+    process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET = 'sandbox-test-secret';
+  });
+  afterAll(() => {
+    if (env === undefined) delete process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET;
+    else process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET = env;
+  });
+
+  test('authorizes, captures and refunds a charge', async () => {
+    const auth = await sandbox.authorize({ amount: 500, currency: 'INR', method: 'card' });
+    expect(auth.status).toBe('authorized');
+
+    const cap = await sandbox.capture({ providerRef: auth.providerRef, amount: 500 });
+    expect(cap).toMatchObject({ status: 'captured', amountCaptured: 500 });
+
+    const partial = await sandbox.refund({ providerRef: auth.providerRef, amount: 200 });
+    expect(partial).toMatchObject({ status: 'succeeded', amount: 200 });
+    const rest = await sandbox.refund({ providerRef: auth.providerRef });
+    expect(rest).toMatchObject({ status: 'succeeded', amount: 300 });
+  });
+
+  test('declines and refund rejections are driven by the method', async () => {
+    const declined = await sandbox.authorize({ amount: 100, currency: 'INR', method: 'sandbox_decline' });
+    expect(declined).toMatchObject({ status: 'failed', failureReason: 'card_declined' });
+
+    const auth = await sandbox.authorize({ amount: 100, currency: 'INR', method: 'sandbox_no_refund' });
+    await sandbox.capture({ providerRef: auth.providerRef });
+    const refund = await sandbox.refund({ providerRef: auth.providerRef });
+    expect(refund).toMatchObject({ status: 'failed', failureReason: 'refund_rejected' });
+  });
+
+  test('replays the first response for a repeated idempotency key', async () => {
+    const first = await sandbox.authorize({ amount: 100, currency: 'INR', method: 'card', idempotencyKey: 'k1' });
+    const again = await sandbox.authorize({ amount: 100, currency: 'INR', method: 'card', idempotencyKey: 'k1' });
+    const other = await sandbox.authorize({ amount: 100, currency: 'INR', method: 'card', idempotencyKey: 'k2' });
+    expect(again.providerRef).toBe(first.providerRef);
+    expect(other.providerRef).not.toBe(first.providerRef);
+
+    await sandbox.capture({ providerRef: first.providerRef, idempotencyKey: 'c1' });
+    const r1 = await sandbox.refund({ providerRef: first.providerRef, amount: 40, idempotencyKey: 'r1' });
+    const r1again = await sandbox.refund({ providerRef: first.providerRef, amount: 40, idempotencyKey: 'r1' });
+    expect(r1again.refundId).toBe(r1.refundId);
+    const rest = await sandbox.refund({ providerRef: first.providerRef });
+    expect(rest.amount).toBe(60); // the replayed refund was not applied twice
+  });
+
+  test('verifies webhooks it built and rejects forged ones', async () => {
+    const delivery = sandbox.buildWebhook('payment.captured', { providerRef: 'sbx_ch_1' });
+    const event = await sandbox.verifyWebhook(delivery);
+    expect(event).toMatchObject({ type: 'payment.captured', data: { providerRef: 'sbx_ch_1' } });
+
+    const forged = { rawBody: delivery.rawBody.replace('sbx_ch_1', 'sbx_ch_2'), headers: delivery.headers };
+    await expect(sandbox.verifyWebhook(forged)).rejects.toMatchObject({ code: 'SIGNATURE_MISMATCH' });
+  });
+
+  test('has no default webhook secret', async () => {
+    delete process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET;
+    expect(() => sandbox.assertConfigured()).toThrow('PAYMENT_SANDBOX_WEBHOOK_SECRET is not set');
+    expect(() => sandbox.buildWebhook('payment.captured')).toThrow();
+  });
+});
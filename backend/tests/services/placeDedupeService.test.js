@@ -0,0 +1,107 @@
+// backend/tests/services/placeDedupeService.test.js
+
+// Places in memory; $near returns every other place within the radius (no ordering needed here)
+jest.mock('../../models/place', () => {
+  const places = [];
+  const toRad = (d) => (d * Math.PI) / 180;
+  const meters = ([lng1, lat1], [lng2, lat2]) => {
+    const h = Math.sin(toRad(lat2 - lat1) / 2) ** 2
+      + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+  };
+  const query = (rows) => ({
+    select: () => query(rows),
+    limit: () => query(rows),
+    lean: () => Object.assign(Promise.resolve(rows), {
+      cursor: async function* cursor() { yield* rows; }
+    })
+  });
+  return {
+    places,
+    findById: (id) => query(places.find((p) => p._id === String(id)) || null),
+    find: (filter) => {
+      const near = filter.location?.$near;
+      if (!near) return query(places);
+      return query(places.filter((p) => p._id !== filter._id.$ne
+        && meters(p.location.coordinates, near.$geometry.coordinates) <= near.$maxDistance));
+    }
+  };
+});
+jest.mock('../../models/PlaceDuplicate', () => {
+  const pairs = new Map();
+  return {
+    pairs,
+    updateOne: jest.fn(async (filter, update) => {
+      const key = `${filter.placeA}:${filter.placeB}`;
+      const inserted = !pairs.has(key);
+      pairs.set(key, { ...(inserted ? update.$setOnInsert : pairs.get(key)), ...update.$set });
+      return { upsertedCount: inserted ? 1 : 0 };
+    })
+  };
+});
+jest.mock('../../models/PlaceMerge', () => ({}));
+jest.mock('../../models/wishlist', () => ({}));
+jest.mock('../../models/Favorite', () => ({}));
+jest.mock('../../models/History', () => ({}));
+jest.mock('../../models/social/Post', () => ({}));
+jest.mock('../../models/review', () => ({}));
+jest.mock('../../models/TripGroup', () => ({}));
+jest.mock('../../services/searchService', () => ({ invalidate: jest.fn() }));
+
+const Place = require('../../models/place');
+const PlaceDuplicate = require('../../models/PlaceDuplicate');
+const dedupe = require('../../services/placeDedupeService');
+
+const HAMPI = { taluk: 'hospet', district: 'vijayanagara', state: 'karnataka' };
+
+function place(_id, name, coordinates, regionRef = HAMPI) {
+  return { _id, name, location: { type: 'Point', coordinates }, regionRef };
+}
+
+describe('placeDedupeService similarity', () => {
+  it('matches spelling variants and honorifics, not unrelated names', () => {
+    expect(dedupe.nameSimilarity('Shri Virupaksha Temple', 'Sree Virupaksha Mandir')).toBe(1);
+    expect(dedupe.nameSimilarity('Vittala Temple', 'Vitthala Temple')).toBeGreaterThan(0.7);
+    expect(dedupe.nameSimilarity('Lotus Mahal', 'Elephant Stables')).toBeLessThan(0.45);
+  });
+
+  it('weighs name, distance and shared region, and drops unrelated names outright', () => {
+    const a = place('a', 'Vittala Temple', [76.4751, 15.3430]);
+    const b = place('b', 'Vitthala Temple', [76.4753, 15.3431]); // ~25 m away
+
+    const scored = dedupe.scorePair(a, b);
+    expect(scored.signals).toMatchObject({ region: 0.8 });
+    expect(scored.signals.distanceM).toBeLessThan(30);
+    expect(scored.score).toBeGreaterThan(0.8);
+    expect(dedupe.scorePair(a, place('c', 'Queens Bath', [76.4751, 15.3430]))).toBeNull();
+  });
+});
+
+describe('placeDedupeService detection', () => {
+  const A = '65f0c0ffee0000000000000a';
+  const B = '65f0c0ffee0000000000000b';
+  const C = '65f0c0ffee0000000000000c';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PlaceDuplicate.pairs.clear();
+    Place.places.splice(0, Place.places.length,
+      place(A, 'Virupaksha Temple', [76.4600, 15.3350]),
+      place(B, 'Sri Virupaksha Temple', [76.4602, 15.3351]),
+      place(C, 'Hemakuta Hill', [76.4598, 15.3349]));
+  });
+
+  it('reports nearby places with similar names as candidates', async () => {
+    const candidates = await dedupe.findCandidates(A);
+    expect(candidates.map((c) => c.place._id)).toEqual([B]);
+  });
+
+  it('records each suspected pair once and keeps its review status on rescans', async () => {
+    await expect(dedupe.scanAll()).resolves.toEqual({ scanned: 3, pairs: 1, opened: 1 });
+    expect(PlaceDuplicate.pairs.get(`${A}:${B}`)).toMatchObject({ status: 'open' });
+
+    PlaceDuplicate.pairs.get(`${A}:${B}`).status = 'dismissed';
+    await expect(dedupe.scanAll()).resolves.toMatchObject({ pairs: 1, opened: 0 });
+    expect(PlaceDuplicate.pairs.get(`${A}:${B}`).status).toBe('dismissed');
+  });
+});
@@ -0,0 +1,284 @@
+// backend/tests/services/planningService.test.js
+
+// In-memory TripGroup collection; other models are not touched by these flows
+jest.mock('../../models/TripGroup', () => {
+  const groups = new Map();
+  const copy = (d) => (d ? JSON.parse(JSON.stringify(d)) : null);
+  const query = (value) => ({ select: () => query(value), lean: async () => copy(value) });
+  return {
+    groups,
+    findById: (id) => query(groups.get(String(id))),
+    findByIdAndUpdate: jest.fn((id, update) => {
+      const g = groups.get(String(id));
+      for (const [path, v] of Object.entries(update.$set || {})) {
+        const [head, key] = path.split('.');
+        if (key) g[head] = { ...(g[head] || {}), [key]: v };
+        else g[head] = v;
+      }
+      for (const path of Object.keys(update.$unset || {})) delete g[path];
+      return query(g);
+    }),
+    updateOne: jest.fn(async () => ({ modifiedCount: 1 }))
+  };
+});
+// No overrides: currencyService falls back to FX.DEFAULT_RATES
+jest.mock('../../models/ExchangeRate', () => ({
+  find: () => ({ select: () => ({ lean: async () => [] }) })
+}));
+jest.mock('../../models/Invite', () => ({
+  updateMany: jest.fn(async () => ({})),
+  create: jest.fn(async (doc) => ({ toObject: () => ({ _id: 'inv1', ...doc }) }))
+}));
+jest.mock('../../models/PlanningTemplate', () => ({}));
+// In-memory ItineraryDraft collection; updates only match drafts in the filtered status
+jest.mock('../../models/ItineraryDraft', () => {
+  const drafts = new Map();
+  const copy = (d) => (d ? JSON.parse(JSON.stringify(d)) : null);
+  const matches = (d, filter) => Object.entries(filter).every(([k, v]) => String(d[k]) === String(v));
+  const apply = (d, update) => {
+    Object.assign(d, update.$set);
+    for (const path of Object.keys(update.$unset || {})) delete d[path];
+  };
+  return {
+    drafts,
+    create: async (doc) => {
+      const draft = { _id: `65f0c0ffee0000000000d00${drafts.size}`, status: 'draft', ...copy(doc) };
+      drafts.set(draft._id, draft);
+      return { toObject: () => copy(draft) };
+    },
+    findOne: (filter) => {
+      const q = { select: () => q, lean: async () => copy([...drafts.values()].find((d) => matches(d, filter))) };
+      return q;
+    },
+    findOneAndUpdate: (filter, update) => {
+      const d = [...drafts.values()].find((x) => matches(x, filter));
+      if (d) apply(d, update);
+      return { lean: async () => copy(d) };
+    },
+    updateOne: async (filter, update) => {
+      const d = [...drafts.values()].find((x) => matches(x, filter));
+      if (d) apply(d, update);
+      return { modifiedCount: d ? 1 : 0 };
+    }
+  };
+});
+jest.mock('../../models/journey', () => ({}));
+jest.mock('../../models/Activity', () => ({}));
+jest.mock('../../models/Hotel', () => ({}));
+jest.mock('../../models/Restaurant', () => ({}));
+jest.mock('../../models/place', () => {
+  const places = [
+    { _id: '65f0c0ffee0000000000bb01', name: 'Fort Aguada', location: { type: 'Point', coordinates: [73.7733, 15.4920] }, address: { city: 'Candolim' } },
+    { _id: '65f0c0ffee0000000000bb02', name: 'Basilica of Bom Jesus', location: { type: 'Point', coordinates: [73.9116, 15.5009] }, address: { city: 'Old Goa' } }
+  ];
+  const query = (rows) => ({ select: () => query(rows), lean: async () => rows });
+  return { find: (filter) => query(places.filter((p) => filter._id.$in.includes(p._id))) };
+});
+jest.mock('../../models/user', () => ({
+  findById: () => ({ select: () => ({ lean: async () => ({ name: 'Ria' }) }) }),
+  find: () => ({ select: () => ({ lean: async () => [] }) })
+}));
+jest.mock('../../services/mailService', () => ({ sendGroupInviteEmail: jest.fn(async () => ({})) }));
+
+const TripGroup = require('../../models/TripGroup');
+const Invite = require('../../models/Invite');
+const ItineraryDraft = require('../../models/ItineraryDraft');
+const mailService = require('../../services/mailService');
+const planning = require('../../services/planningService');
+
+const GROUP = '65f0c0ffee0000000000aaaa';
+const OWNER = '65f0c0ffee00000000000001';
+const ADMIN = '65f0c0ffee00000000000002';
+const MEMBER = '65f0c0ffee00000000000003';
+const OTHER_ADMIN = '65f0c0ffee00000000000004';
+
+describe('planningService roles', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TripGroup.groups.clear();
+    TripGroup.groups.set(GROUP, {
+      _id: GROUP,
+      name: 'Goa 2026',
+      ownerId: OWNER,
+      members: [OWNER, ADMIN, MEMBER, OTHER_ADMIN],
+      roles: { [ADMIN]: 'admin', [MEMBER]: 'member', [OTHER_ADMIN]: 'admin' }
+    });
+  });
+
+  it('lets an admin change roles among non-admins', async () => {
+    const g = await planning.setRoles(GROUP, ADMIN, { [MEMBER]: 'viewer' });
+    expect(g.roles[MEMBER]).toBe('viewer');
+  });
+
+  it('does not let an admin appoint or demote admins', async () => {
+    await expect(planning.setRoles(GROUP, ADMIN, { [MEMBER]: 'admin' })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(planning.setRoles(GROUP, ADMIN, { [OTHER_ADMIN]: 'member' })).rejects.toMatchObject({ statusCode: 403 });
+    expect(TripGroup.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('lets the owner appoint an admin', async () => {
+    const g = await planning.setRoles(GROUP, OWNER, { [MEMBER]: 'admin' });
+    expect(g.roles[MEMBER]).toBe('admin');
+  });
+
+  it('does not let an admin invite someone as admin', async () => {
+    await expect(planning.createInvites(GROUP, ADMIN, { emails: ['new@example.com'], role: 'admin' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('answers 400 for member ids that are not ids', async () => {
+    await expect(planning.setRoles(GROUP, OWNER, { 'not-an-id': 'viewer' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(planning.addMembers(GROUP, OWNER, ['nope'])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(planning.removeMembers(GROUP, OWNER, [{ $ne: null }])).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('planningService invites', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TripGroup.groups.clear();
+    TripGroup.groups.set(GROUP, { _id: GROUP, name: 'Goa 2026', ownerId: OWNER, members: [OWNER], roles: {} });
+  });
+
+  it('emails each invitee a link carrying their token, storing only its hash', async () => {
+    const { created } = await planning.createInvites(GROUP, OWNER, { emails: ['Dev@Example.com'], message: 'Join us!' });
+
+    expect(created).toEqual([expect.objectContaining({ inviteeEmail: 'dev@example.com', emailed: true })]);
+    const { token } = created[0];
+    expect(Invite.create.mock.calls[0][0].tokenHash).not.toBe(token);
+    expect(mailService.sendGroupInviteEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ inviteeEmail: 'dev@example.com', message: 'Join us!' }),
+      token,
+      expect.objectContaining({ groupName: 'Goa 2026', inviterName: 'Ria' })
+    );
+  });
+
+  it('keeps the invite when its email cannot be sent', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mailService.sendGroupInviteEmail.mockRejectedValueOnce(new Error('Mail disabled'));
+
+    const { created } = await planning.createInvites(GROUP, OWNER, { emails: ['dev@example.com'] });
+    expect(created).toEqual([expect.objectContaining({ emailed: false, token: expect.any(String) })]);
+    console.warn.mockRestore();
+  });
+});
+
+describe('planningService settle-up', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TripGroup.groups.clear();
+    TripGroup.groups.set(GROUP, {
+      _id: GROUP,
+      ownerId: OWNER,
+      members: [OWNER, ADMIN, MEMBER],
+      roles: { [ADMIN]: 'admin', [MEMBER]: 'member' },
+      budget: {
+        baseCurrency: 'INR',
+        expenses: [
+          // 300 INR split equally three ways
+          { amount: 300, currency: 'INR', paidBy: OWNER, split: { type: 'equal', shares: [] } },
+          // 10 EUR (900 INR) split 2:1 between the member and the owner
+          { amount: 10, currency: 'EUR', paidBy: ADMIN, split: { type: 'shares', shares: [{ userId: MEMBER, value: 2 }, { userId: OWNER, value: 1 }] } }
+        ],
+        settlements: [{ from: MEMBER, to: ADMIN, amount: 200, currency: 'INR' }]
+      }
+    });
+  });
+
+  it('nets expenses and payments in the base currency and plans the fewest transfers', async () => {
+    const { baseCurrency, totalSpent, members, transfers } = await planning.getSettleUp(GROUP, MEMBER);
+
+    expect(baseCurrency).toBe('INR');
+    expect(totalSpent).toBe(1200);
+    const net = Object.fromEntries(members.map((m) => [m.userId, m.net]));
+    expect(net).toEqual({ [OWNER]: -100, [ADMIN]: 600, [MEMBER]: -500 });
+    expect(transfers).toEqual([
+      { from: MEMBER, to: ADMIN, amount: 500 },
+      { from: OWNER, to: ADMIN, amount: 100 }
+    ]);
+  });
+
+  it('splits odd amounts so the books still balance to zero', () => {
+    const g = {
+      ownerId: OWNER,
+      members: [ADMIN, MEMBER],
+      budget: { baseCurrency: 'INR', expenses: [{ amount: 100, currency: 'INR', paidBy: OWNER, split: { type: 'equal' } }] }
+    };
+    const { members } = planning.computeBalances(g, { INR: 0.012 });
+
+    expect(members.map((m) => m.owed).sort()).toEqual([33.33, 33.33, 33.34]);
+    expect(members.reduce((acc, m) => acc + Math.round(m.net * 100), 0)).toBe(0);
+  });
+
+  it('records a payment only between members and in a known currency', async () => {
+    await expect(planning.addSettlement(GROUP, MEMBER, { to: OTHER_ADMIN, amount: 50 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(planning.addSettlement(GROUP, MEMBER, { to: ADMIN, amount: 50, currency: 'XYZ' })).rejects.toMatchObject({ statusCode: 422 });
+
+    const s = await planning.addSettlement(GROUP, MEMBER, { to: ADMIN, amount: 50 });
+    expect(s).toMatchObject({ amount: 50, currency: 'INR' });
+    expect(String(s.from)).toBe(MEMBER);
+    expect(TripGroup.updateOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('planningService itinerary drafts', () => {
+  const FORT = '65f0c0ffee0000000000bb01';
+  const BASILICA = '65f0c0ffee0000000000bb02';
+  const GONE = '65f0c0ffee0000000000bb09';
+  const idea = {
+    title: 'Two days in Goa',
+    days: [
+      { theme: 'Coast', stops: [{ type: 'place', id: FORT }, { type: 'place', id: GONE, name: 'Closed museum' }] },
+      { stops: [{ type: 'place', id: BASILICA }] }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ItineraryDraft.drafts.clear();
+    TripGroup.groups.clear();
+    TripGroup.groups.set(GROUP, {
+      _id: GROUP,
+      ownerId: OWNER,
+      members: [OWNER, MEMBER],
+      roles: { [MEMBER]: 'viewer' },
+      itinerary: [{ _id: '65f0c0ffee0000000000cc01', title: 'Old plan', dayOffset: 0, seq: 0 }]
+    });
+  });
+
+  it('previews linked, scheduled items without touching the group', async () => {
+    const { draft, replaces } = await planning.createItineraryDraft(GROUP, OWNER, {
+      source: 'trip_idea', idea, startDate: '2026-12-01', mergeStrategy: 'replace'
+    });
+
+    expect(draft.items.map((it) => [it.title, it.dayOffset, it.entityType, String(it.entityId)])).toEqual([
+      ['Fort Aguada', 0, 'place', FORT],
+      ['Basilica of Bom Jesus', 1, 'place', BASILICA]
+    ]);
+    expect(draft.items[0]).toMatchObject({ startISO: '2026-12-01T09:00:00.000Z', meta: { theme: 'Coast', autoScheduled: true } });
+    expect(draft.unresolved).toEqual([{ type: 'place', id: GONE, name: 'Closed museum', reason: 'not_found_or_inactive' }]);
+    expect(replaces).toBe(1);
+    expect(TripGroup.groups.get(GROUP).itinerary.map((it) => it.title)).toEqual(['Old plan']);
+  });
+
+  it('commits a draft once and undoes it back to the previous itinerary and dates', async () => {
+    const { draft } = await planning.createItineraryDraft(GROUP, OWNER, {
+      source: 'trip_idea', idea, startDate: '2026-12-01', mergeStrategy: 'replace'
+    });
+    await expect(planning.commitItineraryDraft(GROUP, MEMBER, draft._id)).rejects.toMatchObject({ statusCode: 403 });
+
+    const committed = await planning.commitItineraryDraft(GROUP, OWNER, draft._id);
+    expect(committed).toMatchObject({ added: 2, replaced: 1 });
+    expect(committed.group.itinerary.map((it) => it.title)).toEqual(['Fort Aguada', 'Basilica of Bom Jesus']);
+    expect(new Date(committed.group.startDate).toISOString()).toBe('2026-12-01T00:00:00.000Z');
+    expect(new Date(committed.group.endDate).toISOString()).toBe('2026-12-02T00:00:00.000Z');
+    await expect(planning.commitItineraryDraft(GROUP, OWNER, draft._id)).rejects.toMatchObject({ statusCode: 409 });
+
+    const undone = await planning.undoItineraryDraft(GROUP, OWNER, draft._id);
+    expect(undone).toMatchObject({ removed: 2, restored: 1 });
+    expect(undone.group.itinerary.map((it) => it.title)).toEqual(['Old plan']);
+    expect(undone.group.startDate).toBeUndefined();
+    expect(undone.group.endDate).toBeUndefined();
+    expect(ItineraryDraft.drafts.get(draft._id).status).toBe('undone');
+  });
+});
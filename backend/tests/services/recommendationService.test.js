@@ -0,0 +1,101 @@
+// backend/tests/services/recommendationService.test.js
+
+const { buildProfile, affinity, similarity, popularityNear, rank } = require('../../services/recommendationService');
+const { DISCOVERY } = require('../../utils/constants');
+
+const NOW = new Date('2026-06-01T00:00:00Z');
+const daysAgo = (n) => new Date(NOW.getTime() - n * 24 * 60 * 60 * 1000);
+
+function place(id, fields = {}) {
+  return { _id: id, name: `Place ${id}`, rating: 0, reviewCount: 0, tags: [], ...fields };
+}
+
+describe('recommendationService scoring', () => {
+  describe('buildProfile', () => {
+    it('weights stated preferences and decays older signals by half-life', () => {
+      const temple = place('t', { emotion: 'Spiritual', category: 'Temples' });
+      const fort = place('f', { emotion: 'Heritage', category: 'Forts' });
+      const profile = buildProfile({
+        preferences: ['Nature'],
+        events: [
+          { place: temple, source: 'visited', at: NOW },
+          { place: fort, source: 'visited', at: daysAgo(DISCOVERY.HALF_LIFE_DAYS) }
+        ]
+      }, { now: NOW });
+
+      expect(profile.emotions.Nature).toBe(DISCOVERY.SIGNAL_WEIGHTS.preference);
+      expect(profile.emotions.Spiritual).toBeCloseTo(DISCOVERY.SIGNAL_WEIGHTS.visited);
+      expect(profile.emotions.Heritage).toBeCloseTo(DISCOVERY.SIGNAL_WEIGHTS.visited / 2);
+      expect(profile.seen).toEqual(new Set(['t', 'f']));
+    });
+
+    it('lists saved places newest first and anchors on the latest place with coordinates', () => {
+      const older = place('a', { location: { coordinates: [77.5, 12.9] } });
+      const newer = place('b');
+      const profile = buildProfile({
+        events: [
+          { place: older, source: 'wishlist', at: daysAgo(5) },
+          { place: newer, source: 'favorite', at: daysAgo(1) },
+          { place: older, source: 'viewed', at: daysAgo(2) }
+        ]
+      }, { now: NOW });
+
+      expect(profile.saved.map((p) => p._id)).toEqual(['b', 'a']);
+      expect(profile.anchor._id).toBe('a');
+    });
+  });
+
+  describe('affinity', () => {
+    it('scores emotion, category and tag matches and explains the strongest first', () => {
+      const profile = buildProfile({
+        preferences: ['Nature'],
+        events: [{ place: place('x', { category: 'Waterfalls', tags: ['Trek'] }), source: 'viewed', at: NOW }]
+      }, { now: NOW });
+
+      const match = affinity(place('c', { emotion: 'Nature', category: 'Waterfalls', tags: ['trek'] }), profile);
+      const miss = affinity(place('d', { emotion: 'Heritage' }), profile);
+
+      expect(match.reasons[0]).toBe('Matches your interest in Nature');
+      expect(match.reasons).toEqual(expect.arrayContaining(['You like Waterfalls', 'Tagged trek']));
+      expect(miss).toEqual({ score: 0, reasons: [] });
+    });
+  });
+
+  describe('similarity', () => {
+    it('rewards shared traits and closeness to the saved place', () => {
+      const seed = place('s', { name: 'Jog Falls', category: 'Waterfalls', emotion: 'Nature', tags: ['monsoon'], location: { coordinates: [74.81, 14.23] } });
+      const near = similarity(place('n', { category: 'Waterfalls', emotion: 'Nature', tags: ['monsoon'], location: { coordinates: [74.9, 14.3] } }), seed);
+      const far = similarity(place('f', { category: 'Waterfalls', location: { coordinates: [88.3, 22.5] } }), seed);
+
+      expect(near.score).toBeGreaterThan(far.score);
+      expect(near.reasons).toEqual(expect.arrayContaining(['Also in Waterfalls', 'Also Nature', 'Shares monsoon']));
+      expect(near.reasons.some((r) => /km from Jog Falls$/.test(r))).toBe(true);
+      expect(far.reasons.some((r) => /km from/.test(r))).toBe(false);
+    });
+  });
+
+  describe('popularityNear', () => {
+    it('damps well-reviewed places by distance from the origin', () => {
+      const origin = { lat: 12.97, lng: 77.59 };
+      const reviewed = { rating: 4.5, reviewCount: 200 };
+      const close = popularityNear(place('c', { ...reviewed, location: { coordinates: [77.6, 12.98] } }), origin);
+      const distant = popularityNear(place('d', { ...reviewed, location: { coordinates: [78.5, 13.5] } }), origin);
+
+      expect(close.score).toBeGreaterThan(distant.score);
+      expect(close.reasons[0]).toBe('4.5★ from 200 reviews');
+      expect(popularityNear(place('z'), origin).score).toBe(0);
+    });
+  });
+
+  describe('rank', () => {
+    it('drops excluded and zero-score places, orders deterministically and trims reasons', () => {
+      const candidates = [place('b', { name: 'Beta' }), place('a', { name: 'Alpha' }), place('c', { name: 'Gamma' }), place('z', { name: 'Zero' })];
+      const scorer = (p) => (p._id === 'z' ? { score: 0, reasons: [] } : { score: 1, reasons: ['one', 'two', 'three', 'four'] });
+
+      const ranked = rank(candidates, scorer, { exclude: new Set(['c']), limit: 5 });
+
+      expect(ranked.map((p) => p._id)).toEqual(['a', 'b']);
+      expect(ranked[0].recommendation).toEqual({ score: 1, reasons: ['one', 'two', 'three'].slice(0, DISCOVERY.MAX_REASONS) });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+// backend/tests/services/restaurantService.test.js
+
+// In-memory Restaurant with one document; updateOne honours the slot capacity guard
+jest.mock('../../models/Restaurant', () => {
+  const state = { doc: null };
+  const copy = (d) => (d ? JSON.parse(JSON.stringify(d)) : null);
+  return {
+    state,
+    findById: () => ({ lean: async () => copy(state.doc) }),
+    findOne: () => ({ lean: async () => copy(state.doc) }),
+    updateOne: jest.fn(async (filter, update) => {
+      const match = filter['availability.slots'].$elemMatch;
+      const slot = state.doc.availability.slots.find((s) => s.startISO === match.startISO && s.capacity >= match.capacity.$gte);
+      if (!slot) return { modifiedCount: 0 };
+      slot.capacity += update.$inc['availability.slots.$.capacity'];
+      return { modifiedCount: 1 };
+    })
+  };
+});
+jest.mock('../../services/bookingLedgerService', () => ({
+  createFromCheckout: jest.fn(async (doc) => ({ _id: 'b1', ...doc })),
+  confirm: jest.fn(async (id) => ({ _id: id, status: 'confirmed' })),
+  releaseTable: jest.fn(async () => true)
+}));
+
+const Restaurant = require('../../models/Restaurant');
+const bookingLedger = require('../../services/bookingLedgerService');
+const restaurantService = require('../../services/restaurantService');
+
+const RESTAURANT = '65f0c0ffee00000000000001';
+const USER = '65f0c0ffee00000000000002';
+// Local wall-clock times, as bookTable reads date + time
+const at = (time) => new Date(`2026-11-02T${time}:00`).toISOString();
+
+function addRestaurant(capacity = 6) {
+  Restaurant.state.doc = {
+    _id: RESTAURANT,
+    name: 'Fisherman\'s Wharf',
+    availability: { slots: [{ startISO: at('19:00'), endISO: at('21:00'), capacity }] }
+  };
+}
+
+const book = (fields = {}) => restaurantService.bookTable(RESTAURANT, {
+  date: '2026-11-02', time: '19:30', partySize: 4, contact: { name: 'Ana' }, userId: USER, ...fields
+});
+
+describe('restaurantService.bookTable', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    addRestaurant();
+  });
+
+  it('takes the party from the slot it falls in and confirms the table', async () => {
+    const { ok, reservation } = await book();
+
+    expect(ok).toBe(true);
+    expect(reservation.status).toBe('confirmed');
+    expect(Restaurant.state.doc.availability.slots[0].capacity).toBe(2);
+    expect(bookingLedger.createFromCheckout).toHaveBeenCalledWith(expect.objectContaining({
+      guests: 4,
+      details: expect.objectContaining({ slotStartISO: at('19:00') })
+    }));
+  });
+
+  it('refuses a party the slot no longer has room for', async () => {
+    await book();
+    await expect(book({ partySize: 3 })).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(Restaurant.state.doc.availability.slots[0].capacity).toBe(2);
+    expect(bookingLedger.createFromCheckout).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a time outside every slot', async () => {
+    await expect(book({ time: '22:00' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(Restaurant.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('gives the covers back when the booking cannot be written', async () => {
+    bookingLedger.createFromCheckout.mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(book()).rejects.toThrow('write failed');
+    expect(bookingLedger.releaseTable).toHaveBeenCalledWith({
+      itemId: RESTAURANT, guests: 4, details: { slotStartISO: at('19:00') }
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// backend/tests/services/searchService.test.js
+
+// Catalogue rows per model; each model's find().select().lean() returns its list
+const mockCatalogue = {
+  place: [], region: [], Hotel: [], Restaurant: [], Activity: [], Trail: [], Airport: [], TrainStation: []
+};
+const mockModel = (name) => ({
+  find: () => ({ select: () => ({ lean: async () => mockCatalogue[name] }) })
+});
+jest.mock('../../models/place', () => mockModel('place'));
+jest.mock('../../models/region', () => mockModel('region'));
+jest.mock('../../models/Hotel', () => mockModel('Hotel'));
+jest.mock('../../models/Restaurant', () => mockModel('Restaurant'));
+jest.mock('../../models/Activity', () => mockModel('Activity'));
+jest.mock('../../models/Trail', () => mockModel('Trail'));
+jest.mock('../../models/Airport', () => mockModel('Airport'));
+jest.mock('../../models/TrainStation', () => mockModel('TrainStation'));
+
+const searchService = require('../../services/searchService');
+
+const HAMPI = '65f0c0ffee0000000000000a';
+
+function place(_id, name, coordinates, fields = {}) {
+  return { _id, name, category: 'heritage', location: { type: 'Point', coordinates }, ...fields };
+}
+
+describe('searchService.search', () => {
+  beforeEach(() => {
+    mockCatalogue.place = [
+      place('p1', 'Virupaksha Temple', [76.4600, 15.3350], { regionRef: { district: HAMPI }, description: 'Living temple on the Tungabhadra' }),
+      place('p2', 'Vittala Temple', [76.4751, 15.3430], { regionRef: { district: HAMPI } }),
+      place('p3', 'Baga Beach', [73.7517, 15.5553], { category: 'beach' }),
+      place('p4', 'Baga Beach Shack', [74.0000, 14.8000], { category: 'food' })
+    ];
+    mockCatalogue.region = [{ _id: HAMPI, name: 'Hampi', type: 'district', bbox: [76.40, 15.30, 76.50, 15.36] }];
+    mockCatalogue.Hotel = [{ _id: 'h1', name: 'Hampi Heritage Resort', city: 'Hampi', location: { type: 'Point', coordinates: [76.46, 15.33] } }];
+    searchService.invalidate();
+  });
+
+  it('tolerates typos and ranks name matches above description matches', async () => {
+    const { items } = await searchService.search({ q: 'virupaksa' });
+    expect(items[0]).toMatchObject({ type: 'places', id: 'p1', name: 'Virupaksha Temple', subtitle: 'heritage' });
+
+    const temples = await searchService.search({ q: 'temple' });
+    expect(temples.items.map((i) => i.id)).toEqual(expect.arrayContaining(['p1', 'p2']));
+  });
+
+  it('completes the last token as a prefix', async () => {
+    const { items } = await searchService.search({ q: 'ham' });
+    expect(items.map((i) => i.type).sort()).toEqual(['hotels', 'regions']);
+  });
+
+  it('counts every matching type in the facets while filtering the items', async () => {
+    const result = await searchService.search({ q: 'hampi', types: 'regions' });
+
+    expect(result.items.map((i) => i.id)).toEqual([HAMPI]);
+    expect(result.facets.types).toEqual({ regions: 1, hotels: 1 });
+  });
+
+  it('scopes places to a region', async () => {
+    const { items } = await searchService.search({ q: 'temple', regionId: HAMPI, types: 'places' });
+    expect(items.map((i) => i.id).sort()).toEqual(['p1', 'p2']);
+  });
+
+  it('boosts results near the caller', async () => {
+    const nearShack = await searchService.search({ q: 'baga beach', lat: 14.80, lng: 74.00 });
+    expect(nearShack.items[0].id).toBe('p4');
+    expect(nearShack.items[0].distanceKm).toBeLessThan(1);
+
+    const noGeo = await searchService.search({ q: 'baga beach' });
+    expect(noGeo.items[0].id).toBe('p3');
+  });
+
+  it('sees catalogue edits once the index is invalidated', async () => {
+    await expect(searchService.search({ q: 'lotus mahal' })).resolves.toMatchObject({ total: 0 });
+
+    mockCatalogue.place.push(place('p5', 'Lotus Mahal', [76.4700, 15.3200]));
+    await expect(searchService.search({ q: 'lotus mahal' })).resolves.toMatchObject({ total: 0 });
+
+    searchService.invalidate();
+    const { items } = await searchService.search({ q: 'lotus mahal' });
+    expect(items[0].id).toBe('p5');
+  });
+});
+
+describe('searchService in Indian languages', () => {
+  beforeEach(() => {
+    mockCatalogue.place = [
+      place('p6', 'Udupi Sri Krishna Matha', [74.7519, 13.3409], {
+        translations: { kn: { name: 'ಉಡುಪಿ ಶ್ರೀ ಕೃಷ್ಣ ಮಠ' }, hi: { name: 'उडुपी श्री कृष्ण मठ' } }
+      }),
+      place('p7', 'Murudeshwar Temple', [74.4847, 14.0942])
+    ];
+    mockCatalogue.region = [];
+    mockCatalogue.Hotel = [];
+    searchService.invalidate();
+  });
+
+  it('finds an English-named place from a query in another script', async () => {
+    const kannada = await searchService.search({ q: 'ಉಡುಪಿ' });
+    const hindi = await searchService.search({ q: 'कृष्ण' });
+
+    expect(kannada.items.map((i) => i.id)).toEqual(['p6']);
+    expect(hindi.items.map((i) => i.id)).toEqual(['p6']);
+  });
+
+  it('returns names in the requested language when a translation exists', async () => {
+    const { items } = await searchService.search({ q: 'udupi', locale: 'kn' });
+    expect(items[0].name).toBe('ಉಡುಪಿ ಶ್ರೀ ಕೃಷ್ಣ ಮಠ');
+
+    const fallback = await searchService.search({ q: 'murudeshwar', locale: 'kn' });
+    expect(fallback.items[0].name).toBe('Murudeshwar Temple');
+  });
+});
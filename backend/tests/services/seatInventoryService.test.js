@@ -0,0 +1,85 @@
+// backend/tests/services/seatInventoryService.test.js
+
+// One in-memory inventory document; enough of the query language for commitHold
+jest.mock('../../models/SeatInventory', () => {
+  const state = { inv: null };
+  const copy = (d) => (d ? JSON.parse(JSON.stringify(d)) : null);
+  const liveHold = (match) => (state.inv?.holds || []).find((h) => h.holdId === match.holdId &&
+    (!match.userId || String(h.userId) === String(match.userId)) &&
+    (!match.expiresAt || new Date(h.expiresAt) > match.expiresAt.$gt));
+  return {
+    state,
+    findOne: (filter) => ({ lean: async () => (liveHold(filter.holds.$elemMatch) ? copy(state.inv) : null) }),
+    updateOne: jest.fn(async (filter, update) => {
+      if (!liveHold(filter.holds.$elemMatch)) return { modifiedCount: 0 };
+      state.inv.holds = state.inv.holds.filter((h) => h.holdId !== update.$pull.holds.holdId);
+      state.inv.booked.push(...update.$push.booked.$each);
+      return { modifiedCount: 1 };
+    })
+  };
+});
+
+const SeatInventory = require('../../models/SeatInventory');
+const seatInventory = require('../../services/seatInventoryService');
+
+const TRAIN = '65f0c0ffee00000000000001';
+const RIDER = '65f0c0ffee00000000000002';
+
+function addHold({ seats = ['S1-1', 'S1-2'], expiresAt = new Date(Date.now() + 60 * 1000) } = {}) {
+  SeatInventory.state.inv = {
+    _id: 'inv1',
+    vehicleType: 'train',
+    vehicleId: TRAIN,
+    travelDate: '2026-11-02',
+    classCode: 'SL',
+    holds: [{ holdId: 'h1', seats, userId: RIDER, expiresAt }],
+    booked: []
+  };
+}
+
+const commit = (fields = {}) => seatInventory.commitHold({
+  holdId: 'h1',
+  bookingRef: 'b1',
+  userId: RIDER,
+  vehicleType: 'train',
+  vehicleId: TRAIN,
+  travelDate: '2026-11-02',
+  classCode: 'SL',
+  ...fields
+});
+
+describe('seatInventoryService.commitHold', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('books the held seats under the booking reference', async () => {
+    addHold();
+    const res = await commit({ seatCount: 2 });
+
+    expect(res.seats).toEqual(['S1-1', 'S1-2']);
+    expect(SeatInventory.state.inv.holds).toEqual([]);
+    expect(SeatInventory.state.inv.booked.map((b) => [b.seat, b.bookingRef])).toEqual([['S1-1', 'b1'], ['S1-2', 'b1']]);
+  });
+
+  it('keeps the hold when it does not cover every seated passenger', async () => {
+    addHold({ seats: ['S1-1'] });
+
+    await expect(commit({ seatCount: 2 })).rejects.toMatchObject({ statusCode: 400 });
+    expect(SeatInventory.updateOne).not.toHaveBeenCalled();
+    expect(SeatInventory.state.inv.holds).toHaveLength(1);
+  });
+
+  it('answers 409 for an expired hold or another user\'s hold', async () => {
+    addHold({ expiresAt: new Date(Date.now() - 1000) });
+    await expect(commit()).rejects.toMatchObject({ statusCode: 409 });
+
+    addHold();
+    await expect(commit({ userId: '65f0c0ffee00000000000009' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(SeatInventory.state.inv.booked).toEqual([]);
+  });
+
+  it('requires a hold id', async () => {
+    await expect(commit({ holdId: undefined })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
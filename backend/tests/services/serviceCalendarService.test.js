@@ -0,0 +1,136 @@
+// backend/tests/services/serviceCalendarService.test.js
+
+const calendar = require('../../services/serviceCalendarService');
+
+// Runs Mon–Fri, valid through 2026 Q2; stored times are for Monday 2026-03-02
+function trip(fields = {}) {
+  return {
+    serviceDays: { mon: true, tue: true, wed: true, thu: true, fri: true, sat: false, sun: false },
+    validity: { startDate: '2026-01-01', endDate: '2026-06-30' },
+    calendarExceptions: [],
+    stops: [
+      { seq: 2, code: 'MYS', arr: '2026-03-02T23:40:00+05:30', dep: null },
+      { seq: 1, code: 'SBC', arr: null, dep: '2026-03-02T21:00:00+05:30' },
+      { seq: 3, code: 'MAQ', arr: '2026-03-03T04:10:00+05:30', dep: null }
+    ],
+    ...fields
+  };
+}
+
+describe('serviceCalendarService calendar rules', () => {
+  describe('normDate / weekdayKey', () => {
+    it('accepts only real calendar days', () => {
+      expect(calendar.normDate('2026-03-02T21:00:00+05:30')).toBe('2026-03-02');
+      expect(calendar.normDate(new Date('2026-02-28T10:00:00Z'))).toBe('2026-02-28');
+      expect(calendar.normDate('2026-02-30')).toBeNull();
+      expect(calendar.normDate('02/03/2026')).toBeNull();
+      expect(calendar.normDate('')).toBeNull();
+    });
+
+    it('names the weekday of a date in UTC', () => {
+      expect(calendar.weekdayKey('2026-03-02')).toBe('mon');
+      expect(calendar.weekdayKey('2026-03-08')).toBe('sun');
+    });
+  });
+
+  describe('runsOn', () => {
+    it('follows the weekly pattern inside the validity window', () => {
+      expect(calendar.runsOn(trip(), '2026-03-04')).toBe(true);
+      expect(calendar.runsOn(trip(), '2026-03-07')).toBe(false);
+      expect(calendar.runsOn(trip(), '2026-07-01')).toBe(false);
+      expect(calendar.runsOn(trip({ validity: {} }), '2027-07-01')).toBe(true);
+    });
+
+    it('lets a removal cancel and an addition schedule a run', () => {
+      const t = trip({
+        calendarExceptions: [
+          { date: '2026-03-04', type: 'removed' },
+          { date: '2026-03-07', type: 'added' },
+          { date: '2026-03-09', type: 'added' },
+          { date: '2026-03-09', type: 'removed' }
+        ]
+      });
+      expect(calendar.runsOn(t, '2026-03-04')).toBe(false);
+      expect(calendar.runsOn(t, '2026-03-07')).toBe(true);
+      expect(calendar.runsOn(t, '2026-03-09')).toBe(false); // removal wins
+    });
+  });
+
+  describe('serviceMatch', () => {
+    it('builds one clause per date, keyed on that date\'s weekday', () => {
+      const one = calendar.serviceMatch(['2026-03-07']);
+      expect(one.calendarExceptions).toEqual({ $not: { $elemMatch: { date: '2026-03-07', type: 'removed' } } });
+      expect(one.$or[0]['serviceDays.sat']).toEqual({ $ne: false });
+      expect(one.$or[1]).toEqual({ calendarExceptions: { $elemMatch: { date: '2026-03-07', type: 'added' } } });
+
+      const two = calendar.serviceMatch(['2026-03-07', '2026-03-08']);
+      expect(two.$or).toHaveLength(2);
+      expect(two.$or[1].$or[0]['serviceDays.sun']).toEqual({ $ne: false });
+    });
+  });
+
+  describe('serviceDay / tripOn', () => {
+    it('reports each status an exception can give', () => {
+      const t = trip({
+        calendarExceptions: [
+          { date: '2026-03-04', type: 'removed', noticeId: 'n1' },
+          { date: '2026-03-07', type: 'added' },
+          { date: '2026-03-05', type: 'retimed', shiftMin: 45, fromSeq: 2 }
+        ]
+      });
+      expect(calendar.serviceDay(t, '2026-03-03').status).toBe('scheduled');
+      expect(calendar.serviceDay(t, '2026-03-04')).toMatchObject({ runs: false, status: 'cancelled', exceptions: [{ type: 'removed', noticeId: 'n1' }] });
+      expect(calendar.serviceDay(t, '2026-03-07')).toMatchObject({ runs: true, status: 'special' });
+      expect(calendar.serviceDay(t, '2026-03-08')).toMatchObject({ runs: false, status: 'not_running' });
+      expect(calendar.serviceDay(t, '2026-03-05')).toMatchObject({ status: 'retimed', retime: { shiftMin: 45, fromSeq: 2 } });
+    });
+
+    it('dates stored stop times onto the service day, overnight arrivals included', () => {
+      const { offsetMin, stops } = calendar.tripOn(trip(), '2026-03-05');
+      expect(offsetMin).toBe(3 * 24 * 60);
+      expect(stops.map((s) => s.code)).toEqual(['SBC', 'MYS', 'MAQ']);
+      expect(stops[0].dep).toBe('2026-03-05T21:00:00+05:30');
+      expect(stops[2].arr).toBe('2026-03-06T04:10:00+05:30');
+    });
+
+    it('applies a re-timing only from its first affected stop', () => {
+      const t = trip({ calendarExceptions: [{ date: '2026-03-02', type: 'retimed', shiftMin: 30, fromSeq: 2 }] });
+      const { stops } = calendar.tripOn(t, '2026-03-02');
+      expect(stops[0].dep).toBe('2026-03-02T21:00:00+05:30');
+      expect(stops[1].arr).toBe('2026-03-03T00:10:00+05:30');
+      expect(stops[2].arr).toBe('2026-03-03T04:40:00+05:30');
+    });
+  });
+
+  describe('legOn', () => {
+    it('dates a search row and drops its raw calendar', () => {
+      const { stops, ...rest } = trip();
+      const row = {
+        ...rest,
+        _serviceAnchor: '2026-03-02T21:00:00+05:30',
+        originStop: stops[1],
+        destStop: stops[2]
+      };
+      const leg = calendar.legOn(row, '2026-03-06');
+
+      expect(leg).toMatchObject({
+        departureISO: '2026-03-06T21:00:00+05:30',
+        arrivalISO: '2026-03-07T04:10:00+05:30',
+        durationMin: 430,
+        serviceDate: '2026-03-06',
+        serviceStatus: 'scheduled'
+      });
+      expect(leg).not.toHaveProperty('calendarExceptions');
+      expect(leg).not.toHaveProperty('_serviceAnchor');
+    });
+  });
+
+  describe('shiftISO', () => {
+    it('keeps the offset the time was written with', () => {
+      expect(calendar.shiftISO('2026-03-02T23:40:00+05:30', 30)).toBe('2026-03-03T00:10:00+05:30');
+      expect(calendar.shiftISO('2026-03-02T00:10:00-04:00', -20)).toBe('2026-03-01T23:50:00-04:00');
+      expect(calendar.shiftISO('2026-03-02T10:00:00Z', 60)).toBe('2026-03-02T11:00:00Z');
+      expect(calendar.shiftISO(null, 60)).toBeNull();
+    });
+  });
+});
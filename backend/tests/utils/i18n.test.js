@@ -0,0 +1,35 @@
+// backend/tests/utils/i18n.test.js
+
+const { pickLocale, localize } = require('../../utils/i18n');
+
+describe('i18n.pickLocale', () => {
+  it('prefers an explicit language, then Accept-Language by weight', () => {
+    expect(pickLocale('kn-IN', 'hi')).toBe('kn');
+    expect(pickLocale(null, 'fr;q=1, hi;q=0.5, kn;q=0.8')).toBe('kn');
+    expect(pickLocale(undefined, 'fr, de')).toBe('en');
+    expect(pickLocale('', '')).toBe('en');
+  });
+});
+
+describe('i18n.localize', () => {
+  const doc = {
+    name: 'Jog Falls',
+    description: 'Second highest plunge waterfall in India',
+    searchKeys: ['jog', 'fals'],
+    translations: new Map([['kn', { name: 'ಜೋಗ ಜಲಪಾತ' }]])
+  };
+
+  it('swaps in translated fields and says which language they are in', () => {
+    expect(localize(doc, 'kn')).toEqual({
+      name: 'ಜೋಗ ಜಲಪಾತ',
+      description: 'Second highest plunge waterfall in India',
+      translations: { kn: { name: 'ಜೋಗ ಜಲಪಾತ' } },
+      locale: 'kn'
+    });
+  });
+
+  it('falls back to the default language without a translation', () => {
+    expect(localize(doc, 'hi')).toMatchObject({ name: 'Jog Falls', locale: 'en' });
+    expect(localize(doc, 'hi').searchKeys).toBeUndefined();
+  });
+});
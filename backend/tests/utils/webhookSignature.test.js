@@ -0,0 +1,41 @@
+// backend/tests/utils/webhookSignature.test.js
+
+const webhookSignature = require('../../utils/webhookSignature');
+
+const SECRET = 'test-secret';
+const BODY = JSON.stringify({ id: 'evt_1', type: 'payment.captured' });
+
+describe('webhookSignature', () => {
+  test('verifies a header it signed', () => {
+    const header = webhookSignature.sign(BODY, SECRET);
+    expect(webhookSignature.verify(BODY, header, SECRET)).toBe(true);
+    expect(webhookSignature.verify(Buffer.from(BODY), header, SECRET)).toBe(true);
+  });
+
+  test('parses t and v1 from the header', () => {
+    const header = webhookSignature.sign(BODY, SECRET, { timestamp: 1700000000 });
+    const parsed = webhookSignature.parseHeader(header);
+    expect(parsed.t).toBe('1700000000');
+    expect(parsed.v1).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('rejects a tampered body or another secret', () => {
+    const header = webhookSignature.sign(BODY, SECRET);
+    expect(() => webhookSignature.verify(`${BODY} `, header, SECRET)).toThrow(expect.objectContaining({ code: 'SIGNATURE_MISMATCH' }));
+    expect(() => webhookSignature.verify(BODY, header, 'other')).toThrow(expect.objectContaining({ code: 'SIGNATURE_MISMATCH' }));
+  });
+
+  test('rejects a missing header or secret', () => {
+    expect(() => webhookSignature.verify(BODY, undefined, SECRET)).toThrow(expect.objectContaining({ code: 'SIGNATURE_MISSING' }));
+    expect(() => webhookSignature.verify(BODY, 't=1,v1=ab', '')).toThrow(expect.objectContaining({ code: 'SIGNATURE_MISSING' }));
+  });
+
+  test('rejects timestamps outside the tolerance', () => {
+    const timestamp = 1700000000;
+    const header = webhookSignature.sign(BODY, SECRET, { timestamp });
+    const inside = (timestamp + webhookSignature.DEFAULT_TOLERANCE_SEC - 1) * 1000;
+    const outside = (timestamp + webhookSignature.DEFAULT_TOLERANCE_SEC + 1) * 1000;
+    expect(webhookSignature.verify(BODY, header, SECRET, { now: inside })).toBe(true);
+    expect(() => webhookSignature.verify(BODY, header, SECRET, { now: outside })).toThrow(expect.objectContaining({ code: 'SIGNATURE_EXPIRED' }));
+  });
+});
@@ -7,6 +7,98 @@ const ROLES = Object.freeze({
   ADMIN: 'admin'
 });
 
+// Access/refresh tokens and device sessions
+const AUTH = Object.freeze({
+  ACCESS_TOKEN_TTL: process.env.JWT_ACCESS_EXPIRES_IN || '15m',                       // jsonwebtoken expiresIn
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10),   // idle lifetime of a session
+  MAX_SESSIONS_PER_USER: parseInt(process.env.MAX_SESSIONS_PER_USER || '10', 10),     // oldest are revoked beyond this
+  EMAIL_VERIFICATION_TTL_HOURS: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10),
+  PASSWORD_RESET_TTL_MINUTES: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10),
+  TOKEN_RESEND_COOLDOWN_SEC: 60                                                        // min gap between emails of one kind
+});
+
+// Outgoing mail (see services/mailService.js)
+const MAIL = Object.freeze({
+  TRANSPORT: (process.env.MAIL_TRANSPORT || 'console').toLowerCase(), // 'console' | 'file' | registered name
+  FROM: process.env.MAIL_FROM || 'Naveeka <no-reply@naveeka.app>',
+  OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || 'tmp/mail-outbox',       // file transport; relative to backend/
+  APP_URL: process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3000' // base for links in emails
+});
+
+// Partner onboarding (applications reviewed by admins)
+const PARTNER = Object.freeze({
+  APPLICATION_STATUS: Object.freeze(['pending', 'approved', 'rejected', 'withdrawn']),
+  BUSINESS_TYPES: Object.freeze(['hotel', 'restaurant', 'activity', 'transport', 'travel_agency', 'guide', 'other']),
+  DOCUMENT_KINDS: Object.freeze(['business_registration', 'tax_certificate', 'identity_proof', 'address_proof', 'license', 'other']),
+  MAX_DOCUMENTS: 10
+});
+
+// Content moderation (places, social posts/comments, reviews)
+const MODERATION = Object.freeze({
+  CONTENT_TYPES: Object.freeze(['place', 'post', 'comment', 'review']),
+  STATUS: Object.freeze(['pending', 'approved', 'rejected', 'changes_requested']),
+  DECISIONS: Object.freeze({ approve: 'approved', reject: 'rejected', request_changes: 'changes_requested' }),
+  FLAGS: Object.freeze(['banned_words', 'duplicate_coordinates', 'missing_media']),
+  // Comma-separated override, e.g. MODERATION_BANNED_WORDS=scam,spam
+  BANNED_WORDS: Object.freeze(
+    (process.env.MODERATION_BANNED_WORDS || 'scam,fraud,escort,casino,porn')
+      .split(',')
+      .map((w) => w.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+  DUPLICATE_RADIUS_M: 50,   // another place this close is probably the same one
+  MIN_PLACE_PHOTOS: 2,      // cover + at least one gallery image
+  BULK_MAX: 100
+});
+
+// Duplicate place detection (see placeDedupeService)
+const PLACE_DEDUPE = Object.freeze({
+  RADIUS_M: 300,                 // candidates must lie within this distance
+  MIN_NAME_SCORE: 0.45,          // neighbours with unrelated names are not duplicates
+  MIN_SCORE: 0.6,                // weighted score to report a pair
+  WEIGHTS: Object.freeze({ name: 0.5, distance: 0.35, region: 0.15 }),
+  MAX_CANDIDATES: 10,            // nearest places checked per place
+  // Honorifics and generic words that say little about identity
+  NAME_STOPWORDS: Object.freeze(['the', 'of', 'sri', 'shri', 'shree', 'sree', 'temple', 'mandir', 'devasthanam'])
+});
+
+// Unified catalogue search (see searchService)
+const SEARCH = Object.freeze({
+  TYPES: Object.freeze(['places', 'regions', 'hotels', 'restaurants', 'activities', 'trails', 'airports', 'stations']),
+  FIELD_BOOSTS: Object.freeze({ name: 3, tags: 1.5, description: 0.5 }),
+  INDEX_TTL_MS: parseInt(process.env.SEARCH_INDEX_TTL_SEC || '300', 10) * 1000, // rebuild after this
+  MIN_PREFIX: 2,            // shortest token expanded as a prefix
+  MAX_PREFIX_TERMS: 50,     // expansions kept per prefix
+  TYPO_MIN_LENGTH: 4,       // shorter tokens must match exactly
+  TYPO_TWO_EDITS_LENGTH: 8, // tokens this long tolerate two edits
+  GEO_BOOST: 1,             // up to 2x for results at the caller's location
+  GEO_SCALE_KM: 25,         // distance at which the geo boost has decayed by ~63%
+  DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 25,
+  SUGGEST_LIMIT: 8
+});
+
+// Personalized discovery home (see recommendationService)
+const DISCOVERY = Object.freeze({
+  // How much one signal says about taste; a traveller's stated preferences count most
+  SIGNAL_WEIGHTS: Object.freeze({ preference: 3, booked: 3, visited: 2, wishlist: 2, favorite: 2, save: 1.5, like: 1, share: 1, viewed: 0.5 }),
+  SAVED_SOURCES: Object.freeze(['wishlist', 'favorite', 'save']),
+  HALF_LIFE_DAYS: 30,        // a signal this old counts half
+  SIGNAL_LOOKBACK: 200,      // newest records read per signal source
+  NEARBY_RADIUS_KM: 50,
+  SIMILAR_RADIUS_KM: 100,    // "Because you saved X" favours places this close to X
+  CANDIDATE_POOL: 60,        // places scored per section
+  SECTION_LIMIT: 8,
+  SIMILAR_SEEDS: 2,          // number of "Because you saved X" sections
+  MAX_REASONS: 3
+});
+
+// Content languages (ISO 639-1); translations are keyed by these codes
+const LANGUAGES = Object.freeze({
+  DEFAULT: 'en',
+  SUPPORTED: Object.freeze(['en', 'hi', 'kn', 'ta', 'te', 'ml', 'mr', 'bn', 'gu', 'pa', 'or'])
+});
+
 // App-wide emotion tags (aligns with Place.emotion enum and AI service)
 const EMOTIONS = Object.freeze([
   'Spiritual',
@@ -50,8 +142,19 @@ const MEDIA = Object.freeze({
 
 // AI defaults
 const AI = Object.freeze({
-  PROVIDER: (process.env.AI_PROVIDER || 'mock').toLowerCase(), // 'openai' | 'huggingface' | 'mock'
-  OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  PROVIDER: (process.env.AI_PROVIDER || 'mock').toLowerCase(), // 'openai' | 'huggingface' | 'local' ('mock' is an alias)
+  OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  HUGGINGFACE_MODEL: process.env.HUGGINGFACE_MODEL || 'mistralai/Mistral-7B-Instruct-v0.3',
+  TIMEOUT_MS: (parseInt(process.env.AI_TIMEOUT_SEC, 10) || 30) * 1000,
+  MAX_INPUT_CHARS: 8000,     // longer text is rejected before any provider call
+  MAX_HISTORY: 10,           // earlier chat turns forwarded to the model
+  GROUNDING_LIMIT: 8,        // catalogue records quoted to the model per request
+  MAX_TRIP_DAYS: 14,
+  PACE_STOPS: Object.freeze({ relaxed: 3, balanced: 4, packed: 6 }), // sights per day
+  VISIT_MIN: 90,
+  MEAL_MIN: 60,
+  LUNCH_AT: '13:00',
+  DAY_END: '19:00'
 });
 
 // NEW: Social + Booking enums for upcoming features
@@ -67,15 +170,243 @@ const EXPERIENCE_TYPES = Object.freeze([
 ]); // booking inventory types [web:95]
 
 const BOOKING_STATUS = Object.freeze([
-  'pending',
+  'held',             // inventory reserved, awaiting checkout
+  'pending_payment',  // checkout submitted, waiting for payment capture
   'confirmed',
   'cancelled',
-  'completed'
+  'refunded',
+  'completed',
+  'pending'           // legacy: bookings written before the ledger; treated like pending_payment
 ]); // booking lifecycle states (enum-like constants) [web:95]
 
+// Allowed lifecycle moves; anything not listed is rejected by the booking ledger
+const BOOKING_TRANSITIONS = Object.freeze({
+  held: Object.freeze(['pending_payment', 'confirmed', 'cancelled']),
+  pending_payment: Object.freeze(['confirmed', 'cancelled']),
+  confirmed: Object.freeze(['cancelled', 'completed']),
+  cancelled: Object.freeze(['refunded']),
+  refunded: Object.freeze([]),
+  completed: Object.freeze([]),
+  pending: Object.freeze(['pending_payment', 'confirmed', 'cancelled'])
+});
+
+// Inventory a ledger booking can point at (kind -> model name)
+const BOOKING_KINDS = Object.freeze({
+  hotel: 'Hotel',
+  train: 'Train',
+  flight: 'Flight',
+  bus: 'Bus',
+  restaurant: 'Restaurant',
+  activity: 'Activity',
+  experience: 'Experience'
+});
+
+// Cancellation defaults when the booked item carries no cancellationPolicy
+const CANCELLATION = Object.freeze({
+  DEFAULT_POLICY: Object.freeze({
+    nonRefundable: false,
+    tiers: Object.freeze([
+      Object.freeze({ minHoursBefore: 24, refundPercent: 100 }),
+      Object.freeze({ minHoursBefore: 0, refundPercent: 50 })
+    ]),
+    fixedFee: 0
+  }),
+  CAB_FEE_AFTER_ASSIGNMENT: parseFloat(process.env.CAB_CANCELLATION_FEE || '50') // once a driver is on the way
+});
+
+// Trip planning invites
+const PLANNING = Object.freeze({
+  INVITE_TTL_HOURS: parseInt(process.env.PLANNING_INVITE_TTL_HOURS || '168', 10), // 7 days
+  MAX_INVITES_PER_REQUEST: 25,
+  // Itinerary drafts built from AI plans and saved journeys
+  DRAFT_SOURCES: Object.freeze(['trip_idea', 'day_plan', 'journey']),
+  DRAFT_STATUS: Object.freeze(['draft', 'committed', 'discarded', 'undone']),
+  DRAFT_TTL_DAYS: 7,          // uncommitted drafts are deleted after this
+  DRAFT_MAX_DAYS: 30
+});
+
+// Trip group roles (stored in TripGroup.roles and Invite.role)
+const GROUP_ROLES = Object.freeze({
+  ADMIN: 'admin',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+});
+
+// What each group role may change; reads only need membership. The owner
+// holds every admin permission plus deleting the group and managing admins.
+const GROUP_ADMIN_PERMISSIONS = Object.freeze([
+  'group:update',
+  'members:manage',
+  'invites:manage',
+  'itinerary:edit',
+  'expenses:add',
+  'expenses:manage',   // edit/remove anyone's expenses
+  'settlements:record',
+  'settlements:manage', // record/remove payments between other members
+  'checklist:edit',
+  'documents:add',
+  'documents:manage'   // remove anyone's documents
+]);
+const GROUP_PERMISSIONS = Object.freeze({
+  owner: Object.freeze([...GROUP_ADMIN_PERMISSIONS, 'group:delete', 'admins:manage']),
+  admin: GROUP_ADMIN_PERMISSIONS,
+  member: Object.freeze(['itinerary:edit', 'expenses:add', 'settlements:record', 'checklist:edit', 'documents:add']),
+  viewer: Object.freeze([])
+});
+
+// Itinerary checks and auto-scheduling (times of day are on the itinerary's UTC clock)
+const ITINERARY = Object.freeze({
+  MODE_KMPH: Object.freeze({ walk: 4.5, bike: 12, car: 30, cab: 30, bus: 20, train: 45, boat: 15 }),
+  DEFAULT_MODE: 'car',
+  WALK_MAX_KM: 1.2,          // shorter hops are assumed on foot
+  ROUTE_FACTOR: 1.3,         // straight line -> road distance
+  TRANSFER_BUFFER_MIN: 10,   // parking, finding the entrance, etc.
+  DEFAULT_DURATION_MIN: 60,  // untimed items without durationMin
+  DAY_START: '09:00',
+  DAY_END: '21:00'
+});
+
+// Currency conversion for group budgets; ExchangeRate rows override these defaults
+const FX = Object.freeze({
+  PIVOT: 'USD',
+  CACHE_TTL_MS: 60 * 1000,
+  DEFAULT_RATES: Object.freeze({ // value of 1 unit in USD
+    USD: 1,
+    INR: 0.012,
+    EUR: 1.08,
+    GBP: 1.27,
+    AED: 0.2723,
+    SGD: 0.74,
+    THB: 0.028,
+    JPY: 0.0067,
+    AUD: 0.66,
+    LKR: 0.0033,
+    NPR: 0.0075
+  })
+});
+
+// Flight connection builder defaults (per-airport Airport.minConnectionMin overrides the MCT)
+const FLIGHT_CONNECTIONS = Object.freeze({
+  DEFAULT_MIN_CONNECTION_MIN: parseInt(process.env.FLIGHT_DEFAULT_MCT_MIN || '60', 10),
+  MAX_LAYOVER_MIN: parseInt(process.env.FLIGHT_MAX_LAYOVER_MIN || '720', 10),
+  MAX_STOPS: 2
+});
+
+// GTFS static feeds <-> Bus/Train collections (see services/gtfsService.js)
+const GTFS = Object.freeze({
+  REQUIRED_FILES: Object.freeze(['agency.txt', 'stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt']), // plus calendar.txt and/or calendar_dates.txt
+  ROUTE_TYPES: Object.freeze({ // inclusive route_type ranges (basic + extended types)
+    train: Object.freeze([[2, 2], [100, 199]]),
+    bus: Object.freeze([[3, 3], [11, 11], [200, 299], [700, 800]])
+  }),
+  EXPORT_ROUTE_TYPE: Object.freeze({ train: 2, bus: 3 }),
+  DEFAULT_CLASS: Object.freeze({ train: 'GEN', bus: 'STD' }), // fare band class for imported fares
+  DEFAULT_TIMEZONE: process.env.GTFS_DEFAULT_TIMEZONE || 'Asia/Kolkata',
+  DEFAULT_AGENCY_URL: process.env.GTFS_DEFAULT_AGENCY_URL || 'https://naveeka.app',
+  EXPORT_VALIDITY_DAYS: 365,    // calendar end for trips without validity
+  MAX_ENTRY_MB: parseInt(process.env.GTFS_MAX_ENTRY_MB || '512', 10),
+  WRITE_BATCH: 500,
+  REPORT_MAX_ISSUES: 200        // per level; totals are always complete
+});
+
+// Dated service changes on Bus/Train trips and the notices that publish them
+// (see services/serviceCalendarService.js)
+const SERVICE_CALENDAR = Object.freeze({
+  EXCEPTION_TYPES: Object.freeze(['added', 'removed', 'retimed']),
+  EXCEPTION_SOURCES: Object.freeze(['gtfs', 'notice', 'manual']),
+  // Notice effect -> exception written onto each affected trip (advisories write none)
+  NOTICE_EFFECTS: Object.freeze({ cancellation: 'removed', retiming: 'retimed', special_service: 'added', advisory: null }),
+  NOTICE_SEVERITY: Object.freeze(['info', 'minor', 'major', 'severe']),
+  NOTICE_STATUS: Object.freeze(['published', 'withdrawn']),
+  NOTICE_MODES: Object.freeze(['train', 'bus']),
+  MAX_NOTICE_DATES: 92,      // service days one notice may cover
+  MAX_NOTICE_TRIPS: 500,
+  MAX_SHIFT_MIN: 24 * 60     // largest retiming either way
+});
+
+// Train/bus fare engine (see services/fareService.js and models/transport/fareRule.js)
+const FARES = Object.freeze({
+  BASES: Object.freeze(['prorated', 'flat', 'distance', 'stops', 'table']), // fare band pricing basis
+  // Passenger categories; age bounds infer a category from { age } when none is given
+  CATEGORIES: Object.freeze({
+    adult: Object.freeze({ discountPercent: 0 }),
+    child: Object.freeze({ discountPercent: 50, maxAge: 11 }),
+    infant: Object.freeze({ discountPercent: 100, maxAge: 4, seat: false }), // travels on a lap, no seat
+    senior: Object.freeze({ discountPercent: 40, minAge: 60 }),
+    student: Object.freeze({ discountPercent: 25, proof: true }),
+    disabled: Object.freeze({ discountPercent: 50, proof: true })
+  }),
+  // Train booking quotas: premium surcharges and who may book them
+  QUOTAS: Object.freeze({
+    GN: Object.freeze({ label: 'General', surchargePercent: 0 }),
+    LD: Object.freeze({ label: 'Ladies', surchargePercent: 0 }),
+    SS: Object.freeze({ label: 'Senior citizen', surchargePercent: 0, categories: Object.freeze(['senior']) }),
+    TQ: Object.freeze({ label: 'Tatkal', surchargePercent: 30, concessions: false })
+  }),
+  // Fill-based pricing: first tier whose minFill the trip/date/class has reached
+  DYNAMIC_PRICING: process.env.FARE_DYNAMIC_PRICING !== 'false',
+  DEMAND_TIERS: Object.freeze([
+    Object.freeze({ minFill: 0.9, multiplier: 1.3 }),
+    Object.freeze({ minFill: 0.75, multiplier: 1.15 }),
+    Object.freeze({ minFill: 0.5, multiplier: 1.05 })
+  ]),
+  // Taxes on the fare; `classes` limits a tax to those class codes
+  TAXES: Object.freeze({
+    train: Object.freeze([Object.freeze({ code: 'GST', label: 'GST', percent: 5, classes: Object.freeze(['1A', '2A', '3A', '3E', 'CC', 'EC', 'EA']) })]),
+    bus: Object.freeze([Object.freeze({ code: 'GST', label: 'GST', percent: 5, classes: Object.freeze(['AC', 'SLEEPER_AC']) })])
+  }),
+  // Fees in FEE_CURRENCY, converted to the fare's currency
+  FEE_CURRENCY: 'INR',
+  FEES: Object.freeze({
+    train: Object.freeze([
+      Object.freeze({ code: 'reservation', label: 'Reservation charge', per: 'passenger', amount: 20 }),
+      Object.freeze({ code: 'convenience', label: 'Convenience fee', per: 'booking', amount: 15 })
+    ]),
+    bus: Object.freeze([
+      Object.freeze({ code: 'convenience', label: 'Convenience fee', per: 'booking', amount: 15 })
+    ])
+  }),
+  MAX_PASSENGERS: 9
+});
+
+// Real-time vehicle reports and the delays/positions derived from them
+// (see services/liveStatusService.js and models/LiveReport.js)
+const LIVE_STATUS = Object.freeze({
+  MODES: Object.freeze(['train', 'bus', 'flight']),
+  SOURCES: Object.freeze(['feed', 'manual', 'simulator']),
+  STOP_STATUS: Object.freeze(['incoming_at', 'stopped_at', 'in_transit_to']), // as GTFS-RT VehicleStopStatus
+  STALE_AFTER_SEC: 10 * 60,       // older reports still carry their delay but not their position
+  REPORT_TTL_DAYS: 3,
+  MAX_BATCH: 500,                 // reports per ingest call
+  MAX_DELAY_MIN: 24 * 60,
+  MAX_CLOCK_SKEW_SEC: 5 * 60,     // how far in the future a report may be stamped
+  MAX_HISTORY: 500,               // reports read back per trip for observed stop delays
+  // Dwell a late vehicle still spends at a stop; scheduled dwell beyond it absorbs delay
+  MIN_DWELL_MIN: Object.freeze({ train: 2, bus: 1 }),
+  ACTIVE_WINDOW_MIN: 60,          // a trip is "current" this long before departure / after arrival
+  BOARD_KINDS: Object.freeze(['calls', 'departures', 'arrivals']),
+  BOARD_WINDOW_MIN: 120,          // station boards: default and largest time span per page
+  BOARD_MAX_WINDOW_MIN: 12 * 60,
+  BOARD_PAST_MIN: 15,             // departed calls kept on the board
+  BOARD_MAX_TRIPS: 300,
+  // Built-in schedule simulator for local use: writes reports for running trips
+  SIMULATOR: process.env.LIVE_SIMULATOR === 'true',
+  SIMULATOR_INTERVAL_SEC: parseInt(process.env.LIVE_SIMULATOR_INTERVAL_SEC || '60', 10),
+  SIMULATOR_MAX_TRIPS: 200,       // per mode and tick
+  SIMULATOR_MAX_DELAY_MIN: 15
+});
+
 // Export
 module.exports = {
   ROLES,
+  AUTH,
+  MAIL,
+  PARTNER,
+  MODERATION,
+  PLACE_DEDUPE,
+  SEARCH,
+  DISCOVERY,
+  LANGUAGES,
   EMOTIONS,
   CATEGORIES,
   REGION_TYPES,
@@ -86,7 +417,20 @@ module.exports = {
   VISIBILITY,
   REACTION_KINDS,
   EXPERIENCE_TYPES,
-  BOOKING_STATUS
+  BOOKING_STATUS,
+  BOOKING_TRANSITIONS,
+  BOOKING_KINDS,
+  CANCELLATION,
+  PLANNING,
+  GROUP_ROLES,
+  GROUP_PERMISSIONS,
+  ITINERARY,
+  FX,
+  FLIGHT_CONNECTIONS,
+  GTFS,
+  SERVICE_CALENDAR,
+  FARES,
+  LIVE_STATUS
 };
 
 /*
@@ -105,7 +449,7 @@ const { REGION_TYPES } = require('../utils/constants');
 const { POST_KINDS, VISIBILITY, REACTION_KINDS } = require('../utils/constants');
 
 // In booking models/controllers:
-const { EXPERIENCE_TYPES, BOOKING_STATUS } = require('../utils/constants');
+const { EXPERIENCE_TYPES, BOOKING_STATUS, BOOKING_TRANSITIONS, BOOKING_KINDS, CANCELLATION } = require('../utils/constants');
 
 // In services/ai:
 const { AI } = require('../utils/constants');
@@ -0,0 +1,59 @@
+// backend/utils/i18n.js
+
+'use strict';
+
+const { LANGUAGES } = require('./constants');
+
+/**
+ * Best supported language for a request: an explicit ?lang= wins, then
+ * the Accept-Language header by q-weight ("kn-IN,kn;q=0.9,en;q=0.8" -> kn).
+ */
+function pickLocale(explicit, acceptLanguage) {
+  const direct = String(explicit || '').trim().toLowerCase().split('-')[0];
+  if (LANGUAGES.SUPPORTED.includes(direct)) return direct;
+
+  const ranked = String(acceptLanguage || '')
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { code: tag.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q.slice(2)) : 1, i };
+    })
+    .filter((l) => l.code && l.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+
+  const match = ranked.find((l) => LANGUAGES.SUPPORTED.includes(l.code));
+  return match ? match.code : LANGUAGES.DEFAULT;
+}
+
+/**
+ * Plain copy of a translatable document with its display fields in `locale`
+ * where a translation exists. `locale` on the result says which language the
+ * fields are in; `translations` stays available for clients that switch
+ * languages locally.
+ */
+function localize(doc, locale, fields = ['name', 'description']) {
+  if (!doc) return doc;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+  const translations = plain.translations instanceof Map ? Object.fromEntries(plain.translations) : plain.translations;
+  delete plain.searchKeys;
+  if (translations) plain.translations = translations;
+
+  const copy = locale && locale !== LANGUAGES.DEFAULT ? translations?.[locale] : null;
+  if (!copy || !fields.some((f) => copy[f])) return { ...plain, locale: LANGUAGES.DEFAULT };
+
+  for (const f of fields) {
+    if (copy[f]) plain[f] = copy[f];
+  }
+  return { ...plain, locale };
+}
+
+function localizeAll(docs, locale, fields) {
+  return (docs || []).map((d) => localize(d, locale, fields));
+}
+
+module.exports = {
+  pickLocale,
+  localize,
+  localizeAll
+};
@@ -0,0 +1,180 @@
+// backend/utils/transliterate.js
+
+'use strict';
+
+/**
+ * Script-independent search keys for Indian place names.
+ *
+ * The Brahmic blocks from Devanagari (U+0900) to Malayalam (U+0D7F) share
+ * one layout: the same offset inside each 128-codepoint block is the same
+ * letter. One table therefore romanizes Hindi, Marathi, Bengali, Punjabi,
+ * Gujarati, Odia, Tamil, Telugu, Kannada and Malayalam.
+ *
+ * Romanized text is then reduced to a loose phonetic key so spelling
+ * variants meet: "Udupi", "ಉಡುಪಿ" and "उडुपी" all key to "udupi", and
+ * "Krishna", "Krsna" and "कृष्ण" to "krisn".
+ */
+
+const INDIC_START = 0x0900;
+const INDIC_END = 0x0d7f;
+
+// Offsets within a block
+const VIRAMA = 0x4d;
+const ANUSVARA = 0x02;
+const LABIALS = [0x2a, 0x2b, 0x2c, 0x2d, 0x2e]; // pa pha ba bha ma
+const IGNORED = new Set([0x3c, 0x51, 0x52, 0x53, 0x54, 0x55, 0x56, 0x57]); // nukta, stress and length marks
+
+const VOWELS = {
+  0x05: 'a', 0x06: 'aa', 0x07: 'i', 0x08: 'ii', 0x09: 'u', 0x0a: 'uu', 0x0b: 'ri', 0x0c: 'li',
+  0x0d: 'e', 0x0e: 'e', 0x0f: 'e', 0x10: 'ai', 0x11: 'o', 0x12: 'o', 0x13: 'o', 0x14: 'au',
+  0x60: 'rii', 0x61: 'lii'
+};
+const CONSONANTS = {
+  0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'ng',
+  0x1a: 'ch', 0x1b: 'chh', 0x1c: 'j', 0x1d: 'jh', 0x1e: 'ny',
+  0x1f: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+  0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n',
+  0x2a: 'p', 0x2b: 'ph', 0x2c: 'b', 0x2d: 'bh', 0x2e: 'm',
+  0x2f: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'l', 0x35: 'v',
+  0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h',
+  0x58: 'q', 0x59: 'kh', 0x5a: 'g', 0x5b: 'z', 0x5c: 'r', 0x5d: 'rh', 0x5e: 'f', 0x5f: 'y'
+};
+const VOWEL_SIGNS = {
+  0x3e: 'aa', 0x3f: 'i', 0x40: 'ii', 0x41: 'u', 0x42: 'uu', 0x43: 'ri', 0x44: 'rii',
+  0x45: 'e', 0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x49: 'o', 0x4a: 'o', 0x4b: 'o', 0x4c: 'au',
+  0x62: 'li', 0x63: 'lii'
+};
+const SIGNS = { 0x01: 'n', 0x03: 'h', 0x50: 'om', 0x64: ' ', 0x65: ' ' };
+// Letters that only exist in one script
+const SCRIPT_SPECIFIC = {
+  0x09ce: 't', // Bengali khanda ta
+  0x0a71: '', // Gurmukhi addak (gemination)
+  0x0a72: '', // Gurmukhi iri / ura vowel bearers
+  0x0a73: '',
+  0x0d7a: 'n', // Malayalam chillu letters (consonant without vowel)
+  0x0d7b: 'n',
+  0x0d7c: 'r',
+  0x0d7d: 'l',
+  0x0d7e: 'l',
+  0x0d7f: 'k'
+};
+
+function isIndic(cp) {
+  return cp >= INDIC_START && cp <= INDIC_END;
+}
+
+function hasIndic(text) {
+  for (const ch of String(text || '')) {
+    if (isIndic(ch.codePointAt(0))) return true;
+  }
+  return false;
+}
+
+/**
+ * Romanize Brahmic-script text; other characters pass through unchanged.
+ * Consonants carry an inherent "a" unless a vowel sign or virama follows.
+ */
+function toLatin(text) {
+  const chars = [...String(text || '').normalize('NFC')];
+  let out = '';
+  let owesVowel = false;
+
+  for (let i = 0; i < chars.length; i += 1) {
+    const cp = chars[i].codePointAt(0);
+    if (!isIndic(cp)) {
+      if (owesVowel) out += 'a';
+      owesVowel = false;
+      out += chars[i];
+      continue;
+    }
+
+    const off = cp === 0x0a70 ? ANUSVARA : cp & 0x7f; // Gurmukhi tippi nasalizes like an anusvara
+    if (cp in SCRIPT_SPECIFIC) {
+      if (owesVowel) out += 'a';
+      owesVowel = false;
+      out += SCRIPT_SPECIFIC[cp];
+    } else if (IGNORED.has(off)) {
+      continue;
+    } else if (CONSONANTS[off]) {
+      if (owesVowel) out += 'a';
+      out += CONSONANTS[off];
+      owesVowel = true;
+    } else if (VOWEL_SIGNS[off]) {
+      out += VOWEL_SIGNS[off];
+      owesVowel = false;
+    } else if (off === VIRAMA) {
+      owesVowel = false;
+    } else {
+      if (owesVowel) out += 'a';
+      owesVowel = false;
+      if (off >= 0x66 && off <= 0x6f) {
+        out += String(off - 0x66);
+      } else if (off === ANUSVARA) {
+        const next = chars[i + 1] && chars[i + 1].codePointAt(0);
+        const nextOff = next && isIndic(next) ? next & 0x7f : null;
+        out += nextOff === null || LABIALS.includes(nextOff) ? 'm' : 'n';
+      } else {
+        out += VOWELS[off] || SIGNS[off] || '';
+      }
+    }
+  }
+  if (owesVowel) out += 'a';
+  return out;
+}
+
+/**
+ * Loose phonetic key of one romanized word. Aspiration, vowel length,
+ * doubled letters and a trailing schwa are dropped; words in scripts
+ * without a romanization are returned lowercased.
+ */
+function phoneticKey(word) {
+  const w = String(word || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+  if (!/^[a-z0-9]+$/.test(w) || /^[0-9]+$/.test(w)) return w;
+
+  return w
+    .replace(/([bcdgjkptsl])h/g, '$1')
+    .replace(/f/g, 'p')
+    .replace(/w/g, 'v')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 'j')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/^([a-z]{3,})a$/, '$1');
+}
+
+/**
+ * Split text into words and key each one, e.g.
+ *   searchTokens('Sri Krishna Mutt, Udupi') -> ['sri', 'krisn', 'mut', 'udupi']
+ */
+function searchTokens(text) {
+  return toLatin(
+    String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .normalize('NFC')
+  )
+    .split(/[^\p{L}\p{N}\p{M}]+/u)
+    .filter(Boolean)
+    .map(phoneticKey)
+    .filter(Boolean);
+}
+
+/**
+ * Unique keys of several texts (a name and its translations).
+ */
+function searchKeys(...texts) {
+  return [...new Set(texts.flat().flatMap(searchTokens))];
+}
+
+module.exports = {
+  hasIndic,
+  toLatin,
+  phoneticKey,
+  searchTokens,
+  searchKeys
+};
@@ -0,0 +1,61 @@
+// backend/utils/webhookSignature.js
+
+const crypto = require('crypto');
+
+/**
+ * Signed webhook payloads: header value "t=<unix seconds>,v1=<hex hmac>", where
+ * the HMAC-SHA256 covers "<t>.<raw body>". The timestamp bounds replay.
+ * Usage:
+ *   const header = sign(rawBody, secret);
+ *   verify(rawBody, header, secret); // throws on mismatch/expiry
+ */
+const DEFAULT_TOLERANCE_SEC = 5 * 60;
+
+function hmac(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function toBuffer(body) {
+  if (Buffer.isBuffer(body)) return body;
+  return Buffer.from(typeof body === 'string' ? body : JSON.stringify(body || {}));
+}
+
+function sign(body, secret, { timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const mac = hmac(secret, Buffer.concat([Buffer.from(`${timestamp}.`), toBuffer(body)]));
+  return `t=${timestamp},v1=${mac}`;
+}
+
+function parseHeader(header) {
+  const out = {};
+  for (const part of String(header || '').split(',')) {
+    const [k, v] = part.split('=');
+    if (k && v) out[k.trim()] = v.trim();
+  }
+  return out;
+}
+
+/**
+ * Returns true or throws an Error with `code` set to
+ * SIGNATURE_MISSING | SIGNATURE_EXPIRED | SIGNATURE_MISMATCH.
+ */
+function verify(body, header, secret, { toleranceSec = DEFAULT_TOLERANCE_SEC, now = Date.now() } = {}) {
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+  if (!secret) throw fail('SIGNATURE_MISSING', 'Webhook secret is not configured');
+
+  const { t, v1 } = parseHeader(header);
+  if (!t || !v1) throw fail('SIGNATURE_MISSING', 'Missing webhook signature');
+
+  const ts = parseInt(t, 10);
+  if (!Number.isFinite(ts) || Math.abs(now / 1000 - ts) > toleranceSec) {
+    throw fail('SIGNATURE_EXPIRED', 'Webhook signature timestamp outside tolerance');
+  }
+
+  const expected = Buffer.from(hmac(secret, Buffer.concat([Buffer.from(`${t}.`), toBuffer(body)])), 'hex');
+  const given = Buffer.from(v1, 'hex');
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw fail('SIGNATURE_MISMATCH', 'Webhook signature mismatch');
+  }
+  return true;
+}
+
+module.exports = { sign, verify, parseHeader, DEFAULT_TOLERANCE_SEC };